@@ -52,9 +52,27 @@ const testConnection = async () => {
   }
 };
 
+// Run a callback inside a transaction on a dedicated client.
+// The callback receives the client; everything is rolled back if it throws.
+const transaction = async (callback) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await callback(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
 module.exports = {
   pool,
   query: (text, params) => pool.query(text, params),
   testConnection,
+  transaction,
 };
 
@@ -2,7 +2,153 @@ const Queue = require('../models/Queue');
 const Service = require('../models/Service');
 const Counter = require('../models/Counter');
 const User = require('../models/User');
+const UserInvitation = require('../models/UserInvitation');
+const LoginHistory = require('../models/LoginHistory');
+const TwoFactor = require('../models/TwoFactor');
+const Role = require('../models/Role');
+const AuditLog = require('../models/AuditLog');
+const NotificationDelivery = require('../models/NotificationDelivery');
+const bcrypt = require('bcrypt');
+const crypto = require('crypto');
 const { query } = require('../config/database');
+const { createCheckInToken } = require('../utils/checkIn');
+const { createDisplayBoardToken } = require('../utils/displayBoardToken');
+const { PRINTER_CODES, printQueueTicket } = require('../utils/ticketPrinter');
+const {
+  INVITE_STATUS,
+  generateInviteToken,
+  hashInviteToken,
+  getInviteExpiry,
+  getInviteStatus,
+  buildInviteUrl,
+} = require('../utils/invitations');
+const { buildInvitationEmail } = require('../utils/accountEmails');
+const { validateTwoFactorPolicy } = require('../utils/twoFactor');
+const { sendMail } = require('../utils/mailer');
+const { PERMISSIONS, ADMIN_ROLE, ROLE_CODES, isServiceInScope } = require('../utils/permissions');
+const { AUDIT_ACTIONS, AUDIT_ENTITY_TYPES, recordAudit } = require('../utils/audit');
+const migrator = require('../utils/migrator');
+
+/**
+ * 403 for a service outside the user's permission scope
+ */
+const outOfScope = (res) => {
+  return res.status(403).json({
+    success: false,
+    error: {
+      message: 'Access denied. This service is outside your permissions.',
+      code: ROLE_CODES.OUT_OF_SCOPE,
+    },
+  });
+};
+
+/**
+ * Only administrators may hand out or take away the admin role
+ */
+const adminRoleForbidden = (res) => {
+  return res.status(403).json({
+    success: false,
+    error: {
+      message: 'Only administrators can grant or change the admin role',
+      code: 'FORBIDDEN',
+    },
+  });
+};
+
+/**
+ * Validate per-service settings sent with a service create/update
+ * Returns an error message or null
+ */
+const validateServiceSettings = ({ priority_interleave_ratio, max_queue_before_closing, appointment_checkin_window_minutes }) => {
+  if (priority_interleave_ratio !== undefined && !(parseInt(priority_interleave_ratio) >= 1)) {
+    return 'Priority interleave ratio must be at least 1';
+  }
+  if (max_queue_before_closing !== undefined && !(parseInt(max_queue_before_closing) >= 1)) {
+    return 'Max queue before closing must be at least 1';
+  }
+  if (appointment_checkin_window_minutes !== undefined && !(parseInt(appointment_checkin_window_minutes) >= 1)) {
+    return 'Appointment check-in window must be at least 1 minute';
+  }
+  return null;
+};
+
+/**
+ * Save per-service settings sent with a service create/update
+ * and return the service with the stored values merged in
+ */
+const applyServiceSettings = async (service, {
+  enable_priority_queue,
+  priority_interleave_ratio,
+  max_queue_before_closing,
+  appointment_checkin_window_minutes,
+  require_onsite_checkin,
+}) => {
+  if (enable_priority_queue === undefined
+    && priority_interleave_ratio === undefined
+    && max_queue_before_closing === undefined
+    && appointment_checkin_window_minutes === undefined
+    && require_onsite_checkin === undefined) {
+    return service;
+  }
+
+  const settings = await Service.updateSettings(service.id, {
+    enable_priority_queue,
+    priority_interleave_ratio: priority_interleave_ratio !== undefined
+      ? parseInt(priority_interleave_ratio)
+      : undefined,
+    max_queue_before_closing: max_queue_before_closing !== undefined
+      ? parseInt(max_queue_before_closing)
+      : undefined,
+    appointment_checkin_window_minutes: appointment_checkin_window_minutes !== undefined
+      ? parseInt(appointment_checkin_window_minutes)
+      : undefined,
+    require_onsite_checkin,
+  });
+
+  return {
+    ...service,
+    enable_priority_queue: settings.enable_priority_queue,
+    priority_interleave_ratio: settings.priority_interleave_ratio,
+    max_queue_before_closing: settings.max_queue_before_closing,
+    appointment_checkin_window_minutes: settings.appointment_checkin_window_minutes,
+    require_onsite_checkin: settings.require_onsite_checkin,
+  };
+};
+
+/**
+ * Create an invitation for a user and email the link.
+ * A mail failure does not undo the invitation; the link is returned so the
+ * admin can pass it on another way.
+ */
+const sendInvitation = async (user, req) => {
+  const token = generateInviteToken();
+  const invitation = await UserInvitation.create({
+    userId: user.id,
+    tokenHash: hashInviteToken(token),
+    invitedBy: req.user.userId,
+    expiresAt: getInviteExpiry(),
+  });
+
+  const inviteUrl = buildInviteUrl(token, req.get('origin'));
+  let emailSent = false;
+
+  if (inviteUrl) {
+    try {
+      await sendMail(buildInvitationEmail(user, inviteUrl, invitation.expires_at));
+      emailSent = true;
+    } catch (mailError) {
+      console.error('Send invitation email error:', mailError);
+    }
+  }
+
+  return {
+    status: getInviteStatus(invitation),
+    expiresAt: invitation.expires_at,
+    inviteUrl,
+    token,
+    emailSent,
+  };
+};
 
 /**
  * Get dashboard statistics
@@ -13,37 +159,43 @@ exports.getDashboard = async (req, res) => {
     // Get today's date
     const today = new Date().toISOString().split('T')[0];
 
+    // Limit to the services the user's analytics permission covers
+    const scope = req.serviceScope;
+    const params = scope ? [today, scope] : [today];
+    const scopeFilter = scope ? 'AND service_id = ANY($2::int[])' : '';
+
     // Total queues today
     const queuesTodaySql = `
       SELECT COUNT(*) as total
       FROM queue_entries
-      WHERE DATE(requested_at) = $1;
+      WHERE DATE(requested_at) = $1 ${scopeFilter};
     `;
-    const queuesTodayResult = await query(queuesTodaySql, [today]);
+    const queuesTodayResult = await query(queuesTodaySql, params);
 
     // Active queues (waiting, called, serving)
     const activeQueuesSql = `
       SELECT COUNT(*) as total
       FROM queue_entries
-      WHERE status IN ('waiting', 'called', 'serving');
+      WHERE status IN ('waiting', 'called', 'serving')
+        ${scope ? 'AND service_id = ANY($1::int[])' : ''};
     `;
-    const activeQueuesResult = await query(activeQueuesSql);
+    const activeQueuesResult = await query(activeQueuesSql, scope ? [scope] : []);
 
     // Completed queues today
     const completedSql = `
       SELECT COUNT(*) as total
       FROM queue_entries
-      WHERE DATE(completed_at) = $1 AND status = 'completed';
+      WHERE DATE(completed_at) = $1 AND status = 'completed' ${scopeFilter};
     `;
-    const completedResult = await query(completedSql, [today]);
+    const completedResult = await query(completedSql, params);
 
     // Average wait time today
     const avgWaitTimeSql = `
       SELECT AVG(EXTRACT(EPOCH FROM (completed_at - requested_at))/60) as avg_wait_time
       FROM queue_entries
-      WHERE DATE(completed_at) = $1 AND status = 'completed' AND completed_at IS NOT NULL;
+      WHERE DATE(completed_at) = $1 AND status = 'completed' AND completed_at IS NOT NULL ${scopeFilter};
     `;
-    const avgWaitTimeResult = await query(avgWaitTimeSql, [today]);
+    const avgWaitTimeResult = await query(avgWaitTimeSql, params);
 
     // Service statistics
     const serviceStatsSql = `
@@ -56,11 +208,11 @@ exports.getDashboard = async (req, res) => {
           FILTER (WHERE qe.status = 'completed' AND DATE(qe.completed_at) = $1) as avg_wait_time
       FROM services s
       LEFT JOIN queue_entries qe ON s.id = qe.service_id AND DATE(qe.requested_at) = $1
-      WHERE s.is_active = true
+      WHERE s.is_active = true ${scope ? 'AND s.id = ANY($2::int[])' : ''}
       GROUP BY s.id, s.name
       ORDER BY queues_today DESC;
     `;
-    const serviceStatsResult = await query(serviceStatsSql, [today]);
+    const serviceStatsResult = await query(serviceStatsSql, params);
 
     res.json({
       success: true,
@@ -100,6 +252,10 @@ exports.getAnalytics = async (req, res) => {
   try {
     const { startDate, endDate, serviceId } = req.query;
 
+    if (serviceId && !isServiceInScope(req.serviceScope, serviceId)) {
+      return outOfScope(res);
+    }
+
     // Build date filter
     let dateFilter = '';
     const params = [];
@@ -123,6 +279,16 @@ exports.getAnalytics = async (req, res) => {
       const serviceFilter = dateFilter ? 'AND' : 'WHERE';
       dateFilter += ` ${serviceFilter} service_id = $${paramCount}`;
       params.push(serviceId);
+      paramCount += 1;
+    }
+
+    // Limit to the services the user's analytics permission covers
+    let serviceScopeFilter = '';
+    if (req.serviceScope) {
+      const scopeKeyword = dateFilter ? 'AND' : 'WHERE';
+      dateFilter += ` ${scopeKeyword} service_id = ANY($${paramCount}::int[])`;
+      serviceScopeFilter = `AND s.id = ANY($${paramCount}::int[])`;
+      params.push(req.serviceScope);
     }
 
     // Overall statistics
@@ -131,8 +297,11 @@ exports.getAnalytics = async (req, res) => {
         COUNT(*) as total_queues,
         COUNT(*) FILTER (WHERE status = 'completed') as completed_queues,
         COUNT(*) FILTER (WHERE status = 'cancelled') as cancelled_queues,
+        COUNT(*) FILTER (WHERE priority_category IS NOT NULL) as priority_queues,
         AVG(EXTRACT(EPOCH FROM (completed_at - requested_at))/60) 
           FILTER (WHERE status = 'completed') as avg_wait_time,
+        AVG(EXTRACT(EPOCH FROM (completed_at - requested_at))/60) 
+          FILTER (WHERE status = 'completed' AND priority_category IS NOT NULL) as avg_priority_wait_time,
         AVG(EXTRACT(EPOCH FROM (completed_at - started_serving_at))/60) 
           FILTER (WHERE status = 'completed') as avg_service_time
       FROM queue_entries
@@ -151,6 +320,18 @@ exports.getAnalytics = async (req, res) => {
       LIMIT 5;
     `;
 
+    // Priority lane breakdown
+    const priorityStatsSql = `
+      SELECT 
+        priority_category,
+        COUNT(*) as queue_count,
+        COUNT(*) FILTER (WHERE status = 'completed') as completed_count
+      FROM queue_entries
+      ${dateFilter ? `${dateFilter} AND` : 'WHERE'} priority_category IS NOT NULL
+      GROUP BY priority_category
+      ORDER BY queue_count DESC;
+    `;
+
     // Service statistics
     const serviceJoinFilter = dateFilter ? dateFilter.replace('WHERE', 'AND') : '';
     const serviceStatsSql = `
@@ -159,20 +340,22 @@ exports.getAnalytics = async (req, res) => {
         s.name,
         COUNT(qe.id) as total_queues,
         COUNT(qe.id) FILTER (WHERE qe.status = 'completed') as completed_queues,
+        COUNT(qe.id) FILTER (WHERE qe.priority_category IS NOT NULL) as priority_queues,
         AVG(EXTRACT(EPOCH FROM (qe.completed_at - qe.requested_at))/60) 
           FILTER (WHERE qe.status = 'completed') as avg_wait_time,
         COUNT(qe.id)::FLOAT / NULLIF(COUNT(DISTINCT DATE(qe.requested_at)), 0) as avg_queues_per_day
       FROM services s
       LEFT JOIN queue_entries qe ON s.id = qe.service_id ${serviceJoinFilter}
-      WHERE s.is_active = true
+      WHERE s.is_active = true ${serviceScopeFilter}
       GROUP BY s.id, s.name
       ORDER BY total_queues DESC;
     `;
 
-    const [overallResult, peakHoursResult, serviceStatsResult] = await Promise.all([
+    const [overallResult, peakHoursResult, serviceStatsResult, priorityStatsResult] = await Promise.all([
       query(overallStatsSql, params),
       query(peakHoursSql, params),
       query(serviceStatsSql, params),
+      query(priorityStatsSql, params),
     ]);
 
     res.json({
@@ -181,12 +364,21 @@ exports.getAnalytics = async (req, res) => {
         totalQueues: parseInt(overallResult.rows[0].total_queues) || 0,
         completedQueues: parseInt(overallResult.rows[0].completed_queues) || 0,
         cancelledQueues: parseInt(overallResult.rows[0].cancelled_queues) || 0,
+        priorityQueues: parseInt(overallResult.rows[0].priority_queues) || 0,
         averageWaitTime: overallResult.rows[0].avg_wait_time 
           ? Math.round(overallResult.rows[0].avg_wait_time) 
           : null,
         averageServiceTime: overallResult.rows[0].avg_service_time 
           ? Math.round(overallResult.rows[0].avg_service_time) 
           : null,
+        averagePriorityWaitTime: overallResult.rows[0].avg_priority_wait_time 
+          ? Math.round(overallResult.rows[0].avg_priority_wait_time) 
+          : null,
+        priorityBreakdown: priorityStatsResult.rows.map(row => ({
+          category: row.priority_category,
+          queueCount: parseInt(row.queue_count) || 0,
+          completedCount: parseInt(row.completed_count) || 0,
+        })),
         peakHours: peakHoursResult.rows.map(row => ({
           hour: parseInt(row.hour),
           queueCount: parseInt(row.queue_count),
@@ -196,6 +388,7 @@ exports.getAnalytics = async (req, res) => {
           serviceName: row.name,
           totalQueues: parseInt(row.total_queues) || 0,
           completedQueues: parseInt(row.completed_queues) || 0,
+          priorityQueues: parseInt(row.priority_queues) || 0,
           averageWaitTime: row.avg_wait_time ? Math.round(row.avg_wait_time) : null,
           averageQueuesPerDay: row.avg_queues_per_day 
             ? Math.round(row.avg_queues_per_day * 100) / 100 
@@ -221,33 +414,65 @@ exports.getAnalytics = async (req, res) => {
  */
 exports.getAllUsers = async (req, res) => {
   try {
-    const { role, page = 1, limit = 20 } = req.query;
+    const { role, inviteStatus, page = 1, limit = 20 } = req.query;
     const offset = (page - 1) * limit;
 
-    let sql = `
-      SELECT id, student_id, email, first_name, last_name, 
-             phone_number, role, is_active, created_at, updated_at
-      FROM users
+    // Invite state comes from each user's latest invitation; users who
+    // registered themselves have none
+    const inviteStatusSql = `
+      CASE
+        WHEN ui.id IS NULL THEN NULL
+        WHEN ui.accepted_at IS NOT NULL THEN '${INVITE_STATUS.ACCEPTED}'
+        WHEN ui.expires_at <= CURRENT_TIMESTAMP THEN '${INVITE_STATUS.EXPIRED}'
+        ELSE '${INVITE_STATUS.PENDING}'
+      END
+    `;
+    const fromSql = `
+      FROM users u
+      LEFT JOIN LATERAL (
+        SELECT id, expires_at, accepted_at, created_at
+        FROM user_invitations
+        WHERE user_id = u.id
+        ORDER BY created_at DESC
+        LIMIT 1
+      ) ui ON true
     `;
+
+    const conditions = [];
     const params = [];
     let paramCount = 1;
 
     if (role) {
-      sql += ` WHERE role = $${paramCount}`;
+      conditions.push(`u.role = $${paramCount}`);
       params.push(role);
       paramCount++;
     }
 
-    sql += ` ORDER BY created_at DESC LIMIT $${paramCount} OFFSET $${paramCount + 1}`;
-    params.push(limit, offset);
+    if (inviteStatus) {
+      conditions.push(`${inviteStatusSql} = $${paramCount}`);
+      params.push(inviteStatus);
+      paramCount++;
+    }
+
+    const whereSql = conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+
+    const sql = `
+      SELECT u.id, u.student_id, u.email, u.first_name, u.last_name,
+             u.phone_number, u.role, u.is_active, u.created_at, u.updated_at,
+             u.failed_login_attempts, u.two_factor_enabled_at,
+             CASE WHEN u.locked_until > CURRENT_TIMESTAMP THEN u.locked_until END AS locked_until,
+             ${inviteStatusSql} AS invite_status,
+             ui.created_at AS invited_at,
+             ui.expires_at AS invite_expires_at,
+             ui.accepted_at AS invite_accepted_at
+      ${fromSql}${whereSql}
+      ORDER BY u.created_at DESC LIMIT $${paramCount} OFFSET $${paramCount + 1}
+    `;
 
     // Get total count
-    let countSql = `SELECT COUNT(*) as total FROM users`;
-    const countParams = [];
-    if (role) {
-      countSql += ` WHERE role = $1`;
-      countParams.push(role);
-    }
+    const countSql = `SELECT COUNT(*) as total ${fromSql}${whereSql}`;
+    const countParams = [...params];
+    params.push(limit, offset);
 
     const [result, countResult] = await Promise.all([
       query(sql, params),
@@ -278,6 +503,271 @@ exports.getAllUsers = async (req, res) => {
   }
 };
 
+/**
+ * Create a staff, admin or kiosk account and invite the owner to set a password
+ * POST /api/admin/users
+ */
+exports.createUser = async (req, res) => {
+  try {
+    const { email, firstName, lastName, phoneNumber, role } = req.body;
+
+    // Any role except student, which is only for self-registration
+    const roleRecord = role === 'student' ? null : await Role.findByName(role);
+    if (!roleRecord) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Role must be an existing staff role. Students register themselves.',
+          code: ROLE_CODES.ROLE_NOT_FOUND,
+        },
+      });
+    }
+
+    if (role === ADMIN_ROLE && req.user.role !== ADMIN_ROLE) {
+      return adminRoleForbidden(res);
+    }
+
+    const existingUser = await User.findByEmail(email);
+    if (existingUser) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'User with this email already exists',
+        },
+      });
+    }
+
+    // Nobody knows this password; the invitee replaces it when accepting
+    const passwordHash = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+
+    const user = await User.create({
+      email: email.toLowerCase(),
+      passwordHash,
+      firstName,
+      lastName,
+      phoneNumber,
+      role,
+    });
+
+    const invitation = await sendInvitation(user, req);
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.USER_INVITE,
+      entityId: user.id,
+      after: User.toSafeUser(user),
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        user: User.toSafeUser(user),
+        invitation,
+      },
+      message: invitation.emailSent
+        ? `Invitation sent to ${user.email}`
+        : 'User created. Share the invitation link with them.',
+    });
+  } catch (error) {
+    console.error('Create user error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error creating user',
+        ...(process.env.NODE_ENV === 'development' && { detail: error.message }),
+      },
+    });
+  }
+};
+
+/**
+ * Send a new invitation, replacing any earlier link
+ * POST /api/admin/users/:id/invite
+ */
+exports.resendInvitation = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const user = await User.findById(id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'User not found',
+        },
+      });
+    }
+
+    const latest = await UserInvitation.findLatestForUser(user.id);
+    if (!latest) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'This user was not invited',
+        },
+      });
+    }
+
+    if (getInviteStatus(latest) === INVITE_STATUS.ACCEPTED) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'This user has already accepted their invitation',
+        },
+      });
+    }
+
+    const invitation = await sendInvitation(user, req);
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.USER_INVITE_RESEND,
+      entityId: user.id,
+      before: { invite_expires_at: latest.expires_at },
+      after: { invite_expires_at: invitation.expiresAt },
+    });
+
+    res.json({
+      success: true,
+      data: {
+        invitation,
+      },
+      message: invitation.emailSent
+        ? `Invitation sent to ${user.email}`
+        : 'Invitation renewed. Share the link with the user.',
+    });
+  } catch (error) {
+    console.error('Resend invitation error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error sending invitation',
+        ...(process.env.NODE_ENV === 'development' && { detail: error.message }),
+      },
+    });
+  }
+};
+
+/**
+ * Lift a login lockout
+ * POST /api/admin/users/:id/unlock
+ */
+exports.unlockUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await User.clearFailedLogins(id);
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'User not found',
+        },
+      });
+    }
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.USER_UNLOCK,
+      entityId: result.id,
+    });
+
+    res.json({
+      success: true,
+      data: result,
+      message: 'User unlocked',
+    });
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error unlocking user',
+        ...(process.env.NODE_ENV === 'development' && { detail: error.message }),
+      },
+    });
+  }
+};
+
+/**
+ * Turn off a user's 2FA (lost authenticator and backup codes) and sign them
+ * out everywhere. If the policy covers their role they enroll again at the
+ * next login.
+ * POST /api/admin/users/:id/two-factor/reset
+ */
+exports.resetUserTwoFactor = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const reset = await TwoFactor.disable(id);
+    if (!reset) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'User not found',
+        },
+      });
+    }
+
+    await User.revokeSessions(id);
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.USER_TWO_FACTOR_RESET,
+      entityId: id,
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication reset',
+    });
+  } catch (error) {
+    console.error('Reset two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error resetting two-factor authentication',
+        ...(process.env.NODE_ENV === 'development' && { detail: error.message }),
+      },
+    });
+  }
+};
+
+/**
+ * Get a user's login history
+ * GET /api/admin/users/:id/login-history
+ */
+exports.getUserLoginHistory = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const { entries, total } = await LoginHistory.findByUser(id, {
+      limit,
+      offset: (page - 1) * limit,
+    });
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Get user login history error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error fetching login history',
+        ...(process.env.NODE_ENV === 'development' && { detail: error.message }),
+      },
+    });
+  }
+};
+
 /**
  * Update user
  * PUT /api/admin/users/:id
@@ -300,8 +790,42 @@ exports.updateUser = async (req, res) => {
       });
     }
 
+    if (updateData.role !== undefined && !(await Role.findByName(updateData.role))) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Invalid role',
+          code: ROLE_CODES.ROLE_NOT_FOUND,
+        },
+      });
+    }
+
+    const existingUser = await User.findById(id);
+    if (req.user.role !== ADMIN_ROLE
+      && (updateData.role === ADMIN_ROLE || existingUser?.role === ADMIN_ROLE)) {
+      return adminRoleForbidden(res);
+    }
+
     const updatedUser = await User.update(id, updateData);
 
+    // Deactivation signs the user out everywhere; a role change only forces a
+    // token refresh so the new role is picked up
+    if (updatedUser && updateData.is_active === false) {
+      await User.revokeSessions(updatedUser.id);
+    } else if (updatedUser && updateData.role !== undefined) {
+      await User.revokeSessions(updatedUser.id, { revokeRefreshTokens: false });
+    }
+
+    if (updatedUser) {
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.USER_UPDATE,
+        entityId: updatedUser.id,
+        before: existingUser,
+        after: updatedUser,
+        fields: Object.keys(updateData),
+      });
+    }
+
     res.json({
       success: true,
       data: updatedUser,
@@ -329,7 +853,7 @@ exports.getAllServices = async (req, res) => {
 
     res.json({
       success: true,
-      data: services,
+      data: services.filter((service) => isServiceInScope(req.serviceScope, service.id)),
     });
   } catch (error) {
     console.error('Get all services error:', error);
@@ -358,15 +882,16 @@ exports.createService = async (req, res) => {
       operating_hours_start,
       operating_hours_end,
       is_active,
+      enable_priority_queue,
+      priority_interleave_ratio,
+      max_queue_before_closing,
+      appointment_checkin_window_minutes,
+      require_onsite_checkin,
     } = req.body;
 
-    if (!name) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          message: 'Service name is required',
-        },
-      });
+    // A new service is outside every scoped grant
+    if (req.serviceScope) {
+      return outOfScope(res);
     }
 
     const serviceData = {
@@ -380,12 +905,36 @@ exports.createService = async (req, res) => {
       is_active,
     };
 
-    const newService = await Service.create(serviceData);
+    const serviceSettings = {
+      enable_priority_queue,
+      priority_interleave_ratio,
+      max_queue_before_closing,
+      appointment_checkin_window_minutes,
+      require_onsite_checkin,
+    };
+    const settingsError = validateServiceSettings(serviceSettings);
+    if (settingsError) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: settingsError,
+        },
+      });
+    }
+
+    const createdService = await Service.create(serviceData);
+    const newService = await applyServiceSettings(createdService, serviceSettings);
 
     // Clear services cache
     const cache = require('../utils/cache');
     cache.delete('services:active');
 
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.SERVICE_CREATE,
+      entityId: newService.id,
+      after: newService,
+    });
+
     res.status(201).json({
       success: true,
       data: newService,
@@ -420,7 +969,14 @@ exports.createService = async (req, res) => {
 exports.updateService = async (req, res) => {
   try {
     const { id } = req.params;
-    const updateData = req.body;
+    const {
+      enable_priority_queue,
+      priority_interleave_ratio,
+      max_queue_before_closing,
+      appointment_checkin_window_minutes,
+      require_onsite_checkin,
+      ...updateData
+    } = req.body;
 
     const service = await Service.findById(id);
     if (!service) {
@@ -432,12 +988,41 @@ exports.updateService = async (req, res) => {
       });
     }
 
-    const updatedService = await Service.update(id, updateData);
+    const serviceSettings = {
+      enable_priority_queue,
+      priority_interleave_ratio,
+      max_queue_before_closing,
+      appointment_checkin_window_minutes,
+      require_onsite_checkin,
+    };
+    const settingsError = validateServiceSettings(serviceSettings);
+    if (settingsError) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: settingsError,
+        },
+      });
+    }
+
+    const hasServiceFields = Object.keys(updateData).length > 0;
+    const savedService = hasServiceFields
+      ? await Service.update(id, updateData)
+      : service;
+    const updatedService = await applyServiceSettings(savedService, serviceSettings);
 
     // Clear services cache
     const cache = require('../utils/cache');
     cache.delete('services:active');
 
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.SERVICE_UPDATE,
+      entityId: service.id,
+      before: service,
+      after: updatedService,
+      fields: Object.keys(req.body),
+    });
+
     res.json({
       success: true,
       data: updatedService,
@@ -498,6 +1083,14 @@ exports.deleteService = async (req, res) => {
     const cache = require('../utils/cache');
     cache.delete('services:active');
 
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.SERVICE_DELETE,
+      entityId: service.id,
+      before: service,
+      after: deletedService,
+      fields: ['is_active'],
+    });
+
     res.json({
       success: true,
       message: 'Service deleted successfully',
@@ -524,7 +1117,7 @@ exports.getAllCounters = async (req, res) => {
 
     res.json({
       success: true,
-      data: counters,
+      data: counters.filter((counter) => isServiceInScope(req.serviceScope, counter.service_id)),
     });
   } catch (error) {
     console.error('Get all counters error:', error);
@@ -552,13 +1145,8 @@ exports.createCounter = async (req, res) => {
       is_active,
     } = req.body;
 
-    if (!service_id || !counter_number) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          message: 'Service ID and counter number are required',
-        },
-      });
+    if (!isServiceInScope(req.serviceScope, service_id)) {
+      return outOfScope(res);
     }
 
     // Check if service exists
@@ -586,6 +1174,12 @@ exports.createCounter = async (req, res) => {
     const cache = require('../utils/cache');
     cache.delete('services:active');
 
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.COUNTER_CREATE,
+      entityId: newCounter.id,
+      after: newCounter,
+    });
+
     res.status(201).json({
       success: true,
       data: newCounter,
@@ -632,6 +1226,11 @@ exports.updateCounter = async (req, res) => {
       });
     }
 
+    if (!isServiceInScope(req.serviceScope, counter.service_id)
+      || (updateData.service_id && !isServiceInScope(req.serviceScope, updateData.service_id))) {
+      return outOfScope(res);
+    }
+
     // If service_id is being updated, verify it exists
     if (updateData.service_id) {
       const service = await Service.findById(updateData.service_id);
@@ -645,25 +1244,20 @@ exports.updateCounter = async (req, res) => {
       }
     }
 
-    // Validate status if provided
-    if (updateData.status) {
-      const allowedStatuses = ['open', 'busy', 'closed', 'break'];
-      if (!allowedStatuses.includes(updateData.status)) {
-        return res.status(400).json({
-          success: false,
-          error: {
-            message: 'Invalid counter status',
-          },
-        });
-      }
-    }
-
     const updatedCounter = await Counter.update(id, updateData);
 
     // Clear services cache (counters are part of service data)
     const cache = require('../utils/cache');
     cache.delete('services:active');
 
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.COUNTER_UPDATE,
+      entityId: counter.id,
+      before: counter,
+      after: updatedCounter,
+      fields: Object.keys(updateData),
+    });
+
     res.json({
       success: true,
       data: updatedCounter,
@@ -709,6 +1303,10 @@ exports.deleteCounter = async (req, res) => {
       });
     }
 
+    if (!isServiceInScope(req.serviceScope, counter.service_id)) {
+      return outOfScope(res);
+    }
+
     const deletedCounter = await Counter.delete(id);
     
     if (!deletedCounter) {
@@ -724,6 +1322,14 @@ exports.deleteCounter = async (req, res) => {
     const cache = require('../utils/cache');
     cache.delete('services:active');
 
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.COUNTER_DELETE,
+      entityId: counter.id,
+      before: counter,
+      after: deletedCounter,
+      fields: ['is_active'],
+    });
+
     res.json({
       success: true,
       message: 'Counter deleted successfully',
@@ -749,15 +1355,6 @@ exports.assignCounterToStaff = async (req, res) => {
     const { id } = req.params;
     const { user_ids, is_primary } = req.body;
 
-    if (!user_ids || !Array.isArray(user_ids) || user_ids.length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          message: 'User IDs array is required',
-        },
-      });
-    }
-
     const counter = await Counter.findById(id);
     if (!counter) {
       return res.status(404).json({
@@ -768,7 +1365,16 @@ exports.assignCounterToStaff = async (req, res) => {
       });
     }
 
+    if (!isServiceInScope(req.serviceScope, counter.service_id)) {
+      return outOfScope(res);
+    }
+
     const { query } = require('../config/database');
+
+    const previousStaff = await query(
+      'SELECT user_id FROM counter_staff WHERE counter_id = $1 ORDER BY user_id',
+      [id]
+    );
     
     // Remove existing assignments for this counter
     await query('DELETE FROM counter_staff WHERE counter_id = $1', [id]);
@@ -784,6 +1390,13 @@ exports.assignCounterToStaff = async (req, res) => {
 
     await Promise.all(insertPromises);
 
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.COUNTER_STAFF_ASSIGN,
+      entityId: counter.id,
+      before: { staff_user_ids: previousStaff.rows.map(row => row.user_id) },
+      after: { staff_user_ids: user_ids.map(userId => parseInt(userId)).sort((a, b) => a - b) },
+    });
+
     res.json({
       success: true,
       message: 'Counter assigned to staff successfully',
@@ -818,6 +1431,10 @@ exports.getCounterStaff = async (req, res) => {
       });
     }
 
+    if (!isServiceInScope(req.serviceScope, counter.service_id)) {
+      return outOfScope(res);
+    }
+
     const { query } = require('../config/database');
     const result = await query(
       `SELECT cs.*, u.id as user_id, u.first_name, u.last_name, u.email, u.student_id
@@ -844,6 +1461,38 @@ exports.getCounterStaff = async (req, res) => {
   }
 };
 
+/**
+ * Get the users who can be assigned to counters
+ * GET /api/admin/counters/staff-options
+ */
+exports.getCounterStaffOptions = async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT DISTINCT u.id, u.first_name, u.last_name, u.email, u.role
+       FROM users u
+       JOIN roles r ON r.name = u.role
+       JOIN role_permissions rp ON rp.role_id = r.id
+       WHERE rp.permission = $1 AND u.is_active = true
+       ORDER BY u.first_name, u.last_name`,
+      [PERMISSIONS.COUNTERS_OPERATE]
+    );
+
+    res.json({
+      success: true,
+      data: result.rows,
+    });
+  } catch (error) {
+    console.error('Get counter staff options error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error fetching staff',
+        ...(process.env.NODE_ENV === 'development' && { detail: error.message }),
+      },
+    });
+  }
+};
+
 /**
  * Get all queues with filters
  * GET /api/admin/queues
@@ -856,6 +1505,7 @@ exports.getAllQueues = async (req, res) => {
       startDate: req.query.start_date,
       endDate: req.query.end_date,
       search: req.query.search,
+      serviceIds: req.serviceScope,
       page: parseInt(req.query.page) || 1,
       limit: parseInt(req.query.limit) || 50,
     };
@@ -894,17 +1544,21 @@ exports.updateQueueStatus = async (req, res) => {
     const { status } = req.body;
     const adminId = req.user.userId;
 
-    if (!status) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          message: 'Status is required',
-        },
-      });
+    const queueEntry = await Queue.findById(id);
+    if (queueEntry && !isServiceInScope(req.serviceScope, queueEntry.service_id)) {
+      return outOfScope(res);
     }
 
     const updatedQueue = await Queue.updateStatus(id, status, adminId);
 
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.QUEUE_STATUS_UPDATE,
+      entityId: updatedQueue.id,
+      before: queueEntry,
+      after: updatedQueue,
+      fields: ['status'],
+    });
+
     // Emit socket event for real-time updates
     const QueueEvents = require('../socket/queueEvents');
     await QueueEvents.emitQueueUpdated(updatedQueue);
@@ -945,6 +1599,73 @@ exports.updateQueueStatus = async (req, res) => {
   }
 };
 
+/**
+ * Reprint a queue ticket on the thermal printer
+ * POST /api/admin/queues/:id/print
+ */
+exports.reprintQueueTicket = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const queueEntry = await Queue.findById(id);
+    if (!queueEntry) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Queue entry not found',
+        },
+      });
+    }
+
+    if (!isServiceInScope(req.serviceScope, queueEntry.service_id)) {
+      return outOfScope(res);
+    }
+
+    const result = await printQueueTicket(queueEntry, { reprint: true });
+
+    res.json({
+      success: true,
+      data: {
+        queueId: queueEntry.id,
+        queueNumber: queueEntry.queue_number,
+        ...result,
+      },
+      message: `Ticket ${queueEntry.queue_number} sent to the printer`,
+    });
+  } catch (error) {
+    console.error('Reprint queue ticket error:', error);
+
+    if (error.message.includes('not configured')) {
+      return res.status(503).json({
+        success: false,
+        error: {
+          message: 'No ticket printer is configured',
+          code: PRINTER_CODES.PRINTER_NOT_CONFIGURED,
+        },
+      });
+    }
+
+    if (error.message.includes('printer unavailable')) {
+      return res.status(502).json({
+        success: false,
+        error: {
+          message: 'Could not reach the ticket printer',
+          code: PRINTER_CODES.PRINTER_UNAVAILABLE,
+          ...(process.env.NODE_ENV === 'development' && { detail: error.message }),
+        },
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error printing ticket',
+        ...(process.env.NODE_ENV === 'development' && { detail: error.message }),
+      },
+    });
+  }
+};
+
 /**
  * Get display board data (for TV projection)
  * GET /api/admin/display-board
@@ -956,7 +1677,7 @@ exports.getDisplayBoard = async (req, res) => {
     // Get currently serving queues
     const servingSql = `
       SELECT 
-        qe.id, qe.queue_number, qe.queue_position,
+        qe.id, qe.queue_number, qe.queue_position, qe.priority_category,
         s.name as service_name, s.location as service_location,
         c.counter_number, c.name as counter_name
       FROM queue_entries qe
@@ -970,7 +1691,7 @@ exports.getDisplayBoard = async (req, res) => {
     // Get called queues (next in line)
     const calledSql = `
       SELECT 
-        qe.id, qe.queue_number, qe.queue_position,
+        qe.id, qe.queue_number, qe.queue_position, qe.priority_category,
         s.name as service_name, s.location as service_location,
         c.counter_number, c.name as counter_name
       FROM queue_entries qe
@@ -986,7 +1707,8 @@ exports.getDisplayBoard = async (req, res) => {
     const waitingSql = `
       SELECT 
         s.id as service_id, s.name as service_name,
-        COUNT(qe.id) as waiting_count
+        COUNT(qe.id) as waiting_count,
+        COUNT(qe.id) FILTER (WHERE qe.priority_category IS NOT NULL) as priority_waiting_count
       FROM services s
       LEFT JOIN queue_entries qe ON s.id = qe.service_id 
         AND qe.status = 'waiting'
@@ -1027,6 +1749,77 @@ exports.getDisplayBoard = async (req, res) => {
   }
 };
 
+/**
+ * Get the rotating on-site check-in code for the display board
+ * GET /api/admin/display-board/checkin-token?serviceId=
+ */
+exports.getCheckInToken = async (req, res) => {
+  try {
+    const serviceId = req.query.serviceId ? parseInt(req.query.serviceId) : null;
+
+    const sql = `
+      SELECT COUNT(*) as required_count
+      FROM services s
+      JOIN service_settings ss ON ss.service_id = s.id
+      WHERE s.is_active = true
+        AND ss.require_onsite_checkin = true
+        AND ($1::integer IS NULL OR s.id = $1);
+    `;
+    const result = await query(sql, [serviceId]);
+    const required = parseInt(result.rows[0].required_count) > 0;
+
+    if (!required) {
+      return res.json({
+        success: true,
+        data: {
+          required: false,
+        },
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        required: true,
+        ...createCheckInToken(serviceId),
+      },
+    });
+  } catch (error) {
+    console.error('Get check-in token error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error creating check-in code',
+        ...(process.env.NODE_ENV === 'development' && { detail: error.message }),
+      },
+    });
+  }
+};
+
+/**
+ * Get a read-only WebSocket token for the display board
+ * GET /api/admin/display-board/socket-token?serviceId=
+ */
+exports.getDisplayBoardSocketToken = async (req, res) => {
+  try {
+    const serviceId = req.query.serviceId ? parseInt(req.query.serviceId) : null;
+
+    res.json({
+      success: true,
+      data: createDisplayBoardToken(serviceId),
+    });
+  } catch (error) {
+    console.error('Get display board socket token error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error creating display board token',
+        ...(process.env.NODE_ENV === 'development' && { detail: error.message }),
+      },
+    });
+  }
+};
+
 /**
  * Get system settings
  * GET /api/admin/settings
@@ -1051,13 +1844,17 @@ exports.getSystemSettings = async (req, res) => {
     const defaultSettings = {
       queue_number_prefix: '',
       notification_before_minutes: 5,
+      notification_at_position: 3,
       auto_refresh_interval: 5,
       display_board_refresh_interval: 5,
       max_queue_per_user: 3,
+      skip_grace_period_minutes: 5,
+      max_recall_count: 3,
       enable_sms_notifications: false,
       enable_email_notifications: false,
       system_maintenance_mode: false,
       maintenance_message: '',
+      require_two_factor_roles: [],
     };
     
     try {
@@ -1147,8 +1944,23 @@ exports.updateSystemSettings = async (req, res) => {
   try {
     const settings = req.body;
     const { query } = require('../config/database');
+
+    if (settings.require_two_factor_roles !== undefined) {
+      const policyError = validateTwoFactorPolicy(settings.require_two_factor_roles);
+      if (policyError) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: policyError,
+          },
+        });
+      }
+    }
     
     try {
+      const previous = await query(`SELECT settings FROM system_settings WHERE id = 1;`);
+      const previousSettings = previous.rows[0]?.settings || null;
+
       const updateSql = `
         UPDATE system_settings
         SET settings = $1::jsonb, updated_at = CURRENT_TIMESTAMP
@@ -1162,6 +1974,12 @@ exports.updateSystemSettings = async (req, res) => {
         // Invalidate cache when settings are updated
         const cache = require('../utils/cache');
         cache.delete('system:settings');
+
+        await recordAudit(req, {
+          action: AUDIT_ACTIONS.SETTINGS_UPDATE,
+          before: previousSettings,
+          after: result.rows[0].settings,
+        });
         
         return res.json({
           success: true,
@@ -1179,6 +1997,11 @@ exports.updateSystemSettings = async (req, res) => {
         RETURNING settings;
       `;
       const insertResult = await query(insertSql, [JSON.stringify(settings)]);
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.SETTINGS_UPDATE,
+        after: insertResult.rows[0].settings,
+      });
       
       return res.json({
         success: true,
@@ -1209,264 +2032,173 @@ exports.updateSystemSettings = async (req, res) => {
 };
 
 /**
- * Run database migrations
- * POST /api/admin/migrate
- * Requires MIGRATION_SECRET in environment variables
+ * Browse the admin audit log
+ * GET /api/admin/audit
  */
-exports.runMigrations = async (req, res) => {
+exports.getAuditLog = async (req, res) => {
   try {
-    // Check for migration secret
-    const providedSecret = req.headers['x-migration-secret'] || req.body.secret;
-    const expectedSecret = process.env.MIGRATION_SECRET;
+    const { actorId, action, entityType, entityId, from, to } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const { entries, total } = await AuditLog.findAll(
+      {
+        actorId: actorId ? parseInt(actorId) : null,
+        action,
+        entityType,
+        entityId,
+        from,
+        to,
+      },
+      { limit, offset: (page - 1) * limit }
+    );
 
-    if (!expectedSecret) {
-      return res.status(500).json({
-        success: false,
-        error: {
-          message: 'Migration secret not configured',
+    res.json({
+      success: true,
+      data: {
+        entries,
+        filters: {
+          actions: Object.values(AUDIT_ACTIONS),
+          entityTypes: AUDIT_ENTITY_TYPES,
         },
-      });
-    }
-
-    if (providedSecret !== expectedSecret) {
-      return res.status(401).json({
-        success: false,
-        error: {
-          message: 'Invalid migration secret',
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
         },
-      });
-    }
+      },
+    });
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error fetching audit log',
+        ...(process.env.NODE_ENV === 'development' && { detail: error.message }),
+      },
+    });
+  }
+};
 
-    const fs = require('fs');
-    const path = require('path');
-
-    // Embedded SQL migrations (fallback if files not found)
-    const embeddedMigrations = {
-      '001_create_tables.sql': `-- Create all tables
-CREATE TABLE IF NOT EXISTS users (
-    id SERIAL PRIMARY KEY,
-    student_id VARCHAR(50) UNIQUE,
-    email VARCHAR(255) UNIQUE NOT NULL,
-    password_hash VARCHAR(255) NOT NULL,
-    first_name VARCHAR(100) NOT NULL,
-    last_name VARCHAR(100) NOT NULL,
-    phone_number VARCHAR(20),
-    role VARCHAR(20) NOT NULL DEFAULT 'student',
-    is_active BOOLEAN DEFAULT true,
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    CONSTRAINT chk_role CHECK (role IN ('student', 'counter_staff', 'admin'))
-);
-CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
-CREATE INDEX IF NOT EXISTS idx_users_student_id ON users(student_id);
-CREATE INDEX IF NOT EXISTS idx_users_role ON users(role);
-CREATE TABLE IF NOT EXISTS services (
-    id SERIAL PRIMARY KEY,
-    name VARCHAR(100) NOT NULL UNIQUE,
-    description TEXT,
-    location VARCHAR(255),
-    is_active BOOLEAN DEFAULT true,
-    estimated_service_time INTEGER DEFAULT 5,
-    max_queue_size INTEGER DEFAULT 100,
-    operating_hours_start TIME,
-    operating_hours_end TIME,
-    queue_prefix VARCHAR(10),
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-);
-CREATE INDEX IF NOT EXISTS idx_services_is_active ON services(is_active);
-CREATE TABLE IF NOT EXISTS counters (
-    id SERIAL PRIMARY KEY,
-    service_id INTEGER NOT NULL REFERENCES services(id) ON DELETE CASCADE,
-    counter_number VARCHAR(10) NOT NULL,
-    name VARCHAR(100),
-    status VARCHAR(20) DEFAULT 'closed',
-    current_serving_queue_id INTEGER,
-    is_active BOOLEAN DEFAULT true,
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    CONSTRAINT chk_counter_status CHECK (status IN ('open', 'busy', 'closed', 'break')),
-    CONSTRAINT unique_counter_per_service UNIQUE (service_id, counter_number)
-);
-CREATE INDEX IF NOT EXISTS idx_counters_service_id ON counters(service_id);
-CREATE INDEX IF NOT EXISTS idx_counters_status ON counters(status);
-CREATE TABLE IF NOT EXISTS queue_entries (
-    id SERIAL PRIMARY KEY,
-    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-    service_id INTEGER NOT NULL REFERENCES services(id) ON DELETE CASCADE,
-    counter_id INTEGER REFERENCES counters(id),
-    queue_number VARCHAR(20) NOT NULL,
-    queue_position INTEGER NOT NULL,
-    status VARCHAR(20) DEFAULT 'waiting',
-    estimated_wait_time INTEGER,
-    requested_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    called_at TIMESTAMP,
-    started_serving_at TIMESTAMP,
-    completed_at TIMESTAMP,
-    cancelled_at TIMESTAMP,
-    notes TEXT,
-    CONSTRAINT chk_queue_status CHECK (status IN ('waiting', 'called', 'serving', 'completed', 'skipped', 'cancelled'))
-);
-CREATE INDEX IF NOT EXISTS idx_queue_entries_user_id ON queue_entries(user_id);
-CREATE INDEX IF NOT EXISTS idx_queue_entries_service_id ON queue_entries(service_id);
-CREATE INDEX IF NOT EXISTS idx_queue_entries_counter_id ON queue_entries(counter_id);
-CREATE INDEX IF NOT EXISTS idx_queue_entries_status ON queue_entries(status);
-CREATE INDEX IF NOT EXISTS idx_queue_entries_requested_at ON queue_entries(requested_at);
-ALTER TABLE counters ADD CONSTRAINT fk_counters_current_serving_queue_id FOREIGN KEY (current_serving_queue_id) REFERENCES queue_entries(id);
-CREATE TABLE IF NOT EXISTS queue_logs (
-    id SERIAL PRIMARY KEY,
-    queue_entry_id INTEGER NOT NULL REFERENCES queue_entries(id) ON DELETE CASCADE,
-    service_id INTEGER NOT NULL REFERENCES services(id),
-    counter_id INTEGER REFERENCES counters(id),
-    action VARCHAR(50) NOT NULL,
-    action_timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    notes TEXT,
-    metadata JSONB
-);
-CREATE INDEX IF NOT EXISTS idx_queue_logs_queue_entry_id ON queue_logs(queue_entry_id);
-CREATE TABLE IF NOT EXISTS counter_staff (
-    id SERIAL PRIMARY KEY,
-    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-    counter_id INTEGER NOT NULL REFERENCES counters(id) ON DELETE CASCADE,
-    is_primary BOOLEAN DEFAULT false,
-    assigned_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    CONSTRAINT unique_staff_counter UNIQUE (user_id, counter_id)
-);
-CREATE INDEX IF NOT EXISTS idx_counter_staff_user_id ON counter_staff(user_id);
-CREATE INDEX IF NOT EXISTS idx_counter_staff_counter_id ON counter_staff(counter_id);
-CREATE TABLE IF NOT EXISTS notifications (
-    id SERIAL PRIMARY KEY,
-    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-    queue_entry_id INTEGER REFERENCES queue_entries(id) ON DELETE SET NULL,
-    title VARCHAR(255) NOT NULL,
-    message TEXT NOT NULL,
-    type VARCHAR(50) NOT NULL,
-    is_read BOOLEAN DEFAULT false,
-    sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    read_at TIMESTAMP,
-    CONSTRAINT chk_notification_type CHECK (type IN ('queue_ready', 'approaching', 'called', 'general', 'system'))
-);
-CREATE INDEX IF NOT EXISTS idx_notifications_user_id ON notifications(user_id);
-CREATE OR REPLACE FUNCTION update_updated_at_column()
-RETURNS TRIGGER AS $$
-BEGIN
-    NEW.updated_at = CURRENT_TIMESTAMP;
-    RETURN NEW;
-END;
-$$ LANGUAGE plpgsql;`,
-      '002_create_system_settings.sql': `CREATE TABLE IF NOT EXISTS system_settings (
-    id INTEGER PRIMARY KEY DEFAULT 1,
-    settings JSONB NOT NULL DEFAULT '{}'::jsonb,
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    CONSTRAINT single_row CHECK (id = 1)
-);
-INSERT INTO system_settings (id, settings)
-VALUES (1, '{"queue_number_prefix": "", "notification_before_minutes": 5, "auto_refresh_interval": 5, "display_board_refresh_interval": 5, "max_queue_per_user": 3, "enable_sms_notifications": false, "enable_email_notifications": false, "system_maintenance_mode": false, "maintenance_message": ""}'::jsonb)
-ON CONFLICT (id) DO NOTHING;`,
-      '003_add_queue_prefix_to_services.sql': `ALTER TABLE services ADD COLUMN IF NOT EXISTS queue_prefix VARCHAR(10);`,
-      '004_add_performance_indexes.sql': `CREATE INDEX IF NOT EXISTS idx_users_is_active ON users(is_active);
-CREATE INDEX IF NOT EXISTS idx_queue_entries_service_status ON queue_entries(service_id, status);
-CREATE INDEX IF NOT EXISTS idx_queue_entries_user_service ON queue_entries(user_id, service_id, status);
-CREATE INDEX IF NOT EXISTS idx_services_name ON services(name);
-CREATE INDEX IF NOT EXISTS idx_counters_is_active ON counters(is_active);
-CREATE INDEX IF NOT EXISTS idx_counters_service_active ON counters(service_id, is_active);`
-    };
+/**
+ * Browse the email and SMS delivery log
+ * GET /api/admin/notification-deliveries?status=failed&channel=sms&page=1&limit=50
+ */
+exports.getNotificationDeliveries = async (req, res) => {
+  try {
+    const { status, channel, event, userId, page, limit } = req.query;
 
-    const migrations = [
-      '001_create_tables.sql',
-      '002_create_system_settings.sql',
-      '003_add_queue_prefix_to_services.sql',
-      '004_add_performance_indexes.sql',
-    ];
-
-    // Try to load from files first, fallback to embedded SQL
-    let migrationsDir = path.join(__dirname, '..', '..', 'database', 'migrations');
-    if (!fs.existsSync(migrationsDir)) {
-      migrationsDir = path.join(process.cwd(), '..', 'database', 'migrations');
-    }
-    if (!fs.existsSync(migrationsDir)) {
-      migrationsDir = path.join(process.cwd(), 'database', 'migrations');
-    }
+    const { entries, total } = await NotificationDelivery.findAll(
+      { status, channel, event, userId },
+      { limit, offset: (page - 1) * limit }
+    );
 
-    const results = [];
+    res.json({
+      success: true,
+      data: {
+        entries,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Get notification deliveries error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error fetching notification deliveries',
+        ...(process.env.NODE_ENV === 'development' && { detail: error.message }),
+      },
+    });
+  }
+};
 
-    for (const migrationFile of migrations) {
-      let sql = null;
-      let source = 'file';
+/**
+ * Status of each database migration
+ * GET /api/admin/migrate
+ * Requires MIGRATION_SECRET in environment variables
+ */
+exports.getMigrationStatus = async (req, res) => {
+  try {
+    const status = await migrator.getMigrationStatus();
 
-      // Try to read from file
-      const filePath = path.join(migrationsDir, migrationFile);
-      if (fs.existsSync(filePath)) {
-        try {
-          sql = fs.readFileSync(filePath, 'utf8');
-        } catch (fileError) {
-          console.log(`Could not read ${migrationFile} from file, using embedded version`);
-        }
-      }
+    res.json({
+      success: true,
+      ...status,
+    });
+  } catch (error) {
+    console.error('Get migration status error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error reading migration status',
+        code: error.code,
+        detail: error.message,
+      },
+    });
+  }
+};
 
-      // Fallback to embedded SQL
-      if (!sql && embeddedMigrations[migrationFile]) {
-        sql = embeddedMigrations[migrationFile];
-        source = 'embedded';
-      }
+/**
+ * Run database migrations
+ * POST /api/admin/migrate
+ * Body: { direction: 'up' | 'down', steps, to, dryRun, allowChanged }
+ * Requires MIGRATION_SECRET in environment variables
+ */
+exports.runMigrations = async (req, res) => {
+  const { direction = 'up', steps, to, dryRun = false, allowChanged = false } = req.body || {};
 
-      if (!sql) {
-        results.push({
-          file: migrationFile,
-          status: 'error',
-          message: 'Migration SQL not found',
-        });
-        continue;
-      }
+  try {
+    const summary = await migrator.runMigrations({
+      direction,
+      steps,
+      to,
+      dryRun: dryRun === true,
+      allowChanged: allowChanged === true,
+    });
 
-      try {
-        await query(sql);
-        results.push({
-          file: migrationFile,
-          status: 'success',
-          message: `Migration completed (${source})`,
-        });
-      } catch (error) {
-        if (error.message.includes('already exists') || 
-            error.message.includes('duplicate') ||
-            error.message.includes('does not exist')) {
-          results.push({
-            file: migrationFile,
-            status: 'skipped',
-            message: 'Already applied or not needed',
-          });
-        } else {
-          results.push({
-            file: migrationFile,
-            status: 'error',
-            message: error.message,
-          });
-        }
-      }
+    const verb = summary.direction === 'up' ? 'apply' : 'revert';
+    let message;
+    if (summary.plan.length === 0) {
+      message = summary.direction === 'up' ? 'Database is up to date' : 'Nothing to revert';
+    } else if (summary.dryRun) {
+      message = `Would ${verb} ${summary.plan.length} migration(s)`;
+    } else {
+      message = `Migrations ${verb === 'apply' ? 'applied' : 'reverted'}: ${summary.results.length}`;
     }
 
-    // Verify tables
-    const tablesResult = await query(`
-      SELECT table_name 
-      FROM information_schema.tables 
-      WHERE table_schema = 'public' 
-      ORDER BY table_name;
-    `);
-
     res.json({
       success: true,
-      message: 'Migrations completed',
-      results,
-      tables: tablesResult.rows.map(row => row.table_name),
+      message,
+      ...summary,
     });
   } catch (error) {
-    console.error('Run migrations error:', error);
-    res.status(500).json({
+    const { MIGRATION_CODES } = migrator;
+    const statusByCode = {
+      [MIGRATION_CODES.INVALID_OPTIONS]: 400,
+      [MIGRATION_CODES.CHECKSUM_MISMATCH]: 409,
+      [MIGRATION_CODES.DOWN_MIGRATION_MISSING]: 409,
+      [MIGRATION_CODES.MIGRATION_LOCKED]: 409,
+    };
+    const status = statusByCode[error.code] || 500;
+
+    if (status === 500) {
+      console.error('Run migrations error:', error);
+    }
+    res.status(status).json({
       success: false,
       error: {
-        message: 'Error running migrations',
-        detail: error.message,
+        message: status === 500 ? 'Error running migrations' : error.message,
+        code: error.code,
+        ...(error.migrations && { migrations: error.migrations }),
+        ...(error.migration && { migration: error.migration }),
+        ...(error.results && { results: error.results }),
+        ...(status === 500 && { detail: error.message }),
       },
     });
   }
@@ -1479,28 +2211,6 @@ CREATE INDEX IF NOT EXISTS idx_counters_service_active ON counters(service_id, i
  */
 exports.seedDemoData = async (req, res) => {
   try {
-    // Check for migration secret
-    const providedSecret = req.headers['x-migration-secret'] || req.body.secret;
-    const expectedSecret = process.env.MIGRATION_SECRET;
-
-    if (!expectedSecret) {
-      return res.status(500).json({
-        success: false,
-        error: {
-          message: 'Migration secret not configured',
-        },
-      });
-    }
-
-    if (providedSecret !== expectedSecret) {
-      return res.status(401).json({
-        success: false,
-        error: {
-          message: 'Invalid migration secret',
-        },
-      });
-    }
-
     const bcrypt = require('bcrypt');
 
     // Generate password hash for demo accounts
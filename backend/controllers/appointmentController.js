@@ -0,0 +1,719 @@
+const Appointment = require('../models/Appointment');
+const Service = require('../models/Service');
+const Role = require('../models/Role');
+const ServiceSchedule = require('../models/ServiceSchedule');
+const QueueEvents = require('../socket/queueEvents');
+const {
+  APPOINTMENT_BOOKING_DAYS,
+  APPOINTMENT_CODES,
+  toDateTime,
+  getCheckInState,
+  isBookableDate,
+} = require('../utils/appointments');
+const { getHoursForDate, normalizeTime, isValidTime, toDateKey } = require('../utils/serviceSchedule');
+const { PERMISSIONS, isServiceInScope } = require('../utils/permissions');
+const { AUDIT_ACTIONS, recordAudit } = require('../utils/audit');
+
+/**
+ * Get system settings helper
+ */
+const getSystemSettings = async () => {
+  try {
+    const { query } = require('../config/database');
+    const sql = `SELECT settings FROM system_settings WHERE id = 1;`;
+    const result = await query(sql);
+
+    if (result.rows.length > 0) {
+      return result.rows[0].settings;
+    }
+
+    return {
+      system_maintenance_mode: false,
+      maintenance_message: '',
+    };
+  } catch (error) {
+    // If table doesn't exist, return defaults
+    return {
+      system_maintenance_mode: false,
+      maintenance_message: '',
+    };
+  }
+};
+
+/**
+ * Validate a slot definition body (partial when updating)
+ * Returns an error message or null
+ */
+const validateSlot = (data, existing = {}) => {
+  const merged = { ...existing, ...data };
+
+  if (!isValidTime(merged.start_time) || !isValidTime(merged.end_time)) {
+    return 'Start and end times are required (HH:MM)';
+  }
+  if (normalizeTime(merged.start_time) >= normalizeTime(merged.end_time)) {
+    return 'End time must be after start time';
+  }
+  return null;
+};
+
+/**
+ * Check that a slot fits inside the hours a service is open on a date
+ */
+const slotFitsHours = (slot, hours) => {
+  if (hours.isClosed) return false;
+  if (hours.allDay) return true;
+  return normalizeTime(slot.start_time) >= hours.openTime
+    && normalizeTime(slot.end_time) <= hours.closeTime;
+};
+
+/**
+ * Add check-in state to appointments using each service's check-in window
+ */
+const withCheckInState = async (appointments) => {
+  const serviceIds = [...new Set(appointments.map(a => a.service_id))];
+  const settingsList = await Promise.all(serviceIds.map(id => Service.getSettings(id)));
+  const windowByService = {};
+  serviceIds.forEach((id, index) => {
+    windowByService[id] = settingsList[index].appointment_checkin_window_minutes;
+  });
+
+  return appointments.map((appointment) => ({
+    ...appointment,
+    checkIn: appointment.status === 'booked'
+      ? getCheckInState(appointment, windowByService[appointment.service_id])
+      : null,
+  }));
+};
+
+const isStaff = (user) => Role.hasPermission(
+  user.role,
+  PERMISSIONS.COUNTERS_OPERATE,
+  PERMISSIONS.QUEUES_OVERRIDE,
+  PERMISSIONS.SERVICES_MANAGE
+);
+
+/**
+ * Get bookable slots of a service for a date
+ * GET /api/appointments/services/:serviceId/slots?date=YYYY-MM-DD
+ */
+exports.getAvailableSlots = async (req, res) => {
+  try {
+    const { serviceId } = req.params;
+    const date = req.query.date || toDateKey(new Date());
+
+    const service = await Service.findById(serviceId);
+    if (!service || !service.is_active) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Service not found or inactive',
+        },
+      });
+    }
+
+    if (!isBookableDate(date)) {
+      return res.json({
+        success: true,
+        data: {
+          date,
+          isClosed: false,
+          reason: null,
+          slots: [],
+        },
+        message: `Appointments can be booked up to ${APPOINTMENT_BOOKING_DAYS} days ahead`,
+      });
+    }
+
+    const [slots, schedules] = await Promise.all([
+      Appointment.getSlotsForDate(service.id, date),
+      ServiceSchedule.findForServices([service.id], APPOINTMENT_BOOKING_DAYS),
+    ]);
+    const hours = getHoursForDate(service, schedules[service.id], toDateTime(date, '00:00'));
+    const now = new Date();
+
+    res.json({
+      success: true,
+      data: {
+        date,
+        isClosed: hours.isClosed,
+        reason: hours.reason,
+        slots: slots
+          .filter(slot => slotFitsHours(slot, hours))
+          .map(slot => ({
+            ...slot,
+            available: slot.remaining > 0 && toDateTime(date, slot.start_time) > now,
+          })),
+      },
+    });
+  } catch (error) {
+    console.error('Get appointment slots error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error fetching appointment slots',
+        ...(process.env.NODE_ENV === 'development' && { detail: error.message }),
+      },
+    });
+  }
+};
+
+/**
+ * Book an appointment slot
+ * POST /api/appointments
+ */
+exports.bookAppointment = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { serviceId, slotId, date, notes } = req.body;
+
+    if (!isBookableDate(date)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: `Date must be between today and ${APPOINTMENT_BOOKING_DAYS} days ahead (YYYY-MM-DD)`,
+        },
+      });
+    }
+
+    const service = await Service.findById(serviceId);
+    if (!service || !service.is_active) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Service not found or inactive',
+        },
+      });
+    }
+
+    const slot = await Appointment.findSlot(service.id, slotId);
+    if (!slot || !slot.is_active) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Appointment slot not found',
+        },
+      });
+    }
+
+    if (toDateTime(date, slot.start_time) <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'This appointment slot has already started',
+        },
+      });
+    }
+
+    // Holidays and changed hours close slots for that date
+    const schedules = await ServiceSchedule.findForServices([service.id], APPOINTMENT_BOOKING_DAYS);
+    const hours = getHoursForDate(service, schedules[service.id], toDateTime(date, '00:00'));
+    if (!slotFitsHours(slot, hours)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: hours.reason
+            ? `This service is closed on ${date} (${hours.reason})`
+            : 'This service is not open during that slot',
+        },
+      });
+    }
+
+    const appointment = await Appointment.book({
+      userId,
+      serviceId: service.id,
+      slotId: slot.id,
+      date,
+      notes: notes ? String(notes).trim() : null,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ...appointment,
+        service_name: service.name,
+        service_location: service.location,
+      },
+      message: 'Appointment booked successfully',
+    });
+  } catch (error) {
+    console.error('Book appointment error:', error);
+
+    if (error.message.includes('fully booked')) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: error.message,
+          code: APPOINTMENT_CODES.SLOT_FULL,
+        },
+      });
+    }
+
+    if (error.message.includes('slot not found')) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: error.message,
+        },
+      });
+    }
+
+    // Lost a race against a parallel booking from the same user
+    if (error.message.includes('already have an appointment') || error.code === '23505') {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'You already have an appointment for this service on that date',
+        },
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error booking appointment',
+        ...(process.env.NODE_ENV === 'development' && { detail: error.message }),
+      },
+    });
+  }
+};
+
+/**
+ * Get the current user's appointments
+ * GET /api/appointments/my
+ */
+exports.getMyAppointments = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const includePast = req.query.includePast === true;
+
+    const appointments = await Appointment.findByUser(userId, includePast);
+
+    res.json({
+      success: true,
+      data: await withCheckInState(appointments),
+    });
+  } catch (error) {
+    console.error('Get my appointments error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error fetching appointments',
+        ...(process.env.NODE_ENV === 'development' && { detail: error.message }),
+      },
+    });
+  }
+};
+
+/**
+ * Cancel an appointment
+ * DELETE /api/appointments/:id/cancel
+ */
+exports.cancelAppointment = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Staff can cancel any booking, students only their own
+    const appointment = await Appointment.cancel(id, (await isStaff(req.user)) ? null : req.user.userId);
+
+    res.json({
+      success: true,
+      data: appointment,
+      message: 'Appointment cancelled successfully',
+    });
+  } catch (error) {
+    console.error('Cancel appointment error:', error);
+
+    if (error.message.includes('not found') || error.message.includes('access denied')) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: error.message,
+        },
+      });
+    }
+
+    if (error.message.includes('Only booked appointments')) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: error.message,
+        },
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error cancelling appointment',
+        ...(process.env.NODE_ENV === 'development' && { detail: error.message }),
+      },
+    });
+  }
+};
+
+/**
+ * Check in an appointment and turn it into a queue entry ahead of walk-ins
+ * POST /api/appointments/:id/check-in
+ */
+exports.checkInAppointment = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const appointment = await Appointment.findById(id);
+    if (!appointment || (appointment.user_id !== req.user.userId && !(await isStaff(req.user)))) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Appointment not found',
+        },
+      });
+    }
+
+    if (appointment.status !== 'booked') {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Only booked appointments can be checked in',
+        },
+      });
+    }
+
+    const systemSettings = await getSystemSettings();
+    if (systemSettings.system_maintenance_mode === true) {
+      return res.status(503).json({
+        success: false,
+        error: {
+          message: systemSettings.maintenance_message || 'System is currently under maintenance. Please try again later.',
+          maintenanceMode: true,
+        },
+      });
+    }
+
+    const serviceSettings = await Service.getSettings(appointment.service_id);
+    const checkIn = getCheckInState(appointment, serviceSettings.appointment_checkin_window_minutes);
+    if (!checkIn.canCheckIn) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: checkIn.message,
+          code: checkIn.code,
+        },
+      });
+    }
+
+    const { appointment: checkedIn, queue } = await Appointment.checkIn(appointment.id);
+
+    // Emit WebSocket event
+    await QueueEvents.emitQueueCreated(queue);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        appointment: checkedIn,
+        queue: {
+          id: queue.id,
+          queueNumber: queue.queue_number,
+          queuePosition: queue.queue_position,
+          serviceId: queue.service_id,
+          serviceName: appointment.service_name,
+          estimatedWaitTime: queue.estimated_wait_time,
+          status: queue.status,
+          appointmentId: queue.appointment_id,
+          requestedAt: queue.requested_at,
+        },
+      },
+      message: 'Checked in successfully',
+    });
+  } catch (error) {
+    console.error('Check in appointment error:', error);
+
+    if (error.message.includes('already have an active queue') || error.message.includes('Only booked appointments')) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: error.message,
+        },
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error checking in appointment',
+        ...(process.env.NODE_ENV === 'development' && { detail: error.message }),
+      },
+    });
+  }
+};
+
+/**
+ * Get all appointments for a day (admin day view)
+ * GET /api/admin/appointments?date=YYYY-MM-DD&serviceId=
+ */
+exports.getDayAppointments = async (req, res) => {
+  try {
+    const date = req.query.date || toDateKey(new Date());
+    const serviceId = req.query.serviceId ? parseInt(req.query.serviceId) : null;
+
+    const dayAppointments = (await Appointment.findByDate(date, serviceId))
+      .filter((appointment) => isServiceInScope(req.serviceScope, appointment.service_id));
+    const appointments = await withCheckInState(dayAppointments);
+
+    const summary = {
+      total: appointments.filter(a => a.status !== 'cancelled').length,
+      booked: appointments.filter(a => a.status === 'booked').length,
+      checkedIn: appointments.filter(a => a.status === 'checked_in').length,
+      cancelled: appointments.filter(a => a.status === 'cancelled').length,
+      missed: appointments.filter(a => a.checkIn?.code === APPOINTMENT_CODES.CHECKIN_WINDOW_MISSED).length,
+    };
+
+    res.json({
+      success: true,
+      data: {
+        date,
+        summary,
+        appointments,
+      },
+    });
+  } catch (error) {
+    console.error('Get day appointments error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error fetching appointments',
+        ...(process.env.NODE_ENV === 'development' && { detail: error.message }),
+      },
+    });
+  }
+};
+
+/**
+ * Get all slot definitions of a service
+ * GET /api/admin/services/:id/appointment-slots
+ */
+exports.getServiceSlots = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const service = await Service.findById(id);
+    if (!service) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Service not found',
+        },
+      });
+    }
+
+    const slots = await Appointment.getSlots(service.id, true);
+
+    res.json({
+      success: true,
+      data: slots,
+    });
+  } catch (error) {
+    console.error('Get appointment slots error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error fetching appointment slots',
+        ...(process.env.NODE_ENV === 'development' && { detail: error.message }),
+      },
+    });
+  }
+};
+
+/**
+ * Create a slot definition
+ * POST /api/admin/services/:id/appointment-slots
+ */
+exports.createSlot = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const validationError = validateSlot(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: validationError,
+        },
+      });
+    }
+
+    const service = await Service.findById(id);
+    if (!service) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Service not found',
+        },
+      });
+    }
+
+    const slot = await Appointment.createSlot(service.id, {
+      ...req.body,
+      day_of_week: parseInt(req.body.day_of_week),
+      capacity: req.body.capacity !== undefined ? parseInt(req.body.capacity) : undefined,
+    });
+
+    // accepts_appointments is part of the cached service list
+    const cache = require('../utils/cache');
+    cache.delete('services:active');
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.APPOINTMENT_SLOT_CREATE,
+      entityId: slot.id,
+      after: slot,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: slot,
+      message: 'Appointment slot created successfully',
+    });
+  } catch (error) {
+    console.error('Create appointment slot error:', error);
+
+    if (error.code === '23505') { // Unique constraint violation
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'A slot already starts at that time on that day',
+        },
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error creating appointment slot',
+        ...(process.env.NODE_ENV === 'development' && { detail: error.message }),
+      },
+    });
+  }
+};
+
+/**
+ * Update a slot definition
+ * PUT /api/admin/services/:id/appointment-slots/:slotId
+ */
+exports.updateSlot = async (req, res) => {
+  try {
+    const { id, slotId } = req.params;
+
+    const existing = await Appointment.findSlot(id, slotId);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Appointment slot not found',
+        },
+      });
+    }
+
+    const validationError = validateSlot(req.body, existing);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: validationError,
+        },
+      });
+    }
+
+    const slot = await Appointment.updateSlot(id, slotId, {
+      ...req.body,
+      day_of_week: req.body.day_of_week !== undefined ? parseInt(req.body.day_of_week) : undefined,
+      capacity: req.body.capacity !== undefined ? parseInt(req.body.capacity) : undefined,
+    });
+
+    const cache = require('../utils/cache');
+    cache.delete('services:active');
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.APPOINTMENT_SLOT_UPDATE,
+      entityId: slot.id,
+      before: existing,
+      after: slot,
+      fields: Object.keys(req.body),
+    });
+
+    res.json({
+      success: true,
+      data: slot,
+      message: 'Appointment slot updated successfully',
+    });
+  } catch (error) {
+    console.error('Update appointment slot error:', error);
+
+    if (error.message === 'No fields to update') {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: error.message,
+        },
+      });
+    }
+
+    if (error.code === '23505') { // Unique constraint violation
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'A slot already starts at that time on that day',
+        },
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error updating appointment slot',
+        ...(process.env.NODE_ENV === 'development' && { detail: error.message }),
+      },
+    });
+  }
+};
+
+/**
+ * Delete a slot definition (existing bookings are kept)
+ * DELETE /api/admin/services/:id/appointment-slots/:slotId
+ */
+exports.deleteSlot = async (req, res) => {
+  try {
+    const { id, slotId } = req.params;
+
+    const deleted = await Appointment.deleteSlot(id, slotId);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Appointment slot not found',
+        },
+      });
+    }
+
+    const cache = require('../utils/cache');
+    cache.delete('services:active');
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.APPOINTMENT_SLOT_DELETE,
+      entityId: deleted.id,
+      before: deleted,
+    });
+
+    res.json({
+      success: true,
+      message: 'Appointment slot deleted successfully',
+    });
+  } catch (error) {
+    console.error('Delete appointment slot error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error deleting appointment slot',
+        ...(process.env.NODE_ENV === 'development' && { detail: error.message }),
+      },
+    });
+  }
+};
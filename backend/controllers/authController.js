@@ -1,18 +1,176 @@
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const AccountToken = require('../models/AccountToken');
+const UserInvitation = require('../models/UserInvitation');
+const LoginHistory = require('../models/LoginHistory');
+const TwoFactor = require('../models/TwoFactor');
+const Role = require('../models/Role');
+const DeviceToken = require('../models/DeviceToken');
+const {
+  PREFERENCE_CHANNELS,
+  PREFERENCE_EVENTS,
+  getNotificationPreferences,
+  updateNotificationPreferences,
+} = require('../utils/notificationPreferences');
+const { getEnabledChannels } = require('../utils/notificationChannels');
+const {
+  AUTH_TOKEN_CODES,
+  createAccessToken,
+  generateRefreshToken,
+  hashRefreshToken,
+  getRefreshTokenExpiry,
+} = require('../utils/authTokens');
+const {
+  ACCOUNT_TOKEN_PURPOSES,
+  ACCOUNT_TOKEN_CODES,
+  MAX_FAILED_ATTEMPTS,
+  RESEND_COOLDOWN_SECONDS,
+  getTokenTtlMinutes,
+  getTokenExpiry,
+  generateCode,
+  hashCode,
+  codeMatches,
+} = require('../utils/accountTokens');
+const {
+  buildPasswordResetEmail,
+  buildEmailVerificationEmail,
+  buildPasswordChangedEmail,
+} = require('../utils/accountEmails');
+const {
+  INVITE_CODES,
+  INVITE_STATUS,
+  getInviteStatus,
+  hashInviteToken,
+} = require('../utils/invitations');
+const {
+  LOGIN_CODES,
+  LOGIN_FAILURE_REASONS,
+  getLoginThrottleConfig,
+  getAccountWaitSeconds,
+  getIpWaitSeconds,
+} = require('../utils/loginThrottle');
+const {
+  TWO_FACTOR_CODES,
+  CHALLENGE_PURPOSES,
+  encryptSecret,
+  decryptSecret,
+  createChallengeToken,
+  verifyChallengeToken,
+  generateBackupCodes,
+  hashBackupCode,
+  isBackupCodeFormat,
+  canUseTwoFactor,
+  getRequiredTwoFactorRoles,
+} = require('../utils/twoFactor');
+const { generateTotpSecret, verifyTotp, buildOtpauthUrl } = require('../utils/totp');
+const { sendMail } = require('../utils/mailer');
+const { toPermissionMap } = require('../utils/permissions');
+
+const SALT_ROUNDS = 10;
 
 /**
- * Generate JWT Token
+ * Public user fields plus the permissions of the user's role, so clients
+ * can decide which screens to show
  */
-const generateToken = (userId, role) => {
-  return jwt.sign(
-    { userId, role },
-    process.env.JWT_SECRET,
-    {
-      expiresIn: process.env.JWT_EXPIRE || '7d',
-    }
-  );
+const toClientUser = async (user) => ({
+  ...User.toSafeUser(user),
+  permissions: toPermissionMap(await Role.getGrants(user.role)),
+});
+
+/**
+ * Issue an access token and a refresh token for a user.
+ * A new login starts a new refresh token family; a refresh continues one.
+ */
+const issueSession = async (user, req) => {
+  const refreshToken = generateRefreshToken();
+
+  await RefreshToken.create({
+    userId: user.id,
+    tokenHash: hashRefreshToken(refreshToken),
+    familyId: crypto.randomUUID(),
+    expiresAt: getRefreshTokenExpiry(),
+    userAgent: req.headers?.['user-agent'],
+    ipAddress: req.ip,
+  });
+
+  return {
+    token: createAccessToken(user),
+    refreshToken,
+  };
+};
+
+const invalidRefreshToken = (res, message = 'Invalid or expired refresh token', code = AUTH_TOKEN_CODES.AUTH_INVALID) => {
+  return res.status(401).json({
+    success: false,
+    error: {
+      message,
+      code,
+    },
+  });
+};
+
+/**
+ * Email a new password reset or verification code to a user
+ */
+const sendAccountCode = async (user, purpose) => {
+  const code = generateCode();
+
+  await AccountToken.create({
+    userId: user.id,
+    purpose,
+    tokenHash: hashCode(user.id, purpose, code),
+    expiresAt: getTokenExpiry(purpose),
+  });
+
+  const ttlMinutes = getTokenTtlMinutes(purpose);
+  const email = purpose === ACCOUNT_TOKEN_PURPOSES.PASSWORD_RESET
+    ? buildPasswordResetEmail(user, code, ttlMinutes)
+    : buildEmailVerificationEmail(user, code, ttlMinutes);
+
+  await sendMail(email);
+};
+
+/**
+ * Seconds until another code may be sent, or 0
+ */
+const getResendWaitSeconds = async (userId, purpose) => {
+  const lastIssuedAt = await AccountToken.getLastIssuedAt(userId, purpose);
+  if (!lastIssuedAt) {
+    return 0;
+  }
+
+  const elapsedSeconds = (Date.now() - new Date(lastIssuedAt).getTime()) / 1000;
+  return Math.max(Math.ceil(RESEND_COOLDOWN_SECONDS - elapsedSeconds), 0);
+};
+
+/**
+ * Check a code and use it up. Wrong guesses count against the code, which
+ * stops working after MAX_FAILED_ATTEMPTS.
+ */
+const redeemAccountCode = async (userId, purpose, code) => {
+  const token = await AccountToken.findActive(userId, purpose);
+  if (!token || token.failed_attempts >= MAX_FAILED_ATTEMPTS) {
+    return false;
+  }
+
+  if (!codeMatches(userId, purpose, code, token.token_hash)) {
+    await AccountToken.recordFailedAttempt(token.id);
+    return false;
+  }
+
+  return AccountToken.consume(token.id);
+};
+
+const invalidCode = (res) => {
+  return res.status(400).json({
+    success: false,
+    error: {
+      message: 'The code is invalid or has expired',
+      code: ACCOUNT_TOKEN_CODES.INVALID_CODE,
+    },
+  });
 };
 
 /**
@@ -28,15 +186,16 @@ exports.register = async (req, res) => {
       firstName,
       lastName,
       phoneNumber,
-      role = 'student',
+      role,
     } = req.body;
 
-    // Validation
-    if (!email || !password || !firstName || !lastName) {
-      return res.status(400).json({
+    // Staff, admin and kiosk accounts are created by admins through invitations
+    if (role !== undefined && role !== 'student') {
+      return res.status(403).json({
         success: false,
         error: {
-          message: 'Please provide email, password, first name, and last name',
+          message: 'Only student accounts can be registered. Staff accounts are created by an administrator.',
+          code: INVITE_CODES.ROLE_NOT_ALLOWED,
         },
       });
     }
@@ -66,8 +225,7 @@ exports.register = async (req, res) => {
     }
 
     // Hash password
-    const saltRounds = 10;
-    const passwordHash = await bcrypt.hash(password, saltRounds);
+    const passwordHash = await bcrypt.hash(password, SALT_ROUNDS);
 
     // Create user
     const userData = {
@@ -77,20 +235,26 @@ exports.register = async (req, res) => {
       firstName,
       lastName,
       phoneNumber,
-      role,
+      role: 'student',
     };
 
     const user = await User.create(userData);
-    const safeUser = User.toSafeUser(user);
+    const safeUser = await toClientUser(user);
+
+    const session = await issueSession(user, req);
 
-    // Generate token
-    const token = generateToken(user.id, user.role);
+    // The account works straight away; verification is confirmed in the app
+    try {
+      await sendAccountCode(user, ACCOUNT_TOKEN_PURPOSES.EMAIL_VERIFICATION);
+    } catch (mailError) {
+      console.error('Send verification email error:', mailError);
+    }
 
     res.status(201).json({
       success: true,
       data: {
         user: safeUser,
-        token,
+        ...session,
       },
     });
   } catch (error) {
@@ -105,6 +269,77 @@ exports.register = async (req, res) => {
   }
 };
 
+/**
+ * Record a login attempt without letting a history write break the login
+ */
+const recordLoginAttempt = async (req, attempt) => {
+  try {
+    await LoginHistory.record({
+      ...attempt,
+      ipAddress: req.ip,
+      userAgent: req.headers?.['user-agent'],
+    });
+  } catch (error) {
+    console.error('Record login attempt error:', error);
+  }
+};
+
+const loginRefused = (res, retryAfter, locked) => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    error: {
+      message: locked
+        ? `Too many failed attempts. The account is locked for ${Math.ceil(retryAfter / 60)} more minute(s).`
+        : `Too many login attempts. Please wait ${retryAfter} seconds and try again.`,
+      code: locked ? LOGIN_CODES.ACCOUNT_LOCKED : LOGIN_CODES.LOGIN_THROTTLED,
+      retryAfter,
+    },
+  });
+};
+
+/**
+ * Finish a successful login: forget earlier failures, record it and start a
+ * session
+ */
+const completeLogin = async (req, user) => {
+  if (user.failed_login_attempts > 0 || user.locked_until) {
+    await User.clearFailedLogins(user.id);
+  }
+  await recordLoginAttempt(req, {
+    userId: user.id,
+    email: user.email,
+    success: true,
+  });
+
+  return issueSession(user, req);
+};
+
+/**
+ * Whether a user with a correct password still needs a second step: a code
+ * if 2FA is on, or enrollment if the admin policy requires it for their role
+ */
+const getTwoFactorStep = async (user) => {
+  if (user.two_factor_enabled_at) {
+    return {
+      twoFactorRequired: true,
+      challengeToken: createChallengeToken(user, CHALLENGE_PURPOSES.LOGIN),
+    };
+  }
+
+  if (canUseTwoFactor(user.role)) {
+    const requiredRoles = await getRequiredTwoFactorRoles();
+    if (requiredRoles.includes(user.role)) {
+      return {
+        twoFactorSetupRequired: true,
+        challengeToken: createChallengeToken(user, CHALLENGE_PURPOSES.SETUP),
+      };
+    }
+  }
+
+  return null;
+};
+
 /**
  * Login user
  * POST /api/auth/login
@@ -113,19 +348,31 @@ exports.login = async (req, res) => {
   try {
     const { email, password } = req.body;
 
-    // Validation
-    if (!email || !password) {
-      return res.status(400).json({
+    const normalizedEmail = String(email).toLowerCase();
+    const throttleConfig = getLoginThrottleConfig();
+
+    // Per-IP limit applies whether or not the email exists
+    const ipFailures = req.ip
+      ? await LoginHistory.getRecentIpFailures(req.ip, throttleConfig.ipWindowMinutes)
+      : null;
+    const ipWait = getIpWaitSeconds(ipFailures);
+    if (ipWait > 0) {
+      await recordLoginAttempt(req, {
+        email: normalizedEmail,
         success: false,
-        error: {
-          message: 'Please provide email and password',
-        },
+        failureReason: LOGIN_FAILURE_REASONS.THROTTLED,
       });
+      return loginRefused(res, ipWait, false);
     }
 
     // Find user
-    const user = await User.findByEmail(email.toLowerCase());
+    const user = await User.findByEmail(normalizedEmail);
     if (!user) {
+      await recordLoginAttempt(req, {
+        email: normalizedEmail,
+        success: false,
+        failureReason: LOGIN_FAILURE_REASONS.INVALID_CREDENTIALS,
+      });
       return res.status(401).json({
         success: false,
         error: {
@@ -136,6 +383,12 @@ exports.login = async (req, res) => {
 
     // Check if user is active
     if (!user.is_active) {
+      await recordLoginAttempt(req, {
+        userId: user.id,
+        email: normalizedEmail,
+        success: false,
+        failureReason: LOGIN_FAILURE_REASONS.ACCOUNT_INACTIVE,
+      });
       return res.status(401).json({
         success: false,
         error: {
@@ -144,9 +397,40 @@ exports.login = async (req, res) => {
       });
     }
 
+    // Locked or backing off: refuse before the password is checked
+    const accountWait = getAccountWaitSeconds(user);
+    if (accountWait.retryAfter > 0) {
+      await recordLoginAttempt(req, {
+        userId: user.id,
+        email: normalizedEmail,
+        success: false,
+        failureReason: accountWait.locked
+          ? LOGIN_FAILURE_REASONS.ACCOUNT_LOCKED
+          : LOGIN_FAILURE_REASONS.THROTTLED,
+      });
+      return loginRefused(res, accountWait.retryAfter, accountWait.locked);
+    }
+
     // Verify password
     const isPasswordValid = await bcrypt.compare(password, user.password_hash);
     if (!isPasswordValid) {
+      const state = await User.recordFailedLogin(
+        user.id,
+        throttleConfig.maxAttempts,
+        throttleConfig.lockoutMinutes
+      );
+      await recordLoginAttempt(req, {
+        userId: user.id,
+        email: normalizedEmail,
+        success: false,
+        failureReason: LOGIN_FAILURE_REASONS.INVALID_CREDENTIALS,
+      });
+
+      const lockWait = state ? getAccountWaitSeconds(state) : null;
+      if (lockWait?.locked) {
+        return loginRefused(res, lockWait.retryAfter, true);
+      }
+
       return res.status(401).json({
         success: false,
         error: {
@@ -155,15 +439,23 @@ exports.login = async (req, res) => {
       });
     }
 
-    // Generate token
-    const token = generateToken(user.id, user.role);
-    const safeUser = User.toSafeUser(user);
+    // The password is right, but a second step may still be needed
+    const twoFactorStep = await getTwoFactorStep(user);
+    if (twoFactorStep) {
+      return res.json({
+        success: true,
+        data: twoFactorStep,
+      });
+    }
+
+    const session = await completeLogin(req, user);
+    const safeUser = await toClientUser(user);
 
     res.json({
       success: true,
       data: {
         user: safeUser,
-        token,
+        ...session,
       },
     });
   } catch (error) {
@@ -178,6 +470,135 @@ exports.login = async (req, res) => {
   }
 };
 
+/**
+ * Load the user behind a challenge token. Challenges die with logout-all
+ * (token version) and deactivation.
+ */
+const getChallengeState = async (challengeToken, purpose) => {
+  const challenge = verifyChallengeToken(challengeToken, purpose);
+  if (!challenge) {
+    return null;
+  }
+
+  const state = await TwoFactor.getState(challenge.userId);
+  if (!state || !state.is_active || (state.token_version || 0) !== challenge.tokenVersion) {
+    return null;
+  }
+
+  return state;
+};
+
+const invalidChallenge = (res) => {
+  return res.status(401).json({
+    success: false,
+    error: {
+      message: 'Your sign-in has expired. Please log in again.',
+      code: TWO_FACTOR_CODES.INVALID_CHALLENGE,
+    },
+  });
+};
+
+const invalidTwoFactorCode = (res, status = 400) => {
+  return res.status(status).json({
+    success: false,
+    error: {
+      message: 'Invalid authentication code',
+      code: TWO_FACTOR_CODES.INVALID_TWO_FACTOR_CODE,
+    },
+  });
+};
+
+/**
+ * Check an authenticator code, or a backup code when `allowBackupCode` is set.
+ * Each TOTP time step and each backup code is accepted only once.
+ */
+const verifySecondFactor = async (state, code, { allowBackupCode = true } = {}) => {
+  if (allowBackupCode && isBackupCodeFormat(code)) {
+    return TwoFactor.consumeBackupCode(state.id, hashBackupCode(state.id, code));
+  }
+
+  const step = verifyTotp(decryptSecret(state.two_factor_secret), code);
+  if (step === null) {
+    return false;
+  }
+
+  return TwoFactor.recordStep(state.id, step);
+};
+
+/**
+ * Second login step for accounts with 2FA
+ * POST /api/auth/login/two-factor
+ *
+ * Wrong codes count as failed logins, so the lockout that protects the
+ * password also limits guessing codes.
+ */
+exports.verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    const state = await getChallengeState(challengeToken, CHALLENGE_PURPOSES.LOGIN);
+    if (!state || !state.two_factor_enabled_at) {
+      return invalidChallenge(res);
+    }
+
+    const accountWait = getAccountWaitSeconds(state);
+    if (accountWait.retryAfter > 0) {
+      await recordLoginAttempt(req, {
+        userId: state.id,
+        email: state.email,
+        success: false,
+        failureReason: accountWait.locked
+          ? LOGIN_FAILURE_REASONS.ACCOUNT_LOCKED
+          : LOGIN_FAILURE_REASONS.THROTTLED,
+      });
+      return loginRefused(res, accountWait.retryAfter, accountWait.locked);
+    }
+
+    const isCodeValid = await verifySecondFactor(state, code);
+    if (!isCodeValid) {
+      const throttleConfig = getLoginThrottleConfig();
+      const failedState = await User.recordFailedLogin(
+        state.id,
+        throttleConfig.maxAttempts,
+        throttleConfig.lockoutMinutes
+      );
+      await recordLoginAttempt(req, {
+        userId: state.id,
+        email: state.email,
+        success: false,
+        failureReason: LOGIN_FAILURE_REASONS.INVALID_TWO_FACTOR_CODE,
+      });
+
+      const lockWait = failedState ? getAccountWaitSeconds(failedState) : null;
+      if (lockWait?.locked) {
+        return loginRefused(res, lockWait.retryAfter, true);
+      }
+
+      return invalidTwoFactorCode(res, 401);
+    }
+
+    const session = await completeLogin(req, state);
+    const user = await User.findById(state.id);
+
+    res.json({
+      success: true,
+      data: {
+        user: await toClientUser(user),
+        ...session,
+      },
+    });
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error during login',
+        ...(process.env.NODE_ENV === 'development' && { detail: error.message }),
+      },
+    });
+  }
+};
+
 /**
  * Get current user
  * GET /api/auth/me
@@ -196,7 +617,7 @@ exports.getMe = async (req, res) => {
       });
     }
 
-    const safeUser = User.toSafeUser(user);
+    const safeUser = await toClientUser(user);
 
     res.json({
       success: true,
@@ -214,3 +635,1005 @@ exports.getMe = async (req, res) => {
   }
 };
 
+
+/**
+ * Preferences with the choices the app shows: a channel is available when
+ * it is switched on system-wide and the account has an address for it
+ */
+const buildPreferencesData = async (user, preferences) => {
+  const enabledChannels = await getEnabledChannels();
+  const available = {
+    push: true,
+    email: enabledChannels.includes('email') && !!user.email,
+    sms: enabledChannels.includes('sms') && !!user.phone_number,
+  };
+
+  return {
+    preferences,
+    channels: PREFERENCE_CHANNELS.map((channel) => ({ ...channel, available: available[channel.key] })),
+    events: PREFERENCE_EVENTS,
+  };
+};
+
+/**
+ * Get the current user's notification preferences
+ * GET /api/auth/me/preferences
+ */
+exports.getPreferences = async (req, res) => {
+  try {
+    const [user, preferences] = await Promise.all([
+      User.findById(req.user.userId),
+      getNotificationPreferences(req.user.userId),
+    ]);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'User not found',
+        },
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await buildPreferencesData(user, preferences),
+    });
+  } catch (error) {
+    console.error('Get preferences error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error fetching notification preferences',
+        ...(process.env.NODE_ENV === 'development' && { detail: error.message }),
+      },
+    });
+  }
+};
+
+/**
+ * Change the current user's notification preferences
+ * PUT /api/auth/me/preferences
+ */
+exports.updatePreferences = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'User not found',
+        },
+      });
+    }
+
+    const preferences = await updateNotificationPreferences(user.id, req.body);
+
+    res.json({
+      success: true,
+      message: 'Notification preferences updated',
+      data: await buildPreferencesData(user, preferences),
+    });
+  } catch (error) {
+    console.error('Update preferences error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error updating notification preferences',
+        ...(process.env.NODE_ENV === 'development' && { detail: error.message }),
+      },
+    });
+  }
+};
+
+/**
+ * Get the current user's login history
+ * GET /api/auth/me/login-history
+ */
+exports.getLoginHistory = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const { entries, total } = await LoginHistory.findByUser(req.user.userId, {
+      limit,
+      offset: (page - 1) * limit,
+    });
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Get login history error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error fetching login history',
+        ...(process.env.NODE_ENV === 'development' && { detail: error.message }),
+      },
+    });
+  }
+};
+
+
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ * POST /api/auth/refresh
+ *
+ * Refresh tokens are single use. Presenting one that was already rotated means
+ * it leaked (or was replayed), so the whole family is revoked.
+ */
+exports.refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const stored = await RefreshToken.findByHash(hashRefreshToken(refreshToken));
+    if (!stored) {
+      return invalidRefreshToken(res);
+    }
+
+    if (stored.revoked_at) {
+      await RefreshToken.revokeFamily(stored.family_id);
+      return invalidRefreshToken(res, 'Session has been revoked', AUTH_TOKEN_CODES.SESSION_REVOKED);
+    }
+
+    if (new Date(stored.expires_at) <= new Date()) {
+      return invalidRefreshToken(res);
+    }
+
+    // Deactivated accounts cannot refresh; the role is re-read for the new token
+    const authState = await User.getAuthState(stored.user_id);
+    if (!authState || !authState.is_active) {
+      await RefreshToken.revokeFamily(stored.family_id);
+      return invalidRefreshToken(res, 'Account is deactivated', AUTH_TOKEN_CODES.SESSION_REVOKED);
+    }
+
+    // Staff covered by the 2FA policy must enroll before they can carry on
+    if (!authState.two_factor_enabled_at && canUseTwoFactor(authState.role)) {
+      const requiredRoles = await getRequiredTwoFactorRoles();
+      if (requiredRoles.includes(authState.role)) {
+        await RefreshToken.revokeFamily(stored.family_id);
+        return invalidRefreshToken(
+          res,
+          'Two-factor authentication must be set up. Please log in again.',
+          TWO_FACTOR_CODES.TWO_FACTOR_SETUP_REQUIRED
+        );
+      }
+    }
+
+    const nextRefreshToken = generateRefreshToken();
+    const replacement = await RefreshToken.rotate(stored.id, {
+      userId: authState.id,
+      tokenHash: hashRefreshToken(nextRefreshToken),
+      familyId: stored.family_id,
+      expiresAt: getRefreshTokenExpiry(),
+      userAgent: req.headers?.['user-agent'],
+      ipAddress: req.ip,
+    });
+
+    // Another request used this token first
+    if (!replacement) {
+      await RefreshToken.revokeFamily(stored.family_id);
+      return invalidRefreshToken(res, 'Session has been revoked', AUTH_TOKEN_CODES.SESSION_REVOKED);
+    }
+
+    const user = await User.findById(authState.id);
+
+    res.json({
+      success: true,
+      data: {
+        user: await toClientUser(user),
+        token: createAccessToken(authState),
+        refreshToken: nextRefreshToken,
+      },
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error refreshing session',
+        ...(process.env.NODE_ENV === 'development' && { detail: error.message }),
+      },
+    });
+  }
+};
+
+/**
+ * Log out this device
+ * POST /api/auth/logout
+ *
+ * Revokes the refresh token's family. Works with an expired access token, and
+ * succeeds for unknown tokens so clients can always clear their session.
+ */
+exports.logout = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (refreshToken) {
+      const stored = await RefreshToken.findByHash(hashRefreshToken(refreshToken));
+      if (stored) {
+        await RefreshToken.revokeFamily(stored.family_id);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully',
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error during logout',
+        ...(process.env.NODE_ENV === 'development' && { detail: error.message }),
+      },
+    });
+  }
+};
+
+/**
+ * Log out every device
+ * POST /api/auth/logout-all
+ *
+ * Revokes all refresh tokens and invalidates access tokens already issued.
+ */
+exports.logoutAll = async (req, res) => {
+  try {
+    await User.revokeSessions(req.user.userId);
+    // Signed-out devices should stop getting queue pushes too
+    await DeviceToken.removeAllForUser(req.user.userId);
+
+    res.json({
+      success: true,
+      message: 'Logged out from all devices',
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error logging out from all devices',
+        ...(process.env.NODE_ENV === 'development' && { detail: error.message }),
+      },
+    });
+  }
+};
+
+/**
+ * Request a password reset code
+ * POST /api/auth/forgot-password
+ *
+ * Always answers the same way so it cannot be used to find out which emails
+ * have accounts.
+ */
+exports.forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    const user = await User.findByEmail(String(email).trim().toLowerCase());
+    const purpose = ACCOUNT_TOKEN_PURPOSES.PASSWORD_RESET;
+
+    if (user && user.is_active && await getResendWaitSeconds(user.id, purpose) === 0) {
+      try {
+        await sendAccountCode(user, purpose);
+      } catch (mailError) {
+        console.error('Send password reset email error:', mailError);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a reset code has been sent',
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error requesting password reset',
+        ...(process.env.NODE_ENV === 'development' && { detail: error.message }),
+      },
+    });
+  }
+};
+
+/**
+ * Reset a password with an emailed code
+ * POST /api/auth/reset-password
+ *
+ * Signs the user out everywhere; they log in again with the new password.
+ */
+exports.resetPassword = async (req, res) => {
+  try {
+    const { email, code, newPassword } = req.body;
+
+    const user = await User.findByEmail(String(email).trim().toLowerCase());
+    if (!user || !user.is_active) {
+      return invalidCode(res);
+    }
+
+    const redeemed = await redeemAccountCode(user.id, ACCOUNT_TOKEN_PURPOSES.PASSWORD_RESET, code);
+    if (!redeemed) {
+      return invalidCode(res);
+    }
+
+    const passwordHash = await bcrypt.hash(newPassword, SALT_ROUNDS);
+    await User.update(user.id, { passwordHash });
+
+    // The code arrived by email, which also proves the address
+    if (!user.email_verified_at) {
+      await User.markEmailVerified(user.id);
+    }
+
+    await User.revokeSessions(user.id);
+
+    res.json({
+      success: true,
+      message: 'Password has been reset. Please log in with your new password.',
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error resetting password',
+        ...(process.env.NODE_ENV === 'development' && { detail: error.message }),
+      },
+    });
+  }
+};
+
+/**
+ * Change the signed-in user's password
+ * POST /api/auth/change-password
+ *
+ * Other devices are signed out; this one gets a fresh session.
+ */
+exports.changePassword = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { currentPassword, newPassword } = req.body;
+
+    const [user, passwordHash] = await Promise.all([
+      User.findById(userId),
+      User.getPasswordHash(userId),
+    ]);
+
+    if (!user || !passwordHash) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'User not found',
+        },
+      });
+    }
+
+    // 400 rather than 401: the session itself is fine
+    const isPasswordValid = await bcrypt.compare(currentPassword, passwordHash);
+    if (!isPasswordValid) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Current password is incorrect',
+        },
+      });
+    }
+
+    await User.update(userId, { passwordHash: await bcrypt.hash(newPassword, SALT_ROUNDS) });
+    await User.revokeSessions(userId);
+
+    const authState = await User.getAuthState(userId);
+    const session = await issueSession(authState, req);
+
+    try {
+      await sendMail(buildPasswordChangedEmail(user));
+    } catch (mailError) {
+      console.error('Send password changed email error:', mailError);
+    }
+
+    res.json({
+      success: true,
+      data: session,
+      message: 'Password changed successfully',
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error changing password',
+        ...(process.env.NODE_ENV === 'development' && { detail: error.message }),
+      },
+    });
+  }
+};
+
+/**
+ * Verify the signed-in user's email with the emailed code
+ * POST /api/auth/verify-email
+ */
+exports.verifyEmail = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { code } = req.body;
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'User not found',
+        },
+      });
+    }
+
+    if (user.email_verified_at) {
+      return res.json({
+        success: true,
+        data: User.toSafeUser(user),
+        message: 'Email is already verified',
+      });
+    }
+
+    const redeemed = await redeemAccountCode(userId, ACCOUNT_TOKEN_PURPOSES.EMAIL_VERIFICATION, code);
+    if (!redeemed) {
+      return invalidCode(res);
+    }
+
+    const verifiedUser = await User.markEmailVerified(userId);
+
+    res.json({
+      success: true,
+      data: User.toSafeUser(verifiedUser),
+      message: 'Email verified',
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error verifying email',
+        ...(process.env.NODE_ENV === 'development' && { detail: error.message }),
+      },
+    });
+  }
+};
+
+/**
+ * Send a new email verification code
+ * POST /api/auth/verify-email/resend
+ */
+exports.resendVerification = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const user = await User.findById(userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'User not found',
+        },
+      });
+    }
+
+    if (user.email_verified_at) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Email is already verified',
+        },
+      });
+    }
+
+    const purpose = ACCOUNT_TOKEN_PURPOSES.EMAIL_VERIFICATION;
+    const retryAfter = await getResendWaitSeconds(userId, purpose);
+    if (retryAfter > 0) {
+      return res.status(429).json({
+        success: false,
+        error: {
+          message: `Please wait ${retryAfter} seconds before requesting another code`,
+          retryAfter,
+        },
+      });
+    }
+
+    try {
+      await sendAccountCode(user, purpose);
+    } catch (mailError) {
+      console.error('Send verification email error:', mailError);
+      return res.status(502).json({
+        success: false,
+        error: {
+          message: 'Could not send the verification email. Please try again later.',
+          ...(process.env.NODE_ENV === 'development' && { detail: mailError.message }),
+        },
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Verification code sent to ${user.email}`,
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error sending verification code',
+        ...(process.env.NODE_ENV === 'development' && { detail: error.message }),
+      },
+    });
+  }
+};
+
+/**
+ * Look up an invitation so the accept page can greet the invitee
+ */
+const findOpenInvitation = async (res, token) => {
+  const invitation = token ? await UserInvitation.findByHash(hashInviteToken(token)) : null;
+
+  if (!invitation || !invitation.is_active) {
+    res.status(404).json({
+      success: false,
+      error: {
+        message: 'Invitation not found',
+        code: INVITE_CODES.INVITE_NOT_FOUND,
+      },
+    });
+    return null;
+  }
+
+  const status = getInviteStatus(invitation);
+  if (status === INVITE_STATUS.ACCEPTED) {
+    res.status(400).json({
+      success: false,
+      error: {
+        message: 'This invitation has already been accepted. Please log in.',
+        code: INVITE_CODES.INVITE_ACCEPTED,
+      },
+    });
+    return null;
+  }
+
+  if (status === INVITE_STATUS.EXPIRED) {
+    res.status(400).json({
+      success: false,
+      error: {
+        message: 'This invitation has expired. Ask an administrator to send a new one.',
+        code: INVITE_CODES.INVITE_EXPIRED,
+      },
+    });
+    return null;
+  }
+
+  return invitation;
+};
+
+/**
+ * Get invitation details
+ * GET /api/auth/invitations/:token
+ */
+exports.getInvitation = async (req, res) => {
+  try {
+    const invitation = await findOpenInvitation(res, req.params.token);
+    if (!invitation) {
+      return;
+    }
+
+    res.json({
+      success: true,
+      data: {
+        email: invitation.email,
+        firstName: invitation.first_name,
+        lastName: invitation.last_name,
+        role: invitation.role,
+        expiresAt: invitation.expires_at,
+      },
+    });
+  } catch (error) {
+    console.error('Get invitation error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error fetching invitation',
+        ...(process.env.NODE_ENV === 'development' && { detail: error.message }),
+      },
+    });
+  }
+};
+
+/**
+ * Accept an invitation by choosing a password, then sign in
+ * POST /api/auth/invitations/:token/accept
+ */
+exports.acceptInvitation = async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    const invitation = await findOpenInvitation(res, req.params.token);
+    if (!invitation) {
+      return;
+    }
+
+    const passwordHash = await bcrypt.hash(password, SALT_ROUNDS);
+    const accepted = await UserInvitation.accept(invitation.id, invitation.user_id, passwordHash);
+    if (!accepted) {
+      // Used or expired between the lookup and now
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'This invitation is no longer valid',
+          code: INVITE_CODES.INVITE_EXPIRED,
+        },
+      });
+    }
+
+    const user = await User.findById(invitation.user_id);
+    const authState = await User.getAuthState(invitation.user_id);
+
+    // Roles the 2FA policy covers set it up before their first session
+    const twoFactorStep = await getTwoFactorStep(authState);
+    if (twoFactorStep) {
+      return res.json({
+        success: true,
+        data: twoFactorStep,
+        message: 'Invitation accepted',
+      });
+    }
+
+    const session = await issueSession(authState, req);
+
+    res.json({
+      success: true,
+      data: {
+        user: await toClientUser(user),
+        ...session,
+      },
+      message: 'Invitation accepted',
+    });
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error accepting invitation',
+        ...(process.env.NODE_ENV === 'development' && { detail: error.message }),
+      },
+    });
+  }
+};
+
+/**
+ * The user a 2FA enrollment request is for: the signed-in user, or during a
+ * login that requires enrollment, the owner of the setup challenge
+ */
+const resolveEnrollment = async (req, res) => {
+  // A challenge wins over any access token the browser still holds
+  if (req.body.challengeToken) {
+    const state = await getChallengeState(req.body.challengeToken, CHALLENGE_PURPOSES.SETUP);
+    if (!state) {
+      invalidChallenge(res);
+      return null;
+    }
+    return state;
+  }
+
+  if (!req.user) {
+    res.status(401).json({
+      success: false,
+      error: {
+        message: 'Access denied. No token provided.',
+        code: AUTH_TOKEN_CODES.AUTH_REQUIRED,
+      },
+    });
+    return null;
+  }
+
+  const state = await TwoFactor.getState(req.user.userId);
+  if (!state) {
+    res.status(404).json({
+      success: false,
+      error: {
+        message: 'User not found',
+      },
+    });
+    return null;
+  }
+  return state;
+};
+
+const checkCanEnroll = (res, state) => {
+  if (!canUseTwoFactor(state.role)) {
+    res.status(403).json({
+      success: false,
+      error: {
+        message: 'Two-factor authentication is only available for staff accounts',
+        code: TWO_FACTOR_CODES.TWO_FACTOR_NOT_ALLOWED,
+      },
+    });
+    return false;
+  }
+
+  if (state.two_factor_enabled_at) {
+    res.status(400).json({
+      success: false,
+      error: {
+        message: 'Two-factor authentication is already turned on',
+      },
+    });
+    return false;
+  }
+
+  return true;
+};
+
+const twoFactorNotEnabled = (res) => {
+  return res.status(400).json({
+    success: false,
+    error: {
+      message: 'Two-factor authentication is not turned on',
+    },
+  });
+};
+
+/**
+ * Get the current user's 2FA status
+ * GET /api/auth/me/two-factor
+ */
+exports.getTwoFactorStatus = async (req, res) => {
+  try {
+    const state = await TwoFactor.getState(req.user.userId);
+    if (!state) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'User not found',
+        },
+      });
+    }
+
+    const [requiredRoles, backupCodesRemaining] = await Promise.all([
+      getRequiredTwoFactorRoles(),
+      state.two_factor_enabled_at ? TwoFactor.countRemainingBackupCodes(state.id) : 0,
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        available: canUseTwoFactor(state.role),
+        enabled: Boolean(state.two_factor_enabled_at),
+        enabledAt: state.two_factor_enabled_at,
+        required: requiredRoles.includes(state.role),
+        backupCodesRemaining,
+      },
+    });
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error fetching two-factor status',
+        ...(process.env.NODE_ENV === 'development' && { detail: error.message }),
+      },
+    });
+  }
+};
+
+/**
+ * Start 2FA enrollment: create a secret for the authenticator app
+ * POST /api/auth/two-factor/setup
+ */
+exports.setupTwoFactor = async (req, res) => {
+  try {
+    const state = await resolveEnrollment(req, res);
+    if (!state || !checkCanEnroll(res, state)) {
+      return;
+    }
+
+    const secret = generateTotpSecret();
+    await TwoFactor.setPendingSecret(state.id, encryptSecret(secret));
+
+    res.json({
+      success: true,
+      data: {
+        secret,
+        otpauthUrl: buildOtpauthUrl({
+          secret,
+          accountName: state.email,
+          issuer: process.env.TOTP_ISSUER || 'QTech',
+        }),
+      },
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error starting two-factor setup',
+        ...(process.env.NODE_ENV === 'development' && { detail: error.message }),
+      },
+    });
+  }
+};
+
+/**
+ * Finish 2FA enrollment by confirming a code from the new secret.
+ * Returns the backup codes (shown once) and, when enrolling during login,
+ * the session.
+ * POST /api/auth/two-factor/enable
+ */
+exports.enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const state = await resolveEnrollment(req, res);
+    if (!state || !checkCanEnroll(res, state)) {
+      return;
+    }
+
+    if (!state.two_factor_secret) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Start two-factor setup first',
+        },
+      });
+    }
+
+    const step = verifyTotp(decryptSecret(state.two_factor_secret), code);
+    if (step === null) {
+      return invalidTwoFactorCode(res);
+    }
+
+    const backupCodes = generateBackupCodes();
+    const enabledAt = await TwoFactor.enable(
+      state.id,
+      step,
+      backupCodes.map((backupCode) => hashBackupCode(state.id, backupCode))
+    );
+    if (!enabledAt) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Two-factor setup has changed. Please start again.',
+        },
+      });
+    }
+
+    const data = { enabledAt, backupCodes };
+
+    if (req.body.challengeToken) {
+      const session = await completeLogin(req, state);
+      const user = await User.findById(state.id);
+      Object.assign(data, { user: await toClientUser(user), ...session });
+    }
+
+    res.json({
+      success: true,
+      data,
+      message: 'Two-factor authentication turned on',
+    });
+  } catch (error) {
+    console.error('Enable two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error turning on two-factor authentication',
+        ...(process.env.NODE_ENV === 'development' && { detail: error.message }),
+      },
+    });
+  }
+};
+
+/**
+ * Turn off 2FA (needs the password and a current code)
+ * POST /api/auth/two-factor/disable
+ */
+exports.disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code } = req.body;
+
+    const [state, passwordHash, requiredRoles] = await Promise.all([
+      TwoFactor.getState(req.user.userId),
+      User.getPasswordHash(req.user.userId),
+      getRequiredTwoFactorRoles(),
+    ]);
+
+    if (!state || !state.two_factor_enabled_at) {
+      return twoFactorNotEnabled(res);
+    }
+
+    if (requiredRoles.includes(state.role)) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          message: 'Two-factor authentication is required for your role and cannot be turned off',
+          code: TWO_FACTOR_CODES.TWO_FACTOR_ENFORCED,
+        },
+      });
+    }
+
+    const isPasswordValid = await bcrypt.compare(password, passwordHash);
+    if (!isPasswordValid) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Current password is incorrect',
+        },
+      });
+    }
+
+    if (!(await verifySecondFactor(state, code))) {
+      return invalidTwoFactorCode(res);
+    }
+
+    await TwoFactor.disable(state.id);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication turned off',
+    });
+  } catch (error) {
+    console.error('Disable two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error turning off two-factor authentication',
+        ...(process.env.NODE_ENV === 'development' && { detail: error.message }),
+      },
+    });
+  }
+};
+
+/**
+ * Replace the backup codes (needs a code from the authenticator app)
+ * POST /api/auth/two-factor/backup-codes
+ */
+exports.regenerateBackupCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const state = await TwoFactor.getState(req.user.userId);
+    if (!state || !state.two_factor_enabled_at) {
+      return twoFactorNotEnabled(res);
+    }
+
+    if (!(await verifySecondFactor(state, code, { allowBackupCode: false }))) {
+      return invalidTwoFactorCode(res);
+    }
+
+    const backupCodes = generateBackupCodes();
+    await TwoFactor.replaceBackupCodes(
+      state.id,
+      backupCodes.map((backupCode) => hashBackupCode(state.id, backupCode))
+    );
+
+    res.json({
+      success: true,
+      data: { backupCodes },
+      message: 'New backup codes created. The old ones no longer work.',
+    });
+  } catch (error) {
+    console.error('Regenerate backup codes error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error creating backup codes',
+        ...(process.env.NODE_ENV === 'development' && { detail: error.message }),
+      },
+    });
+  }
+};
@@ -2,6 +2,52 @@ const Counter = require('../models/Counter');
 const Queue = require('../models/Queue');
 const Service = require('../models/Service');
 const QueueEvents = require('../socket/queueEvents');
+const { STAFF_ACCESS_CODES, canOperateCounter } = require('../utils/staffAccess');
+
+const DEFAULT_SKIP_GRACE_PERIOD_MINUTES = 5;
+const DEFAULT_MAX_RECALL_COUNT = 3;
+
+/**
+ * Get skip/recall settings helper
+ * Reads the no-show grace period and recall limit from system settings
+ */
+const getRecallSettings = async () => {
+  const defaults = {
+    skipGracePeriodMinutes: DEFAULT_SKIP_GRACE_PERIOD_MINUTES,
+    maxRecallCount: DEFAULT_MAX_RECALL_COUNT,
+  };
+
+  try {
+    const { query } = require('../config/database');
+    const sql = `SELECT settings FROM system_settings WHERE id = 1;`;
+    const result = await query(sql);
+    const settings = result.rows[0]?.settings || {};
+
+    const gracePeriod = parseInt(settings.skip_grace_period_minutes);
+    const maxRecalls = parseInt(settings.max_recall_count);
+
+    return {
+      skipGracePeriodMinutes: gracePeriod > 0 ? gracePeriod : defaults.skipGracePeriodMinutes,
+      maxRecallCount: maxRecalls >= 0 ? maxRecalls : defaults.maxRecallCount,
+    };
+  } catch (error) {
+    // If table doesn't exist, return defaults
+    return defaults;
+  }
+};
+
+/**
+ * Respond for staff acting on a counter they are not assigned to
+ */
+const counterNotAssigned = (res) => {
+  return res.status(403).json({
+    success: false,
+    error: {
+      message: 'You are not assigned to this counter',
+      code: STAFF_ACCESS_CODES.COUNTER_NOT_ASSIGNED,
+    },
+  });
+};
 
 /**
  * Get all counters
@@ -35,16 +81,6 @@ exports.getMyCounters = async (req, res) => {
   try {
     const userId = req.user.userId;
 
-    // Check if user is counter staff or admin
-    if (req.user.role !== 'counter_staff' && req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        error: {
-          message: 'Access denied. Counter staff only.',
-        },
-      });
-    }
-
     const counters = await Counter.findByStaffId(userId);
 
     res.json({
@@ -91,6 +127,13 @@ exports.getCounterById = async (req, res) => {
     // Get queue status for this counter's service
     const queueStatus = await Service.getQueueStatus(counter.service_id);
 
+    // Get skipped queues that can still be recalled
+    const recallSettings = await getRecallSettings();
+    const skippedQueues = await Queue.findRecentlySkipped(
+      counter.service_id,
+      recallSettings.skipGracePeriodMinutes
+    );
+
     res.json({
       success: true,
       data: {
@@ -99,12 +142,22 @@ exports.getCounterById = async (req, res) => {
           id: currentServing.id,
           queueNumber: currentServing.queue_number,
           status: currentServing.status,
+          recallCount: currentServing.recall_count || 0,
+          priorityCategory: currentServing.priority_category || null,
         } : null,
         queueStatus: {
           waitingCount: parseInt(queueStatus.waiting_count) || 0,
+          priorityWaitingCount: parseInt(queueStatus.priority_waiting_count) || 0,
           calledCount: parseInt(queueStatus.called_count) || 0,
           servingCount: parseInt(queueStatus.serving_count) || 0,
         },
+        skippedQueues: skippedQueues.map(q => ({
+          id: q.id,
+          queueNumber: q.queue_number,
+          skippedAt: q.skipped_at,
+          recallCount: q.recall_count || 0,
+        })),
+        recallSettings,
       },
     });
   } catch (error) {
@@ -128,16 +181,6 @@ exports.callNext = async (req, res) => {
     const { counterId } = req.params;
     const userId = req.user.userId;
 
-    // Check if user is counter staff or admin
-    if (req.user.role !== 'counter_staff' && req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        error: {
-          message: 'Access denied. Counter staff only.',
-        },
-      });
-    }
-
     // Get counter
     const counter = await Counter.findById(counterId);
     if (!counter) {
@@ -149,6 +192,10 @@ exports.callNext = async (req, res) => {
       });
     }
 
+    if (!(await canOperateCounter(req.user, counter))) {
+      return counterNotAssigned(res);
+    }
+
     // Check if counter is open
     if (counter.status === 'closed') {
       return res.status(400).json({
@@ -159,10 +206,10 @@ exports.callNext = async (req, res) => {
       });
     }
 
-    // Get next waiting queue
-    const nextQueue = await Counter.getNextWaitingQueue(counter.service_id);
+    // Claim the next waiting queue, mark it 'called' and the counter 'busy' atomically
+    const updatedQueue = await Counter.callNext(counter.id);
 
-    if (!nextQueue) {
+    if (!updatedQueue) {
       return res.status(404).json({
         success: false,
         error: {
@@ -171,32 +218,13 @@ exports.callNext = async (req, res) => {
       });
     }
 
-    // Update queue status to 'called'
-    const { query } = require('../config/database');
-    const updateQueueSql = `
-      UPDATE queue_entries
-      SET status = 'called',
-          counter_id = $1,
-          called_at = NOW()
-      WHERE id = $2
-      RETURNING *;
-    `;
-
-    const queueResult = await query(updateQueueSql, [counterId, nextQueue.id]);
-    const updatedQueue = queueResult.rows[0];
-
-    // Update counter's current serving
-    await Counter.setCurrentServing(counterId, updatedQueue.id);
-
-    // Update counter status to 'busy'
-    await Counter.updateStatus(counterId, 'busy');
-
     // Log the action
     await Queue.logQueueAction(
       updatedQueue.id,
       counter.service_id,
       counterId,
-      'called'
+      'called',
+      updatedQueue.priority_category ? { priority_category: updatedQueue.priority_category } : null
     );
 
     // Emit WebSocket event
@@ -208,6 +236,7 @@ exports.callNext = async (req, res) => {
         queueId: updatedQueue.id,
         queueNumber: updatedQueue.queue_number,
         queuePosition: updatedQueue.queue_position,
+        priorityCategory: updatedQueue.priority_category || null,
         message: `Queue ${updatedQueue.queue_number} called to Counter ${counter.counter_number}`,
       },
     });
@@ -232,16 +261,6 @@ exports.startServing = async (req, res) => {
     const { counterId, queueId } = req.params;
     const userId = req.user.userId;
 
-    // Check if user is counter staff or admin
-    if (req.user.role !== 'counter_staff' && req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        error: {
-          message: 'Access denied. Counter staff only.',
-        },
-      });
-    }
-
     // Get counter
     const counter = await Counter.findById(counterId);
     if (!counter) {
@@ -253,6 +272,10 @@ exports.startServing = async (req, res) => {
       });
     }
 
+    if (!(await canOperateCounter(req.user, counter))) {
+      return counterNotAssigned(res);
+    }
+
     // Get queue entry
     const queueEntry = await Queue.findById(queueId);
     if (!queueEntry) {
@@ -328,16 +351,6 @@ exports.completeService = async (req, res) => {
     const { counterId, queueId } = req.params;
     const userId = req.user.userId;
 
-    // Check if user is counter staff or admin
-    if (req.user.role !== 'counter_staff' && req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        error: {
-          message: 'Access denied. Counter staff only.',
-        },
-      });
-    }
-
     // Get counter
     const counter = await Counter.findById(counterId);
     if (!counter) {
@@ -349,6 +362,10 @@ exports.completeService = async (req, res) => {
       });
     }
 
+    if (!(await canOperateCounter(req.user, counter))) {
+      return counterNotAssigned(res);
+    }
+
     // Get queue entry
     const queueEntry = await Queue.findById(queueId);
     if (!queueEntry) {
@@ -422,34 +439,492 @@ exports.completeService = async (req, res) => {
 };
 
 /**
- * Update counter status
- * POST /api/counters/:counterId/status
+ * Skip a called queue (student did not show up)
+ * POST /api/counters/:counterId/skip/:queueId
  */
-exports.updateCounterStatus = async (req, res) => {
+exports.skipQueue = async (req, res) => {
   try {
-    const { counterId } = req.params;
-    const { status } = req.body;
+    const { counterId, queueId } = req.params;
     const userId = req.user.userId;
 
-    // Check if user is counter staff or admin
-    if (req.user.role !== 'counter_staff' && req.user.role !== 'admin') {
-      return res.status(403).json({
+    // Get counter
+    const counter = await Counter.findById(counterId);
+    if (!counter) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Counter not found',
+        },
+      });
+    }
+
+    if (!(await canOperateCounter(req.user, counter))) {
+      return counterNotAssigned(res);
+    }
+
+    // Get queue entry
+    const queueEntry = await Queue.findById(queueId);
+    if (!queueEntry) {
+      return res.status(404).json({
         success: false,
         error: {
-          message: 'Access denied. Counter staff only.',
+          message: 'Queue entry not found',
         },
       });
     }
 
-    if (!status) {
+    // Verify queue is assigned to this counter
+    if (queueEntry.counter_id !== parseInt(counterId)) {
       return res.status(400).json({
         success: false,
         error: {
-          message: 'Status is required',
+          message: 'Queue entry is not assigned to this counter',
         },
       });
     }
 
+    // Only a called (not yet serving) queue can be a no-show
+    if (queueEntry.status !== 'called') {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Only called queue entries can be skipped',
+          code: 'INVALID_QUEUE_STATUS',
+        },
+      });
+    }
+
+    const recallSettings = await getRecallSettings();
+    const updatedQueue = await Queue.skip(queueId);
+    if (!updatedQueue) {
+      // Served, completed or cancelled since it was read above
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: `Queue ${queueEntry.queue_number} can no longer be skipped`,
+          code: 'INVALID_QUEUE_STATUS',
+        },
+      });
+    }
+
+    // Free the counter for the next queue
+    await Counter.setCurrentServing(counterId, null);
+    await Counter.updateStatus(counterId, 'open');
+
+    // Log the action
+    await Queue.logQueueAction(
+      queueId,
+      counter.service_id,
+      counterId,
+      'skipped',
+      { skipped_by: userId, recall_count: queueEntry.recall_count || 0 }
+    );
+
+    // Emit WebSocket event
+    await QueueEvents.emitQueueSkipped(updatedQueue, counter, recallSettings.skipGracePeriodMinutes);
+
+    res.json({
+      success: true,
+      data: {
+        queueId: updatedQueue.id,
+        queueNumber: updatedQueue.queue_number,
+        status: updatedQueue.status,
+        skippedAt: updatedQueue.skipped_at,
+        recallWindowMinutes: recallSettings.skipGracePeriodMinutes,
+        message: `Queue ${updatedQueue.queue_number} skipped`,
+      },
+    });
+  } catch (error) {
+    console.error('Skip queue error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error skipping queue',
+        ...(process.env.NODE_ENV === 'development' && { detail: error.message }),
+      },
+    });
+  }
+};
+
+/**
+ * Recall a queue (re-announce a called queue or bring back a skipped one)
+ * POST /api/counters/:counterId/recall/:queueId
+ */
+exports.recallQueue = async (req, res) => {
+  try {
+    const { counterId, queueId } = req.params;
+    const userId = req.user.userId;
+
+    // Get counter
+    const counter = await Counter.findById(counterId);
+    if (!counter) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Counter not found',
+        },
+      });
+    }
+
+    if (!(await canOperateCounter(req.user, counter))) {
+      return counterNotAssigned(res);
+    }
+
+    // Get queue entry
+    const queueEntry = await Queue.findById(queueId);
+    if (!queueEntry) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Queue entry not found',
+        },
+      });
+    }
+
+    if (queueEntry.service_id !== counter.service_id) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Queue entry does not belong to this counter\'s service',
+        },
+      });
+    }
+
+    const recallSettings = await getRecallSettings();
+
+    if ((queueEntry.recall_count || 0) >= recallSettings.maxRecallCount) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: `Queue ${queueEntry.queue_number} has reached the maximum of ${recallSettings.maxRecallCount} recalls`,
+          code: 'RECALL_LIMIT_REACHED',
+        },
+      });
+    }
+
+    if (queueEntry.status === 'called') {
+      // Re-announce: the queue must be called to this counter
+      if (queueEntry.counter_id !== parseInt(counterId)) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'Queue entry is not assigned to this counter',
+          },
+        });
+      }
+    } else if (queueEntry.status === 'skipped') {
+      // Bring back a no-show: only within the grace period
+      const skippedAt = queueEntry.skipped_at ? new Date(queueEntry.skipped_at).getTime() : 0;
+      if (Date.now() - skippedAt > recallSettings.skipGracePeriodMinutes * 60 * 1000) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: `The ${recallSettings.skipGracePeriodMinutes}-minute recall window for queue ${queueEntry.queue_number} has expired`,
+            code: 'RECALL_WINDOW_EXPIRED',
+          },
+        });
+      }
+
+      if (counter.current_serving_queue_id) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'Complete or skip the current queue before recalling another one',
+          },
+        });
+      }
+    } else {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Only called or skipped queue entries can be recalled',
+          code: 'INVALID_QUEUE_STATUS',
+        },
+      });
+    }
+
+    const updatedQueue = await Queue.recall(queueId, counterId);
+    if (!updatedQueue) {
+      // Completed or cancelled since it was read above
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: `Queue ${queueEntry.queue_number} can no longer be recalled`,
+          code: 'INVALID_QUEUE_STATUS',
+        },
+      });
+    }
+
+    // Make sure the counter shows the recalled queue
+    await Counter.setCurrentServing(counterId, updatedQueue.id);
+    await Counter.updateStatus(counterId, 'busy');
+
+    // Log the action
+    await Queue.logQueueAction(
+      queueId,
+      counter.service_id,
+      counterId,
+      'recalled',
+      {
+        recalled_by: userId,
+        previous_status: queueEntry.status,
+        recall_count: updatedQueue.recall_count,
+      }
+    );
+
+    // Emit WebSocket event
+    await QueueEvents.emitQueueRecalled(updatedQueue, counter);
+
+    res.json({
+      success: true,
+      data: {
+        queueId: updatedQueue.id,
+        queueNumber: updatedQueue.queue_number,
+        status: updatedQueue.status,
+        recallCount: updatedQueue.recall_count,
+        recallsRemaining: Math.max(recallSettings.maxRecallCount - updatedQueue.recall_count, 0),
+        message: `Queue ${updatedQueue.queue_number} recalled to Counter ${counter.counter_number}`,
+      },
+    });
+  } catch (error) {
+    console.error('Recall queue error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error recalling queue',
+        ...(process.env.NODE_ENV === 'development' && { detail: error.message }),
+      },
+    });
+  }
+};
+
+/**
+ * Transfer a queue to another service or a specific counter
+ * POST /api/counters/:counterId/transfer/:queueId
+ */
+exports.transferQueue = async (req, res) => {
+  try {
+    const { counterId, queueId } = req.params;
+    const { serviceId, targetCounterId, reason } = req.body;
+    const userId = req.user.userId;
+
+    if (!serviceId && !targetCounterId) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Target service or counter is required',
+        },
+      });
+    }
+
+    // Get counter
+    const counter = await Counter.findById(counterId);
+    if (!counter) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Counter not found',
+        },
+      });
+    }
+
+    if (!(await canOperateCounter(req.user, counter))) {
+      return counterNotAssigned(res);
+    }
+
+    // Get queue entry
+    const queueEntry = await Queue.findById(queueId);
+    if (!queueEntry) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Queue entry not found',
+        },
+      });
+    }
+
+    if (queueEntry.service_id !== counter.service_id) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Queue entry does not belong to this counter\'s service',
+        },
+      });
+    }
+
+    if (!['waiting', 'called', 'serving'].includes(queueEntry.status)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Only active queue entries can be transferred',
+          code: 'INVALID_QUEUE_STATUS',
+        },
+      });
+    }
+
+    // A called or serving queue can only be handed off by the counter holding it
+    if (queueEntry.status !== 'waiting' && queueEntry.counter_id !== parseInt(counterId)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Queue entry is not assigned to this counter',
+        },
+      });
+    }
+
+    // Resolve the target
+    let targetCounter = null;
+    let targetService = null;
+
+    if (targetCounterId) {
+      targetCounter = await Counter.findById(targetCounterId);
+      if (!targetCounter || !targetCounter.is_active) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            message: 'Target counter not found',
+          },
+        });
+      }
+
+      if (serviceId && parseInt(serviceId) !== targetCounter.service_id) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'Target counter does not belong to the selected service',
+          },
+        });
+      }
+
+      if (targetCounter.id === counter.id) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'Queue entry is already at this counter',
+          },
+        });
+      }
+    }
+
+    targetService = await Service.findById(targetCounter ? targetCounter.service_id : serviceId);
+    if (!targetService || !targetService.is_active) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Target service not found',
+        },
+      });
+    }
+
+    if (!targetCounter && targetService.id === counter.service_id) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Queue entry is already in this service',
+        },
+      });
+    }
+
+    const transferred = await Queue.transfer(
+      queueId,
+      targetService.id,
+      targetCounter ? targetCounter.id : null
+    );
+    if (!transferred) {
+      // Completed, skipped or cancelled since it was read above
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: `Queue ${queueEntry.queue_number} is no longer active`,
+          code: 'INVALID_QUEUE_STATUS',
+        },
+      });
+    }
+
+    const { queue: updatedQueue } = transferred;
+
+    // Free the source counter if it was holding this queue
+    if (counter.current_serving_queue_id === queueEntry.id) {
+      await Counter.setCurrentServing(counterId, null);
+      await Counter.updateStatus(counterId, 'open');
+    }
+
+    // Log the action with both source and target
+    await Queue.logQueueAction(
+      updatedQueue.id,
+      targetService.id,
+      targetCounter ? targetCounter.id : null,
+      'transferred',
+      {
+        transferred_by: userId,
+        previous_status: queueEntry.status,
+        from_service_id: queueEntry.service_id,
+        from_counter_id: queueEntry.counter_id || null,
+        from_queue_number: queueEntry.queue_number,
+        to_service_id: targetService.id,
+        to_counter_id: targetCounter ? targetCounter.id : null,
+        to_queue_number: updatedQueue.queue_number,
+        reason: reason || null,
+      }
+    );
+
+    // Emit WebSocket event
+    await QueueEvents.emitQueueTransferred(updatedQueue, queueEntry, counter, targetService, targetCounter);
+
+    const destination = targetCounter
+      ? `Counter ${targetCounter.counter_number} (${targetService.name})`
+      : targetService.name;
+
+    res.json({
+      success: true,
+      data: {
+        queueId: updatedQueue.id,
+        previousQueueNumber: queueEntry.queue_number,
+        queueNumber: updatedQueue.queue_number,
+        queuePosition: updatedQueue.queue_position,
+        status: updatedQueue.status,
+        serviceId: targetService.id,
+        serviceName: targetService.name,
+        counterId: targetCounter ? targetCounter.id : null,
+        message: `Queue ${queueEntry.queue_number} transferred to ${destination} as ${updatedQueue.queue_number}`,
+      },
+    });
+  } catch (error) {
+    console.error('Transfer queue error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error transferring queue',
+        ...(process.env.NODE_ENV === 'development' && { detail: error.message }),
+      },
+    });
+  }
+};
+
+/**
+ * Update counter status
+ * POST /api/counters/:counterId/status
+ */
+exports.updateCounterStatus = async (req, res) => {
+  try {
+    const { counterId } = req.params;
+    const { status } = req.body;
+    const userId = req.user.userId;
+
+    const counter = await Counter.findById(counterId);
+    if (!counter) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Counter not found',
+        },
+      });
+    }
+
+    if (!(await canOperateCounter(req.user, counter))) {
+      return counterNotAssigned(res);
+    }
+
     const updatedCounter = await Counter.updateStatus(counterId, status);
 
     res.json({
@@ -489,16 +964,6 @@ exports.getCounterStats = async (req, res) => {
     const { date } = req.query;
     const userId = req.user.userId;
 
-    // Check if user is counter staff or admin
-    if (req.user.role !== 'counter_staff' && req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        error: {
-          message: 'Access denied. Counter staff only.',
-        },
-      });
-    }
-
     const counter = await Counter.findById(counterId);
     if (!counter) {
       return res.status(404).json({
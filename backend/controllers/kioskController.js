@@ -0,0 +1,380 @@
+const Queue = require('../models/Queue');
+const Service = require('../models/Service');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const ServiceSchedule = require('../models/ServiceSchedule');
+const QueueEvents = require('../socket/queueEvents');
+const {
+  QUEUE_LIMIT_CODES,
+  isQueueLimitError,
+  getServiceAvailability,
+  getMaxQueuePerUser,
+  getUserLimitMessage,
+} = require('../utils/queueLimits');
+const { getOpenStatus } = require('../utils/serviceSchedule');
+const { PRINTER_CODES, isPrinterConfigured, printQueueTicket } = require('../utils/ticketPrinter');
+const { getTicketStatusUrl, isValidTicketLookupCode } = require('../utils/ticketLookup');
+const { PERMISSIONS } = require('../utils/permissions');
+
+const PHONE_NUMBER_PATTERN = /^\+?[0-9][0-9\s-]{6,18}$/;
+
+/**
+ * Get system settings helper
+ */
+const getSystemSettings = async () => {
+  try {
+    const { query } = require('../config/database');
+    const sql = `SELECT settings FROM system_settings WHERE id = 1;`;
+    const result = await query(sql);
+
+    if (result.rows.length > 0) {
+      return result.rows[0].settings;
+    }
+
+    return {
+      system_maintenance_mode: false,
+      maintenance_message: '',
+    };
+  } catch (error) {
+    return {
+      system_maintenance_mode: false,
+      maintenance_message: '',
+    };
+  }
+};
+
+/**
+ * Whether the phone number or email entered at the kiosk is the one on the
+ * account, so a student ID alone cannot put tickets on someone's account
+ */
+const matchesAccountContact = (account, phoneNumber, email) => {
+  const digits = (value) => String(value || '').replace(/\D/g, '');
+  if (phoneNumber && account.phone_number && digits(phoneNumber) === digits(account.phone_number)) {
+    return true;
+  }
+  return !!email && !!account.email && email.toLowerCase() === account.email.toLowerCase();
+};
+
+/**
+ * Issue a walk-in ticket from a kiosk
+ * POST /api/kiosk/tickets
+ *
+ * The ticket is linked to the student's account when the student ID matches
+ * one and the phone number or email entered is the one on that account (so it
+ * also shows up in their app); otherwise the entered student ID and/or phone
+ * number are kept on the ticket. With neither it is anonymous.
+ * With `print: true` the ticket also goes to the thermal printer; a printer
+ * failure is reported in the response but does not undo the ticket.
+ */
+exports.issueTicket = async (req, res) => {
+  try {
+    const kioskUserId = req.user.userId;
+    const { serviceId, priorityCategory } = req.body;
+    const studentId = req.body.studentId ? String(req.body.studentId).trim() : '';
+    const phoneNumber = req.body.phoneNumber ? String(req.body.phoneNumber).trim() : '';
+    const email = req.body.email ? String(req.body.email).trim() : '';
+
+    if (phoneNumber && !PHONE_NUMBER_PATTERN.test(phoneNumber)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Phone number is not valid',
+        },
+      });
+    }
+
+    // Check system maintenance mode
+    const systemSettings = await getSystemSettings();
+    if (systemSettings.system_maintenance_mode === true) {
+      return res.status(503).json({
+        success: false,
+        error: {
+          message: systemSettings.maintenance_message || 'System is currently under maintenance. Please try again later.',
+          maintenanceMode: true,
+        },
+      });
+    }
+
+    // Check if service exists
+    const service = await Service.findById(serviceId);
+    if (!service || !service.is_active) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Service not found or inactive',
+        },
+      });
+    }
+
+    // Opening hours and service capacity (max_queue_size, max_queue_before_closing)
+    const [queueCounts, schedules] = await Promise.all([
+      Service.getQueueCounts(service.id),
+      ServiceSchedule.findForServices([service.id]),
+    ]);
+    const openStatus = getOpenStatus(service, schedules[service.id]);
+    const availability = getServiceAvailability(service, queueCounts[service.id], openStatus);
+    if (availability.status !== 'open') {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: availability.message,
+          code: availability.code,
+        },
+      });
+    }
+
+    // Priority lanes must be enabled for the service
+    if (priorityCategory) {
+      const serviceSettings = await Service.getSettings(serviceId);
+      if (!serviceSettings.enable_priority_queue) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'Priority lane is not available for this service',
+            code: 'PRIORITY_NOT_ENABLED',
+          },
+        });
+      }
+    }
+
+    const maxQueuePerUser = getMaxQueuePerUser(systemSettings);
+
+    // Link the ticket to a student account when the ID matches one and the
+    // phone number or email confirms it
+    const student = studentId ? await User.findByStudentId(studentId) : null;
+    const holder = student && student.role === 'student' && student.is_active
+      && matchesAccountContact(student, phoneNumber, email) ? student : null;
+
+    if (holder) {
+      const existingQueue = await Queue.findByUserAndService(holder.id, service.id);
+      if (existingQueue) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: `Student ${studentId} already has queue ${existingQueue.queue_number} for this service`,
+            queueNumber: existingQueue.queue_number,
+          },
+        });
+      }
+
+      const activeQueueCount = await Queue.countActiveByUser(holder.id);
+      if (activeQueueCount >= maxQueuePerUser) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: getUserLimitMessage(maxQueuePerUser, `Student ${studentId}`),
+            code: QUEUE_LIMIT_CODES.USER_QUEUE_LIMIT_REACHED,
+          },
+        });
+      }
+    }
+
+    // Create queue entry (the caps are checked again under the service lock)
+    const queueEntry = await Queue.create({
+      userId: holder ? holder.id : null,
+      serviceId: service.id,
+      ...(priorityCategory && { priorityCategory }),
+      source: 'kiosk',
+      kioskUserId,
+      walkInStudentId: !holder && studentId ? studentId : null,
+      contactPhone: phoneNumber || null,
+      limits: { maxQueuePerUser },
+    });
+
+    // Emit WebSocket event
+    await QueueEvents.emitQueueCreated(queueEntry);
+
+    const printerEnabled = isPrinterConfigured();
+    let printed = false;
+    if (req.body.print && printerEnabled) {
+      try {
+        await printQueueTicket({
+          ...queueEntry,
+          service_name: service.name,
+          service_location: service.location,
+        });
+        printed = true;
+      } catch (printError) {
+        console.error('Kiosk ticket print error:', printError);
+      }
+    }
+
+    res.status(201).json({
+      success: true,
+      data: {
+        id: queueEntry.id,
+        queueNumber: queueEntry.queue_number,
+        queuePosition: queueEntry.queue_position,
+        peopleAhead: Math.max(queueEntry.queue_position - 1, 0),
+        serviceId: queueEntry.service_id,
+        serviceName: service.name,
+        serviceLocation: service.location || null,
+        estimatedWaitTime: queueEntry.estimated_wait_time,
+        status: queueEntry.status,
+        priorityCategory: queueEntry.priority_category || null,
+        linkedToAccount: !!holder,
+        requestedAt: queueEntry.requested_at,
+        statusUrl: getTicketStatusUrl(queueEntry.id),
+        printerEnabled,
+        printed,
+      },
+    });
+  } catch (error) {
+    console.error('Kiosk issue ticket error:', error);
+
+    // Lost a race against a parallel request for the same student
+    if (error.message.includes('already have an active queue')) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'This student already has an active queue for this service',
+        },
+      });
+    }
+
+    // A parallel request took the last place
+    if (error.code === QUEUE_LIMIT_CODES.USER_QUEUE_LIMIT_REACHED) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'This student already has the most active queues allowed',
+          code: error.code,
+        },
+      });
+    }
+
+    if (isQueueLimitError(error)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: error.message,
+          code: error.code,
+        },
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error issuing ticket',
+        ...(process.env.NODE_ENV === 'development' && { detail: error.message }),
+      },
+    });
+  }
+};
+
+/**
+ * Print a ticket issued by this kiosk
+ * POST /api/kiosk/tickets/:queueId/print
+ */
+exports.printTicket = async (req, res) => {
+  try {
+    const { queueId } = req.params;
+
+    const queueEntry = await Queue.findById(queueId);
+
+    // Kiosks can only print their own tickets; queue supervisors can print any
+    if (!queueEntry || (queueEntry.kiosk_user_id !== req.user.userId
+      && !(await Role.hasPermission(req.user.role, PERMISSIONS.QUEUES_OVERRIDE)))) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Ticket not found',
+        },
+      });
+    }
+
+    const result = await printQueueTicket(queueEntry);
+
+    res.json({
+      success: true,
+      data: {
+        queueId: queueEntry.id,
+        queueNumber: queueEntry.queue_number,
+        ...result,
+      },
+    });
+  } catch (error) {
+    console.error('Kiosk print ticket error:', error);
+
+    if (error.message.includes('not configured')) {
+      return res.status(503).json({
+        success: false,
+        error: {
+          message: 'No ticket printer is configured',
+          code: PRINTER_CODES.PRINTER_NOT_CONFIGURED,
+        },
+      });
+    }
+
+    if (error.message.includes('printer unavailable')) {
+      return res.status(502).json({
+        success: false,
+        error: {
+          message: 'Could not reach the ticket printer',
+          code: PRINTER_CODES.PRINTER_UNAVAILABLE,
+          ...(process.env.NODE_ENV === 'development' && { detail: error.message }),
+        },
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error printing ticket',
+        ...(process.env.NODE_ENV === 'development' && { detail: error.message }),
+      },
+    });
+  }
+};
+
+/**
+ * Look up a ticket from the QR code printed on it
+ * GET /api/kiosk/tickets/:queueId/status?code=
+ */
+exports.getTicketStatus = async (req, res) => {
+  try {
+    const { queueId } = req.params;
+    const { code } = req.query;
+
+    const queueEntry = isValidTicketLookupCode(queueId, code)
+      ? await Queue.findById(queueId)
+      : null;
+
+    if (!queueEntry) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Ticket not found',
+        },
+      });
+    }
+
+    const isWaiting = queueEntry.status === 'waiting';
+
+    res.json({
+      success: true,
+      data: {
+        queueNumber: queueEntry.queue_number,
+        serviceName: queueEntry.service_name,
+        serviceLocation: queueEntry.service_location,
+        status: queueEntry.status,
+        queuePosition: isWaiting ? queueEntry.queue_position : null,
+        peopleAhead: isWaiting ? Math.max(queueEntry.queue_position - 1, 0) : null,
+        estimatedWaitTime: isWaiting ? queueEntry.estimated_wait_time : null,
+        priorityCategory: queueEntry.priority_category || null,
+        requestedAt: queueEntry.requested_at,
+        calledAt: queueEntry.called_at,
+      },
+    });
+  } catch (error) {
+    console.error('Get ticket status error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error fetching ticket status',
+        ...(process.env.NODE_ENV === 'development' && { detail: error.message }),
+      },
+    });
+  }
+};
@@ -0,0 +1,193 @@
+const Notification = require('../models/Notification');
+const DeviceToken = require('../models/DeviceToken');
+
+/**
+ * Get the current user's notifications, newest first
+ * GET /api/notifications?page=1&limit=20&unreadOnly=false
+ */
+exports.getNotifications = async (req, res) => {
+  try {
+    const { page, limit, unreadOnly } = req.query;
+
+    const [{ entries, total }, unreadCount] = await Promise.all([
+      Notification.findByUser(req.user.userId, {
+        limit,
+        offset: (page - 1) * limit,
+        unreadOnly,
+      }),
+      Notification.countUnread(req.user.userId),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        unreadCount,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error fetching notifications',
+        ...(process.env.NODE_ENV === 'development' && { detail: error.message }),
+      },
+    });
+  }
+};
+
+/**
+ * Get the number of unread notifications (for the app badge)
+ * GET /api/notifications/unread-count
+ */
+exports.getUnreadCount = async (req, res) => {
+  try {
+    const unreadCount = await Notification.countUnread(req.user.userId);
+
+    res.json({
+      success: true,
+      data: { unreadCount },
+    });
+  } catch (error) {
+    console.error('Get unread notification count error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error fetching unread notification count',
+        ...(process.env.NODE_ENV === 'development' && { detail: error.message }),
+      },
+    });
+  }
+};
+
+/**
+ * Mark one notification read
+ * POST /api/notifications/:id/read
+ */
+exports.markAsRead = async (req, res) => {
+  try {
+    const notification = await Notification.markRead(req.user.userId, req.params.id);
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Notification not found',
+        },
+      });
+    }
+
+    const unreadCount = await Notification.countUnread(req.user.userId);
+
+    res.json({
+      success: true,
+      data: { notification, unreadCount },
+    });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error marking notification as read',
+        ...(process.env.NODE_ENV === 'development' && { detail: error.message }),
+      },
+    });
+  }
+};
+
+/**
+ * Mark every notification read
+ * POST /api/notifications/read-all
+ */
+exports.markAllAsRead = async (req, res) => {
+  try {
+    const updated = await Notification.markAllRead(req.user.userId);
+
+    res.json({
+      success: true,
+      message: 'All notifications marked as read',
+      data: { updated, unreadCount: 0 },
+    });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error marking notifications as read',
+        ...(process.env.NODE_ENV === 'development' && { detail: error.message }),
+      },
+    });
+  }
+};
+
+/**
+ * Register the signed-in device's Expo push token
+ * POST /api/notifications/devices
+ */
+exports.registerDevice = async (req, res) => {
+  try {
+    const { token, platform, deviceName } = req.body;
+
+    const device = await DeviceToken.register({
+      userId: req.user.userId,
+      token,
+      platform,
+      deviceName,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Device registered for push notifications',
+      data: device,
+    });
+  } catch (error) {
+    console.error('Register device error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error registering device',
+        ...(process.env.NODE_ENV === 'development' && { detail: error.message }),
+      },
+    });
+  }
+};
+
+/**
+ * Remove a push token (e.g. on sign out)
+ * POST /api/notifications/devices/unregister
+ */
+exports.unregisterDevice = async (req, res) => {
+  try {
+    const removed = await DeviceToken.unregister(req.user.userId, req.body.token);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Device not registered',
+        },
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Device unregistered',
+    });
+  } catch (error) {
+    console.error('Unregister device error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error unregistering device',
+        ...(process.env.NODE_ENV === 'development' && { detail: error.message }),
+      },
+    });
+  }
+};
@@ -1,6 +1,18 @@
 const Queue = require('../models/Queue');
 const Service = require('../models/Service');
+const ServiceSchedule = require('../models/ServiceSchedule');
 const QueueEvents = require('../socket/queueEvents');
+const {
+  QUEUE_LIMIT_CODES,
+  isQueueLimitError,
+  getServiceAvailability,
+  getMaxQueuePerUser,
+  getUserLimitMessage,
+} = require('../utils/queueLimits');
+const { getOpenStatus } = require('../utils/serviceSchedule');
+const { CHECKIN_CODES, verifyCheckInToken } = require('../utils/checkIn');
+const { ROLE_CODES } = require('../utils/permissions');
+const { canManageServiceQueue } = require('../utils/staffAccess');
 
 /**
  * Get system settings helper
@@ -36,17 +48,7 @@ const getSystemSettings = async () => {
 exports.requestQueue = async (req, res) => {
   try {
     const userId = req.user.userId;
-    const { serviceId } = req.body;
-
-    // Validation
-    if (!serviceId) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          message: 'Service ID is required',
-        },
-      });
-    }
+    const { serviceId, priorityCategory } = req.body;
 
     // Check system maintenance mode
     const systemSettings = await getSystemSettings();
@@ -83,10 +85,56 @@ exports.requestQueue = async (req, res) => {
       });
     }
 
-    // Create queue entry
+    // Opening hours and service capacity (max_queue_size, max_queue_before_closing)
+    const [queueCounts, schedules] = await Promise.all([
+      Service.getQueueCounts(service.id),
+      ServiceSchedule.findForServices([service.id]),
+    ]);
+    const openStatus = getOpenStatus(service, schedules[service.id]);
+    const availability = getServiceAvailability(service, queueCounts[service.id], openStatus);
+    if (availability.status !== 'open') {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: availability.message,
+          code: availability.code,
+        },
+      });
+    }
+
+    // Active queues per user across all services
+    const maxQueuePerUser = getMaxQueuePerUser(systemSettings);
+    const activeQueueCount = await Queue.countActiveByUser(userId);
+    if (activeQueueCount >= maxQueuePerUser) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: getUserLimitMessage(maxQueuePerUser),
+          code: QUEUE_LIMIT_CODES.USER_QUEUE_LIMIT_REACHED,
+        },
+      });
+    }
+
+    // Priority lanes must be enabled for the service
+    if (priorityCategory) {
+      const serviceSettings = await Service.getSettings(serviceId);
+      if (!serviceSettings.enable_priority_queue) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'Priority lane is not available for this service',
+            code: 'PRIORITY_NOT_ENABLED',
+          },
+        });
+      }
+    }
+
+    // Create queue entry (the caps are checked again under the service lock)
     const queueEntry = await Queue.create({
       userId,
       serviceId,
+      ...(priorityCategory && { priorityCategory }),
+      limits: { maxQueuePerUser },
     });
 
     // Emit WebSocket event
@@ -102,11 +150,35 @@ exports.requestQueue = async (req, res) => {
         serviceName: service.name,
         estimatedWaitTime: queueEntry.estimated_wait_time,
         status: queueEntry.status,
+        priorityCategory: queueEntry.priority_category || null,
+        requiresCheckIn: !!queueEntry.requires_checkin,
         requestedAt: queueEntry.requested_at,
       },
     });
   } catch (error) {
     console.error('Request queue error:', error);
+
+    // Lost a race against a parallel request from the same user
+    if (error.message.includes('already have an active queue')) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: error.message,
+        },
+      });
+    }
+
+    // A parallel request took the last place
+    if (isQueueLimitError(error)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: error.message,
+          code: error.code,
+        },
+      });
+    }
+
     res.status(500).json({
       success: false,
       error: {
@@ -137,8 +209,9 @@ exports.getQueueStatus = async (req, res) => {
       });
     }
 
-    // Check if user owns this queue entry
-    if (queueEntry.user_id !== userId && req.user.role !== 'admin' && req.user.role !== 'counter_staff') {
+    // Check if user owns this queue entry or works the service it belongs to
+    if (queueEntry.user_id !== userId
+      && !(await canManageServiceQueue(req.user, queueEntry.service_id))) {
       return res.status(403).json({
         success: false,
         error: {
@@ -162,6 +235,12 @@ exports.getQueueStatus = async (req, res) => {
         calledAt: queueEntry.called_at,
         startedServingAt: queueEntry.started_serving_at,
         completedAt: queueEntry.completed_at,
+        skippedAt: queueEntry.skipped_at,
+        recallCount: queueEntry.recall_count || 0,
+        priorityCategory: queueEntry.priority_category || null,
+        appointmentId: queueEntry.appointment_id || null,
+        requiresCheckIn: !!queueEntry.requires_checkin,
+        checkedInAt: queueEntry.checked_in_at || null,
       },
     });
   } catch (error) {
@@ -211,6 +290,7 @@ exports.getServiceQueueStatus = async (req, res) => {
         waitingCount: parseInt(queueStatus.waiting_count) || 0,
         calledCount: parseInt(queueStatus.called_count) || 0,
         servingCount: parseInt(queueStatus.serving_count) || 0,
+        priorityWaitingCount: parseInt(queueStatus.priority_waiting_count) || 0,
         averageWaitTime: queueStatus.avg_wait_time ? Math.round(queueStatus.avg_wait_time) : null,
       },
     });
@@ -271,6 +351,246 @@ exports.cancelQueue = async (req, res) => {
   }
 };
 
+/**
+ * Rejoin the queue after being skipped
+ * POST /api/queue/:queueId/rejoin
+ */
+exports.rejoinQueue = async (req, res) => {
+  try {
+    const { queueId } = req.params;
+    const userId = req.user.userId;
+
+    const systemSettings = await getSystemSettings();
+    const gracePeriodMinutes = parseInt(systemSettings.skip_grace_period_minutes) || 5;
+
+    const rejoinedQueue = await Queue.rejoin(queueId, userId, gracePeriodMinutes);
+
+    // Emit WebSocket event
+    await QueueEvents.emitQueueRejoined(rejoinedQueue);
+
+    res.json({
+      success: true,
+      message: 'Rejoined the queue successfully',
+      data: {
+        id: rejoinedQueue.id,
+        queueNumber: rejoinedQueue.queue_number,
+        queuePosition: rejoinedQueue.queue_position,
+        status: rejoinedQueue.status,
+      },
+    });
+  } catch (error) {
+    console.error('Rejoin queue error:', error);
+
+    if (error.message.includes('not found') ||
+        error.message.includes('Only skipped') ||
+        error.message.includes('expired') ||
+        error.message.includes('already have an active queue')) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: error.message,
+        },
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error rejoining queue',
+        ...(process.env.NODE_ENV === 'development' && { detail: error.message }),
+      },
+    });
+  }
+};
+
+/**
+ * Check in on site by scanning the display board QR code
+ * POST /api/queue/:queueId/check-in
+ */
+exports.checkInQueue = async (req, res) => {
+  try {
+    const { queueId } = req.params;
+    const { token } = req.body;
+    const userId = req.user.userId;
+
+    const queueEntry = await Queue.findById(queueId);
+    if (!queueEntry || queueEntry.user_id !== userId) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Queue entry not found',
+        },
+      });
+    }
+
+    if (!queueEntry.requires_checkin) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'This queue does not need to be checked in',
+          code: CHECKIN_CODES.CHECKIN_NOT_REQUIRED,
+        },
+      });
+    }
+
+    const verification = verifyCheckInToken(token, queueEntry.service_id);
+    if (!verification.valid) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: verification.message,
+          code: verification.code,
+        },
+      });
+    }
+
+    const checkedInQueue = await Queue.checkIn(queueId, userId);
+
+    // Emit WebSocket event (only on the first scan)
+    if (!queueEntry.checked_in_at) {
+      await QueueEvents.emitQueueCheckedIn(checkedInQueue);
+    }
+
+    res.json({
+      success: true,
+      message: 'Checked in successfully',
+      data: {
+        id: checkedInQueue.id,
+        queueNumber: checkedInQueue.queue_number,
+        queuePosition: checkedInQueue.queue_position,
+        status: checkedInQueue.status,
+        checkedInAt: checkedInQueue.checked_in_at,
+      },
+    });
+  } catch (error) {
+    console.error('Check in queue error:', error);
+
+    if (error.message.includes('not found') || error.message.includes('Only waiting')) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: error.message,
+        },
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error checking in',
+        ...(process.env.NODE_ENV === 'development' && { detail: error.message }),
+      },
+    });
+  }
+};
+
+/**
+ * Set or clear the priority category of a queue (staff)
+ * PUT /api/queue/:queueId/priority
+ */
+exports.updateQueuePriority = async (req, res) => {
+  try {
+    const { queueId } = req.params;
+    const { priorityCategory } = req.body;
+    const userId = req.user.userId;
+
+    const queueEntry = await Queue.findById(queueId);
+    if (!queueEntry) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Queue entry not found',
+        },
+      });
+    }
+
+    if (!(await canManageServiceQueue(req.user, queueEntry.service_id))) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          message: 'Access denied. This service is outside your permissions.',
+          code: ROLE_CODES.OUT_OF_SCOPE,
+        },
+      });
+    }
+
+    if (queueEntry.status !== 'waiting') {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Only waiting queue entries can change priority',
+          code: 'INVALID_QUEUE_STATUS',
+        },
+      });
+    }
+
+    if (priorityCategory) {
+      const serviceSettings = await Service.getSettings(queueEntry.service_id);
+      if (!serviceSettings.enable_priority_queue) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'Priority lane is not enabled for this service',
+            code: 'PRIORITY_NOT_ENABLED',
+          },
+        });
+      }
+    }
+
+    const changed = await Queue.setPriority(queueId, priorityCategory || null);
+    if (!changed) {
+      // Called or cancelled since it was read above
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: `Queue ${queueEntry.queue_number} is no longer waiting`,
+          code: 'INVALID_QUEUE_STATUS',
+        },
+      });
+    }
+
+    const { queue: updatedQueue } = changed;
+
+    await Queue.logQueueAction(
+      updatedQueue.id,
+      updatedQueue.service_id,
+      updatedQueue.counter_id || null,
+      'priority_changed',
+      {
+        changed_by: userId,
+        from_category: queueEntry.priority_category || null,
+        to_category: updatedQueue.priority_category || null,
+        from_queue_number: queueEntry.queue_number,
+        to_queue_number: updatedQueue.queue_number,
+      }
+    );
+
+    // Emit WebSocket event
+    await QueueEvents.emitQueuePriorityChanged(updatedQueue, queueEntry.queue_number);
+
+    res.json({
+      success: true,
+      message: 'Queue priority updated successfully',
+      data: {
+        id: updatedQueue.id,
+        queueNumber: updatedQueue.queue_number,
+        previousQueueNumber: queueEntry.queue_number,
+        priorityCategory: updatedQueue.priority_category || null,
+        status: updatedQueue.status,
+      },
+    });
+  } catch (error) {
+    console.error('Update queue priority error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error updating queue priority',
+        ...(process.env.NODE_ENV === 'development' && { detail: error.message }),
+      },
+    });
+  }
+};
+
 /**
  * Get user's queue history
  * GET /api/queue/history
@@ -0,0 +1,254 @@
+const Role = require('../models/Role');
+const {
+  PERMISSION_DEFINITIONS,
+  ADMIN_ROLE,
+  SYSTEM_ROLES,
+  ROLE_CODES,
+  isValidRoleName,
+  validatePermissionGrants,
+} = require('../utils/permissions');
+const { AUDIT_ACTIONS, recordAudit } = require('../utils/audit');
+
+const roleNotFound = (res) => {
+  return res.status(404).json({
+    success: false,
+    error: {
+      message: 'Role not found',
+      code: ROLE_CODES.ROLE_NOT_FOUND,
+    },
+  });
+};
+
+/**
+ * Validate the editable fields of a role. Returns an error message or null.
+ */
+const validateRoleInput = ({ name, permissions }) => {
+  if (name !== undefined && !isValidRoleName(name)) {
+    return 'Role name must be 2-20 lowercase letters, digits or underscores and start with a letter';
+  }
+
+  if (permissions !== undefined) {
+    return validatePermissionGrants(permissions);
+  }
+
+  return null;
+};
+
+/**
+ * Get the permission catalog for the role editor
+ * GET /api/admin/permissions
+ */
+exports.getPermissions = async (req, res) => {
+  res.json({
+    success: true,
+    data: PERMISSION_DEFINITIONS,
+  });
+};
+
+/**
+ * Get all roles with their permissions
+ * GET /api/admin/roles
+ */
+exports.getRoles = async (req, res) => {
+  try {
+    const roles = await Role.findAll();
+
+    res.json({
+      success: true,
+      data: roles,
+    });
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error fetching roles',
+        ...(process.env.NODE_ENV === 'development' && { detail: error.message }),
+      },
+    });
+  }
+};
+
+/**
+ * Create a role
+ * POST /api/admin/roles
+ */
+exports.createRole = async (req, res) => {
+  try {
+    const { name, description, permissions = [] } = req.body;
+
+    const validationError = validateRoleInput({ name, permissions });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: validationError,
+        },
+      });
+    }
+
+    const role = await Role.create({ name, description, permissions });
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.ROLE_CREATE,
+      entityId: role.id,
+      after: role,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: role,
+      message: 'Role created successfully',
+    });
+  } catch (error) {
+    console.error('Create role error:', error);
+
+    if (error.code === '23505') { // Unique constraint violation
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'A role with this name already exists',
+        },
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error creating role',
+        ...(process.env.NODE_ENV === 'development' && { detail: error.message }),
+      },
+    });
+  }
+};
+
+/**
+ * Update a role's name, description or permissions
+ * PUT /api/admin/roles/:id
+ */
+exports.updateRole = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, description, permissions } = req.body;
+
+    const role = await Role.findById(id);
+    if (!role) {
+      return roleNotFound(res);
+    }
+
+    // Built-in roles keep their names; admin always has every permission
+    if ((name !== undefined && name !== role.name && role.is_system)
+      || (permissions !== undefined && role.name === ADMIN_ROLE)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: role.name === ADMIN_ROLE
+            ? 'The admin role always has every permission'
+            : 'Built-in roles cannot be renamed',
+          code: ROLE_CODES.SYSTEM_ROLE,
+        },
+      });
+    }
+
+    const validationError = validateRoleInput({ name, permissions });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: validationError,
+        },
+      });
+    }
+
+    const updatedRole = await Role.update(id, { name, description, permissions });
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.ROLE_UPDATE,
+      entityId: role.id,
+      before: role,
+      after: updatedRole,
+      fields: Object.keys(req.body),
+    });
+
+    res.json({
+      success: true,
+      data: updatedRole,
+      message: 'Role updated successfully',
+    });
+  } catch (error) {
+    console.error('Update role error:', error);
+
+    if (error.code === '23505') { // Unique constraint violation
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'A role with this name already exists',
+        },
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error updating role',
+        ...(process.env.NODE_ENV === 'development' && { detail: error.message }),
+      },
+    });
+  }
+};
+
+/**
+ * Delete a role that no user has
+ * DELETE /api/admin/roles/:id
+ */
+exports.deleteRole = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const role = await Role.findById(id);
+    if (!role) {
+      return roleNotFound(res);
+    }
+
+    if (role.is_system || SYSTEM_ROLES.includes(role.name)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Built-in roles cannot be deleted',
+          code: ROLE_CODES.SYSTEM_ROLE,
+        },
+      });
+    }
+
+    const deleted = await Role.delete(id);
+    if (!deleted) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: 'Move the users with this role to another role first',
+          code: ROLE_CODES.ROLE_IN_USE,
+        },
+      });
+    }
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.ROLE_DELETE,
+      entityId: role.id,
+      before: role,
+    });
+
+    res.json({
+      success: true,
+      message: 'Role deleted successfully',
+    });
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error deleting role',
+        ...(process.env.NODE_ENV === 'development' && { detail: error.message }),
+      },
+    });
+  }
+};
@@ -0,0 +1,328 @@
+const Service = require('../models/Service');
+const ServiceSchedule = require('../models/ServiceSchedule');
+const { getOpenStatus, normalizeTime, isValidTime } = require('../utils/serviceSchedule');
+const { AUDIT_ACTIONS, recordAudit } = require('../utils/audit');
+
+/**
+ * Check if a value is a valid YYYY-MM-DD date
+ */
+const isValidDate = (value) => (
+  /^\d{4}-\d{2}-\d{2}$/.test(String(value)) && !Number.isNaN(Date.parse(value))
+);
+
+/**
+ * Validate an open/close time pair for a day that is not closed
+ * Returns an error message or null
+ */
+const validateHours = (openTime, closeTime, label) => {
+  if (!isValidTime(openTime) || !isValidTime(closeTime)) {
+    return `${label}: open and close times are required (HH:MM)`;
+  }
+  if (normalizeTime(openTime) >= normalizeTime(closeTime)) {
+    return `${label}: close time must be after open time`;
+  }
+  return null;
+};
+
+/**
+ * Validate a schedule exception body (partial when updating)
+ * Returns an error message or null
+ */
+const validateException = (data, existing = {}) => {
+  const merged = { ...existing, ...data };
+
+  if (!isValidDate(merged.start_date)) {
+    return 'Start date is required (YYYY-MM-DD)';
+  }
+  const endDate = merged.end_date || merged.start_date;
+  if (!isValidDate(endDate)) {
+    return 'End date must be a valid date (YYYY-MM-DD)';
+  }
+  if (endDate < merged.start_date) {
+    return 'End date must be on or after start date';
+  }
+  if (merged.is_closed === false) {
+    return validateHours(merged.open_time, merged.close_time, 'Exception');
+  }
+  return null;
+};
+
+/**
+ * Load a service or send a 404
+ */
+const findServiceOr404 = async (id, res) => {
+  const service = await Service.findById(id);
+  if (!service) {
+    res.status(404).json({
+      success: false,
+      error: {
+        message: 'Service not found',
+      },
+    });
+  }
+  return service;
+};
+
+/**
+ * Get a service's weekly hours and upcoming exceptions
+ * GET /api/admin/services/:id/schedule
+ */
+exports.getSchedule = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const includePast = req.query.includePast === true;
+
+    const service = await findServiceOr404(id, res);
+    if (!service) return;
+
+    const [weeklyHours, exceptions, schedules] = await Promise.all([
+      ServiceSchedule.getWeeklyHours(id),
+      ServiceSchedule.getExceptions(id, includePast),
+      ServiceSchedule.findForServices([service.id]),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        service_id: service.id,
+        weekly_hours: weeklyHours,
+        exceptions,
+        openStatus: getOpenStatus(service, schedules[service.id]),
+      },
+    });
+  } catch (error) {
+    console.error('Get service schedule error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error fetching service schedule',
+        ...(process.env.NODE_ENV === 'development' && { detail: error.message }),
+      },
+    });
+  }
+};
+
+/**
+ * Replace a service's weekly hours
+ * PUT /api/admin/services/:id/schedule/weekly
+ */
+exports.updateWeeklyHours = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { weekly_hours } = req.body;
+
+    const seenDays = new Set();
+    for (const day of weekly_hours) {
+      const dayOfWeek = day.day_of_week;
+      if (seenDays.has(dayOfWeek)) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'Each day_of_week may appear only once',
+          },
+        });
+      }
+      seenDays.add(dayOfWeek);
+
+      const hoursError = day.is_closed ? null : validateHours(day.open_time, day.close_time, `Day ${dayOfWeek}`);
+      if (hoursError) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: hoursError,
+          },
+        });
+      }
+    }
+
+    const service = await findServiceOr404(id, res);
+    if (!service) return;
+
+    const previousHours = await ServiceSchedule.getWeeklyHours(service.id);
+    const weeklyHours = await ServiceSchedule.setWeeklyHours(
+      service.id,
+      weekly_hours.map(day => ({ ...day, day_of_week: parseInt(day.day_of_week) }))
+    );
+
+    // Row IDs change on every save; compare the hours themselves
+    const withoutIds = (days) => days.map(({ day_of_week, open_time, close_time, is_closed }) => ({
+      day_of_week, open_time, close_time, is_closed,
+    }));
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.SERVICE_HOURS_UPDATE,
+      entityId: service.id,
+      before: { weekly_hours: withoutIds(previousHours) },
+      after: { weekly_hours: withoutIds(weeklyHours) },
+    });
+
+    res.json({
+      success: true,
+      data: weeklyHours,
+      message: 'Weekly hours updated successfully',
+    });
+  } catch (error) {
+    console.error('Update weekly hours error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error updating weekly hours',
+        ...(process.env.NODE_ENV === 'development' && { detail: error.message }),
+      },
+    });
+  }
+};
+
+/**
+ * Add a schedule exception (holiday, half day, extended hours)
+ * POST /api/admin/services/:id/schedule/exceptions
+ */
+exports.createException = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const exceptionData = {
+      ...req.body,
+      is_closed: req.body.is_closed !== false,
+    };
+
+    const validationError = validateException(exceptionData);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: validationError,
+        },
+      });
+    }
+
+    const service = await findServiceOr404(id, res);
+    if (!service) return;
+
+    const exception = await ServiceSchedule.createException(service.id, exceptionData);
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.SCHEDULE_EXCEPTION_CREATE,
+      entityId: exception.id,
+      after: exception,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: exception,
+      message: 'Schedule exception created successfully',
+    });
+  } catch (error) {
+    console.error('Create schedule exception error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error creating schedule exception',
+        ...(process.env.NODE_ENV === 'development' && { detail: error.message }),
+      },
+    });
+  }
+};
+
+/**
+ * Update a schedule exception
+ * PUT /api/admin/services/:id/schedule/exceptions/:exceptionId
+ */
+exports.updateException = async (req, res) => {
+  try {
+    const { id, exceptionId } = req.params;
+
+    const existing = await ServiceSchedule.findException(id, exceptionId);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Schedule exception not found',
+        },
+      });
+    }
+
+    const validationError = validateException(req.body, existing);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: validationError,
+        },
+      });
+    }
+
+    const exception = await ServiceSchedule.updateException(id, exceptionId, req.body);
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.SCHEDULE_EXCEPTION_UPDATE,
+      entityId: exception.id,
+      before: existing,
+      after: exception,
+      fields: Object.keys(req.body),
+    });
+
+    res.json({
+      success: true,
+      data: exception,
+      message: 'Schedule exception updated successfully',
+    });
+  } catch (error) {
+    console.error('Update schedule exception error:', error);
+
+    if (error.message === 'No fields to update') {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: error.message,
+        },
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error updating schedule exception',
+        ...(process.env.NODE_ENV === 'development' && { detail: error.message }),
+      },
+    });
+  }
+};
+
+/**
+ * Delete a schedule exception
+ * DELETE /api/admin/services/:id/schedule/exceptions/:exceptionId
+ */
+exports.deleteException = async (req, res) => {
+  try {
+    const { id, exceptionId } = req.params;
+
+    const deleted = await ServiceSchedule.deleteException(id, exceptionId);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Schedule exception not found',
+        },
+      });
+    }
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.SCHEDULE_EXCEPTION_DELETE,
+      entityId: deleted.id,
+      before: deleted,
+    });
+
+    res.json({
+      success: true,
+      message: 'Schedule exception deleted successfully',
+    });
+  } catch (error) {
+    console.error('Delete schedule exception error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Error deleting schedule exception',
+        ...(process.env.NODE_ENV === 'development' && { detail: error.message }),
+      },
+    });
+  }
+};
@@ -1,5 +1,8 @@
 const Service = require('../models/Service');
 const Queue = require('../models/Queue');
+const ServiceSchedule = require('../models/ServiceSchedule');
+const { getServiceAvailability, getMaxQueuePerUser } = require('../utils/queueLimits');
+const { getOpenStatus } = require('../utils/serviceSchedule');
 
 /**
  * Get system settings helper
@@ -26,6 +29,44 @@ const getSystemSettings = async () => {
   }
 };
 
+/**
+ * Get the signed-in user's standing against max_queue_per_user (null when anonymous)
+ */
+const getUserQueueLimit = async (req, systemSettings) => {
+  if (!req.user) {
+    return null;
+  }
+
+  const max = getMaxQueuePerUser(systemSettings);
+  const activeCount = await Queue.countActiveByUser(req.user.userId);
+
+  return {
+    activeCount,
+    max,
+    reached: activeCount >= max,
+  };
+};
+
+/**
+ * Add the computed open-now status and queue availability to services
+ */
+const withAvailability = async (services) => {
+  const serviceIds = services.map(service => service.id);
+  const [queueCounts, schedules] = await Promise.all([
+    Service.getQueueCounts(serviceIds.length === 1 ? serviceIds[0] : null),
+    ServiceSchedule.findForServices(serviceIds),
+  ]);
+
+  return services.map((service) => {
+    const openStatus = getOpenStatus(service, schedules[service.id]);
+    return {
+      ...service,
+      openStatus,
+      availability: getServiceAvailability(service, queueCounts[service.id], openStatus),
+    };
+  });
+};
+
 /**
  * Get all services
  * GET /api/services
@@ -36,27 +77,35 @@ exports.getAllServices = async (req, res) => {
     const cacheKey = 'services:active';
     
     // Try to get from cache first
-    let cached = cache.get(cacheKey);
-    if (cached) {
-      return res.json(cached);
+    let response = cache.get(cacheKey);
+    if (!response) {
+      const services = await Service.findAll(false); // Only active services for public endpoint
+      const systemSettings = await getSystemSettings();
+
+      response = {
+        success: true,
+        data: services,
+        maintenance: {
+          enabled: systemSettings.system_maintenance_mode === true,
+          message: systemSettings.maintenance_message || '',
+        },
+      };
+
+      // Cache for 5 minutes (services don't change frequently)
+      cache.set(cacheKey, response, 5 * 60 * 1000);
     }
 
-    const services = await Service.findAll(false); // Only active services for public endpoint
-    const systemSettings = await getSystemSettings();
+    // Open status and availability change with every request, so they are never cached
+    const [services, systemSettings] = await Promise.all([
+      withAvailability(response.data),
+      getSystemSettings(),
+    ]);
 
-    const response = {
-      success: true,
+    res.json({
+      ...response,
       data: services,
-      maintenance: {
-        enabled: systemSettings.system_maintenance_mode === true,
-        message: systemSettings.maintenance_message || '',
-      },
-    };
-
-    // Cache for 5 minutes (services don't change frequently)
-    cache.set(cacheKey, response, 5 * 60 * 1000);
-
-    res.json(response);
+      userQueueLimit: await getUserQueueLimit(req, systemSettings),
+    });
   } catch (error) {
     console.error('Get all services error:', error);
     res.status(500).json({
@@ -89,9 +138,15 @@ exports.getServiceById = async (req, res) => {
       });
     }
 
+    const [[serviceWithAvailability], systemSettings] = await Promise.all([
+      withAvailability([service]),
+      getSystemSettings(),
+    ]);
+
     res.json({
       success: true,
-      data: service,
+      data: serviceWithAvailability,
+      userQueueLimit: await getUserQueueLimit(req, systemSettings),
     });
   } catch (error) {
     console.error('Get service by ID error:', error);
@@ -1,42 +1,42 @@
-const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const { AUTH_TOKEN_CODES, verifyAccessToken } = require('../utils/authTokens');
+const Role = require('../models/Role');
+const { ROLE_CODES, resolveAccess, isServiceInScope } = require('../utils/permissions');
+
+const getBearerToken = (req) => {
+  const authHeader = req.headers['authorization'];
+  return authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+};
 
 /**
  * Authentication Middleware
- * Verifies JWT token and attaches user info to request
+ * Verifies the access token, checks it has not been revoked (deactivated
+ * account, logout everywhere, role change) and attaches user info to request
  */
-const authenticateToken = (req, res, next) => {
-  // Get token from header
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+const authenticateToken = async (req, res, next) => {
+  const token = getBearerToken(req);
 
   if (!token) {
     return res.status(401).json({
       success: false,
       error: {
         message: 'Access denied. No token provided.',
-        code: 'AUTH_REQUIRED',
+        code: AUTH_TOKEN_CODES.AUTH_REQUIRED,
       },
     });
   }
 
   try {
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
     // Attach user info to request
-    req.user = {
-      userId: decoded.userId,
-      role: decoded.role,
-    };
-
-    next();
+    req.user = await verifyAccessToken(token);
   } catch (error) {
-    if (error.name === 'TokenExpiredError') {
-      return res.status(401).json({
+    if (!error.code) {
+      console.error('Authentication error:', error);
+      return res.status(500).json({
         success: false,
         error: {
-          message: 'Token expired',
-          code: 'AUTH_INVALID',
+          message: 'Error verifying token',
+          ...(process.env.NODE_ENV === 'development' && { detail: error.message }),
         },
       });
     }
@@ -44,19 +44,42 @@ const authenticateToken = (req, res, next) => {
     return res.status(401).json({
       success: false,
       error: {
-        message: 'Invalid token',
-        code: 'AUTH_INVALID',
+        message: error.message,
+        code: error.code,
       },
     });
   }
+
+  next();
 };
 
 /**
- * Role-based authorization middleware
- * @param {...string} roles - Allowed roles
+ * Optional Authentication Middleware
+ * Attaches user info when a valid token is sent, but never rejects the request
  */
-const authorize = (...roles) => {
-  return (req, res, next) => {
+const optionalAuth = async (req, res, next) => {
+  const token = getBearerToken(req);
+
+  if (token) {
+    try {
+      req.user = await verifyAccessToken(token);
+    } catch (error) {
+      // Treat invalid, expired or revoked tokens as anonymous
+    }
+  }
+
+  next();
+};
+
+/**
+ * Permission-based authorization middleware
+ * Passes when the user's role has any one of the permissions. Sets
+ * req.serviceScope to the services that access is limited to, or null when
+ * it covers every service.
+ * @param {...string} permissions - Accepted permissions
+ */
+const authorize = (...permissions) => {
+  return async (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
         success: false,
@@ -67,7 +90,22 @@ const authorize = (...roles) => {
       });
     }
 
-    if (!roles.includes(req.user.role)) {
+    let access;
+    try {
+      const grants = await Role.getGrants(req.user.role);
+      access = resolveAccess(grants, permissions);
+    } catch (error) {
+      console.error('Authorization error:', error);
+      return res.status(500).json({
+        success: false,
+        error: {
+          message: 'Error checking permissions',
+          ...(process.env.NODE_ENV === 'development' && { detail: error.message }),
+        },
+      });
+    }
+
+    if (!access.allowed) {
       return res.status(403).json({
         success: false,
         error: {
@@ -77,12 +115,72 @@ const authorize = (...roles) => {
       });
     }
 
+    req.serviceScope = access.serviceIds;
+    next();
+  };
+};
+
+/**
+ * Service scope middleware, used after authorize()
+ * Rejects requests for a service outside req.serviceScope
+ * @param {string} param - Route parameter holding the service ID
+ */
+const requireServiceScope = (param = 'id') => {
+  return (req, res, next) => {
+    if (!isServiceInScope(req.serviceScope, req.params[param])) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          message: 'Access denied. This service is outside your permissions.',
+          code: ROLE_CODES.OUT_OF_SCOPE,
+        },
+      });
+    }
+
     next();
   };
 };
 
+/**
+ * Deployment secret middleware
+ * Guards the migration and seeding endpoints, which are called from deploy
+ * scripts rather than by a signed-in user. The secret is sent in the
+ * X-Migration-Secret header (or `secret` in the body) and must match
+ * MIGRATION_SECRET.
+ */
+const requireMigrationSecret = (req, res, next) => {
+  const expectedSecret = process.env.MIGRATION_SECRET;
+
+  if (!expectedSecret) {
+    return res.status(500).json({
+      success: false,
+      error: {
+        message: 'Migration secret not configured',
+      },
+    });
+  }
+
+  const providedSecret = req.headers['x-migration-secret'] || req.body?.secret || '';
+  const given = Buffer.from(String(providedSecret));
+  const expected = Buffer.from(expectedSecret);
+
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return res.status(401).json({
+      success: false,
+      error: {
+        message: 'Invalid migration secret',
+      },
+    });
+  }
+
+  next();
+};
+
 module.exports = {
   authenticateToken,
+  optionalAuth,
   authorize,
+  requireServiceScope,
+  requireMigrationSecret,
 };
 
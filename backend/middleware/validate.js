@@ -0,0 +1,50 @@
+const { VALIDATION_ERROR, validateRequest } = require('../utils/validation');
+
+/**
+ * Validation Middleware
+ * Checks params, query and body against a route schema (see utils/validation)
+ * and replaces them with the coerced values, so handlers receive numbers,
+ * booleans and defaults instead of raw strings. Responds 400 with every
+ * field problem when the request does not match.
+ *
+ * The schema stays attached to the middleware for the API reference generator.
+ */
+const validate = (schema) => {
+  const middleware = (req, res, next) => {
+    const { values, errors } = validateRequest(schema, req);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: errors[0].message,
+          code: VALIDATION_ERROR,
+          details: errors,
+        },
+      });
+    }
+
+    if (values.params) {
+      Object.assign(req.params, values.params);
+    }
+    if (values.query) {
+      // req.query is a getter in Express 5; shadow it with the coerced copy
+      Object.defineProperty(req, 'query', {
+        value: values.query,
+        writable: true,
+        configurable: true,
+        enumerable: true,
+      });
+    }
+    if (values.body) {
+      req.body = values.body;
+    }
+
+    next();
+  };
+
+  middleware.schema = schema;
+  return middleware;
+};
+
+module.exports = { validate };
@@ -0,0 +1,99 @@
+const { query, transaction } = require('../config/database');
+
+/**
+ * AccountToken Model
+ * Handles all database operations for password reset and email verification codes
+ */
+class AccountToken {
+  /**
+   * Store a new code, replacing any unused code for the same purpose
+   */
+  static async create(tokenData) {
+    const { userId, purpose, tokenHash, expiresAt } = tokenData;
+
+    return transaction(async (client) => {
+      await client.query(
+        `UPDATE account_tokens
+         SET used_at = CURRENT_TIMESTAMP
+         WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL;`,
+        [userId, purpose]
+      );
+
+      const result = await client.query(
+        `INSERT INTO account_tokens (user_id, purpose, token_hash, expires_at)
+         VALUES ($1, $2, $3, $4)
+         RETURNING id, user_id, purpose, expires_at, created_at;`,
+        [userId, purpose, tokenHash, expiresAt]
+      );
+
+      return result.rows[0];
+    });
+  }
+
+  /**
+   * Find the current unused, unexpired code for a user
+   */
+  static async findActive(userId, purpose) {
+    const sql = `
+      SELECT id, user_id, purpose, token_hash, expires_at, failed_attempts, created_at
+      FROM account_tokens
+      WHERE user_id = $1
+        AND purpose = $2
+        AND used_at IS NULL
+        AND expires_at > CURRENT_TIMESTAMP
+      ORDER BY created_at DESC
+      LIMIT 1;
+    `;
+
+    const result = await query(sql, [userId, purpose]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * When the last code for this purpose was issued (used or not)
+   */
+  static async getLastIssuedAt(userId, purpose) {
+    const sql = `
+      SELECT MAX(created_at) AS last_issued_at
+      FROM account_tokens
+      WHERE user_id = $1 AND purpose = $2;
+    `;
+
+    const result = await query(sql, [userId, purpose]);
+    return result.rows[0]?.last_issued_at || null;
+  }
+
+  /**
+   * Count a wrong guess
+   * @returns {Promise<number>} failed attempts so far
+   */
+  static async recordFailedAttempt(id) {
+    const sql = `
+      UPDATE account_tokens
+      SET failed_attempts = failed_attempts + 1
+      WHERE id = $1
+      RETURNING failed_attempts;
+    `;
+
+    const result = await query(sql, [id]);
+    return result.rows[0] ? result.rows[0].failed_attempts : 0;
+  }
+
+  /**
+   * Mark a code as used. Returns false when it was already used, so two
+   * requests with the same code cannot both succeed.
+   */
+  static async consume(id) {
+    const sql = `
+      UPDATE account_tokens
+      SET used_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND used_at IS NULL
+      RETURNING id;
+    `;
+
+    const result = await query(sql, [id]);
+    return result.rows.length > 0;
+  }
+}
+
+module.exports = AccountToken;
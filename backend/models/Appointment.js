@@ -0,0 +1,344 @@
+const { query, transaction } = require('../config/database');
+const Queue = require('./Queue');
+
+// Dates are returned as YYYY-MM-DD strings so they never shift across time zones
+const APPOINTMENT_COLUMNS = `
+  a.id, a.user_id, a.service_id, a.slot_id,
+  to_char(a.appointment_date, 'YYYY-MM-DD') as appointment_date,
+  a.start_time, a.end_time, a.status, a.queue_entry_id, a.notes,
+  a.booked_at, a.checked_in_at, a.cancelled_at
+`;
+
+const SLOT_COLUMNS = `id, service_id, day_of_week, start_time, end_time, capacity, is_active`;
+
+/**
+ * Appointment Model
+ * Handles appointment slots per service and bookings against them
+ */
+class Appointment {
+  /**
+   * Get the slot definitions of a service (ordered by weekday and time)
+   */
+  static async getSlots(serviceId, includeInactive = false) {
+    const activeFilter = includeInactive ? '' : 'AND is_active = true';
+    const sql = `
+      SELECT ${SLOT_COLUMNS}
+      FROM appointment_slots
+      WHERE service_id = $1 ${activeFilter}
+      ORDER BY day_of_week, start_time;
+    `;
+
+    const result = await query(sql, [serviceId]);
+    return result.rows;
+  }
+
+  /**
+   * Find a slot by ID within a service
+   */
+  static async findSlot(serviceId, slotId) {
+    const sql = `
+      SELECT ${SLOT_COLUMNS}
+      FROM appointment_slots
+      WHERE id = $1 AND service_id = $2;
+    `;
+
+    const result = await query(sql, [slotId, serviceId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Create a slot definition
+   */
+  static async createSlot(serviceId, slotData) {
+    const {
+      day_of_week,
+      start_time,
+      end_time,
+      capacity = 1,
+      is_active = true,
+    } = slotData;
+
+    const sql = `
+      INSERT INTO appointment_slots (
+        service_id, day_of_week, start_time, end_time, capacity, is_active
+      )
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING ${SLOT_COLUMNS};
+    `;
+
+    const result = await query(sql, [serviceId, day_of_week, start_time, end_time, capacity, is_active]);
+    return result.rows[0];
+  }
+
+  /**
+   * Update a slot definition.
+   * Existing bookings keep the times they were made with.
+   */
+  static async updateSlot(serviceId, slotId, slotData) {
+    const allowedFields = ['day_of_week', 'start_time', 'end_time', 'capacity', 'is_active'];
+    const fields = allowedFields.filter(field => slotData[field] !== undefined);
+
+    if (fields.length === 0) {
+      throw new Error('No fields to update');
+    }
+
+    const values = fields.map(field => slotData[field]);
+    const updates = fields.map((field, index) => `${field} = $${index + 1}`);
+
+    const sql = `
+      UPDATE appointment_slots
+      SET ${updates.join(', ')}
+      WHERE id = $${fields.length + 1} AND service_id = $${fields.length + 2}
+      RETURNING ${SLOT_COLUMNS};
+    `;
+
+    const result = await query(sql, [...values, slotId, serviceId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Delete a slot definition.
+   * Bookings made against it are kept (slot_id is cleared).
+   */
+  static async deleteSlot(serviceId, slotId) {
+    const sql = `
+      DELETE FROM appointment_slots
+      WHERE id = $1 AND service_id = $2
+      RETURNING ${SLOT_COLUMNS};
+    `;
+
+    const result = await query(sql, [slotId, serviceId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Get the active slots of a service for a date with how many places are left
+   */
+  static async getSlotsForDate(serviceId, date) {
+    const sql = `
+      SELECT s.id, s.service_id, s.day_of_week, s.start_time, s.end_time, s.capacity,
+             COUNT(a.id) as booked_count,
+             GREATEST(s.capacity - COUNT(a.id), 0) as remaining
+      FROM appointment_slots s
+      LEFT JOIN appointments a
+        ON a.slot_id = s.id
+        AND a.appointment_date = $2
+        AND a.status <> 'cancelled'
+      WHERE s.service_id = $1
+        AND s.is_active = true
+        AND s.day_of_week = EXTRACT(DOW FROM $2::date)
+      GROUP BY s.id
+      ORDER BY s.start_time;
+    `;
+
+    const result = await query(sql, [serviceId, date]);
+    return result.rows.map(row => ({
+      ...row,
+      booked_count: parseInt(row.booked_count) || 0,
+      remaining: parseInt(row.remaining) || 0,
+    }));
+  }
+
+  /**
+   * Book a slot on a date.
+   * The slot row is locked so two students cannot take its last place at once.
+   */
+  static async book(bookingData) {
+    const { userId, serviceId, slotId, date, notes = null } = bookingData;
+
+    return transaction(async (client) => {
+      const slotSql = `
+        SELECT ${SLOT_COLUMNS}
+        FROM appointment_slots
+        WHERE id = $1 AND service_id = $2 AND is_active = true
+          AND day_of_week = EXTRACT(DOW FROM $3::date)
+        FOR UPDATE;
+      `;
+      const slotResult = await client.query(slotSql, [slotId, serviceId, date]);
+      const slot = slotResult.rows[0];
+
+      if (!slot) {
+        throw new Error('Appointment slot not found');
+      }
+
+      const existingSql = `
+        SELECT id
+        FROM appointments
+        WHERE user_id = $1 AND service_id = $2 AND appointment_date = $3
+          AND status IN ('booked', 'checked_in');
+      `;
+      const existingResult = await client.query(existingSql, [userId, serviceId, date]);
+      if (existingResult.rows[0]) {
+        throw new Error('You already have an appointment for this service on that date');
+      }
+
+      const countSql = `
+        SELECT COUNT(*) as booked_count
+        FROM appointments
+        WHERE slot_id = $1 AND appointment_date = $2 AND status <> 'cancelled';
+      `;
+      const countResult = await client.query(countSql, [slotId, date]);
+      if (parseInt(countResult.rows[0].booked_count) >= slot.capacity) {
+        throw new Error('This appointment slot is fully booked');
+      }
+
+      const sql = `
+        INSERT INTO appointments AS a (
+          user_id, service_id, slot_id, appointment_date, start_time, end_time, notes
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING ${APPOINTMENT_COLUMNS};
+      `;
+
+      const result = await client.query(sql, [
+        userId,
+        serviceId,
+        slotId,
+        date,
+        slot.start_time,
+        slot.end_time,
+        notes,
+      ]);
+      return result.rows[0];
+    });
+  }
+
+  /**
+   * Find appointment by ID
+   */
+  static async findById(id) {
+    const sql = `
+      SELECT ${APPOINTMENT_COLUMNS},
+             s.name as service_name, s.location as service_location,
+             u.first_name, u.last_name, u.email, u.student_id
+      FROM appointments a
+      JOIN services s ON a.service_id = s.id
+      JOIN users u ON a.user_id = u.id
+      WHERE a.id = $1;
+    `;
+
+    const result = await query(sql, [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Get a user's appointments.
+   * By default only today's and future bookings that are not cancelled.
+   */
+  static async findByUser(userId, includePast = false) {
+    const dateFilter = includePast
+      ? ''
+      : `AND a.appointment_date >= CURRENT_DATE AND a.status <> 'cancelled'`;
+    const sql = `
+      SELECT ${APPOINTMENT_COLUMNS},
+             s.name as service_name, s.location as service_location,
+             qe.queue_number, qe.status as queue_status
+      FROM appointments a
+      JOIN services s ON a.service_id = s.id
+      LEFT JOIN queue_entries qe ON a.queue_entry_id = qe.id
+      WHERE a.user_id = $1 ${dateFilter}
+      ORDER BY a.appointment_date ${includePast ? 'DESC' : 'ASC'}, a.start_time;
+    `;
+
+    const result = await query(sql, [userId]);
+    return result.rows;
+  }
+
+  /**
+   * Get all appointments on a date (admin day view)
+   */
+  static async findByDate(date, serviceId = null) {
+    const sql = `
+      SELECT ${APPOINTMENT_COLUMNS},
+             s.name as service_name,
+             u.first_name, u.last_name, u.email, u.student_id,
+             qe.queue_number, qe.status as queue_status
+      FROM appointments a
+      JOIN services s ON a.service_id = s.id
+      JOIN users u ON a.user_id = u.id
+      LEFT JOIN queue_entries qe ON a.queue_entry_id = qe.id
+      WHERE a.appointment_date = $1
+        AND ($2::integer IS NULL OR a.service_id = $2)
+      ORDER BY a.start_time, s.name, a.booked_at;
+    `;
+
+    const result = await query(sql, [date, serviceId]);
+    return result.rows;
+  }
+
+  /**
+   * Cancel a booking (optionally checking it belongs to the user)
+   */
+  static async cancel(appointmentId, userId = null) {
+    const appointmentSql = `
+      SELECT * FROM appointments
+      WHERE id = $1 AND ($2::integer IS NULL OR user_id = $2);
+    `;
+    const appointmentResult = await query(appointmentSql, [appointmentId, userId]);
+
+    if (!appointmentResult.rows[0]) {
+      throw new Error('Appointment not found or access denied');
+    }
+
+    if (appointmentResult.rows[0].status !== 'booked') {
+      throw new Error('Only booked appointments can be cancelled');
+    }
+
+    const sql = `
+      UPDATE appointments AS a
+      SET status = 'cancelled', cancelled_at = NOW()
+      WHERE id = $1
+      RETURNING ${APPOINTMENT_COLUMNS};
+    `;
+
+    const result = await query(sql, [appointmentId]);
+    return result.rows[0];
+  }
+
+  /**
+   * Check in a booking: create its queue entry ahead of walk-ins and mark it
+   * checked in, in one transaction.
+   */
+  static async checkIn(appointmentId) {
+    const { appointment, queue } = await transaction(async (client) => {
+      const lockSql = `SELECT * FROM appointments WHERE id = $1 FOR UPDATE;`;
+      const lockResult = await client.query(lockSql, [appointmentId]);
+      const booking = lockResult.rows[0];
+
+      if (!booking) {
+        throw new Error('Appointment not found');
+      }
+      if (booking.status !== 'booked') {
+        throw new Error('Only booked appointments can be checked in');
+      }
+
+      const entry = await Queue.insertEntry(client, {
+        userId: booking.user_id,
+        serviceId: booking.service_id,
+        appointmentId: booking.id,
+      });
+
+      const sql = `
+        UPDATE appointments AS a
+        SET status = 'checked_in', checked_in_at = NOW(), queue_entry_id = $1
+        WHERE id = $2
+        RETURNING ${APPOINTMENT_COLUMNS};
+      `;
+      const result = await client.query(sql, [entry.id, appointmentId]);
+
+      return { appointment: result.rows[0], queue: entry };
+    });
+
+    await Queue.logQueueAction(
+      queue.id,
+      queue.service_id,
+      null,
+      'created',
+      { appointment_id: appointment.id }
+    );
+
+    return { appointment, queue };
+  }
+}
+
+module.exports = Appointment;
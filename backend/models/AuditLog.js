@@ -0,0 +1,90 @@
+const { query } = require('../config/database');
+
+/**
+ * AuditLog Model
+ * Handles all database operations for the admin audit log
+ */
+class AuditLog {
+  /**
+   * Record an admin action
+   */
+  static async record(entryData) {
+    const {
+      actorId = null,
+      actorRole = null,
+      action,
+      entityType,
+      entityId = null,
+      changes = {},
+      ipAddress = null,
+      userAgent = null,
+    } = entryData;
+
+    const sql = `
+      INSERT INTO admin_audit_log (
+        actor_id, actor_role, action, entity_type, entity_id, changes, ip_address, user_agent
+      )
+      VALUES ($1, $2, $3, $4, $5, $6::jsonb, $7, $8)
+      RETURNING *;
+    `;
+
+    const result = await query(sql, [
+      actorId,
+      actorRole,
+      action,
+      entityType,
+      entityId ? String(entityId).slice(0, 50) : null,
+      JSON.stringify(changes),
+      ipAddress ? String(ipAddress).slice(0, 45) : null,
+      userAgent ? String(userAgent).slice(0, 255) : null,
+    ]);
+    return result.rows[0];
+  }
+
+  /**
+   * Search the log, newest first.
+   * Filters: actorId, action, entityType, entityId, from, to (dates, inclusive)
+   */
+  static async findAll(filters = {}, { limit = 50, offset = 0 } = {}) {
+    const conditions = [];
+    const params = [];
+
+    const addCondition = (sql, value) => {
+      params.push(value);
+      conditions.push(sql.replace('?', `$${params.length}`));
+    };
+
+    if (filters.actorId) addCondition('a.actor_id = ?', filters.actorId);
+    if (filters.action) addCondition('a.action = ?', filters.action);
+    if (filters.entityType) addCondition('a.entity_type = ?', filters.entityType);
+    if (filters.entityId) addCondition('a.entity_id = ?', String(filters.entityId));
+    if (filters.from) addCondition('a.created_at >= ?::date', filters.from);
+    if (filters.to) addCondition(`a.created_at < ?::date + INTERVAL '1 day'`, filters.to);
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const sql = `
+      SELECT a.id, a.actor_id, a.actor_role, a.action, a.entity_type, a.entity_id,
+             a.changes, a.ip_address, a.user_agent, a.created_at,
+             u.email AS actor_email, u.first_name AS actor_first_name, u.last_name AS actor_last_name
+      FROM admin_audit_log a
+      LEFT JOIN users u ON u.id = a.actor_id
+      ${whereClause}
+      ORDER BY a.created_at DESC, a.id DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2};
+    `;
+    const countSql = `SELECT COUNT(*) AS total FROM admin_audit_log a ${whereClause};`;
+
+    const [result, countResult] = await Promise.all([
+      query(sql, [...params, limit, offset]),
+      query(countSql, params),
+    ]);
+
+    return {
+      entries: result.rows,
+      total: parseInt(countResult.rows[0].total),
+    };
+  }
+}
+
+module.exports = AuditLog;
@@ -1,4 +1,5 @@
-const { query } = require('../config/database');
+const { query, transaction } = require('../config/database');
+const Service = require('./Service');
 
 /**
  * Counter Model
@@ -184,6 +185,36 @@ class Counter {
     return result.rows;
   }
 
+  /**
+   * Check if a staff member is assigned to a counter
+   */
+  static async isStaffAssigned(counterId, userId) {
+    const sql = `
+      SELECT 1
+      FROM counter_staff
+      WHERE counter_id = $1 AND user_id = $2;
+    `;
+
+    const result = await query(sql, [counterId, userId]);
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Check whether a user is assigned to any counter of a service
+   */
+  static async isStaffAssignedToService(serviceId, userId) {
+    const sql = `
+      SELECT 1
+      FROM counter_staff cs
+      JOIN counters c ON c.id = cs.counter_id
+      WHERE c.service_id = $1 AND cs.user_id = $2
+      LIMIT 1;
+    `;
+
+    const result = await query(sql, [serviceId, userId]);
+    return result.rows.length > 0;
+  }
+
   /**
    * Update counter status
    */
@@ -220,22 +251,121 @@ class Counter {
   }
 
   /**
-   * Get next waiting queue for a counter's service
+   * Get next waiting queue for a counter's service.
+   * Entries transferred to a specific counter are only picked up by that counter.
+   * Tickets waiting for on-site check-in keep their place but are skipped until checked in.
+   * Checked-in appointments are called ahead of walk-ins. When the service has priority lanes enabled, one priority entry is called
+   * for every N regular ones (falling back to whichever lane has entries).
+   * Entries locked by another transaction are skipped.
    */
-  static async getNextWaitingQueue(serviceId) {
+  static async getNextWaitingQueue(serviceId, counterId = null, db = { query }) {
+    const settings = await Service.getSettings(serviceId);
+
+    let preferPriority = false;
+    if (settings.enable_priority_queue) {
+      const regularCalled = await this.countRegularCalledSinceLastPriority(serviceId, db);
+      preferPriority = regularCalled >= settings.priority_interleave_ratio;
+    }
+
     const sql = `
       SELECT *
       FROM queue_entries
       WHERE service_id = $1
         AND status = 'waiting'
-      ORDER BY queue_position ASC, requested_at ASC
-      LIMIT 1;
+        AND (counter_id IS NULL OR counter_id = $2)
+        AND (requires_checkin = false OR checked_in_at IS NOT NULL)
+      ORDER BY
+        CASE WHEN appointment_id IS NOT NULL THEN 0 ELSE 1 END,
+        CASE WHEN $3::boolean AND (priority_category IS NOT NULL) = $4::boolean THEN 0 ELSE 1 END,
+        queue_position ASC,
+        requested_at ASC
+      LIMIT 1
+      FOR UPDATE SKIP LOCKED;
     `;
 
-    const result = await query(sql, [serviceId]);
+    const result = await db.query(sql, [
+      serviceId,
+      counterId,
+      !!settings.enable_priority_queue,
+      preferPriority,
+    ]);
     return result.rows[0] || null;
   }
 
+  /**
+   * Call the next waiting queue entry to a counter in a single transaction.
+   * The counter row is locked so repeated clicks are handled one at a time,
+   * and the picked entry stays locked until commit so two counters can never
+   * call the same student. The service row is locked too (the same lock
+   * Queue.create takes), so counters of one service pick their next entry
+   * one at a time and the priority interleave count stays accurate.
+   * Returns the called entry, or null if none is waiting.
+   */
+  static async callNext(counterId) {
+    return transaction(async (client) => {
+      const counterSql = `SELECT id, service_id FROM counters WHERE id = $1 FOR UPDATE;`;
+      const counterResult = await client.query(counterSql, [counterId]);
+      const counter = counterResult.rows[0];
+
+      if (!counter) {
+        throw new Error('Counter not found');
+      }
+
+      const serviceSql = `SELECT id FROM services WHERE id = $1 FOR NO KEY UPDATE;`;
+      await client.query(serviceSql, [counter.service_id]);
+
+      const nextQueue = await this.getNextWaitingQueue(counter.service_id, counter.id, client);
+      if (!nextQueue) {
+        return null;
+      }
+
+      const updateQueueSql = `
+        UPDATE queue_entries
+        SET status = 'called',
+            counter_id = $1,
+            called_at = NOW()
+        WHERE id = $2
+        RETURNING *;
+      `;
+      const queueResult = await client.query(updateQueueSql, [counter.id, nextQueue.id]);
+      const calledQueue = queueResult.rows[0];
+
+      const updateCounterSql = `
+        UPDATE counters
+        SET current_serving_queue_id = $1,
+            status = 'busy',
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $2;
+      `;
+      await client.query(updateCounterSql, [calledQueue.id, counter.id]);
+
+      return calledQueue;
+    });
+  }
+
+  /**
+   * Count regular entries called today since the last priority entry was called
+   */
+  static async countRegularCalledSinceLastPriority(serviceId, db = { query }) {
+    const sql = `
+      SELECT COUNT(*) as regular_count
+      FROM queue_entries
+      WHERE service_id = $1
+        AND priority_category IS NULL
+        AND DATE(called_at) = CURRENT_DATE
+        AND called_at > COALESCE((
+          SELECT MAX(called_at)
+          FROM queue_entries
+          WHERE service_id = $1
+            AND priority_category IS NOT NULL
+            AND DATE(called_at) = CURRENT_DATE
+        ), '-infinity'::timestamp);
+    `;
+
+    const result = await db.query(sql, [serviceId]);
+    return parseInt(result.rows[0].regular_count) || 0;
+  }
+
   /**
    * Get counter statistics
    */
@@ -0,0 +1,87 @@
+const { query } = require('../config/database');
+
+/**
+ * DeviceToken Model
+ * Handles all database operations for app install push tokens
+ */
+class DeviceToken {
+  /**
+   * Register an install's push token for a user.
+   * A token already registered to someone else moves to this user, since
+   * only the account signed in on the device should get its pushes.
+   */
+  static async register(tokenData) {
+    const {
+      userId,
+      token,
+      platform = null,
+      deviceName = null,
+    } = tokenData;
+
+    const sql = `
+      INSERT INTO device_tokens (user_id, token, platform, device_name)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (token) DO UPDATE
+      SET user_id = EXCLUDED.user_id,
+          platform = EXCLUDED.platform,
+          device_name = EXCLUDED.device_name,
+          last_seen_at = CURRENT_TIMESTAMP
+      RETURNING id, user_id, token, platform, device_name, created_at, last_seen_at;
+    `;
+
+    const result = await query(sql, [
+      userId,
+      token,
+      platform,
+      deviceName ? String(deviceName).slice(0, 100) : null,
+    ]);
+    return result.rows[0];
+  }
+
+  /**
+   * Remove one of a user's tokens; returns whether it existed
+   */
+  static async unregister(userId, token) {
+    const sql = `DELETE FROM device_tokens WHERE user_id = $1 AND token = $2;`;
+    const result = await query(sql, [userId, token]);
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Remove every token of a user (signed out everywhere)
+   */
+  static async removeAllForUser(userId) {
+    const sql = `DELETE FROM device_tokens WHERE user_id = $1;`;
+    const result = await query(sql, [userId]);
+    return result.rowCount;
+  }
+
+  /**
+   * Remove tokens Expo reported as no longer valid
+   */
+  static async removeByTokens(tokens) {
+    if (tokens.length === 0) return 0;
+
+    const sql = `DELETE FROM device_tokens WHERE token = ANY($1::text[]);`;
+    const result = await query(sql, [tokens]);
+    return result.rowCount;
+  }
+
+  /**
+   * Push tokens of the given users
+   */
+  static async findByUsers(userIds) {
+    if (userIds.length === 0) return [];
+
+    const sql = `
+      SELECT id, user_id, token, platform
+      FROM device_tokens
+      WHERE user_id = ANY($1::int[])
+      ORDER BY last_seen_at DESC;
+    `;
+    const result = await query(sql, [userIds]);
+    return result.rows;
+  }
+}
+
+module.exports = DeviceToken;
@@ -0,0 +1,84 @@
+const { query } = require('../config/database');
+const { LOGIN_FAILURE_REASONS } = require('../utils/loginThrottle');
+
+/**
+ * LoginHistory Model
+ * Handles all database operations for recorded login attempts
+ */
+class LoginHistory {
+  /**
+   * Record a login attempt
+   */
+  static async record(attemptData) {
+    const {
+      userId = null,
+      email,
+      success,
+      failureReason = null,
+      ipAddress = null,
+      userAgent = null,
+    } = attemptData;
+
+    const sql = `
+      INSERT INTO login_history (user_id, email, success, failure_reason, ip_address, user_agent)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING id, user_id, email, success, failure_reason, ip_address, user_agent, created_at;
+    `;
+
+    const result = await query(sql, [
+      userId,
+      String(email).slice(0, 255),
+      success,
+      failureReason,
+      ipAddress ? String(ipAddress).slice(0, 45) : null,
+      userAgent ? String(userAgent).slice(0, 255) : null,
+    ]);
+    return result.rows[0];
+  }
+
+  /**
+   * Wrong-password failures from an IP within the last `windowMinutes`.
+   * Attempts refused by throttling are not counted, so waiting it out works.
+   */
+  static async getRecentIpFailures(ipAddress, windowMinutes) {
+    const sql = `
+      SELECT COUNT(*)::int AS failures,
+             MAX(created_at) AS last_failure_at,
+             MIN(created_at) AS oldest_failure_at
+      FROM login_history
+      WHERE ip_address = $1
+        AND success = false
+        AND failure_reason = $2
+        AND created_at > CURRENT_TIMESTAMP - ($3 || ' minutes')::INTERVAL;
+    `;
+
+    const result = await query(sql, [ipAddress, LOGIN_FAILURE_REASONS.INVALID_CREDENTIALS, windowMinutes]);
+    return result.rows[0];
+  }
+
+  /**
+   * Login attempts for one account, newest first
+   */
+  static async findByUser(userId, { limit = 20, offset = 0 } = {}) {
+    const sql = `
+      SELECT id, success, failure_reason, ip_address, user_agent, created_at
+      FROM login_history
+      WHERE user_id = $1
+      ORDER BY created_at DESC
+      LIMIT $2 OFFSET $3;
+    `;
+    const countSql = `SELECT COUNT(*) AS total FROM login_history WHERE user_id = $1;`;
+
+    const [result, countResult] = await Promise.all([
+      query(sql, [userId, limit, offset]),
+      query(countSql, [userId]),
+    ]);
+
+    return {
+      entries: result.rows,
+      total: parseInt(countResult.rows[0].total),
+    };
+  }
+}
+
+module.exports = LoginHistory;
@@ -0,0 +1,104 @@
+const { query } = require('../config/database');
+
+/**
+ * Notification Model
+ * Handles all database operations for the in-app notification inbox
+ */
+class Notification {
+  /**
+   * Store a notification for a user
+   */
+  static async create(notificationData) {
+    const {
+      userId,
+      queueEntryId = null,
+      type,
+      event = null,
+      title,
+      message,
+      data = {},
+    } = notificationData;
+
+    const sql = `
+      INSERT INTO notifications (user_id, queue_entry_id, type, event, title, message, data)
+      VALUES ($1, $2, $3, $4, $5, $6, $7::jsonb)
+      RETURNING *;
+    `;
+
+    const result = await query(sql, [
+      userId,
+      queueEntryId,
+      type,
+      event,
+      String(title).slice(0, 255),
+      message,
+      JSON.stringify(data),
+    ]);
+    return result.rows[0];
+  }
+
+  /**
+   * A user's notifications, newest first
+   */
+  static async findByUser(userId, { limit = 20, offset = 0, unreadOnly = false } = {}) {
+    const where = `WHERE user_id = $1${unreadOnly ? ' AND is_read = false' : ''}`;
+
+    const sql = `
+      SELECT id, queue_entry_id, type, event, title, message, data, is_read, sent_at, read_at
+      FROM notifications
+      ${where}
+      ORDER BY sent_at DESC, id DESC
+      LIMIT $2 OFFSET $3;
+    `;
+    const countSql = `SELECT COUNT(*) AS total FROM notifications ${where};`;
+
+    const [result, countResult] = await Promise.all([
+      query(sql, [userId, limit, offset]),
+      query(countSql, [userId]),
+    ]);
+
+    return {
+      entries: result.rows,
+      total: parseInt(countResult.rows[0].total),
+    };
+  }
+
+  /**
+   * Number of unread notifications for a user
+   */
+  static async countUnread(userId) {
+    const sql = `SELECT COUNT(*) AS unread FROM notifications WHERE user_id = $1 AND is_read = false;`;
+    const result = await query(sql, [userId]);
+    return parseInt(result.rows[0].unread);
+  }
+
+  /**
+   * Mark one of a user's notifications read.
+   * Returns null when the notification does not exist or belongs to someone else.
+   */
+  static async markRead(userId, notificationId) {
+    const sql = `
+      UPDATE notifications
+      SET is_read = true, read_at = COALESCE(read_at, CURRENT_TIMESTAMP)
+      WHERE id = $1 AND user_id = $2
+      RETURNING id, queue_entry_id, type, event, title, message, data, is_read, sent_at, read_at;
+    `;
+    const result = await query(sql, [notificationId, userId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Mark all of a user's notifications read; returns how many changed
+   */
+  static async markAllRead(userId) {
+    const sql = `
+      UPDATE notifications
+      SET is_read = true, read_at = CURRENT_TIMESTAMP
+      WHERE user_id = $1 AND is_read = false;
+    `;
+    const result = await query(sql, [userId]);
+    return result.rowCount;
+  }
+}
+
+module.exports = Notification;
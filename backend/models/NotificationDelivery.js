@@ -0,0 +1,155 @@
+const { query } = require('../config/database');
+
+/**
+ * NotificationDelivery Model
+ * Handles all database operations for the email and SMS delivery log
+ */
+class NotificationDelivery {
+  /**
+   * Log a message about to be sent. It is held for `leaseMinutes`, so the
+   * retry job leaves it alone while the first attempt runs.
+   */
+  static async create(deliveryData) {
+    const {
+      userId = null,
+      queueEntryId = null,
+      notificationId = null,
+      channel,
+      event,
+      recipient,
+      message,
+      leaseMinutes,
+    } = deliveryData;
+
+    const sql = `
+      INSERT INTO notification_deliveries (
+        user_id, queue_entry_id, notification_id, channel, event, recipient, message,
+        next_attempt_at
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, CURRENT_TIMESTAMP + ($8 || ' minutes')::INTERVAL)
+      RETURNING id, user_id, channel, event, recipient, message, status, attempts, created_at;
+    `;
+
+    const result = await query(sql, [
+      userId,
+      queueEntryId,
+      notificationId,
+      channel,
+      event,
+      recipient,
+      JSON.stringify(message),
+      leaseMinutes,
+    ]);
+    return result.rows[0];
+  }
+
+  /**
+   * Record a successful attempt
+   */
+  static async markSent(id, providerMessageId = null) {
+    const sql = `
+      UPDATE notification_deliveries
+      SET status = 'sent',
+          attempts = attempts + 1,
+          provider_message_id = $2,
+          last_error = NULL,
+          next_attempt_at = NULL,
+          sent_at = CURRENT_TIMESTAMP,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1;
+    `;
+    await query(sql, [id, providerMessageId]);
+  }
+
+  /**
+   * Record a failed attempt. With `retryInMinutes` the message is tried
+   * again later; without it the delivery is given up.
+   */
+  static async markFailed(id, error, retryInMinutes = null) {
+    const sql = `
+      UPDATE notification_deliveries
+      SET status = CASE WHEN $3::int IS NULL THEN 'failed' ELSE 'pending' END,
+          attempts = attempts + 1,
+          last_error = $2,
+          next_attempt_at = CASE
+            WHEN $3::int IS NULL THEN NULL
+            ELSE CURRENT_TIMESTAMP + ($3 || ' minutes')::INTERVAL
+          END,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1;
+    `;
+    await query(sql, [id, String(error).slice(0, 1000), retryInMinutes]);
+  }
+
+  /**
+   * Take pending deliveries that are due for another attempt, holding them
+   * for `leaseMinutes` so another server does not retry them at the same time
+   */
+  static async claimDue(limit, leaseMinutes) {
+    const sql = `
+      UPDATE notification_deliveries
+      SET next_attempt_at = CURRENT_TIMESTAMP + ($2 || ' minutes')::INTERVAL,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id IN (
+        SELECT id
+        FROM notification_deliveries
+        WHERE status = 'pending'
+          AND next_attempt_at <= CURRENT_TIMESTAMP
+        ORDER BY next_attempt_at
+        LIMIT $1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING id, user_id, channel, event, recipient, message, status, attempts, created_at;
+    `;
+
+    const result = await query(sql, [limit, leaseMinutes]);
+    return result.rows;
+  }
+
+  /**
+   * Browse the delivery log, newest first
+   * @param {Object} filters - { status, channel, event, userId }
+   * @returns {Promise<{ entries: Array, total: number }>}
+   */
+  static async findAll(filters = {}, { limit = 50, offset = 0 } = {}) {
+    const conditions = [];
+    const params = [];
+
+    const addCondition = (sql, value) => {
+      params.push(value);
+      conditions.push(sql.replace('?', `$${params.length}`));
+    };
+
+    if (filters.status) addCondition('d.status = ?', filters.status);
+    if (filters.channel) addCondition('d.channel = ?', filters.channel);
+    if (filters.event) addCondition('d.event = ?', filters.event);
+    if (filters.userId) addCondition('d.user_id = ?', filters.userId);
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const sql = `
+      SELECT d.id, d.user_id, d.queue_entry_id, d.notification_id, d.channel, d.event,
+             d.recipient, d.message->>'subject' AS subject, d.status, d.attempts,
+             d.last_error, d.provider_message_id, d.next_attempt_at, d.sent_at, d.created_at,
+             u.email AS user_email, u.first_name AS user_first_name, u.last_name AS user_last_name
+      FROM notification_deliveries d
+      LEFT JOIN users u ON u.id = d.user_id
+      ${whereClause}
+      ORDER BY d.created_at DESC, d.id DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2};
+    `;
+    const countSql = `SELECT COUNT(*) AS total FROM notification_deliveries d ${whereClause};`;
+
+    const [result, countResult] = await Promise.all([
+      query(sql, [...params, limit, offset]),
+      query(countSql, params),
+    ]);
+
+    return {
+      entries: result.rows,
+      total: parseInt(countResult.rows[0].total),
+    };
+  }
+}
+
+module.exports = NotificationDelivery;
@@ -0,0 +1,59 @@
+const { query } = require('../config/database');
+
+/**
+ * NotificationPreference Model
+ * Handles all database operations for per-user notification preferences
+ */
+class NotificationPreference {
+  /**
+   * Preferences of a user; users who never changed them get the defaults
+   * (everything on)
+   */
+  static async findByUser(userId) {
+    const sql = `
+      SELECT user_id, channels, events, updated_at
+      FROM notification_preferences
+      WHERE user_id = $1;
+    `;
+
+    const result = await query(sql, [userId]);
+    return result.rows[0] || { user_id: userId, channels: {}, events: {}, updated_at: null };
+  }
+
+  /**
+   * Stored preferences of several users (users without any are left out)
+   */
+  static async findByUsers(userIds) {
+    if (userIds.length === 0) return [];
+
+    const sql = `
+      SELECT user_id, channels, events
+      FROM notification_preferences
+      WHERE user_id = ANY($1::int[]);
+    `;
+
+    const result = await query(sql, [userIds]);
+    return result.rows;
+  }
+
+  /**
+   * Replace a user's preferences
+   * @param {Object} preferences - { channels, events }
+   */
+  static async save(userId, { channels, events }) {
+    const sql = `
+      INSERT INTO notification_preferences (user_id, channels, events)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (user_id) DO UPDATE
+      SET channels = EXCLUDED.channels,
+          events = EXCLUDED.events,
+          updated_at = CURRENT_TIMESTAMP
+      RETURNING user_id, channels, events, updated_at;
+    `;
+
+    const result = await query(sql, [userId, JSON.stringify(channels), JSON.stringify(events)]);
+    return result.rows[0];
+  }
+}
+
+module.exports = NotificationPreference;
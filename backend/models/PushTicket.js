@@ -0,0 +1,69 @@
+const { query } = require('../config/database');
+
+/**
+ * PushTicket Model
+ * Handles all database operations for push tickets awaiting a receipt
+ */
+class PushTicket {
+  /**
+   * Store the tickets of accepted pushes
+   * @param {Array<{ id, deviceTokenId, notificationId }>} tickets
+   */
+  static async createMany(tickets) {
+    if (tickets.length === 0) return;
+
+    const values = [];
+    const rows = tickets.map((ticket, i) => {
+      values.push(ticket.id, ticket.deviceTokenId || null, ticket.notificationId || null);
+      return `($${i * 3 + 1}, $${i * 3 + 2}, $${i * 3 + 3})`;
+    });
+
+    const sql = `
+      INSERT INTO push_tickets (id, device_token_id, notification_id)
+      VALUES ${rows.join(', ')}
+      ON CONFLICT (id) DO NOTHING;
+    `;
+    await query(sql, values);
+  }
+
+  /**
+   * Tickets old enough for Expo to have a receipt, oldest first
+   */
+  static async findDue(minAgeMinutes, limit) {
+    const sql = `
+      SELECT pt.id, dt.token
+      FROM push_tickets pt
+      LEFT JOIN device_tokens dt ON pt.device_token_id = dt.id
+      WHERE pt.created_at <= CURRENT_TIMESTAMP - ($1 || ' minutes')::INTERVAL
+      ORDER BY pt.created_at
+      LIMIT $2;
+    `;
+    const result = await query(sql, [minAgeMinutes, limit]);
+    return result.rows;
+  }
+
+  /**
+   * Forget tickets whose receipt was handled
+   */
+  static async removeByIds(ids) {
+    if (ids.length === 0) return 0;
+
+    const sql = `DELETE FROM push_tickets WHERE id = ANY($1::text[]);`;
+    const result = await query(sql, [ids]);
+    return result.rowCount;
+  }
+
+  /**
+   * Forget tickets Expo no longer has receipts for
+   */
+  static async removeOlderThan(hours) {
+    const sql = `
+      DELETE FROM push_tickets
+      WHERE created_at < CURRENT_TIMESTAMP - ($1 || ' hours')::INTERVAL;
+    `;
+    const result = await query(sql, [hours]);
+    return result.rowCount;
+  }
+}
+
+module.exports = PushTicket;
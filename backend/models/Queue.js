@@ -1,4 +1,12 @@
-const { query } = require('../config/database');
+const { query, transaction } = require('../config/database');
+const { PRIORITY_NUMBER_PREFIX } = require('../utils/priority');
+const {
+  DEFAULT_MAX_QUEUE_BEFORE_CLOSING,
+  QUEUE_LIMIT_CODES,
+  queueLimitError,
+  getCapacityStatus,
+  getUserLimitMessage,
+} = require('../utils/queueLimits');
 
 /**
  * Queue Model
@@ -6,12 +14,22 @@ const { query } = require('../config/database');
  */
 class Queue {
   /**
-   * Generate queue number for a service
+   * Generate queue number for a service.
+   * Priority entries get their own sequence with a distinct prefix (e.g. PREG-001).
+   *
+   * The service row is locked, so when called with a transaction client the
+   * number stays reserved until that transaction commits. FOR NO KEY UPDATE
+   * serializes number generation without blocking foreign key checks.
    */
-  static async generateQueueNumber(serviceId) {
+  static async generateQueueNumber(serviceId, isPriority = false, db = { query }) {
     // Get service name and queue prefix
-    const serviceSql = `SELECT name, COALESCE(queue_prefix, '') as queue_prefix FROM services WHERE id = $1;`;
-    const serviceResult = await query(serviceSql, [serviceId]);
+    const serviceSql = `
+      SELECT name, COALESCE(queue_prefix, '') as queue_prefix
+      FROM services
+      WHERE id = $1
+      FOR NO KEY UPDATE;
+    `;
+    const serviceResult = await db.query(serviceSql, [serviceId]);
     
     if (!serviceResult.rows[0]) {
       throw new Error('Service not found');
@@ -19,9 +37,10 @@ class Queue {
 
     const serviceName = serviceResult.rows[0].name;
     // Use custom queue_prefix if set, otherwise use first 3 letters of service name
-    const prefix = (serviceResult.rows[0].queue_prefix && serviceResult.rows[0].queue_prefix.trim()) 
+    const servicePrefix = (serviceResult.rows[0].queue_prefix && serviceResult.rows[0].queue_prefix.trim()) 
       ? serviceResult.rows[0].queue_prefix.trim().toUpperCase()
       : serviceName.substring(0, 3).toUpperCase();
+    const prefix = isPriority ? `${PRIORITY_NUMBER_PREFIX}${servicePrefix}` : servicePrefix;
 
     // Get last queue number for today
     const today = new Date().toISOString().split('T')[0];
@@ -31,11 +50,11 @@ class Queue {
       WHERE service_id = $1
         AND DATE(requested_at) = $2
         AND queue_number LIKE $3
-      ORDER BY id DESC
+      ORDER BY CAST(SUBSTRING(queue_number FROM '[0-9]+$') AS INTEGER) DESC
       LIMIT 1;
     `;
 
-    const lastResult = await query(lastNumberSql, [
+    const lastResult = await db.query(lastNumberSql, [
       serviceId,
       today,
       `${prefix}-%`,
@@ -52,46 +71,116 @@ class Queue {
   }
 
   /**
-   * Calculate queue position
+   * Calculate queue position.
+   * Checked-in appointments wait only behind other appointments.
    */
-  static async calculateQueuePosition(serviceId) {
+  static async calculateQueuePosition(serviceId, db = { query }, isAppointment = false) {
     const sql = `
       SELECT COUNT(*) as position
       FROM queue_entries
       WHERE service_id = $1
         AND status = 'waiting'
-        AND requested_at < NOW();
+        AND requested_at < NOW()
+        ${isAppointment ? 'AND appointment_id IS NOT NULL' : ''};
     `;
 
-    const result = await query(sql, [serviceId]);
+    const result = await db.query(sql, [serviceId]);
     return parseInt(result.rows[0].position) + 1;
   }
 
   /**
-   * Create a new queue entry
+   * Throw a queue limit error when the service is full or the user already
+   * holds the most tickets allowed. Runs under the service lock taken by
+   * generateQueueNumber, so parallel requests see each other's entries.
    */
-  static async create(queueData) {
-    const { userId, serviceId } = queueData;
+  static async checkLimits(client, serviceId, userId, { maxQueuePerUser } = {}) {
+    const capacitySql = `
+      SELECT s.max_queue_size,
+             COALESCE(ss.max_queue_before_closing, ${DEFAULT_MAX_QUEUE_BEFORE_CLOSING}) as max_queue_before_closing,
+             (SELECT COUNT(*) FROM queue_entries
+              WHERE service_id = s.id AND status IN ('waiting', 'called', 'serving')) as active_count,
+             (SELECT COUNT(*) FROM queue_entries
+              WHERE service_id = s.id AND DATE(requested_at) = CURRENT_DATE AND status != 'cancelled') as today_count
+      FROM services s
+      LEFT JOIN service_settings ss ON ss.service_id = s.id
+      WHERE s.id = $1;
+    `;
+    const capacityResult = await client.query(capacitySql, [serviceId]);
+    const service = capacityResult.rows[0];
+    const capacity = getCapacityStatus(service, service);
+    if (capacity.status !== 'open') {
+      throw queueLimitError(capacity.message, capacity.code);
+    }
 
-    // Generate queue number
-    const queueNumber = await this.generateQueueNumber(serviceId);
-    
-    // Calculate position
-    const queuePosition = await this.calculateQueuePosition(serviceId);
+    if (userId && maxQueuePerUser) {
+      // The cap spans services, so also lock the user against their other requests
+      await client.query(`SELECT id FROM users WHERE id = $1 FOR NO KEY UPDATE;`, [userId]);
+      const activeCount = await this.countActiveByUser(userId, client);
+      if (activeCount >= maxQueuePerUser) {
+        throw queueLimitError(getUserLimitMessage(maxQueuePerUser), QUEUE_LIMIT_CODES.USER_QUEUE_LIMIT_REACHED);
+      }
+    }
+  }
 
-    // Get estimated wait time from service
-    const serviceSql = `SELECT estimated_service_time FROM services WHERE id = $1;`;
-    const serviceResult = await query(serviceSql, [serviceId]);
+  /**
+   * Insert a waiting queue entry using a transaction client.
+   * Callers must run this inside `transaction` so the number stays reserved.
+   * Pass `limits` ({ maxQueuePerUser }) to enforce the service and per-user caps.
+   */
+  static async insertEntry(client, queueData) {
+    const {
+      userId = null,
+      serviceId,
+      priorityCategory = null,
+      appointmentId = null,
+      source = 'app',
+      kioskUserId = null,
+      walkInStudentId = null,
+      contactPhone = null,
+      limits = null,
+    } = queueData;
+
+    // Generate queue number (locks the service until commit)
+    const queueNumber = await this.generateQueueNumber(serviceId, !!priorityCategory, client);
+
+    // Re-check under the lock in case a parallel request got here first
+    // (anonymous walk-ins have no account to check)
+    const activeQueue = userId ? await this.findByUserAndService(userId, serviceId, client) : null;
+    if (activeQueue) {
+      throw new Error('You already have an active queue for this service');
+    }
+
+    if (limits) {
+      await this.checkLimits(client, serviceId, userId, limits);
+    }
+
+    // Calculate position
+    const queuePosition = await this.calculateQueuePosition(serviceId, client, !!appointmentId);
+
+    // Get estimated wait time and the on-site check-in requirement from service
+    const serviceSql = `
+      SELECT s.estimated_service_time,
+             COALESCE(ss.require_onsite_checkin, false) as require_onsite_checkin
+      FROM services s
+      LEFT JOIN service_settings ss ON ss.service_id = s.id
+      WHERE s.id = $1;
+    `;
+    const serviceResult = await client.query(serviceSql, [serviceId]);
     const estimatedWaitTime = serviceResult.rows[0]?.estimated_service_time || 5;
+    // Kiosk tickets are issued on site, so they never need to check in
+    const requiresCheckIn = source !== 'kiosk' && !!serviceResult.rows[0]?.require_onsite_checkin;
 
     const sql = `
       INSERT INTO queue_entries (
         user_id, service_id, queue_number, queue_position,
-        status, estimated_wait_time
+        status, estimated_wait_time, priority_category, appointment_id, requires_checkin,
+        source, kiosk_user_id, walk_in_student_id, contact_phone
       )
-      VALUES ($1, $2, $3, $4, $5, $6)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
       RETURNING id, user_id, service_id, queue_number, queue_position,
-                status, estimated_wait_time, requested_at;
+                status, estimated_wait_time, priority_category, appointment_id,
+                requires_checkin, checked_in_at, source, kiosk_user_id,
+                walk_in_student_id, contact_phone, requested_at;
     `;
 
     const values = [
@@ -101,14 +190,44 @@ class Queue {
       queuePosition,
       'waiting',
       estimatedWaitTime * queuePosition, // Multiply by position for estimate
+      priorityCategory,
+      appointmentId,
+      requiresCheckIn,
+      source,
+      kioskUserId,
+      walkInStudentId,
+      contactPhone,
     ];
 
-    const result = await query(sql, values);
-    
+    const result = await client.query(sql, values);
+    return result.rows[0];
+  }
+
+  /**
+   * Create a new queue entry.
+   * Numbering and insert run in one transaction so simultaneous requests
+   * never share a queue number, give one user two active entries or
+   * overshoot the `limits` passed in.
+   */
+  static async create(queueData) {
+    const { serviceId, priorityCategory = null, source = 'app', kioskUserId = null } = queueData;
+
+    const entry = await transaction((client) => this.insertEntry(client, queueData));
+
     // Log the queue creation
-    await this.logQueueAction(result.rows[0].id, serviceId, null, 'created');
+    const metadata = {
+      ...(priorityCategory && { priority_category: priorityCategory }),
+      ...(source === 'kiosk' && { source, kiosk_user_id: kioskUserId }),
+    };
+    await this.logQueueAction(
+      entry.id,
+      serviceId,
+      null,
+      'created',
+      Object.keys(metadata).length > 0 ? metadata : null
+    );
 
-    return result.rows[0];
+    return entry;
   }
 
   /**
@@ -120,7 +239,7 @@ class Queue {
              u.first_name, u.last_name, u.email
       FROM queue_entries qe
       JOIN services s ON qe.service_id = s.id
-      JOIN users u ON qe.user_id = u.id
+      LEFT JOIN users u ON qe.user_id = u.id
       WHERE qe.id = $1;
     `;
 
@@ -131,7 +250,7 @@ class Queue {
   /**
    * Find queue entry by user ID and service ID (check if user already in queue)
    */
-  static async findByUserAndService(userId, serviceId) {
+  static async findByUserAndService(userId, serviceId, db = { query }) {
     const sql = `
       SELECT *
       FROM queue_entries
@@ -140,10 +259,25 @@ class Queue {
         AND status IN ('waiting', 'called', 'serving');
     `;
 
-    const result = await query(sql, [userId, serviceId]);
+    const result = await db.query(sql, [userId, serviceId]);
     return result.rows[0] || null;
   }
 
+  /**
+   * Count a user's active queue entries across all services
+   */
+  static async countActiveByUser(userId, db = { query }) {
+    const sql = `
+      SELECT COUNT(*) as active_count
+      FROM queue_entries
+      WHERE user_id = $1
+        AND status IN ('waiting', 'called', 'serving');
+    `;
+
+    const result = await db.query(sql, [userId]);
+    return parseInt(result.rows[0].active_count) || 0;
+  }
+
   /**
    * Get user's queue history
    */
@@ -183,7 +317,8 @@ class Queue {
     const sql = `
       SELECT 
         qe.id, qe.queue_number, qe.queue_position, qe.status,
-        qe.requested_at, qe.estimated_wait_time,
+        qe.requested_at, qe.estimated_wait_time, qe.priority_category, qe.appointment_id,
+        qe.requires_checkin, qe.checked_in_at,
         c.counter_number, c.name as counter_name
       FROM queue_entries qe
       LEFT JOIN counters c ON qe.counter_id = c.id
@@ -234,6 +369,321 @@ class Queue {
     return result.rows[0];
   }
 
+  /**
+   * Confirm the student is on site so a remote-waiting ticket becomes callable.
+   * Checking in again is a no-op.
+   */
+  static async checkIn(queueId, userId) {
+    const queueSql = `SELECT * FROM queue_entries WHERE id = $1 AND user_id = $2;`;
+    const queueResult = await query(queueSql, [queueId, userId]);
+
+    if (!queueResult.rows[0]) {
+      throw new Error('Queue entry not found or access denied');
+    }
+
+    const queue = queueResult.rows[0];
+    if (queue.status !== 'waiting') {
+      throw new Error('Only waiting queue entries can be checked in');
+    }
+
+    if (queue.checked_in_at) {
+      return queue;
+    }
+
+    const sql = `
+      UPDATE queue_entries
+      SET checked_in_at = NOW()
+      WHERE id = $1
+      RETURNING *;
+    `;
+
+    const result = await query(sql, [queueId]);
+
+    // Log the check-in
+    await this.logQueueAction(queueId, queue.service_id, null, 'checked_in');
+
+    return result.rows[0];
+  }
+
+  /**
+   * Mark a called queue entry as skipped (no-show).
+   * Returns null if the entry is no longer called.
+   */
+  static async skip(queueId) {
+    const sql = `
+      UPDATE queue_entries
+      SET status = 'skipped', skipped_at = NOW()
+      WHERE id = $1
+        AND status = 'called'
+      RETURNING *;
+    `;
+
+    const result = await query(sql, [queueId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Recall a queue entry to a counter (re-announce a called entry or bring back a skipped one).
+   * Returns null if the entry is no longer called or skipped.
+   */
+  static async recall(queueId, counterId) {
+    const sql = `
+      UPDATE queue_entries
+      SET status = 'called',
+          counter_id = $1,
+          called_at = NOW(),
+          skipped_at = NULL,
+          recall_count = recall_count + 1
+      WHERE id = $2
+        AND status IN ('called', 'skipped')
+      RETURNING *;
+    `;
+
+    const result = await query(sql, [counterId, queueId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Put a skipped queue entry back in the waiting line.
+   * Runs in one transaction holding the same service lock as `create`, so a
+   * rejoin and a new request never share a position or give one user two
+   * active entries.
+   */
+  static async rejoin(queueId, userId, gracePeriodMinutes) {
+    const rejoined = await transaction(async (client) => {
+      // Verify ownership
+      const queueSql = `SELECT * FROM queue_entries WHERE id = $1 AND user_id = $2;`;
+      const queueResult = await client.query(queueSql, [queueId, userId]);
+
+      if (!queueResult.rows[0]) {
+        throw new Error('Queue entry not found or access denied');
+      }
+
+      const queue = queueResult.rows[0];
+      if (queue.status !== 'skipped') {
+        throw new Error('Only skipped queue entries can rejoin the queue');
+      }
+
+      const skippedAt = queue.skipped_at ? new Date(queue.skipped_at).getTime() : 0;
+      if (Date.now() - skippedAt > gracePeriodMinutes * 60 * 1000) {
+        throw new Error('Rejoin window has expired');
+      }
+
+      const serviceSql = `SELECT id FROM services WHERE id = $1 FOR NO KEY UPDATE;`;
+      await client.query(serviceSql, [queue.service_id]);
+
+      // Checked under the lock so a parallel request cannot slip in
+      const activeQueue = await this.findByUserAndService(userId, queue.service_id, client);
+      if (activeQueue) {
+        throw new Error('You already have an active queue for this service');
+      }
+
+      const queuePosition = await this.calculateQueuePosition(queue.service_id, client, !!queue.appointment_id);
+
+      // The line (the position trigger and call-next) is ordered by
+      // requested_at, so restarting it sends the no-show to the back.
+      // The status guard covers a recall that landed after the read above.
+      const sql = `
+        UPDATE queue_entries
+        SET status = 'waiting',
+            counter_id = NULL,
+            skipped_at = NULL,
+            approaching_notified_at = NULL,
+            requested_at = NOW(),
+            queue_position = $1
+        WHERE id = $2
+          AND status = 'skipped'
+        RETURNING *;
+      `;
+
+      const result = await client.query(sql, [queuePosition, queueId]);
+      if (!result.rows[0]) {
+        throw new Error('Only skipped queue entries can rejoin the queue');
+      }
+
+      return result.rows[0];
+    });
+
+    // Log the rejoin
+    await this.logQueueAction(queueId, rejoined.service_id, null, 'rejoined');
+
+    return rejoined;
+  }
+
+  /**
+   * Transfer an active queue entry to another service and/or a specific counter.
+   * The entry keeps its original requested_at so it keeps its place in line,
+   * but gets a fresh queue number from the target service.
+   * Returns null if the entry is no longer active.
+   */
+  static async transfer(queueId, targetServiceId, targetCounterId = null) {
+    const moved = await transaction(async (client) => {
+      const current = await client.query(
+        `SELECT * FROM queue_entries WHERE id = $1 FOR UPDATE;`,
+        [queueId]
+      );
+      const queue = current.rows[0];
+      if (!queue) {
+        throw new Error('Queue entry not found');
+      }
+
+      // Completed, skipped or cancelled since the caller read it
+      if (!['waiting', 'called', 'serving'].includes(queue.status)) {
+        return null;
+      }
+
+      const queueNumber = queue.service_id === parseInt(targetServiceId)
+        ? queue.queue_number
+        : await this.generateQueueNumber(targetServiceId, !!queue.priority_category, client);
+
+      const sql = `
+        UPDATE queue_entries
+        SET service_id = $1,
+            counter_id = $2,
+            queue_number = $3,
+            status = 'waiting',
+            called_at = NULL,
+            started_serving_at = NULL,
+            approaching_notified_at = NULL,
+            -- Someone already at a counter is on site
+            checked_in_at = CASE
+              WHEN status IN ('called', 'serving') THEN COALESCE(checked_in_at, NOW())
+              ELSE checked_in_at
+            END
+        WHERE id = $4
+          AND status IN ('waiting', 'called', 'serving')
+        RETURNING *;
+      `;
+
+      const result = await client.query(sql, [targetServiceId, targetCounterId, queueNumber, queueId]);
+      return result.rows[0] ? { previous: queue, queue: result.rows[0] } : null;
+    });
+
+    // The position trigger only covers the target service
+    if (moved && moved.previous.service_id !== parseInt(targetServiceId)) {
+      await this.recalculatePositions(moved.previous.service_id);
+    }
+
+    return moved;
+  }
+
+  /**
+   * Set or clear the priority category of a waiting queue entry.
+   * Entries that switch lanes get a new number from that lane's sequence.
+   * Returns null if the entry is no longer waiting.
+   */
+  static async setPriority(queueId, priorityCategory) {
+    return await transaction(async (client) => {
+      const current = await client.query(
+        `SELECT * FROM queue_entries WHERE id = $1 FOR UPDATE;`,
+        [queueId]
+      );
+      const queue = current.rows[0];
+      if (!queue) {
+        throw new Error('Queue entry not found');
+      }
+
+      // Called, completed or cancelled since the caller read it
+      if (queue.status !== 'waiting') {
+        return null;
+      }
+
+      const switchesLane = !!queue.priority_category !== !!priorityCategory;
+      const queueNumber = switchesLane
+        ? await this.generateQueueNumber(queue.service_id, !!priorityCategory, client)
+        : queue.queue_number;
+
+      const sql = `
+        UPDATE queue_entries
+        SET priority_category = $1,
+            queue_number = $2
+        WHERE id = $3
+          AND status = 'waiting'
+        RETURNING *;
+      `;
+
+      const result = await client.query(sql, [priorityCategory, queueNumber, queueId]);
+      return result.rows[0] ? { previous: queue, queue: result.rows[0] } : null;
+    });
+  }
+
+  /**
+   * Recalculate waiting positions for a service
+   * (checked-in appointments first, then by request time)
+   */
+  static async recalculatePositions(serviceId) {
+    const sql = `
+      UPDATE queue_entries
+      SET queue_position = sub.row_num
+      FROM (
+        SELECT id, ROW_NUMBER() OVER (ORDER BY (appointment_id IS NULL), requested_at) as row_num
+        FROM queue_entries
+        WHERE status = 'waiting' AND service_id = $1
+      ) sub
+      WHERE queue_entries.id = sub.id;
+    `;
+
+    await query(sql, [serviceId]);
+  }
+
+  /**
+   * Waiting tickets of a service that have an account to alert and have not
+   * had their approaching alert yet, front of the line first
+   */
+  static async findApproachingCandidates(serviceId) {
+    const sql = `
+      SELECT qe.id, qe.user_id, qe.service_id, qe.queue_number, qe.queue_position,
+             qe.requires_checkin, qe.checked_in_at,
+             s.name as service_name, s.estimated_service_time
+      FROM queue_entries qe
+      JOIN services s ON qe.service_id = s.id
+      WHERE qe.service_id = $1
+        AND qe.status = 'waiting'
+        AND qe.user_id IS NOT NULL
+        AND qe.approaching_notified_at IS NULL
+      ORDER BY qe.queue_position ASC;
+    `;
+
+    const result = await query(sql, [serviceId]);
+    return result.rows;
+  }
+
+  /**
+   * Claim the one-time approaching alert of a waiting ticket.
+   * Returns false when it was already sent (or the ticket stopped waiting),
+   * so concurrent re-checks never alert twice.
+   */
+  static async markApproachingNotified(queueId) {
+    const sql = `
+      UPDATE queue_entries
+      SET approaching_notified_at = NOW()
+      WHERE id = $1
+        AND status = 'waiting'
+        AND approaching_notified_at IS NULL
+      RETURNING id;
+    `;
+
+    const result = await query(sql, [queueId]);
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Get skipped queue entries for a service that are still within the recall window
+   */
+  static async findRecentlySkipped(serviceId, gracePeriodMinutes) {
+    const sql = `
+      SELECT id, queue_number, skipped_at, recall_count
+      FROM queue_entries
+      WHERE service_id = $1
+        AND status = 'skipped'
+        AND skipped_at >= NOW() - ($2 * INTERVAL '1 minute')
+      ORDER BY skipped_at DESC;
+    `;
+
+    const result = await query(sql, [serviceId, gracePeriodMinutes]);
+    return result.rows;
+  }
+
   /**
    * Get all queues with filters (for admin)
    */
@@ -244,6 +694,7 @@ class Queue {
       startDate,
       endDate,
       search,
+      serviceIds,
       page = 1,
       limit = 50,
     } = filters;
@@ -265,6 +716,13 @@ class Queue {
       paramIndex++;
     }
 
+    // Services the caller is limited to (null/undefined means all)
+    if (serviceIds) {
+      whereConditions.push(`qe.service_id = ANY($${paramIndex}::int[])`);
+      queryParams.push(serviceIds);
+      paramIndex++;
+    }
+
     if (startDate) {
       whereConditions.push(`DATE(qe.requested_at) >= $${paramIndex}`);
       queryParams.push(startDate);
@@ -283,6 +741,8 @@ class Queue {
         u.first_name ILIKE $${paramIndex} OR
         u.last_name ILIKE $${paramIndex} OR
         u.email ILIKE $${paramIndex} OR
+        qe.walk_in_student_id ILIKE $${paramIndex} OR
+        qe.contact_phone ILIKE $${paramIndex} OR
         s.name ILIKE $${paramIndex}
       )`);
       queryParams.push(`%${search}%`);
@@ -300,13 +760,15 @@ class Queue {
       SELECT 
         qe.id, qe.queue_number, qe.queue_position, qe.status,
         qe.requested_at, qe.called_at, qe.started_serving_at, qe.completed_at,
-        qe.estimated_wait_time,
+        qe.estimated_wait_time, qe.priority_category, qe.appointment_id,
+        qe.requires_checkin, qe.checked_in_at,
+        qe.source, qe.walk_in_student_id, qe.contact_phone,
         s.id as service_id, s.name as service_name, s.location as service_location,
         c.id as counter_id, c.counter_number, c.name as counter_name,
-        u.id as user_id, u.first_name, u.last_name, u.email, u.student_id
+        qe.user_id, u.first_name, u.last_name, u.email, u.student_id
       FROM queue_entries qe
       JOIN services s ON qe.service_id = s.id
-      JOIN users u ON qe.user_id = u.id
+      LEFT JOIN users u ON qe.user_id = u.id
       LEFT JOIN counters c ON qe.counter_id = c.id
       ${whereClause}
       ORDER BY qe.requested_at DESC
@@ -317,7 +779,7 @@ class Queue {
       SELECT COUNT(*) as total
       FROM queue_entries qe
       JOIN services s ON qe.service_id = s.id
-      JOIN users u ON qe.user_id = u.id
+      LEFT JOIN users u ON qe.user_id = u.id
       LEFT JOIN counters c ON qe.counter_id = c.id
       ${whereClause};
     `;
@@ -340,7 +802,7 @@ class Queue {
    * Update queue status (admin only)
    */
   static async updateStatus(queueId, status, adminId = null) {
-    const allowedStatuses = ['waiting', 'called', 'serving', 'completed', 'cancelled'];
+    const allowedStatuses = ['waiting', 'called', 'serving', 'completed', 'skipped', 'cancelled'];
     
     if (!allowedStatuses.includes(status)) {
       throw new Error('Invalid queue status');
@@ -375,6 +837,9 @@ class Queue {
     if (status === 'cancelled') {
       updateFields.push(`cancelled_at = NOW()`);
     }
+    if (status === 'skipped') {
+      updateFields.push(`skipped_at = NOW()`);
+    }
 
     // If moving from serving to another status, clear counter assignment
     if (queue.status === 'serving' && status !== 'serving') {
@@ -0,0 +1,114 @@
+const { query, transaction } = require('../config/database');
+
+/**
+ * RefreshToken Model
+ * Handles all database operations for refresh tokens.
+ * Tokens are looked up by their SHA-256 hash; the plain token is never stored.
+ */
+class RefreshToken {
+  /**
+   * Store a new refresh token
+   */
+  static async create(tokenData, db = { query }) {
+    const {
+      userId,
+      tokenHash,
+      familyId,
+      expiresAt,
+      userAgent = null,
+      ipAddress = null,
+    } = tokenData;
+
+    const sql = `
+      INSERT INTO refresh_tokens (
+        user_id, token_hash, family_id, expires_at, user_agent, ip_address
+      )
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING id, user_id, family_id, expires_at, created_at;
+    `;
+
+    const result = await db.query(sql, [
+      userId,
+      tokenHash,
+      familyId,
+      expiresAt,
+      userAgent ? String(userAgent).slice(0, 255) : null,
+      ipAddress ? String(ipAddress).slice(0, 45) : null,
+    ]);
+    return result.rows[0];
+  }
+
+  /**
+   * Find a refresh token by its hash
+   */
+  static async findByHash(tokenHash) {
+    const sql = `
+      SELECT id, user_id, family_id, expires_at, revoked_at, replaced_by_id, created_at
+      FROM refresh_tokens
+      WHERE token_hash = $1;
+    `;
+
+    const result = await query(sql, [tokenHash]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Replace a refresh token with a new one in the same family.
+   * Returns null when the old token was already used (a parallel refresh or a
+   * replayed token), in which case nothing is stored.
+   */
+  static async rotate(oldTokenId, tokenData) {
+    return transaction(async (client) => {
+      const revoked = await client.query(
+        `UPDATE refresh_tokens
+         SET revoked_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND revoked_at IS NULL
+         RETURNING id;`,
+        [oldTokenId]
+      );
+
+      if (revoked.rows.length === 0) {
+        return null;
+      }
+
+      const replacement = await this.create(tokenData, client);
+
+      await client.query(
+        'UPDATE refresh_tokens SET replaced_by_id = $1 WHERE id = $2;',
+        [replacement.id, oldTokenId]
+      );
+
+      return replacement;
+    });
+  }
+
+  /**
+   * Revoke every token from one login
+   */
+  static async revokeFamily(familyId, db = { query }) {
+    const sql = `
+      UPDATE refresh_tokens
+      SET revoked_at = CURRENT_TIMESTAMP
+      WHERE family_id = $1 AND revoked_at IS NULL;
+    `;
+
+    const result = await db.query(sql, [familyId]);
+    return result.rowCount;
+  }
+
+  /**
+   * Revoke every token a user holds (all devices)
+   */
+  static async revokeAllForUser(userId, db = { query }) {
+    const sql = `
+      UPDATE refresh_tokens
+      SET revoked_at = CURRENT_TIMESTAMP
+      WHERE user_id = $1 AND revoked_at IS NULL;
+    `;
+
+    const result = await db.query(sql, [userId]);
+    return result.rowCount;
+  }
+}
+
+module.exports = RefreshToken;
@@ -0,0 +1,219 @@
+const { query, transaction } = require('../config/database');
+const { ADMIN_ROLE, getAdminGrants, resolveAccess } = require('../utils/permissions');
+
+const GRANTS_CACHE_TTL = 60 * 1000;
+
+const grantsCacheKey = (roleName) => `role:permissions:${roleName}`;
+
+/**
+ * Role Model
+ * Handles all database operations for roles and their permissions
+ */
+class Role {
+  /**
+   * Get all roles with their permissions and number of users
+   */
+  static async findAll() {
+    const sql = `
+      SELECT r.id, r.name, r.description, r.is_system, r.created_at, r.updated_at,
+             COALESCE(
+               json_agg(json_build_object('permission', rp.permission, 'serviceIds', rp.service_ids)
+                        ORDER BY rp.permission)
+               FILTER (WHERE rp.id IS NOT NULL),
+               '[]'
+             ) AS permissions,
+             (SELECT COUNT(*) FROM users u WHERE u.role = r.name)::int AS user_count
+      FROM roles r
+      LEFT JOIN role_permissions rp ON rp.role_id = r.id
+      GROUP BY r.id
+      ORDER BY r.is_system DESC, r.name;
+    `;
+
+    const result = await query(sql);
+    return result.rows.map(Role.withAdminGrants);
+  }
+
+  /**
+   * Find role by ID, with permissions
+   */
+  static async findById(id) {
+    const result = await query(`SELECT * FROM roles WHERE id = $1;`, [id]);
+    const role = result.rows[0];
+    if (!role) {
+      return null;
+    }
+
+    role.permissions = await Role.loadGrants(role.id);
+    return Role.withAdminGrants(role);
+  }
+
+  /**
+   * Find role by name
+   */
+  static async findByName(name) {
+    const result = await query(`SELECT * FROM roles WHERE name = $1;`, [name]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Create a role with its permissions
+   */
+  static async create({ name, description, permissions }) {
+    const roleId = await transaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO roles (name, description)
+         VALUES ($1, $2)
+         RETURNING id;`,
+        [name, description || null]
+      );
+
+      const id = result.rows[0].id;
+      await Role.replaceGrants(id, permissions, client);
+      return id;
+    });
+
+    return Role.findById(roleId);
+  }
+
+  /**
+   * Update a role. Renaming cascades to users.role.
+   * `permissions` replaces the full permission list when given.
+   */
+  static async update(id, { name, description, permissions }) {
+    const previous = await transaction(async (client) => {
+      const existing = await client.query(`SELECT name FROM roles WHERE id = $1 FOR UPDATE;`, [id]);
+      if (existing.rows.length === 0) {
+        return null;
+      }
+
+      await client.query(
+        `UPDATE roles
+         SET name = COALESCE($2, name),
+             description = COALESCE($3, description),
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1;`,
+        [id, name || null, description !== undefined ? description : null]
+      );
+
+      if (permissions) {
+        await Role.replaceGrants(id, permissions, client);
+      }
+
+      return existing.rows[0].name;
+    });
+
+    if (!previous) {
+      return null;
+    }
+
+    Role.clearGrantsCache(previous);
+    if (name) {
+      Role.clearGrantsCache(name);
+    }
+    return Role.findById(id);
+  }
+
+  /**
+   * Delete a role. Returns false when users still have it.
+   */
+  static async delete(id) {
+    const sql = `
+      DELETE FROM roles r
+      WHERE r.id = $1
+        AND NOT EXISTS (SELECT 1 FROM users u WHERE u.role = r.name)
+      RETURNING name;
+    `;
+
+    const result = await query(sql, [id]);
+    if (result.rows.length === 0) {
+      return false;
+    }
+
+    Role.clearGrantsCache(result.rows[0].name);
+    return true;
+  }
+
+  /**
+   * Permissions of a role by name: [{ permission, serviceIds }].
+   * Cached briefly because every authorized request needs them.
+   */
+  static async getGrants(roleName) {
+    if (roleName === ADMIN_ROLE) {
+      return getAdminGrants();
+    }
+
+    const cache = require('../utils/cache');
+    const cacheKey = grantsCacheKey(roleName);
+    const cached = cache.get(cacheKey);
+    if (cached) {
+      return cached;
+    }
+
+    const sql = `
+      SELECT rp.permission, rp.service_ids AS "serviceIds"
+      FROM role_permissions rp
+      JOIN roles r ON r.id = rp.role_id
+      WHERE r.name = $1;
+    `;
+
+    const result = await query(sql, [roleName]);
+    cache.set(cacheKey, result.rows, GRANTS_CACHE_TTL);
+    return result.rows;
+  }
+
+  /**
+   * Resolve a role's access for any one of the permissions:
+   * { allowed, serviceIds } where serviceIds null means every service
+   */
+  static async getAccess(roleName, ...permissions) {
+    const grants = await Role.getGrants(roleName);
+    return resolveAccess(grants, permissions);
+  }
+
+  /**
+   * Whether a role has any one of the permissions, for any service
+   */
+  static async hasPermission(roleName, ...permissions) {
+    const access = await Role.getAccess(roleName, ...permissions);
+    return access.allowed;
+  }
+
+  static async loadGrants(roleId) {
+    const sql = `
+      SELECT permission, service_ids AS "serviceIds"
+      FROM role_permissions
+      WHERE role_id = $1
+      ORDER BY permission;
+    `;
+
+    const result = await query(sql, [roleId]);
+    return result.rows;
+  }
+
+  static async replaceGrants(roleId, permissions, client) {
+    await client.query(`DELETE FROM role_permissions WHERE role_id = $1;`, [roleId]);
+
+    for (const grant of permissions || []) {
+      await client.query(
+        `INSERT INTO role_permissions (role_id, permission, service_ids)
+         VALUES ($1, $2, $3);`,
+        [roleId, grant.permission, grant.serviceIds || null]
+      );
+    }
+  }
+
+  static clearGrantsCache(roleName) {
+    const cache = require('../utils/cache');
+    cache.delete(grantsCacheKey(roleName));
+  }
+
+  // The admin role has no stored grants; show what it effectively has
+  static withAdminGrants(role) {
+    if (role.name === ADMIN_ROLE) {
+      role.permissions = getAdminGrants();
+    }
+    return role;
+  }
+}
+
+module.exports = Role;
@@ -1,4 +1,14 @@
 const { query } = require('../config/database');
+const { DEFAULT_PRIORITY_INTERLEAVE_RATIO } = require('../utils/priority');
+const { DEFAULT_MAX_QUEUE_BEFORE_CLOSING } = require('../utils/queueLimits');
+const { DEFAULT_CHECKIN_WINDOW_MINUTES } = require('../utils/appointments');
+
+// True when the service has at least one active appointment slot
+const ACCEPTS_APPOINTMENTS_SQL = `
+  EXISTS (
+    SELECT 1 FROM appointment_slots aps
+    WHERE aps.service_id = s.id AND aps.is_active = true
+  ) as accepts_appointments`;
 
 /**
  * Service Model
@@ -12,14 +22,21 @@ class Service {
     try {
       const whereClause = includeInactive ? '' : 'WHERE is_active = true';
       const sql = `
-        SELECT id, name, description, location, is_active, 
-               estimated_service_time, max_queue_size,
-               operating_hours_start, operating_hours_end,
-               COALESCE(queue_prefix, '') as queue_prefix,
-               created_at, updated_at
-        FROM services
+        SELECT s.id, s.name, s.description, s.location, s.is_active, 
+               s.estimated_service_time, s.max_queue_size,
+               s.operating_hours_start, s.operating_hours_end,
+               COALESCE(s.queue_prefix, '') as queue_prefix,
+               COALESCE(ss.enable_priority_queue, false) as enable_priority_queue,
+               COALESCE(ss.priority_interleave_ratio, ${DEFAULT_PRIORITY_INTERLEAVE_RATIO}) as priority_interleave_ratio,
+               COALESCE(ss.max_queue_before_closing, ${DEFAULT_MAX_QUEUE_BEFORE_CLOSING}) as max_queue_before_closing,
+               COALESCE(ss.appointment_checkin_window_minutes, ${DEFAULT_CHECKIN_WINDOW_MINUTES}) as appointment_checkin_window_minutes,
+               COALESCE(ss.require_onsite_checkin, false) as require_onsite_checkin,
+               ${ACCEPTS_APPOINTMENTS_SQL},
+               s.created_at, s.updated_at
+        FROM services s
+        LEFT JOIN service_settings ss ON ss.service_id = s.id
         ${whereClause}
-        ORDER BY name;
+        ORDER BY s.name;
       `;
 
       const result = await query(sql);
@@ -181,13 +198,19 @@ class Service {
    */
   static async findById(id) {
     const sql = `
-      SELECT id, name, description, location, is_active,
-             estimated_service_time, max_queue_size,
-             operating_hours_start, operating_hours_end,
-             COALESCE(queue_prefix, '') as queue_prefix,
-             created_at, updated_at
-      FROM services
-      WHERE id = $1;
+      SELECT s.id, s.name, s.description, s.location, s.is_active,
+             s.estimated_service_time, s.max_queue_size,
+             s.operating_hours_start, s.operating_hours_end,
+             COALESCE(s.queue_prefix, '') as queue_prefix,
+             COALESCE(ss.enable_priority_queue, false) as enable_priority_queue,
+             COALESCE(ss.max_queue_before_closing, ${DEFAULT_MAX_QUEUE_BEFORE_CLOSING}) as max_queue_before_closing,
+             COALESCE(ss.appointment_checkin_window_minutes, ${DEFAULT_CHECKIN_WINDOW_MINUTES}) as appointment_checkin_window_minutes,
+             COALESCE(ss.require_onsite_checkin, false) as require_onsite_checkin,
+             ${ACCEPTS_APPOINTMENTS_SQL},
+             s.created_at, s.updated_at
+      FROM services s
+      LEFT JOIN service_settings ss ON ss.service_id = s.id
+      WHERE s.id = $1;
     `;
 
     const result = await query(sql, [id]);
@@ -199,11 +222,17 @@ class Service {
    */
   static async findByIdWithCounters(id) {
     const serviceSql = `
-      SELECT id, name, description, location, is_active,
-             estimated_service_time, max_queue_size,
-             operating_hours_start, operating_hours_end
-      FROM services
-      WHERE id = $1;
+      SELECT s.id, s.name, s.description, s.location, s.is_active,
+             s.estimated_service_time, s.max_queue_size,
+             s.operating_hours_start, s.operating_hours_end,
+             COALESCE(ss.enable_priority_queue, false) as enable_priority_queue,
+             COALESCE(ss.max_queue_before_closing, ${DEFAULT_MAX_QUEUE_BEFORE_CLOSING}) as max_queue_before_closing,
+             COALESCE(ss.appointment_checkin_window_minutes, ${DEFAULT_CHECKIN_WINDOW_MINUTES}) as appointment_checkin_window_minutes,
+             COALESCE(ss.require_onsite_checkin, false) as require_onsite_checkin,
+             ${ACCEPTS_APPOINTMENTS_SQL}
+      FROM services s
+      LEFT JOIN service_settings ss ON ss.service_id = s.id
+      WHERE s.id = $1;
     `;
 
     const countersSql = `
@@ -227,6 +256,59 @@ class Service {
     };
   }
 
+  /**
+   * Get per-service settings (falls back to defaults when no row exists)
+   */
+  static async getSettings(serviceId) {
+    const sql = `SELECT * FROM service_settings WHERE service_id = $1;`;
+    const result = await query(sql, [serviceId]);
+
+    return result.rows[0] || {
+      service_id: parseInt(serviceId),
+      enable_priority_queue: false,
+      priority_interleave_ratio: DEFAULT_PRIORITY_INTERLEAVE_RATIO,
+      max_queue_before_closing: DEFAULT_MAX_QUEUE_BEFORE_CLOSING,
+      auto_call_next: false,
+      notification_before_minutes: null, // use the system setting
+      appointment_checkin_window_minutes: DEFAULT_CHECKIN_WINDOW_MINUTES,
+      require_onsite_checkin: false,
+      settings: {},
+    };
+  }
+
+  /**
+   * Create or update per-service settings
+   */
+  static async updateSettings(serviceId, settingsData) {
+    const allowedFields = [
+      'enable_priority_queue',
+      'priority_interleave_ratio',
+      'max_queue_before_closing',
+      'auto_call_next',
+      'notification_before_minutes',
+      'appointment_checkin_window_minutes',
+      'require_onsite_checkin',
+    ];
+
+    const fields = allowedFields.filter(field => settingsData[field] !== undefined);
+    if (fields.length === 0) {
+      return this.getSettings(serviceId);
+    }
+
+    const values = fields.map(field => settingsData[field]);
+    const sql = `
+      INSERT INTO service_settings (service_id, ${fields.join(', ')})
+      VALUES ($1, ${fields.map((_, i) => `$${i + 2}`).join(', ')})
+      ON CONFLICT (service_id) DO UPDATE
+      SET ${fields.map(field => `${field} = EXCLUDED.${field}`).join(', ')},
+          updated_at = CURRENT_TIMESTAMP
+      RETURNING *;
+    `;
+
+    const result = await query(sql, [serviceId, ...values]);
+    return result.rows[0];
+  }
+
   /**
    * Get queue status for a service
    */
@@ -236,6 +318,7 @@ class Service {
         COUNT(*) FILTER (WHERE status = 'waiting') as waiting_count,
         COUNT(*) FILTER (WHERE status = 'called') as called_count,
         COUNT(*) FILTER (WHERE status = 'serving') as serving_count,
+        COUNT(*) FILTER (WHERE status = 'waiting' AND priority_category IS NOT NULL) as priority_waiting_count,
         MIN(queue_position) FILTER (WHERE status = 'waiting') as next_position,
         AVG(estimated_wait_time) FILTER (WHERE status = 'waiting') as avg_wait_time
       FROM queue_entries
@@ -247,10 +330,33 @@ class Service {
       waiting_count: 0,
       called_count: 0,
       serving_count: 0,
+      priority_waiting_count: 0,
       next_position: null,
       avg_wait_time: null,
     };
   }
+
+  /**
+   * Get active and today's queue counts used for capacity limits,
+   * keyed by service ID (all services when no ID is given)
+   */
+  static async getQueueCounts(serviceId = null) {
+    const sql = `
+      SELECT service_id,
+        COUNT(*) FILTER (WHERE status IN ('waiting', 'called', 'serving')) as active_count,
+        COUNT(*) FILTER (WHERE DATE(requested_at) = CURRENT_DATE AND status != 'cancelled') as today_count
+      FROM queue_entries
+      WHERE ($1::integer IS NULL OR service_id = $1)
+        AND (status IN ('waiting', 'called', 'serving') OR DATE(requested_at) = CURRENT_DATE)
+      GROUP BY service_id;
+    `;
+
+    const result = await query(sql, [serviceId]);
+    return result.rows.reduce((counts, row) => {
+      counts[row.service_id] = row;
+      return counts;
+    }, {});
+  }
 }
 
 module.exports = Service;
@@ -0,0 +1,220 @@
+const { query, transaction } = require('../config/database');
+
+// Dates are returned as YYYY-MM-DD strings so they never shift across time zones
+const EXCEPTION_COLUMNS = `
+  id, service_id,
+  to_char(start_date, 'YYYY-MM-DD') as start_date,
+  to_char(end_date, 'YYYY-MM-DD') as end_date,
+  is_closed, open_time, close_time, reason, created_at, updated_at
+`;
+
+/**
+ * Service Schedule Model
+ * Handles weekly opening hours and date-range exceptions per service
+ */
+class ServiceSchedule {
+  /**
+   * Get weekly hours for a service (ordered Sunday to Saturday)
+   */
+  static async getWeeklyHours(serviceId) {
+    const sql = `
+      SELECT id, service_id, day_of_week, open_time, close_time, is_closed
+      FROM service_weekly_hours
+      WHERE service_id = $1
+      ORDER BY day_of_week;
+    `;
+
+    const result = await query(sql, [serviceId]);
+    return result.rows;
+  }
+
+  /**
+   * Replace the weekly hours of a service.
+   * An empty list removes the weekly schedule so the service falls back to
+   * its operating_hours_start/end.
+   */
+  static async setWeeklyHours(serviceId, days) {
+    return transaction(async (client) => {
+      await client.query(`DELETE FROM service_weekly_hours WHERE service_id = $1;`, [serviceId]);
+
+      const rows = [];
+      for (const day of days) {
+        const sql = `
+          INSERT INTO service_weekly_hours (
+            service_id, day_of_week, open_time, close_time, is_closed
+          )
+          VALUES ($1, $2, $3, $4, $5)
+          RETURNING id, service_id, day_of_week, open_time, close_time, is_closed;
+        `;
+
+        const result = await client.query(sql, [
+          serviceId,
+          day.day_of_week,
+          day.is_closed ? null : day.open_time,
+          day.is_closed ? null : day.close_time,
+          !!day.is_closed,
+        ]);
+        rows.push(result.rows[0]);
+      }
+
+      return rows.sort((a, b) => a.day_of_week - b.day_of_week);
+    });
+  }
+
+  /**
+   * Get schedule exceptions for a service.
+   * By default only exceptions that have not ended yet are returned.
+   */
+  static async getExceptions(serviceId, includePast = false) {
+    const dateFilter = includePast ? '' : 'AND end_date >= CURRENT_DATE';
+    const sql = `
+      SELECT ${EXCEPTION_COLUMNS}
+      FROM service_schedule_exceptions
+      WHERE service_id = $1 ${dateFilter}
+      ORDER BY start_date, end_date;
+    `;
+
+    const result = await query(sql, [serviceId]);
+    return result.rows;
+  }
+
+  /**
+   * Find a schedule exception by ID within a service
+   */
+  static async findException(serviceId, exceptionId) {
+    const sql = `
+      SELECT ${EXCEPTION_COLUMNS}
+      FROM service_schedule_exceptions
+      WHERE id = $1 AND service_id = $2;
+    `;
+
+    const result = await query(sql, [exceptionId, serviceId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Create a schedule exception
+   */
+  static async createException(serviceId, exceptionData) {
+    const {
+      start_date,
+      end_date = start_date,
+      is_closed = true,
+      open_time = null,
+      close_time = null,
+      reason = null,
+    } = exceptionData;
+
+    const sql = `
+      INSERT INTO service_schedule_exceptions (
+        service_id, start_date, end_date, is_closed, open_time, close_time, reason
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING ${EXCEPTION_COLUMNS};
+    `;
+
+    const result = await query(sql, [
+      serviceId,
+      start_date,
+      end_date,
+      is_closed,
+      is_closed ? null : open_time,
+      is_closed ? null : close_time,
+      reason,
+    ]);
+    return result.rows[0];
+  }
+
+  /**
+   * Update a schedule exception
+   */
+  static async updateException(serviceId, exceptionId, exceptionData) {
+    // Closed days never keep hours
+    const closing = exceptionData.is_closed === true;
+    const allowedFields = closing
+      ? ['start_date', 'end_date', 'is_closed', 'reason']
+      : ['start_date', 'end_date', 'is_closed', 'open_time', 'close_time', 'reason'];
+    const fields = allowedFields.filter(field => exceptionData[field] !== undefined);
+
+    if (fields.length === 0) {
+      throw new Error('No fields to update');
+    }
+
+    const values = fields.map(field => exceptionData[field]);
+    const updates = fields.map((field, index) => `${field} = $${index + 1}`);
+
+    if (closing) {
+      updates.push('open_time = NULL', 'close_time = NULL');
+    }
+
+    const sql = `
+      UPDATE service_schedule_exceptions
+      SET ${updates.join(', ')}
+      WHERE id = $${fields.length + 1} AND service_id = $${fields.length + 2}
+      RETURNING ${EXCEPTION_COLUMNS};
+    `;
+
+    const result = await query(sql, [...values, exceptionId, serviceId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Delete a schedule exception
+   */
+  static async deleteException(serviceId, exceptionId) {
+    const sql = `
+      DELETE FROM service_schedule_exceptions
+      WHERE id = $1 AND service_id = $2
+      RETURNING ${EXCEPTION_COLUMNS};
+    `;
+
+    const result = await query(sql, [exceptionId, serviceId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Load the schedule data needed to work out opening times for several
+   * services, keyed by service ID: weekly hours plus exceptions that overlap
+   * the next `days` days.
+   */
+  static async findForServices(serviceIds, days = 14) {
+    const schedules = {};
+    serviceIds.forEach((id) => {
+      schedules[id] = { weeklyHours: [], exceptions: [] };
+    });
+
+    if (serviceIds.length === 0) {
+      return schedules;
+    }
+
+    const weeklySql = `
+      SELECT service_id, day_of_week, open_time, close_time, is_closed
+      FROM service_weekly_hours
+      WHERE service_id = ANY($1::integer[]);
+    `;
+
+    const exceptionsSql = `
+      SELECT ${EXCEPTION_COLUMNS}
+      FROM service_schedule_exceptions
+      WHERE service_id = ANY($1::integer[])
+        AND end_date >= CURRENT_DATE
+        AND start_date <= CURRENT_DATE + $2::integer;
+    `;
+
+    const [weeklyResult, exceptionsResult] = await Promise.all([
+      query(weeklySql, [serviceIds]),
+      query(exceptionsSql, [serviceIds, days]),
+    ]);
+
+    weeklyResult.rows.forEach((row) => {
+      schedules[row.service_id]?.weeklyHours.push(row);
+    });
+    exceptionsResult.rows.forEach((row) => {
+      schedules[row.service_id]?.exceptions.push(row);
+    });
+
+    return schedules;
+  }
+}
+
+module.exports = ServiceSchedule;
@@ -0,0 +1,151 @@
+const { query, transaction } = require('../config/database');
+
+/**
+ * TwoFactor Model
+ * Handles all database operations for TOTP enrollment and backup codes
+ */
+class TwoFactor {
+  /**
+   * Get a user's two-factor state along with the fields the login step needs
+   */
+  static async getState(userId) {
+    const sql = `
+      SELECT id, email, role, is_active, token_version,
+             failed_login_attempts, last_failed_login_at, locked_until,
+             two_factor_secret, two_factor_enabled_at, two_factor_last_step
+      FROM users
+      WHERE id = $1;
+    `;
+
+    const result = await query(sql, [userId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Store a new secret that is not active until a code from it is confirmed
+   */
+  static async setPendingSecret(userId, encryptedSecret) {
+    const sql = `
+      UPDATE users
+      SET two_factor_secret = $2,
+          two_factor_last_step = NULL
+      WHERE id = $1 AND two_factor_enabled_at IS NULL
+      RETURNING id;
+    `;
+
+    const result = await query(sql, [userId, encryptedSecret]);
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Turn on 2FA with the pending secret and store a fresh set of backup codes
+   */
+  static async enable(userId, step, codeHashes) {
+    return transaction(async (client) => {
+      const result = await client.query(
+        `UPDATE users
+         SET two_factor_enabled_at = CURRENT_TIMESTAMP,
+             two_factor_last_step = $2,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND two_factor_secret IS NOT NULL AND two_factor_enabled_at IS NULL
+         RETURNING two_factor_enabled_at;`,
+        [userId, step]
+      );
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      await TwoFactor.replaceBackupCodes(userId, codeHashes, client);
+      return result.rows[0].two_factor_enabled_at;
+    });
+  }
+
+  /**
+   * Turn off 2FA and remove the secret and backup codes
+   */
+  static async disable(userId) {
+    return transaction(async (client) => {
+      const result = await client.query(
+        `UPDATE users
+         SET two_factor_secret = NULL,
+             two_factor_enabled_at = NULL,
+             two_factor_last_step = NULL,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING id;`,
+        [userId]
+      );
+
+      await client.query(`DELETE FROM two_factor_backup_codes WHERE user_id = $1;`, [userId]);
+
+      return result.rows.length > 0;
+    });
+  }
+
+  /**
+   * Remember the time step of an accepted code. Returns false when that step
+   * (or a later one) was already used, so a code cannot be replayed.
+   */
+  static async recordStep(userId, step) {
+    const sql = `
+      UPDATE users
+      SET two_factor_last_step = $2
+      WHERE id = $1 AND (two_factor_last_step IS NULL OR two_factor_last_step < $2)
+      RETURNING id;
+    `;
+
+    const result = await query(sql, [userId, step]);
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Replace all backup codes for a user
+   */
+  static async replaceBackupCodes(userId, codeHashes, client = null) {
+    const run = async (db) => {
+      await db.query(`DELETE FROM two_factor_backup_codes WHERE user_id = $1;`, [userId]);
+      await db.query(
+        `INSERT INTO two_factor_backup_codes (user_id, code_hash)
+         SELECT $1, UNNEST($2::varchar[]);`,
+        [userId, codeHashes]
+      );
+    };
+
+    if (client) {
+      return run(client);
+    }
+    return transaction(run);
+  }
+
+  /**
+   * Use up a backup code. Returns false if it does not exist or was used.
+   */
+  static async consumeBackupCode(userId, codeHash) {
+    const sql = `
+      UPDATE two_factor_backup_codes
+      SET used_at = CURRENT_TIMESTAMP
+      WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+      RETURNING id;
+    `;
+
+    const result = await query(sql, [userId, codeHash]);
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Number of unused backup codes
+   */
+  static async countRemainingBackupCodes(userId) {
+    const sql = `
+      SELECT COUNT(*) AS remaining
+      FROM two_factor_backup_codes
+      WHERE user_id = $1 AND used_at IS NULL;
+    `;
+
+    const result = await query(sql, [userId]);
+    return parseInt(result.rows[0].remaining);
+  }
+}
+
+module.exports = TwoFactor;
@@ -1,4 +1,5 @@
-const { query } = require('../config/database');
+const { query, transaction } = require('../config/database');
+const RefreshToken = require('./RefreshToken');
 
 /**
  * User Model
@@ -26,7 +27,7 @@ class User {
       )
       VALUES ($1, $2, $3, $4, $5, $6, $7)
       RETURNING id, student_id, email, first_name, last_name, 
-                phone_number, role, is_active, created_at;
+                phone_number, role, is_active, email_verified_at, created_at;
     `;
 
     const values = [
@@ -49,7 +50,9 @@ class User {
   static async findByEmail(email) {
     const sql = `
       SELECT id, student_id, email, password_hash, first_name, last_name,
-             phone_number, role, is_active, created_at, updated_at
+             phone_number, role, is_active, email_verified_at, created_at, updated_at,
+             token_version, failed_login_attempts, last_failed_login_at, locked_until,
+             two_factor_enabled_at
       FROM users
       WHERE email = $1;
     `;
@@ -64,7 +67,8 @@ class User {
   static async findById(id) {
     const sql = `
       SELECT id, student_id, email, first_name, last_name,
-             phone_number, role, is_active, created_at, updated_at
+             phone_number, role, is_active, email_verified_at, two_factor_enabled_at,
+             created_at, updated_at
       FROM users
       WHERE id = $1;
     `;
@@ -79,7 +83,7 @@ class User {
   static async findByStudentId(studentId) {
     const sql = `
       SELECT id, student_id, email, first_name, last_name,
-             phone_number, role, is_active, created_at, updated_at
+             phone_number, role, is_active, email_verified_at, created_at, updated_at
       FROM users
       WHERE student_id = $1;
     `;
@@ -127,20 +131,135 @@ class User {
       SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP
       WHERE id = $${paramCount}
       RETURNING id, student_id, email, first_name, last_name,
-                phone_number, role, is_active, created_at, updated_at;
+                phone_number, role, is_active, email_verified_at, created_at, updated_at;
     `;
 
     const result = await query(sql, values);
     return result.rows[0];
   }
 
+  /**
+   * Get the stored password hash (for re-checking the current password)
+   */
+  static async getPasswordHash(id) {
+    const sql = `SELECT password_hash FROM users WHERE id = $1;`;
+
+    const result = await query(sql, [id]);
+    return result.rows[0] ? result.rows[0].password_hash : null;
+  }
+
+  /**
+   * Mark the user's email address as verified
+   */
+  static async markEmailVerified(id) {
+    const sql = `
+      UPDATE users
+      SET email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP),
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING id, student_id, email, first_name, last_name,
+                phone_number, role, is_active, email_verified_at, created_at, updated_at;
+    `;
+
+    const result = await query(sql, [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Get the fields needed to validate an access token
+   */
+  static async getAuthState(id) {
+    const sql = `
+      SELECT id, role, is_active, token_version, two_factor_enabled_at
+      FROM users
+      WHERE id = $1;
+    `;
+
+    const result = await query(sql, [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Invalidate issued access tokens by bumping the token version.
+   * With `revokeRefreshTokens` every refresh token is revoked too, which
+   * signs the user out on all devices.
+   */
+  static async revokeSessions(id, { revokeRefreshTokens = true } = {}) {
+    return transaction(async (client) => {
+      const result = await client.query(
+        `UPDATE users
+         SET token_version = token_version + 1
+         WHERE id = $1
+         RETURNING token_version;`,
+        [id]
+      );
+
+      if (revokeRefreshTokens) {
+        await RefreshToken.revokeAllForUser(id, client);
+      }
+
+      return result.rows[0] ? result.rows[0].token_version : null;
+    });
+  }
+
+  /**
+   * Count a failed login. Reaching `maxAttempts` locks the account for
+   * `lockoutMinutes` and starts the count again.
+   */
+  static async recordFailedLogin(id, maxAttempts, lockoutMinutes) {
+    const sql = `
+      UPDATE users
+      SET failed_login_attempts = CASE
+            WHEN failed_login_attempts + 1 >= $2 THEN 0
+            ELSE failed_login_attempts + 1
+          END,
+          locked_until = CASE
+            WHEN failed_login_attempts + 1 >= $2
+              THEN CURRENT_TIMESTAMP + ($3 || ' minutes')::INTERVAL
+            ELSE locked_until
+          END,
+          last_failed_login_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING failed_login_attempts, last_failed_login_at, locked_until;
+    `;
+
+    const result = await query(sql, [id, maxAttempts, lockoutMinutes]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Forget failed logins and lift any lockout (successful login, admin unlock)
+   */
+  static async clearFailedLogins(id) {
+    const sql = `
+      UPDATE users
+      SET failed_login_attempts = 0,
+          last_failed_login_at = NULL,
+          locked_until = NULL
+      WHERE id = $1
+      RETURNING id, failed_login_attempts, locked_until;
+    `;
+
+    const result = await query(sql, [id]);
+    return result.rows[0] || null;
+  }
+
   /**
    * Get user without password (safe for returning to client)
    */
   static toSafeUser(user) {
     if (!user) return null;
 
-    const { password_hash, ...safeUser } = user;
+    const {
+      password_hash,
+      token_version,
+      failed_login_attempts,
+      last_failed_login_at,
+      locked_until,
+      two_factor_secret,
+      two_factor_last_step,
+      ...safeUser
+    } = user;
     return safeUser;
   }
 }
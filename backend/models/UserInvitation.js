@@ -0,0 +1,102 @@
+const { query, transaction } = require('../config/database');
+
+/**
+ * UserInvitation Model
+ * Handles all database operations for staff invitations
+ */
+class UserInvitation {
+  /**
+   * Store a new invitation, replacing any open one for the same user
+   */
+  static async create(invitationData) {
+    const { userId, tokenHash, invitedBy, expiresAt } = invitationData;
+
+    return transaction(async (client) => {
+      await client.query(
+        `UPDATE user_invitations
+         SET revoked_at = CURRENT_TIMESTAMP
+         WHERE user_id = $1 AND accepted_at IS NULL AND revoked_at IS NULL;`,
+        [userId]
+      );
+
+      const result = await client.query(
+        `INSERT INTO user_invitations (user_id, token_hash, invited_by, expires_at)
+         VALUES ($1, $2, $3, $4)
+         RETURNING id, user_id, invited_by, expires_at, accepted_at, created_at;`,
+        [userId, tokenHash, invitedBy, expiresAt]
+      );
+
+      return result.rows[0];
+    });
+  }
+
+  /**
+   * Find an invitation by its token hash, with the invited user.
+   * Replaced invitations are not returned.
+   */
+  static async findByHash(tokenHash) {
+    const sql = `
+      SELECT ui.id, ui.user_id, ui.expires_at, ui.accepted_at, ui.created_at,
+             u.email, u.first_name, u.last_name, u.role, u.is_active
+      FROM user_invitations ui
+      JOIN users u ON ui.user_id = u.id
+      WHERE ui.token_hash = $1 AND ui.revoked_at IS NULL;
+    `;
+
+    const result = await query(sql, [tokenHash]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Latest invitation for a user
+   */
+  static async findLatestForUser(userId) {
+    const sql = `
+      SELECT id, user_id, invited_by, expires_at, accepted_at, created_at
+      FROM user_invitations
+      WHERE user_id = $1
+      ORDER BY created_at DESC
+      LIMIT 1;
+    `;
+
+    const result = await query(sql, [userId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Accept an invitation and set the user's password in one step.
+   * Returns false when the invitation was already used or has expired.
+   */
+  static async accept(id, userId, passwordHash) {
+    return transaction(async (client) => {
+      const accepted = await client.query(
+        `UPDATE user_invitations
+         SET accepted_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+           AND accepted_at IS NULL
+           AND revoked_at IS NULL
+           AND expires_at > CURRENT_TIMESTAMP
+         RETURNING id;`,
+        [id]
+      );
+
+      if (accepted.rows.length === 0) {
+        return false;
+      }
+
+      // The link arrived by email, which also proves the address
+      await client.query(
+        `UPDATE users
+         SET password_hash = $1,
+             email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP),
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $2;`,
+        [passwordHash, userId]
+      );
+
+      return true;
+    });
+  }
+}
+
+module.exports = UserInvitation;
@@ -1,154 +1,349 @@
 const express = require('express');
 const router = express.Router();
 const adminController = require('../controllers/adminController');
-const { authenticateToken, authorize } = require('../middleware/auth');
+const scheduleController = require('../controllers/scheduleController');
+const appointmentController = require('../controllers/appointmentController');
+const roleController = require('../controllers/roleController');
+const { authenticateToken, authorize, requireServiceScope, requireMigrationSecret } = require('../middleware/auth');
+const { PERMISSIONS } = require('../utils/permissions');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/admin.schemas');
 
 /**
  * @route   GET /api/admin/dashboard
  * @desc    Get dashboard statistics
- * @access  Private (Admin only)
+ * @access  Private (analytics.view)
  */
-router.get('/dashboard', authenticateToken, authorize('admin'), adminController.getDashboard);
+router.get('/dashboard', authenticateToken, authorize(PERMISSIONS.ANALYTICS_VIEW), adminController.getDashboard);
 
 /**
  * @route   GET /api/admin/analytics
  * @desc    Get analytics data
- * @access  Private (Admin only)
+ * @access  Private (analytics.view)
  */
-router.get('/analytics', authenticateToken, authorize('admin'), adminController.getAnalytics);
+router.get('/analytics', authenticateToken, authorize(PERMISSIONS.ANALYTICS_VIEW), validate(schemas.getAnalytics), adminController.getAnalytics);
 
 /**
  * @route   GET /api/admin/users
  * @desc    Get all users
- * @access  Private (Admin only)
+ * @access  Private (users.manage)
  */
-router.get('/users', authenticateToken, authorize('admin'), adminController.getAllUsers);
+router.get('/users', authenticateToken, authorize(PERMISSIONS.USERS_MANAGE), validate(schemas.getAllUsers), adminController.getAllUsers);
+
+/**
+ * @route   POST /api/admin/users
+ * @desc    Create a staff, admin or kiosk account and email an invitation
+ * @access  Private (users.manage)
+ */
+router.post('/users', authenticateToken, authorize(PERMISSIONS.USERS_MANAGE), validate(schemas.createUser), adminController.createUser);
+
+/**
+ * @route   POST /api/admin/users/:id/invite
+ * @desc    Send a new invitation to a user who has not accepted yet
+ * @access  Private (users.manage)
+ */
+router.post('/users/:id/invite', authenticateToken, authorize(PERMISSIONS.USERS_MANAGE), validate(schemas.resendInvitation), adminController.resendInvitation);
+
+/**
+ * @route   POST /api/admin/users/:id/unlock
+ * @desc    Lift a login lockout
+ * @access  Private (users.manage)
+ */
+router.post('/users/:id/unlock', authenticateToken, authorize(PERMISSIONS.USERS_MANAGE), validate(schemas.unlockUser), adminController.unlockUser);
+
+/**
+ * @route   POST /api/admin/users/:id/two-factor/reset
+ * @desc    Turn off a user's two-factor authentication
+ * @access  Private (users.manage)
+ */
+router.post('/users/:id/two-factor/reset', authenticateToken, authorize(PERMISSIONS.USERS_MANAGE), validate(schemas.resetUserTwoFactor), adminController.resetUserTwoFactor);
+
+/**
+ * @route   GET /api/admin/users/:id/login-history
+ * @desc    Get a user's login attempts
+ * @access  Private (users.manage)
+ */
+router.get('/users/:id/login-history', authenticateToken, authorize(PERMISSIONS.USERS_MANAGE), validate(schemas.getUserLoginHistory), adminController.getUserLoginHistory);
 
 /**
  * @route   PUT /api/admin/users/:id
  * @desc    Update user
- * @access  Private (Admin only)
+ * @access  Private (users.manage)
  */
-router.put('/users/:id', authenticateToken, authorize('admin'), adminController.updateUser);
+router.put('/users/:id', authenticateToken, authorize(PERMISSIONS.USERS_MANAGE), validate(schemas.updateUser), adminController.updateUser);
 
 /**
  * @route   GET /api/admin/services
  * @desc    Get all services (includes inactive)
- * @access  Private (Admin only)
+ * @access  Private (services.manage or queues.override or analytics.view)
  */
-router.get('/services', authenticateToken, authorize('admin'), adminController.getAllServices);
+router.get('/services', authenticateToken, authorize(PERMISSIONS.SERVICES_MANAGE, PERMISSIONS.QUEUES_OVERRIDE, PERMISSIONS.ANALYTICS_VIEW), adminController.getAllServices);
 
 /**
  * @route   POST /api/admin/services
  * @desc    Create a new service
- * @access  Private (Admin only)
+ * @access  Private (services.manage for all services)
  */
-router.post('/services', authenticateToken, authorize('admin'), adminController.createService);
+router.post('/services', authenticateToken, authorize(PERMISSIONS.SERVICES_MANAGE), validate(schemas.createService), adminController.createService);
 
 /**
  * @route   PUT /api/admin/services/:id
  * @desc    Update a service
- * @access  Private (Admin only)
+ * @access  Private (services.manage, scoped to the service)
  */
-router.put('/services/:id', authenticateToken, authorize('admin'), adminController.updateService);
+router.put('/services/:id', authenticateToken, authorize(PERMISSIONS.SERVICES_MANAGE), requireServiceScope(), validate(schemas.updateService), adminController.updateService);
 
 /**
  * @route   DELETE /api/admin/services/:id
  * @desc    Delete (deactivate) a service
- * @access  Private (Admin only)
+ * @access  Private (services.manage, scoped to the service)
+ */
+router.delete('/services/:id', authenticateToken, authorize(PERMISSIONS.SERVICES_MANAGE), requireServiceScope(), validate(schemas.deleteService), adminController.deleteService);
+
+/**
+ * @route   GET /api/admin/services/:id/schedule
+ * @desc    Get a service's weekly hours, upcoming exceptions and open status
+ * @access  Private (services.manage, scoped to the service)
+ */
+router.get('/services/:id/schedule', authenticateToken, authorize(PERMISSIONS.SERVICES_MANAGE), requireServiceScope(), validate(schemas.getSchedule), scheduleController.getSchedule);
+
+/**
+ * @route   PUT /api/admin/services/:id/schedule/weekly
+ * @desc    Replace a service's weekly hours
+ * @access  Private (services.manage, scoped to the service)
+ */
+router.put('/services/:id/schedule/weekly', authenticateToken, authorize(PERMISSIONS.SERVICES_MANAGE), requireServiceScope(), validate(schemas.updateWeeklyHours), scheduleController.updateWeeklyHours);
+
+/**
+ * @route   POST /api/admin/services/:id/schedule/exceptions
+ * @desc    Add a schedule exception (holiday, half day, extended hours)
+ * @access  Private (services.manage, scoped to the service)
+ */
+router.post('/services/:id/schedule/exceptions', authenticateToken, authorize(PERMISSIONS.SERVICES_MANAGE), requireServiceScope(), validate(schemas.createException), scheduleController.createException);
+
+/**
+ * @route   PUT /api/admin/services/:id/schedule/exceptions/:exceptionId
+ * @desc    Update a schedule exception
+ * @access  Private (services.manage, scoped to the service)
+ */
+router.put('/services/:id/schedule/exceptions/:exceptionId', authenticateToken, authorize(PERMISSIONS.SERVICES_MANAGE), requireServiceScope(), validate(schemas.updateException), scheduleController.updateException);
+
+/**
+ * @route   DELETE /api/admin/services/:id/schedule/exceptions/:exceptionId
+ * @desc    Delete a schedule exception
+ * @access  Private (services.manage, scoped to the service)
+ */
+router.delete('/services/:id/schedule/exceptions/:exceptionId', authenticateToken, authorize(PERMISSIONS.SERVICES_MANAGE), requireServiceScope(), validate(schemas.deleteException), scheduleController.deleteException);
+
+/**
+ * @route   GET /api/admin/services/:id/appointment-slots
+ * @desc    Get a service's appointment slot definitions (includes inactive)
+ * @access  Private (services.manage, scoped to the service)
+ */
+router.get('/services/:id/appointment-slots', authenticateToken, authorize(PERMISSIONS.SERVICES_MANAGE), requireServiceScope(), validate(schemas.getServiceSlots), appointmentController.getServiceSlots);
+
+/**
+ * @route   POST /api/admin/services/:id/appointment-slots
+ * @desc    Create an appointment slot definition
+ * @access  Private (services.manage, scoped to the service)
+ */
+router.post('/services/:id/appointment-slots', authenticateToken, authorize(PERMISSIONS.SERVICES_MANAGE), requireServiceScope(), validate(schemas.createSlot), appointmentController.createSlot);
+
+/**
+ * @route   PUT /api/admin/services/:id/appointment-slots/:slotId
+ * @desc    Update an appointment slot definition
+ * @access  Private (services.manage, scoped to the service)
+ */
+router.put('/services/:id/appointment-slots/:slotId', authenticateToken, authorize(PERMISSIONS.SERVICES_MANAGE), requireServiceScope(), validate(schemas.updateSlot), appointmentController.updateSlot);
+
+/**
+ * @route   DELETE /api/admin/services/:id/appointment-slots/:slotId
+ * @desc    Delete an appointment slot definition
+ * @access  Private (services.manage, scoped to the service)
+ */
+router.delete('/services/:id/appointment-slots/:slotId', authenticateToken, authorize(PERMISSIONS.SERVICES_MANAGE), requireServiceScope(), validate(schemas.deleteSlot), appointmentController.deleteSlot);
+
+/**
+ * @route   GET /api/admin/appointments
+ * @desc    Get the day's appointments (?date=YYYY-MM-DD&serviceId=)
+ * @access  Private (services.manage or queues.override)
  */
-router.delete('/services/:id', authenticateToken, authorize('admin'), adminController.deleteService);
+router.get('/appointments', authenticateToken, authorize(PERMISSIONS.SERVICES_MANAGE, PERMISSIONS.QUEUES_OVERRIDE), validate(schemas.getDayAppointments), appointmentController.getDayAppointments);
 
 /**
  * @route   GET /api/admin/counters
  * @desc    Get all counters (includes inactive)
- * @access  Private (Admin only)
+ * @access  Private (services.manage)
  */
-router.get('/counters', authenticateToken, authorize('admin'), adminController.getAllCounters);
+router.get('/counters', authenticateToken, authorize(PERMISSIONS.SERVICES_MANAGE), adminController.getAllCounters);
+
+/**
+ * @route   GET /api/admin/counters/staff-options
+ * @desc    Get the users who can be assigned to counters
+ * @access  Private (services.manage)
+ */
+router.get('/counters/staff-options', authenticateToken, authorize(PERMISSIONS.SERVICES_MANAGE), adminController.getCounterStaffOptions);
 
 /**
  * @route   POST /api/admin/counters
  * @desc    Create a new counter
- * @access  Private (Admin only)
+ * @access  Private (services.manage)
  */
-router.post('/counters', authenticateToken, authorize('admin'), adminController.createCounter);
+router.post('/counters', authenticateToken, authorize(PERMISSIONS.SERVICES_MANAGE), validate(schemas.createCounter), adminController.createCounter);
 
 /**
  * @route   PUT /api/admin/counters/:id
  * @desc    Update a counter
- * @access  Private (Admin only)
+ * @access  Private (services.manage)
  */
-router.put('/counters/:id', authenticateToken, authorize('admin'), adminController.updateCounter);
+router.put('/counters/:id', authenticateToken, authorize(PERMISSIONS.SERVICES_MANAGE), validate(schemas.updateCounter), adminController.updateCounter);
 
 /**
  * @route   DELETE /api/admin/counters/:id
  * @desc    Delete (deactivate) a counter
- * @access  Private (Admin only)
+ * @access  Private (services.manage)
  */
-router.delete('/counters/:id', authenticateToken, authorize('admin'), adminController.deleteCounter);
+router.delete('/counters/:id', authenticateToken, authorize(PERMISSIONS.SERVICES_MANAGE), validate(schemas.deleteCounter), adminController.deleteCounter);
 
 /**
  * @route   POST /api/admin/counters/:id/assign-staff
  * @desc    Assign counter to staff members
- * @access  Private (Admin only)
+ * @access  Private (services.manage)
  */
-router.post('/counters/:id/assign-staff', authenticateToken, authorize('admin'), adminController.assignCounterToStaff);
+router.post('/counters/:id/assign-staff', authenticateToken, authorize(PERMISSIONS.SERVICES_MANAGE), validate(schemas.assignCounterToStaff), adminController.assignCounterToStaff);
 
 /**
  * @route   GET /api/admin/counters/:id/staff
  * @desc    Get counter staff assignments
- * @access  Private (Admin only)
+ * @access  Private (services.manage)
  */
-router.get('/counters/:id/staff', authenticateToken, authorize('admin'), adminController.getCounterStaff);
+router.get('/counters/:id/staff', authenticateToken, authorize(PERMISSIONS.SERVICES_MANAGE), validate(schemas.getCounterStaff), adminController.getCounterStaff);
 
 /**
  * @route   GET /api/admin/queues
  * @desc    Get all queues with filters
- * @access  Private (Admin only)
+ * @access  Private (queues.override)
  */
-router.get('/queues', authenticateToken, authorize('admin'), adminController.getAllQueues);
+router.get('/queues', authenticateToken, authorize(PERMISSIONS.QUEUES_OVERRIDE), validate(schemas.getAllQueues), adminController.getAllQueues);
 
 /**
  * @route   PUT /api/admin/queues/:id/status
  * @desc    Update queue status
- * @access  Private (Admin only)
+ * @access  Private (queues.override)
  */
-router.put('/queues/:id/status', authenticateToken, authorize('admin'), adminController.updateQueueStatus);
+router.put('/queues/:id/status', authenticateToken, authorize(PERMISSIONS.QUEUES_OVERRIDE), validate(schemas.updateQueueStatus), adminController.updateQueueStatus);
+
+/**
+ * @route   POST /api/admin/queues/:id/print
+ * @desc    Reprint a queue ticket on the thermal printer
+ * @access  Private (queues.override)
+ */
+router.post('/queues/:id/print', authenticateToken, authorize(PERMISSIONS.QUEUES_OVERRIDE), validate(schemas.reprintQueueTicket), adminController.reprintQueueTicket);
 
 /**
  * @route   GET /api/admin/display-board
  * @desc    Get display board data for TV projection
  * @access  Public (or can be protected with a special token)
  */
-router.get('/display-board', adminController.getDisplayBoard);
+router.get('/display-board', validate(schemas.getDisplayBoard), adminController.getDisplayBoard);
+
+/**
+ * @route   GET /api/admin/display-board/checkin-token
+ * @desc    Get the rotating QR check-in code shown on the display board
+ * @access  Private (counters.operate or queues.override)
+ */
+router.get('/display-board/checkin-token', authenticateToken, authorize(PERMISSIONS.COUNTERS_OPERATE, PERMISSIONS.QUEUES_OVERRIDE), validate(schemas.getCheckInToken), adminController.getCheckInToken);
+
+/**
+ * @route   GET /api/admin/display-board/socket-token
+ * @desc    Get a read-only WebSocket token for the display board
+ * @access  Private (counters.operate or queues.override)
+ */
+router.get('/display-board/socket-token', authenticateToken, authorize(PERMISSIONS.COUNTERS_OPERATE, PERMISSIONS.QUEUES_OVERRIDE), validate(schemas.getDisplayBoardSocketToken), adminController.getDisplayBoardSocketToken);
 
 /**
  * @route   GET /api/admin/settings
  * @desc    Get system settings
- * @access  Private (Admin only)
+ * @access  Private (settings.manage)
  */
-router.get('/settings', authenticateToken, authorize('admin'), adminController.getSystemSettings);
+router.get('/settings', authenticateToken, authorize(PERMISSIONS.SETTINGS_MANAGE), adminController.getSystemSettings);
 
 /**
  * @route   PUT /api/admin/settings
  * @desc    Update system settings
- * @access  Private (Admin only)
+ * @access  Private (settings.manage)
+ */
+router.put('/settings', authenticateToken, authorize(PERMISSIONS.SETTINGS_MANAGE), validate(schemas.updateSystemSettings), adminController.updateSystemSettings);
+
+/**
+ * @route   GET /api/admin/audit
+ * @desc    Browse the admin audit log (filter by actorId, action, entityType, entityId, from, to)
+ * @access  Private (audit.view)
+ */
+router.get('/audit', authenticateToken, authorize(PERMISSIONS.AUDIT_VIEW), validate(schemas.getAuditLog), adminController.getAuditLog);
+
+/**
+ * @route   GET /api/admin/notification-deliveries
+ * @desc    Browse the email and SMS delivery log (filter by status, channel, event, userId)
+ * @access  Private (settings.manage)
+ */
+router.get('/notification-deliveries', authenticateToken, authorize(PERMISSIONS.SETTINGS_MANAGE), validate(schemas.getNotificationDeliveries), adminController.getNotificationDeliveries);
+
+/**
+ * @route   GET /api/admin/permissions
+ * @desc    Get the list of permissions a role can have
+ * @access  Private (roles.manage or users.manage)
+ */
+router.get('/permissions', authenticateToken, authorize(PERMISSIONS.ROLES_MANAGE, PERMISSIONS.USERS_MANAGE), roleController.getPermissions);
+
+/**
+ * @route   GET /api/admin/roles
+ * @desc    Get all roles with their permissions
+ * @access  Private (roles.manage, users.manage or settings.manage)
+ */
+router.get('/roles', authenticateToken, authorize(PERMISSIONS.ROLES_MANAGE, PERMISSIONS.USERS_MANAGE, PERMISSIONS.SETTINGS_MANAGE), roleController.getRoles);
+
+/**
+ * @route   POST /api/admin/roles
+ * @desc    Create a role
+ * @access  Private (roles.manage)
+ */
+router.post('/roles', authenticateToken, authorize(PERMISSIONS.ROLES_MANAGE), validate(schemas.createRole), roleController.createRole);
+
+/**
+ * @route   PUT /api/admin/roles/:id
+ * @desc    Update a role's name, description or permissions
+ * @access  Private (roles.manage)
+ */
+router.put('/roles/:id', authenticateToken, authorize(PERMISSIONS.ROLES_MANAGE), validate(schemas.updateRole), roleController.updateRole);
+
+/**
+ * @route   DELETE /api/admin/roles/:id
+ * @desc    Delete a role that no user has
+ * @access  Private (roles.manage)
+ */
+router.delete('/roles/:id', authenticateToken, authorize(PERMISSIONS.ROLES_MANAGE), validate(schemas.deleteRole), roleController.deleteRole);
+
+/**
+ * @route   GET /api/admin/migrate
+ * @desc    List migrations and whether each is applied (requires MIGRATION_SECRET)
+ * @access  Protected by secret token
  */
-router.put('/settings', authenticateToken, authorize('admin'), adminController.updateSystemSettings);
+router.get('/migrate', requireMigrationSecret, adminController.getMigrationStatus);
 
 /**
  * @route   POST /api/admin/migrate
- * @desc    Run database migrations (requires MIGRATION_SECRET)
+ * @desc    Apply pending migrations or revert applied ones (requires MIGRATION_SECRET)
  * @access  Protected by secret token
  */
-router.post('/migrate', adminController.runMigrations);
+router.post('/migrate', requireMigrationSecret, validate(schemas.runMigrations), adminController.runMigrations);
 
 /**
  * @route   POST /api/admin/seed
  * @desc    Seed demo data (requires MIGRATION_SECRET)
  * @access  Protected by secret token
  */
-router.post('/seed', adminController.seedDemoData);
+router.post('/seed', requireMigrationSecret, validate(schemas.seedDemoData), adminController.seedDemoData);
 
 module.exports = router;
 
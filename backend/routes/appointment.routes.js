@@ -0,0 +1,43 @@
+const express = require('express');
+const router = express.Router();
+const appointmentController = require('../controllers/appointmentController');
+const { authenticateToken } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/appointment.schemas');
+
+/**
+ * @route   GET /api/appointments/services/:serviceId/slots
+ * @desc    Get bookable slots of a service for a date (?date=YYYY-MM-DD)
+ * @access  Private
+ */
+router.get('/services/:serviceId/slots', authenticateToken, validate(schemas.getAvailableSlots), appointmentController.getAvailableSlots);
+
+/**
+ * @route   POST /api/appointments
+ * @desc    Book an appointment slot
+ * @access  Private
+ */
+router.post('/', authenticateToken, validate(schemas.bookAppointment), appointmentController.bookAppointment);
+
+/**
+ * @route   GET /api/appointments/my
+ * @desc    Get the current user's appointments
+ * @access  Private
+ */
+router.get('/my', authenticateToken, validate(schemas.getMyAppointments), appointmentController.getMyAppointments);
+
+/**
+ * @route   DELETE /api/appointments/:id/cancel
+ * @desc    Cancel an appointment (own bookings, or any for staff)
+ * @access  Private
+ */
+router.delete('/:id/cancel', authenticateToken, validate(schemas.cancelAppointment), appointmentController.cancelAppointment);
+
+/**
+ * @route   POST /api/appointments/:id/check-in
+ * @desc    Check in an appointment and join the queue ahead of walk-ins
+ * @access  Private
+ */
+router.post('/:id/check-in', authenticateToken, validate(schemas.checkInAppointment), appointmentController.checkInAppointment);
+
+module.exports = router;
@@ -1,21 +1,100 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/auth.schemas');
 
 /**
  * @route   POST /api/auth/register
  * @desc    Register a new user
  * @access  Public
  */
-router.post('/register', authController.register);
+router.post('/register', validate(schemas.register), authController.register);
 
 /**
  * @route   POST /api/auth/login
  * @desc    Login user
  * @access  Public
  */
-router.post('/login', authController.login);
+router.post('/login', validate(schemas.login), authController.login);
+
+/**
+ * @route   POST /api/auth/login/two-factor
+ * @desc    Complete a login with an authenticator or backup code
+ * @access  Public (challenge token)
+ */
+router.post('/login/two-factor', validate(schemas.verifyTwoFactorLogin), authController.verifyTwoFactorLogin);
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Exchange a refresh token for new tokens
+ * @access  Public
+ */
+router.post('/refresh', validate(schemas.refresh), authController.refresh);
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    Revoke this device's refresh token
+ * @access  Public
+ */
+router.post('/logout', validate(schemas.logout), authController.logout);
+
+/**
+ * @route   POST /api/auth/logout-all
+ * @desc    Sign out of every device
+ * @access  Private
+ */
+router.post('/logout-all', authenticateToken, authController.logoutAll);
+
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Email a password reset code
+ * @access  Public
+ */
+router.post('/forgot-password', validate(schemas.forgotPassword), authController.forgotPassword);
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Set a new password with a reset code
+ * @access  Public
+ */
+router.post('/reset-password', validate(schemas.resetPassword), authController.resetPassword);
+
+/**
+ * @route   POST /api/auth/change-password
+ * @desc    Change the current user's password
+ * @access  Private
+ */
+router.post('/change-password', authenticateToken, validate(schemas.changePassword), authController.changePassword);
+
+/**
+ * @route   POST /api/auth/verify-email
+ * @desc    Verify the current user's email with a code
+ * @access  Private
+ */
+router.post('/verify-email', authenticateToken, validate(schemas.verifyEmail), authController.verifyEmail);
+
+/**
+ * @route   POST /api/auth/verify-email/resend
+ * @desc    Send a new email verification code
+ * @access  Private
+ */
+router.post('/verify-email/resend', authenticateToken, authController.resendVerification);
+
+/**
+ * @route   GET /api/auth/invitations/:token
+ * @desc    Get the details of a staff invitation
+ * @access  Public
+ */
+router.get('/invitations/:token', validate(schemas.getInvitation), authController.getInvitation);
+
+/**
+ * @route   POST /api/auth/invitations/:token/accept
+ * @desc    Accept a staff invitation by setting a password
+ * @access  Public
+ */
+router.post('/invitations/:token/accept', validate(schemas.acceptInvitation), authController.acceptInvitation);
 
 /**
  * @route   GET /api/auth/me
@@ -24,5 +103,60 @@ router.post('/login', authController.login);
  */
 router.get('/me', authenticateToken, authController.getMe);
 
-module.exports = router;
+/**
+ * @route   GET /api/auth/me/login-history
+ * @desc    Get the current user's recent login attempts
+ * @access  Private
+ */
+router.get('/me/login-history', authenticateToken, validate(schemas.getLoginHistory), authController.getLoginHistory);
 
+/**
+ * @route   GET /api/auth/me/preferences
+ * @desc    Get the current user's notification preferences
+ * @access  Private
+ */
+router.get('/me/preferences', authenticateToken, authController.getPreferences);
+
+/**
+ * @route   PUT /api/auth/me/preferences
+ * @desc    Change the current user's notification preferences (only the switches sent)
+ * @access  Private
+ */
+router.put('/me/preferences', authenticateToken, validate(schemas.updatePreferences), authController.updatePreferences);
+
+/**
+ * @route   GET /api/auth/me/two-factor
+ * @desc    Get the current user's two-factor status
+ * @access  Private
+ */
+router.get('/me/two-factor', authenticateToken, authController.getTwoFactorStatus);
+
+/**
+ * @route   POST /api/auth/two-factor/setup
+ * @desc    Start two-factor enrollment
+ * @access  Private (or setup challenge token during login)
+ */
+router.post('/two-factor/setup', optionalAuth, validate(schemas.setupTwoFactor), authController.setupTwoFactor);
+
+/**
+ * @route   POST /api/auth/two-factor/enable
+ * @desc    Confirm a code and turn on two-factor authentication
+ * @access  Private (or setup challenge token during login)
+ */
+router.post('/two-factor/enable', optionalAuth, validate(schemas.enableTwoFactor), authController.enableTwoFactor);
+
+/**
+ * @route   POST /api/auth/two-factor/disable
+ * @desc    Turn off two-factor authentication
+ * @access  Private
+ */
+router.post('/two-factor/disable', authenticateToken, validate(schemas.disableTwoFactor), authController.disableTwoFactor);
+
+/**
+ * @route   POST /api/auth/two-factor/backup-codes
+ * @desc    Replace the backup codes
+ * @access  Private
+ */
+router.post('/two-factor/backup-codes', authenticateToken, validate(schemas.regenerateBackupCodes), authController.regenerateBackupCodes);
+
+module.exports = router;
@@ -2,62 +2,86 @@ const express = require('express');
 const router = express.Router();
 const counterController = require('../controllers/counterController');
 const { authenticateToken, authorize } = require('../middleware/auth');
+const { PERMISSIONS } = require('../utils/permissions');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/counter.schemas');
 
 /**
  * @route   GET /api/counters
  * @desc    Get all counters
- * @access  Private (Admin/Counter Staff)
+ * @access  Private (counters.operate)
  */
-router.get('/', authenticateToken, authorize('admin', 'counter_staff'), counterController.getAllCounters);
+router.get('/', authenticateToken, authorize(PERMISSIONS.COUNTERS_OPERATE), counterController.getAllCounters);
 
 /**
  * @route   GET /api/counters/my-counters
  * @desc    Get counters assigned to current staff member
- * @access  Private (Counter Staff)
+ * @access  Private (counters.operate)
  */
-router.get('/my-counters', authenticateToken, authorize('counter_staff', 'admin'), counterController.getMyCounters);
+router.get('/my-counters', authenticateToken, authorize(PERMISSIONS.COUNTERS_OPERATE), counterController.getMyCounters);
 
 /**
  * @route   GET /api/counters/:id
  * @desc    Get counter by ID
- * @access  Private (Counter Staff/Admin)
+ * @access  Private (counters.operate)
  */
-router.get('/:id', authenticateToken, authorize('counter_staff', 'admin'), counterController.getCounterById);
+router.get('/:id', authenticateToken, authorize(PERMISSIONS.COUNTERS_OPERATE), validate(schemas.getCounterById), counterController.getCounterById);
 
 /**
  * @route   POST /api/counters/:counterId/call-next
  * @desc    Call next queue number
- * @access  Private (Counter Staff)
+ * @access  Private (counters.operate)
  */
-router.post('/:counterId/call-next', authenticateToken, authorize('counter_staff', 'admin'), counterController.callNext);
+router.post('/:counterId/call-next', authenticateToken, authorize(PERMISSIONS.COUNTERS_OPERATE), validate(schemas.callNext), counterController.callNext);
 
 /**
  * @route   POST /api/counters/:counterId/start-serving/:queueId
  * @desc    Start serving a queue
- * @access  Private (Counter Staff)
+ * @access  Private (counters.operate)
  */
-router.post('/:counterId/start-serving/:queueId', authenticateToken, authorize('counter_staff', 'admin'), counterController.startServing);
+router.post('/:counterId/start-serving/:queueId', authenticateToken, authorize(PERMISSIONS.COUNTERS_OPERATE), validate(schemas.startServing), counterController.startServing);
 
 /**
  * @route   POST /api/counters/:counterId/complete/:queueId
  * @desc    Complete queue service
- * @access  Private (Counter Staff)
+ * @access  Private (counters.operate)
  */
-router.post('/:counterId/complete/:queueId', authenticateToken, authorize('counter_staff', 'admin'), counterController.completeService);
+router.post('/:counterId/complete/:queueId', authenticateToken, authorize(PERMISSIONS.COUNTERS_OPERATE), validate(schemas.completeService), counterController.completeService);
+
+/**
+ * @route   POST /api/counters/:counterId/skip/:queueId
+ * @desc    Skip a called queue (no-show)
+ * @access  Private (counters.operate)
+ */
+router.post('/:counterId/skip/:queueId', authenticateToken, authorize(PERMISSIONS.COUNTERS_OPERATE), validate(schemas.skipQueue), counterController.skipQueue);
+
+/**
+ * @route   POST /api/counters/:counterId/recall/:queueId
+ * @desc    Recall a called or recently skipped queue
+ * @access  Private (counters.operate)
+ */
+router.post('/:counterId/recall/:queueId', authenticateToken, authorize(PERMISSIONS.COUNTERS_OPERATE), validate(schemas.recallQueue), counterController.recallQueue);
+
+/**
+ * @route   POST /api/counters/:counterId/transfer/:queueId
+ * @desc    Transfer a queue to another service or counter
+ * @access  Private (counters.operate)
+ */
+router.post('/:counterId/transfer/:queueId', authenticateToken, authorize(PERMISSIONS.COUNTERS_OPERATE), validate(schemas.transferQueue), counterController.transferQueue);
 
 /**
  * @route   POST /api/counters/:counterId/status
  * @desc    Update counter status
- * @access  Private (Counter Staff)
+ * @access  Private (counters.operate)
  */
-router.post('/:counterId/status', authenticateToken, authorize('counter_staff', 'admin'), counterController.updateCounterStatus);
+router.post('/:counterId/status', authenticateToken, authorize(PERMISSIONS.COUNTERS_OPERATE), validate(schemas.updateCounterStatus), counterController.updateCounterStatus);
 
 /**
  * @route   GET /api/counters/:counterId/stats
  * @desc    Get counter statistics
- * @access  Private (Counter Staff)
+ * @access  Private (counters.operate)
  */
-router.get('/:counterId/stats', authenticateToken, authorize('counter_staff', 'admin'), counterController.getCounterStats);
+router.get('/:counterId/stats', authenticateToken, authorize(PERMISSIONS.COUNTERS_OPERATE), validate(schemas.getCounterStats), counterController.getCounterStats);
 
 module.exports = router;
 
@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const kioskController = require('../controllers/kioskController');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { PERMISSIONS } = require('../utils/permissions');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/kiosk.schemas');
+
+/**
+ * @route   POST /api/kiosk/tickets
+ * @desc    Issue a walk-in ticket (student ID, phone number or anonymous)
+ * @access  Private (kiosk.issue)
+ */
+router.post('/tickets', authenticateToken, authorize(PERMISSIONS.KIOSK_ISSUE), validate(schemas.issueTicket), kioskController.issueTicket);
+
+/**
+ * @route   POST /api/kiosk/tickets/:queueId/print
+ * @desc    Print a ticket issued by this kiosk on the thermal printer
+ * @access  Private (kiosk.issue)
+ */
+router.post('/tickets/:queueId/print', authenticateToken, authorize(PERMISSIONS.KIOSK_ISSUE), validate(schemas.printTicket), kioskController.printTicket);
+
+/**
+ * @route   GET /api/kiosk/tickets/:queueId/status
+ * @desc    Look up a ticket from the QR code printed on it (needs ?code=)
+ * @access  Public
+ */
+router.get('/tickets/:queueId/status', validate(schemas.getTicketStatus), kioskController.getTicketStatus);
+
+module.exports = router;
@@ -0,0 +1,50 @@
+const express = require('express');
+const router = express.Router();
+const notificationController = require('../controllers/notificationController');
+const { authenticateToken } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/notification.schemas');
+
+/**
+ * @route   GET /api/notifications
+ * @desc    Get the current user's notification inbox
+ * @access  Private
+ */
+router.get('/', authenticateToken, validate(schemas.getNotifications), notificationController.getNotifications);
+
+/**
+ * @route   GET /api/notifications/unread-count
+ * @desc    Get the number of unread notifications
+ * @access  Private
+ */
+router.get('/unread-count', authenticateToken, notificationController.getUnreadCount);
+
+/**
+ * @route   POST /api/notifications/read-all
+ * @desc    Mark every notification read
+ * @access  Private
+ */
+router.post('/read-all', authenticateToken, notificationController.markAllAsRead);
+
+/**
+ * @route   POST /api/notifications/:id/read
+ * @desc    Mark a notification read
+ * @access  Private
+ */
+router.post('/:id/read', authenticateToken, validate(schemas.markAsRead), notificationController.markAsRead);
+
+/**
+ * @route   POST /api/notifications/devices
+ * @desc    Register this device for push notifications
+ * @access  Private
+ */
+router.post('/devices', authenticateToken, validate(schemas.registerDevice), notificationController.registerDevice);
+
+/**
+ * @route   POST /api/notifications/devices/unregister
+ * @desc    Stop push notifications to this device
+ * @access  Private
+ */
+router.post('/devices/unregister', authenticateToken, validate(schemas.unregisterDevice), notificationController.unregisterDevice);
+
+module.exports = router;
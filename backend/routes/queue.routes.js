@@ -1,42 +1,66 @@
 const express = require('express');
 const router = express.Router();
 const queueController = require('../controllers/queueController');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { PERMISSIONS } = require('../utils/permissions');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/queue.schemas');
 
 /**
  * @route   POST /api/queue/request
  * @desc    Request a queue number
  * @access  Private
  */
-router.post('/request', authenticateToken, queueController.requestQueue);
+router.post('/request', authenticateToken, validate(schemas.requestQueue), queueController.requestQueue);
 
 /**
  * @route   GET /api/queue/status/:serviceId
  * @desc    Get service queue status
  * @access  Private
  */
-router.get('/status/:serviceId', authenticateToken, queueController.getServiceQueueStatus);
+router.get('/status/:serviceId', authenticateToken, validate(schemas.getServiceQueueStatus), queueController.getServiceQueueStatus);
 
 /**
  * @route   GET /api/queue/history
  * @desc    Get user's queue history
  * @access  Private
  */
-router.get('/history', authenticateToken, queueController.getQueueHistory);
+router.get('/history', authenticateToken, validate(schemas.getQueueHistory), queueController.getQueueHistory);
 
 /**
  * @route   DELETE /api/queue/:queueId/cancel
  * @desc    Cancel queue entry
  * @access  Private
  */
-router.delete('/:queueId/cancel', authenticateToken, queueController.cancelQueue);
+router.delete('/:queueId/cancel', authenticateToken, validate(schemas.cancelQueue), queueController.cancelQueue);
+
+/**
+ * @route   POST /api/queue/:queueId/rejoin
+ * @desc    Rejoin the queue after being skipped
+ * @access  Private
+ */
+router.post('/:queueId/rejoin', authenticateToken, validate(schemas.rejoinQueue), queueController.rejoinQueue);
+
+/**
+ * @route   POST /api/queue/:queueId/check-in
+ * @desc    Check in on site with the display board QR code
+ * @access  Private
+ */
+router.post('/:queueId/check-in', authenticateToken, validate(schemas.checkInQueue), queueController.checkInQueue);
+
+/**
+ * @route   PUT /api/queue/:queueId/priority
+ * @desc    Set or clear the priority category of a queue
+ * @access  Private (counters.operate or queues.override)
+ */
+router.put('/:queueId/priority', authenticateToken, authorize(PERMISSIONS.COUNTERS_OPERATE, PERMISSIONS.QUEUES_OVERRIDE), validate(schemas.updateQueuePriority), queueController.updateQueuePriority);
 
 /**
  * @route   GET /api/queue/:queueId
  * @desc    Get queue status
  * @access  Private
  */
-router.get('/:queueId', authenticateToken, queueController.getQueueStatus);
+router.get('/:queueId', authenticateToken, validate(schemas.getQueueStatus), queueController.getQueueStatus);
 
 module.exports = router;
 
@@ -1,27 +1,30 @@
 const express = require('express');
 const router = express.Router();
 const serviceController = require('../controllers/serviceController');
+const { optionalAuth } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/service.schemas');
 
 /**
  * @route   GET /api/services
- * @desc    Get all active services
- * @access  Public
+ * @desc    Get all active services with current availability
+ * @access  Public (user queue limit included when authenticated)
  */
-router.get('/', serviceController.getAllServices);
+router.get('/', optionalAuth, serviceController.getAllServices);
 
 /**
  * @route   GET /api/services/:id
- * @desc    Get service by ID with counters
- * @access  Public
+ * @desc    Get service by ID with counters and current availability
+ * @access  Public (user queue limit included when authenticated)
  */
-router.get('/:id', serviceController.getServiceById);
+router.get('/:id', optionalAuth, validate(schemas.getServiceById), serviceController.getServiceById);
 
 /**
  * @route   GET /api/services/:id/queue-status
  * @desc    Get service queue status
  * @access  Public
  */
-router.get('/:id/queue-status', serviceController.getServiceQueueStatus);
+router.get('/:id/queue-status', validate(schemas.getServiceQueueStatus), serviceController.getServiceQueueStatus);
 
 module.exports = router;
 
@@ -0,0 +1,435 @@
+const { ALL_PERMISSIONS } = require('../utils/permissions');
+const { AUDIT_ENTITY_TYPES } = require('../utils/audit');
+const { INVITE_STATUS } = require('../utils/invitations');
+const { MIGRATION_DIRECTIONS } = require('../utils/migrator');
+const { NOTIFICATION_CHANNELS, CHANNEL_EVENTS } = require('../utils/notificationChannels');
+const {
+  MAX_INTEGER,
+  id,
+  optionalId,
+  page,
+  limit,
+  date,
+  time,
+  requiredString,
+  QUEUE_STATUSES,
+  COUNTER_STATUSES,
+} = require('./common');
+
+/**
+ * Admin route schemas
+ * Every mutation is strict: a field the schema does not list is rejected
+ * instead of being passed on to the models.
+ */
+
+const serviceParams = {
+  params: {
+    id: id('Service ID'),
+  },
+};
+
+const userParams = {
+  params: {
+    id: id('User ID'),
+  },
+};
+
+const counterParams = {
+  params: {
+    id: id('Counter ID'),
+  },
+};
+
+const roleParams = {
+  params: {
+    id: id('Role ID'),
+  },
+};
+
+const exceptionParams = {
+  params: {
+    id: id('Service ID'),
+    exceptionId: id('Schedule exception ID'),
+  },
+};
+
+const slotParams = {
+  params: {
+    id: id('Service ID'),
+    slotId: id('Appointment slot ID'),
+  },
+};
+
+const positiveInteger = (description) => ({ type: 'integer', min: 1, max: MAX_INTEGER, description });
+
+const serviceFields = {
+  name: { type: 'string', minLength: 1, maxLength: 100, trim: true, description: 'Service name' },
+  description: { type: 'string', nullable: true, description: 'Shown to students' },
+  location: { type: 'string', nullable: true, maxLength: 255, description: 'Where the service is' },
+  estimated_service_time: positiveInteger('Minutes per ticket, used for wait estimates'),
+  max_queue_size: positiveInteger('Most tickets waiting at once'),
+  operating_hours_start: { ...time('Opening time when no weekly schedule is set'), nullable: true },
+  operating_hours_end: { ...time('Closing time when no weekly schedule is set'), nullable: true },
+  is_active: { type: 'boolean', description: 'Inactive services cannot be joined' },
+  queue_prefix: { type: 'string', nullable: true, maxLength: 10, description: 'Ticket number prefix' },
+  enable_priority_queue: { type: 'boolean', description: 'Serve priority lane tickets first' },
+  priority_interleave_ratio: positiveInteger('Regular tickets called for each priority ticket'),
+  max_queue_before_closing: positiveInteger('Tickets issued per day before the queue closes'),
+  appointment_checkin_window_minutes: positiveInteger('Minutes before an appointment check-in opens'),
+  require_onsite_checkin: { type: 'boolean', description: 'Students must scan the on-site QR code' },
+};
+
+const counterFields = {
+  service_id: optionalId('Service the counter belongs to'),
+  counter_number: { type: 'string', minLength: 1, maxLength: 10, trim: true, description: 'Counter number, unique per service' },
+  name: { type: 'string', nullable: true, maxLength: 100, description: 'Display name' },
+  status: { type: 'string', enum: COUNTER_STATUSES, description: 'Counter status' },
+  is_active: { type: 'boolean', description: 'Inactive counters are hidden from staff' },
+};
+
+const exceptionFields = {
+  start_date: date('First day of the exception'),
+  end_date: { ...date('Last day (defaults to start_date)'), nullable: true },
+  is_closed: { type: 'boolean', description: 'Closed all day, or open with these hours' },
+  open_time: { ...time('Opening time when not closed'), nullable: true },
+  close_time: { ...time('Closing time when not closed'), nullable: true },
+  reason: { type: 'string', nullable: true, maxLength: 255, description: 'Shown to students' },
+};
+
+const slotFields = {
+  day_of_week: { type: 'integer', min: 0, max: 6, description: '0 (Sunday) to 6 (Saturday)' },
+  start_time: time('Slot start'),
+  end_time: time('Slot end'),
+  capacity: positiveInteger('Appointments per slot'),
+  is_active: { type: 'boolean', description: 'Inactive slots cannot be booked' },
+};
+
+const roleFields = {
+  name: { type: 'string', minLength: 1, maxLength: 20, description: 'Lowercase letters, digits or underscores' },
+  description: { type: 'string', nullable: true, description: 'What the role is for' },
+  permissions: {
+    type: 'array',
+    description: 'Granted permissions',
+    items: {
+      type: 'object',
+      properties: {
+        permission: { type: 'string', required: true, enum: ALL_PERMISSIONS, description: 'Permission key' },
+        serviceIds: {
+          type: 'array',
+          nullable: true,
+          items: positiveInteger('Service ID'),
+          description: 'Limit a service permission to these services; empty or null for all',
+        },
+      },
+    },
+  },
+};
+
+const required = (spec) => ({ ...spec, required: true });
+
+const migrationSecret = { type: 'string', description: 'MIGRATION_SECRET, when not sent in the x-migration-secret header' };
+
+module.exports = {
+  getAnalytics: {
+    query: {
+      startDate: date('First day of the report (defaults to the last 30 days)'),
+      endDate: date('Last day of the report'),
+      serviceId: optionalId('Only this service'),
+    },
+  },
+
+  getAllUsers: {
+    query: {
+      role: { type: 'string', description: 'Only users with this role' },
+      inviteStatus: { type: 'string', enum: Object.values(INVITE_STATUS), description: 'Only users with this invitation state' },
+      page,
+      limit: limit(100, 20),
+    },
+  },
+
+  createUser: {
+    strict: true,
+    body: {
+      email: { type: 'email', required: true, maxLength: 255, description: 'Invitee email' },
+      firstName: requiredString('First name', 100),
+      lastName: requiredString('Last name', 100),
+      phoneNumber: { type: 'string', nullable: true, trim: true, maxLength: 20, description: 'Mobile number' },
+      role: requiredString('Staff role to grant', 20),
+    },
+  },
+
+  resendInvitation: userParams,
+
+  unlockUser: userParams,
+
+  resetUserTwoFactor: userParams,
+
+  getUserLoginHistory: {
+    ...userParams,
+    query: {
+      page,
+      limit: limit(100, 20),
+    },
+  },
+
+  updateUser: {
+    ...userParams,
+    strict: true,
+    body: {
+      is_active: { type: 'boolean', description: 'Deactivated users cannot sign in' },
+      role: { type: 'string', minLength: 1, maxLength: 20, description: 'New role' },
+    },
+  },
+
+  createService: {
+    strict: true,
+    body: {
+      ...serviceFields,
+      name: required(serviceFields.name),
+    },
+  },
+
+  updateService: {
+    ...serviceParams,
+    strict: true,
+    body: serviceFields,
+  },
+
+  deleteService: serviceParams,
+
+  getSchedule: {
+    ...serviceParams,
+    query: {
+      includePast: { type: 'boolean', default: false, description: 'Include exceptions that have ended' },
+    },
+  },
+
+  updateWeeklyHours: {
+    ...serviceParams,
+    strict: true,
+    body: {
+      weekly_hours: {
+        type: 'array',
+        required: true,
+        maxLength: 7,
+        description: 'One entry per open or closed day; an empty list falls back to operating hours',
+        items: {
+          type: 'object',
+          properties: {
+            day_of_week: required(slotFields.day_of_week),
+            is_closed: { type: 'boolean', description: 'Closed all day' },
+            open_time: { ...time('Opening time'), nullable: true },
+            close_time: { ...time('Closing time'), nullable: true },
+          },
+        },
+      },
+    },
+  },
+
+  createException: {
+    ...serviceParams,
+    strict: true,
+    body: {
+      ...exceptionFields,
+      start_date: required(exceptionFields.start_date),
+    },
+  },
+
+  updateException: {
+    ...exceptionParams,
+    strict: true,
+    body: exceptionFields,
+  },
+
+  deleteException: exceptionParams,
+
+  getServiceSlots: serviceParams,
+
+  createSlot: {
+    ...serviceParams,
+    strict: true,
+    body: {
+      ...slotFields,
+      day_of_week: required(slotFields.day_of_week),
+      start_time: required(slotFields.start_time),
+      end_time: required(slotFields.end_time),
+    },
+  },
+
+  updateSlot: {
+    ...slotParams,
+    strict: true,
+    body: slotFields,
+  },
+
+  deleteSlot: slotParams,
+
+  getDayAppointments: {
+    query: {
+      date: date('Day to list (defaults to today)'),
+      serviceId: optionalId('Only this service'),
+    },
+  },
+
+  createCounter: {
+    strict: true,
+    body: {
+      ...counterFields,
+      service_id: required(counterFields.service_id),
+      counter_number: required(counterFields.counter_number),
+    },
+  },
+
+  updateCounter: {
+    ...counterParams,
+    strict: true,
+    body: counterFields,
+  },
+
+  deleteCounter: counterParams,
+
+  assignCounterToStaff: {
+    ...counterParams,
+    strict: true,
+    body: {
+      user_ids: {
+        type: 'array',
+        required: true,
+        minLength: 1,
+        items: positiveInteger('Staff user ID'),
+        description: 'Staff to assign; replaces the current assignment',
+      },
+      is_primary: { type: 'boolean', description: 'Make this the staff members\' primary counter' },
+    },
+  },
+
+  getCounterStaff: counterParams,
+
+  getAllQueues: {
+    query: {
+      status: { type: 'string', enum: QUEUE_STATUSES, description: 'Only tickets with this status' },
+      service_id: optionalId('Only this service'),
+      start_date: date('Requested on or after'),
+      end_date: date('Requested on or before'),
+      search: { type: 'string', trim: true, maxLength: 100, description: 'Matches ticket number, student name, email, student ID, phone or service' },
+      page,
+      limit: limit(200, 50),
+    },
+  },
+
+  updateQueueStatus: {
+    params: {
+      id: id('Queue entry ID'),
+    },
+    strict: true,
+    body: {
+      status: { type: 'string', required: true, enum: QUEUE_STATUSES, description: 'New ticket status' },
+    },
+  },
+
+  reprintQueueTicket: {
+    params: {
+      id: id('Queue entry ID'),
+    },
+  },
+
+  getDisplayBoard: {
+    query: {
+      serviceId: optionalId('Only this service'),
+    },
+  },
+
+  getCheckInToken: {
+    query: {
+      serviceId: optionalId('Service the check-in QR code is for'),
+    },
+  },
+
+  getDisplayBoardSocketToken: {
+    query: {
+      serviceId: optionalId('Only this service'),
+    },
+  },
+
+  updateSystemSettings: {
+    strict: true,
+    body: {
+      queue_number_prefix: { type: 'string', maxLength: 10, description: 'Prefix for services without their own' },
+      notification_before_minutes: { type: 'integer', min: 0, max: MAX_INTEGER, description: 'Alert students this many minutes before their turn (0 turns it off); services can override it' },
+      notification_at_position: { type: 'integer', min: 0, max: MAX_INTEGER, description: 'Also alert students who reach this place in line (0 turns it off)' },
+      auto_refresh_interval: positiveInteger('Seconds between app refreshes'),
+      display_board_refresh_interval: positiveInteger('Seconds between display board refreshes'),
+      max_queue_per_user: positiveInteger('Active tickets a student may hold'),
+      skip_grace_period_minutes: positiveInteger('Minutes a skipped student may rejoin'),
+      max_recall_count: { type: 'integer', min: 0, max: MAX_INTEGER, description: 'Most times a ticket can be recalled' },
+      enable_sms_notifications: { type: 'boolean', description: 'Send SMS notifications' },
+      enable_email_notifications: { type: 'boolean', description: 'Send email notifications' },
+      system_maintenance_mode: { type: 'boolean', description: 'Stop new tickets and show the maintenance message' },
+      maintenance_message: { type: 'string', maxLength: 500, description: 'Shown during maintenance' },
+      require_two_factor_roles: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Roles that must use two-factor authentication',
+      },
+    },
+  },
+
+  getAuditLog: {
+    query: {
+      actorId: optionalId('Only actions by this user'),
+      action: { type: 'string', description: 'Only this action, e.g. service.update' },
+      entityType: { type: 'string', enum: AUDIT_ENTITY_TYPES, description: 'Only actions on this kind of record' },
+      entityId: { type: 'string', description: 'Only actions on this record' },
+      from: date('On or after'),
+      to: date('On or before'),
+      page,
+      limit: limit(200, 50),
+    },
+  },
+
+  getNotificationDeliveries: {
+    query: {
+      status: { type: 'string', enum: ['pending', 'sent', 'failed'], description: 'Only deliveries in this state' },
+      channel: { type: 'string', enum: NOTIFICATION_CHANNELS, description: 'Only this channel' },
+      event: { type: 'string', enum: CHANNEL_EVENTS, description: 'Only this queue event' },
+      userId: optionalId('Only messages to this user'),
+      page,
+      limit: limit(200, 50),
+    },
+  },
+
+  createRole: {
+    strict: true,
+    body: {
+      ...roleFields,
+      name: required(roleFields.name),
+    },
+  },
+
+  updateRole: {
+    ...roleParams,
+    strict: true,
+    body: roleFields,
+  },
+
+  deleteRole: roleParams,
+
+  runMigrations: {
+    strict: true,
+    body: {
+      secret: migrationSecret,
+      direction: { type: 'string', enum: MIGRATION_DIRECTIONS, default: 'up', description: 'Apply or revert' },
+      steps: positiveInteger('Only apply/revert this many migrations (down defaults to 1)'),
+      to: { type: 'integer', min: 0, max: MAX_INTEGER, description: 'Apply up to this version, or revert down to it' },
+      dryRun: { type: 'boolean', default: false, description: 'Only report the plan' },
+      allowChanged: { type: 'boolean', default: false, description: 'Run even though applied files were edited' },
+    },
+  },
+
+  seedDemoData: {
+    strict: true,
+    body: {
+      secret: migrationSecret,
+    },
+  },
+};
@@ -0,0 +1,41 @@
+const { id, date } = require('./common');
+
+/**
+ * Appointment route schemas (the admin slot routes are in admin.schemas.js)
+ */
+
+const appointmentParams = {
+  params: {
+    id: id('Appointment ID'),
+  },
+};
+
+module.exports = {
+  getAvailableSlots: {
+    params: {
+      serviceId: id('Service ID'),
+    },
+    query: {
+      date: date('Day to list slots for (defaults to today)'),
+    },
+  },
+
+  bookAppointment: {
+    body: {
+      serviceId: id('Service to book'),
+      slotId: id('Appointment slot'),
+      date: { ...date('Day of the appointment'), required: true },
+      notes: { type: 'string', nullable: true, maxLength: 1000, description: 'Note for the staff' },
+    },
+  },
+
+  getMyAppointments: {
+    query: {
+      includePast: { type: 'boolean', default: false, description: 'Include past and cancelled appointments' },
+    },
+  },
+
+  cancelAppointment: appointmentParams,
+
+  checkInAppointment: appointmentParams,
+};
@@ -0,0 +1,151 @@
+const { MIN_PASSWORD_LENGTH } = require('../utils/accountTokens');
+const { PREFERENCE_CHANNELS, PREFERENCE_EVENTS } = require('../utils/notificationPreferences');
+const { page, limit, requiredString } = require('./common');
+
+/**
+ * Auth route schemas
+ */
+
+const email = { type: 'email', required: true, maxLength: 255, description: 'Account email' };
+
+const newPassword = (description) => ({
+  type: 'string',
+  required: true,
+  minLength: MIN_PASSWORD_LENGTH,
+  description,
+});
+
+const password = requiredString('Account password');
+
+const code = {
+  type: 'string',
+  required: true,
+  minLength: 1,
+  maxLength: 20,
+  trim: true,
+  description: 'Authenticator, backup or emailed code',
+};
+
+const refreshToken = requiredString('Refresh token issued at login');
+
+const channelSwitches = (keys, description) => ({
+  type: 'object',
+  description,
+  properties: Object.fromEntries(keys.map((key) => [key, { type: 'boolean', description: `${key} on or off` }])),
+});
+
+const channelKeys = PREFERENCE_CHANNELS.map((channel) => channel.key);
+
+const invitationToken = {
+  params: {
+    token: requiredString('Invitation token from the email link'),
+  },
+};
+
+module.exports = {
+  register: {
+    body: {
+      email,
+      password: newPassword('Account password'),
+      firstName: requiredString('First name', 100),
+      lastName: requiredString('Last name', 100),
+      studentId: { type: 'string', trim: true, maxLength: 50, description: 'Student ID number' },
+      phoneNumber: { type: 'string', trim: true, maxLength: 20, description: 'Mobile number' },
+      role: { type: 'string', enum: ['student'], description: 'Public sign-up only creates students' },
+    },
+  },
+
+  login: {
+    body: { email, password },
+  },
+
+  verifyTwoFactorLogin: {
+    body: {
+      challengeToken: requiredString('Challenge token from the login response'),
+      code,
+    },
+  },
+
+  refresh: {
+    body: { refreshToken },
+  },
+
+  logout: {
+    body: { refreshToken },
+  },
+
+  forgotPassword: {
+    body: { email },
+  },
+
+  resetPassword: {
+    body: {
+      email,
+      code,
+      newPassword: newPassword('New password'),
+    },
+  },
+
+  changePassword: {
+    body: {
+      currentPassword: requiredString('Current password'),
+      newPassword: newPassword('New password'),
+    },
+  },
+
+  verifyEmail: {
+    body: { code },
+  },
+
+  getInvitation: invitationToken,
+
+  acceptInvitation: {
+    ...invitationToken,
+    body: {
+      password: newPassword('Password for the new account'),
+    },
+  },
+
+  getLoginHistory: {
+    query: {
+      page,
+      limit: limit(100, 20),
+    },
+  },
+
+  updatePreferences: {
+    strict: true,
+    body: {
+      channels: channelSwitches(channelKeys, 'Switch a channel off for every event'),
+      events: {
+        type: 'object',
+        description: 'Per event, the channels it is sent on',
+        properties: Object.fromEntries(PREFERENCE_EVENTS.map((event) => [
+          event.key,
+          channelSwitches(event.channels, event.label),
+        ])),
+      },
+    },
+  },
+
+  setupTwoFactor: {
+    body: {
+      challengeToken: { type: 'string', description: 'Setup challenge token when enrolling during login' },
+    },
+  },
+
+  enableTwoFactor: {
+    body: {
+      challengeToken: { type: 'string', description: 'Setup challenge token when enrolling during login' },
+      code,
+    },
+  },
+
+  disableTwoFactor: {
+    body: { password, code },
+  },
+
+  regenerateBackupCodes: {
+    body: { code },
+  },
+};
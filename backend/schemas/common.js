@@ -0,0 +1,59 @@
+const { PRIORITY_CATEGORIES } = require('../utils/priority');
+
+/**
+ * Field specs shared by the route schemas (see utils/validation)
+ */
+
+// Largest value a Postgres INTEGER column holds; bigger ids would fail in the query
+const MAX_INTEGER = 2147483647;
+
+const id = (description) => ({ type: 'integer', required: true, min: 1, max: MAX_INTEGER, description });
+
+const optionalId = (description) => ({ type: 'integer', min: 1, max: MAX_INTEGER, description });
+
+const page = { type: 'integer', min: 1, max: MAX_INTEGER, default: 1, description: 'Page number' };
+
+const limit = (max, fallback) => ({
+  type: 'integer',
+  min: 1,
+  max,
+  default: fallback,
+  description: 'Results per page',
+});
+
+const date = (description) => ({ type: 'date', description });
+
+const time = (description) => ({ type: 'time', description });
+
+const requiredString = (description, maxLength) => ({
+  type: 'string',
+  required: true,
+  minLength: 1,
+  ...(maxLength && { maxLength }),
+  description,
+});
+
+const priorityCategory = {
+  type: 'string',
+  enum: PRIORITY_CATEGORIES,
+  nullable: true,
+  description: 'Priority lane, or null for the regular line',
+};
+
+const QUEUE_STATUSES = ['waiting', 'called', 'serving', 'completed', 'skipped', 'cancelled'];
+
+const COUNTER_STATUSES = ['open', 'busy', 'closed', 'break'];
+
+module.exports = {
+  MAX_INTEGER,
+  id,
+  optionalId,
+  page,
+  limit,
+  date,
+  time,
+  requiredString,
+  priorityCategory,
+  QUEUE_STATUSES,
+  COUNTER_STATUSES,
+};
@@ -0,0 +1,59 @@
+const { id, optionalId, date, COUNTER_STATUSES } = require('./common');
+
+/**
+ * Counter route schemas
+ */
+
+const counterParams = {
+  params: {
+    counterId: id('Counter ID'),
+  },
+};
+
+const counterQueueParams = {
+  params: {
+    counterId: id('Counter ID'),
+    queueId: id('Queue entry ID'),
+  },
+};
+
+module.exports = {
+  getCounterById: {
+    params: {
+      id: id('Counter ID'),
+    },
+  },
+
+  callNext: counterParams,
+
+  startServing: counterQueueParams,
+
+  completeService: counterQueueParams,
+
+  skipQueue: counterQueueParams,
+
+  recallQueue: counterQueueParams,
+
+  transferQueue: {
+    ...counterQueueParams,
+    body: {
+      serviceId: optionalId('Service to move the ticket to'),
+      targetCounterId: optionalId('Counter to hand the ticket to'),
+      reason: { type: 'string', nullable: true, maxLength: 500, description: 'Why the ticket was transferred' },
+    },
+  },
+
+  updateCounterStatus: {
+    ...counterParams,
+    body: {
+      status: { type: 'string', required: true, enum: COUNTER_STATUSES, description: 'New counter status' },
+    },
+  },
+
+  getCounterStats: {
+    ...counterParams,
+    query: {
+      date: date('Day to report on (defaults to today)'),
+    },
+  },
+};
@@ -0,0 +1,33 @@
+const { id, requiredString, priorityCategory } = require('./common');
+
+/**
+ * Kiosk route schemas
+ */
+
+const ticketParams = {
+  params: {
+    queueId: id('Queue entry ID'),
+  },
+};
+
+module.exports = {
+  issueTicket: {
+    body: {
+      serviceId: id('Service to join'),
+      priorityCategory,
+      studentId: { type: 'string', trim: true, maxLength: 50, description: 'Links the ticket to a student account when the phone number or email matches it too' },
+      phoneNumber: { type: 'string', trim: true, maxLength: 20, description: 'Number for SMS updates' },
+      email: { type: 'email', maxLength: 255, description: 'Email on the student account, to confirm the student ID' },
+      print: { type: 'boolean', default: false, description: 'Print the ticket on the kiosk printer' },
+    },
+  },
+
+  printTicket: ticketParams,
+
+  getTicketStatus: {
+    ...ticketParams,
+    query: {
+      code: requiredString('Lookup code from the ticket QR'),
+    },
+  },
+};
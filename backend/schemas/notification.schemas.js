@@ -0,0 +1,43 @@
+const { PUSH_TOKEN_PATTERN } = require('../utils/pushNotifications');
+const { id, page, limit } = require('./common');
+
+/**
+ * Notification route schemas
+ */
+
+const pushToken = {
+  type: 'string',
+  required: true,
+  trim: true,
+  maxLength: 255,
+  pattern: PUSH_TOKEN_PATTERN,
+  description: 'Expo push token, e.g. ExponentPushToken[...]',
+};
+
+module.exports = {
+  getNotifications: {
+    query: {
+      page,
+      limit: limit(100, 20),
+      unreadOnly: { type: 'boolean', default: false, description: 'Only list unread notifications' },
+    },
+  },
+
+  markAsRead: {
+    params: { id: id('Notification ID') },
+  },
+
+  registerDevice: {
+    body: {
+      token: pushToken,
+      platform: { type: 'string', enum: ['ios', 'android'], nullable: true, description: 'Device platform' },
+      deviceName: { type: 'string', maxLength: 100, nullable: true, description: 'Shown to the user, e.g. "Pixel 7"' },
+    },
+  },
+
+  unregisterDevice: {
+    body: {
+      token: pushToken,
+    },
+  },
+};
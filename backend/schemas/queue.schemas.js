@@ -0,0 +1,53 @@
+const { id, page, limit, requiredString, priorityCategory } = require('./common');
+
+/**
+ * Queue route schemas
+ */
+
+const queueParams = {
+  params: {
+    queueId: id('Queue entry ID'),
+  },
+};
+
+module.exports = {
+  requestQueue: {
+    body: {
+      serviceId: id('Service to join'),
+      priorityCategory,
+    },
+  },
+
+  getServiceQueueStatus: {
+    params: {
+      serviceId: id('Service ID'),
+    },
+  },
+
+  getQueueHistory: {
+    query: {
+      page,
+      limit: limit(100, 20),
+    },
+  },
+
+  cancelQueue: queueParams,
+
+  rejoinQueue: queueParams,
+
+  checkInQueue: {
+    ...queueParams,
+    body: {
+      token: requiredString('Check-in token from the QR code at the service'),
+    },
+  },
+
+  updateQueuePriority: {
+    ...queueParams,
+    body: {
+      priorityCategory: { ...priorityCategory, required: true },
+    },
+  },
+
+  getQueueStatus: queueParams,
+};
@@ -0,0 +1,17 @@
+const { id } = require('./common');
+
+/**
+ * Service route schemas
+ */
+
+const serviceParams = {
+  params: {
+    id: id('Service ID'),
+  },
+};
+
+module.exports = {
+  getServiceById: serviceParams,
+
+  getServiceQueueStatus: serviceParams,
+};
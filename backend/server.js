@@ -4,6 +4,9 @@ const dotenv = require('dotenv');
 const http = require('http');
 const { testConnection } = require('./config/database');
 const socketServer = require('./socket/socketServer');
+const { VALIDATION_ERROR } = require('./utils/validation');
+const { schedulePushReceiptChecks } = require('./utils/pushNotifications');
+const { scheduleDeliveryRetries } = require('./utils/notificationChannels');
 
 // Load environment variables
 dotenv.config();
@@ -28,6 +31,17 @@ app.use(cors({
   credentials: true,
 }));
 
+// Behind a reverse proxy, trust it for req.ip (used by login throttling).
+// TRUST_PROXY is a hop count, "true", or a list of proxy addresses.
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  if (/^\d+$/.test(trustProxy)) {
+    app.set('trust proxy', parseInt(trustProxy));
+  } else {
+    app.set('trust proxy', trustProxy === 'true' ? true : trustProxy);
+  }
+}
+
 // Middleware
 app.use(express.json()); // Parse JSON bodies
 app.use(express.urlencoded({ extended: true })); // Parse URL-encoded bodies
@@ -58,7 +72,23 @@ app.get('/api', (req, res) => {
       health: '/api/health',
       auth: {
         login: 'POST /api/auth/login',
+        loginTwoFactor: 'POST /api/auth/login/two-factor',
         register: 'POST /api/auth/register',
+        refresh: 'POST /api/auth/refresh',
+        logout: 'POST /api/auth/logout',
+        logoutAll: 'POST /api/auth/logout-all',
+        forgotPassword: 'POST /api/auth/forgot-password',
+        resetPassword: 'POST /api/auth/reset-password',
+        changePassword: 'POST /api/auth/change-password',
+        verifyEmail: 'POST /api/auth/verify-email',
+        invitation: 'GET /api/auth/invitations/:token',
+        acceptInvitation: 'POST /api/auth/invitations/:token/accept',
+        loginHistory: 'GET /api/auth/me/login-history',
+        preferences: 'GET /api/auth/me/preferences',
+        updatePreferences: 'PUT /api/auth/me/preferences',
+        twoFactor: 'GET /api/auth/me/two-factor',
+        twoFactorSetup: 'POST /api/auth/two-factor/setup',
+        twoFactorEnable: 'POST /api/auth/two-factor/enable',
       },
       services: 'GET /api/services',
       queue: {
@@ -66,12 +96,36 @@ app.get('/api', (req, res) => {
         status: 'GET /api/queue/status/:serviceId',
         myQueue: 'GET /api/queue/my-queue',
       },
+      appointments: {
+        slots: 'GET /api/appointments/services/:serviceId/slots',
+        book: 'POST /api/appointments',
+        myAppointments: 'GET /api/appointments/my',
+        checkIn: 'POST /api/appointments/:id/check-in',
+      },
+      kiosk: {
+        issueTicket: 'POST /api/kiosk/tickets',
+        printTicket: 'POST /api/kiosk/tickets/:queueId/print',
+        ticketStatus: 'GET /api/kiosk/tickets/:queueId/status',
+      },
+      notifications: {
+        list: 'GET /api/notifications',
+        unreadCount: 'GET /api/notifications/unread-count',
+        markRead: 'POST /api/notifications/:id/read',
+        markAllRead: 'POST /api/notifications/read-all',
+        registerDevice: 'POST /api/notifications/devices',
+        unregisterDevice: 'POST /api/notifications/devices/unregister',
+      },
       admin: {
         dashboard: 'GET /api/admin/dashboard',
+        users: 'GET /api/admin/users',
+        inviteUser: 'POST /api/admin/users',
         services: 'GET /api/admin/services',
         queues: 'GET /api/admin/queues',
         displayBoard: 'GET /api/admin/display-board',
         settings: 'GET /api/admin/settings',
+        roles: 'GET /api/admin/roles',
+        audit: 'GET /api/admin/audit',
+        notificationDeliveries: 'GET /api/admin/notification-deliveries',
       },
     },
   });
@@ -102,15 +156,33 @@ const serviceRoutes = require('./routes/service.routes');
 const queueRoutes = require('./routes/queue.routes');
 const counterRoutes = require('./routes/counter.routes');
 const adminRoutes = require('./routes/admin.routes');
+const appointmentRoutes = require('./routes/appointment.routes');
+const kioskRoutes = require('./routes/kiosk.routes');
+const notificationRoutes = require('./routes/notification.routes');
 
 app.use('/api/auth', authRoutes);
 app.use('/api/services', serviceRoutes);
 app.use('/api/queue', queueRoutes);
 app.use('/api/counters', counterRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/appointments', appointmentRoutes);
+app.use('/api/kiosk', kioskRoutes);
+app.use('/api/notifications', notificationRoutes);
 
 // Error handling middleware (must be last)
 app.use((err, req, res, next) => {
+  // Malformed JSON gets the same response shape as a schema failure
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Request body is not valid JSON',
+        code: VALIDATION_ERROR,
+        details: [],
+      },
+    });
+  }
+
   console.error('Error:', err);
   res.status(err.status || 500).json({
     success: false,
@@ -139,6 +211,11 @@ if (process.env.NODE_ENV !== 'test' && require.main === module) {
     
     // Test database connection on startup
     await testConnection();
+
+    // Clean up tokens of uninstalled apps reported in push receipts
+    schedulePushReceiptChecks();
+    // Resend email and SMS notifications that failed
+    scheduleDeliveryRetries();
   });
 }
 
@@ -1,12 +1,42 @@
 const socketServer = require('./socketServer');
 const Service = require('../models/Service');
 const Queue = require('../models/Queue');
+const { recordNotification } = require('../utils/notifications');
+const { queuePushNotification } = require('../utils/pushNotifications');
+const { sendChannelNotifications } = require('../utils/notificationChannels');
+const {
+  getApproachingThresholds,
+  getEstimatedWaitMinutes,
+  isApproaching,
+} = require('../utils/approaching');
 
 /**
  * Queue Events Helper
  * Handles emitting WebSocket events for queue-related actions
  */
 class QueueEvents {
+  /**
+   * Send an event to the student who owns the queue entry.
+   * It is stored in their notification inbox first; the socket payload
+   * carries the inbox id so the app can mark it read. Calls, approaching
+   * alerts and completions are also pushed to their phones, which reaches
+   * them when the app is closed, and calls and approaching alerts go out by
+   * email and SMS where enabled (sent in the background).
+   */
+  static async notifyUser(queueEntry, payload) {
+    if (!queueEntry.user_id) {
+      return;
+    }
+
+    const notification = await recordNotification(queueEntry, payload);
+    const notificationId = notification ? notification.id : null;
+
+    socketServer.emitQueueCalled(queueEntry.user_id, { ...payload, notificationId });
+    queuePushNotification(queueEntry.user_id, payload, notificationId);
+    sendChannelNotifications(queueEntry, payload, notificationId)
+      .catch((error) => console.error('Send channel notifications error:', error));
+  }
+
   /**
    * Emit queue created event
    */
@@ -28,12 +58,13 @@ class QueueEvents {
       });
 
       // Also notify the user who created the queue
-      socketServer.emitQueueCalled(queueEntry.user_id, {
+      await QueueEvents.notifyUser(queueEntry, {
         type: 'queue_created',
         queueNumber: queueEntry.queue_number,
         queuePosition: queueEntry.queue_position,
         serviceId: serviceId,
         estimatedWaitTime: queueEntry.estimated_wait_time,
+        message: `You joined the queue as ${queueEntry.queue_number}, number ${queueEntry.queue_position} in line`,
       });
     } catch (error) {
       console.error('Error emitting queue created event:', error);
@@ -57,6 +88,7 @@ class QueueEvents {
         type: 'queue_called',
         queueNumber: queueEntry.queue_number,
         queuePosition: queueEntry.queue_position,
+        priorityCategory: queueEntry.priority_category || null,
         counterNumber: counter.counter_number,
         counterName: counter.name,
         waitingCount: parseInt(queueStatus.waiting_count) || 0,
@@ -75,18 +107,67 @@ class QueueEvents {
       });
 
       // Notify the specific user
-      socketServer.emitQueueCalled(queueEntry.user_id, {
+      await QueueEvents.notifyUser(queueEntry, {
         type: 'queue_called',
         queueNumber: queueEntry.queue_number,
         counterNumber: counter.counter_number,
         counterName: counter.name,
         message: `Queue ${queueEntry.queue_number} called to Counter ${counter.counter_number}`,
       });
+
+      await QueueEvents.emitQueueApproaching(serviceId);
     } catch (error) {
       console.error('Error emitting queue called event:', error);
     }
   }
 
+  /**
+   * Alert waiting students of a service whose turn is close (see
+   * utils/approaching). Runs after every call and completion; each ticket is
+   * alerted once, however often this runs.
+   */
+  static async emitQueueApproaching(serviceId) {
+    try {
+      const thresholds = await getApproachingThresholds(serviceId);
+      const candidates = await Queue.findApproachingCandidates(serviceId);
+
+      for (const entry of candidates) {
+        // Front of the line first, so the first ticket outside the limits ends it
+        if (!isApproaching(entry, thresholds)) {
+          break;
+        }
+
+        // Another call or completion may be alerting the same ticket
+        if (!(await Queue.markApproachingNotified(entry.id))) {
+          continue;
+        }
+
+        const peopleAhead = Math.max(entry.queue_position - 1, 0);
+        const estimatedWaitMinutes = getEstimatedWaitMinutes(entry);
+        const turn = peopleAhead === 0
+          ? `Queue ${entry.queue_number} is next at ${entry.service_name}.`
+          : `Queue ${entry.queue_number} is almost up at ${entry.service_name}: ${peopleAhead} ahead of you, about ${estimatedWaitMinutes} min.`;
+        const checkInReminder = entry.requires_checkin && !entry.checked_in_at
+          ? ' Scan the check-in code when you arrive.'
+          : '';
+
+        await QueueEvents.notifyUser(entry, {
+          type: 'queue_approaching',
+          queueId: entry.id,
+          queueNumber: entry.queue_number,
+          queuePosition: entry.queue_position,
+          peopleAhead,
+          estimatedWaitMinutes,
+          serviceId,
+          serviceName: entry.service_name,
+          message: `${turn} Please head over now.${checkInReminder}`,
+        });
+      }
+    } catch (error) {
+      console.error('Error emitting queue approaching event:', error);
+    }
+  }
+
   /**
    * Emit queue serving started event
    */
@@ -146,11 +227,13 @@ class QueueEvents {
       });
 
       // Notify the user
-      socketServer.emitQueueCalled(queueEntry.user_id, {
+      await QueueEvents.notifyUser(queueEntry, {
         type: 'queue_completed',
         queueNumber: queueEntry.queue_number,
         message: `Thank you! Your service for queue ${queueEntry.queue_number} has been completed.`,
       });
+
+      await QueueEvents.emitQueueApproaching(serviceId);
     } catch (error) {
       console.error('Error emitting queue completed event:', error);
     }
@@ -179,6 +262,267 @@ class QueueEvents {
     }
   }
 
+  /**
+   * Emit queue checked in event (student confirmed they are on site)
+   */
+  static async emitQueueCheckedIn(queueEntry) {
+    try {
+      const serviceId = queueEntry.service_id;
+
+      // Get updated service queue status
+      const queueStatus = await Service.getQueueStatus(serviceId);
+
+      socketServer.emitQueueUpdate(serviceId, {
+        type: 'queue_checked_in',
+        queueNumber: queueEntry.queue_number,
+        queuePosition: queueEntry.queue_position,
+        waitingCount: parseInt(queueStatus.waiting_count) || 0,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error('Error emitting queue checked in event:', error);
+    }
+  }
+
+  /**
+   * Emit queue skipped event (no-show at the counter)
+   */
+  static async emitQueueSkipped(queueEntry, counter, gracePeriodMinutes) {
+    try {
+      const serviceId = queueEntry.service_id;
+      const counterId = counter.id;
+
+      // Get updated service queue status
+      const queueStatus = await Service.getQueueStatus(serviceId);
+      const queueEntries = await Queue.getServiceQueueStatus(serviceId);
+
+      socketServer.emitQueueUpdate(serviceId, {
+        type: 'queue_skipped',
+        queueNumber: queueEntry.queue_number,
+        counterNumber: counter.counter_number,
+        waitingCount: parseInt(queueStatus.waiting_count) || 0,
+        currentServing: queueEntries.find(q => q.status === 'serving')?.queue_number || null,
+        timestamp: new Date().toISOString(),
+      });
+
+      // Emit counter update (counter is free again)
+      socketServer.emitCounterUpdate(counterId, {
+        type: 'queue_skipped',
+        counterId: counterId,
+        serviceId: serviceId,
+        queueNumber: queueEntry.queue_number,
+        queueId: queueEntry.id,
+        status: 'open',
+      });
+
+      // Notify the user
+      await QueueEvents.notifyUser(queueEntry, {
+        type: 'queue_skipped',
+        queueId: queueEntry.id,
+        queueNumber: queueEntry.queue_number,
+        rejoinWindowMinutes: gracePeriodMinutes,
+        message: `Queue ${queueEntry.queue_number} was skipped because you were not at the counter. You can rejoin the queue within ${gracePeriodMinutes} minutes.`,
+      });
+    } catch (error) {
+      console.error('Error emitting queue skipped event:', error);
+    }
+  }
+
+  /**
+   * Emit queue recalled event (called entry re-announced or skipped entry brought back)
+   */
+  static async emitQueueRecalled(queueEntry, counter) {
+    try {
+      const serviceId = queueEntry.service_id;
+      const counterId = counter.id;
+
+      // Get updated service queue status
+      const queueStatus = await Service.getQueueStatus(serviceId);
+
+      socketServer.emitQueueUpdate(serviceId, {
+        type: 'queue_recalled',
+        queueNumber: queueEntry.queue_number,
+        counterNumber: counter.counter_number,
+        counterName: counter.name,
+        recallCount: queueEntry.recall_count,
+        waitingCount: parseInt(queueStatus.waiting_count) || 0,
+        currentServing: queueEntry.queue_number,
+        timestamp: new Date().toISOString(),
+      });
+
+      socketServer.emitCounterUpdate(counterId, {
+        type: 'queue_recalled',
+        counterId: counterId,
+        serviceId: serviceId,
+        queueNumber: queueEntry.queue_number,
+        queueId: queueEntry.id,
+        status: 'busy',
+      });
+
+      // Notify the specific user
+      await QueueEvents.notifyUser(queueEntry, {
+        type: 'queue_recalled',
+        queueNumber: queueEntry.queue_number,
+        counterNumber: counter.counter_number,
+        counterName: counter.name,
+        message: `Queue ${queueEntry.queue_number} is being called again to Counter ${counter.counter_number}`,
+      });
+    } catch (error) {
+      console.error('Error emitting queue recalled event:', error);
+    }
+  }
+
+  /**
+   * Emit queue rejoined event (skipped entry back in the waiting line)
+   */
+  static async emitQueueRejoined(queueEntry) {
+    try {
+      const serviceId = queueEntry.service_id;
+
+      // Get updated service queue status
+      const queueStatus = await Service.getQueueStatus(serviceId);
+      const queueEntries = await Queue.getServiceQueueStatus(serviceId);
+
+      socketServer.emitQueueUpdate(serviceId, {
+        type: 'queue_rejoined',
+        queueNumber: queueEntry.queue_number,
+        queuePosition: queueEntry.queue_position,
+        waitingCount: parseInt(queueStatus.waiting_count) || 0,
+        currentServing: queueEntries.find(q => q.status === 'serving')?.queue_number || null,
+        timestamp: new Date().toISOString(),
+      });
+
+      await QueueEvents.notifyUser(queueEntry, {
+        type: 'queue_rejoined',
+        queueNumber: queueEntry.queue_number,
+        queuePosition: queueEntry.queue_position,
+        message: `Queue ${queueEntry.queue_number} is back in line`,
+      });
+    } catch (error) {
+      console.error('Error emitting queue rejoined event:', error);
+    }
+  }
+
+  /**
+   * Emit queue transferred event (moved to another service or counter)
+   */
+  static async emitQueueTransferred(queueEntry, previousEntry, sourceCounter, targetService, targetCounter = null) {
+    try {
+      const sourceServiceId = previousEntry.service_id;
+      const targetServiceId = queueEntry.service_id;
+
+      // Notify the source service room
+      const sourceStatus = await Service.getQueueStatus(sourceServiceId);
+      const sourceEntries = await Queue.getServiceQueueStatus(sourceServiceId);
+
+      socketServer.emitQueueUpdate(sourceServiceId, {
+        type: 'queue_transferred_out',
+        queueNumber: previousEntry.queue_number,
+        newQueueNumber: queueEntry.queue_number,
+        targetServiceId: targetServiceId,
+        targetServiceName: targetService.name,
+        waitingCount: parseInt(sourceStatus.waiting_count) || 0,
+        currentServing: sourceEntries.find(q => q.status === 'serving')?.queue_number || null,
+        timestamp: new Date().toISOString(),
+      });
+
+      // Notify the target service room
+      if (targetServiceId !== sourceServiceId) {
+        const targetStatus = await Service.getQueueStatus(targetServiceId);
+        const targetEntries = await Queue.getServiceQueueStatus(targetServiceId);
+
+        socketServer.emitQueueUpdate(targetServiceId, {
+          type: 'queue_transferred_in',
+          queueNumber: queueEntry.queue_number,
+          queuePosition: queueEntry.queue_position,
+          previousQueueNumber: previousEntry.queue_number,
+          sourceServiceId: sourceServiceId,
+          counterNumber: targetCounter ? targetCounter.counter_number : null,
+          waitingCount: parseInt(targetStatus.waiting_count) || 0,
+          currentServing: targetEntries.find(q => q.status === 'serving')?.queue_number || null,
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      // Source counter is free again if it was holding this queue
+      if (sourceCounter && previousEntry.counter_id === sourceCounter.id) {
+        socketServer.emitCounterUpdate(sourceCounter.id, {
+          type: 'queue_transferred',
+          counterId: sourceCounter.id,
+          serviceId: sourceServiceId,
+          queueNumber: previousEntry.queue_number,
+          queueId: queueEntry.id,
+          status: 'open',
+        });
+      }
+
+      if (targetCounter) {
+        socketServer.emitCounterUpdate(targetCounter.id, {
+          type: 'queue_transferred_in',
+          counterId: targetCounter.id,
+          serviceId: targetServiceId,
+          queueNumber: queueEntry.queue_number,
+          queueId: queueEntry.id,
+        });
+      }
+
+      // Notify the user
+      const destination = targetCounter
+        ? `Counter ${targetCounter.counter_number} (${targetService.name})`
+        : targetService.name;
+
+      await QueueEvents.notifyUser(queueEntry, {
+        type: 'queue_transferred',
+        queueId: queueEntry.id,
+        queueNumber: queueEntry.queue_number,
+        previousQueueNumber: previousEntry.queue_number,
+        queuePosition: queueEntry.queue_position,
+        serviceId: targetServiceId,
+        serviceName: targetService.name,
+        message: `Queue ${previousEntry.queue_number} was transferred to ${destination}. Your new number is ${queueEntry.queue_number}.`,
+      });
+    } catch (error) {
+      console.error('Error emitting queue transferred event:', error);
+    }
+  }
+
+  /**
+   * Emit queue priority changed event (staff set or cleared the priority lane)
+   */
+  static async emitQueuePriorityChanged(queueEntry, previousQueueNumber) {
+    try {
+      const serviceId = queueEntry.service_id;
+
+      // Get updated service queue status
+      const queueStatus = await Service.getQueueStatus(serviceId);
+
+      socketServer.emitQueueUpdate(serviceId, {
+        type: 'queue_priority_changed',
+        queueNumber: queueEntry.queue_number,
+        previousQueueNumber: previousQueueNumber,
+        priorityCategory: queueEntry.priority_category || null,
+        waitingCount: parseInt(queueStatus.waiting_count) || 0,
+        priorityWaitingCount: parseInt(queueStatus.priority_waiting_count) || 0,
+        timestamp: new Date().toISOString(),
+      });
+
+      const lane = queueEntry.priority_category ? 'priority' : 'regular';
+      const numberChanged = previousQueueNumber !== queueEntry.queue_number;
+      await QueueEvents.notifyUser(queueEntry, {
+        type: 'queue_priority_changed',
+        queueId: queueEntry.id,
+        queueNumber: queueEntry.queue_number,
+        previousQueueNumber: previousQueueNumber,
+        priorityCategory: queueEntry.priority_category || null,
+        message: numberChanged
+          ? `Queue ${previousQueueNumber} moved to the ${lane} lane. Your new number is ${queueEntry.queue_number}.`
+          : `Queue ${queueEntry.queue_number} is now in the ${lane} lane`,
+      });
+    } catch (error) {
+      console.error('Error emitting queue priority changed event:', error);
+    }
+  }
+
   /**
    * Emit queue updated event (for admin status changes)
    */
@@ -200,7 +544,7 @@ class QueueEvents {
       });
 
       // Notify the user if status changed
-      socketServer.emitQueueCalled(queueEntry.user_id, {
+      await QueueEvents.notifyUser(queueEntry, {
         type: 'queue_status_changed',
         queueNumber: queueEntry.queue_number,
         status: queueEntry.status,
@@ -0,0 +1,128 @@
+const Counter = require('../models/Counter');
+const Role = require('../models/Role');
+const { PERMISSIONS, isServiceInScope } = require('../utils/permissions');
+const { verifyDisplayBoardToken } = require('../utils/displayBoardToken');
+const { AUTH_TOKEN_CODES, verifyAccessToken } = require('../utils/authTokens');
+
+/**
+ * Socket Authentication
+ * Identifies WebSocket clients during the handshake and decides which rooms
+ * they may join.
+ */
+
+const SOCKET_AUTH_CODES = {
+  AUTH_REQUIRED: 'AUTH_REQUIRED',
+  AUTH_INVALID: 'AUTH_INVALID',
+  ROOM_FORBIDDEN: 'ROOM_FORBIDDEN',
+};
+
+const authError = (message, code) => {
+  const error = new Error(message);
+  error.data = { code };
+  return error;
+};
+
+/**
+ * Read the credential from the handshake: `auth.token` (preferred) or an
+ * `Authorization: Bearer` header for clients that cannot set `auth`.
+ */
+const getHandshakeToken = (handshake = {}) => {
+  if (handshake.auth?.token) {
+    return handshake.auth.token;
+  }
+
+  const authHeader = handshake.headers?.authorization;
+  return authHeader ? authHeader.split(' ')[1] : null;
+};
+
+/**
+ * Identify the connecting client.
+ * Login tokens get the same revocation check as the HTTP API.
+ * @returns {Promise<{ type: 'user', userId: number, role: string }|{ type: 'display_board', serviceId: number|null }>}
+ * @throws {Error} with `data.code` set to AUTH_REQUIRED or AUTH_INVALID
+ */
+const authenticateHandshake = async (handshake) => {
+  const token = getHandshakeToken(handshake);
+  if (!token) {
+    throw authError('Authentication required', SOCKET_AUTH_CODES.AUTH_REQUIRED);
+  }
+
+  try {
+    const { userId, role } = await verifyAccessToken(token);
+    return { type: 'user', userId, role };
+  } catch (error) {
+    if (error.code === AUTH_TOKEN_CODES.SESSION_REVOKED) {
+      throw authError(error.message, SOCKET_AUTH_CODES.AUTH_INVALID);
+    }
+    if (!error.code) {
+      throw error;
+    }
+    // Not a login token; it may be a display board token
+  }
+
+  const displayBoard = verifyDisplayBoardToken(token);
+  if (displayBoard) {
+    return { type: 'display_board', serviceId: displayBoard.serviceId };
+  }
+
+  throw authError('Invalid or expired token', SOCKET_AUTH_CODES.AUTH_INVALID);
+};
+
+/**
+ * Decide whether a client may join a room.
+ * - service rooms: anyone (display boards only their own service when scoped)
+ * - user rooms: only your own
+ * - counter rooms: admins, or counter staff assigned to the counter
+ * @returns {Promise<{ allowed: boolean, message: string|null }>}
+ */
+const canJoinRoom = async (principal, roomType, roomId) => {
+  const denied = (message) => ({ allowed: false, message });
+
+  if (!principal || !roomId) {
+    return denied('Room not found');
+  }
+
+  if (roomType === 'service') {
+    if (principal.type === 'display_board' && principal.serviceId !== null
+      && principal.serviceId !== parseInt(roomId)) {
+      return denied('This display board is limited to another service');
+    }
+    return { allowed: true, message: null };
+  }
+
+  // Display boards are read-only: no personal or counter rooms
+  if (principal.type !== 'user') {
+    return denied('Display boards can only follow service rooms');
+  }
+
+  if (roomType === 'user') {
+    return String(roomId) === String(principal.userId)
+      ? { allowed: true, message: null }
+      : denied('You can only join your own user room');
+  }
+
+  if (roomType === 'counter') {
+    // Queue supervisors can follow any counter of the services they oversee
+    const override = await Role.getAccess(principal.role, PERMISSIONS.QUEUES_OVERRIDE);
+    if (override.allowed) {
+      const counter = override.serviceIds ? await Counter.findById(roomId) : null;
+      if (!override.serviceIds || (counter && isServiceInScope(override.serviceIds, counter.service_id))) {
+        return { allowed: true, message: null };
+      }
+    }
+    if (await Role.hasPermission(principal.role, PERMISSIONS.COUNTERS_OPERATE)
+      && await Counter.isStaffAssigned(roomId, principal.userId)) {
+      return { allowed: true, message: null };
+    }
+    return denied('You are not assigned to this counter');
+  }
+
+  return denied('Room not found');
+};
+
+module.exports = {
+  SOCKET_AUTH_CODES,
+  getHandshakeToken,
+  authenticateHandshake,
+  canJoinRoom,
+};
@@ -1,4 +1,5 @@
 const { Server } = require('socket.io');
+const { SOCKET_AUTH_CODES, authenticateHandshake, canJoinRoom } = require('./socketAuth');
 
 /**
  * Socket.IO Server Setup
@@ -30,15 +31,47 @@ class SocketServer {
 
   /**
    * Setup Socket.IO middleware for authentication
+   * Every connection must send a login token or a display board token
    */
   setupMiddleware() {
-    this.io.use((socket, next) => {
-      // For now, we'll allow all connections
-      // In production, you might want to verify JWT tokens here
-      next();
+    this.io.use(async (socket, next) => {
+      try {
+        socket.data.principal = await authenticateHandshake(socket.handshake);
+        next();
+      } catch (error) {
+        console.log(`🚫 Socket ${socket.id} rejected: ${error.message}`);
+        next(error);
+      }
     });
   }
 
+  /**
+   * Join a room after checking the client may see it.
+   * The result goes to the optional acknowledgement callback, and a
+   * `room_error` event is emitted when the join is refused.
+   */
+  async joinRoom(socket, roomType, roomId, ack) {
+    const respond = typeof ack === 'function' ? ack : () => {};
+    const room = `${roomType}:${roomId}`;
+
+    try {
+      const { allowed, message } = await canJoinRoom(socket.data.principal, roomType, roomId);
+      if (!allowed) {
+        console.log(`🚫 Socket ${socket.id} refused ${room}: ${message}`);
+        socket.emit('room_error', { room, message, code: SOCKET_AUTH_CODES.ROOM_FORBIDDEN });
+        respond({ success: false, error: { message, code: SOCKET_AUTH_CODES.ROOM_FORBIDDEN } });
+        return;
+      }
+
+      socket.join(room);
+      console.log(`👤 Socket ${socket.id} joined ${room}`);
+      respond({ success: true, room });
+    } catch (error) {
+      console.error(`Socket join ${room} error:`, error);
+      respond({ success: false, error: { message: 'Error joining room' } });
+    }
+  }
+
   /**
    * Setup connection handlers
    */
@@ -47,17 +80,14 @@ class SocketServer {
       console.log(`✅ Client connected: ${socket.id}`);
 
       // Handle joining service room
-      socket.on('join_service', (data) => {
-        const { serviceId } = data;
-        if (serviceId) {
-          socket.join(`service:${serviceId}`);
-          console.log(`👤 Socket ${socket.id} joined service:${serviceId}`);
-        }
+      socket.on('join_service', (data, ack) => {
+        const { serviceId } = data || {};
+        this.joinRoom(socket, 'service', serviceId, ack);
       });
 
       // Handle leaving service room
       socket.on('leave_service', (data) => {
-        const { serviceId } = data;
+        const { serviceId } = data || {};
         if (serviceId) {
           socket.leave(`service:${serviceId}`);
           console.log(`👤 Socket ${socket.id} left service:${serviceId}`);
@@ -65,21 +95,15 @@ class SocketServer {
       });
 
       // Handle joining counter room
-      socket.on('join_counter', (data) => {
-        const { counterId } = data;
-        if (counterId) {
-          socket.join(`counter:${counterId}`);
-          console.log(`👤 Socket ${socket.id} joined counter:${counterId}`);
-        }
+      socket.on('join_counter', (data, ack) => {
+        const { counterId } = data || {};
+        this.joinRoom(socket, 'counter', counterId, ack);
       });
 
       // Handle joining user room (for personal notifications)
-      socket.on('join_user', (data) => {
-        const { userId } = data;
-        if (userId) {
-          socket.join(`user:${userId}`);
-          console.log(`👤 Socket ${socket.id} joined user:${userId}`);
-        }
+      socket.on('join_user', (data, ack) => {
+        const { userId } = data || {};
+        this.joinRoom(socket, 'user', userId, ack);
       });
 
       // Handle disconnection
@@ -103,7 +127,8 @@ class SocketServer {
    * Emit queue called notification to specific user
    */
   emitQueueCalled(userId, data) {
-    if (this.io) {
+    // Anonymous kiosk walk-ins have no user room
+    if (this.io && userId) {
       this.io.to(`user:${userId}`).emit('queue_called', data);
       console.log(`📢 Queue called notification sent to user:${userId}`);
     }
@@ -0,0 +1,150 @@
+const appointmentController = require('../../controllers/appointmentController');
+const Appointment = require('../../models/Appointment');
+const Service = require('../../models/Service');
+const QueueEvents = require('../../socket/queueEvents');
+const { query } = require('../../config/database');
+
+jest.mock('../../models/Appointment');
+jest.mock('../../models/Service');
+jest.mock('../../models/Role', () => ({
+  hasPermission: jest.fn(async (role) => role === 'admin' || role === 'counter_staff'),
+}));
+jest.mock('../../models/ServiceSchedule', () => ({
+  findForServices: jest.fn().mockResolvedValue({}),
+}));
+jest.mock('../../config/database', () => ({
+  query: jest.fn(),
+}));
+jest.mock('../../socket/queueEvents', () => ({
+  emitQueueCreated: jest.fn().mockResolvedValue(undefined),
+}));
+
+const toDateKey = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0'),
+].join('-');
+
+const timeFromNow = (minutes) => {
+  const date = new Date(Date.now() + minutes * 60 * 1000);
+  return {
+    date: toDateKey(date),
+    time: `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}:00`,
+  };
+};
+
+const mockResponse = () => ({
+  json: jest.fn(),
+  status: jest.fn().mockReturnThis(),
+});
+
+describe('Appointment Controller', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    query.mockResolvedValue({ rows: [{ settings: { system_maintenance_mode: false } }] });
+    Service.getSettings.mockResolvedValue({ appointment_checkin_window_minutes: 15 });
+  });
+
+  describe('checkInAppointment', () => {
+    it('should convert a booking inside the window into a queue entry', async () => {
+      const start = timeFromNow(5);
+      const appointment = {
+        id: 7,
+        user_id: 1,
+        service_id: 2,
+        service_name: 'Registrar',
+        status: 'booked',
+        appointment_date: start.date,
+        start_time: start.time,
+      };
+      const queue = {
+        id: 30,
+        queue_number: 'REG-004',
+        queue_position: 1,
+        service_id: 2,
+        status: 'waiting',
+        appointment_id: 7,
+      };
+
+      Appointment.findById.mockResolvedValueOnce(appointment);
+      Appointment.checkIn.mockResolvedValueOnce({
+        appointment: { ...appointment, status: 'checked_in', queue_entry_id: 30 },
+        queue,
+      });
+
+      const res = mockResponse();
+      await appointmentController.checkInAppointment(
+        { params: { id: '7' }, user: { userId: 1, role: 'student' } },
+        res
+      );
+
+      expect(Appointment.checkIn).toHaveBeenCalledWith(7);
+      expect(QueueEvents.emitQueueCreated).toHaveBeenCalledWith(queue);
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json.mock.calls[0][0].data.queue).toEqual(expect.objectContaining({
+        queueNumber: 'REG-004',
+        appointmentId: 7,
+      }));
+    });
+
+    it('should reject check-in before the window opens', async () => {
+      const start = timeFromNow(60);
+      Appointment.findById.mockResolvedValueOnce({
+        id: 7,
+        user_id: 1,
+        service_id: 2,
+        status: 'booked',
+        appointment_date: start.date,
+        start_time: start.time,
+      });
+
+      const res = mockResponse();
+      await appointmentController.checkInAppointment(
+        { params: { id: '7' }, user: { userId: 1, role: 'student' } },
+        res
+      );
+
+      expect(Appointment.checkIn).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json.mock.calls[0][0].error.code).toBe('CHECKIN_TOO_EARLY');
+    });
+
+    it("should not let students check in someone else's booking", async () => {
+      Appointment.findById.mockResolvedValueOnce({ id: 7, user_id: 99, status: 'booked' });
+
+      const res = mockResponse();
+      await appointmentController.checkInAppointment(
+        { params: { id: '7' }, user: { userId: 1, role: 'student' } },
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(Appointment.checkIn).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('bookAppointment', () => {
+    it('should return SLOT_FULL when the last place was taken', async () => {
+      const start = timeFromNow(24 * 60);
+      Service.findById.mockResolvedValueOnce({ id: 2, name: 'Registrar', is_active: true });
+      Appointment.findSlot.mockResolvedValueOnce({
+        id: 5,
+        service_id: 2,
+        start_time: start.time,
+        end_time: '23:59:59',
+        capacity: 1,
+        is_active: true,
+      });
+      Appointment.book.mockRejectedValueOnce(new Error('This appointment slot is fully booked'));
+
+      const res = mockResponse();
+      await appointmentController.bookAppointment(
+        { body: { serviceId: 2, slotId: 5, date: start.date }, user: { userId: 1, role: 'student' } },
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json.mock.calls[0][0].error.code).toBe('SLOT_FULL');
+    });
+  });
+});
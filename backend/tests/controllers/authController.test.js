@@ -1,17 +1,59 @@
 const authController = require('../../controllers/authController');
 const User = require('../../models/User');
+const RefreshToken = require('../../models/RefreshToken');
+const AccountToken = require('../../models/AccountToken');
+const UserInvitation = require('../../models/UserInvitation');
+const LoginHistory = require('../../models/LoginHistory');
+const TwoFactor = require('../../models/TwoFactor');
+const DeviceToken = require('../../models/DeviceToken');
+const NotificationPreference = require('../../models/NotificationPreference');
+const { getEnabledChannels } = require('../../utils/notificationChannels');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
+const { hashRefreshToken } = require('../../utils/authTokens');
+const { hashCode } = require('../../utils/accountTokens');
+const { sendMail } = require('../../utils/mailer');
+const { hashInviteToken } = require('../../utils/invitations');
+const { encryptSecret, hashBackupCode, getRequiredTwoFactorRoles } = require('../../utils/twoFactor');
+const { generateTotp } = require('../../utils/totp');
+const { FIELD_ERROR_CODES, validateRequest } = require('../../utils/validation');
+const schemas = require('../../schemas/auth.schemas');
 
 // Mock dependencies
 jest.mock('../../models/User', () => ({
   findByEmail: jest.fn(),
+  findById: jest.fn(),
+  getAuthState: jest.fn(),
+  revokeSessions: jest.fn(),
+  update: jest.fn(),
+  getPasswordHash: jest.fn(),
+  markEmailVerified: jest.fn(),
+  recordFailedLogin: jest.fn(),
+  clearFailedLogins: jest.fn(),
   toSafeUser: jest.fn((user) => {
     if (!user) return null;
     const { password_hash, ...safeUser } = user;
     return safeUser;
   }),
 }));
+jest.mock('../../models/RefreshToken');
+jest.mock('../../models/AccountToken');
+jest.mock('../../models/UserInvitation');
+jest.mock('../../models/LoginHistory');
+jest.mock('../../models/TwoFactor');
+jest.mock('../../models/DeviceToken');
+jest.mock('../../models/NotificationPreference');
+jest.mock('../../utils/notificationChannels', () => ({
+  getEnabledChannels: jest.fn(async () => []),
+}));
+jest.mock('../../models/Role', () => ({
+  getGrants: jest.fn(async (role) => (role === 'counter_staff' ? [{ permission: 'counters.operate', serviceIds: null }] : [])),
+}));
+jest.mock('../../utils/twoFactor', () => ({
+  ...jest.requireActual('../../utils/twoFactor'),
+  getRequiredTwoFactorRoles: jest.fn(async () => []),
+}));
+jest.mock('../../utils/mailer');
 jest.mock('bcrypt');
 jest.mock('jsonwebtoken');
 
@@ -67,9 +109,18 @@ describe('Auth Controller', () => {
           success: true,
           data: expect.objectContaining({
             token: 'mock-jwt-token',
+            refreshToken: expect.any(String),
           }),
         })
       );
+      // Only the hash of the refresh token is stored
+      const { refreshToken } = mockRes.json.mock.calls[0][0].data;
+      expect(RefreshToken.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          userId: 1,
+          tokenHash: hashRefreshToken(refreshToken),
+        })
+      );
     });
 
     it('should return error when user not found', async () => {
@@ -130,5 +181,650 @@ describe('Auth Controller', () => {
       );
     });
   });
-});
 
+  describe('login throttling', () => {
+    const res = () => ({ json: jest.fn(), status: jest.fn().mockReturnThis(), set: jest.fn() });
+    const account = (overrides = {}) => ({
+      id: 1,
+      email: 'test@example.com',
+      password_hash: 'hashed_password',
+      is_active: true,
+      failed_login_attempts: 0,
+      last_failed_login_at: null,
+      locked_until: null,
+      ...overrides,
+    });
+    const loginReq = { body: { email: 'test@example.com', password: 'guess' }, ip: '10.0.0.5', headers: {} };
+
+    it('should refuse a locked account without checking the password', async () => {
+      const response = res();
+      User.findByEmail.mockResolvedValueOnce(account({
+        locked_until: new Date(Date.now() + 10 * 60 * 1000).toISOString(),
+      }));
+
+      await authController.login(loginReq, response);
+
+      expect(bcrypt.compare).not.toHaveBeenCalled();
+      expect(response.status).toHaveBeenCalledWith(429);
+      expect(response.json.mock.calls[0][0].error.code).toBe('ACCOUNT_LOCKED');
+      expect(LoginHistory.record).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 1,
+        success: false,
+        failureReason: 'account_locked',
+        ipAddress: '10.0.0.5',
+      }));
+    });
+
+    it('should make the account wait after a recent failure', async () => {
+      const response = res();
+      User.findByEmail.mockResolvedValueOnce(account({
+        failed_login_attempts: 3,
+        last_failed_login_at: new Date().toISOString(),
+      }));
+
+      await authController.login(loginReq, response);
+
+      expect(bcrypt.compare).not.toHaveBeenCalled();
+      expect(response.status).toHaveBeenCalledWith(429);
+      expect(response.json.mock.calls[0][0].error).toEqual(expect.objectContaining({
+        code: 'LOGIN_THROTTLED',
+        retryAfter: 4,
+      }));
+    });
+
+    it('should lock the account on the failure that reaches the limit', async () => {
+      const response = res();
+      User.findByEmail.mockResolvedValueOnce(account({ failed_login_attempts: 4 }));
+      bcrypt.compare.mockResolvedValueOnce(false);
+      User.recordFailedLogin.mockResolvedValueOnce({
+        failed_login_attempts: 0,
+        last_failed_login_at: new Date().toISOString(),
+        locked_until: new Date(Date.now() + 15 * 60 * 1000).toISOString(),
+      });
+
+      await authController.login(loginReq, response);
+
+      expect(User.recordFailedLogin).toHaveBeenCalledWith(1, 5, 15);
+      expect(response.status).toHaveBeenCalledWith(429);
+      expect(response.json.mock.calls[0][0].error.code).toBe('ACCOUNT_LOCKED');
+    });
+
+    it('should block an IP with too many recent failures', async () => {
+      const response = res();
+      LoginHistory.getRecentIpFailures.mockResolvedValueOnce({
+        failures: 20,
+        last_failure_at: new Date().toISOString(),
+        oldest_failure_at: new Date(Date.now() - 5 * 60 * 1000).toISOString(),
+      });
+
+      await authController.login(loginReq, response);
+
+      expect(User.findByEmail).not.toHaveBeenCalled();
+      expect(response.status).toHaveBeenCalledWith(429);
+      expect(response.json.mock.calls[0][0].error.retryAfter).toBe(600);
+    });
+
+    it('should clear failed attempts and record a successful login', async () => {
+      const response = res();
+      User.findByEmail.mockResolvedValueOnce(account({
+        failed_login_attempts: 2,
+        last_failed_login_at: new Date(Date.now() - 60 * 1000).toISOString(),
+      }));
+      bcrypt.compare.mockResolvedValueOnce(true);
+
+      await authController.login(loginReq, response);
+
+      expect(User.clearFailedLogins).toHaveBeenCalledWith(1);
+      expect(LoginHistory.record).toHaveBeenCalledWith(expect.objectContaining({ userId: 1, success: true }));
+      expect(response.json.mock.calls[0][0].data.user).not.toHaveProperty('failed_login_attempts');
+    });
+
+    it('should include the permissions of the user\'s role', async () => {
+      const response = res();
+      User.findByEmail.mockResolvedValueOnce(account({ role: 'counter_staff' }));
+      bcrypt.compare.mockResolvedValueOnce(true);
+
+      await authController.login(loginReq, response);
+
+      expect(response.json.mock.calls[0][0].data.user.permissions).toEqual({ 'counters.operate': null });
+    });
+  });
+
+  describe('two-factor authentication', () => {
+    const res = () => ({ json: jest.fn(), status: jest.fn().mockReturnThis(), set: jest.fn() });
+    const secret = 'JBSWY3DPEHPK3PXP';
+    const staff = (overrides = {}) => ({
+      id: 7,
+      email: 'staff@example.com',
+      password_hash: 'hashed_password',
+      role: 'counter_staff',
+      is_active: true,
+      token_version: 0,
+      failed_login_attempts: 0,
+      last_failed_login_at: null,
+      locked_until: null,
+      two_factor_enabled_at: null,
+      ...overrides,
+    });
+    const twoFactorState = (overrides = {}) => staff({
+      two_factor_secret: encryptSecret(secret),
+      two_factor_enabled_at: '2026-10-01T09:00:00Z',
+      two_factor_last_step: null,
+      ...overrides,
+    });
+    const loginReq = { body: { email: 'staff@example.com', password: 'password123' }, ip: '10.0.0.5', headers: {} };
+    const challengeReq = (code) => ({ body: { challengeToken: 'challenge', code }, ip: '10.0.0.5', headers: {} });
+
+    it('should ask for a code instead of signing in when 2FA is on', async () => {
+      const response = res();
+      User.findByEmail.mockResolvedValueOnce(staff({ two_factor_enabled_at: '2026-10-01T09:00:00Z' }));
+      bcrypt.compare.mockResolvedValueOnce(true);
+      jwt.sign.mockReturnValueOnce('challenge-token');
+
+      await authController.login(loginReq, response);
+
+      expect(response.json).toHaveBeenCalledWith({
+        success: true,
+        data: { twoFactorRequired: true, challengeToken: 'challenge-token' },
+      });
+      expect(RefreshToken.create).not.toHaveBeenCalled();
+      expect(LoginHistory.record).not.toHaveBeenCalled();
+    });
+
+    it('should require enrollment when the policy covers the role', async () => {
+      const response = res();
+      User.findByEmail.mockResolvedValueOnce(staff());
+      bcrypt.compare.mockResolvedValueOnce(true);
+      getRequiredTwoFactorRoles.mockResolvedValueOnce(['counter_staff']);
+      jwt.sign.mockReturnValueOnce('setup-token');
+
+      await authController.login(loginReq, response);
+
+      expect(response.json.mock.calls[0][0].data).toEqual({
+        twoFactorSetupRequired: true,
+        challengeToken: 'setup-token',
+      });
+      expect(RefreshToken.create).not.toHaveBeenCalled();
+    });
+
+    it('should sign in with a valid authenticator code', async () => {
+      const response = res();
+      jwt.verify.mockReturnValueOnce({ userId: 7, purpose: 'two_factor_login', tokenVersion: 0 });
+      TwoFactor.getState.mockResolvedValueOnce(twoFactorState());
+      TwoFactor.recordStep.mockResolvedValueOnce(true);
+      User.findById.mockResolvedValueOnce({ id: 7, email: 'staff@example.com', role: 'counter_staff' });
+      jwt.sign.mockReturnValueOnce('access-token');
+
+      await authController.verifyTwoFactorLogin(challengeReq(generateTotp(secret)), response);
+
+      expect(TwoFactor.recordStep).toHaveBeenCalledWith(7, expect.any(Number));
+      expect(LoginHistory.record).toHaveBeenCalledWith(expect.objectContaining({ userId: 7, success: true }));
+      expect(response.json.mock.calls[0][0].data).toEqual(expect.objectContaining({
+        token: 'access-token',
+        refreshToken: expect.any(String),
+      }));
+    });
+
+    it('should refuse a code that was already used', async () => {
+      const response = res();
+      jwt.verify.mockReturnValueOnce({ userId: 7, purpose: 'two_factor_login', tokenVersion: 0 });
+      TwoFactor.getState.mockResolvedValueOnce(twoFactorState());
+      TwoFactor.recordStep.mockResolvedValueOnce(false);
+      User.recordFailedLogin.mockResolvedValueOnce({ failed_login_attempts: 1, locked_until: null });
+
+      await authController.verifyTwoFactorLogin(challengeReq(generateTotp(secret)), response);
+
+      expect(response.status).toHaveBeenCalledWith(401);
+      expect(response.json.mock.calls[0][0].error.code).toBe('INVALID_TWO_FACTOR_CODE');
+      expect(RefreshToken.create).not.toHaveBeenCalled();
+    });
+
+    it('should count a wrong code as a failed login', async () => {
+      const response = res();
+      jwt.verify.mockReturnValueOnce({ userId: 7, purpose: 'two_factor_login', tokenVersion: 0 });
+      TwoFactor.getState.mockResolvedValueOnce(twoFactorState());
+      User.recordFailedLogin.mockResolvedValueOnce({ failed_login_attempts: 1, locked_until: null });
+
+      await authController.verifyTwoFactorLogin(challengeReq('000000'), response);
+
+      expect(User.recordFailedLogin).toHaveBeenCalledWith(7, 5, 15);
+      expect(LoginHistory.record).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 7,
+        success: false,
+        failureReason: 'invalid_two_factor_code',
+      }));
+      expect(response.status).toHaveBeenCalledWith(401);
+    });
+
+    it('should accept a backup code once', async () => {
+      const response = res();
+      jwt.verify.mockReturnValueOnce({ userId: 7, purpose: 'two_factor_login', tokenVersion: 0 });
+      TwoFactor.getState.mockResolvedValueOnce(twoFactorState());
+      TwoFactor.consumeBackupCode.mockResolvedValueOnce(true);
+      User.findById.mockResolvedValueOnce({ id: 7, email: 'staff@example.com', role: 'counter_staff' });
+
+      await authController.verifyTwoFactorLogin(challengeReq('K7QM-2X9D'), response);
+
+      expect(TwoFactor.consumeBackupCode).toHaveBeenCalledWith(7, hashBackupCode(7, 'k7qm2x9d'));
+      expect(response.json.mock.calls[0][0].success).toBe(true);
+    });
+
+    it('should reject a challenge issued before logout-all', async () => {
+      const response = res();
+      jwt.verify.mockReturnValueOnce({ userId: 7, purpose: 'two_factor_login', tokenVersion: 0 });
+      TwoFactor.getState.mockResolvedValueOnce(twoFactorState({ token_version: 1 }));
+
+      await authController.verifyTwoFactorLogin(challengeReq(generateTotp(secret)), response);
+
+      expect(response.status).toHaveBeenCalledWith(401);
+      expect(response.json.mock.calls[0][0].error.code).toBe('INVALID_CHALLENGE');
+    });
+
+    it('should not let a covered role turn 2FA off', async () => {
+      const response = res();
+      TwoFactor.getState.mockResolvedValueOnce(twoFactorState());
+      User.getPasswordHash.mockResolvedValueOnce('hashed_password');
+      getRequiredTwoFactorRoles.mockResolvedValueOnce(['counter_staff']);
+
+      await authController.disableTwoFactor(
+        { user: { userId: 7 }, body: { password: 'password123', code: generateTotp(secret) } },
+        response
+      );
+
+      expect(response.status).toHaveBeenCalledWith(403);
+      expect(TwoFactor.disable).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('refresh', () => {
+    const mockRes = () => ({
+      json: jest.fn(),
+      status: jest.fn().mockReturnThis(),
+    });
+    const storedToken = {
+      id: 10,
+      user_id: 1,
+      family_id: 'family-1',
+      expires_at: new Date(Date.now() + 60 * 60 * 1000),
+      revoked_at: null,
+    };
+
+    it('should rotate the refresh token and use the current role', async () => {
+      const req = { body: { refreshToken: 'old-token' }, headers: {} };
+      const res = mockRes();
+
+      RefreshToken.findByHash.mockResolvedValueOnce(storedToken);
+      User.getAuthState.mockResolvedValueOnce({ id: 1, role: 'student', is_active: true, token_version: 2 });
+      RefreshToken.rotate.mockResolvedValueOnce({ id: 11 });
+      User.findById.mockResolvedValueOnce({ id: 1, email: 'test@example.com', role: 'student' });
+      jwt.sign.mockReturnValueOnce('new-access-token');
+
+      await authController.refresh(req, res);
+
+      expect(RefreshToken.findByHash).toHaveBeenCalledWith(hashRefreshToken('old-token'));
+      expect(RefreshToken.rotate).toHaveBeenCalledWith(10, expect.objectContaining({ familyId: 'family-1' }));
+      expect(jwt.sign).toHaveBeenCalledWith(
+        { userId: 1, role: 'student', tokenVersion: 2 },
+        process.env.JWT_SECRET,
+        expect.any(Object)
+      );
+      const { data } = res.json.mock.calls[0][0];
+      expect(data.token).toBe('new-access-token');
+      expect(data.refreshToken).not.toBe('old-token');
+    });
+
+    it('should revoke the family when a used refresh token is presented again', async () => {
+      const req = { body: { refreshToken: 'stolen-token' }, headers: {} };
+      const res = mockRes();
+
+      RefreshToken.findByHash.mockResolvedValueOnce({ ...storedToken, revoked_at: new Date() });
+
+      await authController.refresh(req, res);
+
+      expect(RefreshToken.revokeFamily).toHaveBeenCalledWith('family-1');
+      expect(RefreshToken.rotate).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json.mock.calls[0][0].error.code).toBe('SESSION_REVOKED');
+    });
+
+    it('should refuse deactivated accounts', async () => {
+      const req = { body: { refreshToken: 'old-token' }, headers: {} };
+      const res = mockRes();
+
+      RefreshToken.findByHash.mockResolvedValueOnce(storedToken);
+      User.getAuthState.mockResolvedValueOnce({ id: 1, role: 'student', is_active: false, token_version: 0 });
+
+      await authController.refresh(req, res);
+
+      expect(RefreshToken.revokeFamily).toHaveBeenCalledWith('family-1');
+      expect(res.status).toHaveBeenCalledWith(401);
+    });
+
+    it('should refuse expired and unknown refresh tokens', async () => {
+      const res = mockRes();
+
+      RefreshToken.findByHash.mockResolvedValueOnce({ ...storedToken, expires_at: new Date(Date.now() - 1000) });
+      await authController.refresh({ body: { refreshToken: 'old-token' }, headers: {} }, res);
+
+      RefreshToken.findByHash.mockResolvedValueOnce(null);
+      await authController.refresh({ body: { refreshToken: 'unknown' }, headers: {} }, res);
+
+      expect(res.status).toHaveBeenCalledTimes(2);
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(RefreshToken.rotate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('logout', () => {
+    it('should revoke the refresh token family', async () => {
+      const res = { json: jest.fn(), status: jest.fn().mockReturnThis() };
+
+      RefreshToken.findByHash.mockResolvedValueOnce({ id: 10, family_id: 'family-1' });
+
+      await authController.logout({ body: { refreshToken: 'old-token' } }, res);
+
+      expect(RefreshToken.revokeFamily).toHaveBeenCalledWith('family-1');
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: true }));
+    });
+
+    it('should revoke every session on logout-all', async () => {
+      const res = { json: jest.fn(), status: jest.fn().mockReturnThis() };
+
+      await authController.logoutAll({ user: { userId: 1, role: 'student' } }, res);
+
+      expect(User.revokeSessions).toHaveBeenCalledWith(1);
+      expect(DeviceToken.removeAllForUser).toHaveBeenCalledWith(1);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: true }));
+    });
+  });
+
+  describe('notification preferences', () => {
+    const student = { id: 1, email: 'test@example.com', phone_number: null, role: 'student' };
+
+    it('should return the full preferences with the channels the user can use', async () => {
+      User.findById.mockResolvedValue(student);
+      NotificationPreference.findByUser.mockResolvedValue({ user_id: 1, channels: {}, events: { queue_completed: { push: false } } });
+      getEnabledChannels.mockResolvedValue(['email', 'sms']);
+      const res = { json: jest.fn(), status: jest.fn().mockReturnThis() };
+
+      await authController.getPreferences({ user: { userId: 1 } }, res);
+
+      const { data } = res.json.mock.calls[0][0];
+      expect(data.preferences.channels).toEqual({ push: true, email: true, sms: true });
+      expect(data.preferences.events.queue_completed).toEqual({ push: false });
+      expect(data.channels).toEqual([
+        { key: 'push', label: 'Push notifications', available: true },
+        { key: 'email', label: 'Email', available: true },
+        { key: 'sms', label: 'SMS', available: false },
+      ]);
+      expect(data.events.map((event) => event.key)).toContain('queue_called');
+    });
+
+    it('should save only the switches sent on top of the current ones', async () => {
+      User.findById.mockResolvedValue(student);
+      NotificationPreference.findByUser.mockResolvedValue({ user_id: 1, channels: { email: false }, events: {} });
+      const res = { json: jest.fn(), status: jest.fn().mockReturnThis() };
+
+      await authController.updatePreferences({
+        user: { userId: 1 },
+        body: { events: { queue_approaching: { sms: false } } },
+      }, res);
+
+      expect(NotificationPreference.save).toHaveBeenCalledWith(1, expect.objectContaining({
+        channels: { push: true, email: false, sms: true },
+        events: expect.objectContaining({
+          queue_approaching: { push: true, email: true, sms: false },
+        }),
+      }));
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: true }));
+    });
+  });
+
+  describe('password reset', () => {
+    const mockRes = () => ({
+      json: jest.fn(),
+      status: jest.fn().mockReturnThis(),
+    });
+    const user = {
+      id: 1,
+      email: 'test@example.com',
+      first_name: 'Test',
+      is_active: true,
+      email_verified_at: '2026-01-01T00:00:00Z',
+    };
+    const activeToken = (code, overrides = {}) => ({
+      id: 20,
+      user_id: 1,
+      token_hash: hashCode(1, 'password_reset', code),
+      failed_attempts: 0,
+      ...overrides,
+    });
+
+    it('should email a reset code without revealing whether the account exists', async () => {
+      const knownRes = mockRes();
+      User.findByEmail.mockResolvedValueOnce(user);
+      AccountToken.getLastIssuedAt.mockResolvedValueOnce(null);
+
+      await authController.forgotPassword({ body: { email: 'Test@Example.com ' } }, knownRes);
+
+      expect(User.findByEmail).toHaveBeenCalledWith('test@example.com');
+      expect(AccountToken.create).toHaveBeenCalledWith(expect.objectContaining({ userId: 1, purpose: 'password_reset' }));
+      expect(sendMail).toHaveBeenCalledWith(expect.objectContaining({ to: 'test@example.com' }));
+
+      // The stored hash matches the code in the email, not the code itself
+      const code = sendMail.mock.calls[0][0].text.match(/\b(\d{6})\b/)[1];
+      expect(AccountToken.create.mock.calls[0][0].tokenHash).toBe(hashCode(1, 'password_reset', code));
+
+      const unknownRes = mockRes();
+      User.findByEmail.mockResolvedValueOnce(null);
+
+      await authController.forgotPassword({ body: { email: 'nobody@example.com' } }, unknownRes);
+
+      expect(sendMail).toHaveBeenCalledTimes(1);
+      expect(unknownRes.json.mock.calls[0][0]).toEqual(knownRes.json.mock.calls[0][0]);
+    });
+
+    it('should reset the password and sign out every session', async () => {
+      const res = mockRes();
+      User.findByEmail.mockResolvedValueOnce(user);
+      AccountToken.findActive.mockResolvedValueOnce(activeToken('123456'));
+      AccountToken.consume.mockResolvedValueOnce(true);
+      bcrypt.hash.mockResolvedValueOnce('new_hash');
+
+      await authController.resetPassword(
+        { body: { email: 'test@example.com', code: '123456', newPassword: 'new-password' } },
+        res
+      );
+
+      expect(AccountToken.consume).toHaveBeenCalledWith(20);
+      expect(User.update).toHaveBeenCalledWith(1, { passwordHash: 'new_hash' });
+      expect(User.revokeSessions).toHaveBeenCalledWith(1);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: true }));
+    });
+
+    it('should count wrong codes and stop accepting the code after too many', async () => {
+      const res = mockRes();
+      User.findByEmail.mockResolvedValueOnce(user);
+      AccountToken.findActive.mockResolvedValueOnce(activeToken('123456'));
+
+      await authController.resetPassword(
+        { body: { email: 'test@example.com', code: '654321', newPassword: 'new-password' } },
+        res
+      );
+
+      expect(AccountToken.recordFailedAttempt).toHaveBeenCalledWith(20);
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json.mock.calls[0][0].error.code).toBe('INVALID_CODE');
+
+      const lockedRes = mockRes();
+      User.findByEmail.mockResolvedValueOnce(user);
+      AccountToken.findActive.mockResolvedValueOnce(activeToken('123456', { failed_attempts: 5 }));
+
+      await authController.resetPassword(
+        { body: { email: 'test@example.com', code: '123456', newPassword: 'new-password' } },
+        lockedRes
+      );
+
+      expect(lockedRes.status).toHaveBeenCalledWith(400);
+      expect(AccountToken.consume).not.toHaveBeenCalled();
+      expect(User.update).not.toHaveBeenCalled();
+    });
+
+    it('should reject short passwords before reaching the handler', () => {
+      const { errors } = validateRequest(schemas.resetPassword, {
+        body: { email: 'test@example.com', code: '123456', newPassword: '123' },
+      });
+
+      expect(errors).toEqual([
+        expect.objectContaining({ field: 'newPassword', code: FIELD_ERROR_CODES.TOO_SMALL }),
+      ]);
+    });
+  });
+
+  describe('changePassword', () => {
+    it('should refuse a wrong current password without ending the session', async () => {
+      const res = { json: jest.fn(), status: jest.fn().mockReturnThis() };
+      User.findById.mockResolvedValueOnce({ id: 1, email: 'test@example.com' });
+      User.getPasswordHash.mockResolvedValueOnce('hashed_password');
+      bcrypt.compare.mockResolvedValueOnce(false);
+
+      await authController.changePassword(
+        { user: { userId: 1 }, body: { currentPassword: 'wrong', newPassword: 'new-password' }, headers: {} },
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(User.update).not.toHaveBeenCalled();
+      expect(User.revokeSessions).not.toHaveBeenCalled();
+    });
+
+    it('should update the password and issue a fresh session for this device', async () => {
+      const res = { json: jest.fn(), status: jest.fn().mockReturnThis() };
+      User.findById.mockResolvedValueOnce({ id: 1, email: 'test@example.com', first_name: 'Test' });
+      User.getPasswordHash.mockResolvedValueOnce('hashed_password');
+      User.getAuthState.mockResolvedValueOnce({ id: 1, role: 'student', is_active: true, token_version: 4 });
+      bcrypt.compare.mockResolvedValueOnce(true);
+      bcrypt.hash.mockResolvedValueOnce('new_hash');
+      jwt.sign.mockReturnValueOnce('fresh-access-token');
+
+      await authController.changePassword(
+        { user: { userId: 1 }, body: { currentPassword: 'old-password', newPassword: 'new-password' }, headers: {} },
+        res
+      );
+
+      expect(User.update).toHaveBeenCalledWith(1, { passwordHash: 'new_hash' });
+      expect(User.revokeSessions).toHaveBeenCalledWith(1);
+      expect(res.json.mock.calls[0][0].data).toEqual({
+        token: 'fresh-access-token',
+        refreshToken: expect.any(String),
+      });
+      expect(sendMail).toHaveBeenCalledWith(expect.objectContaining({ subject: 'Your QTech password was changed' }));
+    });
+  });
+
+  describe('verifyEmail', () => {
+    it('should mark the email verified with the right code', async () => {
+      const res = { json: jest.fn(), status: jest.fn().mockReturnThis() };
+      User.findById.mockResolvedValueOnce({ id: 1, email: 'test@example.com', email_verified_at: null });
+      AccountToken.findActive.mockResolvedValueOnce({
+        id: 30,
+        token_hash: hashCode(1, 'email_verification', '246810'),
+        failed_attempts: 0,
+      });
+      AccountToken.consume.mockResolvedValueOnce(true);
+      User.markEmailVerified.mockResolvedValueOnce({ id: 1, email_verified_at: '2026-10-19T00:00:00Z' });
+
+      await authController.verifyEmail({ user: { userId: 1 }, body: { code: '246810' } }, res);
+
+      expect(AccountToken.findActive).toHaveBeenCalledWith(1, 'email_verification');
+      expect(User.markEmailVerified).toHaveBeenCalledWith(1);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: true, message: 'Email verified' }));
+    });
+  });
+
+  describe('register', () => {
+    it('should refuse to register anything but a student', async () => {
+      const res = { json: jest.fn(), status: jest.fn().mockReturnThis() };
+
+      await authController.register({
+        body: {
+          email: 'sneaky@example.com',
+          password: 'password123',
+          firstName: 'Sneaky',
+          lastName: 'User',
+          role: 'admin',
+        },
+      }, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        success: false,
+        error: expect.objectContaining({ code: 'ROLE_NOT_ALLOWED' }),
+      }));
+      expect(User.findByEmail).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('invitations', () => {
+    const res = () => ({ json: jest.fn(), status: jest.fn().mockReturnThis() });
+    const hoursFromNow = (hours) => new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+    const invitation = (overrides = {}) => ({
+      id: 40,
+      user_id: 7,
+      email: 'staff@example.com',
+      first_name: 'Sam',
+      last_name: 'Staff',
+      role: 'counter_staff',
+      is_active: true,
+      accepted_at: null,
+      expires_at: hoursFromNow(24),
+      ...overrides,
+    });
+
+    it('should look up the invitation by the hash of the token', async () => {
+      const response = res();
+      UserInvitation.findByHash.mockResolvedValueOnce(invitation());
+
+      await authController.getInvitation({ params: { token: 'invite-token' } }, response);
+
+      expect(UserInvitation.findByHash).toHaveBeenCalledWith(hashInviteToken('invite-token'));
+      expect(response.json).toHaveBeenCalledWith(expect.objectContaining({
+        success: true,
+        data: expect.objectContaining({ email: 'staff@example.com', role: 'counter_staff' }),
+      }));
+    });
+
+    it('should reject an expired invitation', async () => {
+      const response = res();
+      UserInvitation.findByHash.mockResolvedValueOnce(invitation({ expires_at: hoursFromNow(-1) }));
+
+      await authController.acceptInvitation({ params: { token: 'invite-token' }, body: { password: 'newpass123' } }, response);
+
+      expect(response.status).toHaveBeenCalledWith(400);
+      expect(response.json.mock.calls[0][0].error.code).toBe('INVITE_EXPIRED');
+      expect(UserInvitation.accept).not.toHaveBeenCalled();
+    });
+
+    it('should set the password and sign in when accepting', async () => {
+      const response = res();
+      UserInvitation.findByHash.mockResolvedValueOnce(invitation());
+      UserInvitation.accept.mockResolvedValueOnce(true);
+      bcrypt.hash.mockResolvedValueOnce('new_hash');
+      User.findById.mockResolvedValueOnce({ id: 7, email: 'staff@example.com', role: 'counter_staff' });
+      User.getAuthState.mockResolvedValueOnce({ id: 7, role: 'counter_staff', is_active: true, token_version: 0 });
+      jwt.sign.mockReturnValueOnce('staff-access-token');
+
+      await authController.acceptInvitation({
+        params: { token: 'invite-token' },
+        body: { password: 'newpass123' },
+        headers: {},
+      }, response);
+
+      expect(UserInvitation.accept).toHaveBeenCalledWith(40, 7, 'new_hash');
+      expect(response.json).toHaveBeenCalledWith(expect.objectContaining({
+        success: true,
+        data: expect.objectContaining({ token: 'staff-access-token', refreshToken: expect.any(String) }),
+      }));
+    });
+  });
+});
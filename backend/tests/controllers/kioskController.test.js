@@ -0,0 +1,278 @@
+const kioskController = require('../../controllers/kioskController');
+const Queue = require('../../models/Queue');
+const Service = require('../../models/Service');
+const User = require('../../models/User');
+const ServiceSchedule = require('../../models/ServiceSchedule');
+const QueueEvents = require('../../socket/queueEvents');
+const { query } = require('../../config/database');
+const { createTicketLookupCode } = require('../../utils/ticketLookup');
+
+jest.mock('../../models/Queue');
+jest.mock('../../models/Service');
+jest.mock('../../models/User');
+jest.mock('../../models/ServiceSchedule');
+jest.mock('../../config/database', () => ({
+  query: jest.fn(),
+}));
+jest.mock('../../socket/queueEvents', () => ({
+  emitQueueCreated: jest.fn().mockResolvedValue(undefined),
+}));
+
+describe('Kiosk Controller', () => {
+  const mockService = {
+    id: 1,
+    name: 'Registrar',
+    location: 'Admin Building',
+    is_active: true,
+  };
+
+  const mockQueue = {
+    id: 10,
+    queue_number: 'REG-004',
+    queue_position: 4,
+    service_id: 1,
+    estimated_wait_time: 15,
+    status: 'waiting',
+    requested_at: new Date(),
+  };
+
+  const createRes = () => ({
+    json: jest.fn(),
+    status: jest.fn().mockReturnThis(),
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    query.mockResolvedValue({
+      rows: [{ settings: { system_maintenance_mode: false } }],
+    });
+    ServiceSchedule.findForServices.mockResolvedValue({});
+    Service.getQueueCounts.mockResolvedValue({});
+  });
+
+  describe('issueTicket', () => {
+    it('should issue an anonymous ticket without a student', async () => {
+      const mockReq = {
+        user: { userId: 50, role: 'kiosk' },
+        body: { serviceId: 1 },
+      };
+      const mockRes = createRes();
+
+      Service.findById.mockResolvedValueOnce(mockService);
+      Queue.create.mockResolvedValueOnce(mockQueue);
+
+      await kioskController.issueTicket(mockReq, mockRes);
+
+      expect(User.findByStudentId).not.toHaveBeenCalled();
+      expect(Queue.create).toHaveBeenCalledWith({
+        userId: null,
+        serviceId: 1,
+        source: 'kiosk',
+        kioskUserId: 50,
+        walkInStudentId: null,
+        contactPhone: null,
+        limits: { maxQueuePerUser: 3 },
+      });
+      expect(QueueEvents.emitQueueCreated).toHaveBeenCalledWith(mockQueue);
+      expect(mockRes.status).toHaveBeenCalledWith(201);
+      expect(mockRes.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          success: true,
+          data: expect.objectContaining({
+            queueNumber: 'REG-004',
+            queuePosition: 4,
+            peopleAhead: 3,
+            serviceName: 'Registrar',
+            linkedToAccount: false,
+          }),
+        })
+      );
+    });
+
+    const studentAccount = {
+      id: 7,
+      student_id: '2021-0001',
+      email: 'ana.reyes@example.com',
+      first_name: 'Ana',
+      last_name: 'Reyes',
+      phone_number: '09171234567',
+      role: 'student',
+      is_active: true,
+    };
+
+    it('should link the ticket to a student account confirmed by its phone number', async () => {
+      const mockReq = {
+        user: { userId: 50, role: 'kiosk' },
+        body: { serviceId: 1, studentId: ' 2021-0001 ', phoneNumber: '0917 123 4567' },
+      };
+      const mockRes = createRes();
+
+      Service.findById.mockResolvedValueOnce(mockService);
+      User.findByStudentId.mockResolvedValueOnce(studentAccount);
+      Queue.findByUserAndService.mockResolvedValueOnce(null);
+      Queue.countActiveByUser.mockResolvedValueOnce(0);
+      Queue.create.mockResolvedValueOnce({ ...mockQueue, user_id: 7 });
+
+      await kioskController.issueTicket(mockReq, mockRes);
+
+      expect(User.findByStudentId).toHaveBeenCalledWith('2021-0001');
+      expect(Queue.create).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 7,
+        walkInStudentId: null,
+        source: 'kiosk',
+      }));
+      expect(mockRes.status).toHaveBeenCalledWith(201);
+      expect(mockRes.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          data: expect.objectContaining({
+            linkedToAccount: true,
+          }),
+        })
+      );
+      expect(mockRes.json.mock.calls[0][0].data).not.toHaveProperty('holderName');
+    });
+
+    it('should link the ticket to a student account confirmed by its email', async () => {
+      const mockReq = {
+        user: { userId: 50, role: 'kiosk' },
+        body: { serviceId: 1, studentId: '2021-0001', email: 'Ana.Reyes@example.com' },
+      };
+      const mockRes = createRes();
+
+      Service.findById.mockResolvedValueOnce(mockService);
+      User.findByStudentId.mockResolvedValueOnce(studentAccount);
+      Queue.findByUserAndService.mockResolvedValueOnce(null);
+      Queue.countActiveByUser.mockResolvedValueOnce(0);
+      Queue.create.mockResolvedValueOnce({ ...mockQueue, user_id: 7 });
+
+      await kioskController.issueTicket(mockReq, mockRes);
+
+      expect(Queue.create).toHaveBeenCalledWith(expect.objectContaining({ userId: 7 }));
+    });
+
+    it('should not link the ticket on a student ID alone', async () => {
+      const mockReq = {
+        user: { userId: 50, role: 'kiosk' },
+        body: { serviceId: 1, studentId: '2021-0001', phoneNumber: '0999 000 0000' },
+      };
+      const mockRes = createRes();
+
+      Service.findById.mockResolvedValueOnce(mockService);
+      User.findByStudentId.mockResolvedValueOnce(studentAccount);
+      Queue.create.mockResolvedValueOnce(mockQueue);
+
+      await kioskController.issueTicket(mockReq, mockRes);
+
+      expect(Queue.findByUserAndService).not.toHaveBeenCalled();
+      expect(Queue.create).toHaveBeenCalledWith(expect.objectContaining({
+        userId: null,
+        walkInStudentId: '2021-0001',
+        contactPhone: '0999 000 0000',
+      }));
+      expect(mockRes.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          data: expect.objectContaining({ linkedToAccount: false }),
+        })
+      );
+    });
+
+    it('should keep an unknown student ID and phone on the ticket', async () => {
+      const mockReq = {
+        user: { userId: 50, role: 'kiosk' },
+        body: { serviceId: 1, studentId: 'X-99', phoneNumber: '0917 123 4567' },
+      };
+      const mockRes = createRes();
+
+      Service.findById.mockResolvedValueOnce(mockService);
+      User.findByStudentId.mockResolvedValueOnce(null);
+      Queue.create.mockResolvedValueOnce(mockQueue);
+
+      await kioskController.issueTicket(mockReq, mockRes);
+
+      expect(Queue.findByUserAndService).not.toHaveBeenCalled();
+      expect(Queue.create).toHaveBeenCalledWith(expect.objectContaining({
+        userId: null,
+        walkInStudentId: 'X-99',
+        contactPhone: '0917 123 4567',
+      }));
+      expect(mockRes.status).toHaveBeenCalledWith(201);
+    });
+
+    it('should reject an invalid phone number', async () => {
+      const mockReq = {
+        user: { userId: 50, role: 'kiosk' },
+        body: { serviceId: 1, phoneNumber: 'call me' },
+      };
+      const mockRes = createRes();
+
+      await kioskController.issueTicket(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(Queue.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject a student who already has a queue for the service', async () => {
+      const mockReq = {
+        user: { userId: 50, role: 'kiosk' },
+        body: { serviceId: 1, studentId: '2021-0001', email: 'ana.reyes@example.com' },
+      };
+      const mockRes = createRes();
+
+      Service.findById.mockResolvedValueOnce(mockService);
+      User.findByStudentId.mockResolvedValueOnce(studentAccount);
+      Queue.findByUserAndService.mockResolvedValueOnce({ queue_number: 'REG-002' });
+
+      await kioskController.issueTicket(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          error: expect.objectContaining({ queueNumber: 'REG-002' }),
+        })
+      );
+      expect(Queue.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getTicketStatus', () => {
+    it('should return the ticket for a valid lookup code', async () => {
+      const mockReq = {
+        params: { queueId: '10' },
+        query: { code: createTicketLookupCode(10) },
+      };
+      const mockRes = createRes();
+
+      Queue.findById.mockResolvedValueOnce({
+        ...mockQueue,
+        service_name: 'Registrar',
+        service_location: 'Admin Building',
+      });
+
+      await kioskController.getTicketStatus(mockReq, mockRes);
+
+      expect(Queue.findById).toHaveBeenCalledWith('10');
+      expect(mockRes.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          success: true,
+          data: expect.objectContaining({
+            queueNumber: 'REG-004',
+            peopleAhead: 3,
+          }),
+        })
+      );
+    });
+
+    it('should not look up tickets with a wrong code', async () => {
+      const mockReq = {
+        params: { queueId: '11' },
+        query: { code: createTicketLookupCode(10) },
+      };
+      const mockRes = createRes();
+
+      await kioskController.getTicketStatus(mockReq, mockRes);
+
+      expect(Queue.findById).not.toHaveBeenCalled();
+      expect(mockRes.status).toHaveBeenCalledWith(404);
+    });
+  });
+});
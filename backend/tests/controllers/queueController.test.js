@@ -1,21 +1,32 @@
 const queueController = require('../../controllers/queueController');
 const Queue = require('../../models/Queue');
 const Service = require('../../models/Service');
+const ServiceSchedule = require('../../models/ServiceSchedule');
+const Role = require('../../models/Role');
+const Counter = require('../../models/Counter');
 const { query } = require('../../config/database');
+const { createCheckInToken, CHECKIN_CODES } = require('../../utils/checkIn');
+const { ROLE_CODES } = require('../../utils/permissions');
+const { queueLimitError } = require('../../utils/queueLimits');
 
 jest.mock('../../models/Queue');
 jest.mock('../../models/Service');
+jest.mock('../../models/ServiceSchedule');
+jest.mock('../../models/Role');
+jest.mock('../../models/Counter');
 jest.mock('../../config/database', () => ({
   query: jest.fn(),
 }));
 jest.mock('../../socket/queueEvents', () => ({
   emitQueueCreated: jest.fn().mockResolvedValue(undefined),
   emitQueueCancelled: jest.fn().mockResolvedValue(undefined),
+  emitQueueCheckedIn: jest.fn().mockResolvedValue(undefined),
 }));
 
 describe('Queue Controller', () => {
   beforeEach(() => {
     jest.clearAllMocks();
+    ServiceSchedule.findForServices.mockResolvedValue({});
   });
 
   describe('requestQueue', () => {
@@ -58,6 +69,8 @@ describe('Queue Controller', () => {
 
       Service.findById.mockResolvedValueOnce(mockService);
       Queue.findByUserAndService.mockResolvedValueOnce(null);
+      Service.getQueueCounts.mockResolvedValueOnce({});
+      Queue.countActiveByUser.mockResolvedValueOnce(0);
       Queue.create.mockResolvedValueOnce(mockQueue);
 
       await queueController.requestQueue(mockReq, mockRes);
@@ -66,6 +79,7 @@ describe('Queue Controller', () => {
       expect(Queue.create).toHaveBeenCalledWith({
         userId: 1,
         serviceId: 1,
+        limits: { maxQueuePerUser: 3 },
       });
       expect(mockRes.status).toHaveBeenCalledWith(201);
       expect(mockRes.json).toHaveBeenCalledWith(
@@ -144,6 +158,291 @@ describe('Queue Controller', () => {
         })
       );
     });
+
+    describe('queue limits', () => {
+      const mockReq = {
+        user: { userId: 1 },
+        body: { serviceId: 1 },
+      };
+      let mockRes;
+
+      const expectLimitError = (code) => {
+        expect(mockRes.status).toHaveBeenCalledWith(400);
+        expect(mockRes.json).toHaveBeenCalledWith(
+          expect.objectContaining({
+            success: false,
+            error: expect.objectContaining({ code }),
+          })
+        );
+        expect(Queue.create).not.toHaveBeenCalled();
+      };
+
+      beforeEach(() => {
+        mockRes = {
+          json: jest.fn(),
+          status: jest.fn().mockReturnThis(),
+        };
+        query.mockResolvedValueOnce({
+          rows: [{ settings: { system_maintenance_mode: false, max_queue_per_user: 2 } }],
+        });
+        Queue.findByUserAndService.mockResolvedValueOnce(null);
+      });
+
+      it('should reject requests outside operating hours', async () => {
+        const now = new Date();
+        const start = new Date(now.getTime() + 60 * 60 * 1000).toTimeString().slice(0, 8);
+        const end = new Date(now.getTime() + 2 * 60 * 60 * 1000).toTimeString().slice(0, 8);
+        Service.findById.mockResolvedValueOnce({
+          id: 1,
+          is_active: true,
+          operating_hours_start: start,
+          operating_hours_end: end,
+        });
+        Service.getQueueCounts.mockResolvedValueOnce({});
+
+        await queueController.requestQueue(mockReq, mockRes);
+
+        expectLimitError('SERVICE_CLOSED');
+      });
+
+      it('should reject requests when max_queue_size is reached', async () => {
+        Service.findById.mockResolvedValueOnce({ id: 1, is_active: true, max_queue_size: 5 });
+        Service.getQueueCounts.mockResolvedValueOnce({ 1: { active_count: '5', today_count: '5' } });
+
+        await queueController.requestQueue(mockReq, mockRes);
+
+        expectLimitError('QUEUE_FULL');
+      });
+
+      it('should reject requests once max_queue_before_closing is reached for the day', async () => {
+        Service.findById.mockResolvedValueOnce({
+          id: 1,
+          is_active: true,
+          max_queue_size: 100,
+          max_queue_before_closing: 20,
+        });
+        Service.getQueueCounts.mockResolvedValueOnce({ 1: { active_count: '2', today_count: '20' } });
+
+        await queueController.requestQueue(mockReq, mockRes);
+
+        expectLimitError('QUEUE_FULL');
+      });
+
+      it('should reject requests when the user reached max_queue_per_user', async () => {
+        Service.findById.mockResolvedValueOnce({ id: 1, is_active: true, max_queue_size: 100 });
+        Service.getQueueCounts.mockResolvedValueOnce({});
+        Queue.countActiveByUser.mockResolvedValueOnce(2);
+
+        await queueController.requestQueue(mockReq, mockRes);
+
+        expectLimitError('USER_QUEUE_LIMIT_REACHED');
+      });
+
+      it('should reject requests that lose the last place to a parallel request', async () => {
+        Service.findById.mockResolvedValueOnce({ id: 1, is_active: true, max_queue_size: 5 });
+        Service.getQueueCounts.mockResolvedValueOnce({ 1: { active_count: '4', today_count: '4' } });
+        Queue.countActiveByUser.mockResolvedValueOnce(0);
+        Queue.create.mockRejectedValueOnce(queueLimitError('The queue for this service is full.', 'QUEUE_FULL'));
+
+        await queueController.requestQueue(mockReq, mockRes);
+
+        expect(Queue.create).toHaveBeenCalledWith(
+          expect.objectContaining({ limits: { maxQueuePerUser: 2 } })
+        );
+        expect(mockRes.status).toHaveBeenCalledWith(400);
+        expect(mockRes.json).toHaveBeenCalledWith(
+          expect.objectContaining({
+            error: expect.objectContaining({ code: 'QUEUE_FULL' }),
+          })
+        );
+      });
+    });
   });
-});
 
+  describe('checkInQueue', () => {
+    const waitingQueue = {
+      id: 7,
+      user_id: 1,
+      service_id: 1,
+      queue_number: 'REG-007',
+      queue_position: 3,
+      status: 'waiting',
+      requires_checkin: true,
+      checked_in_at: null,
+    };
+
+    const buildReq = (token) => ({
+      user: { userId: 1, role: 'student' },
+      params: { queueId: '7' },
+      body: { token },
+    });
+
+    const buildRes = () => ({
+      json: jest.fn(),
+      status: jest.fn().mockReturnThis(),
+    });
+
+    it('should check in with a valid display board code', async () => {
+      const mockRes = buildRes();
+      Queue.findById.mockResolvedValueOnce(waitingQueue);
+      Queue.checkIn.mockResolvedValueOnce({ ...waitingQueue, checked_in_at: new Date() });
+
+      await queueController.checkInQueue(buildReq(createCheckInToken(1).qrValue), mockRes);
+
+      expect(Queue.checkIn).toHaveBeenCalledWith('7', 1);
+      expect(mockRes.status).not.toHaveBeenCalled();
+      expect(mockRes.json).toHaveBeenCalledWith(
+        expect.objectContaining({ success: true })
+      );
+    });
+
+    it('should reject a code issued for another service', async () => {
+      const mockRes = buildRes();
+      Queue.findById.mockResolvedValueOnce(waitingQueue);
+
+      await queueController.checkInQueue(buildReq(createCheckInToken(2).token), mockRes);
+
+      expect(Queue.checkIn).not.toHaveBeenCalled();
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          error: expect.objectContaining({ code: CHECKIN_CODES.CHECKIN_TOKEN_INVALID }),
+        })
+      );
+    });
+
+    it('should reject check-in for tickets that do not need it', async () => {
+      const mockRes = buildRes();
+      Queue.findById.mockResolvedValueOnce({ ...waitingQueue, requires_checkin: false });
+
+      await queueController.checkInQueue(buildReq(createCheckInToken(1).token), mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          error: expect.objectContaining({ code: CHECKIN_CODES.CHECKIN_NOT_REQUIRED }),
+        })
+      );
+    });
+  });
+
+  describe('updateQueuePriority', () => {
+    const waitingQueue = { id: 9, user_id: 5, service_id: 1, queue_number: 'REG-009', status: 'waiting' };
+    const req = { user: { userId: 1, role: 'admin' }, params: { queueId: '9' }, body: { priorityCategory: null } };
+
+    const buildRes = () => ({
+      json: jest.fn(),
+      status: jest.fn().mockReturnThis(),
+    });
+
+    beforeEach(() => {
+      Role.getAccess.mockResolvedValue({ allowed: true, serviceIds: null });
+    });
+
+    it('should only change the priority of waiting tickets', async () => {
+      const mockRes = buildRes();
+      Queue.findById.mockResolvedValueOnce({ ...waitingQueue, status: 'serving' });
+
+      await queueController.updateQueuePriority(req, mockRes);
+
+      expect(Queue.setPriority).not.toHaveBeenCalled();
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+    });
+
+    it('should return 409 when the ticket was called in the meantime', async () => {
+      const mockRes = buildRes();
+      Queue.findById.mockResolvedValueOnce(waitingQueue);
+      Queue.setPriority.mockResolvedValueOnce(null);
+
+      await queueController.updateQueuePriority(req, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(409);
+      expect(mockRes.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          error: expect.objectContaining({ code: 'INVALID_QUEUE_STATUS' }),
+        })
+      );
+      expect(Queue.logQueueAction).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('staff access to tickets', () => {
+    const otherServiceQueue = {
+      id: 9,
+      user_id: 5,
+      service_id: 2,
+      queue_number: 'CASH-009',
+      status: 'waiting',
+      priority_category: null,
+    };
+
+    const supervisorReq = (extra = {}) => ({
+      user: { userId: 3, role: 'registrar_supervisor' },
+      params: { queueId: '9' },
+      body: {},
+      ...extra,
+    });
+
+    const buildRes = () => ({
+      json: jest.fn(),
+      status: jest.fn().mockReturnThis(),
+    });
+
+    beforeEach(() => {
+      Role.getAccess.mockResolvedValue({ allowed: true, serviceIds: [1] });
+      Role.hasPermission.mockResolvedValue(false);
+    });
+
+    it('should hide tickets of services outside the supervisor scope', async () => {
+      const mockRes = buildRes();
+      Queue.findById.mockResolvedValueOnce(otherServiceQueue);
+
+      await queueController.getQueueStatus(supervisorReq(), mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(403);
+    });
+
+    it('should show tickets of services in the supervisor scope', async () => {
+      const mockRes = buildRes();
+      Queue.findById.mockResolvedValueOnce({ ...otherServiceQueue, service_id: 1 });
+
+      await queueController.getQueueStatus(supervisorReq(), mockRes);
+
+      expect(mockRes.status).not.toHaveBeenCalled();
+      expect(mockRes.json).toHaveBeenCalledWith(
+        expect.objectContaining({ success: true })
+      );
+    });
+
+    it('should let counter staff see tickets of the services they are assigned to', async () => {
+      const mockRes = buildRes();
+      Role.getAccess.mockResolvedValue({ allowed: false, serviceIds: null });
+      Role.hasPermission.mockResolvedValue(true);
+      Counter.isStaffAssignedToService.mockResolvedValueOnce(true);
+      Queue.findById.mockResolvedValueOnce(otherServiceQueue);
+
+      await queueController.getQueueStatus(supervisorReq(), mockRes);
+
+      expect(Counter.isStaffAssignedToService).toHaveBeenCalledWith(2, 3);
+      expect(mockRes.status).not.toHaveBeenCalled();
+    });
+
+    it('should not change the priority of tickets outside the supervisor scope', async () => {
+      const mockRes = buildRes();
+      Queue.findById.mockResolvedValueOnce(otherServiceQueue);
+
+      await queueController.updateQueuePriority(
+        supervisorReq({ body: { priorityCategory: 'pwd' } }),
+        mockRes
+      );
+
+      expect(Queue.setPriority).not.toHaveBeenCalled();
+      expect(mockRes.status).toHaveBeenCalledWith(403);
+      expect(mockRes.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          error: expect.objectContaining({ code: ROLE_CODES.OUT_OF_SCOPE }),
+        })
+      );
+    });
+  });
+});
@@ -230,7 +230,6 @@ describe('API Integration Tests', () => {
         password: 'AdminPassword123!',
         firstName: 'Admin',
         lastName: 'User',
-        role: 'admin',
       };
 
       // Try to register admin (or login if exists)
@@ -259,6 +258,9 @@ describe('API Integration Tests', () => {
         throw new Error(`Failed to create or login admin user: ${adminResponse.status}`);
       }
 
+      // Public registration only creates students; promote the account directly
+      await query(`UPDATE users SET role = 'admin' WHERE email = $1`, [adminData.email]);
+
       // Create a test service
       const serviceData = {
         name: 'Test Service for Queue',
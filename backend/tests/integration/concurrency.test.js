@@ -0,0 +1,266 @@
+const request = require('supertest');
+const app = require('../../server');
+const { query } = require('../../config/database');
+const { getMaxQueuePerUser } = require('../../utils/queueLimits');
+
+// Mock socket server
+jest.mock('../../socket/socketServer', () => ({
+  initialize: jest.fn(),
+  emitQueueUpdate: jest.fn(),
+  emitQueueCalled: jest.fn(),
+  emitCounterUpdate: jest.fn(),
+}));
+
+const STUDENT_COUNT = 8;
+const studentEmail = (i) => `concurrencystudent${i}@example.com`;
+
+describe('Queue Concurrency Integration Tests', () => {
+  let studentTokens = [];
+  let adminToken;
+  let serviceId;
+  let counterIds = [];
+  let extraServiceIds = [];
+
+  const createService = async (name, maxQueueSize) => {
+    const res = await request(app)
+      .post('/api/admin/services')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({
+        name,
+        description: 'Service for concurrency testing',
+        estimated_service_time: 5,
+        max_queue_size: maxQueueSize,
+      });
+
+    extraServiceIds.push(res.body.data.id);
+    return res.body.data.id;
+  };
+
+  beforeAll(async () => {
+    // Create test students
+    const studentRes = await Promise.all(
+      Array.from({ length: STUDENT_COUNT }, (_, i) =>
+        request(app)
+          .post('/api/auth/register')
+          .send({
+            email: studentEmail(i),
+            password: 'Password123!',
+            firstName: 'Concurrency',
+            lastName: `Student${i}`,
+            role: 'student',
+          })
+      )
+    );
+
+    studentTokens = studentRes.map((res) => res.body.data.token);
+
+    // Create test admin
+    let adminRes = await request(app)
+      .post('/api/auth/register')
+      .send({
+        email: 'concurrencyadmin@example.com',
+        password: 'Password123!',
+        firstName: 'Concurrency',
+        lastName: 'Admin',
+      });
+
+    if (adminRes.status === 400) {
+      adminRes = await request(app)
+        .post('/api/auth/login')
+        .send({
+          email: 'concurrencyadmin@example.com',
+          password: 'Password123!',
+        });
+    }
+
+    adminToken = adminRes.body.data.token;
+
+    // Public registration only creates students; the role is read from the
+    // database on every request, so promoting the account is enough
+    await query(`UPDATE users SET role = 'admin' WHERE email = $1`, ['concurrencyadmin@example.com']);
+
+    // Create test service with two open counters
+    const serviceRes = await request(app)
+      .post('/api/admin/services')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({
+        name: 'Concurrency Test Service',
+        description: 'Service for concurrency testing',
+        estimated_service_time: 5,
+        max_queue_size: 100,
+      });
+
+    serviceId = serviceRes.body.data.id;
+
+    for (const counterNumber of [1, 2]) {
+      const counterRes = await request(app)
+        .post('/api/admin/counters')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          service_id: serviceId,
+          counter_number: counterNumber,
+          status: 'open',
+        });
+
+      counterIds.push(counterRes.body.data.id);
+    }
+  });
+
+  afterAll(async () => {
+    // Clean up
+    try {
+      for (const id of extraServiceIds) {
+        await query(`DELETE FROM queue_logs WHERE service_id = $1`, [id]).catch(() => {});
+        await query(`DELETE FROM queue_entries WHERE service_id = $1`, [id]).catch(() => {});
+        await query(`DELETE FROM services WHERE id = $1`, [id]).catch(() => {});
+      }
+      if (serviceId) {
+        await query(`
+          UPDATE counters SET current_serving_queue_id = NULL WHERE service_id = $1
+        `, [serviceId]).catch(() => {});
+        await query(`
+          DELETE FROM queue_logs WHERE service_id = $1
+        `, [serviceId]).catch(() => {});
+        await query(`
+          DELETE FROM queue_entries WHERE service_id = $1
+        `, [serviceId]).catch(() => {});
+        await query(`
+          DELETE FROM counters WHERE service_id = $1
+        `, [serviceId]).catch(() => {});
+        await query(`
+          DELETE FROM services WHERE id = $1
+        `, [serviceId]).catch(() => {});
+      }
+      await query(`
+        DELETE FROM users WHERE email LIKE 'concurrency%@example.com'
+      `).catch(() => {});
+    } catch (error) {
+      // Ignore cleanup errors
+    }
+  });
+
+  it('should give only one active queue to a user submitting twice at once', async () => {
+    const responses = await Promise.all(
+      [0, 1].map(() =>
+        request(app)
+          .post('/api/queue/request')
+          .set('Authorization', `Bearer ${studentTokens[0]}`)
+          .send({ serviceId })
+      )
+    );
+
+    const statuses = responses.map((res) => res.status).sort();
+    expect(statuses).toEqual([201, 400]);
+  });
+
+  it('should hand out unique queue numbers to parallel requests', async () => {
+    const responses = await Promise.all(
+      studentTokens.slice(1).map((token) =>
+        request(app)
+          .post('/api/queue/request')
+          .set('Authorization', `Bearer ${token}`)
+          .send({ serviceId })
+      )
+    );
+
+    responses.forEach((res) => expect(res.status).toBe(201));
+
+    const result = await query(`
+      SELECT queue_number FROM queue_entries
+      WHERE service_id = $1 AND status = 'waiting'
+    `, [serviceId]);
+
+    const numbers = result.rows.map((row) => row.queue_number);
+    expect(numbers).toHaveLength(STUDENT_COUNT);
+    expect(new Set(numbers).size).toBe(STUDENT_COUNT);
+  });
+
+  it('should never call the same entry from two counters', async () => {
+    // Each counter clicks "call next" several times at once
+    const responses = await Promise.all(
+      Array.from({ length: STUDENT_COUNT }, (_, i) =>
+        request(app)
+          .post(`/api/counters/${counterIds[i % 2]}/call-next`)
+          .set('Authorization', `Bearer ${adminToken}`)
+      )
+    );
+
+    const calledIds = responses
+      .filter((res) => res.status === 200)
+      .map((res) => res.body.data.queueId);
+
+    expect(calledIds).toHaveLength(STUDENT_COUNT);
+    expect(new Set(calledIds).size).toBe(STUDENT_COUNT);
+
+    const logResult = await query(`
+      SELECT queue_entry_id, COUNT(*) as call_count
+      FROM queue_logs
+      WHERE service_id = $1 AND action = 'called'
+      GROUP BY queue_entry_id
+      HAVING COUNT(*) > 1
+    `, [serviceId]);
+
+    expect(logResult.rows).toHaveLength(0);
+  });
+
+  it('should never let parallel requests push a service past max_queue_size', async () => {
+    const cappedId = await createService('Concurrency Capped Service', 3);
+
+    const responses = await Promise.all(
+      studentTokens.map((token) =>
+        request(app)
+          .post('/api/queue/request')
+          .set('Authorization', `Bearer ${token}`)
+          .send({ serviceId: cappedId })
+      )
+    );
+
+    const created = responses.filter((res) => res.status === 201);
+    const rejected = responses.filter((res) => res.status === 400);
+    expect(created).toHaveLength(3);
+    expect(rejected).toHaveLength(STUDENT_COUNT - 3);
+    rejected.forEach((res) => expect(res.body.error.code).toBe('QUEUE_FULL'));
+
+    const result = await query(`
+      SELECT COUNT(*) as active_count FROM queue_entries
+      WHERE service_id = $1 AND status IN ('waiting', 'called', 'serving')
+    `, [cappedId]);
+    expect(parseInt(result.rows[0].active_count)).toBe(3);
+  });
+
+  it('should never let one user go past max_queue_per_user with parallel requests', async () => {
+    const settingsResult = await query(`SELECT settings FROM system_settings WHERE id = 1`);
+    const maxQueuePerUser = getMaxQueuePerUser(settingsResult.rows[0]?.settings);
+
+    const studentRes = await request(app)
+      .post('/api/auth/register')
+      .send({
+        email: studentEmail('cap'),
+        password: 'Password123!',
+        firstName: 'Concurrency',
+        lastName: 'CapStudent',
+        role: 'student',
+      });
+    const token = studentRes.body.data.token;
+
+    const serviceIds = [];
+    for (let i = 0; i <= maxQueuePerUser; i++) {
+      serviceIds.push(await createService(`Concurrency Per User Service ${i}`, 100));
+    }
+
+    const responses = await Promise.all(
+      serviceIds.map((id) =>
+        request(app)
+          .post('/api/queue/request')
+          .set('Authorization', `Bearer ${token}`)
+          .send({ serviceId: id })
+      )
+    );
+
+    const created = responses.filter((res) => res.status === 201);
+    const rejected = responses.filter((res) => res.status === 400);
+    expect(created).toHaveLength(maxQueuePerUser);
+    expect(rejected).toHaveLength(1);
+    expect(rejected[0].body.error.code).toBe('USER_QUEUE_LIMIT_REACHED');
+  });
+});
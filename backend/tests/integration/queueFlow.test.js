@@ -38,7 +38,6 @@ describe('Queue Flow Integration Tests', () => {
         password: 'Password123!',
         firstName: 'Queue',
         lastName: 'Admin',
-        role: 'admin',
       });
 
     if (adminRes.status === 400) {
@@ -52,6 +51,10 @@ describe('Queue Flow Integration Tests', () => {
 
     adminToken = adminRes.body.data.token;
 
+    // Public registration only creates students; the role is read from the
+    // database on every request, so promoting the account is enough
+    await query(`UPDATE users SET role = 'admin' WHERE email = $1`, ['queueadmin@example.com']);
+
     // Create test service
     const serviceRes = await request(app)
       .post('/api/admin/services')
@@ -0,0 +1,118 @@
+const Role = require('../../models/Role');
+const { authorize, requireServiceScope, requireMigrationSecret } = require('../../middleware/auth');
+
+jest.mock('../../models/Role');
+
+const mockResponse = () => ({
+  json: jest.fn(),
+  status: jest.fn().mockReturnThis(),
+});
+
+describe('Authorization Middleware', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('authorize', () => {
+    it('should require an authenticated user', async () => {
+      const res = mockResponse();
+      const next = jest.fn();
+
+      await authorize('analytics.view')({}, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should reject roles without any of the permissions', async () => {
+      const res = mockResponse();
+      const next = jest.fn();
+      Role.getGrants.mockResolvedValueOnce([{ permission: 'counters.operate', serviceIds: null }]);
+
+      await authorize('analytics.view', 'queues.override')({ user: { role: 'counter_staff' } }, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json.mock.calls[0][0].error.code).toBe('FORBIDDEN');
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should pass and record the service scope', async () => {
+      const req = { user: { role: 'department_head' } };
+      const next = jest.fn();
+      Role.getGrants.mockResolvedValueOnce([{ permission: 'analytics.view', serviceIds: [2] }]);
+
+      await authorize('analytics.view')(req, mockResponse(), next);
+
+      expect(Role.getGrants).toHaveBeenCalledWith('department_head');
+      expect(next).toHaveBeenCalled();
+      expect(req.serviceScope).toEqual([2]);
+    });
+  });
+
+  describe('requireServiceScope', () => {
+    it('should reject services outside the scope', () => {
+      const res = mockResponse();
+      const next = jest.fn();
+
+      requireServiceScope()({ params: { id: '3' }, serviceScope: [2] }, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json.mock.calls[0][0].error.code).toBe('OUT_OF_SCOPE');
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should allow any service without a scope', () => {
+      const next = jest.fn();
+
+      requireServiceScope()({ params: { id: '3' }, serviceScope: null }, mockResponse(), next);
+
+      expect(next).toHaveBeenCalled();
+    });
+  });
+
+  describe('requireMigrationSecret', () => {
+    const originalSecret = process.env.MIGRATION_SECRET;
+
+    afterEach(() => {
+      process.env.MIGRATION_SECRET = originalSecret;
+      if (originalSecret === undefined) {
+        delete process.env.MIGRATION_SECRET;
+      }
+    });
+
+    it('should refuse every request when no secret is configured', () => {
+      delete process.env.MIGRATION_SECRET;
+      const res = mockResponse();
+      const next = jest.fn();
+
+      requireMigrationSecret({ headers: {} }, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should reject a wrong or missing secret', () => {
+      process.env.MIGRATION_SECRET = 'deploy-secret';
+      const next = jest.fn();
+
+      const wrong = mockResponse();
+      requireMigrationSecret({ headers: { 'x-migration-secret': 'deploy-secreT' } }, wrong, next);
+      const missing = mockResponse();
+      requireMigrationSecret({ headers: {} }, missing, next);
+
+      expect(wrong.status).toHaveBeenCalledWith(401);
+      expect(missing.status).toHaveBeenCalledWith(401);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should accept the secret from the header or the body', () => {
+      process.env.MIGRATION_SECRET = 'deploy-secret';
+      const next = jest.fn();
+
+      requireMigrationSecret({ headers: { 'x-migration-secret': 'deploy-secret' } }, mockResponse(), next);
+      requireMigrationSecret({ headers: {}, body: { secret: 'deploy-secret' } }, mockResponse(), next);
+
+      expect(next).toHaveBeenCalledTimes(2);
+    });
+  });
+});
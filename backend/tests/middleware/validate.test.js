@@ -0,0 +1,145 @@
+const { validate } = require('../../middleware/validate');
+const { MAX_INTEGER } = require('../../schemas/common');
+
+const mockResponse = () => ({
+  json: jest.fn(),
+  status: jest.fn().mockReturnThis(),
+});
+
+const ROUTE_FILES = ['auth', 'service', 'queue', 'counter', 'admin', 'appointment', 'kiosk', 'notification'];
+
+// Each route's path and the schema of its validate() middleware, if any
+const collectRoutes = () => ROUTE_FILES.flatMap((file) => {
+  const router = require(`../../routes/${file}.routes`);
+  return router.stack
+    .filter((layer) => layer.route)
+    .map((layer) => ({
+      file,
+      path: layer.route.path,
+      methods: Object.keys(layer.route.methods),
+      schema: layer.route.stack.map((handler) => handler.handle.schema).find(Boolean),
+    }));
+});
+
+describe('Validation Middleware', () => {
+  const schema = {
+    params: { queueId: { type: 'integer', required: true } },
+    query: { includePast: { type: 'boolean', default: false } },
+    body: { serviceId: { type: 'integer', required: true } },
+  };
+
+  it('should replace params, query and body with coerced values', () => {
+    // Express 5 serves req.query from a getter on the request prototype
+    const req = Object.create({ get query() { return { includePast: 'true' }; } });
+    req.params = { queueId: '7' };
+    req.body = { serviceId: '3', note: 'kept' };
+    const next = jest.fn();
+
+    validate(schema)(req, mockResponse(), next);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.params).toEqual({ queueId: 7 });
+    expect(req.query).toEqual({ includePast: true });
+    expect(req.body).toEqual({ serviceId: 3, note: 'kept' });
+  });
+
+  it('should respond 400 with every field problem', () => {
+    const req = { params: { queueId: 'x' }, query: {}, body: {} };
+    const res = mockResponse();
+    const next = jest.fn();
+
+    validate(schema)(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({
+      success: false,
+      error: {
+        message: 'queueId must be a whole number',
+        code: 'VALIDATION_ERROR',
+        details: [
+          { field: 'queueId', location: 'params', code: 'INVALID_TYPE', message: 'queueId must be a whole number' },
+          { field: 'serviceId', location: 'body', code: 'REQUIRED', message: 'serviceId is required' },
+        ],
+      },
+    });
+  });
+
+  it('should expose its schema for the API reference', () => {
+    expect(validate(schema).schema).toBe(schema);
+  });
+
+  describe('route schemas', () => {
+    const routes = collectRoutes();
+
+    it('should describe every route parameter', () => {
+      const undescribed = routes
+        .flatMap((route) => (route.path.match(/:(\w+)/g) || [])
+          .map((param) => param.slice(1))
+          .filter((param) => !route.schema?.params?.[param])
+          .map((param) => `${route.file} ${route.path} :${param}`));
+
+      expect(undescribed).toEqual([]);
+    });
+
+    it('should reject unknown fields on every admin mutation with a body', () => {
+      const loose = routes
+        .filter((route) => route.file === 'admin' && route.schema?.body && !route.schema.strict)
+        .map((route) => route.path);
+
+      expect(loose).toEqual([]);
+    });
+
+    it('should validate every request body a route reads', () => {
+      const mutations = routes.filter((route) => route.methods.some((method) => ['post', 'put'].includes(method)));
+      const withoutSchema = mutations
+        .filter((route) => !route.schema)
+        .map((route) => `${route.file} ${route.path}`);
+
+      // These take no input beyond the signed-in user and route parameters
+      expect(withoutSchema).toEqual([
+        'auth /logout-all',
+        'auth /verify-email/resend',
+        'notification /read-all',
+      ]);
+    });
+
+    it('should cap every integer field at the INTEGER column range', () => {
+      // Walk nested object properties and array items as well
+      const unbounded = [];
+      const visit = (spec, name) => {
+        if (spec.type === 'integer' && !(spec.max <= MAX_INTEGER)) {
+          unbounded.push(name);
+        }
+        Object.entries(spec.properties || {}).forEach(([key, child]) => visit(child, `${name}.${key}`));
+        if (spec.items) {
+          visit(spec.items, `${name}[]`);
+        }
+      };
+      routes.filter((route) => route.schema).forEach((route) => {
+        ['params', 'query', 'body'].forEach((location) => {
+          Object.entries(route.schema[location] || {}).forEach(([field, spec]) => {
+            visit(spec, `${route.file} ${route.path} ${field}`);
+          });
+        });
+      });
+
+      expect(unbounded).toEqual([]);
+    });
+
+    it('should reject ids too large for the database', () => {
+      const route = routes.find((r) => r.file === 'queue' && r.path === '/:queueId' && r.methods.includes('get'));
+      const req = { params: { queueId: '2147483648' }, query: {}, body: {} };
+      const res = mockResponse();
+      const next = jest.fn();
+
+      validate(route.schema)(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json.mock.calls[0][0].error.details[0]).toEqual(
+        expect.objectContaining({ field: 'queueId', code: 'TOO_LARGE' })
+      );
+    });
+  });
+});
@@ -0,0 +1,52 @@
+const Counter = require('../../models/Counter');
+const Service = require('../../models/Service');
+const { query, transaction } = require('../../config/database');
+
+jest.mock('../../models/Service');
+jest.mock('../../config/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn(),
+}));
+
+describe('Counter Model', () => {
+  let client;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    client = { query: jest.fn() };
+    transaction.mockImplementation((callback) => callback(client));
+  });
+
+  describe('callNext', () => {
+    it('should lock the service and count the interleave inside the transaction', async () => {
+      Service.getSettings.mockResolvedValue({ enable_priority_queue: true, priority_interleave_ratio: 3 });
+      client.query
+        .mockResolvedValueOnce({ rows: [{ id: 2, service_id: 1 }] }) // Counter lock
+        .mockResolvedValueOnce({ rows: [{ id: 1 }] }) // Service lock
+        .mockResolvedValueOnce({ rows: [{ regular_count: '3' }] }) // Interleave count
+        .mockResolvedValueOnce({ rows: [{ id: 10, priority_category: 'pwd' }] }) // Next entry
+        .mockResolvedValueOnce({ rows: [{ id: 10, status: 'called' }] }) // Call
+        .mockResolvedValueOnce({ rows: [] }); // Counter update
+
+      const result = await Counter.callNext(2);
+
+      expect(result).toEqual({ id: 10, status: 'called' });
+      expect(query).not.toHaveBeenCalled();
+      expect(client.query.mock.calls[1][0]).toMatch(/FROM services[\s\S]*FOR NO KEY UPDATE/);
+      expect(client.query.mock.calls[2][0]).toMatch(/regular_count/);
+      // Three regular calls since the last priority one: the priority lane is next
+      expect(client.query.mock.calls[3][1]).toEqual([1, 2, true, true]);
+    });
+
+    it('should return null when nobody is waiting', async () => {
+      Service.getSettings.mockResolvedValue({ enable_priority_queue: false });
+      client.query
+        .mockResolvedValueOnce({ rows: [{ id: 2, service_id: 1 }] })
+        .mockResolvedValueOnce({ rows: [{ id: 1 }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      expect(await Counter.callNext(2)).toBeNull();
+      expect(client.query).toHaveBeenCalledTimes(3);
+    });
+  });
+});
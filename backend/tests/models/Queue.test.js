@@ -1,9 +1,14 @@
 const Queue = require('../../models/Queue');
 const { query } = require('../../config/database');
 
-jest.mock('../../config/database', () => ({
-  query: jest.fn(),
-}));
+jest.mock('../../config/database', () => {
+  const query = jest.fn();
+  return {
+    query,
+    // Run transactional callbacks against the same mocked query
+    transaction: jest.fn((callback) => callback({ query })),
+  };
+});
 
 describe('Queue Model', () => {
   beforeEach(() => {
@@ -66,6 +71,76 @@ describe('Queue Model', () => {
 
       await expect(Queue.generateQueueNumber(999)).rejects.toThrow('Service not found');
     });
+
+    it('should use a separate P-prefixed sequence for priority lanes', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [{ name: 'Registrar', queue_prefix: '' }] })
+        .mockResolvedValueOnce({ rows: [{ queue_number: 'PREG-002' }] });
+
+      const result = await Queue.generateQueueNumber(1, true);
+
+      expect(result).toBe('PREG-003');
+      expect(query.mock.calls[1][1][2]).toBe('PREG-%');
+    });
+  });
+
+  describe('create', () => {
+    it('should lock the service row while generating the number', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [{ name: 'Registrar', queue_prefix: '' }] })
+        .mockResolvedValueOnce({ rows: [] }) // Last number
+        .mockResolvedValueOnce({ rows: [] }) // Active queue re-check
+        .mockResolvedValueOnce({ rows: [{ position: '0' }] })
+        .mockResolvedValueOnce({ rows: [{ estimated_service_time: 5 }] })
+        .mockResolvedValueOnce({ rows: [{ id: 10, queue_number: 'REG-001', queue_position: 1 }] })
+        .mockResolvedValueOnce({ rows: [] }); // Log
+
+      const result = await Queue.create({ userId: 1, serviceId: 1 });
+
+      expect(result.queue_number).toBe('REG-001');
+      expect(query.mock.calls[0][0]).toMatch(/FOR NO KEY UPDATE/);
+    });
+
+    it('should reject a second active entry found under the lock', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [{ name: 'Registrar', queue_prefix: '' }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ id: 9, status: 'waiting' }] });
+
+      await expect(Queue.create({ userId: 1, serviceId: 1 }))
+        .rejects.toThrow('You already have an active queue for this service');
+      expect(query).toHaveBeenCalledTimes(3);
+    });
+
+    it('should reject a full service found under the lock', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [{ name: 'Registrar', queue_prefix: '' }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({
+          rows: [{ max_queue_size: 5, max_queue_before_closing: 50, active_count: '5', today_count: '5' }],
+        });
+
+      await expect(Queue.create({ userId: 1, serviceId: 1, limits: { maxQueuePerUser: 3 } }))
+        .rejects.toMatchObject({ code: 'QUEUE_FULL' });
+      expect(query).toHaveBeenCalledTimes(4);
+    });
+
+    it('should lock the user and reject once they hold the most tickets allowed', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [{ name: 'Registrar', queue_prefix: '' }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({
+          rows: [{ max_queue_size: 100, max_queue_before_closing: 50, active_count: '2', today_count: '9' }],
+        })
+        .mockResolvedValueOnce({ rows: [{ id: 1 }] }) // User lock
+        .mockResolvedValueOnce({ rows: [{ active_count: '3' }] });
+
+      await expect(Queue.create({ userId: 1, serviceId: 1, limits: { maxQueuePerUser: 3 } }))
+        .rejects.toMatchObject({ code: 'USER_QUEUE_LIMIT_REACHED' });
+      expect(query.mock.calls[4][0]).toMatch(/FROM users WHERE id = \$1 FOR NO KEY UPDATE/);
+    });
   });
 
   describe('calculateQueuePosition', () => {
@@ -85,5 +160,164 @@ describe('Queue Model', () => {
       expect(result).toBe(6); // position + 1
     });
   });
-});
 
+  describe('rejoin', () => {
+    it('should throw when queue entry is not skipped', async () => {
+      query.mockResolvedValueOnce({ rows: [{ id: 1, service_id: 1, status: 'waiting' }] });
+
+      await expect(Queue.rejoin(1, 1, 5)).rejects.toThrow('Only skipped queue entries can rejoin the queue');
+    });
+
+    it('should throw when rejoin window has expired', async () => {
+      const skippedAt = new Date(Date.now() - 10 * 60 * 1000);
+      query.mockResolvedValueOnce({
+        rows: [{ id: 1, service_id: 1, status: 'skipped', skipped_at: skippedAt }],
+      });
+
+      await expect(Queue.rejoin(1, 1, 5)).rejects.toThrow('Rejoin window has expired');
+    });
+
+    it('should send a skipped entry to the back of the line', async () => {
+      const skippedAt = new Date(Date.now() - 60 * 1000);
+      query
+        .mockResolvedValueOnce({
+          rows: [{ id: 1, service_id: 1, status: 'skipped', skipped_at: skippedAt, requested_at: new Date('2024-01-15T08:00:00Z') }],
+        })
+        .mockResolvedValueOnce({ rows: [{ id: 1 }] }) // Service lock
+        .mockResolvedValueOnce({ rows: [] }) // Active queue check
+        .mockResolvedValueOnce({ rows: [{ position: '2' }] }) // Everyone waiting now
+        .mockResolvedValueOnce({ rows: [{ id: 1, service_id: 1, status: 'waiting', queue_position: 3 }] }) // Update
+        .mockResolvedValueOnce({ rows: [] }); // Log
+
+      const result = await Queue.rejoin(1, 1, 5);
+
+      expect(result.status).toBe('waiting');
+      expect(query.mock.calls[1][0]).toMatch(/FOR NO KEY UPDATE/);
+
+      // Counted behind every waiting entry, regular or appointment
+      const [positionSql, positionParams] = query.mock.calls[3];
+      expect(positionSql).toMatch(/status = 'waiting'/);
+      expect(positionSql).not.toMatch(/appointment_id IS NOT NULL/);
+      expect(positionParams).toEqual([1]);
+
+      // A fresh requested_at keeps the trigger and call-next from putting it back in front
+      const [updateSql, updateParams] = query.mock.calls[4];
+      expect(updateSql).toMatch(/requested_at = NOW\(\)/);
+      expect(updateSql).toMatch(/AND status = 'skipped'/);
+      expect(updateParams).toEqual([3, 1]);
+    });
+
+    it('should reject a second active entry found under the lock', async () => {
+      const skippedAt = new Date(Date.now() - 60 * 1000);
+      query
+        .mockResolvedValueOnce({ rows: [{ id: 1, service_id: 1, status: 'skipped', skipped_at: skippedAt }] })
+        .mockResolvedValueOnce({ rows: [{ id: 1 }] })
+        .mockResolvedValueOnce({ rows: [{ id: 9, status: 'waiting' }] });
+
+      await expect(Queue.rejoin(1, 1, 5)).rejects.toThrow('You already have an active queue for this service');
+      expect(query).toHaveBeenCalledTimes(3);
+    });
+
+    it('should not rejoin an entry that left the skipped state meanwhile', async () => {
+      const skippedAt = new Date(Date.now() - 60 * 1000);
+      query
+        .mockResolvedValueOnce({ rows: [{ id: 1, service_id: 1, status: 'skipped', skipped_at: skippedAt }] })
+        .mockResolvedValueOnce({ rows: [{ id: 1 }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ position: '2' }] })
+        .mockResolvedValueOnce({ rows: [] }); // Recalled in the meantime
+
+      await expect(Queue.rejoin(1, 1, 5)).rejects.toThrow('Only skipped queue entries can rejoin the queue');
+    });
+  });
+
+  describe('skip', () => {
+    it('should only skip entries still called', async () => {
+      query.mockResolvedValueOnce({ rows: [] });
+
+      expect(await Queue.skip(1)).toBeNull();
+      expect(query.mock.calls[0][0]).toMatch(/AND status = 'called'/);
+    });
+  });
+
+  describe('recall', () => {
+    it('should only recall entries still called or skipped', async () => {
+      query.mockResolvedValueOnce({ rows: [] });
+
+      expect(await Queue.recall(1, 2)).toBeNull();
+      expect(query.mock.calls[0][0]).toMatch(/AND status IN \('called', 'skipped'\)/);
+    });
+  });
+
+  describe('transfer', () => {
+    it('should leave entries that are no longer active alone', async () => {
+      query.mockResolvedValueOnce({ rows: [{ id: 1, service_id: 1, status: 'completed' }] });
+
+      expect(await Queue.transfer(1, 2)).toBeNull();
+      expect(query.mock.calls[0][0]).toMatch(/FOR UPDATE/);
+      expect(query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should only move entries that are still active', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [{ id: 1, service_id: 1, status: 'waiting', queue_number: 'REG-004' }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      expect(await Queue.transfer(1, 1, 3)).toBeNull();
+      expect(query.mock.calls[1][0]).toMatch(/AND status IN \('waiting', 'called', 'serving'\)/);
+    });
+
+    it('should give the entry a new number from the target service and keep requested_at', async () => {
+      const requestedAt = new Date('2024-01-15T08:00:00Z');
+      query
+        .mockResolvedValueOnce({
+          rows: [{ id: 1, service_id: 1, status: 'called', queue_number: 'REG-004', requested_at: requestedAt }],
+        }) // Locked read
+        .mockResolvedValueOnce({ rows: [{ name: 'Cashier', queue_prefix: 'CSH' }] }) // Target service
+        .mockResolvedValueOnce({ rows: [{ queue_number: 'CSH-002' }] }) // Last number
+        .mockResolvedValueOnce({
+          rows: [{ id: 1, service_id: 2, status: 'waiting', queue_number: 'CSH-003', requested_at: requestedAt }],
+        }) // Update
+        .mockResolvedValueOnce({ rows: [] }); // Source positions
+
+      const result = await Queue.transfer(1, 2, null);
+
+      expect(result.previous.queue_number).toBe('REG-004');
+      expect(result.queue.queue_number).toBe('CSH-003');
+      expect(result.queue.requested_at).toBe(requestedAt);
+      expect(query.mock.calls[3][0]).not.toMatch(/requested_at/);
+      expect(query.mock.calls[3][1]).toEqual([2, null, 'CSH-003', 1]);
+    });
+
+    it('should keep the queue number when moving to a counter in the same service', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [{ id: 1, service_id: 1, status: 'waiting', queue_number: 'REG-004' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 1, service_id: 1, counter_id: 3, status: 'waiting', queue_number: 'REG-004' }] });
+
+      const result = await Queue.transfer(1, 1, 3);
+
+      expect(result.queue.queue_number).toBe('REG-004');
+      expect(query).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('setPriority', () => {
+    it('should leave entries that are no longer waiting alone', async () => {
+      query.mockResolvedValueOnce({ rows: [{ id: 1, service_id: 1, status: 'called', queue_number: 'REG-004' }] });
+
+      expect(await Queue.setPriority(1, 'pwd')).toBeNull();
+      expect(query.mock.calls[0][0]).toMatch(/FOR UPDATE/);
+      expect(query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should only change entries that are still waiting', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [{ id: 1, service_id: 1, status: 'waiting', priority_category: 'pwd', queue_number: 'PREG-002' }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      expect(await Queue.setPriority(1, 'senior')).toBeNull();
+      expect(query.mock.calls[1][0]).toMatch(/AND status = 'waiting'/);
+      expect(query.mock.calls[1][1]).toEqual(['senior', 'PREG-002', 1]);
+    });
+  });
+});
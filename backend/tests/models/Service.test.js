@@ -68,5 +68,16 @@ describe('Service Model', () => {
       expect(result).toBeNull();
     });
   });
+
+  describe('getSettings', () => {
+    it('should fall back to defaults when the service has no settings row', async () => {
+      query.mockResolvedValueOnce({ rows: [] });
+
+      const result = await Service.getSettings(1);
+
+      expect(result.enable_priority_queue).toBe(false);
+      expect(result.priority_interleave_ratio).toBe(3);
+    });
+  });
 });
 
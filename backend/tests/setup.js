@@ -4,7 +4,7 @@
 // Set test environment variables
 process.env.NODE_ENV = 'test';
 process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret-key-for-jest';
-process.env.JWT_EXPIRE = process.env.JWT_EXPIRE || '7d';
+process.env.ACCESS_TOKEN_EXPIRE = process.env.ACCESS_TOKEN_EXPIRE || '15m';
 
 // For integration tests, use the existing database
 // If DB_NAME is not set in .env, it will default to 'clsu_nexus' from database.js
@@ -0,0 +1,125 @@
+const jwt = require('jsonwebtoken');
+const Counter = require('../../models/Counter');
+const User = require('../../models/User');
+const Role = require('../../models/Role');
+const {
+  authenticateHandshake,
+  canJoinRoom,
+  SOCKET_AUTH_CODES,
+} = require('../../socket/socketAuth');
+const { createDisplayBoardToken } = require('../../utils/displayBoardToken');
+
+jest.mock('../../models/Counter');
+jest.mock('../../models/User');
+jest.mock('../../models/Role');
+
+describe('Socket Authentication', () => {
+  const student = { type: 'user', userId: 6, role: 'student' };
+  const staff = { type: 'user', userId: 3, role: 'counter_staff' };
+
+  const grants = {
+    admin: ['queues.override', 'counters.operate'],
+    counter_staff: ['counters.operate'],
+    supervisor: ['queues.override'],
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Role.getAccess.mockImplementation(async (role, permission) => ({
+      allowed: (grants[role] || []).includes(permission),
+      serviceIds: role === 'supervisor' ? [2] : null,
+    }));
+    Role.hasPermission.mockImplementation(async (role, permission) => (grants[role] || []).includes(permission));
+  });
+
+  describe('authenticateHandshake', () => {
+    beforeEach(() => {
+      User.getAuthState.mockResolvedValue({ id: 6, role: 'student', is_active: true, token_version: 0 });
+    });
+
+    it('should accept a login token from auth or the Authorization header', async () => {
+      const token = jwt.sign({ userId: 6, role: 'student', tokenVersion: 0 }, process.env.JWT_SECRET);
+
+      expect(await authenticateHandshake({ auth: { token } })).toEqual(student);
+      expect(await authenticateHandshake({ headers: { authorization: `Bearer ${token}` } })).toEqual(student);
+    });
+
+    it('should accept a display board token as a read-only client', async () => {
+      const { token } = createDisplayBoardToken(2);
+
+      expect(await authenticateHandshake({ auth: { token } })).toEqual({ type: 'display_board', serviceId: 2 });
+    });
+
+    it('should reject missing and invalid tokens', async () => {
+      await expect(authenticateHandshake({ auth: {} })).rejects.toEqual(
+        expect.objectContaining({ data: { code: SOCKET_AUTH_CODES.AUTH_REQUIRED } })
+      );
+
+      const forged = jwt.sign({ userId: 6, role: 'admin' }, 'not-the-secret');
+      await expect(authenticateHandshake({ auth: { token: forged } })).rejects.toEqual(
+        expect.objectContaining({ data: { code: SOCKET_AUTH_CODES.AUTH_INVALID } })
+      );
+    });
+
+    it('should reject revoked sessions and deactivated accounts', async () => {
+      const token = jwt.sign({ userId: 6, role: 'student', tokenVersion: 0 }, process.env.JWT_SECRET);
+
+      User.getAuthState.mockResolvedValueOnce({ id: 6, role: 'student', is_active: true, token_version: 1 });
+      await expect(authenticateHandshake({ auth: { token } })).rejects.toEqual(
+        expect.objectContaining({ data: { code: SOCKET_AUTH_CODES.AUTH_INVALID } })
+      );
+
+      User.getAuthState.mockResolvedValueOnce({ id: 6, role: 'student', is_active: false, token_version: 0 });
+      await expect(authenticateHandshake({ auth: { token } })).rejects.toEqual(
+        expect.objectContaining({ data: { code: SOCKET_AUTH_CODES.AUTH_INVALID } })
+      );
+    });
+
+    it('should not treat a display board token as a login', () => {
+      const { token } = createDisplayBoardToken();
+
+      expect(() => jwt.verify(token, process.env.JWT_SECRET)).toThrow();
+    });
+  });
+
+  describe('canJoinRoom', () => {
+    it('should only allow your own user room', async () => {
+      expect((await canJoinRoom(student, 'user', 6)).allowed).toBe(true);
+      expect((await canJoinRoom(student, 'user', '6')).allowed).toBe(true);
+      expect((await canJoinRoom(student, 'user', 7)).allowed).toBe(false);
+    });
+
+    it('should allow service rooms for anyone signed in', async () => {
+      expect((await canJoinRoom(student, 'service', 1)).allowed).toBe(true);
+      expect((await canJoinRoom({ type: 'display_board', serviceId: null }, 'service', 1)).allowed).toBe(true);
+    });
+
+    it('should keep display boards to their service and out of private rooms', async () => {
+      const board = { type: 'display_board', serviceId: 2 };
+
+      expect((await canJoinRoom(board, 'service', 2)).allowed).toBe(true);
+      expect((await canJoinRoom(board, 'service', 3)).allowed).toBe(false);
+      expect((await canJoinRoom(board, 'user', 6)).allowed).toBe(false);
+      expect((await canJoinRoom(board, 'counter', 1)).allowed).toBe(false);
+    });
+
+    it('should only allow counter rooms for assigned staff and admins', async () => {
+      Counter.isStaffAssigned.mockResolvedValueOnce(true).mockResolvedValueOnce(false);
+
+      expect((await canJoinRoom(staff, 'counter', 1)).allowed).toBe(true);
+      expect((await canJoinRoom(staff, 'counter', 2)).allowed).toBe(false);
+      expect(Counter.isStaffAssigned).toHaveBeenCalledWith(2, 3);
+      expect((await canJoinRoom({ type: 'user', userId: 1, role: 'admin' }, 'counter', 2)).allowed).toBe(true);
+      expect((await canJoinRoom(student, 'counter', 1)).allowed).toBe(false);
+    });
+
+    it('should limit queue supervisors to counters of their services', async () => {
+      const supervisor = { type: 'user', userId: 8, role: 'supervisor' };
+      Counter.findById.mockResolvedValueOnce({ id: 4, service_id: 2 }).mockResolvedValueOnce({ id: 5, service_id: 3 });
+
+      expect((await canJoinRoom(supervisor, 'counter', 4)).allowed).toBe(true);
+      expect((await canJoinRoom(supervisor, 'counter', 5)).allowed).toBe(false);
+      expect(Counter.isStaffAssigned).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,46 @@
+const { getCheckInState, isBookableDate, APPOINTMENT_CODES } = require('../../utils/appointments');
+
+describe('Appointment Helpers', () => {
+  const appointment = {
+    appointment_date: '2024-10-21',
+    start_time: '10:00:00',
+  };
+
+  describe('getCheckInState', () => {
+    it('should allow check-in within the window around the slot start', () => {
+      const state = getCheckInState(appointment, 15, new Date(2024, 9, 21, 9, 50));
+
+      expect(state.canCheckIn).toBe(true);
+      expect(state.code).toBeNull();
+    });
+
+    it('should reject check-in before the window opens', () => {
+      const state = getCheckInState(appointment, 15, new Date(2024, 9, 21, 9, 30));
+
+      expect(state.canCheckIn).toBe(false);
+      expect(state.code).toBe(APPOINTMENT_CODES.CHECKIN_TOO_EARLY);
+      expect(state.message).toBe('Check-in opens at 09:45.');
+    });
+
+    it('should report a missed window after it closes', () => {
+      const state = getCheckInState(appointment, 15, new Date(2024, 9, 21, 10, 16));
+
+      expect(state.canCheckIn).toBe(false);
+      expect(state.code).toBe(APPOINTMENT_CODES.CHECKIN_WINDOW_MISSED);
+    });
+  });
+
+  describe('isBookableDate', () => {
+    const now = new Date(2024, 9, 19, 12, 0);
+
+    it('should accept today up to the booking horizon', () => {
+      expect(isBookableDate('2024-10-19', now)).toBe(true);
+      expect(isBookableDate('2024-11-02', now)).toBe(true);
+    });
+
+    it('should reject past dates and dates beyond the horizon', () => {
+      expect(isBookableDate('2024-10-18', now)).toBe(false);
+      expect(isBookableDate('2024-11-03', now)).toBe(false);
+    });
+  });
+});
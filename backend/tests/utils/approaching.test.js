@@ -0,0 +1,155 @@
+const Queue = require('../../models/Queue');
+const Service = require('../../models/Service');
+const Notification = require('../../models/Notification');
+const socketServer = require('../../socket/socketServer');
+const QueueEvents = require('../../socket/queueEvents');
+const { sendChannelNotifications } = require('../../utils/notificationChannels');
+const { query } = require('../../config/database');
+const {
+  DEFAULT_NOTIFICATION_BEFORE_MINUTES,
+  DEFAULT_NOTIFICATION_AT_POSITION,
+  resolveApproachingThresholds,
+  getEstimatedWaitMinutes,
+  isApproaching,
+} = require('../../utils/approaching');
+
+jest.mock('../../models/Queue');
+jest.mock('../../models/Service');
+jest.mock('../../models/Notification');
+jest.mock('../../socket/socketServer');
+jest.mock('../../utils/pushNotifications');
+jest.mock('../../utils/notificationChannels');
+jest.mock('../../config/database', () => ({
+  query: jest.fn(),
+}));
+
+describe('Approaching Alerts', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('resolveApproachingThresholds', () => {
+    it('should prefer the service window over the system one', () => {
+      expect(resolveApproachingThresholds(
+        { notification_before_minutes: 10 },
+        { notification_before_minutes: 5, notification_at_position: 2 }
+      )).toEqual({ minutes: 10, position: 2 });
+    });
+
+    it('should fall back to the system settings, then the defaults', () => {
+      expect(resolveApproachingThresholds(
+        { notification_before_minutes: null },
+        { notification_before_minutes: 8 }
+      )).toEqual({ minutes: 8, position: DEFAULT_NOTIFICATION_AT_POSITION });
+
+      expect(resolveApproachingThresholds()).toEqual({
+        minutes: DEFAULT_NOTIFICATION_BEFORE_MINUTES,
+        position: DEFAULT_NOTIFICATION_AT_POSITION,
+      });
+    });
+
+    it('should keep 0 so an alert can be turned off', () => {
+      expect(resolveApproachingThresholds(
+        { notification_before_minutes: 0 },
+        { notification_before_minutes: 5, notification_at_position: 0 }
+      )).toEqual({ minutes: 0, position: 0 });
+    });
+  });
+
+  describe('isApproaching', () => {
+    const entry = (queuePosition) => ({ queue_position: queuePosition, estimated_service_time: 4 });
+
+    it('should count one service time per person ahead', () => {
+      expect(getEstimatedWaitMinutes(entry(1))).toBe(0);
+      expect(getEstimatedWaitMinutes(entry(4))).toBe(12);
+    });
+
+    it('should match tickets within the time window', () => {
+      expect(isApproaching(entry(3), { minutes: 8, position: 0 })).toBe(true);
+      expect(isApproaching(entry(4), { minutes: 8, position: 0 })).toBe(false);
+    });
+
+    it('should match tickets at or past the alert position', () => {
+      expect(isApproaching(entry(5), { minutes: 0, position: 5 })).toBe(true);
+      expect(isApproaching(entry(6), { minutes: 0, position: 5 })).toBe(false);
+    });
+
+    it('should match nothing when both alerts are off', () => {
+      expect(isApproaching(entry(1), { minutes: 0, position: 0 })).toBe(false);
+    });
+  });
+
+  describe('QueueEvents.emitQueueApproaching', () => {
+    const candidate = (id, queuePosition) => ({
+      id,
+      user_id: 100 + id,
+      service_id: 1,
+      queue_number: `REG-00${id}`,
+      queue_position: queuePosition,
+      requires_checkin: false,
+      checked_in_at: null,
+      service_name: 'Registrar',
+      estimated_service_time: 5,
+    });
+
+    beforeEach(() => {
+      query.mockResolvedValue({ rows: [{ settings: { notification_before_minutes: 5, notification_at_position: 0 } }] });
+      Service.getSettings.mockResolvedValue({ notification_before_minutes: null });
+      Notification.create.mockImplementation(async ({ userId }) => ({ id: userId * 10 }));
+      Queue.markApproachingNotified.mockResolvedValue(true);
+      sendChannelNotifications.mockResolvedValue({ sent: 0, failed: 0 });
+    });
+
+    it('should alert each ticket inside the window once, over socket and inbox', async () => {
+      Queue.findApproachingCandidates.mockResolvedValue([candidate(1, 1), candidate(2, 2), candidate(3, 3)]);
+
+      await QueueEvents.emitQueueApproaching(1);
+
+      expect(Queue.markApproachingNotified.mock.calls).toEqual([[1], [2]]);
+      expect(Notification.create).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 102,
+        queueEntryId: 2,
+        type: 'approaching',
+        event: 'queue_approaching',
+      }));
+      expect(socketServer.emitQueueCalled).toHaveBeenCalledTimes(2);
+      expect(socketServer.emitQueueCalled).toHaveBeenCalledWith(102, expect.objectContaining({
+        type: 'queue_approaching',
+        queueNumber: 'REG-002',
+        peopleAhead: 1,
+        estimatedWaitMinutes: 5,
+        notificationId: 1020,
+        message: 'Queue REG-002 is almost up at Registrar: 1 ahead of you, about 5 min. Please head over now.',
+      }));
+    });
+
+    it('should not alert a ticket that was already claimed', async () => {
+      Queue.findApproachingCandidates.mockResolvedValue([candidate(1, 1)]);
+      Queue.markApproachingNotified.mockResolvedValue(false);
+
+      await QueueEvents.emitQueueApproaching(1);
+
+      expect(Notification.create).not.toHaveBeenCalled();
+      expect(socketServer.emitQueueCalled).not.toHaveBeenCalled();
+    });
+
+    it('should remind students who still have to check in', async () => {
+      Queue.findApproachingCandidates.mockResolvedValue([{ ...candidate(1, 1), requires_checkin: true }]);
+
+      await QueueEvents.emitQueueApproaching(1);
+
+      expect(socketServer.emitQueueCalled).toHaveBeenCalledWith(101, expect.objectContaining({
+        message: 'Queue REG-001 is next at Registrar. Please head over now. Scan the check-in code when you arrive.',
+      }));
+    });
+
+    it('should log and carry on when the check fails', async () => {
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+      Queue.findApproachingCandidates.mockRejectedValue(new Error('db down'));
+
+      await expect(QueueEvents.emitQueueApproaching(1)).resolves.toBeUndefined();
+      expect(consoleSpy).toHaveBeenCalledWith('Error emitting queue approaching event:', expect.any(Error));
+      consoleSpy.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,119 @@
+const AuditLog = require('../../models/AuditLog');
+const {
+  AUDIT_ACTIONS,
+  AUDIT_ENTITY_TYPES,
+  getEntityType,
+  diffChanges,
+  recordAudit,
+} = require('../../utils/audit');
+
+jest.mock('../../models/AuditLog');
+
+describe('Audit Log Helpers', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getEntityType', () => {
+    it('should take the entity from the action', () => {
+      expect(getEntityType(AUDIT_ACTIONS.SERVICE_UPDATE)).toBe('service');
+      expect(getEntityType(AUDIT_ACTIONS.SCHEDULE_EXCEPTION_DELETE)).toBe('schedule_exception');
+    });
+
+    it('should list each entity type once', () => {
+      expect(AUDIT_ENTITY_TYPES).toEqual(expect.arrayContaining(['user', 'role', 'service', 'counter', 'queue', 'settings']));
+      expect(new Set(AUDIT_ENTITY_TYPES).size).toBe(AUDIT_ENTITY_TYPES.length);
+    });
+  });
+
+  describe('diffChanges', () => {
+    it('should list only changed fields of an update', () => {
+      const before = { id: 3, name: 'Registrar', max_queue_size: 50, is_active: true };
+      const after = { id: 3, name: 'Registrar', max_queue_size: 80, is_active: false };
+
+      expect(diffChanges(before, after)).toEqual({
+        max_queue_size: { from: 50, to: 80 },
+        is_active: { from: true, to: false },
+      });
+    });
+
+    it('should compare only the given fields', () => {
+      const before = { status: 'waiting', position: 4 };
+      const after = { status: 'cancelled', position: null };
+
+      expect(diffChanges(before, after, ['status'])).toEqual({
+        status: { from: 'waiting', to: 'cancelled' },
+      });
+    });
+
+    it('should list every field of a created or deleted record', () => {
+      expect(diffChanges(null, { id: 7, counter_number: '2' })).toEqual({
+        id: { from: null, to: 7 },
+        counter_number: { from: null, to: '2' },
+      });
+      expect(diffChanges({ id: 7 }, null)).toEqual({
+        id: { from: 7, to: null },
+      });
+    });
+
+    it('should skip timestamps and secrets', () => {
+      const changes = diffChanges(null, {
+        email: 'staff@clsu.edu.ph',
+        password_hash: '$2b$10$abc',
+        two_factor_secret: 'secret',
+        created_at: new Date(),
+        updated_at: new Date(),
+      });
+
+      expect(Object.keys(changes)).toEqual(['email']);
+    });
+
+    it('should compare dates and nested values by value', () => {
+      const before = { starts: new Date('2024-10-21T08:00:00Z'), roles: ['admin'] };
+      const after = { starts: new Date('2024-10-21T08:00:00Z'), roles: ['admin', 'counter_staff'] };
+
+      expect(diffChanges(before, after)).toEqual({
+        roles: { from: ['admin'], to: ['admin', 'counter_staff'] },
+      });
+    });
+  });
+
+  describe('recordAudit', () => {
+    const req = {
+      user: { userId: 1, role: 'admin' },
+      ip: '10.0.0.5',
+      headers: { 'user-agent': 'Mozilla/5.0' },
+    };
+
+    it('should record the actor, request origin and changes', async () => {
+      AuditLog.record.mockResolvedValueOnce({ id: 1 });
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.COUNTER_UPDATE,
+        entityId: 12,
+        before: { status: 'open' },
+        after: { status: 'closed' },
+      });
+
+      expect(AuditLog.record).toHaveBeenCalledWith({
+        actorId: 1,
+        actorRole: 'admin',
+        action: 'counter.update',
+        entityType: 'counter',
+        entityId: '12',
+        changes: { status: { from: 'open', to: 'closed' } },
+        ipAddress: '10.0.0.5',
+        userAgent: 'Mozilla/5.0',
+      });
+    });
+
+    it('should not throw when the log cannot be written', async () => {
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      AuditLog.record.mockRejectedValueOnce(new Error('relation "admin_audit_log" does not exist'));
+
+      await expect(recordAudit(req, { action: AUDIT_ACTIONS.SETTINGS_UPDATE })).resolves.toBeUndefined();
+      expect(consoleSpy).toHaveBeenCalled();
+      consoleSpy.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,97 @@
+const jwt = require('jsonwebtoken');
+const User = require('../../models/User');
+const {
+  AUTH_TOKEN_CODES,
+  deriveKey,
+  createAccessToken,
+  verifyAccessToken,
+  generateRefreshToken,
+  hashRefreshToken,
+} = require('../../utils/authTokens');
+
+jest.mock('../../models/User');
+
+describe('Auth Token Helpers', () => {
+  const activeUser = { id: 4, role: 'counter_staff', is_active: true, token_version: 3 };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('verifyAccessToken', () => {
+    it('should accept a token whose version matches the account', async () => {
+      const token = createAccessToken(activeUser);
+      User.getAuthState.mockResolvedValueOnce(activeUser);
+
+      await expect(verifyAccessToken(token)).resolves.toEqual({ userId: 4, role: 'counter_staff' });
+      expect(User.getAuthState).toHaveBeenCalledWith(4);
+    });
+
+    it('should use the role from the database after a demotion', async () => {
+      const token = createAccessToken({ ...activeUser, role: 'admin' });
+      User.getAuthState.mockResolvedValueOnce(activeUser);
+
+      await expect(verifyAccessToken(token)).resolves.toEqual({ userId: 4, role: 'counter_staff' });
+    });
+
+    it('should reject tokens from before a logout-all', async () => {
+      const token = createAccessToken(activeUser);
+      User.getAuthState.mockResolvedValueOnce({ ...activeUser, token_version: 4 });
+
+      await expect(verifyAccessToken(token)).rejects.toMatchObject({
+        code: AUTH_TOKEN_CODES.SESSION_REVOKED,
+      });
+    });
+
+    it('should reject deactivated and deleted accounts', async () => {
+      const token = createAccessToken(activeUser);
+
+      User.getAuthState.mockResolvedValueOnce({ ...activeUser, is_active: false });
+      await expect(verifyAccessToken(token)).rejects.toMatchObject({
+        code: AUTH_TOKEN_CODES.SESSION_REVOKED,
+      });
+
+      User.getAuthState.mockResolvedValueOnce(null);
+      await expect(verifyAccessToken(token)).rejects.toMatchObject({
+        code: AUTH_TOKEN_CODES.SESSION_REVOKED,
+      });
+    });
+
+    it('should reject expired and forged tokens without a database lookup', async () => {
+      const expired = jwt.sign({ userId: 4, role: 'admin', tokenVersion: 3 }, process.env.JWT_SECRET, { expiresIn: -10 });
+      const forged = jwt.sign({ userId: 4, role: 'admin', tokenVersion: 3 }, 'not-the-secret');
+
+      await expect(verifyAccessToken(expired)).rejects.toMatchObject({
+        message: 'Token expired',
+        code: AUTH_TOKEN_CODES.AUTH_INVALID,
+      });
+      await expect(verifyAccessToken(forged)).rejects.toMatchObject({
+        code: AUTH_TOKEN_CODES.AUTH_INVALID,
+      });
+      expect(User.getAuthState).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('deriveKey', () => {
+    it('should give each purpose its own key that cannot sign access tokens', async () => {
+      expect(deriveKey('display_board')).toEqual(deriveKey('display_board'));
+      expect(deriveKey('display_board')).not.toEqual(deriveKey('onsite_checkin'));
+
+      const token = jwt.sign({ userId: 4, role: 'admin' }, deriveKey('display_board'));
+      await expect(verifyAccessToken(token)).rejects.toMatchObject({ code: AUTH_TOKEN_CODES.AUTH_INVALID });
+      expect(User.getAuthState).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('refresh tokens', () => {
+    it('should generate unique tokens and hash them consistently', () => {
+      const first = generateRefreshToken();
+      const second = generateRefreshToken();
+
+      expect(first).not.toBe(second);
+      expect(hashRefreshToken(first)).toBe(hashRefreshToken(first));
+      expect(hashRefreshToken(first)).toMatch(/^[0-9a-f]{64}$/);
+      expect(hashRefreshToken(first)).not.toBe(first);
+    });
+  });
+});
@@ -0,0 +1,52 @@
+const jwt = require('jsonwebtoken');
+const {
+  createCheckInToken,
+  verifyCheckInToken,
+  CHECKIN_CODES,
+  CHECKIN_QR_PREFIX,
+} = require('../../utils/checkIn');
+
+describe('Check-in Helpers', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should accept the QR payload for its own service', () => {
+    const { qrValue } = createCheckInToken(3);
+
+    expect(qrValue.startsWith(CHECKIN_QR_PREFIX)).toBe(true);
+    expect(verifyCheckInToken(qrValue, 3).valid).toBe(true);
+    expect(verifyCheckInToken(qrValue, '3').valid).toBe(true);
+  });
+
+  it('should accept an all-services code for any service', () => {
+    const { token } = createCheckInToken(null);
+
+    expect(verifyCheckInToken(token, 5).valid).toBe(true);
+  });
+
+  it('should reject codes for a different service', () => {
+    const { token } = createCheckInToken(3);
+    const result = verifyCheckInToken(token, 4);
+
+    expect(result.valid).toBe(false);
+    expect(result.code).toBe(CHECKIN_CODES.CHECKIN_TOKEN_INVALID);
+  });
+
+  it('should reject expired codes', () => {
+    jest.useFakeTimers({ now: new Date('2024-10-21T09:00:00Z') });
+    const { token } = createCheckInToken(3);
+
+    jest.setSystemTime(new Date('2024-10-21T09:05:00Z'));
+    const result = verifyCheckInToken(token, 3);
+
+    expect(result.valid).toBe(false);
+    expect(result.code).toBe(CHECKIN_CODES.CHECKIN_TOKEN_EXPIRED);
+  });
+
+  it('should not accept login tokens as check-in codes', () => {
+    const loginToken = jwt.sign({ userId: 1, role: 'student' }, process.env.JWT_SECRET);
+
+    expect(verifyCheckInToken(loginToken, 3).code).toBe(CHECKIN_CODES.CHECKIN_TOKEN_INVALID);
+  });
+});
@@ -0,0 +1,52 @@
+const { renderTicket, qrCode, toPrintable } = require('../../utils/escpos');
+
+describe('ESC/POS Helpers', () => {
+  const ticket = {
+    queueNumber: 'REG-004',
+    serviceName: 'Registrar',
+    serviceLocation: 'Admin Building',
+    queuePosition: 4,
+    estimatedWaitTime: 15,
+    priorityCategory: 'senior',
+    requestedAt: new Date(2024, 9, 21, 9, 5),
+  };
+
+  it('should start with init and end with a paper cut', () => {
+    const data = renderTicket(ticket);
+
+    expect([...data.subarray(0, 2)]).toEqual([0x1b, 0x40]);
+    expect([...data.subarray(-4)]).toEqual([0x1d, 0x56, 0x42, 0x03]);
+  });
+
+  it('should print the ticket details', () => {
+    const output = renderTicket(ticket).toString('ascii');
+
+    expect(output).toContain('REG-004');
+    expect(output).toContain('Registrar');
+    expect(output).toContain('People ahead: 3');
+    expect(output).toContain('Senior Citizen');
+    expect(output).toContain('2024-10-21 09:05');
+    expect(output).not.toContain('REPRINT');
+    expect(renderTicket(ticket, { reprint: true }).toString('ascii')).toContain('REPRINT');
+  });
+
+  it('should only include a QR code when given a value', () => {
+    const storeCommand = Buffer.from([0x1d, 0x28, 0x6b]);
+
+    expect(renderTicket(ticket).includes(storeCommand)).toBe(false);
+    expect(renderTicket(ticket, { qrValue: 'https://example.edu/ticket?id=1' }).includes(storeCommand)).toBe(true);
+  });
+
+  it('should encode the QR data length in the store command', () => {
+    const value = 'x'.repeat(300);
+    const data = qrCode(value);
+    const store = data.indexOf(Buffer.from([0x31, 0x50, 0x30]));
+
+    // pL/pH count the data plus the three function bytes
+    expect(data[store - 2] + data[store - 1] * 256).toBe(303);
+  });
+
+  it('should replace characters the printer cannot show', () => {
+    expect(toPrintable('Peñafrancia – Café')).toBe('Penafrancia ? Cafe');
+  });
+});
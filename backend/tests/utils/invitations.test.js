@@ -0,0 +1,56 @@
+const {
+  INVITE_STATUS,
+  isInvitableRole,
+  getInviteStatus,
+  buildInviteUrl,
+} = require('../../utils/invitations');
+
+describe('Invitation Helpers', () => {
+  const now = new Date('2026-10-19T12:00:00Z');
+
+  afterEach(() => {
+    delete process.env.INVITE_ACCEPT_URL;
+  });
+
+  describe('isInvitableRole', () => {
+    it('should only allow non-student roles', () => {
+      expect(isInvitableRole('counter_staff')).toBe(true);
+      expect(isInvitableRole('admin')).toBe(true);
+      expect(isInvitableRole('student')).toBe(false);
+      expect(isInvitableRole('superuser')).toBe(false);
+    });
+  });
+
+  describe('getInviteStatus', () => {
+    it('should report pending, expired and accepted invitations', () => {
+      expect(getInviteStatus({ accepted_at: null, expires_at: '2026-10-20T12:00:00Z' }, now))
+        .toBe(INVITE_STATUS.PENDING);
+      expect(getInviteStatus({ accepted_at: null, expires_at: '2026-10-18T12:00:00Z' }, now))
+        .toBe(INVITE_STATUS.EXPIRED);
+      expect(getInviteStatus({ accepted_at: '2026-10-18T09:00:00Z', expires_at: '2026-10-18T12:00:00Z' }, now))
+        .toBe(INVITE_STATUS.ACCEPTED);
+    });
+
+    it('should return null when there is no invitation', () => {
+      expect(getInviteStatus(null, now)).toBeNull();
+    });
+  });
+
+  describe('buildInviteUrl', () => {
+    it('should link to the accept page of the requesting dashboard', () => {
+      expect(buildInviteUrl('abc', 'https://dashboard.example.com/'))
+        .toBe('https://dashboard.example.com/accept-invite?token=abc');
+    });
+
+    it('should prefer INVITE_ACCEPT_URL when set', () => {
+      process.env.INVITE_ACCEPT_URL = 'https://qtech.example.com/accept-invite?src=email';
+
+      expect(buildInviteUrl('abc', 'https://other.example.com'))
+        .toBe('https://qtech.example.com/accept-invite?src=email&token=abc');
+    });
+
+    it('should return null without any base URL', () => {
+      expect(buildInviteUrl('abc')).toBeNull();
+    });
+  });
+});
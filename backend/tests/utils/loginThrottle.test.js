@@ -0,0 +1,56 @@
+const {
+  getBackoffSeconds,
+  getAccountWaitSeconds,
+  getIpWaitSeconds,
+} = require('../../utils/loginThrottle');
+
+describe('Login Throttle Helpers', () => {
+  const now = new Date('2026-10-19T12:00:00Z');
+  const secondsAgo = (seconds) => new Date(now.getTime() - seconds * 1000).toISOString();
+
+  describe('getBackoffSeconds', () => {
+    it('should double the wait after each failure up to the cap', () => {
+      expect([0, 1, 2, 3, 4].map((failures) => getBackoffSeconds(failures))).toEqual([0, 1, 2, 4, 8]);
+      expect(getBackoffSeconds(12)).toBe(30);
+    });
+
+    it('should not count free attempts', () => {
+      expect(getBackoffSeconds(5, 5)).toBe(0);
+      expect(getBackoffSeconds(7, 5)).toBe(2);
+    });
+  });
+
+  describe('getAccountWaitSeconds', () => {
+    it('should report a lockout until locked_until', () => {
+      const account = { failed_login_attempts: 0, locked_until: new Date(now.getTime() + 90 * 1000).toISOString() };
+
+      expect(getAccountWaitSeconds(account, now)).toEqual({ locked: true, retryAfter: 90 });
+    });
+
+    it('should ignore a lockout that has ended', () => {
+      const account = { failed_login_attempts: 0, last_failed_login_at: secondsAgo(600), locked_until: secondsAgo(1) };
+
+      expect(getAccountWaitSeconds(account, now)).toEqual({ locked: false, retryAfter: 0 });
+    });
+
+    it('should count the backoff from the last failure', () => {
+      const account = { failed_login_attempts: 4, last_failed_login_at: secondsAgo(3), locked_until: null };
+
+      expect(getAccountWaitSeconds(account, now)).toEqual({ locked: false, retryAfter: 5 });
+    });
+  });
+
+  describe('getIpWaitSeconds', () => {
+    it('should let a shared network make a few mistakes without waiting', () => {
+      expect(getIpWaitSeconds({ failures: 5, last_failure_at: secondsAgo(0), oldest_failure_at: secondsAgo(60) }, now))
+        .toBe(0);
+      expect(getIpWaitSeconds(null, now)).toBe(0);
+    });
+
+    it('should block the IP until the oldest failure leaves the window', () => {
+      const ipFailures = { failures: 20, last_failure_at: secondsAgo(1), oldest_failure_at: secondsAgo(14 * 60) };
+
+      expect(getIpWaitSeconds(ipFailures, now)).toBe(60);
+    });
+  });
+});
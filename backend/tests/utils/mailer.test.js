@@ -0,0 +1,86 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getMailConfig, sendMail, setMailTransport } = require('../../utils/mailer');
+
+describe('Mailer', () => {
+  const originalTransport = process.env.MAIL_TRANSPORT;
+
+  afterEach(() => {
+    setMailTransport(null);
+    process.env.MAIL_TRANSPORT = originalTransport;
+    if (originalTransport === undefined) {
+      delete process.env.MAIL_TRANSPORT;
+    }
+  });
+
+  describe('getMailConfig', () => {
+    it('should parse the supported transports', () => {
+      expect(getMailConfig('smtp')).toEqual({ type: 'smtp' });
+      expect(getMailConfig('file:/tmp/mail')).toEqual({ type: 'file', dir: '/tmp/mail' });
+      expect(getMailConfig('file:///tmp/mail')).toEqual({ type: 'file', dir: '/tmp/mail' });
+    });
+
+    it('should fall back to the console', () => {
+      expect(getMailConfig('')).toEqual({ type: 'console' });
+      expect(getMailConfig(undefined)).toEqual({ type: 'console' });
+      expect(getMailConfig('file:')).toEqual({ type: 'console' });
+    });
+
+    it('should not fall back to the console in production', () => {
+      expect(getMailConfig(undefined, 'production')).toEqual({ type: 'unset' });
+      expect(getMailConfig('file:', 'production')).toEqual({ type: 'unset' });
+      expect(getMailConfig('console', 'production')).toEqual({ type: 'console' });
+      expect(getMailConfig('smtp', 'production')).toEqual({ type: 'smtp' });
+    });
+  });
+
+  describe('sendMail', () => {
+    it('should write messages to the file transport', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'qtech-mail-'));
+      process.env.MAIL_TRANSPORT = `file:${dir}`;
+
+      try {
+        const result = await sendMail({ to: 'student@example.com', subject: 'Hello', text: 'Body' });
+
+        expect(result.transport).toBe('file');
+        const saved = JSON.parse(fs.readFileSync(result.path, 'utf8'));
+        expect(saved).toEqual(expect.objectContaining({
+          to: 'student@example.com',
+          subject: 'Hello',
+          text: 'Body',
+          from: expect.any(String),
+        }));
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it('should refuse to send in production until a transport is chosen', async () => {
+      const originalEnv = process.env.NODE_ENV;
+      delete process.env.MAIL_TRANSPORT;
+      process.env.NODE_ENV = 'production';
+
+      try {
+        await expect(sendMail({ to: 'student@example.com', subject: 'Hi', text: 'Body' }))
+          .rejects.toThrow('MAIL_TRANSPORT is not set');
+      } finally {
+        process.env.NODE_ENV = originalEnv;
+      }
+    });
+
+    it('should use a custom transport when one is set', async () => {
+      const send = jest.fn().mockResolvedValue({ messageId: 'abc' });
+      setMailTransport({ name: 'custom', send });
+
+      const result = await sendMail({ to: 'student@example.com', subject: 'Hi', text: 'Body' });
+
+      expect(result).toEqual({ transport: 'custom', messageId: 'abc' });
+      expect(send).toHaveBeenCalledWith(expect.objectContaining({ to: 'student@example.com' }));
+    });
+
+    it('should require a recipient', async () => {
+      await expect(sendMail({ subject: 'Hi', text: 'Body' })).rejects.toThrow('Mail recipient is required');
+    });
+  });
+});
@@ -0,0 +1,250 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  MIGRATION_CODES,
+  computeChecksum,
+  loadMigrations,
+  normalizeRunOptions,
+  planMigrations,
+  runMigrations,
+} = require('../../utils/migrator');
+
+const tempDirs = [];
+
+const writeMigrations = (files) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'qtech-migrations-'));
+  tempDirs.push(dir);
+  fs.mkdirSync(path.join(dir, 'down'));
+  for (const [file, sql] of Object.entries(files)) {
+    fs.writeFileSync(path.join(dir, file), sql);
+  }
+  return dir;
+};
+
+const migration = (version, name, extra = {}) => ({
+  version,
+  name,
+  checksum: `sum-${version}`,
+  sql: `-- ${name}`,
+  downSql: `-- revert ${name}`,
+  ...extra,
+});
+
+const appliedRow = ({ version, name, checksum }) => ({ version, name, checksum });
+
+/**
+ * Stand-in for a pg pool: records every statement and answers the runner's
+ * own queries from `applied`
+ */
+const createPool = ({ applied = [], locked = true, failOn = null } = {}) => {
+  const statements = [];
+  const client = {
+    query: jest.fn(async (sql, params) => {
+      statements.push(sql.trim());
+      if (sql.includes('pg_try_advisory_lock')) return { rows: [{ locked }] };
+      if (sql.includes('to_regclass')) return { rows: [{ table_name: 'schema_migrations' }] };
+      if (sql.includes('FROM schema_migrations')) return { rows: applied };
+      if (failOn && sql === failOn) throw new Error('syntax error at or near "TABEL"');
+      return { rows: [], params };
+    }),
+    release: jest.fn(),
+  };
+
+  return {
+    statements,
+    client,
+    connect: jest.fn(async () => client),
+  };
+};
+
+describe('Migration Runner', () => {
+  afterAll(() => {
+    tempDirs.forEach((dir) => fs.rmSync(dir, { recursive: true, force: true }));
+  });
+
+  describe('computeChecksum', () => {
+    it('should ignore Windows line endings', () => {
+      expect(computeChecksum('SELECT 1;\r\nSELECT 2;\r\n')).toBe(computeChecksum('SELECT 1;\nSELECT 2;\n'));
+      expect(computeChecksum('SELECT 1;')).not.toBe(computeChecksum('SELECT 2;'));
+    });
+  });
+
+  describe('loadMigrations', () => {
+    it('should read numbered files in order with their down files', () => {
+      const dir = writeMigrations({
+        '002_add_counters.sql': 'CREATE TABLE counters ();',
+        '001_create_tables.sql': 'CREATE TABLE users ();',
+        '000_reset_database.sql': 'DROP TABLE users;',
+        'README.md': '# notes',
+        'down/002_add_counters.sql': 'DROP TABLE counters;',
+      });
+
+      const migrations = loadMigrations(dir);
+
+      expect(migrations.map(({ version, name }) => ({ version, name }))).toEqual([
+        { version: 1, name: 'create_tables' },
+        { version: 2, name: 'add_counters' },
+      ]);
+      expect(migrations[0].downSql).toBeNull();
+      expect(migrations[1].downSql).toBe('DROP TABLE counters;');
+      expect(migrations[1].checksum).toBe(computeChecksum('CREATE TABLE counters ();'));
+    });
+
+    it('should reject two files with the same version', () => {
+      const dir = writeMigrations({
+        '003_add_roles.sql': '',
+        '003_add_audit_log.sql': '',
+      });
+
+      expect(() => loadMigrations(dir)).toThrow(expect.objectContaining({ code: MIGRATION_CODES.DUPLICATE_VERSION }));
+    });
+
+    it('should report a missing directory', () => {
+      expect(() => loadMigrations(path.join(os.tmpdir(), 'qtech-no-such-dir'))).toThrow(
+        expect.objectContaining({ code: MIGRATION_CODES.MIGRATIONS_NOT_FOUND })
+      );
+    });
+  });
+
+  describe('normalizeRunOptions', () => {
+    it('should revert one migration by default', () => {
+      expect(normalizeRunOptions({ direction: 'down' })).toEqual({ direction: 'down', steps: 1, to: null });
+      expect(normalizeRunOptions({ direction: 'up' })).toEqual({ direction: 'up', steps: null, to: null });
+    });
+
+    it('should reject bad options', () => {
+      const invalid = expect.objectContaining({ code: MIGRATION_CODES.INVALID_OPTIONS });
+
+      expect(() => normalizeRunOptions({ direction: 'sideways' })).toThrow(invalid);
+      expect(() => normalizeRunOptions({ steps: 0 })).toThrow(invalid);
+      expect(() => normalizeRunOptions({ to: 'latest' })).toThrow(invalid);
+      expect(() => normalizeRunOptions({ steps: 1, to: 3 })).toThrow(invalid);
+    });
+  });
+
+  describe('planMigrations', () => {
+    const available = [migration(1, 'create_tables'), migration(2, 'add_counters'), migration(3, 'add_roles')];
+
+    it('should plan only pending migrations, oldest first', () => {
+      const plan = planMigrations(available, [appliedRow(available[0])]);
+
+      expect(plan.migrations.map((m) => m.version)).toEqual([2, 3]);
+      expect(planMigrations(available, [], { to: 2 }).migrations.map((m) => m.version)).toEqual([1, 2]);
+      expect(planMigrations(available, [], { steps: 1 }).migrations.map((m) => m.version)).toEqual([1]);
+    });
+
+    it('should plan reverts newest first', () => {
+      const applied = available.map(appliedRow);
+
+      expect(planMigrations(available, applied, { direction: 'down' }).migrations.map((m) => m.version)).toEqual([3]);
+      expect(planMigrations(available, applied, { direction: 'down', to: 1 }).migrations.map((m) => m.version)).toEqual([3, 2]);
+    });
+
+    it('should report edited and missing migrations', () => {
+      const applied = [
+        appliedRow(available[0]),
+        { ...appliedRow(available[1]), checksum: 'older' },
+        { version: 9, name: 'removed', checksum: 'sum-9' },
+      ];
+
+      const plan = planMigrations(available, applied);
+
+      expect(plan.changed.map((m) => m.version)).toEqual([2]);
+      expect(plan.missing).toEqual([{ version: 9, name: 'removed' }]);
+    });
+  });
+
+  describe('runMigrations', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = writeMigrations({
+        '001_create_tables.sql': 'CREATE TABLE users ();',
+        '002_add_counters.sql': 'CREATE TABLE counters ();',
+        'down/002_add_counters.sql': 'DROP TABLE counters;',
+      });
+    });
+
+    it('should apply each pending migration in its own transaction', async () => {
+      const [first] = loadMigrations(dir);
+      const pool = createPool({ applied: [appliedRow(first)] });
+
+      const summary = await runMigrations({ dir, pool });
+
+      expect(summary.results).toEqual([
+        expect.objectContaining({ version: 2, name: 'add_counters', status: 'applied' }),
+      ]);
+      const run = pool.statements.slice(pool.statements.indexOf('BEGIN'));
+      expect(run[0]).toBe('BEGIN');
+      expect(run[1]).toBe('CREATE TABLE counters ();');
+      expect(run[2]).toMatch(/^INSERT INTO schema_migrations/);
+      expect(run[3]).toBe('COMMIT');
+      expect(pool.statements.some((sql) => sql.includes('pg_advisory_unlock'))).toBe(true);
+      expect(pool.client.release).toHaveBeenCalled();
+    });
+
+    it('should only plan on a dry run', async () => {
+      const pool = createPool();
+
+      const summary = await runMigrations({ dir, pool, dryRun: true });
+
+      expect(summary.plan).toEqual([
+        { version: 1, name: 'create_tables' },
+        { version: 2, name: 'add_counters' },
+      ]);
+      expect(summary.results).toEqual([]);
+      expect(pool.statements).not.toContain('BEGIN');
+      expect(pool.statements.some((sql) => sql.includes('CREATE TABLE IF NOT EXISTS schema_migrations'))).toBe(false);
+    });
+
+    it('should roll back a failing migration and stop', async () => {
+      const pool = createPool({ failOn: 'CREATE TABLE counters ();' });
+
+      const error = await runMigrations({ dir, pool }).catch((e) => e);
+
+      expect(error.code).toBe(MIGRATION_CODES.MIGRATION_FAILED);
+      expect(error.migration).toEqual({ version: 2, name: 'add_counters' });
+      expect(error.results.map((result) => result.version)).toEqual([1]);
+      expect(pool.statements[pool.statements.length - 2]).toBe('ROLLBACK');
+      expect(pool.client.release).toHaveBeenCalled();
+    });
+
+    it('should refuse to run when an applied file was edited', async () => {
+      const applied = [{ version: 1, name: 'create_tables', checksum: 'older' }];
+
+      await expect(runMigrations({ dir, pool: createPool({ applied }) })).rejects.toMatchObject({
+        code: MIGRATION_CODES.CHECKSUM_MISMATCH,
+        migrations: [{ version: 1, name: 'create_tables' }],
+      });
+
+      const summary = await runMigrations({ dir, pool: createPool({ applied }), allowChanged: true });
+      expect(summary.results.map((result) => result.version)).toEqual([2]);
+    });
+
+    it('should revert with the down file and refuse migrations without one', async () => {
+      const applied = loadMigrations(dir).map(appliedRow);
+      const pool = createPool({ applied });
+
+      const summary = await runMigrations({ dir, pool, direction: 'down' });
+
+      expect(summary.results).toEqual([expect.objectContaining({ version: 2, status: 'reverted' })]);
+      expect(pool.statements).toContain('DROP TABLE counters;');
+      expect(pool.statements).toContain('DELETE FROM schema_migrations WHERE version = $1;');
+
+      await expect(runMigrations({ dir, pool: createPool({ applied }), direction: 'down', to: 0 })).rejects.toMatchObject({
+        code: MIGRATION_CODES.DOWN_MIGRATION_MISSING,
+        migrations: [{ version: 1, name: 'create_tables' }],
+      });
+    });
+
+    it('should not run while another run holds the lock', async () => {
+      const pool = createPool({ locked: false });
+
+      await expect(runMigrations({ dir, pool })).rejects.toMatchObject({ code: MIGRATION_CODES.MIGRATION_LOCKED });
+      expect(pool.statements).not.toContain('BEGIN');
+      expect(pool.statements.some((sql) => sql.includes('pg_advisory_unlock'))).toBe(false);
+      expect(pool.client.release).toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,219 @@
+const User = require('../../models/User');
+const NotificationDelivery = require('../../models/NotificationDelivery');
+const NotificationPreference = require('../../models/NotificationPreference');
+const { query } = require('../../config/database');
+const { sendMail } = require('../../utils/mailer');
+const { sendSms } = require('../../utils/sms');
+const { buildNotificationEmail, buildNotificationSms } = require('../../utils/notificationTemplates');
+const {
+  MAX_DELIVERY_ATTEMPTS,
+  getEnabledChannels,
+  sendChannelNotifications,
+  retryNotificationDeliveries,
+} = require('../../utils/notificationChannels');
+
+jest.mock('../../models/User');
+jest.mock('../../models/NotificationDelivery');
+jest.mock('../../models/NotificationPreference');
+jest.mock('../../utils/mailer');
+jest.mock('../../utils/sms');
+jest.mock('../../config/database', () => ({
+  query: jest.fn(),
+}));
+
+const student = {
+  id: 7,
+  email: 'student@clsu.edu.ph',
+  first_name: 'Ana',
+  phone_number: '+639171234567',
+  is_active: true,
+};
+
+const calledPayload = {
+  type: 'queue_called',
+  queueNumber: 'REG-046',
+  counterNumber: '1',
+  counterName: 'Registrar <Main>',
+  message: 'Queue REG-046 called to Counter 1',
+};
+
+const withSettings = (settings) => {
+  query.mockResolvedValue({ rows: [{ settings }] });
+};
+
+describe('Notification Channels', () => {
+  const queueEntry = { id: 123, user_id: 7, queue_number: 'REG-046' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    withSettings({ enable_email_notifications: true, enable_sms_notifications: true });
+    User.findById.mockResolvedValue(student);
+    NotificationPreference.findByUser.mockResolvedValue({ user_id: 7, channels: {} });
+    NotificationDelivery.create.mockImplementation(async (data) => ({
+      id: data.channel === 'email' ? 1 : 2,
+      channel: data.channel,
+      message: data.message,
+      attempts: 0,
+    }));
+    sendMail.mockResolvedValue({ transport: 'console', messageId: 'mail-1' });
+    sendSms.mockResolvedValue({ transport: 'console', messageId: 'sms-1' });
+  });
+
+  describe('templates', () => {
+    it('should word the email for the event and escape it in HTML', () => {
+      const email = buildNotificationEmail(student, calledPayload);
+
+      expect(email.to).toBe('student@clsu.edu.ph');
+      expect(email.subject).toBe("Queue REG-046: it's your turn");
+      expect(email.text).toContain('Hi Ana,');
+      expect(email.text).toContain('called to Counter 1 (Registrar <Main>)');
+      expect(email.html).toContain('Registrar &lt;Main&gt;');
+    });
+
+    it('should keep the SMS short', () => {
+      expect(buildNotificationSms(student, calledPayload)).toEqual({
+        to: '+639171234567',
+        text: 'QTech: Queue REG-046 is called to Counter 1. Please proceed now.',
+      });
+    });
+
+    it('should have no wording for other events', () => {
+      expect(buildNotificationEmail(student, { type: 'queue_completed' })).toBeNull();
+      expect(buildNotificationSms(student, { type: 'queue_completed' })).toBeNull();
+    });
+  });
+
+  describe('getEnabledChannels', () => {
+    it('should follow the system settings switches', async () => {
+      withSettings({ enable_email_notifications: false, enable_sms_notifications: true });
+
+      expect(await getEnabledChannels()).toEqual(['sms']);
+    });
+
+    it('should keep every channel off without settings', async () => {
+      query.mockRejectedValue(new Error('relation "system_settings" does not exist'));
+
+      expect(await getEnabledChannels()).toEqual([]);
+    });
+  });
+
+  describe('sendChannelNotifications', () => {
+    it('should log and send the event through every enabled channel', async () => {
+      const summary = await sendChannelNotifications(queueEntry, calledPayload, 311);
+
+      expect(summary).toEqual({ sent: 2, failed: 0 });
+      expect(NotificationDelivery.create).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 7,
+        queueEntryId: 123,
+        notificationId: 311,
+        channel: 'sms',
+        event: 'queue_called',
+        recipient: '+639171234567',
+      }));
+      expect(sendMail).toHaveBeenCalledWith(expect.objectContaining({ to: 'student@clsu.edu.ph' }));
+      expect(sendSms).toHaveBeenCalledWith(expect.objectContaining({ to: '+639171234567' }));
+      expect(NotificationDelivery.markSent).toHaveBeenCalledWith(1, 'mail-1');
+      expect(NotificationDelivery.markSent).toHaveBeenCalledWith(2, 'sms-1');
+    });
+
+    it('should skip channels switched off system-wide, by the user or without an address', async () => {
+      withSettings({ enable_email_notifications: true, enable_sms_notifications: true });
+      NotificationPreference.findByUser.mockResolvedValue({ user_id: 7, channels: { email: false } });
+      User.findById.mockResolvedValue({ ...student, phone_number: null });
+
+      const summary = await sendChannelNotifications(queueEntry, calledPayload);
+
+      expect(summary).toEqual({ sent: 0, failed: 0 });
+      expect(NotificationDelivery.create).not.toHaveBeenCalled();
+    });
+
+    it('should follow per-event preferences', async () => {
+      NotificationPreference.findByUser.mockResolvedValue({
+        user_id: 7,
+        channels: {},
+        events: { queue_approaching: { sms: false } },
+      });
+
+      await sendChannelNotifications(queueEntry, { type: 'queue_approaching', queueNumber: 'REG-046', message: 'Almost up' });
+
+      expect(sendMail).toHaveBeenCalled();
+      expect(sendSms).not.toHaveBeenCalled();
+    });
+
+    it('should not look anything up for events without a template', async () => {
+      await sendChannelNotifications(queueEntry, { type: 'queue_completed', queueNumber: 'REG-046' });
+
+      expect(query).not.toHaveBeenCalled();
+      expect(User.findById).not.toHaveBeenCalled();
+    });
+
+    it('should not send to walk-ins or when every channel is off', async () => {
+      await sendChannelNotifications({ ...queueEntry, user_id: null }, calledPayload);
+      withSettings({});
+      await sendChannelNotifications(queueEntry, calledPayload);
+
+      expect(User.findById).not.toHaveBeenCalled();
+      expect(NotificationDelivery.create).not.toHaveBeenCalled();
+    });
+
+    it('should schedule a retry when a send fails', async () => {
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+      withSettings({ enable_sms_notifications: true });
+      sendSms.mockRejectedValue(new Error('SMS gateway error: HTTP 503'));
+
+      const summary = await sendChannelNotifications(queueEntry, calledPayload);
+
+      expect(summary).toEqual({ sent: 0, failed: 1 });
+      expect(NotificationDelivery.markFailed).toHaveBeenCalledWith(2, 'SMS gateway error: HTTP 503', 1);
+      consoleError.mockRestore();
+    });
+  });
+
+  describe('retryNotificationDeliveries', () => {
+    const delivery = (attempts, channel = 'sms') => ({
+      id: 9,
+      channel,
+      message: { to: '+639171234567', text: 'QTech: Queue REG-046 is called' },
+      attempts,
+    });
+
+    it('should resend due deliveries as they were logged', async () => {
+      NotificationDelivery.claimDue.mockResolvedValue([delivery(1)]);
+
+      const summary = await retryNotificationDeliveries();
+
+      expect(summary).toEqual({ retried: 1, sent: 1, dropped: 0 });
+      expect(sendSms).toHaveBeenCalledWith({ to: '+639171234567', text: 'QTech: Queue REG-046 is called' });
+      expect(NotificationDelivery.markSent).toHaveBeenCalledWith(9, 'sms-1');
+    });
+
+    it('should give up after the last attempt', async () => {
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+      NotificationDelivery.claimDue.mockResolvedValue([delivery(MAX_DELIVERY_ATTEMPTS - 1)]);
+      sendSms.mockRejectedValue(new Error('timeout'));
+
+      await retryNotificationDeliveries();
+
+      expect(NotificationDelivery.markFailed).toHaveBeenCalledWith(9, 'timeout', null);
+      consoleError.mockRestore();
+    });
+
+    it('should drop deliveries on a channel that was switched off', async () => {
+      withSettings({ enable_email_notifications: true });
+      NotificationDelivery.claimDue.mockResolvedValue([delivery(1)]);
+
+      const summary = await retryNotificationDeliveries();
+
+      expect(summary).toEqual({ retried: 0, sent: 0, dropped: 1 });
+      expect(sendSms).not.toHaveBeenCalled();
+      expect(NotificationDelivery.markFailed).toHaveBeenCalledWith(9, 'sms notifications are turned off');
+    });
+
+    it('should not read the settings when nothing is due', async () => {
+      NotificationDelivery.claimDue.mockResolvedValue([]);
+
+      expect(await retryNotificationDeliveries()).toEqual({ retried: 0, sent: 0, dropped: 0 });
+      expect(query).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,92 @@
+const NotificationPreference = require('../../models/NotificationPreference');
+const {
+  resolvePreferences,
+  mergePreferences,
+  isNotificationAllowed,
+  updateNotificationPreferences,
+} = require('../../utils/notificationPreferences');
+
+jest.mock('../../models/NotificationPreference');
+
+describe('Notification Preferences', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('resolvePreferences', () => {
+    it('should turn everything on by default', () => {
+      const preferences = resolvePreferences({});
+
+      expect(preferences.channels).toEqual({ push: true, email: true, sms: true });
+      expect(preferences.events.queue_called).toEqual({ push: true, email: true, sms: true });
+      expect(preferences.events.queue_completed).toEqual({ push: true });
+    });
+
+    it('should keep only the switches of known events and channels', () => {
+      const preferences = resolvePreferences({
+        channels: { sms: false, fax: false },
+        events: { queue_completed: { push: false, email: true }, queue_skipped: { push: false } },
+      });
+
+      expect(preferences.channels).toEqual({ push: true, email: true, sms: false });
+      expect(preferences.events.queue_completed).toEqual({ push: false });
+      expect(preferences.events.queue_skipped).toBeUndefined();
+    });
+  });
+
+  describe('mergePreferences', () => {
+    it('should change only the switches sent', () => {
+      const current = resolvePreferences({ events: { queue_approaching: { sms: false } } });
+
+      const merged = mergePreferences(current, {
+        channels: { email: false },
+        events: { queue_approaching: { push: false } },
+      });
+
+      expect(merged.channels).toEqual({ push: true, email: false, sms: true });
+      expect(merged.events.queue_approaching).toEqual({ push: false, email: true, sms: false });
+      expect(merged.events.queue_called).toEqual({ push: true, email: true, sms: true });
+    });
+  });
+
+  describe('isNotificationAllowed', () => {
+    it('should need both the channel and the event switched on', () => {
+      // SMS only when called, nothing when completed
+      const preferences = {
+        channels: {},
+        events: {
+          queue_approaching: { sms: false },
+          queue_recalled: { sms: false },
+          queue_completed: { push: false },
+        },
+      };
+
+      expect(isNotificationAllowed(preferences, 'sms', 'queue_called')).toBe(true);
+      expect(isNotificationAllowed(preferences, 'sms', 'queue_approaching')).toBe(false);
+      expect(isNotificationAllowed(preferences, 'push', 'queue_approaching')).toBe(true);
+      expect(isNotificationAllowed(preferences, 'push', 'queue_completed')).toBe(false);
+      expect(isNotificationAllowed({ channels: { email: false } }, 'email', 'queue_called')).toBe(false);
+    });
+
+    it('should allow everything without stored preferences', () => {
+      expect(isNotificationAllowed(undefined, 'push', 'queue_called')).toBe(true);
+    });
+  });
+
+  describe('updateNotificationPreferences', () => {
+    it('should merge the changes into the stored preferences and save the full set', async () => {
+      NotificationPreference.findByUser.mockResolvedValue({
+        user_id: 7,
+        channels: { sms: false },
+        events: {},
+      });
+      NotificationPreference.save.mockImplementation(async (userId, preferences) => ({ user_id: userId, ...preferences }));
+
+      const preferences = await updateNotificationPreferences(7, { events: { queue_completed: { push: false } } });
+
+      expect(preferences.channels).toEqual({ push: true, email: true, sms: false });
+      expect(preferences.events.queue_completed).toEqual({ push: false });
+      expect(NotificationPreference.save).toHaveBeenCalledWith(7, preferences);
+    });
+  });
+});
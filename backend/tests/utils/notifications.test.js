@@ -0,0 +1,113 @@
+const Notification = require('../../models/Notification');
+const socketServer = require('../../socket/socketServer');
+const { queuePushNotification } = require('../../utils/pushNotifications');
+const { sendChannelNotifications } = require('../../utils/notificationChannels');
+const QueueEvents = require('../../socket/queueEvents');
+const { NOTIFICATION_TYPES, recordNotification } = require('../../utils/notifications');
+
+jest.mock('../../models/Notification');
+jest.mock('../../socket/socketServer');
+jest.mock('../../utils/pushNotifications');
+jest.mock('../../utils/notificationChannels');
+
+describe('Notification Inbox', () => {
+  const queueEntry = { id: 123, user_id: 7, queue_number: 'REG-046' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('recordNotification', () => {
+    it('should store the event with its inbox type, title and payload', async () => {
+      Notification.create.mockResolvedValue({ id: 311 });
+
+      const notification = await recordNotification(queueEntry, {
+        type: 'queue_called',
+        queueNumber: 'REG-046',
+        counterNumber: '1',
+        message: 'Queue REG-046 called to Counter 1',
+      });
+
+      expect(notification).toEqual({ id: 311 });
+      expect(Notification.create).toHaveBeenCalledWith({
+        userId: 7,
+        queueEntryId: 123,
+        type: NOTIFICATION_TYPES.CALLED,
+        event: 'queue_called',
+        title: "It's your turn",
+        message: 'Queue REG-046 called to Counter 1',
+        data: { queueNumber: 'REG-046', counterNumber: '1' },
+      });
+    });
+
+    it('should file unknown events as general updates', async () => {
+      await recordNotification(queueEntry, { type: 'queue_something_new' });
+
+      expect(Notification.create).toHaveBeenCalledWith(expect.objectContaining({
+        type: NOTIFICATION_TYPES.GENERAL,
+        event: 'queue_something_new',
+        title: 'Queue update',
+        message: 'Update for queue REG-046',
+      }));
+    });
+
+    it('should skip entries without an account', async () => {
+      const notification = await recordNotification({ ...queueEntry, user_id: null }, { type: 'queue_called' });
+
+      expect(notification).toBeNull();
+      expect(Notification.create).not.toHaveBeenCalled();
+    });
+
+    it('should log and return null when the write fails', async () => {
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+      Notification.create.mockRejectedValue(new Error('db down'));
+
+      const notification = await recordNotification(queueEntry, { type: 'queue_skipped', message: 'Skipped' });
+
+      expect(notification).toBeNull();
+      expect(consoleSpy).toHaveBeenCalledWith('Record notification error:', expect.any(Error));
+      consoleSpy.mockRestore();
+    });
+  });
+
+  describe('QueueEvents.notifyUser', () => {
+    beforeEach(() => {
+      sendChannelNotifications.mockResolvedValue({ sent: 0, failed: 0 });
+    });
+
+    it('should store the event before sending it with the inbox id', async () => {
+      Notification.create.mockResolvedValue({ id: 311 });
+      const payload = { type: 'queue_rejoined', queueNumber: 'REG-046', message: 'Queue REG-046 is back in line' };
+
+      await QueueEvents.notifyUser(queueEntry, payload);
+
+      expect(Notification.create).toHaveBeenCalled();
+      expect(socketServer.emitQueueCalled).toHaveBeenCalledWith(7, { ...payload, notificationId: 311 });
+      expect(queuePushNotification).toHaveBeenCalledWith(7, payload, 311);
+      expect(sendChannelNotifications).toHaveBeenCalledWith(queueEntry, payload, 311);
+    });
+
+    it('should still send the event when it could not be stored', async () => {
+      jest.spyOn(console, 'error').mockImplementation();
+      Notification.create.mockRejectedValue(new Error('db down'));
+
+      await QueueEvents.notifyUser(queueEntry, { type: 'queue_completed', message: 'Done' });
+
+      expect(socketServer.emitQueueCalled).toHaveBeenCalledWith(7, {
+        type: 'queue_completed',
+        message: 'Done',
+        notificationId: null,
+      });
+      console.error.mockRestore();
+    });
+
+    it('should not notify kiosk walk-ins', async () => {
+      await QueueEvents.notifyUser({ ...queueEntry, user_id: null }, { type: 'queue_called' });
+
+      expect(Notification.create).not.toHaveBeenCalled();
+      expect(socketServer.emitQueueCalled).not.toHaveBeenCalled();
+      expect(queuePushNotification).not.toHaveBeenCalled();
+      expect(sendChannelNotifications).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,88 @@
+const {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  isValidRoleName,
+  validatePermissionGrants,
+  getAdminGrants,
+  resolveAccess,
+  isServiceInScope,
+  toPermissionMap,
+} = require('../../utils/permissions');
+
+describe('Permission Helpers', () => {
+  describe('isValidRoleName', () => {
+    it('should accept short lowercase names', () => {
+      expect(isValidRoleName('department_head')).toBe(true);
+      expect(isValidRoleName('Department Head')).toBe(false);
+      expect(isValidRoleName('1st_line')).toBe(false);
+      expect(isValidRoleName('a'.repeat(21))).toBe(false);
+    });
+  });
+
+  describe('validatePermissionGrants', () => {
+    it('should accept known permissions with optional service scopes', () => {
+      expect(validatePermissionGrants([
+        { permission: PERMISSIONS.SERVICES_MANAGE, serviceIds: [1, 2] },
+        { permission: PERMISSIONS.COUNTERS_OPERATE },
+      ])).toBeNull();
+    });
+
+    it('should reject unknown, duplicate or wrongly scoped permissions', () => {
+      expect(validatePermissionGrants([{ permission: 'everything' }])).toMatch(/Unknown permission/);
+      expect(validatePermissionGrants([
+        { permission: PERMISSIONS.ANALYTICS_VIEW },
+        { permission: PERMISSIONS.ANALYTICS_VIEW },
+      ])).toMatch(/twice/);
+      expect(validatePermissionGrants([{ permission: PERMISSIONS.USERS_MANAGE, serviceIds: [1] }]))
+        .toMatch(/cannot be limited/);
+      expect(validatePermissionGrants([{ permission: PERMISSIONS.ANALYTICS_VIEW, serviceIds: [] }]))
+        .toMatch(/non-empty/);
+    });
+  });
+
+  describe('resolveAccess', () => {
+    const departmentHead = [
+      { permission: PERMISSIONS.SERVICES_MANAGE, serviceIds: [2] },
+      { permission: PERMISSIONS.ANALYTICS_VIEW, serviceIds: [2, 3] },
+    ];
+
+    it('should deny access without a matching permission', () => {
+      expect(resolveAccess(departmentHead, [PERMISSIONS.USERS_MANAGE])).toEqual({ allowed: false, serviceIds: null });
+    });
+
+    it('should limit access to the services of the matching grants', () => {
+      expect(resolveAccess(departmentHead, [PERMISSIONS.ANALYTICS_VIEW]).serviceIds).toEqual([2, 3]);
+      expect(resolveAccess(departmentHead, [PERMISSIONS.SERVICES_MANAGE, PERMISSIONS.ANALYTICS_VIEW]).serviceIds)
+        .toEqual([2, 3]);
+    });
+
+    it('should cover every service when any matching grant is unscoped', () => {
+      const grants = [...departmentHead, { permission: PERMISSIONS.QUEUES_OVERRIDE, serviceIds: null }];
+
+      expect(resolveAccess(grants, [PERMISSIONS.SERVICES_MANAGE, PERMISSIONS.QUEUES_OVERRIDE]))
+        .toEqual({ allowed: true, serviceIds: null });
+    });
+
+    it('should give admins every permission', () => {
+      expect(getAdminGrants().map((grant) => grant.permission)).toEqual(ALL_PERMISSIONS);
+      expect(resolveAccess(getAdminGrants(), [PERMISSIONS.ROLES_MANAGE])).toEqual({ allowed: true, serviceIds: null });
+    });
+  });
+
+  describe('isServiceInScope', () => {
+    it('should treat a null scope as every service', () => {
+      expect(isServiceInScope(null, 9)).toBe(true);
+      expect(isServiceInScope([2, 3], '3')).toBe(true);
+      expect(isServiceInScope([2, 3], 4)).toBe(false);
+    });
+  });
+
+  describe('toPermissionMap', () => {
+    it('should map each permission to its services', () => {
+      expect(toPermissionMap([
+        { permission: PERMISSIONS.ANALYTICS_VIEW, serviceIds: [2] },
+        { permission: PERMISSIONS.COUNTERS_OPERATE, serviceIds: null },
+      ])).toEqual({ 'analytics.view': [2], 'counters.operate': null });
+    });
+  });
+});
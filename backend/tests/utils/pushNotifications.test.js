@@ -0,0 +1,250 @@
+const DeviceToken = require('../../models/DeviceToken');
+const PushTicket = require('../../models/PushTicket');
+const NotificationPreference = require('../../models/NotificationPreference');
+const {
+  PUSH_TOKEN_PATTERN,
+  MAX_MESSAGES_PER_REQUEST,
+  getPushConfig,
+  createPushTransport,
+  createMockPushTransport,
+  setPushTransport,
+  buildPushMessage,
+  sendPushMessages,
+  queuePushNotification,
+  flushPushNotifications,
+  checkPushReceipts,
+} = require('../../utils/pushNotifications');
+
+jest.mock('../../models/DeviceToken');
+jest.mock('../../models/PushTicket');
+jest.mock('../../models/NotificationPreference');
+
+const token = (n) => `ExponentPushToken[device-${n}]`;
+
+const delivery = (n, notificationId = 311) => ({
+  deviceTokenId: n,
+  notificationId,
+  message: buildPushMessage(token(n), { type: 'queue_called', queueNumber: 'REG-046', message: 'Go to Counter 1' }),
+});
+
+describe('Push Notifications', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    DeviceToken.removeByTokens.mockImplementation(async (tokens) => tokens.length);
+    PushTicket.findDue.mockResolvedValue([]);
+    NotificationPreference.findByUsers.mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    setPushTransport(null);
+  });
+
+  describe('getPushConfig', () => {
+    it('should parse the supported transports', () => {
+      expect(getPushConfig('expo')).toEqual({ type: 'expo' });
+      expect(getPushConfig('none')).toEqual({ type: 'none' });
+    });
+
+    it('should fall back to the console', () => {
+      expect(getPushConfig('')).toEqual({ type: 'console' });
+      expect(getPushConfig(undefined)).toEqual({ type: 'console' });
+      expect(getPushConfig('apns')).toEqual({ type: 'console' });
+    });
+
+    it('should accept every message without a ticket id when sending nothing', async () => {
+      const results = await createPushTransport({ type: 'none' }).send([{ to: token(1) }, { to: token(2) }]);
+
+      expect(results).toEqual([{ status: 'ok' }, { status: 'ok' }]);
+    });
+  });
+
+  describe('PUSH_TOKEN_PATTERN', () => {
+    it('should accept Expo push tokens only', () => {
+      expect(PUSH_TOKEN_PATTERN.test('ExponentPushToken[xxxxxxxxxxxxxxxxxxxxxx]')).toBe(true);
+      expect(PUSH_TOKEN_PATTERN.test('ExpoPushToken[xxxxxxxxxxxxxxxxxxxxxx]')).toBe(true);
+      expect(PUSH_TOKEN_PATTERN.test('ExponentPushToken[]')).toBe(false);
+      expect(PUSH_TOKEN_PATTERN.test('f3a9c1d2e4')).toBe(false);
+    });
+  });
+
+  describe('buildPushMessage', () => {
+    it('should use the inbox title and keep the payload for the app', () => {
+      const message = buildPushMessage(token(1), {
+        type: 'queue_approaching',
+        queueNumber: 'REG-046',
+        message: 'You are next in line',
+      }, 311);
+
+      expect(message).toEqual(expect.objectContaining({
+        to: token(1),
+        title: 'Your turn is coming up',
+        body: 'You are next in line',
+        priority: 'high',
+        data: { type: 'queue_approaching', queueNumber: 'REG-046', message: 'You are next in line', notificationId: 311 },
+      }));
+    });
+  });
+
+  describe('sendPushMessages', () => {
+    it('should send in batches the push service accepts and keep the tickets', async () => {
+      const transport = createMockPushTransport();
+      setPushTransport(transport);
+      const deliveries = Array.from({ length: MAX_MESSAGES_PER_REQUEST + 5 }, (_, i) => delivery(i + 1));
+
+      const summary = await sendPushMessages(deliveries);
+
+      expect(summary).toEqual({ sent: 105, failed: 0, pruned: 0 });
+      expect(transport.batches.map((batch) => batch.length)).toEqual([100, 5]);
+      expect(PushTicket.createMany).toHaveBeenCalledWith(expect.arrayContaining([
+        { id: `ticket-1-${token(1)}`, deviceTokenId: 1, notificationId: 311 },
+        { id: `ticket-2-${token(105)}`, deviceTokenId: 105, notificationId: 311 },
+      ]));
+      expect(PushTicket.createMany.mock.calls[0][0]).toHaveLength(105);
+    });
+
+    it('should remove tokens of devices that are no longer registered', async () => {
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+      setPushTransport(createMockPushTransport({
+        ticketFor: (message) => {
+          if (message.to === token(2)) {
+            return { status: 'error', message: 'Not registered', details: { error: 'DeviceNotRegistered' } };
+          }
+          if (message.to === token(3)) {
+            return { status: 'error', message: 'Too many requests', details: { error: 'MessageRateExceeded' } };
+          }
+          return null;
+        },
+      }));
+
+      const summary = await sendPushMessages([delivery(1), delivery(2), delivery(3)]);
+
+      expect(summary).toEqual({ sent: 1, failed: 2, pruned: 1 });
+      expect(DeviceToken.removeByTokens).toHaveBeenCalledWith([token(2)]);
+      expect(PushTicket.createMany).toHaveBeenCalledWith([
+        { id: `ticket-1-${token(1)}`, deviceTokenId: 1, notificationId: 311 },
+      ]);
+      consoleError.mockRestore();
+    });
+
+    it('should count a batch as failed when the request fails', async () => {
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+      setPushTransport({ name: 'broken', send: jest.fn().mockRejectedValue(new Error('timeout')) });
+
+      const summary = await sendPushMessages([delivery(1), delivery(2)]);
+
+      expect(summary).toEqual({ sent: 0, failed: 2, pruned: 0 });
+      expect(PushTicket.createMany).toHaveBeenCalledWith([]);
+      consoleError.mockRestore();
+    });
+  });
+
+  describe('queuePushNotification', () => {
+    it('should only queue events worth a push', async () => {
+      setPushTransport(createMockPushTransport());
+
+      expect(queuePushNotification(7, { type: 'queue_created', queueNumber: 'REG-046' })).toBe(false);
+      expect(queuePushNotification(null, { type: 'queue_called', queueNumber: 'REG-046' })).toBe(false);
+      await flushPushNotifications();
+
+      expect(DeviceToken.findByUsers).not.toHaveBeenCalled();
+    });
+
+    it('should send everything queued together to each device of the users', async () => {
+      const transport = createMockPushTransport();
+      setPushTransport(transport);
+      DeviceToken.findByUsers.mockResolvedValue([
+        { id: 1, user_id: 7, token: token(1) },
+        { id: 2, user_id: 7, token: token(2) },
+        { id: 3, user_id: 8, token: token(3) },
+      ]);
+
+      queuePushNotification(7, { type: 'queue_called', queueNumber: 'REG-046' }, 311);
+      queuePushNotification(8, { type: 'queue_approaching', queueNumber: 'REG-047' }, 312);
+      const summary = await flushPushNotifications();
+
+      expect(summary).toEqual({ sent: 3, failed: 0, pruned: 0 });
+      expect(DeviceToken.findByUsers).toHaveBeenCalledWith([7, 8]);
+      expect(transport.batches).toHaveLength(1);
+      expect(transport.batches[0].map((message) => [message.to, message.data.notificationId])).toEqual([
+        [token(1), 311],
+        [token(2), 311],
+        [token(3), 312],
+      ]);
+    });
+
+    it('should leave out events the student switched off for push', async () => {
+      const transport = createMockPushTransport();
+      setPushTransport(transport);
+      DeviceToken.findByUsers.mockResolvedValue([
+        { id: 1, user_id: 7, token: token(1) },
+        { id: 3, user_id: 8, token: token(3) },
+      ]);
+      NotificationPreference.findByUsers.mockResolvedValue([
+        { user_id: 7, channels: {}, events: { queue_completed: { push: false } } },
+        { user_id: 8, channels: { push: false }, events: {} },
+      ]);
+
+      queuePushNotification(7, { type: 'queue_completed', queueNumber: 'REG-046' });
+      queuePushNotification(7, { type: 'queue_called', queueNumber: 'REG-046' });
+      queuePushNotification(8, { type: 'queue_called', queueNumber: 'REG-047' });
+      const summary = await flushPushNotifications();
+
+      expect(summary.sent).toBe(1);
+      expect(transport.batches[0].map((message) => [message.to, message.data.type])).toEqual([
+        [token(1), 'queue_called'],
+      ]);
+    });
+
+    it('should send queued pushes on its own once the current work is done', async () => {
+      const transport = createMockPushTransport();
+      setPushTransport(transport);
+      DeviceToken.findByUsers.mockResolvedValue([{ id: 1, user_id: 7, token: token(1) }]);
+
+      queuePushNotification(7, { type: 'queue_completed', queueNumber: 'REG-046' });
+      await new Promise((resolve) => setImmediate(resolve));
+      await new Promise((resolve) => setImmediate(resolve));
+
+      expect(transport.batches).toHaveLength(1);
+    });
+  });
+
+  describe('checkPushReceipts', () => {
+    it('should forget handled tickets and remove tokens of uninstalled apps', async () => {
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+      const transport = createMockPushTransport({
+        receipts: {
+          'ticket-a': { status: 'ok' },
+          'ticket-b': { status: 'error', details: { error: 'DeviceNotRegistered' } },
+          'ticket-c': { status: 'error', message: 'Bad credentials', details: { error: 'InvalidCredentials' } },
+        },
+      });
+      setPushTransport(transport);
+      PushTicket.findDue.mockResolvedValue([
+        { id: 'ticket-a', token: token(1) },
+        { id: 'ticket-b', token: token(2) },
+        { id: 'ticket-c', token: token(3) },
+        { id: 'ticket-d', token: token(4) },
+      ]);
+
+      const summary = await checkPushReceipts();
+
+      expect(summary).toEqual({ checked: 3, failed: 2, pruned: 1 });
+      expect(transport.receiptRequests).toEqual([['ticket-a', 'ticket-b', 'ticket-c', 'ticket-d']]);
+      expect(PushTicket.removeByIds).toHaveBeenCalledWith(['ticket-a', 'ticket-b', 'ticket-c']);
+      expect(DeviceToken.removeByTokens).toHaveBeenCalledWith([token(2)]);
+      expect(PushTicket.removeOlderThan).toHaveBeenCalled();
+      consoleError.mockRestore();
+    });
+
+    it('should not ask for receipts when no ticket is due', async () => {
+      const transport = createMockPushTransport();
+      setPushTransport(transport);
+
+      const summary = await checkPushReceipts();
+
+      expect(summary).toEqual({ checked: 0, failed: 0, pruned: 0 });
+      expect(transport.receiptRequests).toEqual([]);
+      expect(PushTicket.removeOlderThan).toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,78 @@
+const { getHoursForDate, getOpenStatus } = require('../../utils/serviceSchedule');
+
+describe('Service Schedule Helpers', () => {
+  // Saturday, 19 October 2024, 10:30 local time
+  const saturdayMorning = new Date(2024, 9, 19, 10, 30);
+
+  const service = {
+    id: 1,
+    operating_hours_start: '08:00:00',
+    operating_hours_end: '17:00:00',
+  };
+
+  const weeklySchedule = {
+    weeklyHours: [
+      { day_of_week: 1, open_time: '08:00:00', close_time: '17:00:00', is_closed: false },
+      { day_of_week: 6, open_time: '08:00:00', close_time: '12:00:00', is_closed: false },
+    ],
+    exceptions: [],
+  };
+
+  describe('getHoursForDate', () => {
+    it('should fall back to operating hours when there is no weekly schedule', () => {
+      const hours = getHoursForDate(service, null, saturdayMorning);
+
+      expect(hours).toEqual(expect.objectContaining({
+        isClosed: false,
+        openTime: '08:00:00',
+        closeTime: '17:00:00',
+      }));
+    });
+
+    it('should treat weekdays missing from the weekly schedule as closed', () => {
+      const sunday = new Date(2024, 9, 20, 9, 0);
+
+      expect(getHoursForDate(service, weeklySchedule, sunday).isClosed).toBe(true);
+    });
+
+    it('should let the shortest matching exception win', () => {
+      const schedule = {
+        ...weeklySchedule,
+        exceptions: [
+          { id: 1, start_date: '2024-10-14', end_date: '2024-10-20', is_closed: false, open_time: '07:00', close_time: '19:00', reason: 'Enrollment week' },
+          { id: 2, start_date: '2024-10-19', end_date: '2024-10-19', is_closed: true, reason: 'Holiday' },
+        ],
+      };
+
+      const hours = getHoursForDate(service, schedule, saturdayMorning);
+
+      expect(hours.isClosed).toBe(true);
+      expect(hours.reason).toBe('Holiday');
+    });
+  });
+
+  describe('getOpenStatus', () => {
+    it('should report open with the closing time during opening hours', () => {
+      const status = getOpenStatus(service, weeklySchedule, saturdayMorning);
+
+      expect(status.isOpen).toBe(true);
+      expect(new Date(status.closesAt)).toEqual(new Date(2024, 9, 19, 12, 0));
+    });
+
+    it('should report the next opening time when closed', () => {
+      const saturdayAfternoon = new Date(2024, 9, 19, 13, 0);
+
+      const status = getOpenStatus(service, weeklySchedule, saturdayAfternoon);
+
+      expect(status.isOpen).toBe(false);
+      expect(new Date(status.opensAt)).toEqual(new Date(2024, 9, 21, 8, 0));
+    });
+
+    it('should be open all day when the service has no hours configured', () => {
+      const status = getOpenStatus({ id: 2 }, null, saturdayMorning);
+
+      expect(status.isOpen).toBe(true);
+      expect(status.closesAt).toBeNull();
+    });
+  });
+});
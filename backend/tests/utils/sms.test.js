@@ -0,0 +1,95 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getSmsConfig, sendSms, setSmsTransport } = require('../../utils/sms');
+
+describe('SMS', () => {
+  const originalEnv = { ...process.env };
+  const originalFetch = global.fetch;
+
+  afterEach(() => {
+    setSmsTransport(null);
+    process.env = { ...originalEnv };
+    global.fetch = originalFetch;
+  });
+
+  describe('getSmsConfig', () => {
+    it('should parse the supported transports', () => {
+      expect(getSmsConfig('http')).toEqual({ type: 'http' });
+      expect(getSmsConfig('file:/tmp/sms')).toEqual({ type: 'file', dir: '/tmp/sms' });
+      expect(getSmsConfig('file:///tmp/sms')).toEqual({ type: 'file', dir: '/tmp/sms' });
+    });
+
+    it('should fall back to the console', () => {
+      expect(getSmsConfig('')).toEqual({ type: 'console' });
+      expect(getSmsConfig(undefined)).toEqual({ type: 'console' });
+      expect(getSmsConfig('file:')).toEqual({ type: 'console' });
+    });
+  });
+
+  describe('sendSms', () => {
+    it('should write messages to the file transport', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'qtech-sms-'));
+      process.env.SMS_TRANSPORT = `file:${dir}`;
+
+      try {
+        const result = await sendSms({ to: '+639171234567', text: 'Queue REG-046 is called' });
+
+        expect(result.transport).toBe('file');
+        const saved = JSON.parse(fs.readFileSync(result.path, 'utf8'));
+        expect(saved).toEqual(expect.objectContaining({
+          to: '+639171234567',
+          text: 'Queue REG-046 is called',
+        }));
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it('should post to the HTTP gateway', async () => {
+      process.env.SMS_TRANSPORT = 'http';
+      process.env.SMS_GATEWAY_URL = 'https://sms.example.edu/send';
+      process.env.SMS_GATEWAY_TOKEN = 'secret';
+      process.env.SMS_SENDER_ID = 'QTech';
+      global.fetch = jest.fn().mockResolvedValue({
+        ok: true,
+        status: 200,
+        json: async () => ({ id: 'msg-1' }),
+      });
+
+      const result = await sendSms({ to: '+639171234567', text: 'Hello' });
+
+      expect(result).toEqual({ transport: 'http', messageId: 'msg-1' });
+      const [url, request] = global.fetch.mock.calls[0];
+      expect(url).toBe('https://sms.example.edu/send');
+      expect(request.headers.Authorization).toBe('Bearer secret');
+      expect(JSON.parse(request.body)).toEqual({ to: '+639171234567', from: 'QTech', message: 'Hello' });
+    });
+
+    it('should fail when the gateway rejects the message', async () => {
+      process.env.SMS_TRANSPORT = 'http';
+      process.env.SMS_GATEWAY_URL = 'https://sms.example.edu/send';
+      global.fetch = jest.fn().mockResolvedValue({
+        ok: false,
+        status: 402,
+        json: async () => ({ message: 'Insufficient credit' }),
+      });
+
+      await expect(sendSms({ to: '+639171234567', text: 'Hello' })).rejects.toThrow('SMS gateway error: Insufficient credit');
+    });
+
+    it('should use a custom transport when one is set', async () => {
+      const send = jest.fn().mockResolvedValue({ messageId: 'abc' });
+      setSmsTransport({ name: 'custom', send });
+
+      const result = await sendSms({ to: '+639171234567', text: 'Hi' });
+
+      expect(result).toEqual({ transport: 'custom', messageId: 'abc' });
+      expect(send).toHaveBeenCalledWith(expect.objectContaining({ to: '+639171234567', text: 'Hi' }));
+    });
+
+    it('should require a recipient', async () => {
+      await expect(sendSms({ text: 'Hi' })).rejects.toThrow('SMS recipient is required');
+    });
+  });
+});
@@ -0,0 +1,62 @@
+const Role = require('../../models/Role');
+const Counter = require('../../models/Counter');
+const { canManageServiceQueue, canOperateCounter } = require('../../utils/staffAccess');
+
+jest.mock('../../models/Role');
+jest.mock('../../models/Counter');
+
+describe('Staff Access Helpers', () => {
+  const grants = {
+    admin: ['queues.override', 'counters.operate'],
+    counter_staff: ['counters.operate'],
+    supervisor: ['queues.override'],
+  };
+
+  const staff = { userId: 3, role: 'counter_staff' };
+  const supervisor = { userId: 8, role: 'supervisor' };
+  const admin = { userId: 1, role: 'admin' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Role.getAccess.mockImplementation(async (role, permission) => ({
+      allowed: (grants[role] || []).includes(permission),
+      serviceIds: role === 'supervisor' ? [2] : null,
+    }));
+    Role.hasPermission.mockImplementation(async (role, permission) => (grants[role] || []).includes(permission));
+  });
+
+  describe('canOperateCounter', () => {
+    it('should only let counter staff work the counters they are assigned to', async () => {
+      Counter.isStaffAssigned.mockResolvedValueOnce(true).mockResolvedValueOnce(false);
+
+      expect(await canOperateCounter(staff, { id: 1, service_id: 2 })).toBe(true);
+      expect(await canOperateCounter(staff, { id: 4, service_id: 2 })).toBe(false);
+      expect(Counter.isStaffAssigned).toHaveBeenLastCalledWith(4, 3);
+    });
+
+    it('should let queue supervisors work counters of the services they cover', async () => {
+      Counter.isStaffAssigned.mockResolvedValue(false);
+
+      expect(await canOperateCounter(supervisor, { id: 4, service_id: 2 })).toBe(true);
+      expect(await canOperateCounter(supervisor, { id: 5, service_id: 3 })).toBe(false);
+      expect(await canOperateCounter(admin, { id: 5, service_id: 3 })).toBe(true);
+    });
+  });
+
+  describe('canManageServiceQueue', () => {
+    it('should limit counter staff to the services of their counters', async () => {
+      Counter.isStaffAssignedToService.mockResolvedValueOnce(true).mockResolvedValueOnce(false);
+
+      expect(await canManageServiceQueue(staff, 2)).toBe(true);
+      expect(await canManageServiceQueue(staff, 3)).toBe(false);
+      expect(Counter.isStaffAssignedToService).toHaveBeenLastCalledWith(3, 3);
+    });
+
+    it('should limit queue supervisors to the services they cover', async () => {
+      expect(await canManageServiceQueue(supervisor, 2)).toBe(true);
+      expect(await canManageServiceQueue(supervisor, 3)).toBe(false);
+      expect(await canManageServiceQueue({ userId: 6, role: 'student' }, 2)).toBe(false);
+      expect(Counter.isStaffAssignedToService).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,65 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getPrinterConfig, printQueueTicket } = require('../../utils/ticketPrinter');
+const { createTicketLookupCode, isValidTicketLookupCode } = require('../../utils/ticketLookup');
+
+describe('Ticket Printer', () => {
+  const originalPrinter = process.env.TICKET_PRINTER;
+
+  afterEach(() => {
+    if (originalPrinter === undefined) {
+      delete process.env.TICKET_PRINTER;
+    } else {
+      process.env.TICKET_PRINTER = originalPrinter;
+    }
+  });
+
+  it('should parse the printer setting', () => {
+    expect(getPrinterConfig('')).toBeNull();
+    expect(getPrinterConfig('stdout')).toEqual({ type: 'stdout' });
+    expect(getPrinterConfig('file:///tmp/tickets.bin')).toEqual({ type: 'file', path: '/tmp/tickets.bin' });
+    expect(getPrinterConfig('tcp://192.168.1.50')).toEqual({ type: 'tcp', host: '192.168.1.50', port: 9100 });
+    expect(getPrinterConfig('tcp://printer:9101')).toEqual({ type: 'tcp', host: 'printer', port: 9101 });
+    expect(getPrinterConfig('lpt1')).toBeNull();
+  });
+
+  it('should refuse to print without a printer', async () => {
+    delete process.env.TICKET_PRINTER;
+
+    await expect(printQueueTicket({ id: 1, queue_number: 'REG-001' }))
+      .rejects.toThrow('Ticket printer is not configured');
+  });
+
+  it('should append tickets to a file sink', async () => {
+    const file = path.join(os.tmpdir(), `qtech-tickets-${process.pid}.bin`);
+    process.env.TICKET_PRINTER = `file:${file}`;
+
+    try {
+      const result = await printQueueTicket({
+        id: 1,
+        queue_number: 'REG-001',
+        service_name: 'Registrar',
+        status: 'waiting',
+        queue_position: 1,
+        requested_at: new Date(),
+      });
+
+      expect(result.sink).toBe('file');
+      expect(fs.readFileSync(file).length).toBe(result.bytes);
+      expect(fs.readFileSync(file).toString('ascii')).toContain('REG-001');
+    } finally {
+      fs.rmSync(file, { force: true });
+    }
+  });
+
+  it('should only accept the lookup code for its own ticket', () => {
+    const code = createTicketLookupCode(12);
+
+    expect(isValidTicketLookupCode(12, code)).toBe(true);
+    expect(isValidTicketLookupCode('12', code)).toBe(true);
+    expect(isValidTicketLookupCode(13, code)).toBe(false);
+    expect(isValidTicketLookupCode(12, 'ñ'.repeat(8))).toBe(false);
+    expect(isValidTicketLookupCode(12, undefined)).toBe(false);
+  });
+});
@@ -0,0 +1,75 @@
+const {
+  base32Encode,
+  base32Decode,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUrl,
+} = require('../../utils/totp');
+const {
+  encryptSecret,
+  decryptSecret,
+  generateBackupCodes,
+  hashBackupCode,
+  isBackupCodeFormat,
+  validateTwoFactorPolicy,
+} = require('../../utils/twoFactor');
+
+describe('TOTP Helpers', () => {
+  // RFC 6238 appendix B test secret (SHA1)
+  const rfcSecret = base32Encode(Buffer.from('12345678901234567890'));
+
+  it('should round-trip base32', () => {
+    expect(rfcSecret).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(base32Decode(rfcSecret).toString()).toBe('12345678901234567890');
+  });
+
+  it('should match the RFC 6238 test vectors', () => {
+    expect(generateTotp(rfcSecret, 59 * 1000, 8)).toBe('94287082');
+    expect(generateTotp(rfcSecret, 1111111109 * 1000, 8)).toBe('07081804');
+    expect(generateTotp(rfcSecret, 1234567890 * 1000, 8)).toBe('89005924');
+    expect(generateTotp(rfcSecret, 20000000000 * 1000, 8)).toBe('65353130');
+  });
+
+  it('should accept codes one step either side and return the step', () => {
+    const now = 1234567890 * 1000;
+    expect(verifyTotp(rfcSecret, generateTotp(rfcSecret, now), { now })).toBe(41152263);
+    expect(verifyTotp(rfcSecret, generateTotp(rfcSecret, now - 30 * 1000), { now })).toBe(41152262);
+    expect(verifyTotp(rfcSecret, generateTotp(rfcSecret, now - 90 * 1000), { now })).toBeNull();
+    expect(verifyTotp(rfcSecret, 'abcdef', { now })).toBeNull();
+  });
+
+  it('should build an otpauth URL for authenticator apps', () => {
+    const url = buildOtpauthUrl({ secret: 'JBSWY3DPEHPK3PXP', accountName: 'staff@example.com' });
+    expect(url).toBe(
+      'otpauth://totp/QTech%3Astaff%40example.com?secret=JBSWY3DPEHPK3PXP&issuer=QTech&algorithm=SHA1&digits=6&period=30'
+    );
+  });
+});
+
+describe('Two-Factor Helpers', () => {
+  it('should encrypt secrets so they can be read back but not compared', () => {
+    const stored = encryptSecret('JBSWY3DPEHPK3PXP');
+    expect(stored).not.toContain('JBSWY3DPEHPK3PXP');
+    expect(encryptSecret('JBSWY3DPEHPK3PXP')).not.toBe(stored);
+    expect(decryptSecret(stored)).toBe('JBSWY3DPEHPK3PXP');
+  });
+
+  it('should generate distinct backup codes that hash the same however they are typed', () => {
+    const codes = generateBackupCodes();
+    expect(codes).toHaveLength(10);
+    expect(new Set(codes).size).toBe(10);
+    codes.forEach((code) => expect(code).toMatch(/^[a-z2-9]{4}-[a-z2-9]{4}$/));
+
+    expect(hashBackupCode(1, 'K7QM 2X9D')).toBe(hashBackupCode(1, 'k7qm-2x9d'));
+    expect(hashBackupCode(2, 'k7qm-2x9d')).not.toBe(hashBackupCode(1, 'k7qm-2x9d'));
+    expect(isBackupCodeFormat('k7qm-2x9d')).toBe(true);
+    expect(isBackupCodeFormat('123456')).toBe(false);
+  });
+
+  it('should only allow staff roles in the policy', () => {
+    expect(validateTwoFactorPolicy(['admin', 'counter_staff'])).toBeNull();
+    expect(validateTwoFactorPolicy([])).toBeNull();
+    expect(validateTwoFactorPolicy(['student'])).toMatch(/require_two_factor_roles/);
+    expect(validateTwoFactorPolicy('admin')).toMatch(/require_two_factor_roles/);
+  });
+});
@@ -0,0 +1,182 @@
+const { FIELD_ERROR_CODES, validateRequest, describeSchema } = require('../../utils/validation');
+
+const codesOf = (errors) => errors.map(({ field, code }) => ({ field, code }));
+
+describe('Request Validation', () => {
+  describe('validateRequest', () => {
+    it('should coerce params and query strings to their declared types', () => {
+      const schema = {
+        params: { queueId: { type: 'integer', required: true, min: 1 } },
+        query: {
+          includePast: { type: 'boolean', default: false },
+          limit: { type: 'integer', max: 100, default: 20 },
+          ratio: { type: 'number' },
+        },
+      };
+
+      const { values, errors } = validateRequest(schema, {
+        params: { queueId: '7' },
+        query: { includePast: 'true', ratio: '1.5' },
+      });
+
+      expect(errors).toEqual([]);
+      expect(values.params).toEqual({ queueId: 7 });
+      expect(values.query).toEqual({ includePast: true, limit: 20, ratio: 1.5 });
+    });
+
+    it('should treat empty query values as absent', () => {
+      const schema = {
+        query: {
+          serviceId: { type: 'integer', required: true },
+          date: { type: 'date' },
+          search: { type: 'string' },
+        },
+      };
+
+      const { values, errors } = validateRequest(schema, { query: { serviceId: '', date: '', search: '' } });
+
+      expect(codesOf(errors)).toEqual([{ field: 'serviceId', code: FIELD_ERROR_CODES.REQUIRED }]);
+      expect(values.query).toEqual({ search: '' });
+    });
+
+    it('should report every problem with its location and code', () => {
+      const schema = {
+        params: { id: { type: 'integer', required: true } },
+        body: {
+          email: { type: 'email', required: true },
+          status: { type: 'string', enum: ['open', 'closed'] },
+          capacity: { type: 'integer', min: 1 },
+          name: { type: 'string', minLength: 1, maxLength: 5 },
+          date: { type: 'date' },
+        },
+      };
+
+      const { errors } = validateRequest(schema, {
+        params: { id: 'abc' },
+        body: { email: 'not-an-email', status: 'busy', capacity: 0, name: 'too long', date: '2026-02-30' },
+      });
+
+      expect(errors).toEqual([
+        expect.objectContaining({ field: 'id', location: 'params', code: FIELD_ERROR_CODES.INVALID_TYPE }),
+        expect.objectContaining({ field: 'email', location: 'body', code: FIELD_ERROR_CODES.INVALID_FORMAT }),
+        expect.objectContaining({ field: 'status', location: 'body', code: FIELD_ERROR_CODES.INVALID_VALUE }),
+        expect.objectContaining({ field: 'capacity', location: 'body', code: FIELD_ERROR_CODES.TOO_SMALL }),
+        expect.objectContaining({ field: 'name', location: 'body', code: FIELD_ERROR_CODES.TOO_LARGE }),
+        expect.objectContaining({ field: 'date', location: 'body', code: FIELD_ERROR_CODES.INVALID_FORMAT }),
+      ]);
+      expect(errors[2].message).toBe('status must be one of: open, closed');
+    });
+
+    it('should only accept null for nullable fields', () => {
+      const schema = {
+        body: {
+          reason: { type: 'string', nullable: true },
+          open_time: { type: 'time', nullable: true },
+          priorityCategory: { type: 'string', enum: ['pwd', 'senior'], nullable: true },
+          capacity: { type: 'integer' },
+        },
+      };
+
+      const { values, errors } = validateRequest(schema, {
+        body: { reason: '', open_time: '', priorityCategory: '', capacity: null },
+      });
+
+      expect(values.body).toEqual({ reason: '', open_time: null, priorityCategory: null, capacity: null });
+      expect(codesOf(errors)).toEqual([{ field: 'capacity', code: FIELD_ERROR_CODES.INVALID_TYPE }]);
+    });
+
+    it('should leave absent optional fields out so partial updates stay partial', () => {
+      const schema = { body: { name: { type: 'string' }, is_active: { type: 'boolean' } } };
+
+      const { values } = validateRequest(schema, { body: { is_active: false } });
+
+      expect(values.body).toEqual({ is_active: false });
+    });
+
+    it('should pass unknown body fields through unless the schema is strict', () => {
+      const fields = { name: { type: 'string' } };
+
+      expect(validateRequest({ body: fields }, { body: { name: 'A', extra: 1 } }).values.body)
+        .toEqual({ name: 'A', extra: 1 });
+
+      const { errors } = validateRequest({ strict: true, body: fields }, { body: { name: 'A', extra: 1 } });
+      expect(errors).toEqual([
+        { field: 'extra', location: 'body', code: FIELD_ERROR_CODES.UNKNOWN_FIELD, message: 'extra is not allowed' },
+      ]);
+    });
+
+    it('should check array items and nested objects with dotted field names', () => {
+      const schema = {
+        strict: true,
+        body: {
+          weekly_hours: {
+            type: 'array',
+            required: true,
+            maxLength: 7,
+            items: {
+              type: 'object',
+              properties: {
+                day_of_week: { type: 'integer', required: true, min: 0, max: 6 },
+                is_closed: { type: 'boolean' },
+              },
+            },
+          },
+        },
+      };
+
+      const { values, errors } = validateRequest(schema, {
+        body: {
+          weekly_hours: [
+            { day_of_week: '1', is_closed: 'false' },
+            { day_of_week: 9, note: 'x' },
+          ],
+        },
+      });
+
+      expect(codesOf(errors)).toEqual([
+        { field: 'weekly_hours[1].day_of_week', code: FIELD_ERROR_CODES.TOO_LARGE },
+        { field: 'weekly_hours[1].note', code: FIELD_ERROR_CODES.UNKNOWN_FIELD },
+      ]);
+      expect(values.body.weekly_hours[0]).toEqual({ day_of_week: 1, is_closed: false });
+    });
+
+    it('should reject a body that is not an object', () => {
+      const { errors } = validateRequest({ body: { name: { type: 'string' } } }, { body: ['a'] });
+
+      expect(codesOf(errors)).toEqual([{ field: 'body', code: FIELD_ERROR_CODES.INVALID_TYPE }]);
+    });
+
+    it('should treat a missing body as empty', () => {
+      const { errors } = validateRequest({ body: { token: { type: 'string', required: true } } }, {});
+
+      expect(codesOf(errors)).toEqual([{ field: 'token', code: FIELD_ERROR_CODES.REQUIRED }]);
+    });
+  });
+
+  describe('describeSchema', () => {
+    it('should flatten a schema into documentation rows', () => {
+      const rows = describeSchema({
+        params: { id: { type: 'integer', required: true, min: 1, description: 'Role ID' } },
+        body: {
+          permissions: {
+            type: 'array',
+            items: { type: 'object', properties: { permission: { type: 'string', enum: ['a', 'b'] } } },
+          },
+        },
+      });
+
+      expect(rows).toEqual([
+        { location: 'params', field: 'id', type: 'integer', required: true, constraints: ['min 1'], description: 'Role ID' },
+        { location: 'body', field: 'permissions', type: 'object[]', required: false, constraints: [], description: '' },
+        {
+          location: 'body',
+          field: 'permissions[].permission',
+          type: 'string',
+          required: false,
+          constraints: ['one of: `a`, `b`'],
+          description: '',
+        },
+      ]);
+    });
+  });
+});
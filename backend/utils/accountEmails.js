@@ -0,0 +1,121 @@
+/**
+ * Account Emails
+ * Message bodies for password reset, email verification, password change
+ * notices and staff invitations. Each builder returns { to, subject, text, html } for sendMail.
+ */
+
+const escapeHtml = (value) => {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+};
+
+const formatDuration = (minutes) => {
+  if (minutes % 60 === 0) {
+    const hours = minutes / 60;
+    return `${hours} hour${hours === 1 ? '' : 's'}`;
+  }
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+};
+
+const layout = (paragraphs) => {
+  const body = paragraphs.map((paragraph) => `<p>${paragraph}</p>`).join('\n');
+  return `<div style="font-family: Arial, sans-serif; font-size: 15px; color: #1e293b;">\n${body}\n<p style="color: #64748b;">QTech Queue Management</p>\n</div>`;
+};
+
+const codeBlock = (code) => {
+  return `<span style="font-size: 28px; font-weight: bold; letter-spacing: 6px;">${escapeHtml(code)}</span>`;
+};
+
+const buildPasswordResetEmail = (user, code, ttlMinutes) => {
+  const expiresIn = formatDuration(ttlMinutes);
+  return {
+    to: user.email,
+    subject: 'Your QTech password reset code',
+    text: [
+      `Hi ${user.first_name},`,
+      `Use this code to reset your QTech password: ${code}`,
+      `The code expires in ${expiresIn}. If you did not ask to reset your password, you can ignore this email.`,
+    ].join('\n\n'),
+    html: layout([
+      `Hi ${escapeHtml(user.first_name)},`,
+      'Use this code to reset your QTech password:',
+      codeBlock(code),
+      `The code expires in ${expiresIn}. If you did not ask to reset your password, you can ignore this email.`,
+    ]),
+  };
+};
+
+const buildEmailVerificationEmail = (user, code, ttlMinutes) => {
+  const expiresIn = formatDuration(ttlMinutes);
+  return {
+    to: user.email,
+    subject: 'Verify your QTech email address',
+    text: [
+      `Hi ${user.first_name},`,
+      `Enter this code in the QTech app to verify your email address: ${code}`,
+      `The code expires in ${expiresIn}.`,
+    ].join('\n\n'),
+    html: layout([
+      `Hi ${escapeHtml(user.first_name)},`,
+      'Enter this code in the QTech app to verify your email address:',
+      codeBlock(code),
+      `The code expires in ${expiresIn}.`,
+    ]),
+  };
+};
+
+const buildPasswordChangedEmail = (user) => {
+  return {
+    to: user.email,
+    subject: 'Your QTech password was changed',
+    text: [
+      `Hi ${user.first_name},`,
+      'The password for your QTech account was just changed and you were signed out on your other devices.',
+      'If this was not you, reset your password from the app straight away and contact the administrator.',
+    ].join('\n\n'),
+    html: layout([
+      `Hi ${escapeHtml(user.first_name)},`,
+      'The password for your QTech account was just changed and you were signed out on your other devices.',
+      'If this was not you, reset your password from the app straight away and contact the administrator.',
+    ]),
+  };
+};
+
+const ROLE_LABELS = {
+  counter_staff: 'counter staff',
+  admin: 'administrator',
+  kiosk: 'kiosk',
+};
+
+const buildInvitationEmail = (user, inviteUrl, expiresAt) => {
+  const roleLabel = ROLE_LABELS[user.role] || user.role;
+  const expiresOn = new Date(expiresAt).toUTCString();
+  return {
+    to: user.email,
+    subject: 'You have been invited to QTech',
+    text: [
+      `Hi ${user.first_name},`,
+      `An administrator created a QTech ${roleLabel} account for you.`,
+      `Open this link to choose your password: ${inviteUrl}`,
+      `The link expires on ${expiresOn}.`,
+    ].join('\n\n'),
+    html: layout([
+      `Hi ${escapeHtml(user.first_name)},`,
+      `An administrator created a QTech ${escapeHtml(roleLabel)} account for you.`,
+      `<a href="${escapeHtml(inviteUrl)}">Choose your password</a>`,
+      `The link expires on ${escapeHtml(expiresOn)}.`,
+    ]),
+  };
+};
+
+module.exports = {
+  escapeHtml,
+  layout,
+  buildPasswordResetEmail,
+  buildEmailVerificationEmail,
+  buildPasswordChangedEmail,
+  buildInvitationEmail,
+};
@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+
+/**
+ * Account Token Helpers
+ * Six-digit codes for password reset and email verification. Codes are short
+ * enough to type on a phone, so they are kept safe by a short lifetime, a cap
+ * on wrong guesses and a keyed hash bound to the user and purpose.
+ */
+
+const ACCOUNT_TOKEN_PURPOSES = {
+  PASSWORD_RESET: 'password_reset',
+  EMAIL_VERIFICATION: 'email_verification',
+};
+
+const DEFAULT_TTL_MINUTES = {
+  [ACCOUNT_TOKEN_PURPOSES.PASSWORD_RESET]: 30,
+  [ACCOUNT_TOKEN_PURPOSES.EMAIL_VERIFICATION]: 24 * 60,
+};
+
+const TTL_ENV_KEYS = {
+  [ACCOUNT_TOKEN_PURPOSES.PASSWORD_RESET]: 'PASSWORD_RESET_TTL_MINUTES',
+  [ACCOUNT_TOKEN_PURPOSES.EMAIL_VERIFICATION]: 'EMAIL_VERIFICATION_TTL_MINUTES',
+};
+
+// Wrong guesses allowed before a code stops working
+const MAX_FAILED_ATTEMPTS = 5;
+
+// A new code is not sent when the last one is younger than this
+const RESEND_COOLDOWN_SECONDS = 60;
+
+const CODE_LENGTH = 6;
+
+const MIN_PASSWORD_LENGTH = 6;
+
+const ACCOUNT_TOKEN_CODES = {
+  INVALID_CODE: 'INVALID_CODE',
+};
+
+const getTokenTtlMinutes = (purpose) => {
+  return parseInt(process.env[TTL_ENV_KEYS[purpose]]) || DEFAULT_TTL_MINUTES[purpose];
+};
+
+const getTokenExpiry = (purpose, now = new Date()) => {
+  return new Date(now.getTime() + getTokenTtlMinutes(purpose) * 60 * 1000);
+};
+
+/**
+ * Random numeric code, zero-padded
+ */
+const generateCode = () => {
+  return String(crypto.randomInt(0, 10 ** CODE_LENGTH)).padStart(CODE_LENGTH, '0');
+};
+
+const getSigningKey = () => {
+  return crypto
+    .createHmac('sha256', process.env.JWT_SECRET || '')
+    .update('account_token')
+    .digest();
+};
+
+/**
+ * Hash a code for storage. Binding it to the user and purpose means a code
+ * for one account or flow is useless for any other.
+ */
+const hashCode = (userId, purpose, code) => {
+  return crypto
+    .createHmac('sha256', getSigningKey())
+    .update(`${purpose}:${userId}:${String(code).trim()}`)
+    .digest('hex');
+};
+
+const codeMatches = (userId, purpose, code, tokenHash) => {
+  if (!code || !tokenHash) {
+    return false;
+  }
+
+  const expected = Buffer.from(tokenHash, 'hex');
+  const actual = Buffer.from(hashCode(userId, purpose, code), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+module.exports = {
+  ACCOUNT_TOKEN_PURPOSES,
+  ACCOUNT_TOKEN_CODES,
+  MAX_FAILED_ATTEMPTS,
+  RESEND_COOLDOWN_SECONDS,
+  MIN_PASSWORD_LENGTH,
+  getTokenTtlMinutes,
+  getTokenExpiry,
+  generateCode,
+  hashCode,
+  codeMatches,
+};
@@ -0,0 +1,86 @@
+const { SCHEDULE_LOOKAHEAD_DAYS, normalizeTime, formatTime, toDateKey } = require('./serviceSchedule');
+
+/**
+ * Appointment Helpers
+ * Booking horizon and check-in window rules shared by the appointment
+ * controller and the admin day view
+ */
+
+// Used when a service has no service_settings row
+const DEFAULT_CHECKIN_WINDOW_MINUTES = 15;
+
+// Bookings can be made this many days ahead (matches the schedule lookahead)
+const APPOINTMENT_BOOKING_DAYS = SCHEDULE_LOOKAHEAD_DAYS;
+
+const APPOINTMENT_CODES = {
+  SLOT_FULL: 'SLOT_FULL',
+  CHECKIN_TOO_EARLY: 'CHECKIN_TOO_EARLY',
+  CHECKIN_WINDOW_MISSED: 'CHECKIN_WINDOW_MISSED',
+};
+
+/**
+ * Build a local Date from a YYYY-MM-DD key and a TIME value
+ */
+const toDateTime = (dateKey, time) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const [hours, minutes, seconds] = normalizeTime(time).split(':').map(Number);
+  return new Date(year, month - 1, day, hours, minutes, seconds);
+};
+
+/**
+ * Get the window in which a booking can be checked in:
+ * from `windowMinutes` before the slot starts until `windowMinutes` after.
+ */
+const getCheckInWindow = (appointment, windowMinutes = DEFAULT_CHECKIN_WINDOW_MINUTES) => {
+  const start = toDateTime(appointment.appointment_date, appointment.start_time);
+  return {
+    opensAt: new Date(start.getTime() - windowMinutes * 60 * 1000),
+    closesAt: new Date(start.getTime() + windowMinutes * 60 * 1000),
+  };
+};
+
+/**
+ * Work out whether a booking can be checked in right now.
+ * @returns {{ canCheckIn: boolean, code: string|null, message: string|null }}
+ */
+const getCheckInState = (appointment, windowMinutes = DEFAULT_CHECKIN_WINDOW_MINUTES, now = new Date()) => {
+  const { opensAt, closesAt } = getCheckInWindow(appointment, windowMinutes);
+
+  if (now < opensAt) {
+    const sameDay = toDateKey(opensAt) === toDateKey(now);
+    return {
+      canCheckIn: false,
+      code: APPOINTMENT_CODES.CHECKIN_TOO_EARLY,
+      message: `Check-in opens ${sameDay ? '' : `on ${toDateKey(opensAt)} `}at ${formatTime(`${opensAt.getHours()}:${opensAt.getMinutes()}`)}.`,
+    };
+  }
+
+  if (now > closesAt) {
+    return {
+      canCheckIn: false,
+      code: APPOINTMENT_CODES.CHECKIN_WINDOW_MISSED,
+      message: 'The check-in window for this appointment has passed. Please join the walk-in queue instead.',
+    };
+  }
+
+  return { canCheckIn: true, code: null, message: null };
+};
+
+/**
+ * Check that a YYYY-MM-DD date is between today and the booking horizon
+ */
+const isBookableDate = (dateKey, now = new Date()) => {
+  const today = toDateKey(now);
+  const lastDay = new Date(now.getFullYear(), now.getMonth(), now.getDate() + APPOINTMENT_BOOKING_DAYS);
+  return dateKey >= today && dateKey <= toDateKey(lastDay);
+};
+
+module.exports = {
+  DEFAULT_CHECKIN_WINDOW_MINUTES,
+  APPOINTMENT_BOOKING_DAYS,
+  APPOINTMENT_CODES,
+  toDateTime,
+  getCheckInWindow,
+  getCheckInState,
+  isBookableDate,
+};
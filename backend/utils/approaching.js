@@ -0,0 +1,77 @@
+const { query } = require('../config/database');
+const Service = require('../models/Service');
+
+/**
+ * "Approaching Your Turn" Helpers
+ * A waiting ticket is close to being called when the service time of the
+ * people ahead of it fits within the alert window, or when it has reached a
+ * given place in line. Either limit can be turned off with 0.
+ */
+
+// Used when neither the service nor the system settings set a window
+const DEFAULT_NOTIFICATION_BEFORE_MINUTES = 5;
+
+// Used when the system settings do not define notification_at_position
+const DEFAULT_NOTIFICATION_AT_POSITION = 3;
+
+// Used when a service has no estimated_service_time
+const DEFAULT_SERVICE_TIME_MINUTES = 5;
+
+const toLimit = (value) => {
+  const limit = parseInt(value);
+  return limit >= 0 ? limit : null;
+};
+
+/**
+ * Alert limits for a service: its own notification_before_minutes,
+ * else the system one, and the system notification_at_position
+ * @returns {{ minutes: number, position: number }}
+ */
+const resolveApproachingThresholds = (serviceSettings = {}, systemSettings = {}) => ({
+  minutes: toLimit(serviceSettings.notification_before_minutes)
+    ?? toLimit(systemSettings.notification_before_minutes)
+    ?? DEFAULT_NOTIFICATION_BEFORE_MINUTES,
+  position: toLimit(systemSettings.notification_at_position) ?? DEFAULT_NOTIFICATION_AT_POSITION,
+});
+
+/**
+ * Read the alert limits of a service from the database
+ */
+const getApproachingThresholds = async (serviceId) => {
+  let systemSettings = {};
+  try {
+    const result = await query(`SELECT settings FROM system_settings WHERE id = 1;`);
+    systemSettings = result.rows[0]?.settings || {};
+  } catch (error) {
+    // No settings table yet: use the defaults
+  }
+
+  const serviceSettings = await Service.getSettings(serviceId);
+  return resolveApproachingThresholds(serviceSettings, systemSettings);
+};
+
+/**
+ * Minutes until a waiting ticket is likely called: one service time per
+ * person ahead of it
+ */
+const getEstimatedWaitMinutes = (entry) => {
+  const peopleAhead = Math.max((parseInt(entry.queue_position) || 1) - 1, 0);
+  return peopleAhead * (parseInt(entry.estimated_service_time) || DEFAULT_SERVICE_TIME_MINUTES);
+};
+
+/**
+ * Whether a waiting ticket is within either alert limit
+ */
+const isApproaching = (entry, { minutes, position }) => (
+  (minutes > 0 && getEstimatedWaitMinutes(entry) <= minutes)
+  || (position > 0 && parseInt(entry.queue_position) <= position)
+);
+
+module.exports = {
+  DEFAULT_NOTIFICATION_BEFORE_MINUTES,
+  DEFAULT_NOTIFICATION_AT_POSITION,
+  resolveApproachingThresholds,
+  getApproachingThresholds,
+  getEstimatedWaitMinutes,
+  isApproaching,
+};
@@ -0,0 +1,116 @@
+const AuditLog = require('../models/AuditLog');
+
+/**
+ * Admin Audit Log
+ * Admin mutations record who made them, from where, and which fields changed
+ * as { field: { from, to } }. Recording never fails the request it describes;
+ * a write error is logged and the change stands.
+ */
+
+const AUDIT_ACTIONS = {
+  USER_INVITE: 'user.invite',
+  USER_INVITE_RESEND: 'user.invite_resend',
+  USER_UPDATE: 'user.update',
+  USER_UNLOCK: 'user.unlock',
+  USER_TWO_FACTOR_RESET: 'user.two_factor_reset',
+  ROLE_CREATE: 'role.create',
+  ROLE_UPDATE: 'role.update',
+  ROLE_DELETE: 'role.delete',
+  SERVICE_CREATE: 'service.create',
+  SERVICE_UPDATE: 'service.update',
+  SERVICE_DELETE: 'service.delete',
+  SERVICE_HOURS_UPDATE: 'service.hours_update',
+  SCHEDULE_EXCEPTION_CREATE: 'schedule_exception.create',
+  SCHEDULE_EXCEPTION_UPDATE: 'schedule_exception.update',
+  SCHEDULE_EXCEPTION_DELETE: 'schedule_exception.delete',
+  APPOINTMENT_SLOT_CREATE: 'appointment_slot.create',
+  APPOINTMENT_SLOT_UPDATE: 'appointment_slot.update',
+  APPOINTMENT_SLOT_DELETE: 'appointment_slot.delete',
+  COUNTER_CREATE: 'counter.create',
+  COUNTER_UPDATE: 'counter.update',
+  COUNTER_DELETE: 'counter.delete',
+  COUNTER_STAFF_ASSIGN: 'counter.staff_assign',
+  QUEUE_STATUS_UPDATE: 'queue.status_update',
+  SETTINGS_UPDATE: 'settings.update',
+};
+
+// Bookkeeping columns that change on every write
+const IGNORED_FIELDS = ['created_at', 'updated_at'];
+
+// Never copied into the log
+const REDACTED_FIELDS = [
+  'password',
+  'password_hash',
+  'token',
+  'token_hash',
+  'two_factor_secret',
+  'two_factor_last_step',
+  'token_version',
+];
+
+// The entity an action is about: service.update -> service
+const getEntityType = (action) => action.split('.')[0];
+
+const AUDIT_ENTITY_TYPES = [...new Set(Object.values(AUDIT_ACTIONS).map(getEntityType))];
+
+// Dates become ISO strings and nested values plain JSON, so they compare by value
+const toJsonValue = (value) => {
+  if (value === undefined) return null;
+  return JSON.parse(JSON.stringify(value));
+};
+
+/**
+ * Fields that differ between two versions of a record: { field: { from, to } }.
+ * A null `before` is a creation and a null `after` a deletion; every field is
+ * listed. Otherwise the fields of `after` are compared, or only `fields` when
+ * given (e.g. the fields of the request body).
+ */
+const diffChanges = (before, after, fields = null) => {
+  const compared = fields || (before && after
+    ? Object.keys(after)
+    : Object.keys(before || after || {}));
+
+  const changes = {};
+  for (const field of compared) {
+    if (IGNORED_FIELDS.includes(field) || REDACTED_FIELDS.includes(field)) {
+      continue;
+    }
+
+    const from = toJsonValue(before ? before[field] : null);
+    const to = toJsonValue(after ? after[field] : null);
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from, to };
+    }
+  }
+
+  return changes;
+};
+
+/**
+ * Record an admin action for the signed-in user of `req`.
+ * `changes` is given directly, or worked out from `before` and `after`.
+ */
+const recordAudit = async (req, { action, entityId = null, before = null, after = null, fields = null, changes }) => {
+  try {
+    await AuditLog.record({
+      actorId: req.user?.userId || null,
+      actorRole: req.user?.role || null,
+      action,
+      entityType: getEntityType(action),
+      entityId: entityId !== null && entityId !== undefined ? String(entityId) : null,
+      changes: changes || diffChanges(before, after, fields),
+      ipAddress: req.ip,
+      userAgent: req.headers?.['user-agent'],
+    });
+  } catch (error) {
+    console.error('Record audit log error:', error);
+  }
+};
+
+module.exports = {
+  AUDIT_ACTIONS,
+  AUDIT_ENTITY_TYPES,
+  getEntityType,
+  diffChanges,
+  recordAudit,
+};
@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+
+/**
+ * Auth Token Helpers
+ * Short-lived access tokens (JWT) plus opaque refresh tokens that are stored
+ * hashed and rotated on every use. Access tokens carry the user's
+ * token_version; bumping it in the database revokes them all at once.
+ */
+
+const DEFAULT_ACCESS_TOKEN_EXPIRE = '15m';
+const DEFAULT_REFRESH_TOKEN_TTL_DAYS = 30;
+
+const AUTH_TOKEN_CODES = {
+  AUTH_REQUIRED: 'AUTH_REQUIRED',
+  AUTH_INVALID: 'AUTH_INVALID',
+  SESSION_REVOKED: 'SESSION_REVOKED',
+};
+
+/**
+ * Derive a signing or encryption key for one purpose from JWT_SECRET.
+ * Anything signed with a derived key fails verification as an access token,
+ * and keys for different purposes never match, so a check-in code, display
+ * board token or 2FA challenge cannot be replayed anywhere else.
+ */
+const deriveKey = (purpose) => {
+  return crypto
+    .createHmac('sha256', process.env.JWT_SECRET || '')
+    .update(purpose)
+    .digest();
+};
+
+const authTokenError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Sign an access token for a user row ({ id, role, token_version })
+ */
+const createAccessToken = (user) => {
+  return jwt.sign(
+    { userId: user.id, role: user.role, tokenVersion: user.token_version || 0 },
+    process.env.JWT_SECRET,
+    {
+      expiresIn: process.env.ACCESS_TOKEN_EXPIRE || DEFAULT_ACCESS_TOKEN_EXPIRE,
+    }
+  );
+};
+
+/**
+ * Verify an access token and check it against the user's current state.
+ * The role comes from the database, so a demotion applies immediately.
+ * @returns {Promise<{ userId: number, role: string }>}
+ * @throws {Error} with `code` set to AUTH_INVALID or SESSION_REVOKED
+ */
+const verifyAccessToken = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    throw authTokenError(
+      error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token',
+      AUTH_TOKEN_CODES.AUTH_INVALID
+    );
+  }
+
+  const state = await User.getAuthState(decoded.userId);
+  if (!state || !state.is_active || (decoded.tokenVersion || 0) !== state.token_version) {
+    throw authTokenError('Session has been revoked', AUTH_TOKEN_CODES.SESSION_REVOKED);
+  }
+
+  return { userId: state.id, role: state.role };
+};
+
+/**
+ * Create a new opaque refresh token. Only its hash is stored.
+ */
+const generateRefreshToken = () => crypto.randomBytes(48).toString('base64url');
+
+const hashRefreshToken = (token) => {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+const getRefreshTokenExpiry = (now = new Date()) => {
+  const days = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || DEFAULT_REFRESH_TOKEN_TTL_DAYS;
+  return new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+};
+
+module.exports = {
+  AUTH_TOKEN_CODES,
+  deriveKey,
+  createAccessToken,
+  verifyAccessToken,
+  generateRefreshToken,
+  hashRefreshToken,
+  getRefreshTokenExpiry,
+};
@@ -0,0 +1,103 @@
+const jwt = require('jsonwebtoken');
+const { deriveKey } = require('./authTokens');
+
+/**
+ * On-site Check-in Helpers
+ * Signs and verifies the rotating QR code shown on the display board.
+ * Students scan it to prove they are on site before their ticket is callable.
+ */
+
+// Prefix of the QR payload so the scanner can ignore unrelated codes
+const CHECKIN_QR_PREFIX = 'qtech-checkin:';
+
+// How long one QR code stays valid; the board refreshes at half this
+const DEFAULT_CHECKIN_TOKEN_TTL_SECONDS = 60;
+
+const CHECKIN_PURPOSE = 'onsite_checkin';
+
+const CHECKIN_CODES = {
+  CHECKIN_NOT_REQUIRED: 'CHECKIN_NOT_REQUIRED',
+  CHECKIN_TOKEN_INVALID: 'CHECKIN_TOKEN_INVALID',
+  CHECKIN_TOKEN_EXPIRED: 'CHECKIN_TOKEN_EXPIRED',
+};
+
+const getTokenTtlSeconds = () => {
+  return parseInt(process.env.CHECKIN_TOKEN_TTL_SECONDS) || DEFAULT_CHECKIN_TOKEN_TTL_SECONDS;
+};
+
+/**
+ * Create a check-in token for the display board.
+ * A null serviceId gives a code valid for every service (the "All Services" board).
+ * @returns {{ token: string, qrValue: string, serviceId: number|null, expiresAt: string, refreshInSeconds: number }}
+ */
+const createCheckInToken = (serviceId = null) => {
+  const ttl = getTokenTtlSeconds();
+  const token = jwt.sign(
+    { purpose: CHECKIN_PURPOSE, serviceId: serviceId ? parseInt(serviceId) : null },
+    deriveKey(CHECKIN_PURPOSE),
+    { expiresIn: ttl }
+  );
+
+  return {
+    token,
+    qrValue: `${CHECKIN_QR_PREFIX}${token}`,
+    serviceId: serviceId ? parseInt(serviceId) : null,
+    expiresAt: new Date(Date.now() + ttl * 1000).toISOString(),
+    refreshInSeconds: Math.max(Math.floor(ttl / 2), 1),
+  };
+};
+
+/**
+ * Check a scanned value (the QR payload or the bare token) against a ticket's service.
+ * @returns {{ valid: boolean, code: string|null, message: string|null }}
+ */
+const verifyCheckInToken = (value, serviceId) => {
+  const token = typeof value === 'string' && value.startsWith(CHECKIN_QR_PREFIX)
+    ? value.slice(CHECKIN_QR_PREFIX.length)
+    : value;
+
+  let payload;
+  try {
+    payload = jwt.verify(token || '', deriveKey(CHECKIN_PURPOSE));
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return {
+        valid: false,
+        code: CHECKIN_CODES.CHECKIN_TOKEN_EXPIRED,
+        message: 'This check-in code has expired. Please scan the code currently on the display board.',
+      };
+    }
+    return {
+      valid: false,
+      code: CHECKIN_CODES.CHECKIN_TOKEN_INVALID,
+      message: 'This is not a valid check-in code',
+    };
+  }
+
+  if (payload.purpose !== CHECKIN_PURPOSE) {
+    return {
+      valid: false,
+      code: CHECKIN_CODES.CHECKIN_TOKEN_INVALID,
+      message: 'This is not a valid check-in code',
+    };
+  }
+
+  if (payload.serviceId !== null && payload.serviceId !== parseInt(serviceId)) {
+    return {
+      valid: false,
+      code: CHECKIN_CODES.CHECKIN_TOKEN_INVALID,
+      message: 'This check-in code is for a different service',
+    };
+  }
+
+  return { valid: true, code: null, message: null };
+};
+
+module.exports = {
+  CHECKIN_QR_PREFIX,
+  DEFAULT_CHECKIN_TOKEN_TTL_SECONDS,
+  CHECKIN_CODES,
+  getTokenTtlSeconds,
+  createCheckInToken,
+  verifyCheckInToken,
+};
@@ -0,0 +1,61 @@
+const jwt = require('jsonwebtoken');
+const { deriveKey } = require('./authTokens');
+
+/**
+ * Display Board Token Helpers
+ * Read-only credential for TV display boards. It lets the board open a
+ * WebSocket connection and follow service rooms, nothing else.
+ */
+
+// Boards run all day; they fetch a new token well before this runs out
+const DEFAULT_DISPLAY_BOARD_TOKEN_TTL_HOURS = 24;
+
+const DISPLAY_BOARD_PURPOSE = 'display_board';
+
+const getTokenTtlSeconds = () => {
+  const hours = parseInt(process.env.DISPLAY_BOARD_TOKEN_TTL_HOURS) || DEFAULT_DISPLAY_BOARD_TOKEN_TTL_HOURS;
+  return hours * 60 * 60;
+};
+
+/**
+ * Create a display board token.
+ * A null serviceId lets the board follow every service.
+ * @returns {{ token: string, serviceId: number|null, expiresAt: string }}
+ */
+const createDisplayBoardToken = (serviceId = null) => {
+  const ttl = getTokenTtlSeconds();
+  const parsedServiceId = serviceId ? parseInt(serviceId) : null;
+  const token = jwt.sign(
+    { purpose: DISPLAY_BOARD_PURPOSE, serviceId: parsedServiceId },
+    deriveKey(DISPLAY_BOARD_PURPOSE),
+    { expiresIn: ttl }
+  );
+
+  return {
+    token,
+    serviceId: parsedServiceId,
+    expiresAt: new Date(Date.now() + ttl * 1000).toISOString(),
+  };
+};
+
+/**
+ * Verify a display board token
+ * @returns {{ serviceId: number|null }|null} null when the token is invalid or expired
+ */
+const verifyDisplayBoardToken = (token) => {
+  try {
+    const payload = jwt.verify(token || '', deriveKey(DISPLAY_BOARD_PURPOSE));
+    if (payload.purpose !== DISPLAY_BOARD_PURPOSE) {
+      return null;
+    }
+    return { serviceId: payload.serviceId ?? null };
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  DEFAULT_DISPLAY_BOARD_TOKEN_TTL_HOURS,
+  createDisplayBoardToken,
+  verifyDisplayBoardToken,
+};
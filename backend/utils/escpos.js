@@ -0,0 +1,156 @@
+const { PRIORITY_LABELS } = require('./priority');
+
+/**
+ * ESC/POS Helpers
+ * Render queue tickets into raw byte streams for thermal receipt printers
+ */
+
+const ESC = 0x1b;
+const GS = 0x1d;
+const LF = 0x0a;
+
+// Characters per line in Font A: 48 on 80mm paper, 32 on 58mm paper
+const DEFAULT_LINE_WIDTH = 48;
+
+const ALIGN = {
+  left: 0,
+  center: 1,
+  right: 2,
+};
+
+const commands = {
+  init: () => Buffer.from([ESC, 0x40]),
+  align: (position) => Buffer.from([ESC, 0x61, ALIGN[position] ?? ALIGN.left]),
+  bold: (on) => Buffer.from([ESC, 0x45, on ? 1 : 0]),
+  // Character size multiplier, 1-8 in each direction
+  size: (width = 1, height = width) => Buffer.from([GS, 0x21, ((width - 1) << 4) | (height - 1)]),
+  feed: (lines = 1) => Buffer.from([ESC, 0x64, lines]),
+  // Feed to the cutter and do a partial cut
+  cut: () => Buffer.from([GS, 0x56, 0x42, 0x03]),
+};
+
+/**
+ * Printers default to code page 437, so strip accents and replace anything
+ * else outside printable ASCII.
+ */
+const toPrintable = (text) => {
+  return String(text ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\x20-\x7e]/g, '?');
+};
+
+const text = (value) => Buffer.from(`${toPrintable(value)}\n`, 'ascii');
+
+/**
+ * QR code using the GS ( k function (model 2).
+ * @param {string} value - Data to encode
+ * @param {number} moduleSize - Dot size of one module, 1-16
+ */
+const qrCode = (value, moduleSize = 6) => {
+  const data = Buffer.from(toPrintable(value), 'ascii');
+  const storeLength = data.length + 3;
+
+  return Buffer.concat([
+    // Select model 2
+    Buffer.from([GS, 0x28, 0x6b, 0x04, 0x00, 0x31, 0x41, 0x32, 0x00]),
+    // Module size
+    Buffer.from([GS, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x43, moduleSize]),
+    // Error correction level M
+    Buffer.from([GS, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x45, 0x31]),
+    // Store the data
+    Buffer.from([GS, 0x28, 0x6b, storeLength & 0xff, storeLength >> 8, 0x31, 0x50, 0x30]),
+    data,
+    // Print the stored symbol
+    Buffer.from([GS, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x51, 0x30]),
+    Buffer.from([LF]),
+  ]);
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Format a timestamp as YYYY-MM-DD HH:MM in the server's local time
+ */
+const formatTicketTime = (value) => {
+  const date = value ? new Date(value) : new Date();
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+/**
+ * Render a queue ticket.
+ * @param {Object} ticket - { queueNumber, serviceName, serviceLocation, queuePosition,
+ *   estimatedWaitTime, priorityCategory, requestedAt }
+ * @param {Object} options - { qrValue, lineWidth, reprint }
+ * @returns {Buffer} ESC/POS byte stream, ending with a paper cut
+ */
+const renderTicket = (ticket, options = {}) => {
+  const lineWidth = options.lineWidth || DEFAULT_LINE_WIDTH;
+  const divider = text('-'.repeat(lineWidth));
+  const parts = [
+    commands.init(),
+    commands.align('center'),
+    commands.bold(true),
+    text('QTech Queue Ticket'),
+    commands.bold(false),
+  ];
+
+  if (options.reprint) {
+    parts.push(text('** REPRINT **'));
+  }
+
+  parts.push(
+    divider,
+    commands.size(2),
+    commands.bold(true),
+    text(ticket.serviceName),
+    commands.size(1),
+    commands.bold(false),
+    text('Your number'),
+    commands.size(4),
+    commands.bold(true),
+    text(ticket.queueNumber),
+    commands.size(1),
+    commands.bold(false),
+    divider,
+    commands.align('left')
+  );
+
+  if (ticket.queuePosition) {
+    parts.push(text(`Position:     #${ticket.queuePosition}`));
+    parts.push(text(`People ahead: ${Math.max(ticket.queuePosition - 1, 0)}`));
+  }
+  if (ticket.estimatedWaitTime != null) {
+    parts.push(text(`Est. wait:    ~${ticket.estimatedWaitTime} min`));
+  }
+  if (ticket.priorityCategory) {
+    parts.push(text(`Priority:     ${PRIORITY_LABELS[ticket.priorityCategory] || ticket.priorityCategory}`));
+  }
+  if (ticket.serviceLocation) {
+    parts.push(text(`Location:     ${ticket.serviceLocation}`));
+  }
+  parts.push(text(`Issued:       ${formatTicketTime(ticket.requestedAt)}`));
+
+  parts.push(commands.align('center'));
+  if (options.qrValue) {
+    parts.push(commands.feed(1), qrCode(options.qrValue), text('Scan to check your status'));
+  }
+
+  parts.push(
+    commands.feed(1),
+    text('Please watch the display board for your number.'),
+    commands.feed(3),
+    commands.cut()
+  );
+
+  return Buffer.concat(parts);
+};
+
+module.exports = {
+  DEFAULT_LINE_WIDTH,
+  commands,
+  toPrintable,
+  qrCode,
+  formatTicketTime,
+  renderTicket,
+};
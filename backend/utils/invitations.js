@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+
+/**
+ * Invitation Helpers
+ * Accounts other than students are created by admins and activated through an
+ * emailed link that lets the invitee choose a password.
+ */
+
+const USER_ROLES = ['student', 'counter_staff', 'admin', 'kiosk'];
+
+// Roles that can only be created by invitation
+const INVITABLE_ROLES = ['counter_staff', 'admin', 'kiosk'];
+
+const INVITE_STATUS = {
+  PENDING: 'pending',
+  ACCEPTED: 'accepted',
+  EXPIRED: 'expired',
+};
+
+const INVITE_CODES = {
+  INVITE_NOT_FOUND: 'INVITE_NOT_FOUND',
+  INVITE_EXPIRED: 'INVITE_EXPIRED',
+  INVITE_ACCEPTED: 'INVITE_ACCEPTED',
+  ROLE_NOT_ALLOWED: 'ROLE_NOT_ALLOWED',
+};
+
+const DEFAULT_INVITE_TTL_HOURS = 72;
+
+const isValidRole = (role) => USER_ROLES.includes(role);
+
+const isInvitableRole = (role) => INVITABLE_ROLES.includes(role);
+
+const generateInviteToken = () => crypto.randomBytes(32).toString('base64url');
+
+const hashInviteToken = (token) => {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+const getInviteExpiry = (now = new Date()) => {
+  const hours = parseInt(process.env.INVITE_TTL_HOURS) || DEFAULT_INVITE_TTL_HOURS;
+  return new Date(now.getTime() + hours * 60 * 60 * 1000);
+};
+
+/**
+ * Lifecycle state of an invitation row ({ accepted_at, expires_at })
+ */
+const getInviteStatus = (invitation, now = new Date()) => {
+  if (!invitation) {
+    return null;
+  }
+  if (invitation.accepted_at) {
+    return INVITE_STATUS.ACCEPTED;
+  }
+  return new Date(invitation.expires_at) <= now ? INVITE_STATUS.EXPIRED : INVITE_STATUS.PENDING;
+};
+
+/**
+ * Link to the accept page: INVITE_ACCEPT_URL when set, otherwise the
+ * dashboard the admin sent the invitation from.
+ */
+const buildInviteUrl = (token, origin = null) => {
+  const base = process.env.INVITE_ACCEPT_URL
+    || (origin ? `${origin.replace(/\/$/, '')}/accept-invite` : null);
+  if (!base) {
+    return null;
+  }
+
+  const separator = base.includes('?') ? '&' : '?';
+  return `${base}${separator}token=${encodeURIComponent(token)}`;
+};
+
+module.exports = {
+  USER_ROLES,
+  INVITABLE_ROLES,
+  INVITE_STATUS,
+  INVITE_CODES,
+  isValidRole,
+  isInvitableRole,
+  generateInviteToken,
+  hashInviteToken,
+  getInviteExpiry,
+  getInviteStatus,
+  buildInviteUrl,
+};
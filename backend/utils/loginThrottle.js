@@ -0,0 +1,98 @@
+/**
+ * Login Throttling
+ * Failed logins are tracked per account and per client IP. Each failure adds
+ * an exponentially growing wait before the next attempt; an account that
+ * reaches LOGIN_MAX_ATTEMPTS is locked for LOGIN_LOCKOUT_MINUTES, and an IP
+ * that reaches LOGIN_IP_MAX_ATTEMPTS within the window is blocked until older
+ * failures fall out of it.
+ */
+
+const LOGIN_CODES = {
+  ACCOUNT_LOCKED: 'ACCOUNT_LOCKED',
+  LOGIN_THROTTLED: 'LOGIN_THROTTLED',
+};
+
+const LOGIN_FAILURE_REASONS = {
+  INVALID_CREDENTIALS: 'invalid_credentials',
+  ACCOUNT_INACTIVE: 'account_inactive',
+  ACCOUNT_LOCKED: 'account_locked',
+  THROTTLED: 'throttled',
+  INVALID_TWO_FACTOR_CODE: 'invalid_two_factor_code',
+};
+
+const BACKOFF_BASE_SECONDS = 1;
+const BACKOFF_MAX_SECONDS = 30;
+
+const getLoginThrottleConfig = () => ({
+  maxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5,
+  lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15,
+  ipMaxAttempts: parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS) || 20,
+  ipWindowMinutes: parseInt(process.env.LOGIN_IP_WINDOW_MINUTES) || 15,
+});
+
+/**
+ * Wait required after `failures` failed attempts, ignoring the first
+ * `freeAttempts` (1s, 2s, 4s ... capped at BACKOFF_MAX_SECONDS)
+ */
+const getBackoffSeconds = (failures, freeAttempts = 0) => {
+  const counted = failures - freeAttempts;
+  if (counted <= 0) {
+    return 0;
+  }
+  return Math.min(BACKOFF_BASE_SECONDS * 2 ** (counted - 1), BACKOFF_MAX_SECONDS);
+};
+
+const secondsUntil = (time, now) => {
+  return Math.max(Math.ceil((new Date(time).getTime() - now.getTime()) / 1000), 0);
+};
+
+/**
+ * Seconds the account must wait before another attempt, or 0.
+ * `account` is a user row with failed_login_attempts, last_failed_login_at
+ * and locked_until.
+ */
+const getAccountWaitSeconds = (account, now = new Date()) => {
+  if (account.locked_until && new Date(account.locked_until) > now) {
+    return { locked: true, retryAfter: secondsUntil(account.locked_until, now) };
+  }
+
+  if (!account.last_failed_login_at) {
+    return { locked: false, retryAfter: 0 };
+  }
+
+  const backoff = getBackoffSeconds(account.failed_login_attempts || 0);
+  const retryAt = new Date(new Date(account.last_failed_login_at).getTime() + backoff * 1000);
+  return { locked: false, retryAfter: secondsUntil(retryAt, now) };
+};
+
+/**
+ * Seconds the client IP must wait before another attempt, or 0.
+ * `ipFailures` is { failures, last_failure_at, oldest_failure_at } within the
+ * window. Shared networks get LOGIN_MAX_ATTEMPTS failures before any backoff.
+ */
+const getIpWaitSeconds = (ipFailures, now = new Date()) => {
+  const { maxAttempts, ipMaxAttempts, ipWindowMinutes } = getLoginThrottleConfig();
+  const failures = ipFailures?.failures || 0;
+
+  if (failures >= ipMaxAttempts) {
+    const windowEnd = new Date(new Date(ipFailures.oldest_failure_at).getTime() + ipWindowMinutes * 60 * 1000);
+    return secondsUntil(windowEnd, now);
+  }
+
+  if (!ipFailures?.last_failure_at) {
+    return 0;
+  }
+
+  const backoff = getBackoffSeconds(failures, maxAttempts);
+  return secondsUntil(new Date(new Date(ipFailures.last_failure_at).getTime() + backoff * 1000), now);
+};
+
+module.exports = {
+  LOGIN_CODES,
+  LOGIN_FAILURE_REASONS,
+  BACKOFF_MAX_SECONDS,
+  getLoginThrottleConfig,
+  getBackoffSeconds,
+  getAccountWaitSeconds,
+  getIpWaitSeconds,
+};
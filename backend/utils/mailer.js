@@ -0,0 +1,146 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Mailer
+ * Sends email through the transport selected by MAIL_TRANSPORT:
+ *   MAIL_TRANSPORT=smtp              SMTP via SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS
+ *   MAIL_TRANSPORT=file:/tmp/mail    write each message as a JSON file (offline testing)
+ *   MAIL_TRANSPORT=console           log messages to the server console
+ * Outside production it defaults to the console. In production it must be set;
+ * until it is, sending fails instead of silently logging the message.
+ * A transport is any object with `name` and `send(message)`; setMailTransport
+ * swaps in a custom one.
+ */
+
+const DEFAULT_FROM = 'QTech <no-reply@qtech.local>';
+
+const DEFAULT_SMTP_PORT = 587;
+
+/**
+ * Parse MAIL_TRANSPORT into a transport description
+ * @returns {{ type: 'smtp'|'file'|'console'|'unset', dir?: string }}
+ */
+const getMailConfig = (value = process.env.MAIL_TRANSPORT, nodeEnv = process.env.NODE_ENV) => {
+  const target = (value || '').trim();
+
+  if (target === 'smtp') {
+    return { type: 'smtp' };
+  }
+
+  if (target.startsWith('file:')) {
+    const dir = target.slice('file:'.length).replace(/^\/\/(?=\/)/, '');
+    if (dir) {
+      return { type: 'file', dir };
+    }
+  }
+
+  if (target !== 'console' && nodeEnv === 'production') {
+    return { type: 'unset' };
+  }
+
+  return { type: 'console' };
+};
+
+const createSmtpTransport = () => {
+  // Only loaded when SMTP is actually used
+  const nodemailer = require('nodemailer');
+  const port = parseInt(process.env.SMTP_PORT) || DEFAULT_SMTP_PORT;
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+    ...(process.env.SMTP_USER && {
+      auth: {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS,
+      },
+    }),
+  });
+
+  return {
+    name: 'smtp',
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    },
+  };
+};
+
+const createFileTransport = (dir) => ({
+  name: 'file',
+  send: async (message) => {
+    await fs.promises.mkdir(dir, { recursive: true });
+    const safeRecipient = String(message.to).replace(/[^a-zA-Z0-9@._-]/g, '_');
+    const fileName = `${Date.now()}-${safeRecipient}.json`;
+    const filePath = path.join(dir, fileName);
+    await fs.promises.writeFile(filePath, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+    return { messageId: fileName, path: filePath };
+  },
+});
+
+const createConsoleTransport = () => ({
+  name: 'console',
+  send: async (message) => {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    return { messageId: null };
+  },
+});
+
+const createUnsetTransport = () => ({
+  name: 'unset',
+  send: async () => {
+    throw new Error('MAIL_TRANSPORT is not set; set it to smtp, file:<dir> or console');
+  },
+});
+
+const createMailTransport = (config = getMailConfig()) => {
+  if (config.type === 'smtp') {
+    return createSmtpTransport();
+  }
+  if (config.type === 'file') {
+    return createFileTransport(config.dir);
+  }
+  if (config.type === 'unset') {
+    return createUnsetTransport();
+  }
+  return createConsoleTransport();
+};
+
+let transportOverride = null;
+
+/**
+ * Replace the configured transport (pass null to go back to MAIL_TRANSPORT)
+ */
+const setMailTransport = (transport) => {
+  transportOverride = transport;
+};
+
+const getMailTransport = () => transportOverride || createMailTransport();
+
+/**
+ * Send an email
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Promise<{ transport: string, messageId: string|null }>}
+ */
+const sendMail = async (message) => {
+  if (!message.to) {
+    throw new Error('Mail recipient is required');
+  }
+
+  const transport = getMailTransport();
+  const result = await transport.send({
+    from: process.env.MAIL_FROM || DEFAULT_FROM,
+    ...message,
+  });
+
+  return { transport: transport.name, ...result };
+};
+
+module.exports = {
+  getMailConfig,
+  createMailTransport,
+  setMailTransport,
+  getMailTransport,
+  sendMail,
+};
@@ -0,0 +1,400 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Migration Runner
+ * Applies the numbered SQL files in database/migrations once each, in order,
+ * and records them in schema_migrations with a checksum of the file. Each
+ * migration runs in its own transaction together with its tracking row, so a
+ * failure leaves nothing half-applied. Reverting runs the matching file in
+ * database/migrations/down. Used by both scripts/run-migrations.js and
+ * POST /api/admin/migrate.
+ */
+
+const MIGRATION_CODES = {
+  INVALID_OPTIONS: 'INVALID_OPTIONS',
+  MIGRATIONS_NOT_FOUND: 'MIGRATIONS_NOT_FOUND',
+  DUPLICATE_VERSION: 'DUPLICATE_VERSION',
+  CHECKSUM_MISMATCH: 'CHECKSUM_MISMATCH',
+  DOWN_MIGRATION_MISSING: 'DOWN_MIGRATION_MISSING',
+  MIGRATION_LOCKED: 'MIGRATION_LOCKED',
+  MIGRATION_FAILED: 'MIGRATION_FAILED',
+};
+
+const MIGRATION_DIRECTIONS = ['up', 'down'];
+
+// 001_create_tables.sql -> version 1, name create_tables
+const MIGRATION_FILE_PATTERN = /^(\d{3})_([a-z0-9_]+)\.sql$/;
+
+// Down files share the name of the migration they revert
+const DOWN_DIR = 'down';
+
+// 000_reset_database.sql drops every table; it is only ever run by hand
+const RESET_VERSION = 0;
+
+// Session advisory lock held for the whole run, so two deploys cannot
+// migrate at the same time
+const MIGRATION_LOCK_KEY = 7301019;
+
+const MIGRATIONS_TABLE_SQL = `
+  CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    checksum VARCHAR(64) NOT NULL,
+    execution_time_ms INTEGER,
+    applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  );
+`;
+
+const migrationError = (message, code, extra = {}) => {
+  const error = new Error(message);
+  error.code = code;
+  Object.assign(error, extra);
+  return error;
+};
+
+/**
+ * Directory holding the migration files. MIGRATIONS_DIR wins when set;
+ * otherwise the repository layout is tried from the backend and from the root.
+ */
+const resolveMigrationsDir = () => {
+  if (process.env.MIGRATIONS_DIR) {
+    return path.resolve(process.env.MIGRATIONS_DIR);
+  }
+
+  const candidates = [
+    path.join(__dirname, '..', '..', 'database', 'migrations'),
+    path.join(process.cwd(), '..', 'database', 'migrations'),
+    path.join(process.cwd(), 'database', 'migrations'),
+  ];
+  return candidates.find((dir) => fs.existsSync(dir)) || candidates[0];
+};
+
+/**
+ * SHA-256 of a migration file. Line endings are normalized so a Windows
+ * checkout does not look like an edited migration.
+ */
+const computeChecksum = (sql) => {
+  return crypto.createHash('sha256').update(sql.replace(/\r\n/g, '\n')).digest('hex');
+};
+
+/**
+ * Read the migrations in a directory, oldest first:
+ * [{ version, name, file, checksum, sql, downSql }]
+ */
+const loadMigrations = (dir = resolveMigrationsDir()) => {
+  if (!fs.existsSync(dir)) {
+    throw migrationError(`Migrations directory not found: ${dir}`, MIGRATION_CODES.MIGRATIONS_NOT_FOUND);
+  }
+
+  const migrations = [];
+  for (const file of fs.readdirSync(dir).sort()) {
+    const match = file.match(MIGRATION_FILE_PATTERN);
+    if (!match) continue;
+
+    const version = parseInt(match[1]);
+    if (version === RESET_VERSION) continue;
+
+    if (migrations.some((migration) => migration.version === version)) {
+      throw migrationError(
+        `Two migrations share version ${match[1]}`,
+        MIGRATION_CODES.DUPLICATE_VERSION
+      );
+    }
+
+    const sql = fs.readFileSync(path.join(dir, file), 'utf8');
+    const downPath = path.join(dir, DOWN_DIR, file);
+
+    migrations.push({
+      version,
+      name: match[2],
+      file,
+      checksum: computeChecksum(sql),
+      sql,
+      downSql: fs.existsSync(downPath) ? fs.readFileSync(downPath, 'utf8') : null,
+    });
+  }
+
+  return migrations;
+};
+
+/**
+ * Check and normalize run options: { direction, steps, to }
+ * Down runs revert one migration unless steps or a target version is given.
+ */
+const normalizeRunOptions = ({ direction = 'up', steps = null, to = null } = {}) => {
+  if (!MIGRATION_DIRECTIONS.includes(direction)) {
+    throw migrationError(
+      `Direction must be one of: ${MIGRATION_DIRECTIONS.join(', ')}`,
+      MIGRATION_CODES.INVALID_OPTIONS
+    );
+  }
+
+  const parseCount = (value, field, min) => {
+    if (value === null || value === undefined || value === '') return null;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min) {
+      throw migrationError(
+        `${field} must be a whole number of at least ${min}`,
+        MIGRATION_CODES.INVALID_OPTIONS
+      );
+    }
+    return number;
+  };
+
+  const normalized = {
+    direction,
+    steps: parseCount(steps, 'steps', 1),
+    to: parseCount(to, 'to', 0),
+  };
+
+  if (normalized.steps !== null && normalized.to !== null) {
+    throw migrationError('Give either steps or to, not both', MIGRATION_CODES.INVALID_OPTIONS);
+  }
+  if (direction === 'down' && normalized.steps === null && normalized.to === null) {
+    normalized.steps = 1;
+  }
+
+  return normalized;
+};
+
+/**
+ * Work out what a run would do, without touching the database.
+ * `applied` are schema_migrations rows. Returns the migrations to run in
+ * order, applied migrations whose file has changed since, and applied
+ * migrations whose file is gone.
+ */
+const planMigrations = (available, applied, options = {}) => {
+  const { direction, steps, to } = normalizeRunOptions(options);
+  const availableByVersion = new Map(available.map((migration) => [migration.version, migration]));
+  const appliedByVersion = new Map(applied.map((row) => [row.version, row]));
+
+  const changed = available.filter((migration) => {
+    const row = appliedByVersion.get(migration.version);
+    return row && row.checksum !== migration.checksum;
+  });
+  const missing = applied
+    .filter((row) => !availableByVersion.has(row.version))
+    .map((row) => ({ version: row.version, name: row.name }));
+
+  let migrations;
+  if (direction === 'up') {
+    migrations = available.filter((migration) => !appliedByVersion.has(migration.version));
+    if (to !== null) {
+      migrations = migrations.filter((migration) => migration.version <= to);
+    }
+  } else {
+    migrations = [...applied]
+      .sort((a, b) => b.version - a.version)
+      .map((row) => availableByVersion.get(row.version) || { version: row.version, name: row.name, downSql: null });
+    if (to !== null) {
+      migrations = migrations.filter((migration) => migration.version > to);
+    }
+  }
+
+  if (steps !== null) {
+    migrations = migrations.slice(0, steps);
+  }
+
+  return { direction, migrations, changed, missing };
+};
+
+const describeMigration = ({ version, name }) => ({ version, name });
+
+const formatVersions = (migrations) => {
+  return migrations.map(({ version, name }) => `${String(version).padStart(3, '0')}_${name}`).join(', ');
+};
+
+/**
+ * Tracking rows, oldest first. Returns [] before the first run, without
+ * creating the table.
+ */
+const getAppliedMigrations = async (db) => {
+  const exists = await db.query(`SELECT to_regclass('schema_migrations') AS table_name;`);
+  if (!exists.rows[0].table_name) {
+    return [];
+  }
+
+  const result = await db.query(`
+    SELECT version, name, checksum, execution_time_ms, applied_at
+    FROM schema_migrations
+    ORDER BY version;
+  `);
+  return result.rows;
+};
+
+const getDefaultPool = () => require('../config/database').pool;
+
+/**
+ * Every known migration with its state: applied, pending, changed (applied,
+ * but the file was edited afterwards) or missing (applied, file gone)
+ */
+const getMigrationStatus = async ({ dir, pool = getDefaultPool() } = {}) => {
+  const available = loadMigrations(dir);
+  const applied = await getAppliedMigrations(pool);
+  const appliedByVersion = new Map(applied.map((row) => [row.version, row]));
+
+  const migrations = available.map((migration) => {
+    const row = appliedByVersion.get(migration.version);
+    let status = 'pending';
+    if (row) {
+      status = row.checksum === migration.checksum ? 'applied' : 'changed';
+    }
+
+    return {
+      version: migration.version,
+      name: migration.name,
+      status,
+      reversible: migration.downSql !== null,
+      appliedAt: row ? row.applied_at : null,
+    };
+  });
+
+  for (const row of applied) {
+    if (!available.some((migration) => migration.version === row.version)) {
+      migrations.push({
+        version: row.version,
+        name: row.name,
+        status: 'missing',
+        reversible: false,
+        appliedAt: row.applied_at,
+      });
+    }
+  }
+
+  migrations.sort((a, b) => a.version - b.version);
+
+  return {
+    migrations,
+    pending: migrations.filter((migration) => migration.status === 'pending').length,
+  };
+};
+
+const runOne = async (client, migration, direction) => {
+  const startedAt = Date.now();
+
+  await client.query('BEGIN');
+  try {
+    if (direction === 'up') {
+      await client.query(migration.sql);
+      await client.query(
+        `INSERT INTO schema_migrations (version, name, checksum, execution_time_ms)
+         VALUES ($1, $2, $3, $4);`,
+        [migration.version, migration.name, migration.checksum, Date.now() - startedAt]
+      );
+    } else {
+      await client.query(migration.downSql);
+      await client.query('DELETE FROM schema_migrations WHERE version = $1;', [migration.version]);
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+
+  return {
+    ...describeMigration(migration),
+    status: direction === 'up' ? 'applied' : 'reverted',
+    durationMs: Date.now() - startedAt,
+  };
+};
+
+/**
+ * Apply pending migrations, or revert applied ones.
+ * Options: direction ('up' | 'down'), steps, to (target version), dryRun
+ * (plan only), allowChanged (run even though applied files were edited).
+ * Returns { direction, dryRun, plan, results, missing }. Stops at the first
+ * failing migration; the error carries the results so far.
+ */
+const runMigrations = async ({
+  dir,
+  pool = getDefaultPool(),
+  dryRun = false,
+  allowChanged = false,
+  onProgress = null,
+  ...options
+} = {}) => {
+  const normalized = normalizeRunOptions(options);
+  const available = loadMigrations(dir);
+
+  const client = await pool.connect();
+  let locked = false;
+  try {
+    if (!dryRun) {
+      const lock = await client.query('SELECT pg_try_advisory_lock($1) AS locked;', [MIGRATION_LOCK_KEY]);
+      if (!lock.rows[0].locked) {
+        throw migrationError('Another migration run is in progress', MIGRATION_CODES.MIGRATION_LOCKED);
+      }
+      locked = true;
+      await client.query(MIGRATIONS_TABLE_SQL);
+    }
+
+    const applied = await getAppliedMigrations(client);
+    const plan = planMigrations(available, applied, normalized);
+
+    if (plan.changed.length > 0 && !allowChanged) {
+      throw migrationError(
+        `Applied migrations were edited afterwards: ${formatVersions(plan.changed)}`,
+        MIGRATION_CODES.CHECKSUM_MISMATCH,
+        { migrations: plan.changed.map(describeMigration) }
+      );
+    }
+
+    if (plan.direction === 'down') {
+      const irreversible = plan.migrations.filter((migration) => migration.downSql === null);
+      if (irreversible.length > 0) {
+        throw migrationError(
+          `No down migration for: ${formatVersions(irreversible)}`,
+          MIGRATION_CODES.DOWN_MIGRATION_MISSING,
+          { migrations: irreversible.map(describeMigration) }
+        );
+      }
+    }
+
+    const summary = {
+      direction: plan.direction,
+      dryRun,
+      plan: plan.migrations.map(describeMigration),
+      results: [],
+      missing: plan.missing,
+    };
+    if (dryRun) {
+      return summary;
+    }
+
+    for (const migration of plan.migrations) {
+      try {
+        const result = await runOne(client, migration, plan.direction);
+        summary.results.push(result);
+        if (onProgress) onProgress(result);
+      } catch (error) {
+        throw migrationError(
+          `Migration ${formatVersions([migration])} failed: ${error.message}`,
+          MIGRATION_CODES.MIGRATION_FAILED,
+          { migration: describeMigration(migration), results: summary.results }
+        );
+      }
+    }
+
+    return summary;
+  } finally {
+    if (locked) {
+      await client.query('SELECT pg_advisory_unlock($1);', [MIGRATION_LOCK_KEY]).catch(() => {});
+    }
+    client.release();
+  }
+};
+
+module.exports = {
+  MIGRATION_CODES,
+  MIGRATION_DIRECTIONS,
+  resolveMigrationsDir,
+  computeChecksum,
+  loadMigrations,
+  normalizeRunOptions,
+  planMigrations,
+  getAppliedMigrations,
+  getMigrationStatus,
+  runMigrations,
+};
@@ -0,0 +1,187 @@
+const { query } = require('../config/database');
+const User = require('../models/User');
+const NotificationDelivery = require('../models/NotificationDelivery');
+const NotificationPreference = require('../models/NotificationPreference');
+const { isNotificationAllowed } = require('./notificationPreferences');
+const { sendMail } = require('./mailer');
+const { sendSms } = require('./sms');
+const {
+  CHANNEL_EVENTS,
+  buildNotificationEmail,
+  buildNotificationSms,
+} = require('./notificationTemplates');
+
+/**
+ * Notification Channels
+ * Calls and approaching alerts also go out by email and SMS. A channel is
+ * used when it is switched on in the system settings, the student's
+ * preferences allow it for the event and their account has an address for it.
+ *
+ * Every message is logged in notification_deliveries before it is sent.
+ * A failed send is retried after 1, 5 and 30 minutes by the retry job
+ * (scheduleDeliveryRetries) and then marked failed.
+ */
+
+// `setting` is the system settings switch; `build` returns the message or null
+const CHANNELS = {
+  email: {
+    setting: 'enable_email_notifications',
+    recipient: (user) => user.email,
+    build: buildNotificationEmail,
+    send: (message) => sendMail(message),
+  },
+  sms: {
+    setting: 'enable_sms_notifications',
+    recipient: (user) => user.phone_number,
+    build: buildNotificationSms,
+    send: (message) => sendSms(message),
+  },
+};
+
+const NOTIFICATION_CHANNELS = Object.keys(CHANNELS);
+
+const RETRY_DELAYS_MINUTES = [1, 5, 30];
+const MAX_DELIVERY_ATTEMPTS = RETRY_DELAYS_MINUTES.length + 1;
+
+// How long a delivery being sent is kept from the retry job
+const SEND_LEASE_MINUTES = 5;
+
+const RETRY_BATCH_SIZE = 50;
+
+/**
+ * Channels switched on in the system settings
+ * @returns {Promise<string[]>}
+ */
+const getEnabledChannels = async () => {
+  let systemSettings = {};
+  try {
+    const result = await query(`SELECT settings FROM system_settings WHERE id = 1;`);
+    systemSettings = result.rows[0]?.settings || {};
+  } catch (error) {
+    // No settings table yet: every channel stays off
+  }
+
+  return NOTIFICATION_CHANNELS.filter((channel) => systemSettings[CHANNELS[channel].setting] === true);
+};
+
+/**
+ * Send a logged delivery once and record the outcome
+ * @returns {Promise<boolean>} whether it was sent
+ */
+const attemptDelivery = async (delivery) => {
+  const attempt = delivery.attempts + 1;
+
+  try {
+    const result = await CHANNELS[delivery.channel].send(delivery.message);
+    await NotificationDelivery.markSent(delivery.id, result?.messageId || null);
+    return true;
+  } catch (error) {
+    const retryInMinutes = attempt < MAX_DELIVERY_ATTEMPTS ? RETRY_DELAYS_MINUTES[attempt - 1] : null;
+    console.error(`Notification delivery ${delivery.id} (${delivery.channel}) failed, attempt ${attempt}:`, error.message);
+    await NotificationDelivery.markFailed(delivery.id, error.message, retryInMinutes);
+    return false;
+  }
+};
+
+/**
+ * Send a user-room event through every channel that applies to its owner.
+ * @returns {Promise<{ sent: number, failed: number }>}
+ */
+const sendChannelNotifications = async (queueEntry, payload, notificationId = null) => {
+  const summary = { sent: 0, failed: 0 };
+  if (!queueEntry.user_id || !CHANNEL_EVENTS.includes(payload.type)) {
+    return summary;
+  }
+
+  const channels = await getEnabledChannels();
+  if (channels.length === 0) {
+    return summary;
+  }
+
+  const [user, preferences] = await Promise.all([
+    User.findById(queueEntry.user_id),
+    NotificationPreference.findByUser(queueEntry.user_id),
+  ]);
+  if (!user || !user.is_active) {
+    return summary;
+  }
+
+  for (const channel of channels) {
+    if (!isNotificationAllowed(preferences, channel, payload.type) || !CHANNELS[channel].recipient(user)) {
+      continue;
+    }
+
+    const message = CHANNELS[channel].build(user, payload);
+    const delivery = await NotificationDelivery.create({
+      userId: user.id,
+      queueEntryId: queueEntry.id || null,
+      notificationId,
+      channel,
+      event: payload.type,
+      recipient: message.to,
+      message,
+      leaseMinutes: SEND_LEASE_MINUTES,
+    });
+
+    if (await attemptDelivery(delivery)) {
+      summary.sent += 1;
+    } else {
+      summary.failed += 1;
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Retry failed deliveries that are due. Deliveries on a channel that has
+ * since been switched off are given up.
+ * @returns {Promise<{ retried: number, sent: number, dropped: number }>}
+ */
+const retryNotificationDeliveries = async () => {
+  const summary = { retried: 0, sent: 0, dropped: 0 };
+
+  const due = await NotificationDelivery.claimDue(RETRY_BATCH_SIZE, SEND_LEASE_MINUTES);
+  if (due.length === 0) {
+    return summary;
+  }
+
+  const channels = await getEnabledChannels();
+  for (const delivery of due) {
+    if (!channels.includes(delivery.channel)) {
+      await NotificationDelivery.markFailed(delivery.id, `${delivery.channel} notifications are turned off`);
+      summary.dropped += 1;
+      continue;
+    }
+
+    summary.retried += 1;
+    if (await attemptDelivery(delivery)) {
+      summary.sent += 1;
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Retry due deliveries every `intervalMinutes` while the server runs
+ */
+const scheduleDeliveryRetries = (intervalMinutes = 1) => {
+  const timer = setInterval(() => {
+    retryNotificationDeliveries().catch((error) => console.error('Retry notification deliveries error:', error));
+  }, intervalMinutes * 60 * 1000);
+
+  // Never keep the process alive just for this
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  NOTIFICATION_CHANNELS,
+  CHANNEL_EVENTS,
+  MAX_DELIVERY_ATTEMPTS,
+  getEnabledChannels,
+  sendChannelNotifications,
+  retryNotificationDeliveries,
+  scheduleDeliveryRetries,
+};
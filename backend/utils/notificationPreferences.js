@@ -0,0 +1,97 @@
+const NotificationPreference = require('../models/NotificationPreference');
+
+/**
+ * Notification Preferences
+ * Each student chooses how they are alerted: a channel can be switched off
+ * altogether, and each event can be switched off per channel (e.g. SMS only
+ * when called, nothing when the service is completed). Anything not
+ * switched off is on. Every notifier (push, email, SMS and the app's own
+ * alerts) checks isNotificationAllowed before sending; the inbox and the
+ * live socket updates are not affected.
+ */
+
+const PREFERENCE_CHANNELS = [
+  { key: 'push', label: 'Push notifications' },
+  { key: 'email', label: 'Email' },
+  { key: 'sms', label: 'SMS' },
+];
+
+// The events a student can be alerted about and the channels each is sent on
+const PREFERENCE_EVENTS = [
+  { key: 'queue_approaching', label: 'Your turn is coming up', channels: ['push', 'email', 'sms'] },
+  { key: 'queue_called', label: 'Called to the counter', channels: ['push', 'email', 'sms'] },
+  { key: 'queue_recalled', label: 'Called again', channels: ['push', 'email', 'sms'] },
+  { key: 'queue_completed', label: 'Service completed', channels: ['push'] },
+];
+
+const CHANNEL_KEYS = PREFERENCE_CHANNELS.map((channel) => channel.key);
+
+/**
+ * Fill in every switch of a stored preference set
+ * @returns {{ channels: Object, events: Object }} e.g.
+ *   { channels: { push: true, email: true, sms: false },
+ *     events: { queue_called: { push: true, email: true, sms: true }, ... } }
+ */
+const resolvePreferences = (stored = {}) => {
+  const channels = Object.fromEntries(CHANNEL_KEYS.map((key) => [key, stored.channels?.[key] !== false]));
+
+  const events = Object.fromEntries(PREFERENCE_EVENTS.map((event) => [
+    event.key,
+    Object.fromEntries(event.channels.map((key) => [key, stored.events?.[event.key]?.[key] !== false])),
+  ]));
+
+  return { channels, events };
+};
+
+/**
+ * Apply a partial update ({ channels, events }) to resolved preferences
+ */
+const mergePreferences = (current, changes = {}) => {
+  const events = { ...current.events };
+  for (const [event, switches] of Object.entries(changes.events || {})) {
+    events[event] = { ...events[event], ...switches };
+  }
+
+  return resolvePreferences({
+    channels: { ...current.channels, ...changes.channels },
+    events,
+  });
+};
+
+/**
+ * Whether a user wants `event` sent through `channel`
+ * @param {Object} preferences - stored or resolved preferences
+ */
+const isNotificationAllowed = (preferences, channel, event) => {
+  if (preferences?.channels?.[channel] === false) {
+    return false;
+  }
+  return preferences?.events?.[event]?.[channel] !== false;
+};
+
+/**
+ * Resolved preferences of a user
+ */
+const getNotificationPreferences = async (userId) => {
+  return resolvePreferences(await NotificationPreference.findByUser(userId));
+};
+
+/**
+ * Change some of a user's preferences; returns the full set
+ */
+const updateNotificationPreferences = async (userId, changes) => {
+  const current = await getNotificationPreferences(userId);
+  const preferences = mergePreferences(current, changes);
+  await NotificationPreference.save(userId, preferences);
+  return preferences;
+};
+
+module.exports = {
+  PREFERENCE_CHANNELS,
+  PREFERENCE_EVENTS,
+  resolvePreferences,
+  mergePreferences,
+  isNotificationAllowed,
+  getNotificationPreferences,
+  updateNotificationPreferences,
+};
@@ -0,0 +1,71 @@
+const { escapeHtml, layout } = require('./accountEmails');
+
+/**
+ * Notification Templates
+ * Email and SMS wording of the queue events sent through notification
+ * channels. Each builder takes the user and the socket payload of the event
+ * and returns a message for sendMail / sendSms, or null for events that
+ * have no template.
+ */
+
+const counterLabel = (payload) => (
+  payload.counterName
+    ? `Counter ${payload.counterNumber} (${payload.counterName})`
+    : `Counter ${payload.counterNumber}`
+);
+
+const TEMPLATES = {
+  queue_called: {
+    subject: (payload) => `Queue ${payload.queueNumber}: it's your turn`,
+    lines: (payload) => [
+      `Your queue number ${payload.queueNumber} has been called to ${counterLabel(payload)}.`,
+      'Please proceed to the counter now.',
+    ],
+    sms: (payload) => `QTech: Queue ${payload.queueNumber} is called to Counter ${payload.counterNumber}. Please proceed now.`,
+  },
+  queue_recalled: {
+    subject: (payload) => `Queue ${payload.queueNumber}: you are being called again`,
+    lines: (payload) => [
+      `Your queue number ${payload.queueNumber} is being called again to ${counterLabel(payload)}.`,
+      'Please proceed to the counter now, or your number may be skipped.',
+    ],
+    sms: (payload) => `QTech: Queue ${payload.queueNumber} is called again to Counter ${payload.counterNumber}. Please proceed now.`,
+  },
+  queue_approaching: {
+    subject: (payload) => `Queue ${payload.queueNumber}: your turn is coming up`,
+    lines: (payload) => [payload.message],
+    sms: (payload) => `QTech: ${payload.message}`,
+  },
+};
+
+// Events that have email and SMS wording
+const CHANNEL_EVENTS = Object.keys(TEMPLATES);
+
+const buildNotificationEmail = (user, payload) => {
+  const template = TEMPLATES[payload.type];
+  if (!template) return null;
+
+  const lines = template.lines(payload);
+  return {
+    to: user.email,
+    subject: template.subject(payload),
+    text: [`Hi ${user.first_name},`, ...lines].join('\n\n'),
+    html: layout([`Hi ${escapeHtml(user.first_name)},`, ...lines.map(escapeHtml)]),
+  };
+};
+
+const buildNotificationSms = (user, payload) => {
+  const template = TEMPLATES[payload.type];
+  if (!template) return null;
+
+  return {
+    to: user.phone_number,
+    text: template.sms(payload),
+  };
+};
+
+module.exports = {
+  CHANNEL_EVENTS,
+  buildNotificationEmail,
+  buildNotificationSms,
+};
@@ -0,0 +1,69 @@
+const Notification = require('../models/Notification');
+
+/**
+ * Notification Inbox
+ * Every queue event sent to a student over the socket is also stored in
+ * notifications, so a student who was offline still sees what happened.
+ * Storing never blocks the event; a write error is logged and the socket
+ * message goes out without an inbox row.
+ */
+
+// Allowed by chk_notification_type
+const NOTIFICATION_TYPES = {
+  QUEUE_READY: 'queue_ready',
+  APPROACHING: 'approaching',
+  CALLED: 'called',
+  GENERAL: 'general',
+  SYSTEM: 'system',
+};
+
+// Inbox type and title for each user-facing socket event
+const NOTIFICATION_EVENTS = {
+  queue_created: { type: NOTIFICATION_TYPES.GENERAL, title: 'Joined the queue' },
+  queue_approaching: { type: NOTIFICATION_TYPES.APPROACHING, title: 'Your turn is coming up' },
+  queue_called: { type: NOTIFICATION_TYPES.CALLED, title: "It's your turn" },
+  queue_recalled: { type: NOTIFICATION_TYPES.CALLED, title: 'You are being called again' },
+  queue_completed: { type: NOTIFICATION_TYPES.GENERAL, title: 'Service completed' },
+  queue_skipped: { type: NOTIFICATION_TYPES.GENERAL, title: 'You missed your turn' },
+  queue_rejoined: { type: NOTIFICATION_TYPES.GENERAL, title: 'Back in line' },
+  queue_transferred: { type: NOTIFICATION_TYPES.GENERAL, title: 'Queue transferred' },
+  queue_priority_changed: { type: NOTIFICATION_TYPES.GENERAL, title: 'Priority lane changed' },
+  queue_status_changed: { type: NOTIFICATION_TYPES.GENERAL, title: 'Queue status updated' },
+};
+
+const DEFAULT_EVENT = { type: NOTIFICATION_TYPES.GENERAL, title: 'Queue update' };
+
+/**
+ * Store the socket payload sent to the owner of `queueEntry`.
+ * Returns the notification, or null when there is no one to notify
+ * (kiosk walk-ins) or the write failed.
+ */
+const recordNotification = async (queueEntry, payload) => {
+  if (!queueEntry.user_id) {
+    return null;
+  }
+
+  const { type: event, message, ...data } = payload;
+  const { type, title } = NOTIFICATION_EVENTS[event] || DEFAULT_EVENT;
+
+  try {
+    return await Notification.create({
+      userId: queueEntry.user_id,
+      queueEntryId: queueEntry.id || null,
+      type,
+      event,
+      title,
+      message: message || `Update for queue ${queueEntry.queue_number}`,
+      data,
+    });
+  } catch (error) {
+    console.error('Record notification error:', error);
+    return null;
+  }
+};
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  NOTIFICATION_EVENTS,
+  recordNotification,
+};
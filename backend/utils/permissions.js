@@ -0,0 +1,193 @@
+/**
+ * Roles and Permissions
+ * Every role is a set of permissions. Some permissions can be limited to a
+ * list of services (a department head manages only their own services); an
+ * unscoped grant covers every service. The built-in admin role always has
+ * every permission so an administrator can never lock themselves out.
+ */
+
+const PERMISSIONS = {
+  USERS_MANAGE: 'users.manage',
+  ROLES_MANAGE: 'roles.manage',
+  SETTINGS_MANAGE: 'settings.manage',
+  AUDIT_VIEW: 'audit.view',
+  SERVICES_MANAGE: 'services.manage',
+  QUEUES_OVERRIDE: 'queues.override',
+  ANALYTICS_VIEW: 'analytics.view',
+  COUNTERS_OPERATE: 'counters.operate',
+  KIOSK_ISSUE: 'kiosk.issue',
+};
+
+// Catalog for the role editor
+const PERMISSION_DEFINITIONS = [
+  {
+    key: PERMISSIONS.USERS_MANAGE,
+    label: 'Manage users',
+    description: 'Invite users, change roles, unlock accounts and reset two-factor authentication',
+    scopable: false,
+  },
+  {
+    key: PERMISSIONS.ROLES_MANAGE,
+    label: 'Manage roles',
+    description: 'Create and edit roles and their permissions. This lets the holder grant any permission, including to themselves',
+    scopable: false,
+  },
+  {
+    key: PERMISSIONS.SETTINGS_MANAGE,
+    label: 'Manage system settings',
+    description: 'Change system-wide settings and the security policy',
+    scopable: false,
+  },
+  {
+    key: PERMISSIONS.AUDIT_VIEW,
+    label: 'View audit log',
+    description: 'Browse the record of changes made through the admin pages',
+    scopable: false,
+  },
+  {
+    key: PERMISSIONS.SERVICES_MANAGE,
+    label: 'Manage services',
+    description: 'Edit services, schedules, appointment slots and counters',
+    scopable: true,
+  },
+  {
+    key: PERMISSIONS.QUEUES_OVERRIDE,
+    label: 'Override queues',
+    description: 'View all queue entries, change their status or priority and reprint tickets',
+    scopable: true,
+  },
+  {
+    key: PERMISSIONS.ANALYTICS_VIEW,
+    label: 'View analytics',
+    description: 'See the dashboard and analytics',
+    scopable: true,
+  },
+  {
+    key: PERMISSIONS.COUNTERS_OPERATE,
+    label: 'Operate counters',
+    description: 'Call, serve, skip and transfer queue numbers at assigned counters',
+    scopable: false,
+  },
+  {
+    key: PERMISSIONS.KIOSK_ISSUE,
+    label: 'Issue kiosk tickets',
+    description: 'Issue and print walk-in tickets',
+    scopable: false,
+  },
+];
+
+const ALL_PERMISSIONS = PERMISSION_DEFINITIONS.map((definition) => definition.key);
+const SCOPABLE_PERMISSIONS = PERMISSION_DEFINITIONS
+  .filter((definition) => definition.scopable)
+  .map((definition) => definition.key);
+
+const ADMIN_ROLE = 'admin';
+
+// Built-in roles cannot be renamed or deleted; other code relies on them
+const SYSTEM_ROLES = ['student', 'counter_staff', 'admin', 'kiosk'];
+
+const ROLE_CODES = {
+  ROLE_NOT_FOUND: 'ROLE_NOT_FOUND',
+  ROLE_IN_USE: 'ROLE_IN_USE',
+  SYSTEM_ROLE: 'SYSTEM_ROLE',
+  OUT_OF_SCOPE: 'OUT_OF_SCOPE',
+};
+
+const ROLE_NAME_PATTERN = /^[a-z][a-z0-9_]{1,19}$/;
+
+const isValidPermission = (permission) => ALL_PERMISSIONS.includes(permission);
+
+const isScopablePermission = (permission) => SCOPABLE_PERMISSIONS.includes(permission);
+
+const isValidRoleName = (name) => typeof name === 'string' && ROLE_NAME_PATTERN.test(name);
+
+/**
+ * Validate a role's permission list: [{ permission, serviceIds? }].
+ * Returns an error message or null.
+ */
+const validatePermissionGrants = (grants) => {
+  if (!Array.isArray(grants)) {
+    return 'permissions must be a list';
+  }
+
+  const seen = new Set();
+  for (const grant of grants) {
+    if (!grant || !isValidPermission(grant.permission)) {
+      return `Unknown permission: ${grant?.permission}. Valid permissions: ${ALL_PERMISSIONS.join(', ')}`;
+    }
+    if (seen.has(grant.permission)) {
+      return `Permission ${grant.permission} is listed twice`;
+    }
+    seen.add(grant.permission);
+
+    if (grant.serviceIds !== undefined && grant.serviceIds !== null) {
+      if (!isScopablePermission(grant.permission)) {
+        return `Permission ${grant.permission} cannot be limited to services`;
+      }
+      if (!Array.isArray(grant.serviceIds) || grant.serviceIds.length === 0
+        || !grant.serviceIds.every((id) => Number.isInteger(id) && id > 0)) {
+        return `serviceIds for ${grant.permission} must be a non-empty list of service IDs`;
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Grants of the admin role: everything, unscoped
+ */
+const getAdminGrants = () => ALL_PERMISSIONS.map((permission) => ({ permission, serviceIds: null }));
+
+/**
+ * Check grants against a list of acceptable permissions (any one is enough).
+ * `serviceIds` is null when access covers every service, otherwise the
+ * services the matching grants are limited to.
+ * @returns {{ allowed: boolean, serviceIds: number[]|null }}
+ */
+const resolveAccess = (grants, permissions) => {
+  const matching = (grants || []).filter((grant) => permissions.includes(grant.permission));
+
+  if (matching.length === 0) {
+    return { allowed: false, serviceIds: null };
+  }
+
+  if (matching.some((grant) => !grant.serviceIds)) {
+    return { allowed: true, serviceIds: null };
+  }
+
+  const serviceIds = [...new Set(matching.flatMap((grant) => grant.serviceIds))];
+  return { allowed: true, serviceIds };
+};
+
+/**
+ * Whether a service is inside a scope (null means every service)
+ */
+const isServiceInScope = (serviceIds, serviceId) => {
+  return !serviceIds || serviceIds.includes(parseInt(serviceId));
+};
+
+/**
+ * Grants as an object for clients: { 'analytics.view': null | [serviceIds] }
+ */
+const toPermissionMap = (grants) => {
+  return Object.fromEntries((grants || []).map((grant) => [grant.permission, grant.serviceIds || null]));
+};
+
+module.exports = {
+  PERMISSIONS,
+  PERMISSION_DEFINITIONS,
+  ALL_PERMISSIONS,
+  SCOPABLE_PERMISSIONS,
+  ADMIN_ROLE,
+  SYSTEM_ROLES,
+  ROLE_CODES,
+  isValidPermission,
+  isScopablePermission,
+  isValidRoleName,
+  validatePermissionGrants,
+  getAdminGrants,
+  resolveAccess,
+  isServiceInScope,
+  toPermissionMap,
+};
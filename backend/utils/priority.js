@@ -0,0 +1,32 @@
+/**
+ * Priority Lane Helpers
+ * Shared constants for priority queue entries (PWD, senior citizens, pregnant students)
+ */
+
+const PRIORITY_CATEGORIES = ['pwd', 'senior', 'pregnant'];
+
+// Display names, used on printed tickets
+const PRIORITY_LABELS = {
+  pwd: 'PWD',
+  senior: 'Senior Citizen',
+  pregnant: 'Pregnant',
+};
+
+// Prefix prepended to the service prefix for priority queue numbers (e.g. PREG-001)
+const PRIORITY_NUMBER_PREFIX = 'P';
+
+// Regular entries called before the next priority entry when a service has no setting
+const DEFAULT_PRIORITY_INTERLEAVE_RATIO = 3;
+
+/**
+ * Check if a value is a valid priority category
+ */
+const isValidPriorityCategory = (category) => PRIORITY_CATEGORIES.includes(category);
+
+module.exports = {
+  PRIORITY_CATEGORIES,
+  PRIORITY_LABELS,
+  PRIORITY_NUMBER_PREFIX,
+  DEFAULT_PRIORITY_INTERLEAVE_RATIO,
+  isValidPriorityCategory,
+};
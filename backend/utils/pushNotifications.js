@@ -0,0 +1,334 @@
+const DeviceToken = require('../models/DeviceToken');
+const PushTicket = require('../models/PushTicket');
+const NotificationPreference = require('../models/NotificationPreference');
+const { NOTIFICATION_EVENTS } = require('./notifications');
+const { isNotificationAllowed } = require('./notificationPreferences');
+
+/**
+ * Push Notifications
+ * Sends queue alerts to the students' phones through the transport selected
+ * by PUSH_TRANSPORT:
+ *   PUSH_TRANSPORT=expo      Expo push service (EXPO_ACCESS_TOKEN if the project requires one)
+ *   PUSH_TRANSPORT=console   log pushes to the server console (default)
+ *   PUSH_TRANSPORT=none      send nothing
+ * A transport is any object with `name`, `send(messages)` returning one Expo
+ * ticket per message, and `getReceipts(ids)` returning { [id]: receipt };
+ * setPushTransport swaps in a custom one such as createMockPushTransport().
+ *
+ * Pushes queued while handling a request are sent together once it is done,
+ * in batches of up to 100. Events the student switched off for push are
+ * dropped. Tickets are kept until their receipt is checked; tokens Expo
+ * reports as DeviceNotRegistered (app uninstalled) are removed.
+ */
+
+const EXPO_PUSH_URL = 'https://exp.host/--/api/v2/push/send';
+const EXPO_RECEIPTS_URL = 'https://exp.host/--/api/v2/push/getReceipts';
+
+// Expo request limits
+const MAX_MESSAGES_PER_REQUEST = 100;
+const MAX_RECEIPTS_PER_REQUEST = 1000;
+
+// Receipts are ready a few minutes after sending and kept for a day
+const RECEIPT_DELAY_MINUTES = 15;
+const RECEIPT_RETENTION_HOURS = 24;
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+// Queue events worth interrupting the student for
+const PUSH_EVENTS = ['queue_approaching', 'queue_called', 'queue_recalled', 'queue_completed'];
+
+const INVALID_TOKEN_ERROR = 'DeviceNotRegistered';
+
+const PUSH_TOKEN_PATTERN = /^Expo(nent)?PushToken\[[^\]]+\]$/;
+
+/**
+ * Parse PUSH_TRANSPORT into a transport description
+ * @returns {{ type: 'expo'|'console'|'none' }}
+ */
+const getPushConfig = (value = process.env.PUSH_TRANSPORT) => {
+  const target = (value || '').trim();
+
+  if (target === 'expo' || target === 'none') {
+    return { type: target };
+  }
+
+  return { type: 'console' };
+};
+
+const chunk = (items, size) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+};
+
+const postToExpo = async (url, body) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      Accept: 'application/json',
+      'Content-Type': 'application/json',
+      ...(process.env.EXPO_ACCESS_TOKEN && { Authorization: `Bearer ${process.env.EXPO_ACCESS_TOKEN}` }),
+    },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  });
+
+  const payload = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(`Expo push request failed: ${payload.errors?.[0]?.message || `HTTP ${response.status}`}`);
+  }
+  return payload;
+};
+
+const createExpoTransport = () => ({
+  name: 'expo',
+  send: async (messages) => (await postToExpo(EXPO_PUSH_URL, messages)).data || [],
+  getReceipts: async (ids) => (await postToExpo(EXPO_RECEIPTS_URL, { ids })).data || {},
+});
+
+// Accepted without a ticket id, so there are no receipts to check
+const createConsoleTransport = () => ({
+  name: 'console',
+  send: async (messages) => messages.map((message) => {
+    console.log(`📱 Push to ${message.to}: ${message.title}\n${message.body}`);
+    return { status: 'ok' };
+  }),
+  getReceipts: async () => ({}),
+});
+
+const createNoopTransport = () => ({
+  name: 'none',
+  send: async (messages) => messages.map(() => ({ status: 'ok' })),
+  getReceipts: async () => ({}),
+});
+
+/**
+ * In-memory transport for tests. Records each batch sent and each receipt
+ * request; every push is accepted with a ticket id unless `ticketFor`
+ * returns another ticket, and receipts are looked up in `receipts`.
+ */
+const createMockPushTransport = ({ ticketFor = null, receipts = {} } = {}) => {
+  const transport = {
+    name: 'mock',
+    batches: [],
+    receiptRequests: [],
+    send: async (messages) => {
+      transport.batches.push(messages);
+      return messages.map((message) => (
+        (ticketFor && ticketFor(message)) || { status: 'ok', id: `ticket-${transport.batches.length}-${message.to}` }
+      ));
+    },
+    getReceipts: async (ids) => {
+      transport.receiptRequests.push(ids);
+      return Object.fromEntries(ids.filter((id) => receipts[id]).map((id) => [id, receipts[id]]));
+    },
+  };
+  return transport;
+};
+
+const createPushTransport = (config = getPushConfig()) => {
+  if (config.type === 'expo') {
+    return createExpoTransport();
+  }
+  if (config.type === 'none') {
+    return createNoopTransport();
+  }
+  return createConsoleTransport();
+};
+
+let transportOverride = null;
+
+/**
+ * Replace the configured transport (pass null to go back to PUSH_TRANSPORT)
+ */
+const setPushTransport = (transport) => {
+  transportOverride = transport;
+};
+
+const getPushTransport = () => transportOverride || createPushTransport();
+
+/**
+ * The Expo message for a queue event sent to the user's socket room
+ */
+const buildPushMessage = (token, payload, notificationId = null) => ({
+  to: token,
+  title: NOTIFICATION_EVENTS[payload.type]?.title || 'Queue update',
+  body: payload.message || `Update for queue ${payload.queueNumber}`,
+  data: { ...payload, notificationId },
+  sound: 'default',
+  priority: 'high',
+  channelId: 'default',
+});
+
+/**
+ * Send messages in batches and keep the tickets of accepted ones.
+ * @param {Array<{ deviceTokenId, notificationId, message }>} deliveries
+ * @returns {Promise<{ sent: number, failed: number, pruned: number }>}
+ */
+const sendPushMessages = async (deliveries) => {
+  const transport = getPushTransport();
+  const summary = { sent: 0, failed: 0, pruned: 0 };
+  const tickets = [];
+  const invalidTokens = [];
+
+  for (const batch of chunk(deliveries, MAX_MESSAGES_PER_REQUEST)) {
+    let results;
+    try {
+      results = await transport.send(batch.map((delivery) => delivery.message));
+    } catch (error) {
+      console.error('Send push notifications error:', error);
+      summary.failed += batch.length;
+      continue;
+    }
+
+    batch.forEach((delivery, i) => {
+      const ticket = results[i] || {};
+      if (ticket.status === 'ok') {
+        summary.sent += 1;
+        if (ticket.id) {
+          tickets.push({ id: ticket.id, deviceTokenId: delivery.deviceTokenId, notificationId: delivery.notificationId });
+        }
+        return;
+      }
+
+      summary.failed += 1;
+      if (ticket.details?.error === INVALID_TOKEN_ERROR) {
+        invalidTokens.push(delivery.message.to);
+      } else {
+        console.error(`Push to ${delivery.message.to} failed:`, ticket.message || 'no ticket');
+      }
+    });
+  }
+
+  await PushTicket.createMany(tickets);
+  summary.pruned = await DeviceToken.removeByTokens(invalidTokens);
+  return summary;
+};
+
+let pending = [];
+let flushHandle = null;
+
+/**
+ * Send pushes queued with queuePushNotification now
+ */
+const flushPushNotifications = async () => {
+  if (flushHandle) {
+    clearImmediate(flushHandle);
+    flushHandle = null;
+  }
+
+  const queued = pending;
+  pending = [];
+  if (queued.length === 0) {
+    return { sent: 0, failed: 0, pruned: 0 };
+  }
+
+  const userIds = [...new Set(queued.map((item) => item.userId))];
+  const [tokens, preferences] = await Promise.all([
+    DeviceToken.findByUsers(userIds),
+    NotificationPreference.findByUsers(userIds),
+  ]);
+  const preferencesByUser = new Map(preferences.map((row) => [row.user_id, row]));
+
+  const deliveries = queued
+    .filter(({ userId, payload }) => isNotificationAllowed(preferencesByUser.get(userId), 'push', payload.type))
+    .flatMap(({ userId, payload, notificationId }) => tokens
+      .filter((token) => token.user_id === userId)
+      .map((token) => ({
+        deviceTokenId: token.id,
+        notificationId,
+        message: buildPushMessage(token.token, payload, notificationId),
+      })));
+
+  return sendPushMessages(deliveries);
+};
+
+/**
+ * Queue a push of a user-room event to every device of the user.
+ * Only PUSH_EVENTS are pushed; returns whether the event was queued.
+ */
+const queuePushNotification = (userId, payload, notificationId = null) => {
+  if (!userId || !PUSH_EVENTS.includes(payload.type)) {
+    return false;
+  }
+
+  pending.push({ userId, payload, notificationId });
+  if (!flushHandle) {
+    flushHandle = setImmediate(() => {
+      flushHandle = null;
+      flushPushNotifications().catch((error) => console.error('Flush push notifications error:', error));
+    });
+  }
+  return true;
+};
+
+/**
+ * Look up the receipts of tickets old enough to have one. Tokens of
+ * uninstalled apps are removed; tickets past Expo's retention are dropped.
+ * @returns {Promise<{ checked: number, failed: number, pruned: number }>}
+ */
+const checkPushReceipts = async ({ minAgeMinutes = RECEIPT_DELAY_MINUTES } = {}) => {
+  const transport = getPushTransport();
+  const summary = { checked: 0, failed: 0, pruned: 0 };
+
+  const due = await PushTicket.findDue(minAgeMinutes, MAX_RECEIPTS_PER_REQUEST);
+  if (due.length > 0) {
+    const receipts = await transport.getReceipts(due.map((ticket) => ticket.id));
+    const handled = [];
+    const invalidTokens = [];
+
+    due.forEach((ticket) => {
+      const receipt = receipts[ticket.id];
+      if (!receipt) return; // Not ready yet
+
+      handled.push(ticket.id);
+      summary.checked += 1;
+      if (receipt.status === 'ok') return;
+
+      summary.failed += 1;
+      if (receipt.details?.error === INVALID_TOKEN_ERROR && ticket.token) {
+        invalidTokens.push(ticket.token);
+      } else {
+        console.error(`Push ticket ${ticket.id} failed:`, receipt.message || receipt.details?.error);
+      }
+    });
+
+    await PushTicket.removeByIds(handled);
+    summary.pruned = await DeviceToken.removeByTokens(invalidTokens);
+  }
+
+  await PushTicket.removeOlderThan(RECEIPT_RETENTION_HOURS);
+  return summary;
+};
+
+/**
+ * Check receipts every `intervalMinutes` while the server runs
+ */
+const schedulePushReceiptChecks = (intervalMinutes = RECEIPT_DELAY_MINUTES) => {
+  const timer = setInterval(() => {
+    checkPushReceipts().catch((error) => console.error('Check push receipts error:', error));
+  }, intervalMinutes * 60 * 1000);
+
+  // Never keep the process alive just for this
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  PUSH_EVENTS,
+  PUSH_TOKEN_PATTERN,
+  MAX_MESSAGES_PER_REQUEST,
+  getPushConfig,
+  createPushTransport,
+  createMockPushTransport,
+  setPushTransport,
+  getPushTransport,
+  buildPushMessage,
+  sendPushMessages,
+  queuePushNotification,
+  flushPushNotifications,
+  checkPushReceipts,
+  schedulePushReceiptChecks,
+};
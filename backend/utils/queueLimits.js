@@ -0,0 +1,122 @@
+const { getOpenStatus, describeOpensAt } = require('./serviceSchedule');
+
+/**
+ * Queue Limit Helpers
+ * Decide whether a service is accepting new queue entries right now
+ */
+
+// Used when a service has no service_settings row
+const DEFAULT_MAX_QUEUE_BEFORE_CLOSING = 50;
+
+// Used when the system settings do not define max_queue_per_user
+const DEFAULT_MAX_QUEUE_PER_USER = 3;
+
+const QUEUE_LIMIT_CODES = {
+  SERVICE_CLOSED: 'SERVICE_CLOSED',
+  QUEUE_FULL: 'QUEUE_FULL',
+  USER_QUEUE_LIMIT_REACHED: 'USER_QUEUE_LIMIT_REACHED',
+};
+
+/**
+ * Build the message shown when a service is outside its opening hours
+ */
+const getClosedMessage = (openStatus, now = new Date()) => {
+  const reason = openStatus.reason ? ` (${openStatus.reason})` : '';
+  const opens = openStatus.opensAt
+    ? ` It opens ${describeOpensAt(openStatus.opensAt, now)}.`
+    : '';
+  return `This service is closed${reason}.${opens}`;
+};
+
+/**
+ * Error thrown when a limit is reached while the ticket is being issued
+ */
+const queueLimitError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Whether an error is one of the queue limit errors above
+ */
+const isQueueLimitError = (error) => Object.values(QUEUE_LIMIT_CODES).includes(error.code);
+
+/**
+ * Work out whether a service can take a new queue entry.
+ * @param {Object} service - Service row (max_queue_size, max_queue_before_closing, operating hours)
+ * @param {Object} counts - { active_count, today_count } for the service
+ * @param {Object} openStatus - Result of getOpenStatus (defaults to the service's operating hours)
+ * @returns {{ status: 'open'|'closed'|'full', code: string|null, message: string|null }}
+ */
+const getServiceAvailability = (service, counts = {}, openStatus = getOpenStatus(service)) => {
+  if (!openStatus.isOpen) {
+    return {
+      status: 'closed',
+      code: QUEUE_LIMIT_CODES.SERVICE_CLOSED,
+      message: getClosedMessage(openStatus),
+    };
+  }
+
+  return getCapacityStatus(service, counts);
+};
+
+/**
+ * Work out whether a service still has room, ignoring opening hours.
+ * @param {Object} service - Service row (max_queue_size, max_queue_before_closing)
+ * @param {Object} counts - { active_count, today_count } for the service
+ * @returns {{ status: 'open'|'full', code: string|null, message: string|null }}
+ */
+const getCapacityStatus = (service, counts = {}) => {
+  const activeCount = parseInt(counts.active_count) || 0;
+  if (service.max_queue_size && activeCount >= service.max_queue_size) {
+    return {
+      status: 'full',
+      code: QUEUE_LIMIT_CODES.QUEUE_FULL,
+      message: 'The queue for this service is full. Please try again later.',
+    };
+  }
+
+  const todayCount = parseInt(counts.today_count) || 0;
+  const dailyLimit = service.max_queue_before_closing ?? DEFAULT_MAX_QUEUE_BEFORE_CLOSING;
+  if (dailyLimit && todayCount >= dailyLimit) {
+    return {
+      status: 'full',
+      code: QUEUE_LIMIT_CODES.QUEUE_FULL,
+      message: 'This service is no longer accepting queues for today.',
+    };
+  }
+
+  return {
+    status: 'open',
+    code: null,
+    message: null,
+  };
+};
+
+/**
+ * Get the per-user active queue cap from system settings
+ */
+const getMaxQueuePerUser = (systemSettings = {}) => {
+  const max = parseInt(systemSettings.max_queue_per_user);
+  return max > 0 ? max : DEFAULT_MAX_QUEUE_PER_USER;
+};
+
+/**
+ * Build the message shown when someone reached the per-user cap
+ */
+const getUserLimitMessage = (maxQueuePerUser, holder = 'You') => {
+  return `${holder} can only have ${maxQueuePerUser} active queue${maxQueuePerUser === 1 ? '' : 's'} at a time`;
+};
+
+module.exports = {
+  DEFAULT_MAX_QUEUE_BEFORE_CLOSING,
+  DEFAULT_MAX_QUEUE_PER_USER,
+  QUEUE_LIMIT_CODES,
+  queueLimitError,
+  isQueueLimitError,
+  getServiceAvailability,
+  getCapacityStatus,
+  getMaxQueuePerUser,
+  getUserLimitMessage,
+};
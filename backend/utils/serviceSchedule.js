@@ -0,0 +1,186 @@
+/**
+ * Service Schedule Helpers
+ * Work out opening hours for a date and whether a service is open right now.
+ *
+ * Hours for a date come from, in order:
+ *   1. the shortest schedule exception covering the date (holidays, half days, enrollment week)
+ *   2. the weekly hours for that weekday, if the service has a weekly schedule
+ *   3. services.operating_hours_start/end (or open all day when unset)
+ * All dates and times use the server's local time zone.
+ */
+
+// How far ahead to look for the next opening time
+const SCHEDULE_LOOKAHEAD_DAYS = 14;
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Normalize a TIME value ('8:00', '08:00' or '08:00:00') to 'HH:MM:SS'
+ */
+const normalizeTime = (time) => {
+  const [hours = '0', minutes = '0', seconds = '0'] = String(time).split(':');
+  return [hours, minutes, seconds].map(part => part.padStart(2, '0')).join(':');
+};
+
+/**
+ * Format a TIME value for display (HH:MM)
+ */
+const formatTime = (time) => normalizeTime(time).slice(0, 5);
+
+/**
+ * Check if a value is a valid HH:MM or HH:MM:SS time
+ */
+const isValidTime = (time) => /^([01]?\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/.test(String(time));
+
+/**
+ * Local YYYY-MM-DD key for a date
+ */
+const toDateKey = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0'),
+].join('-');
+
+/**
+ * Build a Date for a local calendar day at a given TIME
+ */
+const atTime = (date, time) => {
+  const [hours, minutes, seconds] = normalizeTime(time).split(':').map(Number);
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate(), hours, minutes, seconds);
+};
+
+const daySpan = (exception) => Date.parse(exception.end_date) - Date.parse(exception.start_date);
+
+/**
+ * Get the hours that apply to a service on a given date.
+ * @returns {{ isClosed: boolean, allDay: boolean, openTime: string|null, closeTime: string|null, reason: string|null }}
+ */
+const getHoursForDate = (service, schedule, date) => {
+  const { weeklyHours = [], exceptions = [] } = schedule || {};
+  const dateKey = toDateKey(date);
+
+  const exception = exceptions
+    .filter(e => e.start_date <= dateKey && dateKey <= e.end_date)
+    .sort((a, b) => daySpan(a) - daySpan(b) || b.id - a.id)[0];
+
+  if (exception) {
+    return exception.is_closed
+      ? { isClosed: true, allDay: false, openTime: null, closeTime: null, reason: exception.reason || null }
+      : {
+        isClosed: false,
+        allDay: false,
+        openTime: normalizeTime(exception.open_time),
+        closeTime: normalizeTime(exception.close_time),
+        reason: exception.reason || null,
+      };
+  }
+
+  if (weeklyHours.length > 0) {
+    const day = weeklyHours.find(d => d.day_of_week === date.getDay());
+    if (!day || day.is_closed) {
+      return { isClosed: true, allDay: false, openTime: null, closeTime: null, reason: null };
+    }
+    return {
+      isClosed: false,
+      allDay: false,
+      openTime: normalizeTime(day.open_time),
+      closeTime: normalizeTime(day.close_time),
+      reason: null,
+    };
+  }
+
+  if (service.operating_hours_start && service.operating_hours_end) {
+    return {
+      isClosed: false,
+      allDay: false,
+      openTime: normalizeTime(service.operating_hours_start),
+      closeTime: normalizeTime(service.operating_hours_end),
+      reason: null,
+    };
+  }
+
+  return { isClosed: false, allDay: true, openTime: null, closeTime: null, reason: null };
+};
+
+/**
+ * Work out whether a service is open now and, if not, when it opens next.
+ * @returns {{ isOpen: boolean, opensAt: string|null, closesAt: string|null, reason: string|null, todayHours: Object|null }}
+ */
+const getOpenStatus = (service, schedule = null, now = new Date()) => {
+  const today = getHoursForDate(service, schedule, now);
+  const todayHours = today.isClosed || today.allDay
+    ? null
+    : { open: formatTime(today.openTime), close: formatTime(today.closeTime) };
+
+  if (today.allDay) {
+    return { isOpen: true, opensAt: null, closesAt: null, reason: today.reason, todayHours };
+  }
+
+  if (!today.isClosed) {
+    const opensToday = atTime(now, today.openTime);
+    const closesToday = atTime(now, today.closeTime);
+
+    if (now >= opensToday && now < closesToday) {
+      return {
+        isOpen: true,
+        opensAt: null,
+        closesAt: closesToday.toISOString(),
+        reason: today.reason,
+        todayHours,
+      };
+    }
+
+    if (now < opensToday) {
+      return {
+        isOpen: false,
+        opensAt: opensToday.toISOString(),
+        closesAt: null,
+        reason: today.reason,
+        todayHours,
+      };
+    }
+  }
+
+  let opensAt = null;
+  for (let offset = 1; offset <= SCHEDULE_LOOKAHEAD_DAYS; offset++) {
+    const date = new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset);
+    const hours = getHoursForDate(service, schedule, date);
+
+    if (!hours.isClosed) {
+      opensAt = (hours.allDay ? date : atTime(date, hours.openTime)).toISOString();
+      break;
+    }
+  }
+
+  return { isOpen: false, opensAt, closesAt: null, reason: today.reason, todayHours };
+};
+
+/**
+ * Describe an opening time relative to now, e.g. "today at 08:00",
+ * "tomorrow at 08:00" or "on Monday at 08:00"
+ */
+const describeOpensAt = (opensAt, now = new Date()) => {
+  const date = new Date(opensAt);
+  const time = formatTime(`${date.getHours()}:${date.getMinutes()}`);
+  const startOfToday = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const days = Math.round(
+    (new Date(date.getFullYear(), date.getMonth(), date.getDate()) - startOfToday) / (24 * 60 * 60 * 1000)
+  );
+
+  if (days === 0) return `today at ${time}`;
+  if (days === 1) return `tomorrow at ${time}`;
+  if (days < 7) return `on ${DAY_NAMES[date.getDay()]} at ${time}`;
+  return `on ${toDateKey(date)} at ${time}`;
+};
+
+module.exports = {
+  SCHEDULE_LOOKAHEAD_DAYS,
+  DAY_NAMES,
+  normalizeTime,
+  formatTime,
+  isValidTime,
+  toDateKey,
+  getHoursForDate,
+  getOpenStatus,
+  describeOpensAt,
+};
@@ -0,0 +1,133 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * SMS
+ * Sends text messages through the transport selected by SMS_TRANSPORT:
+ *   SMS_TRANSPORT=http              POST to the gateway at SMS_GATEWAY_URL
+ *   SMS_TRANSPORT=file:/tmp/sms     write each message as a JSON file (offline testing)
+ *   SMS_TRANSPORT=console           log messages to the server console (default)
+ * A transport is any object with `name` and `send(message)`; setSmsTransport
+ * swaps in a custom one.
+ *
+ * The HTTP gateway receives JSON { to, from, message } with
+ * `Authorization: Bearer SMS_GATEWAY_TOKEN` when a token is set, and may
+ * answer with the provider's message id as `id` or `messageId`.
+ */
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * Parse SMS_TRANSPORT into a transport description
+ * @returns {{ type: 'http'|'file'|'console', dir?: string }}
+ */
+const getSmsConfig = (value = process.env.SMS_TRANSPORT) => {
+  const target = (value || '').trim();
+
+  if (target === 'http') {
+    return { type: 'http' };
+  }
+
+  if (target.startsWith('file:')) {
+    const dir = target.slice('file:'.length).replace(/^\/\/(?=\/)/, '');
+    if (dir) {
+      return { type: 'file', dir };
+    }
+  }
+
+  return { type: 'console' };
+};
+
+const createHttpTransport = () => ({
+  name: 'http',
+  send: async (message) => {
+    if (!process.env.SMS_GATEWAY_URL) {
+      throw new Error('SMS_GATEWAY_URL is not set');
+    }
+
+    const response = await fetch(process.env.SMS_GATEWAY_URL, {
+      method: 'POST',
+      headers: {
+        Accept: 'application/json',
+        'Content-Type': 'application/json',
+        ...(process.env.SMS_GATEWAY_TOKEN && { Authorization: `Bearer ${process.env.SMS_GATEWAY_TOKEN}` }),
+      },
+      body: JSON.stringify({ to: message.to, from: message.from, message: message.text }),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+
+    const payload = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(`SMS gateway error: ${payload.error?.message || payload.message || `HTTP ${response.status}`}`);
+    }
+    return { messageId: payload.messageId || payload.id || null };
+  },
+});
+
+const createFileTransport = (dir) => ({
+  name: 'file',
+  send: async (message) => {
+    await fs.promises.mkdir(dir, { recursive: true });
+    const safeRecipient = String(message.to).replace(/[^0-9+]/g, '_');
+    const fileName = `${Date.now()}-${safeRecipient}.json`;
+    const filePath = path.join(dir, fileName);
+    await fs.promises.writeFile(filePath, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+    return { messageId: fileName, path: filePath };
+  },
+});
+
+const createConsoleTransport = () => ({
+  name: 'console',
+  send: async (message) => {
+    console.log(`💬 SMS to ${message.to}: ${message.text}`);
+    return { messageId: null };
+  },
+});
+
+const createSmsTransport = (config = getSmsConfig()) => {
+  if (config.type === 'http') {
+    return createHttpTransport();
+  }
+  if (config.type === 'file') {
+    return createFileTransport(config.dir);
+  }
+  return createConsoleTransport();
+};
+
+let transportOverride = null;
+
+/**
+ * Replace the configured transport (pass null to go back to SMS_TRANSPORT)
+ */
+const setSmsTransport = (transport) => {
+  transportOverride = transport;
+};
+
+const getSmsTransport = () => transportOverride || createSmsTransport();
+
+/**
+ * Send a text message
+ * @param {Object} message - { to, text }
+ * @returns {Promise<{ transport: string, messageId: string|null }>}
+ */
+const sendSms = async (message) => {
+  if (!message.to) {
+    throw new Error('SMS recipient is required');
+  }
+
+  const transport = getSmsTransport();
+  const result = await transport.send({
+    from: process.env.SMS_SENDER_ID || null,
+    ...message,
+  });
+
+  return { transport: transport.name, ...result };
+};
+
+module.exports = {
+  getSmsConfig,
+  createSmsTransport,
+  setSmsTransport,
+  getSmsTransport,
+  sendSms,
+};
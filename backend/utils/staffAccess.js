@@ -0,0 +1,46 @@
+const Role = require('../models/Role');
+const Counter = require('../models/Counter');
+const { PERMISSIONS, isServiceInScope } = require('./permissions');
+
+/**
+ * Staff Access Helpers
+ * Decide which counters and tickets a staff member may act on. Queue
+ * supervisors are limited to the services their grant covers; counter
+ * staff to the counters they are assigned to.
+ */
+
+const STAFF_ACCESS_CODES = {
+  COUNTER_NOT_ASSIGNED: 'COUNTER_NOT_ASSIGNED',
+};
+
+/**
+ * Whether a user may view or change tickets of a service
+ */
+const canManageServiceQueue = async (user, serviceId) => {
+  const override = await Role.getAccess(user.role, PERMISSIONS.QUEUES_OVERRIDE);
+  if (override.allowed && isServiceInScope(override.serviceIds, serviceId)) {
+    return true;
+  }
+
+  return await Role.hasPermission(user.role, PERMISSIONS.COUNTERS_OPERATE)
+    && await Counter.isStaffAssignedToService(serviceId, user.userId);
+};
+
+/**
+ * Whether a user may work a counter: staff assigned to it, or queue
+ * supervisors of its service
+ */
+const canOperateCounter = async (user, counter) => {
+  const override = await Role.getAccess(user.role, PERMISSIONS.QUEUES_OVERRIDE);
+  if (override.allowed && isServiceInScope(override.serviceIds, counter.service_id)) {
+    return true;
+  }
+
+  return await Counter.isStaffAssigned(counter.id, user.userId);
+};
+
+module.exports = {
+  STAFF_ACCESS_CODES,
+  canManageServiceQueue,
+  canOperateCounter,
+};
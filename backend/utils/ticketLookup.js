@@ -0,0 +1,50 @@
+const crypto = require('crypto');
+
+/**
+ * Ticket Lookup Helpers
+ * Printed tickets carry a QR code that opens the ticket's status page without
+ * signing in. The link includes a code derived from the queue entry ID so
+ * other tickets cannot be looked up by guessing IDs.
+ */
+
+const LOOKUP_PURPOSE = 'ticket_lookup';
+
+const LOOKUP_CODE_LENGTH = 16;
+
+const createTicketLookupCode = (queueId) => {
+  return crypto
+    .createHmac('sha256', process.env.JWT_SECRET || '')
+    .update(`${LOOKUP_PURPOSE}:${parseInt(queueId)}`)
+    .digest('hex')
+    .slice(0, LOOKUP_CODE_LENGTH);
+};
+
+const isValidTicketLookupCode = (queueId, code) => {
+  if (typeof code !== 'string') {
+    return false;
+  }
+
+  const given = Buffer.from(code);
+  const expected = Buffer.from(createTicketLookupCode(queueId));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+/**
+ * Status page link for a ticket, or null when TICKET_STATUS_URL is not set
+ * (e.g. https://dashboard.example.edu/ticket)
+ */
+const getTicketStatusUrl = (queueId) => {
+  const baseUrl = process.env.TICKET_STATUS_URL;
+  if (!baseUrl) {
+    return null;
+  }
+
+  const separator = baseUrl.includes('?') ? '&' : '?';
+  return `${baseUrl}${separator}id=${parseInt(queueId)}&code=${createTicketLookupCode(queueId)}`;
+};
+
+module.exports = {
+  createTicketLookupCode,
+  isValidTicketLookupCode,
+  getTicketStatusUrl,
+};
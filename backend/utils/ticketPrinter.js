@@ -0,0 +1,125 @@
+const fs = require('fs');
+const net = require('net');
+const { renderTicket, DEFAULT_LINE_WIDTH } = require('./escpos');
+const { getTicketStatusUrl } = require('./ticketLookup');
+
+/**
+ * Ticket Printer
+ * Sends rendered ESC/POS tickets to the configured sink:
+ *   TICKET_PRINTER=tcp://192.168.1.50:9100  raw TCP (port 9100 / JetDirect)
+ *   TICKET_PRINTER=file:/tmp/tickets.bin    append to a file
+ *   TICKET_PRINTER=stdout                   write to the server's stdout
+ */
+
+const DEFAULT_TCP_PORT = 9100;
+
+const PRINTER_TIMEOUT_MS = 5000;
+
+const PRINTER_CODES = {
+  PRINTER_NOT_CONFIGURED: 'PRINTER_NOT_CONFIGURED',
+  PRINTER_UNAVAILABLE: 'PRINTER_UNAVAILABLE',
+};
+
+/**
+ * Parse TICKET_PRINTER into a sink description
+ * @returns {{ type: 'tcp'|'file'|'stdout', host?: string, port?: number, path?: string }|null}
+ */
+const getPrinterConfig = (value = process.env.TICKET_PRINTER) => {
+  const target = (value || '').trim();
+  if (!target) {
+    return null;
+  }
+
+  if (target === 'stdout') {
+    return { type: 'stdout' };
+  }
+
+  if (target.startsWith('file:')) {
+    const path = target.slice('file:'.length).replace(/^\/\/(?=\/)/, '');
+    return path ? { type: 'file', path } : null;
+  }
+
+  if (target.startsWith('tcp://')) {
+    const [host, port] = target.slice('tcp://'.length).split(':');
+    return host ? { type: 'tcp', host, port: parseInt(port) || DEFAULT_TCP_PORT } : null;
+  }
+
+  return null;
+};
+
+const isPrinterConfigured = () => getPrinterConfig() !== null;
+
+const sendToTcp = (data, { host, port }) => new Promise((resolve, reject) => {
+  const socket = net.createConnection({ host, port });
+  socket.setTimeout(PRINTER_TIMEOUT_MS);
+  socket.on('connect', () => {
+    socket.end(data, resolve);
+  });
+  socket.on('timeout', () => {
+    socket.destroy(new Error(`no response from ${host}:${port}`));
+  });
+  socket.on('error', reject);
+});
+
+/**
+ * Write raw bytes to the configured printer
+ */
+const sendToPrinter = async (data, config = getPrinterConfig()) => {
+  if (!config) {
+    throw new Error('Ticket printer is not configured');
+  }
+
+  try {
+    if (config.type === 'tcp') {
+      await sendToTcp(data, config);
+    } else if (config.type === 'file') {
+      await fs.promises.appendFile(config.path, data);
+    } else {
+      process.stdout.write(data);
+    }
+  } catch (error) {
+    throw new Error(`Ticket printer unavailable: ${error.message}`);
+  }
+};
+
+/**
+ * Render and print the ticket for a queue entry (a Queue.findById row)
+ * @param {Object} queueEntry - Queue entry with service_name and service_location
+ * @param {Object} options - { reprint }
+ * @returns {{ sink: string, bytes: number }}
+ */
+const printQueueTicket = async (queueEntry, options = {}) => {
+  const config = getPrinterConfig();
+  if (!config) {
+    throw new Error('Ticket printer is not configured');
+  }
+
+  const data = renderTicket(
+    {
+      queueNumber: queueEntry.queue_number,
+      serviceName: queueEntry.service_name,
+      serviceLocation: queueEntry.service_location,
+      queuePosition: queueEntry.status === 'waiting' ? queueEntry.queue_position : null,
+      estimatedWaitTime: queueEntry.status === 'waiting' ? queueEntry.estimated_wait_time : null,
+      priorityCategory: queueEntry.priority_category,
+      requestedAt: queueEntry.requested_at,
+    },
+    {
+      qrValue: getTicketStatusUrl(queueEntry.id),
+      lineWidth: parseInt(process.env.TICKET_PRINTER_WIDTH) || DEFAULT_LINE_WIDTH,
+      reprint: !!options.reprint,
+    }
+  );
+
+  await sendToPrinter(data, config);
+
+  return { sink: config.type, bytes: data.length };
+};
+
+module.exports = {
+  PRINTER_CODES,
+  getPrinterConfig,
+  isPrinterConfigured,
+  sendToPrinter,
+  printQueueTicket,
+};
@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+
+/**
+ * TOTP (RFC 6238)
+ * Time-based one-time passwords as used by Google Authenticator, Authy and
+ * similar apps: HMAC-SHA1, 30-second steps, 6 digits.
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = String(input).toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * New random secret, base32 encoded (160 bits as recommended by RFC 4226)
+ */
+const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * HOTP value (RFC 4226) for a counter
+ */
+const generateHotp = (secret, counter, digits = TOTP_DIGITS) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+
+  return String(binary % 10 ** digits).padStart(digits, '0');
+};
+
+const getTimeStep = (now = Date.now()) => Math.floor(now / 1000 / TOTP_STEP_SECONDS);
+
+const generateTotp = (secret, now = Date.now(), digits = TOTP_DIGITS) => {
+  return generateHotp(secret, getTimeStep(now), digits);
+};
+
+/**
+ * Check a code against the current step and `window` steps either side to
+ * allow for clock drift. Returns the matching time step (so callers can refuse
+ * to accept the same step twice) or null.
+ */
+const verifyTotp = (secret, code, { now = Date.now(), window = 1 } = {}) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) {
+    return null;
+  }
+
+  const currentStep = getTimeStep(now);
+  for (let offset = -window; offset <= window; offset++) {
+    const step = currentStep + offset;
+    const expected = generateHotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * otpauth:// URI for authenticator apps (encoded in the enrollment QR code)
+ */
+const buildOtpauthUrl = ({ secret, accountName, issuer = 'QTech' }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  TOTP_STEP_SECONDS,
+  base32Encode,
+  base32Decode,
+  generateTotpSecret,
+  generateHotp,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUrl,
+};
@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { query } = require('../config/database');
+const { deriveKey } = require('./authTokens');
+
+/**
+ * Two-Factor Authentication Helpers
+ * TOTP secrets are encrypted at rest, backup codes are stored as keyed hashes,
+ * and the step between password and code is carried by a short-lived
+ * challenge token.
+ */
+
+// Roles that never enroll: students sign in from the app and kiosks are
+// shared devices. Every other role, including custom staff roles, can use 2FA
+// and the admin policy can require it.
+const NON_TWO_FACTOR_ROLES = ['student', 'kiosk'];
+
+const TWO_FACTOR_CODES = {
+  TWO_FACTOR_REQUIRED: 'TWO_FACTOR_REQUIRED',
+  TWO_FACTOR_SETUP_REQUIRED: 'TWO_FACTOR_SETUP_REQUIRED',
+  INVALID_TWO_FACTOR_CODE: 'INVALID_TWO_FACTOR_CODE',
+  INVALID_CHALLENGE: 'INVALID_CHALLENGE',
+  TWO_FACTOR_NOT_ALLOWED: 'TWO_FACTOR_NOT_ALLOWED',
+  TWO_FACTOR_ENFORCED: 'TWO_FACTOR_ENFORCED',
+};
+
+const CHALLENGE_PURPOSES = {
+  LOGIN: 'two_factor_login',
+  SETUP: 'two_factor_setup',
+};
+
+const CHALLENGE_TTL_SECONDS = 5 * 60;
+
+const BACKUP_CODE_COUNT = 10;
+
+/**
+ * Encrypt a TOTP secret for storage (AES-256-GCM, "iv.tag.ciphertext")
+ */
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey('two_factor_secret'), iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map((part) => part.toString('base64url')).join('.');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, ciphertext] = String(stored).split('.').map((part) => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', deriveKey('two_factor_secret'), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+/**
+ * Challenge token for the second login step (or forced enrollment).
+ * Bound to the token version so logout-all also cancels pending challenges.
+ */
+const createChallengeToken = (user, purpose) => {
+  return jwt.sign(
+    { userId: user.id, purpose, tokenVersion: user.token_version || 0 },
+    deriveKey(purpose),
+    { expiresIn: CHALLENGE_TTL_SECONDS }
+  );
+};
+
+/**
+ * @returns {{ userId: number, tokenVersion: number }|null}
+ */
+const verifyChallengeToken = (token, purpose) => {
+  try {
+    const payload = jwt.verify(token || '', deriveKey(purpose));
+    if (payload.purpose !== purpose) {
+      return null;
+    }
+    return { userId: payload.userId, tokenVersion: payload.tokenVersion || 0 };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Backup codes look like "k7qm-2x9d": easy to read out, about 40 bits each
+ */
+const generateBackupCodes = (count = BACKUP_CODE_COUNT) => {
+  const alphabet = 'abcdefghjkmnpqrstuvwxyz23456789';
+  return Array.from({ length: count }, () => {
+    const chars = Array.from(crypto.randomBytes(8), (byte) => alphabet[byte % alphabet.length]).join('');
+    return `${chars.slice(0, 4)}-${chars.slice(4)}`;
+  });
+};
+
+const normalizeBackupCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const hashBackupCode = (userId, code) => {
+  return crypto
+    .createHmac('sha256', deriveKey('backup_code'))
+    .update(`${userId}:${normalizeBackupCode(code)}`)
+    .digest('hex');
+};
+
+const isBackupCodeFormat = (code) => normalizeBackupCode(code).length === 8;
+
+const canUseTwoFactor = (role) => typeof role === 'string' && !NON_TWO_FACTOR_ROLES.includes(role);
+
+/**
+ * Roles the admin policy requires 2FA for (system setting
+ * require_two_factor_roles). Missing settings mean no requirement.
+ */
+const getRequiredTwoFactorRoles = async () => {
+  try {
+    const result = await query(`SELECT settings FROM system_settings WHERE id = 1;`);
+    const roles = result.rows[0]?.settings?.require_two_factor_roles;
+    return Array.isArray(roles) ? roles.filter(canUseTwoFactor) : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+/**
+ * Validate a require_two_factor_roles value. Returns an error message or null.
+ */
+const validateTwoFactorPolicy = (roles) => {
+  if (!Array.isArray(roles) || !roles.every(canUseTwoFactor)) {
+    return `require_two_factor_roles must be a list of staff roles (not ${NON_TWO_FACTOR_ROLES.join(' or ')})`;
+  }
+  return null;
+};
+
+module.exports = {
+  NON_TWO_FACTOR_ROLES,
+  TWO_FACTOR_CODES,
+  CHALLENGE_PURPOSES,
+  BACKUP_CODE_COUNT,
+  encryptSecret,
+  decryptSecret,
+  createChallengeToken,
+  verifyChallengeToken,
+  generateBackupCodes,
+  hashBackupCode,
+  isBackupCodeFormat,
+  canUseTwoFactor,
+  getRequiredTwoFactorRoles,
+  validateTwoFactorPolicy,
+};
@@ -0,0 +1,305 @@
+/**
+ * Request Validation
+ * Route schemas describe the params, query and body a route accepts as plain
+ * objects of field specs:
+ *
+ *   { serviceId: { type: 'integer', required: true, min: 1, description: '...' } }
+ *
+ * Values are coerced to their declared type (query strings and route params
+ * always arrive as strings). Every problem is reported, not just the first,
+ * as { field, location, code, message }. The same specs feed the generated
+ * API reference (scripts/generate-api-docs.js).
+ *
+ * Field spec keys:
+ *   type        string | integer | number | boolean | date (YYYY-MM-DD) |
+ *               time (HH:MM[:SS]) | email | array | object | any
+ *   required    must be present
+ *   nullable    null is accepted; so is an empty string, as null, unless the
+ *               field is free text
+ *   default     used when the field is absent
+ *   enum        accepted values
+ *   min / max   numeric bounds
+ *   minLength / maxLength   string length, or item count for arrays
+ *   pattern     RegExp a string must match
+ *   trim        trim strings before checking them
+ *   items       spec for array items
+ *   properties  field specs of a nested object
+ *   description shown in the API reference
+ */
+
+const VALIDATION_ERROR = 'VALIDATION_ERROR';
+
+const FIELD_ERROR_CODES = {
+  REQUIRED: 'REQUIRED',
+  INVALID_TYPE: 'INVALID_TYPE',
+  INVALID_FORMAT: 'INVALID_FORMAT',
+  INVALID_VALUE: 'INVALID_VALUE',
+  TOO_SMALL: 'TOO_SMALL',
+  TOO_LARGE: 'TOO_LARGE',
+  UNKNOWN_FIELD: 'UNKNOWN_FIELD',
+};
+
+const REQUEST_LOCATIONS = ['params', 'query', 'body'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]?\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const INTEGER_PATTERN = /^-?\d+$/;
+const NUMBER_PATTERN = /^-?\d+(\.\d+)?$/;
+
+const TYPE_NAMES = {
+  string: 'a string',
+  integer: 'a whole number',
+  number: 'a number',
+  boolean: 'true or false',
+  date: 'a date (YYYY-MM-DD)',
+  time: 'a time (HH:MM)',
+  email: 'an email address',
+  array: 'a list',
+  object: 'an object',
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isValidDate = (value) => {
+  if (!DATE_PATTERN.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+};
+
+const fieldError = (field, location, code, message) => ({ field, location, code, message });
+
+/**
+ * Convert a raw value to the spec's type.
+ * Returns { value } or { code } when it cannot be converted.
+ */
+const coerce = (spec, raw) => {
+  const type = spec.type || 'any';
+
+  switch (type) {
+    case 'string': {
+      if (typeof raw !== 'string' && typeof raw !== 'number') return { code: FIELD_ERROR_CODES.INVALID_TYPE };
+      return { value: spec.trim ? String(raw).trim() : String(raw) };
+    }
+    case 'integer': {
+      if (typeof raw === 'number' && Number.isInteger(raw)) return { value: raw };
+      if (typeof raw === 'string' && INTEGER_PATTERN.test(raw.trim())) return { value: parseInt(raw.trim(), 10) };
+      return { code: FIELD_ERROR_CODES.INVALID_TYPE };
+    }
+    case 'number': {
+      if (typeof raw === 'number' && Number.isFinite(raw)) return { value: raw };
+      if (typeof raw === 'string' && NUMBER_PATTERN.test(raw.trim())) return { value: Number(raw.trim()) };
+      return { code: FIELD_ERROR_CODES.INVALID_TYPE };
+    }
+    case 'boolean': {
+      if (typeof raw === 'boolean') return { value: raw };
+      if (raw === 'true' || raw === '1') return { value: true };
+      if (raw === 'false' || raw === '0') return { value: false };
+      return { code: FIELD_ERROR_CODES.INVALID_TYPE };
+    }
+    case 'date': {
+      if (typeof raw !== 'string') return { code: FIELD_ERROR_CODES.INVALID_TYPE };
+      return isValidDate(raw.trim()) ? { value: raw.trim() } : { code: FIELD_ERROR_CODES.INVALID_FORMAT };
+    }
+    case 'time': {
+      if (typeof raw !== 'string') return { code: FIELD_ERROR_CODES.INVALID_TYPE };
+      return TIME_PATTERN.test(raw.trim()) ? { value: raw.trim() } : { code: FIELD_ERROR_CODES.INVALID_FORMAT };
+    }
+    case 'email': {
+      if (typeof raw !== 'string') return { code: FIELD_ERROR_CODES.INVALID_TYPE };
+      return EMAIL_PATTERN.test(raw.trim()) ? { value: raw.trim() } : { code: FIELD_ERROR_CODES.INVALID_FORMAT };
+    }
+    case 'array':
+      return Array.isArray(raw) ? { value: raw } : { code: FIELD_ERROR_CODES.INVALID_TYPE };
+    case 'object':
+      return isPlainObject(raw) ? { value: raw } : { code: FIELD_ERROR_CODES.INVALID_TYPE };
+    default:
+      return { value: raw };
+  }
+};
+
+const typeLabel = (spec) => TYPE_NAMES[spec.type] || 'a valid value';
+
+/**
+ * Check one value against its spec. Pushes problems onto ctx.errors and
+ * returns the coerced value.
+ */
+const validateValue = (spec, raw, field, ctx) => {
+  const { location, errors } = ctx;
+
+  const blank = raw === '' && (spec.type !== 'string' || spec.enum);
+  if (raw === null || (blank && spec.nullable)) {
+    if (spec.nullable) return null;
+    errors.push(fieldError(field, location, FIELD_ERROR_CODES.INVALID_TYPE, `${field} must be ${typeLabel(spec)}`));
+    return raw;
+  }
+
+  const { value, code } = coerce(spec, raw);
+  if (code) {
+    errors.push(fieldError(field, location, code, `${field} must be ${typeLabel(spec)}`));
+    return raw;
+  }
+
+  if (spec.enum && !spec.enum.includes(value)) {
+    errors.push(fieldError(field, location, FIELD_ERROR_CODES.INVALID_VALUE, `${field} must be one of: ${spec.enum.join(', ')}`));
+    return value;
+  }
+
+  if (typeof value === 'number') {
+    if (spec.min !== undefined && value < spec.min) {
+      errors.push(fieldError(field, location, FIELD_ERROR_CODES.TOO_SMALL, `${field} must be at least ${spec.min}`));
+    } else if (spec.max !== undefined && value > spec.max) {
+      errors.push(fieldError(field, location, FIELD_ERROR_CODES.TOO_LARGE, `${field} must be at most ${spec.max}`));
+    }
+  }
+
+  if (typeof value === 'string' || Array.isArray(value)) {
+    const unit = Array.isArray(value) ? 'item(s)' : 'character(s)';
+    if (spec.minLength !== undefined && value.length < spec.minLength) {
+      const message = spec.minLength === 1 && !Array.isArray(value)
+        ? `${field} must not be empty`
+        : `${field} must have at least ${spec.minLength} ${unit}`;
+      errors.push(fieldError(field, location, FIELD_ERROR_CODES.TOO_SMALL, message));
+    } else if (spec.maxLength !== undefined && value.length > spec.maxLength) {
+      errors.push(fieldError(field, location, FIELD_ERROR_CODES.TOO_LARGE, `${field} must have at most ${spec.maxLength} ${unit}`));
+    }
+  }
+
+  if (spec.pattern && typeof value === 'string' && !spec.pattern.test(value)) {
+    errors.push(fieldError(field, location, FIELD_ERROR_CODES.INVALID_FORMAT, `${field} has an invalid format`));
+  }
+
+  if (Array.isArray(value) && spec.items) {
+    return value.map((item, index) => validateValue(spec.items, item, `${field}[${index}]`, ctx));
+  }
+
+  if (isPlainObject(value) && spec.properties) {
+    return validateFields(spec.properties, value, { ...ctx, path: field });
+  }
+
+  return value;
+};
+
+/**
+ * Check an object against a set of field specs.
+ * Returns the coerced object; undeclared fields are copied through, or
+ * reported when ctx.strict is set.
+ */
+const validateFields = (fields, input, ctx) => {
+  const source = input || {};
+  const output = {};
+  const fieldName = (name) => (ctx.path ? `${ctx.path}.${name}` : name);
+
+  for (const [name, spec] of Object.entries(fields)) {
+    const raw = source[name];
+    const absent = raw === undefined || (raw === '' && ctx.location !== 'body' && spec.type !== 'string');
+
+    if (absent) {
+      if (spec.required) {
+        ctx.errors.push(fieldError(fieldName(name), ctx.location, FIELD_ERROR_CODES.REQUIRED, `${fieldName(name)} is required`));
+      } else if (spec.default !== undefined) {
+        output[name] = spec.default;
+      }
+      continue;
+    }
+
+    output[name] = validateValue(spec, raw, fieldName(name), ctx);
+  }
+
+  for (const name of Object.keys(source)) {
+    if (fields[name] !== undefined) continue;
+
+    if (ctx.strict) {
+      ctx.errors.push(fieldError(fieldName(name), ctx.location, FIELD_ERROR_CODES.UNKNOWN_FIELD, `${fieldName(name)} is not allowed`));
+    } else {
+      output[name] = source[name];
+    }
+  }
+
+  return output;
+};
+
+/**
+ * Validate a request against a route schema: { params, query, body, strict }
+ * `strict` rejects body fields the schema does not declare.
+ * Returns { values: { params, query, body }, errors }.
+ */
+const validateRequest = (schema, req) => {
+  const errors = [];
+  const values = {};
+
+  for (const location of REQUEST_LOCATIONS) {
+    if (!schema[location]) continue;
+
+    const input = location === 'body' ? (req.body === undefined ? {} : req.body) : req[location];
+    if (!isPlainObject(input)) {
+      errors.push(fieldError(location, location, FIELD_ERROR_CODES.INVALID_TYPE, `Request ${location} must be an object`));
+      continue;
+    }
+
+    values[location] = validateFields(schema[location], input, {
+      location,
+      errors,
+      strict: location === 'body' && schema.strict === true,
+    });
+  }
+
+  return { values, errors };
+};
+
+const formatConstraints = (spec) => {
+  const parts = [];
+  if (spec.enum) parts.push(`one of: ${spec.enum.map((value) => `\`${value}\``).join(', ')}`);
+  if (spec.min !== undefined) parts.push(`min ${spec.min}`);
+  if (spec.max !== undefined) parts.push(`max ${spec.max}`);
+  if (spec.minLength !== undefined) parts.push(`${spec.type === 'array' ? 'min items' : 'min length'} ${spec.minLength}`);
+  if (spec.maxLength !== undefined) parts.push(`${spec.type === 'array' ? 'max items' : 'max length'} ${spec.maxLength}`);
+  if (spec.nullable) parts.push('nullable');
+  if (spec.default !== undefined) parts.push(`default ${JSON.stringify(spec.default)}`);
+  return parts;
+};
+
+const describeType = (spec) => {
+  if (spec.type === 'array' && spec.items) return `${spec.items.type || 'any'}[]`;
+  return spec.type || 'any';
+};
+
+/**
+ * Flatten a route schema for documentation:
+ * [{ location, field, type, required, constraints, description }]
+ * Nested objects and array items are listed with dotted paths.
+ */
+const describeSchema = (schema) => {
+  const rows = [];
+
+  const addFields = (fields, location, prefix) => {
+    for (const [name, spec] of Object.entries(fields)) {
+      const field = prefix ? `${prefix}.${name}` : name;
+      rows.push({
+        location,
+        field,
+        type: describeType(spec),
+        required: spec.required === true,
+        constraints: formatConstraints(spec),
+        description: spec.description || '',
+      });
+
+      if (spec.properties) addFields(spec.properties, location, field);
+      if (spec.items && spec.items.properties) addFields(spec.items.properties, location, `${field}[]`);
+    }
+  };
+
+  for (const location of REQUEST_LOCATIONS) {
+    if (schema[location]) addFields(schema[location], location, '');
+  }
+
+  return rows;
+};
+
+module.exports = {
+  VALIDATION_ERROR,
+  FIELD_ERROR_CODES,
+  REQUEST_LOCATIONS,
+  validateRequest,
+  describeSchema,
+};
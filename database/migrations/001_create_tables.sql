@@ -97,6 +97,9 @@ CREATE INDEX IF NOT EXISTS idx_queue_entries_requested_at ON queue_entries(reque
 CREATE INDEX IF NOT EXISTS idx_queue_entries_queue_number ON queue_entries(queue_number);
 
 -- Now add the foreign key constraint for counters.current_serving_queue_id (circular reference)
+ALTER TABLE counters
+DROP CONSTRAINT IF EXISTS fk_counters_current_serving_queue_id;
+
 ALTER TABLE counters
 ADD CONSTRAINT fk_counters_current_serving_queue_id
 FOREIGN KEY (current_serving_queue_id) REFERENCES queue_entries(id);
@@ -289,27 +292,32 @@ $$ LANGUAGE plpgsql;
 -- ============================================
 
 -- Triggers for updated_at timestamp
+DROP TRIGGER IF EXISTS update_users_updated_at ON users;
 CREATE TRIGGER update_users_updated_at 
 BEFORE UPDATE ON users
 FOR EACH ROW 
 EXECUTE FUNCTION update_updated_at_column();
 
+DROP TRIGGER IF EXISTS update_services_updated_at ON services;
 CREATE TRIGGER update_services_updated_at 
 BEFORE UPDATE ON services
 FOR EACH ROW 
 EXECUTE FUNCTION update_updated_at_column();
 
+DROP TRIGGER IF EXISTS update_counters_updated_at ON counters;
 CREATE TRIGGER update_counters_updated_at 
 BEFORE UPDATE ON counters
 FOR EACH ROW 
 EXECUTE FUNCTION update_updated_at_column();
 
+DROP TRIGGER IF EXISTS update_service_settings_updated_at ON service_settings;
 CREATE TRIGGER update_service_settings_updated_at 
 BEFORE UPDATE ON service_settings
 FOR EACH ROW 
 EXECUTE FUNCTION update_updated_at_column();
 
 -- Trigger for queue position updates
+DROP TRIGGER IF EXISTS trigger_update_positions ON queue_entries;
 CREATE TRIGGER trigger_update_positions
 AFTER INSERT OR UPDATE OF status ON queue_entries
 FOR EACH ROW
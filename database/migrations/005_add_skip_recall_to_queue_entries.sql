@@ -0,0 +1,16 @@
+-- Migration: Skip / no-show handling
+-- Tracks when a called ticket was skipped and how many times it was recalled
+
+ALTER TABLE queue_entries
+ADD COLUMN IF NOT EXISTS skipped_at TIMESTAMP;
+
+ALTER TABLE queue_entries
+ADD COLUMN IF NOT EXISTS recall_count INTEGER NOT NULL DEFAULT 0;
+
+COMMENT ON COLUMN queue_entries.skipped_at IS 'When the ticket was marked as a no-show. Cleared when recalled or rejoined.';
+COMMENT ON COLUMN queue_entries.recall_count IS 'Number of times the ticket was recalled to a counter.';
+
+-- Index for listing recently skipped tickets per service
+CREATE INDEX IF NOT EXISTS idx_queue_entries_service_skipped
+ON queue_entries(service_id, skipped_at)
+WHERE status = 'skipped';
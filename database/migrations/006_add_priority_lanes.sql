@@ -0,0 +1,24 @@
+-- Migration: Priority lanes
+-- Priority category per queue entry (PWD, senior citizen, pregnant) and a
+-- per-service interleaving ratio (1 priority entry called for every N regular ones)
+
+ALTER TABLE queue_entries
+ADD COLUMN IF NOT EXISTS priority_category VARCHAR(20);
+
+ALTER TABLE queue_entries
+DROP CONSTRAINT IF EXISTS check_priority_category;
+
+ALTER TABLE queue_entries
+ADD CONSTRAINT check_priority_category
+CHECK (priority_category IS NULL OR priority_category IN ('pwd', 'senior', 'pregnant'));
+
+COMMENT ON COLUMN queue_entries.priority_category IS 'Priority lane category (pwd, senior, pregnant). NULL for regular entries.';
+
+ALTER TABLE service_settings
+ADD COLUMN IF NOT EXISTS priority_interleave_ratio INTEGER NOT NULL DEFAULT 3;
+
+COMMENT ON COLUMN service_settings.priority_interleave_ratio IS 'Number of regular entries called before the next priority entry.';
+
+-- Index for picking the next entry per lane
+CREATE INDEX IF NOT EXISTS idx_queue_entries_service_priority
+ON queue_entries(service_id, status, priority_category);
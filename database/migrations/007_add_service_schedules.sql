@@ -0,0 +1,52 @@
+-- Migration: Service schedules
+-- Weekly opening hours per service plus date-range exceptions (holidays,
+-- half days, extended enrollment hours). Services without weekly hours keep
+-- using services.operating_hours_start/end every day.
+
+CREATE TABLE IF NOT EXISTS service_weekly_hours (
+    id SERIAL PRIMARY KEY,
+    service_id INTEGER NOT NULL REFERENCES services(id) ON DELETE CASCADE,
+    day_of_week SMALLINT NOT NULL,
+    open_time TIME,
+    close_time TIME,
+    is_closed BOOLEAN NOT NULL DEFAULT false,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT chk_weekly_hours_day CHECK (day_of_week BETWEEN 0 AND 6),
+    CONSTRAINT chk_weekly_hours_times CHECK (is_closed OR (open_time IS NOT NULL AND close_time IS NOT NULL)),
+    CONSTRAINT unique_weekly_hours_day UNIQUE (service_id, day_of_week)
+);
+
+COMMENT ON COLUMN service_weekly_hours.day_of_week IS '0 = Sunday ... 6 = Saturday';
+
+CREATE TABLE IF NOT EXISTS service_schedule_exceptions (
+    id SERIAL PRIMARY KEY,
+    service_id INTEGER NOT NULL REFERENCES services(id) ON DELETE CASCADE,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    is_closed BOOLEAN NOT NULL DEFAULT true,
+    open_time TIME,
+    close_time TIME,
+    reason VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT chk_schedule_exception_dates CHECK (end_date >= start_date),
+    CONSTRAINT chk_schedule_exception_times CHECK (is_closed OR (open_time IS NOT NULL AND close_time IS NOT NULL))
+);
+
+COMMENT ON TABLE service_schedule_exceptions IS 'Date ranges that override weekly hours. The shortest matching range wins.';
+
+CREATE INDEX IF NOT EXISTS idx_schedule_exceptions_service_dates
+ON service_schedule_exceptions(service_id, start_date, end_date);
+
+DROP TRIGGER IF EXISTS update_service_weekly_hours_updated_at ON service_weekly_hours;
+CREATE TRIGGER update_service_weekly_hours_updated_at
+BEFORE UPDATE ON service_weekly_hours
+FOR EACH ROW
+EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_service_schedule_exceptions_updated_at ON service_schedule_exceptions;
+CREATE TRIGGER update_service_schedule_exceptions_updated_at
+BEFORE UPDATE ON service_schedule_exceptions
+FOR EACH ROW
+EXECUTE FUNCTION update_updated_at_column();
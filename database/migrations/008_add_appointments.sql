@@ -0,0 +1,92 @@
+-- Migration: Appointment booking
+-- Recurring weekly time slots per service, student bookings against those
+-- slots, and a link from queue entries back to the booking they came from.
+-- Checked-in appointments are called ahead of walk-ins.
+
+CREATE TABLE IF NOT EXISTS appointment_slots (
+    id SERIAL PRIMARY KEY,
+    service_id INTEGER NOT NULL REFERENCES services(id) ON DELETE CASCADE,
+    day_of_week SMALLINT NOT NULL,
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    capacity INTEGER NOT NULL DEFAULT 1,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT chk_appointment_slot_day CHECK (day_of_week BETWEEN 0 AND 6),
+    CONSTRAINT chk_appointment_slot_times CHECK (end_time > start_time),
+    CONSTRAINT chk_appointment_slot_capacity CHECK (capacity >= 1),
+    CONSTRAINT unique_appointment_slot UNIQUE (service_id, day_of_week, start_time)
+);
+
+COMMENT ON COLUMN appointment_slots.day_of_week IS '0 = Sunday ... 6 = Saturday';
+COMMENT ON COLUMN appointment_slots.capacity IS 'Number of bookings the slot accepts per date.';
+
+CREATE TABLE IF NOT EXISTS appointments (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    service_id INTEGER NOT NULL REFERENCES services(id) ON DELETE CASCADE,
+    slot_id INTEGER REFERENCES appointment_slots(id) ON DELETE SET NULL,
+    appointment_date DATE NOT NULL,
+    start_time TIME NOT NULL,  -- Copied from the slot so later slot edits do not move bookings
+    end_time TIME NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'booked',  -- booked, checked_in, cancelled
+    queue_entry_id INTEGER REFERENCES queue_entries(id) ON DELETE SET NULL,
+    notes TEXT,
+    booked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    checked_in_at TIMESTAMP,
+    cancelled_at TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT chk_appointment_status CHECK (status IN ('booked', 'checked_in', 'cancelled'))
+);
+
+-- One live booking per user, service and day
+CREATE UNIQUE INDEX IF NOT EXISTS idx_appointments_user_service_date
+ON appointments(user_id, service_id, appointment_date)
+WHERE status IN ('booked', 'checked_in');
+
+CREATE INDEX IF NOT EXISTS idx_appointments_service_date ON appointments(service_id, appointment_date);
+CREATE INDEX IF NOT EXISTS idx_appointments_slot_date ON appointments(slot_id, appointment_date) WHERE status <> 'cancelled';
+CREATE INDEX IF NOT EXISTS idx_appointments_user_id ON appointments(user_id);
+
+ALTER TABLE queue_entries
+ADD COLUMN IF NOT EXISTS appointment_id INTEGER REFERENCES appointments(id) ON DELETE SET NULL;
+
+COMMENT ON COLUMN queue_entries.appointment_id IS 'Booking this entry was created from at check-in. NULL for walk-ins.';
+
+ALTER TABLE service_settings
+ADD COLUMN IF NOT EXISTS appointment_checkin_window_minutes INTEGER NOT NULL DEFAULT 15;
+
+COMMENT ON COLUMN service_settings.appointment_checkin_window_minutes IS 'Minutes before and after the slot start in which a booking can be checked in ahead of walk-ins.';
+
+-- Waiting positions list checked-in appointments first, then walk-ins by request time
+CREATE OR REPLACE FUNCTION update_queue_positions()
+RETURNS TRIGGER AS $$
+BEGIN
+    UPDATE queue_entries
+    SET queue_position = sub.row_num
+    FROM (
+        SELECT id, ROW_NUMBER() OVER (
+            PARTITION BY service_id
+            ORDER BY (appointment_id IS NULL), requested_at
+        ) as row_num
+        FROM queue_entries
+        WHERE status = 'waiting' AND service_id = NEW.service_id
+    ) sub
+    WHERE queue_entries.id = sub.id;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS update_appointment_slots_updated_at ON appointment_slots;
+CREATE TRIGGER update_appointment_slots_updated_at
+BEFORE UPDATE ON appointment_slots
+FOR EACH ROW
+EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_appointments_updated_at ON appointments;
+CREATE TRIGGER update_appointments_updated_at
+BEFORE UPDATE ON appointments
+FOR EACH ROW
+EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,19 @@
+-- Migration: On-site check-in
+-- Services can require students to confirm they are on site by scanning the
+-- rotating QR code on the display board. Until then their ticket keeps its
+-- place in line but is not called.
+
+ALTER TABLE service_settings
+ADD COLUMN IF NOT EXISTS require_onsite_checkin BOOLEAN NOT NULL DEFAULT false;
+
+COMMENT ON COLUMN service_settings.require_onsite_checkin IS 'New tickets must be checked in by scanning the display board QR code before they can be called.';
+
+-- Captured when the ticket is created so changing the setting never strands waiting tickets
+ALTER TABLE queue_entries
+ADD COLUMN IF NOT EXISTS requires_checkin BOOLEAN NOT NULL DEFAULT false;
+
+ALTER TABLE queue_entries
+ADD COLUMN IF NOT EXISTS checked_in_at TIMESTAMP;
+
+COMMENT ON COLUMN queue_entries.requires_checkin IS 'Ticket is remote-waiting until checked_in_at is set.';
+COMMENT ON COLUMN queue_entries.checked_in_at IS 'When the student scanned the display board QR code.';
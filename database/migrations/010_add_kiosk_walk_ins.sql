@@ -0,0 +1,31 @@
+-- Migration: Walk-in kiosk
+-- Kiosk devices sign in with their own role and issue tickets for students
+-- without the app. Walk-in tickets may have no student account at all.
+
+-- The role list check is replaced by the roles table (016_add_roles_permissions)
+ALTER TABLE users DROP CONSTRAINT IF EXISTS chk_role;
+
+ALTER TABLE queue_entries ALTER COLUMN user_id DROP NOT NULL;
+
+ALTER TABLE queue_entries
+ADD COLUMN IF NOT EXISTS source VARCHAR(20) NOT NULL DEFAULT 'app';
+
+ALTER TABLE queue_entries DROP CONSTRAINT IF EXISTS chk_queue_source;
+ALTER TABLE queue_entries
+ADD CONSTRAINT chk_queue_source CHECK (source IN ('app', 'kiosk'));
+
+ALTER TABLE queue_entries
+ADD COLUMN IF NOT EXISTS kiosk_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL;
+
+ALTER TABLE queue_entries
+ADD COLUMN IF NOT EXISTS walk_in_student_id VARCHAR(50);
+
+ALTER TABLE queue_entries
+ADD COLUMN IF NOT EXISTS contact_phone VARCHAR(20);
+
+COMMENT ON COLUMN queue_entries.user_id IS 'Student account holding the ticket. NULL for anonymous kiosk walk-ins.';
+COMMENT ON COLUMN queue_entries.kiosk_user_id IS 'Kiosk device account that issued the ticket.';
+COMMENT ON COLUMN queue_entries.walk_in_student_id IS 'Student ID entered at the kiosk that did not match an account.';
+COMMENT ON COLUMN queue_entries.contact_phone IS 'Phone number entered at the kiosk.';
+
+CREATE INDEX IF NOT EXISTS idx_queue_entries_source ON queue_entries(source);
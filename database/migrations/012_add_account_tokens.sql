@@ -0,0 +1,36 @@
+-- Migration: Password reset and email verification
+-- One-time codes are sent by email and stored as a keyed hash. Each code is
+-- single use, expires, and stops working after too many wrong guesses.
+
+-- Accounts that existed before verification was introduced count as verified.
+-- The backfill only runs when the column is first added, so re-running this
+-- migration never marks new sign-ups as verified.
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'users' AND column_name = 'email_verified_at'
+    ) THEN
+        ALTER TABLE users ADD COLUMN email_verified_at TIMESTAMP;
+        UPDATE users SET email_verified_at = created_at;
+    END IF;
+END $$;
+
+COMMENT ON COLUMN users.email_verified_at IS 'When the user confirmed their email address; NULL while unverified.';
+
+CREATE TABLE IF NOT EXISTS account_tokens (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    purpose VARCHAR(30) NOT NULL CHECK (purpose IN ('password_reset', 'email_verification')),
+    token_hash VARCHAR(64) NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,
+    failed_attempts INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+COMMENT ON TABLE account_tokens IS 'Single-use codes for password reset and email verification.';
+COMMENT ON COLUMN account_tokens.token_hash IS 'HMAC of the code bound to the user and purpose; the code itself is never stored.';
+COMMENT ON COLUMN account_tokens.used_at IS 'Set when the code is used or replaced by a newer one.';
+
+CREATE INDEX IF NOT EXISTS idx_account_tokens_user_purpose ON account_tokens(user_id, purpose);
@@ -0,0 +1,21 @@
+-- Migration: Staff invitations
+-- Public registration only creates students. Admins create staff, admin and
+-- kiosk accounts, and the invitee sets their own password from an emailed
+-- link. The link token is stored hashed, expires, and works once.
+
+CREATE TABLE IF NOT EXISTS user_invitations (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    invited_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    expires_at TIMESTAMP NOT NULL,
+    accepted_at TIMESTAMP,
+    revoked_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+COMMENT ON TABLE user_invitations IS 'Invitation links for accounts created by admins.';
+COMMENT ON COLUMN user_invitations.token_hash IS 'SHA-256 of the link token; the token itself is never stored.';
+COMMENT ON COLUMN user_invitations.revoked_at IS 'Set when a newer invitation replaces this one.';
+
+CREATE INDEX IF NOT EXISTS idx_user_invitations_user ON user_invitations(user_id);
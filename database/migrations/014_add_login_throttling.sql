@@ -0,0 +1,34 @@
+-- Migration: Login throttling, lockout and login history
+-- Consecutive failed logins are counted on the account and lock it for a
+-- while once the limit is reached. Every attempt is written to login_history,
+-- which also drives the per-IP limit.
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS failed_login_attempts INTEGER NOT NULL DEFAULT 0;
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS last_failed_login_at TIMESTAMP;
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP;
+
+COMMENT ON COLUMN users.failed_login_attempts IS 'Failed logins since the last success, lockout or unlock.';
+COMMENT ON COLUMN users.locked_until IS 'Logins are refused until this time.';
+
+CREATE TABLE IF NOT EXISTS login_history (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    email VARCHAR(255) NOT NULL,
+    success BOOLEAN NOT NULL,
+    failure_reason VARCHAR(30),
+    ip_address VARCHAR(45),
+    user_agent VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+COMMENT ON TABLE login_history IS 'Every login attempt, successful or not.';
+COMMENT ON COLUMN login_history.user_id IS 'NULL when the email did not match an account.';
+COMMENT ON COLUMN login_history.failure_reason IS 'invalid_credentials, account_inactive, account_locked or throttled.';
+
+CREATE INDEX IF NOT EXISTS idx_login_history_user ON login_history(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_login_history_ip ON login_history(ip_address, created_at DESC);
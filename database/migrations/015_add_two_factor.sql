@@ -0,0 +1,29 @@
+-- Migration: Two-factor authentication (TOTP)
+-- Admin and counter staff accounts can add an authenticator app as a second
+-- login step. The secret is stored encrypted; backup codes are stored as
+-- keyed hashes and work once each. Whether 2FA is required per role is the
+-- require_two_factor_roles entry in system_settings.
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS two_factor_secret TEXT;
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS two_factor_enabled_at TIMESTAMP;
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS two_factor_last_step BIGINT;
+
+COMMENT ON COLUMN users.two_factor_secret IS 'Encrypted TOTP secret; set during enrollment, active once two_factor_enabled_at is set.';
+COMMENT ON COLUMN users.two_factor_last_step IS 'Last accepted TOTP time step, so a code cannot be used twice.';
+
+CREATE TABLE IF NOT EXISTS two_factor_backup_codes (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    code_hash VARCHAR(64) NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+COMMENT ON TABLE two_factor_backup_codes IS 'Single-use recovery codes for accounts with 2FA.';
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_two_factor_backup_codes_user_hash ON two_factor_backup_codes(user_id, code_hash);
@@ -0,0 +1,50 @@
+-- Migration: Roles and permissions
+-- Roles are rows instead of a fixed list, and each role holds a set of
+-- permissions. services.manage, queues.override and analytics.view can be
+-- limited to some services (service_ids); NULL means every service. The admin
+-- role implicitly has every permission and has no rows here.
+
+CREATE TABLE IF NOT EXISTS roles (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(20) UNIQUE NOT NULL,
+    description TEXT,
+    is_system BOOLEAN NOT NULL DEFAULT false,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+COMMENT ON TABLE roles IS 'User roles; users.role references roles.name.';
+COMMENT ON COLUMN roles.is_system IS 'Built-in role that cannot be renamed or deleted.';
+
+CREATE TABLE IF NOT EXISTS role_permissions (
+    id SERIAL PRIMARY KEY,
+    role_id INTEGER NOT NULL REFERENCES roles(id) ON DELETE CASCADE,
+    permission VARCHAR(50) NOT NULL,
+    service_ids INTEGER[],
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT uq_role_permission UNIQUE (role_id, permission)
+);
+
+COMMENT ON COLUMN role_permissions.service_ids IS 'Services the permission is limited to; NULL means all services.';
+
+-- Built-in roles. Default grants are only added when the role is first
+-- created, so re-running this migration keeps an administrator's edits.
+WITH inserted AS (
+    INSERT INTO roles (name, description, is_system) VALUES
+        ('admin', 'Full access to everything', true),
+        ('counter_staff', 'Serves queue numbers at assigned counters', true),
+        ('student', 'Joins queues and books appointments', true),
+        ('kiosk', 'Walk-in ticket kiosk device', true)
+    ON CONFLICT (name) DO NOTHING
+    RETURNING id, name
+)
+INSERT INTO role_permissions (role_id, permission)
+SELECT id, 'counters.operate' FROM inserted WHERE name = 'counter_staff'
+UNION ALL
+SELECT id, 'kiosk.issue' FROM inserted WHERE name = 'kiosk';
+
+ALTER TABLE users DROP CONSTRAINT IF EXISTS chk_role;
+ALTER TABLE users DROP CONSTRAINT IF EXISTS fk_users_role;
+ALTER TABLE users
+ADD CONSTRAINT fk_users_role FOREIGN KEY (role) REFERENCES roles(name) ON UPDATE CASCADE;
@@ -0,0 +1,25 @@
+-- Migration: Admin audit log
+-- Every change made through the admin API (users, roles, services,
+-- schedules, counters, staff assignments, queue overrides, settings) is
+-- recorded with who made it, from where, and the fields it changed.
+
+CREATE TABLE IF NOT EXISTS admin_audit_log (
+    id SERIAL PRIMARY KEY,
+    actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    actor_role VARCHAR(20),
+    action VARCHAR(50) NOT NULL,
+    entity_type VARCHAR(30) NOT NULL,
+    entity_id VARCHAR(50),
+    changes JSONB NOT NULL DEFAULT '{}',
+    ip_address VARCHAR(45),
+    user_agent VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+COMMENT ON TABLE admin_audit_log IS 'Admin changes to configuration, accounts and queues.';
+COMMENT ON COLUMN admin_audit_log.action IS 'entity.verb, e.g. service.update or queue.status_update.';
+COMMENT ON COLUMN admin_audit_log.changes IS 'Changed fields as { field: { from, to } }.';
+
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_created ON admin_audit_log(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_entity ON admin_audit_log(entity_type, entity_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_actor ON admin_audit_log(actor_id, created_at DESC);
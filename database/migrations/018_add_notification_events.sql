@@ -0,0 +1,13 @@
+-- Migration: Notification inbox
+-- Every user-facing queue event is stored in notifications so students who
+-- were offline can catch up. `event` is the socket event that produced the
+-- row (queue_called, queue_skipped, ...) and `data` its payload.
+
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS event VARCHAR(50);
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS data JSONB NOT NULL DEFAULT '{}';
+
+COMMENT ON COLUMN notifications.event IS 'Socket event that produced the notification, e.g. queue_called.';
+COMMENT ON COLUMN notifications.data IS 'Event payload (queue number, counter, service, ...).';
+
+CREATE INDEX IF NOT EXISTS idx_notifications_user_sent ON notifications(user_id, sent_at DESC);
+CREATE INDEX IF NOT EXISTS idx_notifications_user_unread ON notifications(user_id) WHERE is_read = false;
@@ -0,0 +1,16 @@
+-- Migration: "Approaching your turn" alerts
+-- A waiting ticket is alerted once when it nears the front of the line;
+-- approaching_notified_at records that, so repeated re-checks after each call
+-- and completion never send a second alert. Rejoining or being transferred
+-- puts the ticket in a new line and clears it.
+--
+-- service_settings.notification_before_minutes no longer defaults to 5:
+-- services without their own value use the system setting.
+
+ALTER TABLE queue_entries ADD COLUMN IF NOT EXISTS approaching_notified_at TIMESTAMP;
+
+COMMENT ON COLUMN queue_entries.approaching_notified_at IS 'When the one-time approaching alert was sent.';
+
+ALTER TABLE service_settings ALTER COLUMN notification_before_minutes DROP DEFAULT;
+
+COMMENT ON COLUMN service_settings.notification_before_minutes IS 'Alert students this many minutes before their turn; NULL uses the system setting.';
@@ -0,0 +1,31 @@
+-- Migration: Push notifications
+-- device_tokens holds the Expo push token of each signed-in app install.
+-- push_tickets keeps the Expo ticket of every push sent until its delivery
+-- receipt has been checked; receipts report uninstalled apps, whose tokens
+-- are then removed.
+
+CREATE TABLE IF NOT EXISTS device_tokens (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token VARCHAR(255) NOT NULL UNIQUE,
+    platform VARCHAR(20),
+    device_name VARCHAR(100),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+COMMENT ON TABLE device_tokens IS 'Expo push tokens of signed-in app installs.';
+COMMENT ON COLUMN device_tokens.token IS 'ExponentPushToken[...]; one install belongs to one user at a time.';
+
+CREATE INDEX IF NOT EXISTS idx_device_tokens_user ON device_tokens(user_id);
+
+CREATE TABLE IF NOT EXISTS push_tickets (
+    id VARCHAR(64) PRIMARY KEY,
+    device_token_id INTEGER REFERENCES device_tokens(id) ON DELETE CASCADE,
+    notification_id INTEGER REFERENCES notifications(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+COMMENT ON TABLE push_tickets IS 'Expo push tickets waiting for their delivery receipt.';
+
+CREATE INDEX IF NOT EXISTS idx_push_tickets_created ON push_tickets(created_at);
@@ -0,0 +1,47 @@
+-- Migration: Email and SMS notification channels
+-- Queue alerts can also go out by email and SMS once a channel is switched
+-- on in the system settings (enable_email_notifications,
+-- enable_sms_notifications). notification_preferences lets each student turn
+-- a channel off for themselves. notification_deliveries logs every message
+-- sent through a channel; failed sends stay 'pending' with a next_attempt_at
+-- until they succeed or run out of attempts.
+
+CREATE TABLE IF NOT EXISTS notification_preferences (
+    user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    channels JSONB NOT NULL DEFAULT '{}',
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+COMMENT ON COLUMN notification_preferences.channels IS 'Channel on/off switches, e.g. {"sms": false}; a missing channel is on.';
+
+CREATE TABLE IF NOT EXISTS notification_deliveries (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    queue_entry_id INTEGER REFERENCES queue_entries(id) ON DELETE SET NULL,
+    notification_id INTEGER REFERENCES notifications(id) ON DELETE SET NULL,
+    channel VARCHAR(20) NOT NULL,
+    event VARCHAR(50) NOT NULL,
+    recipient VARCHAR(255) NOT NULL,
+    message JSONB NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    provider_message_id VARCHAR(255),
+    next_attempt_at TIMESTAMP,
+    sent_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT chk_notification_delivery_channel CHECK (channel IN ('email', 'sms')),
+    CONSTRAINT chk_notification_delivery_status CHECK (status IN ('pending', 'sent', 'failed'))
+);
+
+COMMENT ON TABLE notification_deliveries IS 'Email and SMS messages sent for queue events, with retry state.';
+COMMENT ON COLUMN notification_deliveries.message IS 'Rendered message, resent as is on retry.';
+COMMENT ON COLUMN notification_deliveries.next_attempt_at IS 'When a pending message is (re)tried; also holds it while a send is in progress.';
+
+CREATE INDEX IF NOT EXISTS idx_notification_deliveries_due
+ON notification_deliveries(next_attempt_at) WHERE status = 'pending';
+
+CREATE INDEX IF NOT EXISTS idx_notification_deliveries_created
+ON notification_deliveries(created_at DESC);
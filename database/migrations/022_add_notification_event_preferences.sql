@@ -0,0 +1,10 @@
+-- Migration: Per-event notification preferences
+-- Besides switching a channel off altogether, a student can switch single
+-- events off per channel, e.g. {"queue_completed": {"push": false}} or SMS
+-- only when called. Push notifications now follow these preferences too.
+
+ALTER TABLE notification_preferences
+ADD COLUMN IF NOT EXISTS events JSONB NOT NULL DEFAULT '{}';
+
+COMMENT ON COLUMN notification_preferences.channels IS 'Channel on/off switches (push, email, sms), e.g. {"sms": false}; a missing channel is on.';
+COMMENT ON COLUMN notification_preferences.events IS 'Per-event channel switches, e.g. {"queue_completed": {"push": false}}; anything missing is on.';
@@ -0,0 +1,13 @@
+-- Revert 004: drop the indexes added on top of 001_create_tables.sql
+-- Indexes that 001 also creates are left in place.
+
+DROP INDEX IF EXISTS idx_users_is_active;
+DROP INDEX IF EXISTS idx_queue_entries_service_status;
+DROP INDEX IF EXISTS idx_queue_entries_user_service;
+DROP INDEX IF EXISTS idx_services_name;
+DROP INDEX IF EXISTS idx_counters_is_active;
+DROP INDEX IF EXISTS idx_counters_service_active;
+DROP INDEX IF EXISTS idx_queue_entries_service_status_date;
+DROP INDEX IF EXISTS idx_queue_entries_service_waiting;
+DROP INDEX IF EXISTS idx_queue_entries_completed_at;
+DROP INDEX IF EXISTS idx_queue_entries_date_status;
@@ -0,0 +1,6 @@
+-- Revert 005: skip and recall tracking
+
+DROP INDEX IF EXISTS idx_queue_entries_service_skipped;
+
+ALTER TABLE queue_entries DROP COLUMN IF EXISTS recall_count;
+ALTER TABLE queue_entries DROP COLUMN IF EXISTS skipped_at;
@@ -0,0 +1,8 @@
+-- Revert 006: priority lanes
+
+DROP INDEX IF EXISTS idx_queue_entries_service_priority;
+
+ALTER TABLE service_settings DROP COLUMN IF EXISTS priority_interleave_ratio;
+
+ALTER TABLE queue_entries DROP CONSTRAINT IF EXISTS check_priority_category;
+ALTER TABLE queue_entries DROP COLUMN IF EXISTS priority_category;
@@ -0,0 +1,5 @@
+-- Revert 007: service schedules
+-- Services go back to services.operating_hours_start/end every day.
+
+DROP TABLE IF EXISTS service_schedule_exceptions;
+DROP TABLE IF EXISTS service_weekly_hours;
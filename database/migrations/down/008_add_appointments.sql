@@ -0,0 +1,25 @@
+-- Revert 008: appointment booking
+
+-- Waiting positions go back to plain request order
+CREATE OR REPLACE FUNCTION update_queue_positions()
+RETURNS TRIGGER AS $$
+BEGIN
+    UPDATE queue_entries
+    SET queue_position = sub.row_num
+    FROM (
+        SELECT id, ROW_NUMBER() OVER (PARTITION BY service_id ORDER BY requested_at) as row_num
+        FROM queue_entries
+        WHERE status = 'waiting' AND service_id = NEW.service_id
+    ) sub
+    WHERE queue_entries.id = sub.id;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+ALTER TABLE service_settings DROP COLUMN IF EXISTS appointment_checkin_window_minutes;
+
+ALTER TABLE queue_entries DROP COLUMN IF EXISTS appointment_id;
+
+DROP TABLE IF EXISTS appointments;
+DROP TABLE IF EXISTS appointment_slots;
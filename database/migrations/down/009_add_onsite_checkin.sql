@@ -0,0 +1,6 @@
+-- Revert 009: on-site check-in
+
+ALTER TABLE queue_entries DROP COLUMN IF EXISTS checked_in_at;
+ALTER TABLE queue_entries DROP COLUMN IF EXISTS requires_checkin;
+
+ALTER TABLE service_settings DROP COLUMN IF EXISTS require_onsite_checkin;
@@ -0,0 +1,12 @@
+-- Revert 010: kiosk walk-ins
+-- queue_entries.user_id stays nullable: walk-in entries issued at a kiosk
+-- have no user, and dropping them would lose queue history. The role check
+-- is not restored either; roles are validated against the roles table.
+
+DROP INDEX IF EXISTS idx_queue_entries_source;
+
+ALTER TABLE queue_entries DROP COLUMN IF EXISTS contact_phone;
+ALTER TABLE queue_entries DROP COLUMN IF EXISTS walk_in_student_id;
+ALTER TABLE queue_entries DROP COLUMN IF EXISTS kiosk_user_id;
+ALTER TABLE queue_entries DROP CONSTRAINT IF EXISTS chk_queue_source;
+ALTER TABLE queue_entries DROP COLUMN IF EXISTS source;
@@ -0,0 +1,5 @@
+-- Revert 011: refresh tokens and token versions
+
+DROP TABLE IF EXISTS refresh_tokens;
+
+ALTER TABLE users DROP COLUMN IF EXISTS token_version;
@@ -0,0 +1,5 @@
+-- Revert 012: password reset and email verification codes
+
+DROP TABLE IF EXISTS account_tokens;
+
+ALTER TABLE users DROP COLUMN IF EXISTS email_verified_at;
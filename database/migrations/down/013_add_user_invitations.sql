@@ -0,0 +1,3 @@
+-- Revert 013: staff invitations
+
+DROP TABLE IF EXISTS user_invitations;
@@ -0,0 +1,7 @@
+-- Revert 014: login throttling, lockout and login history
+
+DROP TABLE IF EXISTS login_history;
+
+ALTER TABLE users DROP COLUMN IF EXISTS locked_until;
+ALTER TABLE users DROP COLUMN IF EXISTS last_failed_login_at;
+ALTER TABLE users DROP COLUMN IF EXISTS failed_login_attempts;
@@ -0,0 +1,7 @@
+-- Revert 015: two-factor authentication
+
+DROP TABLE IF EXISTS two_factor_backup_codes;
+
+ALTER TABLE users DROP COLUMN IF EXISTS two_factor_last_step;
+ALTER TABLE users DROP COLUMN IF EXISTS two_factor_enabled_at;
+ALTER TABLE users DROP COLUMN IF EXISTS two_factor_secret;
@@ -0,0 +1,8 @@
+-- Revert 016: roles and permissions
+-- users.role becomes a plain column again. The old role check (dropped in
+-- 010) is not restored.
+
+ALTER TABLE users DROP CONSTRAINT IF EXISTS fk_users_role;
+
+DROP TABLE IF EXISTS role_permissions;
+DROP TABLE IF EXISTS roles;
@@ -0,0 +1,3 @@
+-- Revert 017: admin audit log
+
+DROP TABLE IF EXISTS admin_audit_log;
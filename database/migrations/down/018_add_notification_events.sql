@@ -0,0 +1,7 @@
+-- Revert 018: notification inbox
+
+DROP INDEX IF EXISTS idx_notifications_user_unread;
+DROP INDEX IF EXISTS idx_notifications_user_sent;
+
+ALTER TABLE notifications DROP COLUMN IF EXISTS data;
+ALTER TABLE notifications DROP COLUMN IF EXISTS event;
@@ -0,0 +1,5 @@
+-- Revert 019: approaching alerts
+
+ALTER TABLE service_settings ALTER COLUMN notification_before_minutes SET DEFAULT 5;
+
+ALTER TABLE queue_entries DROP COLUMN IF EXISTS approaching_notified_at;
@@ -0,0 +1,4 @@
+-- Revert 020: push notifications
+
+DROP TABLE IF EXISTS push_tickets;
+DROP TABLE IF EXISTS device_tokens;
@@ -0,0 +1,4 @@
+-- Revert 021: email and SMS notification channels
+
+DROP TABLE IF EXISTS notification_deliveries;
+DROP TABLE IF EXISTS notification_preferences;
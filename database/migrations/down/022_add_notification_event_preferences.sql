@@ -0,0 +1,5 @@
+-- Revert 022: per-event notification preferences
+
+ALTER TABLE notification_preferences DROP COLUMN IF EXISTS events;
+
+COMMENT ON COLUMN notification_preferences.channels IS 'Channel on/off switches, e.g. {"sms": false}; a missing channel is on.';
@@ -2,17 +2,23 @@ import React from 'react';
 import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { Colors } from '../constants/colors';
+import { getJoinState } from '../utils/queueAvailability';
 
 /**
  * Service Card Component
  * Displays service information in a card format
  */
-const ServiceCard = ({ service, onPress }) => {
+const ServiceCard = ({ service, userQueueLimit = null, onPress }) => {
+  const joinState = getJoinState(service, userQueueLimit);
+
   return (
     <TouchableOpacity style={styles.card} onPress={onPress} activeOpacity={0.7}>
       <View style={styles.cardContent}>
         <View style={styles.cardHeader}>
           <Text style={styles.serviceName}>{service.name}</Text>
+          <View style={[styles.statusBadge, { backgroundColor: joinState.color }]}>
+            <Text style={styles.statusBadgeText}>{joinState.label}</Text>
+          </View>
         </View>
         {service.description && (
           <Text style={styles.description} numberOfLines={2}>
@@ -56,6 +62,18 @@ const styles = StyleSheet.create({
   },
   cardHeader: {
     marginBottom: 10,
+    alignItems: 'flex-start',
+  },
+  statusBadge: {
+    marginTop: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 10,
+  },
+  statusBadgeText: {
+    color: Colors.white,
+    fontSize: 12,
+    fontWeight: '700',
   },
   serviceName: {
     fontSize: 22,
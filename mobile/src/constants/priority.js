@@ -0,0 +1,15 @@
+/**
+ * Priority Lane Constants
+ * Categories must match the backend (backend/utils/priority.js)
+ */
+
+export const PRIORITY_LABELS = {
+  pwd: 'PWD',
+  senior: 'Senior Citizen',
+  pregnant: 'Pregnant',
+};
+
+export const PRIORITY_OPTIONS = Object.entries(PRIORITY_LABELS).map(([value, label]) => ({
+  value,
+  label,
+}));
@@ -1,5 +1,13 @@
 import React, { createContext, useState, useEffect, useContext } from 'react';
-import { isAuthenticated, getStoredUser, logout as logoutUser } from '../services/auth';
+import {
+  isAuthenticated,
+  getStoredUser,
+  getNotificationPreferences,
+  logout as logoutUser,
+} from '../services/auth';
+import { setSessionExpiredHandler } from '../services/api';
+import { disconnectSocket } from '../services/socket';
+import { registerForPushNotifications } from '../services/notifications';
 
 /**
  * Authentication Context
@@ -24,6 +32,27 @@ export const AuthProvider = ({ children }) => {
     checkAuthStatus();
   }, []);
 
+  // The API client calls this when the refresh token is rejected
+  useEffect(() => {
+    setSessionExpiredHandler(() => {
+      disconnectSocket();
+      setUser(null);
+    });
+    return () => setSessionExpiredHandler(null);
+  }, []);
+
+  // Register for queue pushes whenever someone is signed in.
+  // Runs on every sign-in so the token follows the current account, and
+  // loads the account's notification preferences for the app's own alerts.
+  useEffect(() => {
+    if (user?.id) {
+      registerForPushNotifications();
+      getNotificationPreferences().catch(() => {
+        // Alerts stay on until the preferences can be loaded
+      });
+    }
+  }, [user?.id]);
+
   const checkAuthStatus = async () => {
     try {
       const authenticated = await isAuthenticated();
@@ -47,12 +76,18 @@ export const AuthProvider = ({ children }) => {
     setUser(null);
   };
 
+  // Keep the context in step after the profile changes (e.g. email verified)
+  const updateUser = (userData) => {
+    setUser(userData);
+  };
+
   const value = {
     user,
     loading,
     isAuthenticated: !!user,
     login,
     logout,
+    updateUser,
   };
 
   return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
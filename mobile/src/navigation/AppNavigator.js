@@ -6,6 +6,8 @@ import { Colors } from '../constants/colors';
 // Auth Screens
 import LoginScreen from '../screens/auth/LoginScreen';
 import RegisterScreen from '../screens/auth/RegisterScreen';
+import ForgotPasswordScreen from '../screens/auth/ForgotPasswordScreen';
+import ResetPasswordScreen from '../screens/auth/ResetPasswordScreen';
 
 // Main App Screens
 import HomeScreen from '../screens/student/HomeScreen';
@@ -13,6 +15,13 @@ import ServicesScreen from '../screens/student/ServicesScreen';
 import QueueStatusScreen from '../screens/student/QueueStatusScreen';
 import QueueHistoryScreen from '../screens/student/QueueHistoryScreen';
 import ProfileScreen from '../screens/student/ProfileScreen';
+import BookAppointmentScreen from '../screens/student/BookAppointmentScreen';
+import MyAppointmentsScreen from '../screens/student/MyAppointmentsScreen';
+import CheckInScannerScreen from '../screens/student/CheckInScannerScreen';
+import ChangePasswordScreen from '../screens/student/ChangePasswordScreen';
+import VerifyEmailScreen from '../screens/student/VerifyEmailScreen';
+import LoginHistoryScreen from '../screens/student/LoginHistoryScreen';
+import NotificationsScreen from '../screens/student/NotificationsScreen';
 
 const Stack = createNativeStackNavigator();
 
@@ -54,6 +63,16 @@ const AppNavigator = () => {
             component={RegisterScreen}
             options={{ title: 'Create Account' }}
           />
+          <Stack.Screen 
+            name="ForgotPassword" 
+            component={ForgotPasswordScreen}
+            options={{ title: 'Forgot Password' }}
+          />
+          <Stack.Screen 
+            name="ResetPassword" 
+            component={ResetPasswordScreen}
+            options={{ title: 'Reset Password' }}
+          />
         </>
       ) : (
         // Main App Stack - User logged in
@@ -78,11 +97,46 @@ const AppNavigator = () => {
             component={QueueHistoryScreen}
             options={{ title: 'Queue History' }}
           />
+          <Stack.Screen 
+            name="BookAppointment" 
+            component={BookAppointmentScreen}
+            options={{ title: 'Book Appointment' }}
+          />
+          <Stack.Screen 
+            name="MyAppointments" 
+            component={MyAppointmentsScreen}
+            options={{ title: 'My Appointments' }}
+          />
+          <Stack.Screen 
+            name="CheckInScanner" 
+            component={CheckInScannerScreen}
+            options={{ title: 'Scan Check-in Code' }}
+          />
           <Stack.Screen 
             name="Profile" 
             component={ProfileScreen}
             options={{ title: 'Profile' }}
           />
+          <Stack.Screen 
+            name="ChangePassword" 
+            component={ChangePasswordScreen}
+            options={{ title: 'Change Password' }}
+          />
+          <Stack.Screen 
+            name="VerifyEmail" 
+            component={VerifyEmailScreen}
+            options={{ title: 'Verify Email' }}
+          />
+          <Stack.Screen 
+            name="LoginHistory" 
+            component={LoginHistoryScreen}
+            options={{ title: 'Login Activity' }}
+          />
+          <Stack.Screen 
+            name="Notifications" 
+            component={NotificationsScreen}
+            options={{ title: 'Notifications' }}
+          />
         </>
       )}
     </Stack.Navigator>
@@ -0,0 +1,194 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  ActivityIndicator,
+  KeyboardAvoidingView,
+  Platform,
+  ScrollView,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { forgotPassword } from '../../services/auth';
+import { showError } from '../../utils/errorHandler';
+import { Colors } from '../../constants/colors';
+import { toast } from '../../components/Toast';
+
+/**
+ * Forgot Password Screen
+ * Emails a reset code, then moves on to entering it
+ */
+const ForgotPasswordScreen = ({ navigation, route }) => {
+  const [email, setEmail] = useState(route.params?.email || '');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async () => {
+    if (!email.trim()) {
+      toast.error('Please enter your email');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await forgotPassword(email.trim());
+
+      if (response.success) {
+        toast.success('Check your email for a reset code');
+        navigation.navigate('ResetPassword', { email: email.trim() });
+      } else {
+        showError(response.error || { message: 'Could not send reset code' });
+      }
+    } catch (error) {
+      showError(error, 'Reset Failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+    >
+      <ScrollView
+        contentContainerStyle={styles.scrollContent}
+        keyboardShouldPersistTaps="handled"
+      >
+        <View style={styles.header}>
+          <View style={styles.iconContainer}>
+            <Ionicons name="key-outline" size={44} color={Colors.primary} />
+          </View>
+          <Text style={styles.title}>Forgot Password</Text>
+          <Text style={styles.subtitle}>
+            Enter the email you registered with and we will send you a code to reset your password.
+          </Text>
+        </View>
+
+        <View style={styles.inputContainer}>
+          <Ionicons name="mail-outline" size={20} color={Colors.gray} style={styles.inputIcon} />
+          <TextInput
+            style={styles.input}
+            placeholder="Email"
+            placeholderTextColor={Colors.gray}
+            value={email}
+            onChangeText={setEmail}
+            keyboardType="email-address"
+            autoCapitalize="none"
+            autoCorrect={false}
+          />
+        </View>
+
+        <TouchableOpacity
+          style={[styles.button, loading && styles.buttonDisabled]}
+          onPress={handleSubmit}
+          disabled={loading}
+          activeOpacity={0.8}
+        >
+          {loading ? (
+            <ActivityIndicator color="#fff" />
+          ) : (
+            <Text style={styles.buttonText}>Send Reset Code</Text>
+          )}
+        </TouchableOpacity>
+
+        <TouchableOpacity
+          style={styles.linkContainer}
+          onPress={() => navigation.navigate('ResetPassword', { email: email.trim() })}
+        >
+          <Text style={styles.link}>I already have a code</Text>
+        </TouchableOpacity>
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: Colors.lightGray,
+  },
+  scrollContent: {
+    flexGrow: 1,
+    justifyContent: 'center',
+    padding: 20,
+  },
+  header: {
+    alignItems: 'center',
+    marginBottom: 36,
+  },
+  iconContainer: {
+    width: 88,
+    height: 88,
+    borderRadius: 44,
+    backgroundColor: '#fff5f5',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginBottom: 24,
+  },
+  title: {
+    fontSize: 30,
+    fontWeight: '800',
+    color: Colors.dark,
+    marginBottom: 12,
+    letterSpacing: -0.8,
+  },
+  subtitle: {
+    fontSize: 16,
+    color: Colors.textGray,
+    textAlign: 'center',
+    fontWeight: '500',
+    lineHeight: 23,
+    paddingHorizontal: 12,
+  },
+  inputContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: Colors.white,
+    borderRadius: 18,
+    marginBottom: 20,
+    borderWidth: 2,
+    borderColor: '#f3f4f6',
+    paddingHorizontal: 20,
+    paddingVertical: 4,
+  },
+  inputIcon: {
+    marginRight: 12,
+  },
+  input: {
+    flex: 1,
+    paddingVertical: 18,
+    fontSize: 17,
+    color: Colors.dark,
+    fontWeight: '500',
+  },
+  button: {
+    backgroundColor: Colors.primary,
+    borderRadius: 18,
+    paddingVertical: 20,
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginTop: 12,
+  },
+  buttonDisabled: {
+    opacity: 0.6,
+  },
+  buttonText: {
+    color: Colors.white,
+    fontSize: 18,
+    fontWeight: '800',
+    letterSpacing: 0.5,
+  },
+  linkContainer: {
+    alignItems: 'center',
+    marginTop: 28,
+  },
+  link: {
+    color: Colors.primary,
+    fontSize: 16,
+    fontWeight: '700',
+  },
+});
+
+export default ForgotPasswordScreen;
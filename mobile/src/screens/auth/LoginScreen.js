@@ -39,7 +39,13 @@ const LoginScreen = ({ navigation }) => {
     try {
       const response = await login(email.trim(), password);
       
-      if (response.success) {
+      if (response.success && (response.data.twoFactorRequired || response.data.twoFactorSetupRequired)) {
+        // Two-factor sign-in is only offered for staff, on the web dashboard
+        showError(
+          { message: 'This account uses two-factor authentication. Please sign in on the web dashboard.' },
+          'Login Failed'
+        );
+      } else if (response.success) {
         // Update auth context
         setUser(response.data.user);
         // Navigation will automatically switch to Home screen
@@ -118,6 +124,13 @@ const LoginScreen = ({ navigation }) => {
               />
             </View>
 
+            <TouchableOpacity
+              style={styles.forgotContainer}
+              onPress={() => navigation.navigate('ForgotPassword', { email: email.trim() })}
+            >
+              <Text style={styles.forgotLink}>Forgot password?</Text>
+            </TouchableOpacity>
+
             <TouchableOpacity
               style={[styles.button, loading && styles.buttonDisabled]}
               onPress={handleLogin}
@@ -235,6 +248,17 @@ const styles = StyleSheet.create({
     color: Colors.dark,
     fontWeight: '500',
   },
+  forgotContainer: {
+    alignSelf: 'flex-end',
+    marginTop: -8,
+    marginBottom: 8,
+    paddingVertical: 4,
+  },
+  forgotLink: {
+    color: Colors.primary,
+    fontSize: 15,
+    fontWeight: '600',
+  },
   button: {
     backgroundColor: Colors.primary,
     borderRadius: 18,
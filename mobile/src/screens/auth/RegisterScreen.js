@@ -65,15 +65,12 @@ const RegisterScreen = ({ navigation }) => {
     setLoading(true);
     try {
       const { confirmPassword, ...registerData } = formData;
-      const response = await register({
-        ...registerData,
-        role: 'student', // Default role
-      });
+      const response = await register(registerData);
 
       if (response.success) {
         // Update auth context
         setUser(response.data.user);
-        toast.success('Account created successfully!');
+        toast.success('Account created! Check your email for a verification code.');
         // Navigation will automatically switch to Home screen
       } else {
         showError(response.error || { message: 'Registration failed' }, 'Registration Failed');
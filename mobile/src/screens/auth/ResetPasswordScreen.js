@@ -0,0 +1,250 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  ActivityIndicator,
+  KeyboardAvoidingView,
+  Platform,
+  ScrollView,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { forgotPassword, resetPassword } from '../../services/auth';
+import { showError } from '../../utils/errorHandler';
+import { Colors } from '../../constants/colors';
+import { toast } from '../../components/Toast';
+
+/**
+ * Reset Password Screen
+ * Sets a new password with the code from the reset email
+ */
+const ResetPasswordScreen = ({ navigation, route }) => {
+  const [formData, setFormData] = useState({
+    email: route.params?.email || '',
+    code: '',
+    newPassword: '',
+    confirmPassword: '',
+  });
+  const [loading, setLoading] = useState(false);
+  const [resending, setResending] = useState(false);
+
+  const handleInputChange = (field, value) => {
+    setFormData((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const handleReset = async () => {
+    if (!formData.email.trim() || !formData.code.trim() || !formData.newPassword) {
+      toast.error('Please fill in all fields');
+      return;
+    }
+
+    if (formData.newPassword !== formData.confirmPassword) {
+      toast.error('Passwords do not match');
+      return;
+    }
+
+    if (formData.newPassword.length < 6) {
+      toast.error('Password must be at least 6 characters');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await resetPassword(
+        formData.email.trim(),
+        formData.code.trim(),
+        formData.newPassword
+      );
+
+      if (response.success) {
+        toast.success('Password reset. Please log in.');
+        navigation.navigate('Login');
+      } else {
+        showError(response.error || { message: 'Could not reset password' }, 'Reset Failed');
+      }
+    } catch (error) {
+      showError(error, 'Reset Failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleResend = async () => {
+    if (!formData.email.trim()) {
+      toast.error('Please enter your email');
+      return;
+    }
+
+    setResending(true);
+    try {
+      await forgotPassword(formData.email.trim());
+      toast.success('If the email is registered, a new code is on its way');
+    } catch (error) {
+      showError(error);
+    } finally {
+      setResending(false);
+    }
+  };
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+    >
+      <ScrollView
+        contentContainerStyle={styles.scrollContent}
+        keyboardShouldPersistTaps="handled"
+      >
+        <Text style={styles.subtitle}>
+          Enter the 6-digit code from the email and choose a new password.
+        </Text>
+
+        <View style={styles.inputContainer}>
+          <Ionicons name="mail-outline" size={20} color={Colors.gray} style={styles.inputIcon} />
+          <TextInput
+            style={styles.input}
+            placeholder="Email"
+            placeholderTextColor={Colors.gray}
+            value={formData.email}
+            onChangeText={(value) => handleInputChange('email', value)}
+            keyboardType="email-address"
+            autoCapitalize="none"
+            autoCorrect={false}
+          />
+        </View>
+
+        <View style={styles.inputContainer}>
+          <Ionicons name="keypad-outline" size={20} color={Colors.gray} style={styles.inputIcon} />
+          <TextInput
+            style={[styles.input, styles.codeInput]}
+            placeholder="Reset code"
+            placeholderTextColor={Colors.gray}
+            value={formData.code}
+            onChangeText={(value) => handleInputChange('code', value.replace(/[^0-9]/g, ''))}
+            keyboardType="number-pad"
+            maxLength={6}
+          />
+        </View>
+
+        <View style={styles.inputContainer}>
+          <Ionicons name="lock-closed-outline" size={20} color={Colors.gray} style={styles.inputIcon} />
+          <TextInput
+            style={styles.input}
+            placeholder="New password"
+            placeholderTextColor={Colors.gray}
+            value={formData.newPassword}
+            onChangeText={(value) => handleInputChange('newPassword', value)}
+            secureTextEntry
+            autoCapitalize="none"
+          />
+        </View>
+
+        <View style={styles.inputContainer}>
+          <Ionicons name="lock-closed-outline" size={20} color={Colors.gray} style={styles.inputIcon} />
+          <TextInput
+            style={styles.input}
+            placeholder="Confirm new password"
+            placeholderTextColor={Colors.gray}
+            value={formData.confirmPassword}
+            onChangeText={(value) => handleInputChange('confirmPassword', value)}
+            secureTextEntry
+            autoCapitalize="none"
+          />
+        </View>
+
+        <TouchableOpacity
+          style={[styles.button, loading && styles.buttonDisabled]}
+          onPress={handleReset}
+          disabled={loading}
+          activeOpacity={0.8}
+        >
+          {loading ? (
+            <ActivityIndicator color="#fff" />
+          ) : (
+            <Text style={styles.buttonText}>Reset Password</Text>
+          )}
+        </TouchableOpacity>
+
+        <TouchableOpacity style={styles.linkContainer} onPress={handleResend} disabled={resending}>
+          <Text style={styles.link}>{resending ? 'Sending...' : 'Send a new code'}</Text>
+        </TouchableOpacity>
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: Colors.lightGray,
+  },
+  scrollContent: {
+    flexGrow: 1,
+    justifyContent: 'center',
+    padding: 20,
+  },
+  subtitle: {
+    fontSize: 16,
+    color: Colors.textGray,
+    textAlign: 'center',
+    fontWeight: '500',
+    lineHeight: 23,
+    marginBottom: 28,
+    paddingHorizontal: 12,
+  },
+  inputContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: Colors.white,
+    borderRadius: 18,
+    marginBottom: 20,
+    borderWidth: 2,
+    borderColor: '#f3f4f6',
+    paddingHorizontal: 20,
+    paddingVertical: 4,
+  },
+  inputIcon: {
+    marginRight: 12,
+  },
+  input: {
+    flex: 1,
+    paddingVertical: 18,
+    fontSize: 17,
+    color: Colors.dark,
+    fontWeight: '500',
+  },
+  codeInput: {
+    letterSpacing: 6,
+    fontWeight: '700',
+  },
+  button: {
+    backgroundColor: Colors.primary,
+    borderRadius: 18,
+    paddingVertical: 20,
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginTop: 12,
+  },
+  buttonDisabled: {
+    opacity: 0.6,
+  },
+  buttonText: {
+    color: Colors.white,
+    fontSize: 18,
+    fontWeight: '800',
+    letterSpacing: 0.5,
+  },
+  linkContainer: {
+    alignItems: 'center',
+    marginTop: 28,
+  },
+  link: {
+    color: Colors.primary,
+    fontSize: 16,
+    fontWeight: '700',
+  },
+});
+
+export default ResetPasswordScreen;
@@ -0,0 +1,314 @@
+import React, { useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { getAvailableSlots, bookAppointment } from '../../services/appointments';
+import LoadingSpinner from '../../components/LoadingSpinner';
+import EmptyState from '../../components/EmptyState';
+import CustomAlert from '../../components/CustomAlert';
+import { showError } from '../../utils/errorHandler';
+import { Colors } from '../../constants/colors';
+import { toast } from '../../components/Toast';
+
+// Matches the booking horizon enforced by the API
+const BOOKING_DAYS = 14;
+
+const toDateKey = (date) => {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+const buildDateOptions = () => {
+  const today = new Date();
+  return Array.from({ length: BOOKING_DAYS + 1 }, (_, offset) => {
+    const date = new Date(today.getFullYear(), today.getMonth(), today.getDate() + offset);
+    return {
+      key: toDateKey(date),
+      weekday: offset === 0 ? 'Today' : date.toLocaleDateString(undefined, { weekday: 'short' }),
+      day: date.getDate(),
+    };
+  });
+};
+
+const formatSlotTime = (time) => (time ? time.slice(0, 5) : '');
+
+/**
+ * Book Appointment Screen
+ * Lets a student pick a date and time slot for a service
+ */
+const BookAppointmentScreen = ({ route, navigation }) => {
+  const { serviceId, serviceName } = route.params;
+  const [dateOptions] = useState(buildDateOptions);
+  const [selectedDate, setSelectedDate] = useState(dateOptions[0].key);
+  const [day, setDay] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [booking, setBooking] = useState(false);
+  const [selectedSlot, setSelectedSlot] = useState(null);
+
+  useEffect(() => {
+    loadSlots(selectedDate);
+  }, [serviceId, selectedDate]);
+
+  const loadSlots = async (date) => {
+    setLoading(true);
+    try {
+      const response = await getAvailableSlots(serviceId, date);
+      if (response.success) {
+        setDay(response.data);
+      } else {
+        showError(response.error || { message: 'Failed to load appointment slots' });
+      }
+    } catch (error) {
+      showError(error, 'Failed to Load Slots');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleBookConfirm = async () => {
+    const slot = selectedSlot;
+    setSelectedSlot(null);
+    setBooking(true);
+    try {
+      const response = await bookAppointment(serviceId, slot.id, selectedDate);
+      if (response.success) {
+        toast.success(`Booked for ${selectedDate} at ${formatSlotTime(slot.start_time)}`);
+        navigation.navigate('MyAppointments');
+      } else {
+        showError(response.error || { message: 'Failed to book appointment' });
+      }
+    } catch (error) {
+      showError(error, 'Failed to Book Appointment');
+      // The slot may have been taken since it was loaded
+      loadSlots(selectedDate);
+    } finally {
+      setBooking(false);
+    }
+  };
+
+  const renderSlots = () => {
+    if (loading) {
+      return <LoadingSpinner message="Loading available slots..." />;
+    }
+
+    if (day?.isClosed) {
+      return (
+        <EmptyState
+          iconName="calendar-outline"
+          iconColor={Colors.warning}
+          title="Closed"
+          message={day.reason
+            ? `This service is closed on this day (${day.reason}).`
+            : 'This service is closed on this day.'}
+        />
+      );
+    }
+
+    if (!day || day.slots.length === 0) {
+      return (
+        <EmptyState
+          iconName="calendar-outline"
+          iconColor={Colors.gray}
+          title="No Slots"
+          message="There are no appointment slots on this day. Try another date."
+        />
+      );
+    }
+
+    return day.slots.map((slot) => (
+      <TouchableOpacity
+        key={slot.id}
+        style={[styles.slotCard, !slot.available && styles.slotCardDisabled]}
+        onPress={() => setSelectedSlot(slot)}
+        disabled={!slot.available || booking}
+        activeOpacity={0.8}
+      >
+        <View style={styles.slotTimeContainer}>
+          <Ionicons name="time-outline" size={20} color={slot.available ? Colors.primary : Colors.gray} style={styles.slotIcon} />
+          <Text style={styles.slotTime}>
+            {formatSlotTime(slot.start_time)} - {formatSlotTime(slot.end_time)}
+          </Text>
+        </View>
+        <Text style={[styles.slotRemaining, !slot.available && styles.slotRemainingFull]}>
+          {slot.remaining > 0
+            ? (slot.available ? `${slot.remaining} left` : 'Passed')
+            : 'Full'}
+        </Text>
+      </TouchableOpacity>
+    ));
+  };
+
+  return (
+    <ScrollView style={styles.container}>
+      <View style={styles.content}>
+        <Text style={styles.title}>{serviceName || 'Book an Appointment'}</Text>
+        <Text style={styles.subtitle}>
+          Checked-in appointments are called ahead of the walk-in queue.
+        </Text>
+
+        {/* Date Picker */}
+        <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.dateList}>
+          {dateOptions.map((option) => {
+            const selected = option.key === selectedDate;
+            return (
+              <TouchableOpacity
+                key={option.key}
+                style={[styles.dateChip, selected && styles.dateChipSelected]}
+                onPress={() => setSelectedDate(option.key)}
+                activeOpacity={0.8}
+              >
+                <Text style={[styles.dateChipWeekday, selected && styles.dateChipTextSelected]}>
+                  {option.weekday}
+                </Text>
+                <Text style={[styles.dateChipDay, selected && styles.dateChipTextSelected]}>
+                  {option.day}
+                </Text>
+              </TouchableOpacity>
+            );
+          })}
+        </ScrollView>
+
+        <Text style={styles.sectionTitle}>Available Times</Text>
+        {renderSlots()}
+
+        {booking && <ActivityIndicator color={Colors.primary} style={styles.bookingIndicator} />}
+      </View>
+
+      {/* Booking Confirmation Modal */}
+      <CustomAlert
+        visible={!!selectedSlot}
+        title="Book Appointment"
+        message={selectedSlot
+          ? `Book ${formatSlotTime(selectedSlot.start_time)} on ${selectedDate}${serviceName ? ` for ${serviceName}` : ''}?`
+          : ''}
+        type="info"
+        buttons={[
+          {
+            text: 'Cancel',
+            style: 'cancel',
+            onPress: () => setSelectedSlot(null),
+          },
+          {
+            text: 'Book',
+            onPress: handleBookConfirm,
+          },
+        ]}
+        onClose={() => setSelectedSlot(null)}
+      />
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: Colors.lightGray,
+  },
+  content: {
+    padding: 20,
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: '900',
+    color: Colors.dark,
+    marginBottom: 8,
+    letterSpacing: -0.8,
+  },
+  subtitle: {
+    fontSize: 15,
+    color: Colors.textGray,
+    marginBottom: 20,
+    lineHeight: 22,
+  },
+  dateList: {
+    marginBottom: 24,
+  },
+  dateChip: {
+    width: 64,
+    paddingVertical: 12,
+    borderRadius: 18,
+    borderWidth: 1,
+    borderColor: Colors.borderGray,
+    backgroundColor: Colors.white,
+    alignItems: 'center',
+    marginRight: 10,
+  },
+  dateChipSelected: {
+    backgroundColor: Colors.primary,
+    borderColor: Colors.primary,
+  },
+  dateChipWeekday: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: Colors.textGray,
+    marginBottom: 4,
+  },
+  dateChipDay: {
+    fontSize: 20,
+    fontWeight: '800',
+    color: Colors.dark,
+  },
+  dateChipTextSelected: {
+    color: Colors.white,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: '700',
+    color: Colors.dark,
+    marginBottom: 16,
+  },
+  slotCard: {
+    backgroundColor: Colors.white,
+    borderRadius: 20,
+    padding: 20,
+    marginBottom: 14,
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    shadowColor: '#000',
+    shadowOffset: {
+      width: 0,
+      height: 2,
+    },
+    shadowOpacity: 0.06,
+    shadowRadius: 8,
+    elevation: 4,
+    borderWidth: 1,
+    borderColor: '#f5f5f5',
+  },
+  slotCardDisabled: {
+    opacity: 0.6,
+  },
+  slotTimeContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  slotIcon: {
+    marginRight: 10,
+  },
+  slotTime: {
+    fontSize: 18,
+    fontWeight: '700',
+    color: Colors.dark,
+  },
+  slotRemaining: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: Colors.success,
+  },
+  slotRemainingFull: {
+    color: Colors.gray,
+  },
+  bookingIndicator: {
+    marginTop: 16,
+  },
+});
+
+export default BookAppointmentScreen;
@@ -0,0 +1,171 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  ActivityIndicator,
+  KeyboardAvoidingView,
+  Platform,
+  ScrollView,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { changePassword } from '../../services/auth';
+import { showError } from '../../utils/errorHandler';
+import { Colors } from '../../constants/colors';
+import { toast } from '../../components/Toast';
+
+/**
+ * Change Password Screen
+ * Changes the password of the signed-in user; other devices are signed out
+ */
+const ChangePasswordScreen = ({ navigation }) => {
+  const [formData, setFormData] = useState({
+    currentPassword: '',
+    newPassword: '',
+    confirmPassword: '',
+  });
+  const [loading, setLoading] = useState(false);
+
+  const handleInputChange = (field, value) => {
+    setFormData((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const handleSubmit = async () => {
+    if (!formData.currentPassword || !formData.newPassword) {
+      toast.error('Please fill in all fields');
+      return;
+    }
+
+    if (formData.newPassword !== formData.confirmPassword) {
+      toast.error('Passwords do not match');
+      return;
+    }
+
+    if (formData.newPassword.length < 6) {
+      toast.error('Password must be at least 6 characters');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await changePassword(formData.currentPassword, formData.newPassword);
+
+      if (response.success) {
+        toast.success('Password changed');
+        navigation.goBack();
+      } else {
+        showError(response.error || { message: 'Could not change password' });
+      }
+    } catch (error) {
+      showError(error, 'Change Password Failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fields = [
+    { key: 'currentPassword', placeholder: 'Current password' },
+    { key: 'newPassword', placeholder: 'New password' },
+    { key: 'confirmPassword', placeholder: 'Confirm new password' },
+  ];
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+    >
+      <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+        <Text style={styles.subtitle}>
+          You will stay signed in here. Your other devices will need to log in again.
+        </Text>
+
+        {fields.map((field) => (
+          <View key={field.key} style={styles.inputContainer}>
+            <Ionicons name="lock-closed-outline" size={20} color={Colors.gray} style={styles.inputIcon} />
+            <TextInput
+              style={styles.input}
+              placeholder={field.placeholder}
+              placeholderTextColor={Colors.gray}
+              value={formData[field.key]}
+              onChangeText={(value) => handleInputChange(field.key, value)}
+              secureTextEntry
+              autoCapitalize="none"
+            />
+          </View>
+        ))}
+
+        <TouchableOpacity
+          style={[styles.button, loading && styles.buttonDisabled]}
+          onPress={handleSubmit}
+          disabled={loading}
+          activeOpacity={0.8}
+        >
+          {loading ? (
+            <ActivityIndicator color="#fff" />
+          ) : (
+            <Text style={styles.buttonText}>Change Password</Text>
+          )}
+        </TouchableOpacity>
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: Colors.lightGray,
+  },
+  content: {
+    padding: 20,
+  },
+  subtitle: {
+    fontSize: 15,
+    color: Colors.textGray,
+    fontWeight: '500',
+    lineHeight: 22,
+    marginBottom: 24,
+  },
+  inputContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: Colors.white,
+    borderRadius: 18,
+    marginBottom: 20,
+    borderWidth: 2,
+    borderColor: '#f3f4f6',
+    paddingHorizontal: 20,
+    paddingVertical: 4,
+  },
+  inputIcon: {
+    marginRight: 12,
+  },
+  input: {
+    flex: 1,
+    paddingVertical: 18,
+    fontSize: 17,
+    color: Colors.dark,
+    fontWeight: '500',
+  },
+  button: {
+    backgroundColor: Colors.primary,
+    borderRadius: 18,
+    paddingVertical: 20,
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginTop: 12,
+  },
+  buttonDisabled: {
+    opacity: 0.6,
+  },
+  buttonText: {
+    color: Colors.white,
+    fontSize: 18,
+    fontWeight: '800',
+    letterSpacing: 0.5,
+  },
+});
+
+export default ChangePasswordScreen;
@@ -0,0 +1,170 @@
+import React, { useRef, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ActivityIndicator,
+} from 'react-native';
+import { CameraView, useCameraPermissions } from 'expo-camera';
+import { Ionicons } from '@expo/vector-icons';
+import { checkInQueue } from '../../services/queue';
+import LoadingSpinner from '../../components/LoadingSpinner';
+import EmptyState from '../../components/EmptyState';
+import { showError } from '../../utils/errorHandler';
+import { Colors } from '../../constants/colors';
+import { toast } from '../../components/Toast';
+
+// Must match the prefix the backend puts in the display board QR code
+const CHECKIN_QR_PREFIX = 'qtech-checkin:';
+
+/**
+ * Check-in Scanner Screen
+ * Scans the rotating QR code on the display board to confirm the student is on site
+ */
+const CheckInScannerScreen = ({ route, navigation }) => {
+  const { queueId } = route.params;
+  const [permission, requestPermission] = useCameraPermissions();
+  const [submitting, setSubmitting] = useState(false);
+  const handledRef = useRef(false);
+
+  const handleBarcodeScanned = async ({ data }) => {
+    // The camera keeps firing while a code is in view
+    if (handledRef.current || !data?.startsWith(CHECKIN_QR_PREFIX)) {
+      return;
+    }
+    handledRef.current = true;
+    setSubmitting(true);
+
+    try {
+      const response = await checkInQueue(queueId, data);
+      if (response.success) {
+        toast.success(`Queue ${response.data.queueNumber} checked in`);
+        navigation.goBack();
+        return;
+      }
+      showError(response.error || { message: 'Failed to check in' });
+    } catch (error) {
+      showError(error, 'Check-in Failed');
+    }
+
+    setSubmitting(false);
+    handledRef.current = false;
+  };
+
+  if (!permission) {
+    return <LoadingSpinner message="Starting camera..." />;
+  }
+
+  if (!permission.granted) {
+    return (
+      <View style={styles.centerContainer}>
+        <EmptyState
+          iconName="camera-outline"
+          iconColor={Colors.gray}
+          title="Camera Access Needed"
+          message="Allow camera access to scan the check-in code on the display board."
+          action={
+            <TouchableOpacity
+              style={styles.permissionButton}
+              onPress={requestPermission}
+              activeOpacity={0.8}
+            >
+              <Text style={styles.permissionButtonText}>Allow Camera</Text>
+            </TouchableOpacity>
+          }
+        />
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <CameraView
+        style={styles.camera}
+        facing="back"
+        barcodeScannerSettings={{ barcodeTypes: ['qr'] }}
+        onBarcodeScanned={submitting ? undefined : handleBarcodeScanned}
+      />
+
+      <View style={styles.overlay} pointerEvents="none">
+        <View style={styles.frame} />
+      </View>
+
+      <View style={styles.footer}>
+        {submitting ? (
+          <ActivityIndicator color={Colors.white} />
+        ) : (
+          <>
+            <Ionicons name="qr-code-outline" size={24} color={Colors.white} style={styles.footerIcon} />
+            <Text style={styles.footerText}>
+              Point your camera at the check-in code on the display board
+            </Text>
+          </>
+        )}
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#000',
+  },
+  centerContainer: {
+    flex: 1,
+    backgroundColor: Colors.lightGray,
+  },
+  camera: {
+    flex: 1,
+  },
+  overlay: {
+    ...StyleSheet.absoluteFillObject,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  frame: {
+    width: 240,
+    height: 240,
+    borderRadius: 24,
+    borderWidth: 3,
+    borderColor: Colors.white,
+  },
+  footer: {
+    position: 'absolute',
+    left: 20,
+    right: 20,
+    bottom: 40,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: 'rgba(0, 0, 0, 0.6)',
+    borderRadius: 18,
+    padding: 18,
+  },
+  footerIcon: {
+    marginRight: 12,
+  },
+  footerText: {
+    flex: 1,
+    color: Colors.white,
+    fontSize: 15,
+    fontWeight: '600',
+    lineHeight: 21,
+  },
+  permissionButton: {
+    backgroundColor: Colors.primary,
+    borderRadius: 14,
+    paddingVertical: 14,
+    paddingHorizontal: 28,
+    marginTop: 20,
+  },
+  permissionButtonText: {
+    color: Colors.white,
+    fontSize: 16,
+    fontWeight: '700',
+  },
+});
+
+export default CheckInScannerScreen;
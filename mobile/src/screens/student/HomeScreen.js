@@ -15,6 +15,8 @@ import { useAuth } from '../../context/AuthContext';
 import { getAllServices } from '../../services/services';
 import ServiceCard from '../../components/ServiceCard';
 import { logout } from '../../services/auth';
+import { getUnreadCount } from '../../services/inbox';
+import { connectSocket, joinUserRoom, onQueueCalled, offQueueCalled } from '../../services/socket';
 import LoadingSpinner from '../../components/LoadingSpinner';
 import EmptyState from '../../components/EmptyState';
 import CustomAlert from '../../components/CustomAlert';
@@ -28,19 +30,51 @@ import { Colors } from '../../constants/colors';
 const HomeScreen = ({ navigation }) => {
   const { user, logout: logoutUser } = useAuth();
   const [services, setServices] = useState([]);
+  const [userQueueLimit, setUserQueueLimit] = useState(null);
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
   const [showLogoutConfirm, setShowLogoutConfirm] = useState(false);
+  const [unreadCount, setUnreadCount] = useState(0);
 
   useEffect(() => {
     loadServices();
   }, []);
 
+  // Keep the inbox badge current: on focus and whenever a queue event arrives
+  useEffect(() => {
+    connectSocket();
+
+    if (user?.id) {
+      joinUserRoom(user.id);
+    }
+
+    const unsubscribe = navigation.addListener('focus', loadUnreadCount);
+    onQueueCalled(loadUnreadCount);
+
+    return () => {
+      unsubscribe();
+      offQueueCalled(loadUnreadCount);
+    };
+  }, [navigation, user?.id]);
+
+  const loadUnreadCount = async () => {
+    try {
+      const response = await getUnreadCount();
+      if (response.success) {
+        setUnreadCount(response.data.unreadCount || 0);
+      }
+    } catch (error) {
+      // The badge is a hint; the inbox itself reports errors
+      console.error('Failed to load unread notifications:', error);
+    }
+  };
+
   const loadServices = async () => {
     try {
       const response = await getAllServices();
       if (response.success) {
         setServices(response.data || []);
+        setUserQueueLimit(response.userQueueLimit || null);
       } else {
         showError(response.error || { message: 'Failed to load services' });
       }
@@ -77,6 +111,18 @@ const HomeScreen = ({ navigation }) => {
             <Text style={styles.greeting}>Welcome,</Text>
             <Text style={styles.userName}>{user?.first_name || 'User'}!</Text>
           </View>
+          <TouchableOpacity
+            onPress={() => navigation.navigate('Notifications')}
+            activeOpacity={0.7}
+            style={styles.notificationButton}
+          >
+            <Ionicons name="notifications-outline" size={26} color={Colors.dark} />
+            {unreadCount > 0 && (
+              <View style={styles.badge}>
+                <Text style={styles.badgeText}>{unreadCount > 99 ? '99+' : unreadCount}</Text>
+              </View>
+            )}
+          </TouchableOpacity>
           <TouchableOpacity 
             onPress={() => navigation.navigate('Profile')}
             activeOpacity={0.7}
@@ -113,6 +159,7 @@ const HomeScreen = ({ navigation }) => {
               <ServiceCard
                 key={service.id}
                 service={service}
+                userQueueLimit={userQueueLimit}
                 onPress={() => navigation.navigate('Services', { serviceId: service.id })}
               />
             ))
@@ -128,6 +175,16 @@ const HomeScreen = ({ navigation }) => {
             <Text style={styles.historyButtonText}>View Queue History</Text>
           </TouchableOpacity>
 
+          {/* Appointments Button */}
+          <TouchableOpacity
+            style={[styles.historyButton, styles.appointmentsButton]}
+            onPress={() => navigation.navigate('MyAppointments')}
+            activeOpacity={0.7}
+          >
+            <Ionicons name="calendar-outline" size={20} color={Colors.primary} style={styles.historyIcon} />
+            <Text style={styles.historyButtonText}>My Appointments</Text>
+          </TouchableOpacity>
+
           {/* Logout Confirmation Modal */}
           <CustomAlert
             visible={showLogoutConfirm}
@@ -198,6 +255,32 @@ const styles = StyleSheet.create({
     letterSpacing: -0.8,
     lineHeight: 34,
   },
+  notificationButton: {
+    width: 48,
+    height: 48,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 8,
+  },
+  badge: {
+    position: 'absolute',
+    top: 4,
+    right: 2,
+    minWidth: 20,
+    height: 20,
+    borderRadius: 10,
+    paddingHorizontal: 5,
+    backgroundColor: Colors.primary,
+    justifyContent: 'center',
+    alignItems: 'center',
+    borderWidth: 2,
+    borderColor: Colors.white,
+  },
+  badgeText: {
+    color: Colors.white,
+    fontSize: 10,
+    fontWeight: '800',
+  },
   profileButton: {
     width: 48,
     height: 48,
@@ -256,6 +339,9 @@ const styles = StyleSheet.create({
     shadowRadius: 8,
     elevation: 6,
   },
+  appointmentsButton: {
+    marginTop: 0,
+  },
   historyIcon: {
     marginRight: 10,
   },
@@ -0,0 +1,181 @@
+import React, { useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  ActivityIndicator,
+  RefreshControl,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { getLoginHistory } from '../../services/auth';
+import LoadingSpinner from '../../components/LoadingSpinner';
+import EmptyState from '../../components/EmptyState';
+import { showError } from '../../utils/errorHandler';
+import { Colors } from '../../constants/colors';
+
+const FAILURE_LABELS = {
+  invalid_credentials: 'Wrong password',
+  account_inactive: 'Account deactivated',
+  account_locked: 'Account locked',
+  throttled: 'Too many attempts',
+  invalid_two_factor_code: 'Wrong authentication code',
+};
+
+/**
+ * Login History Screen
+ * Shows recent sign-ins and failed attempts on the user's account
+ */
+const LoginHistoryScreen = () => {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [page, setPage] = useState(1);
+  const [hasMore, setHasMore] = useState(true);
+
+  useEffect(() => {
+    loadHistory();
+  }, []);
+
+  const loadHistory = async (pageNum = 1) => {
+    try {
+      const response = await getLoginHistory(pageNum, 20);
+      if (response.success) {
+        if (pageNum === 1) {
+          setEntries(response.data.entries || []);
+        } else {
+          setEntries((prev) => [...prev, ...(response.data.entries || [])]);
+        }
+        setHasMore(response.data.pagination.page < response.data.pagination.totalPages);
+      } else {
+        showError(response.error || { message: 'Failed to load login activity' });
+      }
+    } catch (error) {
+      showError(error, 'Failed to Load Activity');
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  };
+
+  const onRefresh = () => {
+    setRefreshing(true);
+    setPage(1);
+    loadHistory(1);
+  };
+
+  const loadMore = () => {
+    if (!loading && hasMore) {
+      const nextPage = page + 1;
+      setPage(nextPage);
+      loadHistory(nextPage);
+    }
+  };
+
+  const renderEntry = ({ item }) => (
+    <View style={styles.entry}>
+      <Ionicons
+        name={item.success ? 'checkmark-circle' : 'close-circle'}
+        size={28}
+        color={item.success ? '#28a745' : Colors.danger}
+        style={styles.entryIcon}
+      />
+      <View style={styles.entryBody}>
+        <Text style={styles.entryTitle}>
+          {item.success ? 'Signed in' : FAILURE_LABELS[item.failure_reason] || 'Failed sign-in'}
+        </Text>
+        <Text style={styles.entryMeta}>{new Date(item.created_at).toLocaleString()}</Text>
+        {item.ip_address && (
+          <Text style={styles.entryMeta}>IP {item.ip_address}</Text>
+        )}
+      </View>
+    </View>
+  );
+
+  if (loading && entries.length === 0) {
+    return <LoadingSpinner message="Loading login activity..." />;
+  }
+
+  return (
+    <View style={styles.container}>
+      {entries.length === 0 ? (
+        <EmptyState
+          iconName="time-outline"
+          iconColor={Colors.gray}
+          title="No Login Activity"
+          message="Sign-ins to your account will appear here."
+        />
+      ) : (
+        <FlatList
+          data={entries}
+          renderItem={renderEntry}
+          keyExtractor={(item) => item.id.toString()}
+          contentContainerStyle={styles.list}
+          ListHeaderComponent={
+            <Text style={styles.hint}>
+              If you see failed attempts you don't recognise, change your password.
+            </Text>
+          }
+          refreshControl={
+            <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
+          }
+          onEndReached={loadMore}
+          onEndReachedThreshold={0.5}
+          ListFooterComponent={
+            loading ? (
+              <ActivityIndicator size="small" color={Colors.primary} />
+            ) : null
+          }
+        />
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: Colors.lightGray,
+  },
+  list: {
+    paddingVertical: 20,
+  },
+  hint: {
+    fontSize: 14,
+    color: Colors.textGray,
+    fontWeight: '500',
+    lineHeight: 20,
+    marginHorizontal: 20,
+    marginBottom: 16,
+  },
+  entry: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: Colors.white,
+    borderRadius: 18,
+    padding: 18,
+    marginHorizontal: 20,
+    marginBottom: 12,
+    borderWidth: 1,
+    borderColor: '#f5f5f5',
+  },
+  entryIcon: {
+    marginRight: 14,
+  },
+  entryBody: {
+    flex: 1,
+  },
+  entryTitle: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: Colors.dark,
+    marginBottom: 4,
+  },
+  entryMeta: {
+    fontSize: 13,
+    color: Colors.gray,
+    fontWeight: '400',
+  },
+});
+
+export default LoginHistoryScreen;
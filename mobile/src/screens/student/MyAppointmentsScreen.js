@@ -0,0 +1,359 @@
+import React, { useCallback, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  ActivityIndicator,
+  RefreshControl,
+} from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
+import { Ionicons } from '@expo/vector-icons';
+import {
+  getMyAppointments,
+  cancelAppointment,
+  checkInAppointment,
+} from '../../services/appointments';
+import LoadingSpinner from '../../components/LoadingSpinner';
+import EmptyState from '../../components/EmptyState';
+import CustomAlert from '../../components/CustomAlert';
+import { showError } from '../../utils/errorHandler';
+import { Colors } from '../../constants/colors';
+import { toast } from '../../components/Toast';
+
+const formatSlotTime = (time) => (time ? time.slice(0, 5) : '');
+
+const STATUS_COLORS = {
+  booked: Colors.info,
+  checked_in: Colors.success,
+  cancelled: Colors.danger,
+};
+
+/**
+ * My Appointments Screen
+ * Lists upcoming bookings and lets the student check in or cancel
+ */
+const MyAppointmentsScreen = ({ navigation }) => {
+  const [appointments, setAppointments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+  const [cancelTarget, setCancelTarget] = useState(null);
+
+  useFocusEffect(
+    useCallback(() => {
+      loadAppointments();
+    }, [])
+  );
+
+  const loadAppointments = async () => {
+    try {
+      const response = await getMyAppointments();
+      if (response.success) {
+        setAppointments(response.data || []);
+      } else {
+        showError(response.error || { message: 'Failed to load appointments' });
+      }
+    } catch (error) {
+      showError(error, 'Failed to Load Appointments');
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  };
+
+  const onRefresh = () => {
+    setRefreshing(true);
+    loadAppointments();
+  };
+
+  const handleCheckIn = async (appointment) => {
+    setBusyId(appointment.id);
+    try {
+      const response = await checkInAppointment(appointment.id);
+      if (response.success) {
+        toast.success(`Queue Number: ${response.data.queue.queueNumber}`);
+        navigation.navigate('QueueStatus', {
+          queueId: response.data.queue.id,
+        });
+      } else {
+        showError(response.error || { message: 'Failed to check in' });
+      }
+    } catch (error) {
+      showError(error, 'Failed to Check In');
+      loadAppointments();
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleCancelConfirm = async () => {
+    const appointment = cancelTarget;
+    setCancelTarget(null);
+    setBusyId(appointment.id);
+    try {
+      const response = await cancelAppointment(appointment.id);
+      if (response.success) {
+        toast.success('Appointment cancelled');
+        loadAppointments();
+      } else {
+        showError(response.error || { message: 'Failed to cancel appointment' });
+      }
+    } catch (error) {
+      showError(error, 'Failed to Cancel Appointment');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const renderAppointment = ({ item }) => {
+    const busy = busyId === item.id;
+    const canCheckIn = item.status === 'booked' && item.checkIn?.canCheckIn;
+
+    return (
+      <View style={styles.card}>
+        <View style={styles.cardHeader}>
+          <Text style={styles.serviceName}>{item.service_name}</Text>
+          <View style={[styles.statusBadge, { backgroundColor: STATUS_COLORS[item.status] || Colors.gray }]}>
+            <Text style={styles.statusText}>
+              {item.status === 'checked_in' ? 'Checked In' : 'Booked'}
+            </Text>
+          </View>
+        </View>
+
+        <View style={styles.detailRow}>
+          <Ionicons name="calendar-outline" size={16} color={Colors.gray} style={styles.detailIcon} />
+          <Text style={styles.detailText}>
+            {item.appointment_date} · {formatSlotTime(item.start_time)} - {formatSlotTime(item.end_time)}
+          </Text>
+        </View>
+        {item.service_location && (
+          <View style={styles.detailRow}>
+            <Ionicons name="location-outline" size={16} color={Colors.gray} style={styles.detailIcon} />
+            <Text style={styles.detailText}>{item.service_location}</Text>
+          </View>
+        )}
+
+        {item.status === 'checked_in' && item.queue_entry_id && (
+          <TouchableOpacity
+            style={styles.secondaryButton}
+            onPress={() => navigation.navigate('QueueStatus', { queueId: item.queue_entry_id })}
+            activeOpacity={0.8}
+          >
+            <Ionicons name="ticket-outline" size={18} color={Colors.primary} style={styles.buttonIcon} />
+            <Text style={styles.secondaryButtonText}>View Queue {item.queue_number}</Text>
+          </TouchableOpacity>
+        )}
+
+        {item.status === 'booked' && (
+          <>
+            {!canCheckIn && item.checkIn?.message && (
+              <Text style={styles.checkInHint}>{item.checkIn.message}</Text>
+            )}
+            <View style={styles.actions}>
+              <TouchableOpacity
+                style={[styles.checkInButton, (!canCheckIn || busy) && styles.buttonDisabled]}
+                onPress={() => handleCheckIn(item)}
+                disabled={!canCheckIn || busy}
+                activeOpacity={0.8}
+              >
+                {busy ? (
+                  <ActivityIndicator color="#fff" />
+                ) : (
+                  <>
+                    <Ionicons name="log-in-outline" size={18} color="#fff" style={styles.buttonIcon} />
+                    <Text style={styles.checkInButtonText}>Check In</Text>
+                  </>
+                )}
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.cancelButton, busy && styles.buttonDisabled]}
+                onPress={() => setCancelTarget(item)}
+                disabled={busy}
+                activeOpacity={0.8}
+              >
+                <Text style={styles.cancelButtonText}>Cancel</Text>
+              </TouchableOpacity>
+            </View>
+          </>
+        )}
+      </View>
+    );
+  };
+
+  if (loading && appointments.length === 0) {
+    return <LoadingSpinner message="Loading appointments..." />;
+  }
+
+  return (
+    <View style={styles.container}>
+      {appointments.length === 0 ? (
+        <EmptyState
+          iconName="calendar-outline"
+          iconColor={Colors.gray}
+          title="No Appointments"
+          message="Book an appointment from a service's page and it will appear here."
+        />
+      ) : (
+        <FlatList
+          data={appointments}
+          renderItem={renderAppointment}
+          keyExtractor={(item) => item.id.toString()}
+          contentContainerStyle={styles.list}
+          refreshControl={
+            <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
+          }
+        />
+      )}
+
+      {/* Cancel Confirmation Modal */}
+      <CustomAlert
+        visible={!!cancelTarget}
+        title="Cancel Appointment"
+        message={cancelTarget
+          ? `Cancel your ${formatSlotTime(cancelTarget.start_time)} appointment on ${cancelTarget.appointment_date}?`
+          : ''}
+        type="warning"
+        buttons={[
+          {
+            text: 'Keep',
+            style: 'cancel',
+            onPress: () => setCancelTarget(null),
+          },
+          {
+            text: 'Cancel Appointment',
+            onPress: handleCancelConfirm,
+          },
+        ]}
+        onClose={() => setCancelTarget(null)}
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: Colors.lightGray,
+  },
+  list: {
+    paddingTop: 20,
+  },
+  card: {
+    backgroundColor: Colors.white,
+    borderRadius: 24,
+    padding: 24,
+    marginHorizontal: 20,
+    marginBottom: 18,
+    shadowColor: '#000',
+    shadowOffset: {
+      width: 0,
+      height: 2,
+    },
+    shadowOpacity: 0.08,
+    shadowRadius: 12,
+    elevation: 6,
+    borderWidth: 1,
+    borderColor: '#f5f5f5',
+  },
+  cardHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  serviceName: {
+    flex: 1,
+    fontSize: 18,
+    fontWeight: '700',
+    color: Colors.dark,
+    marginRight: 12,
+  },
+  statusBadge: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 20,
+  },
+  statusText: {
+    color: Colors.white,
+    fontSize: 12,
+    fontWeight: '800',
+    letterSpacing: 0.6,
+  },
+  detailRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 6,
+  },
+  detailIcon: {
+    marginRight: 6,
+  },
+  detailText: {
+    fontSize: 14,
+    color: Colors.textGray,
+    fontWeight: '500',
+  },
+  checkInHint: {
+    fontSize: 13,
+    color: Colors.textGray,
+    marginTop: 10,
+    lineHeight: 18,
+  },
+  actions: {
+    flexDirection: 'row',
+    marginTop: 14,
+  },
+  checkInButton: {
+    flex: 1,
+    backgroundColor: Colors.primary,
+    borderRadius: 14,
+    paddingVertical: 14,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginRight: 10,
+  },
+  checkInButtonText: {
+    color: Colors.white,
+    fontSize: 16,
+    fontWeight: '700',
+  },
+  cancelButton: {
+    borderRadius: 14,
+    paddingVertical: 14,
+    paddingHorizontal: 20,
+    borderWidth: 1.5,
+    borderColor: Colors.danger,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  cancelButtonText: {
+    color: Colors.danger,
+    fontSize: 15,
+    fontWeight: '700',
+  },
+  secondaryButton: {
+    borderRadius: 14,
+    paddingVertical: 12,
+    borderWidth: 1.5,
+    borderColor: Colors.primary,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginTop: 14,
+  },
+  secondaryButtonText: {
+    color: Colors.primary,
+    fontSize: 15,
+    fontWeight: '700',
+  },
+  buttonIcon: {
+    marginRight: 8,
+  },
+  buttonDisabled: {
+    opacity: 0.6,
+  },
+});
+
+export default MyAppointmentsScreen;
@@ -0,0 +1,276 @@
+import React, { useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  ActivityIndicator,
+  RefreshControl,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useAuth } from '../../context/AuthContext';
+import {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+} from '../../services/inbox';
+import { connectSocket, joinUserRoom, onQueueCalled, offQueueCalled } from '../../services/socket';
+import LoadingSpinner from '../../components/LoadingSpinner';
+import EmptyState from '../../components/EmptyState';
+import { showError } from '../../utils/errorHandler';
+import { Colors } from '../../constants/colors';
+
+const TYPE_ICONS = {
+  called: 'megaphone',
+  approaching: 'hourglass',
+  queue_ready: 'checkmark-circle',
+  system: 'information-circle',
+  general: 'notifications',
+};
+
+/**
+ * Notifications Screen
+ * Inbox of queue updates, including ones sent while the app was closed
+ */
+const NotificationsScreen = ({ navigation }) => {
+  const { user } = useAuth();
+  const [entries, setEntries] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [page, setPage] = useState(1);
+  const [hasMore, setHasMore] = useState(true);
+
+  useEffect(() => {
+    loadNotifications();
+    connectSocket();
+
+    if (user?.id) {
+      joinUserRoom(user.id);
+    }
+
+    // New events are stored before they are sent, so reload the first page
+    const handleQueueCalled = () => {
+      setPage(1);
+      loadNotifications(1);
+    };
+
+    onQueueCalled(handleQueueCalled);
+
+    return () => {
+      offQueueCalled(handleQueueCalled);
+    };
+  }, [user?.id]);
+
+  const loadNotifications = async (pageNum = 1) => {
+    try {
+      const response = await getNotifications(pageNum, 20);
+      if (response.success) {
+        if (pageNum === 1) {
+          setEntries(response.data.entries || []);
+        } else {
+          setEntries((prev) => [...prev, ...(response.data.entries || [])]);
+        }
+        setUnreadCount(response.data.unreadCount || 0);
+        setHasMore(response.data.pagination.page < response.data.pagination.totalPages);
+      } else {
+        showError(response.error || { message: 'Failed to load notifications' });
+      }
+    } catch (error) {
+      showError(error, 'Failed to Load Notifications');
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  };
+
+  const onRefresh = () => {
+    setRefreshing(true);
+    setPage(1);
+    loadNotifications(1);
+  };
+
+  const loadMore = () => {
+    if (!loading && hasMore) {
+      const nextPage = page + 1;
+      setPage(nextPage);
+      loadNotifications(nextPage);
+    }
+  };
+
+  const handleOpen = async (item) => {
+    if (!item.is_read) {
+      try {
+        const response = await markNotificationRead(item.id);
+        if (response.success) {
+          setEntries((prev) => prev.map((entry) => (
+            entry.id === item.id ? response.data.notification : entry
+          )));
+          setUnreadCount(response.data.unreadCount);
+        }
+      } catch (error) {
+        showError(error, 'Failed to Update Notification');
+      }
+    }
+
+    if (item.queue_entry_id) {
+      navigation.navigate('QueueStatus', { queueId: item.queue_entry_id });
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      const response = await markAllNotificationsRead();
+      if (response.success) {
+        setEntries((prev) => prev.map((entry) => ({ ...entry, is_read: true })));
+        setUnreadCount(0);
+      }
+    } catch (error) {
+      showError(error, 'Failed to Update Notifications');
+    }
+  };
+
+  const renderEntry = ({ item }) => (
+    <TouchableOpacity
+      style={[styles.entry, !item.is_read && styles.entryUnread]}
+      onPress={() => handleOpen(item)}
+      activeOpacity={0.7}
+    >
+      <Ionicons
+        name={TYPE_ICONS[item.type] || TYPE_ICONS.general}
+        size={26}
+        color={item.is_read ? Colors.gray : Colors.primary}
+        style={styles.entryIcon}
+      />
+      <View style={styles.entryBody}>
+        <Text style={[styles.entryTitle, !item.is_read && styles.entryTitleUnread]}>{item.title}</Text>
+        <Text style={styles.entryMessage}>{item.message}</Text>
+        <Text style={styles.entryMeta}>{new Date(item.sent_at).toLocaleString()}</Text>
+      </View>
+      {!item.is_read && <View style={styles.unreadDot} />}
+    </TouchableOpacity>
+  );
+
+  if (loading && entries.length === 0) {
+    return <LoadingSpinner message="Loading notifications..." />;
+  }
+
+  return (
+    <View style={styles.container}>
+      {entries.length === 0 ? (
+        <EmptyState
+          iconName="notifications-outline"
+          iconColor={Colors.gray}
+          title="No Notifications"
+          message="Updates about your queues will appear here."
+        />
+      ) : (
+        <FlatList
+          data={entries}
+          renderItem={renderEntry}
+          keyExtractor={(item) => item.id.toString()}
+          contentContainerStyle={styles.list}
+          ListHeaderComponent={
+            <View style={styles.listHeader}>
+              <Text style={styles.hint}>
+                {unreadCount > 0 ? `${unreadCount} unread` : "You're all caught up"}
+              </Text>
+              {unreadCount > 0 && (
+                <TouchableOpacity onPress={handleMarkAllRead} activeOpacity={0.7}>
+                  <Text style={styles.markAllText}>Mark all as read</Text>
+                </TouchableOpacity>
+              )}
+            </View>
+          }
+          refreshControl={
+            <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
+          }
+          onEndReached={loadMore}
+          onEndReachedThreshold={0.5}
+          ListFooterComponent={
+            loading ? (
+              <ActivityIndicator size="small" color={Colors.primary} />
+            ) : null
+          }
+        />
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: Colors.lightGray,
+  },
+  list: {
+    paddingVertical: 20,
+  },
+  listHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginHorizontal: 20,
+    marginBottom: 16,
+  },
+  hint: {
+    fontSize: 14,
+    color: Colors.textGray,
+    fontWeight: '500',
+  },
+  markAllText: {
+    fontSize: 14,
+    color: Colors.primary,
+    fontWeight: '700',
+  },
+  entry: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: Colors.white,
+    borderRadius: 18,
+    padding: 18,
+    marginHorizontal: 20,
+    marginBottom: 12,
+    borderWidth: 1,
+    borderColor: '#f5f5f5',
+  },
+  entryUnread: {
+    borderColor: Colors.primaryLight,
+  },
+  entryIcon: {
+    marginRight: 14,
+  },
+  entryBody: {
+    flex: 1,
+  },
+  entryTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: Colors.dark,
+    marginBottom: 4,
+  },
+  entryTitleUnread: {
+    fontWeight: '800',
+  },
+  entryMessage: {
+    fontSize: 14,
+    color: Colors.textGray,
+    lineHeight: 20,
+    marginBottom: 6,
+  },
+  entryMeta: {
+    fontSize: 13,
+    color: Colors.gray,
+    fontWeight: '400',
+  },
+  unreadDot: {
+    width: 10,
+    height: 10,
+    borderRadius: 5,
+    backgroundColor: Colors.primary,
+    marginLeft: 10,
+  },
+});
+
+export default NotificationsScreen;
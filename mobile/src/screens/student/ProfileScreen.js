@@ -5,20 +5,175 @@ import {
   StyleSheet,
   TouchableOpacity,
   ScrollView,
+  Switch,
+  ActivityIndicator,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { useAuth } from '../../context/AuthContext';
-import { logout } from '../../services/auth';
+import {
+  logout,
+  logoutAllDevices,
+  getNotificationPreferences,
+  updateNotificationPreferences,
+} from '../../services/auth';
 import CustomAlert from '../../components/CustomAlert';
+import { showError } from '../../utils/errorHandler';
 import { Colors } from '../../constants/colors';
 
+const CHANNEL_SHORT_LABELS = {
+  push: 'Push',
+  email: 'Email',
+  sms: 'SMS',
+};
+
 /**
  * Profile Screen
- * Shows user profile and logout option
+ * Shows user profile, notification settings and logout option
  */
 const ProfileScreen = ({ navigation }) => {
   const { user, logout: logoutUser } = useAuth();
   const [showLogoutConfirm, setShowLogoutConfirm] = React.useState(false);
+  const [showLogoutAllConfirm, setShowLogoutAllConfirm] = React.useState(false);
+  const [notificationSettings, setNotificationSettings] = React.useState(null);
+  const [loadingNotificationSettings, setLoadingNotificationSettings] = React.useState(true);
+
+  React.useEffect(() => {
+    loadNotificationSettings();
+  }, []);
+
+  const loadNotificationSettings = async () => {
+    try {
+      const response = await getNotificationPreferences();
+      if (response.success) {
+        setNotificationSettings(response.data);
+      }
+    } catch (error) {
+      // The section shows a retry link instead
+    } finally {
+      setLoadingNotificationSettings(false);
+    }
+  };
+
+  // Flip one switch right away and put it back if saving fails
+  const saveNotificationChange = async (changes, applyLocally) => {
+    const previous = notificationSettings;
+    setNotificationSettings({ ...previous, preferences: applyLocally(previous.preferences) });
+
+    try {
+      const response = await updateNotificationPreferences(changes);
+      if (response.success) {
+        setNotificationSettings(response.data);
+      }
+    } catch (error) {
+      setNotificationSettings(previous);
+      showError(error, 'Could Not Save');
+    }
+  };
+
+  const toggleChannel = (channel, value) => {
+    saveNotificationChange(
+      { channels: { [channel]: value } },
+      (preferences) => ({ ...preferences, channels: { ...preferences.channels, [channel]: value } })
+    );
+  };
+
+  const toggleEventChannel = (event, channel, value) => {
+    saveNotificationChange(
+      { events: { [event]: { [channel]: value } } },
+      (preferences) => ({
+        ...preferences,
+        events: {
+          ...preferences.events,
+          [event]: { ...preferences.events[event], [channel]: value },
+        },
+      })
+    );
+  };
+
+  const renderNotificationSettings = () => {
+    if (loadingNotificationSettings) {
+      return <ActivityIndicator color={Colors.primary} style={styles.settingsLoader} />;
+    }
+
+    if (!notificationSettings) {
+      return (
+        <TouchableOpacity
+          onPress={() => {
+            setLoadingNotificationSettings(true);
+            loadNotificationSettings();
+          }}
+          activeOpacity={0.8}
+        >
+          <Text style={styles.settingsError}>Could not load notification settings. Tap to retry.</Text>
+        </TouchableOpacity>
+      );
+    }
+
+    const { preferences, channels, events } = notificationSettings;
+    const channelUsable = (key) => {
+      const channel = channels.find((item) => item.key === key);
+      return !!channel?.available && preferences.channels[key];
+    };
+
+    return (
+      <>
+        {channels.map((channel) => (
+          <View key={channel.key} style={styles.settingRow}>
+            <View style={styles.settingTextContainer}>
+              <Text style={styles.settingLabel}>{channel.label}</Text>
+              {!channel.available && (
+                <Text style={styles.settingHint}>
+                  {channel.key === 'sms' && !user?.phone_number
+                    ? 'Add a phone number to your account to get SMS'
+                    : 'Not offered right now'}
+                </Text>
+              )}
+            </View>
+            <Switch
+              value={channel.available && preferences.channels[channel.key]}
+              onValueChange={(value) => toggleChannel(channel.key, value)}
+              disabled={!channel.available}
+              trackColor={{ false: Colors.borderGray, true: Colors.primaryLight }}
+              thumbColor={Colors.white}
+            />
+          </View>
+        ))}
+
+        <Text style={styles.settingsSubheading}>Alert me when</Text>
+        {events.map((event, index) => (
+          <View
+            key={event.key}
+            style={[styles.eventRow, index === events.length - 1 && styles.lastDetailRow]}
+          >
+            <Text style={styles.eventLabel}>{event.label}</Text>
+            <View style={styles.eventChannels}>
+              {event.channels.map((key) => {
+                const usable = channelUsable(key);
+                const selected = usable && preferences.events[event.key]?.[key] !== false;
+                return (
+                  <TouchableOpacity
+                    key={key}
+                    style={[
+                      styles.channelChip,
+                      selected && styles.channelChipSelected,
+                      !usable && styles.channelChipDisabled,
+                    ]}
+                    onPress={() => toggleEventChannel(event.key, key, !selected)}
+                    disabled={!usable}
+                    activeOpacity={0.8}
+                  >
+                    <Text style={[styles.channelChipText, selected && styles.channelChipTextSelected]}>
+                      {CHANNEL_SHORT_LABELS[key] || key}
+                    </Text>
+                  </TouchableOpacity>
+                );
+              })}
+            </View>
+          </View>
+        ))}
+      </>
+    );
+  };
 
   const handleLogout = () => {
     setShowLogoutConfirm(true);
@@ -30,6 +185,16 @@ const ProfileScreen = ({ navigation }) => {
     logoutUser();
   };
 
+  const handleLogoutAllConfirm = async () => {
+    setShowLogoutAllConfirm(false);
+    try {
+      await logoutAllDevices();
+      logoutUser();
+    } catch (error) {
+      showError(error, 'Logout Failed');
+    }
+  };
+
   return (
     <ScrollView style={styles.container}>
       <View style={styles.content}>
@@ -74,6 +239,18 @@ const ProfileScreen = ({ navigation }) => {
             <Text style={styles.detailValue}>{user?.email}</Text>
           </View>
 
+          {!user?.email_verified_at && (
+            <TouchableOpacity
+              style={styles.verifyRow}
+              onPress={() => navigation.navigate('VerifyEmail')}
+              activeOpacity={0.8}
+            >
+              <Ionicons name="alert-circle-outline" size={20} color={Colors.warning} style={styles.detailIcon} />
+              <Text style={styles.verifyText}>Email not verified. Tap to verify.</Text>
+              <Ionicons name="chevron-forward" size={18} color={Colors.gray} />
+            </TouchableOpacity>
+          )}
+
           <View style={[styles.detailRow, styles.lastDetailRow]}>
             <View style={styles.detailLabelContainer}>
               <Ionicons name="person-outline" size={20} color={Colors.gray} style={styles.detailIcon} />
@@ -85,11 +262,48 @@ const ProfileScreen = ({ navigation }) => {
           </View>
         </View>
 
+        {/* Notification Settings */}
+        <View style={styles.detailsCard}>
+          <View style={styles.settingsHeader}>
+            <Ionicons name="notifications-outline" size={20} color={Colors.dark} style={styles.detailIcon} />
+            <Text style={styles.settingsTitle}>Notifications</Text>
+          </View>
+          {renderNotificationSettings()}
+        </View>
+
+        <TouchableOpacity
+          style={styles.actionRow}
+          onPress={() => navigation.navigate('ChangePassword')}
+          activeOpacity={0.8}
+        >
+          <Ionicons name="key-outline" size={20} color={Colors.dark} style={styles.detailIcon} />
+          <Text style={styles.actionText}>Change Password</Text>
+          <Ionicons name="chevron-forward" size={18} color={Colors.gray} />
+        </TouchableOpacity>
+
+        <TouchableOpacity
+          style={styles.actionRow}
+          onPress={() => navigation.navigate('LoginHistory')}
+          activeOpacity={0.8}
+        >
+          <Ionicons name="time-outline" size={20} color={Colors.dark} style={styles.detailIcon} />
+          <Text style={styles.actionText}>Login Activity</Text>
+          <Ionicons name="chevron-forward" size={18} color={Colors.gray} />
+        </TouchableOpacity>
+
         {/* Logout Button */}
         <TouchableOpacity style={styles.logoutButton} onPress={handleLogout} activeOpacity={0.8}>
           <Ionicons name="log-out-outline" size={22} color="#fff" style={styles.logoutIcon} />
           <Text style={styles.logoutButtonText}>Logout</Text>
         </TouchableOpacity>
+
+        <TouchableOpacity
+          style={styles.logoutAllButton}
+          onPress={() => setShowLogoutAllConfirm(true)}
+          activeOpacity={0.8}
+        >
+          <Text style={styles.logoutAllButtonText}>Logout from all devices</Text>
+        </TouchableOpacity>
       </View>
 
       {/* Logout Confirmation Modal */}
@@ -112,6 +326,26 @@ const ProfileScreen = ({ navigation }) => {
         ]}
         onClose={() => setShowLogoutConfirm(false)}
       />
+
+      <CustomAlert
+        visible={showLogoutAllConfirm}
+        title="Logout Everywhere"
+        message="This signs you out on every phone and browser, including this one."
+        type="warning"
+        buttons={[
+          {
+            text: 'Cancel',
+            style: 'cancel',
+            onPress: () => setShowLogoutAllConfirm(false),
+          },
+          {
+            text: 'Logout All',
+            style: 'destructive',
+            onPress: handleLogoutAllConfirm,
+          },
+        ]}
+        onClose={() => setShowLogoutAllConfirm(false)}
+      />
     </ScrollView>
   );
 };
@@ -222,6 +456,122 @@ const styles = StyleSheet.create({
     maxWidth: '60%',
     textAlign: 'right',
   },
+  verifyRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f5f5f5',
+  },
+  verifyText: {
+    flex: 1,
+    fontSize: 15,
+    color: Colors.warning,
+    fontWeight: '600',
+  },
+  settingsHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  settingsTitle: {
+    fontSize: 18,
+    fontWeight: '700',
+    color: Colors.dark,
+  },
+  settingsLoader: {
+    paddingVertical: 16,
+  },
+  settingsError: {
+    fontSize: 15,
+    color: Colors.danger,
+    fontWeight: '600',
+    paddingVertical: 12,
+  },
+  settingRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 14,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f5f5f5',
+  },
+  settingTextContainer: {
+    flex: 1,
+    marginRight: 12,
+  },
+  settingLabel: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: Colors.dark,
+  },
+  settingHint: {
+    fontSize: 13,
+    color: Colors.gray,
+    marginTop: 2,
+  },
+  settingsSubheading: {
+    fontSize: 14,
+    fontWeight: '700',
+    color: Colors.textGray,
+    textTransform: 'uppercase',
+    letterSpacing: 0.5,
+    marginTop: 20,
+    marginBottom: 4,
+  },
+  eventRow: {
+    paddingVertical: 14,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f5f5f5',
+  },
+  eventLabel: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: Colors.dark,
+    marginBottom: 10,
+  },
+  eventChannels: {
+    flexDirection: 'row',
+  },
+  channelChip: {
+    paddingVertical: 6,
+    paddingHorizontal: 14,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: Colors.borderGray,
+    marginRight: 8,
+  },
+  channelChipSelected: {
+    backgroundColor: Colors.primary,
+    borderColor: Colors.primary,
+  },
+  channelChipDisabled: {
+    opacity: 0.4,
+  },
+  channelChipText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: Colors.textGray,
+  },
+  channelChipTextSelected: {
+    color: Colors.white,
+  },
+  actionRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: Colors.white,
+    borderRadius: 18,
+    padding: 20,
+    marginBottom: 16,
+    borderWidth: 1,
+    borderColor: '#f5f5f5',
+  },
+  actionText: {
+    flex: 1,
+    fontSize: 16,
+    fontWeight: '600',
+    color: Colors.dark,
+  },
   logoutButton: {
     backgroundColor: Colors.danger,
     borderRadius: 14,
@@ -247,6 +597,16 @@ const styles = StyleSheet.create({
     fontSize: 18,
     fontWeight: '700',
   },
+  logoutAllButton: {
+    alignItems: 'center',
+    padding: 16,
+    marginTop: 8,
+  },
+  logoutAllButtonText: {
+    color: Colors.danger,
+    fontSize: 16,
+    fontWeight: '600',
+  },
 });
 
 export default ProfileScreen;
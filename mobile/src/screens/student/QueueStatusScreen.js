@@ -9,7 +9,7 @@ import {
   RefreshControl,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
-import { getQueueStatus, cancelQueue } from '../../services/queue';
+import { getQueueStatus, cancelQueue, rejoinQueue } from '../../services/queue';
 import {
   connectSocket,
   joinUserRoom,
@@ -19,13 +19,14 @@ import {
   offQueueUpdate,
 } from '../../services/socket';
 import { useAuth } from '../../context/AuthContext';
-import { notifyQueueCalled, notifyQueueCompleted } from '../../services/notifications';
+import { notifyQueueCalled, notifyQueueApproaching, notifyQueueCompleted } from '../../services/notifications';
 import LoadingSpinner from '../../components/LoadingSpinner';
 import EmptyState from '../../components/EmptyState';
 import CustomAlert from '../../components/CustomAlert';
 import { showError } from '../../utils/errorHandler';
 import { Colors } from '../../constants/colors';
 import { toast } from '../../components/Toast';
+import { PRIORITY_LABELS } from '../../constants/priority';
 
 /**
  * Queue Status Screen
@@ -38,6 +39,7 @@ const QueueStatusScreen = ({ route, navigation }) => {
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
   const [showCancelConfirm, setShowCancelConfirm] = useState(false);
+  const [rejoining, setRejoining] = useState(false);
 
   useEffect(() => {
     loadQueueStatus();
@@ -62,10 +64,14 @@ const QueueStatusScreen = ({ route, navigation }) => {
         
         // Show toast notification
         toast.success(data.message || `Thank you for waiting! Your service for queue ${data.queueNumber} has been completed.`);
+      } else if (data.type === 'queue_approaching') {
+        // Turn is coming up
+        await notifyQueueApproaching(data.queueNumber, data.message);
+        toast.info(data.message);
       } else if (data.counterNumber) {
         // Queue called notification
         // Show push notification
-        await notifyQueueCalled(data.queueNumber, data.counterNumber, data.counterName);
+        await notifyQueueCalled(data.queueNumber, data.counterNumber, data.counterName, data.type);
         
         // Show toast notification
         toast.success(`Your queue ${data.queueNumber} has been called to Counter ${data.counterNumber}! Please proceed to the counter.`);
@@ -85,6 +91,12 @@ const QueueStatusScreen = ({ route, navigation }) => {
     };
   }, [queueId, user?.id, queue?.queueNumber]);
 
+  // Pick up the check-in made on the scanner screen
+  useEffect(() => {
+    const unsubscribe = navigation.addListener('focus', loadQueueStatus);
+    return unsubscribe;
+  }, [navigation, queueId]);
+
   const loadQueueStatus = async () => {
     try {
       const response = await getQueueStatus(queueId);
@@ -125,6 +137,23 @@ const QueueStatusScreen = ({ route, navigation }) => {
     }
   };
 
+  const handleRejoin = async () => {
+    setRejoining(true);
+    try {
+      const response = await rejoinQueue(queueId);
+      if (response.success) {
+        toast.success(`Queue ${response.data.queueNumber} is back in line`);
+        loadQueueStatus();
+      } else {
+        showError(response.error || { message: 'Failed to rejoin queue' });
+      }
+    } catch (error) {
+      showError(error, 'Failed to Rejoin Queue');
+    } finally {
+      setRejoining(false);
+    }
+  };
+
   const getStatusColor = (status) => {
     switch (status) {
       case 'waiting':
@@ -135,6 +164,8 @@ const QueueStatusScreen = ({ route, navigation }) => {
         return '#28a745';
       case 'completed':
         return '#6c757d';
+      case 'skipped':
+        return '#f59e0b';
       case 'cancelled':
         return '#dc3545';
       default:
@@ -175,6 +206,18 @@ const QueueStatusScreen = ({ route, navigation }) => {
         <View style={styles.queueCard}>
           <Text style={styles.queueLabel}>Queue Number</Text>
           <Text style={styles.queueNumber}>{queue.queueNumber}</Text>
+          {queue.priorityCategory && (
+            <View style={styles.priorityBadge}>
+              <Text style={styles.priorityBadgeText}>
+                Priority • {PRIORITY_LABELS[queue.priorityCategory] || queue.priorityCategory}
+              </Text>
+            </View>
+          )}
+          {queue.appointmentId && (
+            <View style={styles.priorityBadge}>
+              <Text style={styles.priorityBadgeText}>Appointment</Text>
+            </View>
+          )}
         </View>
 
         {/* Status Card */}
@@ -225,6 +268,30 @@ const QueueStatusScreen = ({ route, navigation }) => {
           )}
         </View>
 
+        {/* On-site Check-in */}
+        {queue.status === 'waiting' && queue.requiresCheckIn && (
+          queue.checkedInAt ? (
+            <View style={styles.checkedInNotice}>
+              <Ionicons name="checkmark-circle" size={20} color={Colors.success} style={styles.cancelIcon} />
+              <Text style={styles.checkedInText}>Checked in. You will be called when it is your turn.</Text>
+            </View>
+          ) : (
+            <>
+              <Text style={styles.skippedNotice}>
+                This service requires on-site check-in. Scan the QR code on the display board when you arrive. You will not be called until you check in.
+              </Text>
+              <TouchableOpacity
+                style={styles.checkInButton}
+                onPress={() => navigation.navigate('CheckInScanner', { queueId })}
+                activeOpacity={0.8}
+              >
+                <Ionicons name="qr-code-outline" size={22} color="#fff" style={styles.cancelIcon} />
+                <Text style={styles.cancelButtonText}>Scan Check-in Code</Text>
+              </TouchableOpacity>
+            </>
+          )
+        )}
+
         {/* Cancel Button */}
         {queue.status === 'waiting' && (
           <TouchableOpacity
@@ -236,6 +303,30 @@ const QueueStatusScreen = ({ route, navigation }) => {
             <Text style={styles.cancelButtonText}>Cancel Queue</Text>
           </TouchableOpacity>
         )}
+
+        {/* Rejoin Button (skipped / no-show) */}
+        {queue.status === 'skipped' && (
+          <>
+            <Text style={styles.skippedNotice}>
+              You were not at the counter when your number was called. You can rejoin the line for a short time.
+            </Text>
+            <TouchableOpacity
+              style={[styles.rejoinButton, rejoining && styles.buttonDisabled]}
+              onPress={handleRejoin}
+              disabled={rejoining}
+              activeOpacity={0.8}
+            >
+              {rejoining ? (
+                <ActivityIndicator color="#fff" />
+              ) : (
+                <>
+                  <Ionicons name="refresh-circle-outline" size={22} color="#fff" style={styles.cancelIcon} />
+                  <Text style={styles.cancelButtonText}>Rejoin Queue</Text>
+                </>
+              )}
+            </TouchableOpacity>
+          </>
+        )}
       </View>
 
       {/* Cancel Queue Confirmation Modal */}
@@ -305,6 +396,18 @@ const styles = StyleSheet.create({
     letterSpacing: 4,
     lineHeight: 80,
   },
+  priorityBadge: {
+    marginTop: 12,
+    paddingHorizontal: 14,
+    paddingVertical: 6,
+    borderRadius: 14,
+    backgroundColor: 'rgba(255, 255, 255, 0.2)',
+  },
+  priorityBadgeText: {
+    color: Colors.white,
+    fontSize: 14,
+    fontWeight: '700',
+  },
   statusCard: {
     backgroundColor: Colors.white,
     borderRadius: 16,
@@ -401,6 +504,60 @@ const styles = StyleSheet.create({
   cancelIcon: {
     marginRight: 12,
   },
+  skippedNotice: {
+    fontSize: 15,
+    color: Colors.textGray,
+    textAlign: 'center',
+    lineHeight: 22,
+    marginTop: 8,
+  },
+  checkInButton: {
+    backgroundColor: Colors.primary,
+    borderRadius: 18,
+    paddingVertical: 20,
+    paddingHorizontal: 24,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginTop: 16,
+  },
+  checkedInNotice: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: Colors.white,
+    borderRadius: 16,
+    padding: 16,
+    marginBottom: 16,
+    borderWidth: 1,
+    borderColor: Colors.success,
+  },
+  checkedInText: {
+    flex: 1,
+    fontSize: 14,
+    color: Colors.dark,
+    fontWeight: '600',
+  },
+  rejoinButton: {
+    backgroundColor: Colors.warning,
+    borderRadius: 18,
+    paddingVertical: 20,
+    paddingHorizontal: 24,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginTop: 16,
+    shadowColor: Colors.warning,
+    shadowOffset: {
+      width: 0,
+      height: 8,
+    },
+    shadowOpacity: 0.4,
+    shadowRadius: 12,
+    elevation: 12,
+  },
+  buttonDisabled: {
+    opacity: 0.6,
+  },
   cancelButtonText: {
     color: Colors.white,
     fontSize: 18,
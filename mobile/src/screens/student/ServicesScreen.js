@@ -17,6 +17,8 @@ import CustomAlert from '../../components/CustomAlert';
 import { showError } from '../../utils/errorHandler';
 import { Colors } from '../../constants/colors';
 import { toast } from '../../components/Toast';
+import { PRIORITY_LABELS, PRIORITY_OPTIONS } from '../../constants/priority';
+import { getJoinState } from '../../utils/queueAvailability';
 
 /**
  * Services Screen
@@ -25,10 +27,12 @@ import { toast } from '../../components/Toast';
 const ServicesScreen = ({ route, navigation }) => {
   const { serviceId } = route.params;
   const [service, setService] = useState(null);
+  const [userQueueLimit, setUserQueueLimit] = useState(null);
   const [queueStatus, setQueueStatus] = useState(null);
   const [loading, setLoading] = useState(true);
   const [requesting, setRequesting] = useState(false);
   const [showRequestConfirm, setShowRequestConfirm] = useState(false);
+  const [priorityCategory, setPriorityCategory] = useState(null);
 
   useEffect(() => {
     loadServiceData();
@@ -49,6 +53,7 @@ const ServicesScreen = ({ route, navigation }) => {
 
       if (serviceResponse.success) {
         setService(serviceResponse.data);
+        setUserQueueLimit(serviceResponse.userQueueLimit || null);
       } else {
         showError(serviceResponse.error || { message: 'Failed to load service' });
       }
@@ -71,7 +76,7 @@ const ServicesScreen = ({ route, navigation }) => {
     setShowRequestConfirm(false);
     setRequesting(true);
     try {
-      const response = await requestQueue(serviceId);
+      const response = await requestQueue(serviceId, priorityCategory);
       if (response.success) {
         toast.success(`Queue Number: ${response.data.queueNumber}`);
         // Navigate to queue status after a short delay
@@ -85,6 +90,8 @@ const ServicesScreen = ({ route, navigation }) => {
       }
     } catch (error) {
       showError(error, 'Failed to Request Queue');
+      // The service may have closed or filled up since it was loaded
+      loadServiceData();
     } finally {
       setRequesting(false);
     }
@@ -107,6 +114,8 @@ const ServicesScreen = ({ route, navigation }) => {
     );
   }
 
+  const joinState = getJoinState(service, userQueueLimit);
+
   return (
     <ScrollView style={styles.container}>
       <View style={styles.content}>
@@ -163,11 +172,49 @@ const ServicesScreen = ({ route, navigation }) => {
           </View>
         )}
 
+        {/* Priority Lane */}
+        {service.enable_priority_queue && (
+          <View style={styles.prioritySection}>
+            <Text style={styles.sectionTitle}>Priority Lane</Text>
+            <Text style={styles.priorityHint}>
+              For PWDs, senior citizens, and pregnant students. Staff may ask for proof at the counter.
+            </Text>
+            <View style={styles.priorityOptions}>
+              {[{ value: null, label: 'Regular' }, ...PRIORITY_OPTIONS].map((option) => {
+                const selected = priorityCategory === option.value;
+                return (
+                  <TouchableOpacity
+                    key={option.label}
+                    style={[styles.priorityChip, selected && styles.priorityChipSelected]}
+                    onPress={() => setPriorityCategory(option.value)}
+                    activeOpacity={0.8}
+                  >
+                    <Text style={[styles.priorityChipText, selected && styles.priorityChipTextSelected]}>
+                      {option.label}
+                    </Text>
+                  </TouchableOpacity>
+                );
+              })}
+            </View>
+          </View>
+        )}
+
+        {/* Queue availability */}
+        {!joinState.canJoin && (
+          <View style={[styles.unavailableCard, { borderColor: joinState.color }]}>
+            <Ionicons name="alert-circle-outline" size={22} color={joinState.color} style={styles.unavailableIcon} />
+            <View style={styles.unavailableContent}>
+              <Text style={[styles.unavailableTitle, { color: joinState.color }]}>{joinState.label}</Text>
+              <Text style={styles.unavailableMessage}>{joinState.message}</Text>
+            </View>
+          </View>
+        )}
+
         {/* Request Queue Button */}
         <TouchableOpacity
-          style={[styles.requestButton, requesting && styles.buttonDisabled]}
+          style={[styles.requestButton, (requesting || !joinState.canJoin) && styles.buttonDisabled]}
           onPress={handleRequestQueue}
-          disabled={requesting}
+          disabled={requesting || !joinState.canJoin}
           activeOpacity={0.8}
         >
           {requesting ? (
@@ -179,13 +226,30 @@ const ServicesScreen = ({ route, navigation }) => {
             </>
           )}
         </TouchableOpacity>
+
+        {/* Book Appointment Button */}
+        {service.accepts_appointments && (
+          <TouchableOpacity
+            style={styles.appointmentButton}
+            onPress={() => navigation.navigate('BookAppointment', {
+              serviceId: service.id,
+              serviceName: service.name,
+            })}
+            activeOpacity={0.8}
+          >
+            <Ionicons name="calendar-outline" size={22} color={Colors.primary} style={styles.buttonIcon} />
+            <Text style={styles.appointmentButtonText}>Book an Appointment</Text>
+          </TouchableOpacity>
+        )}
       </View>
 
       {/* Request Queue Confirmation Modal */}
       <CustomAlert
         visible={showRequestConfirm}
         title="Request Queue"
-        message={`Request a queue number for ${service?.name}?`}
+        message={priorityCategory
+          ? `Request a priority (${PRIORITY_LABELS[priorityCategory]}) queue number for ${service?.name}?`
+          : `Request a queue number for ${service?.name}?`}
         type="info"
         buttons={[
           {
@@ -348,6 +412,67 @@ const styles = StyleSheet.create({
     color: Colors.textGray,
     fontWeight: '500',
   },
+  prioritySection: {
+    marginBottom: 20,
+  },
+  priorityHint: {
+    fontSize: 14,
+    color: Colors.textGray,
+    marginBottom: 14,
+    lineHeight: 20,
+  },
+  priorityOptions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  priorityChip: {
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    borderRadius: 20,
+    borderWidth: 1,
+    borderColor: Colors.borderGray,
+    backgroundColor: Colors.white,
+    marginRight: 10,
+    marginBottom: 10,
+  },
+  priorityChipSelected: {
+    backgroundColor: Colors.info,
+    borderColor: Colors.info,
+  },
+  priorityChipText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: Colors.textGray,
+  },
+  priorityChipTextSelected: {
+    color: Colors.white,
+  },
+  unavailableCard: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    backgroundColor: Colors.white,
+    borderWidth: 1,
+    borderRadius: 16,
+    padding: 16,
+    marginBottom: 16,
+  },
+  unavailableIcon: {
+    marginRight: 12,
+    marginTop: 1,
+  },
+  unavailableContent: {
+    flex: 1,
+  },
+  unavailableTitle: {
+    fontSize: 16,
+    fontWeight: '700',
+    marginBottom: 4,
+  },
+  unavailableMessage: {
+    fontSize: 14,
+    color: Colors.textGray,
+    lineHeight: 20,
+  },
   requestButton: {
     backgroundColor: Colors.primary,
     borderRadius: 18,
@@ -377,6 +502,23 @@ const styles = StyleSheet.create({
     fontSize: 18,
     fontWeight: '700',
   },
+  appointmentButton: {
+    backgroundColor: Colors.white,
+    borderRadius: 18,
+    paddingVertical: 20,
+    paddingHorizontal: 24,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginTop: 14,
+    borderWidth: 2.5,
+    borderColor: Colors.primary,
+  },
+  appointmentButtonText: {
+    color: Colors.primary,
+    fontSize: 17,
+    fontWeight: '700',
+  },
 });
 
 export default ServicesScreen;
@@ -0,0 +1,189 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  ActivityIndicator,
+  KeyboardAvoidingView,
+  Platform,
+  ScrollView,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useAuth } from '../../context/AuthContext';
+import { verifyEmail, resendVerificationEmail } from '../../services/auth';
+import { showError } from '../../utils/errorHandler';
+import { Colors } from '../../constants/colors';
+import { toast } from '../../components/Toast';
+
+/**
+ * Verify Email Screen
+ * Confirms the email address with the code sent at registration
+ */
+const VerifyEmailScreen = ({ navigation }) => {
+  const { user, updateUser } = useAuth();
+  const [code, setCode] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [resending, setResending] = useState(false);
+
+  const handleVerify = async () => {
+    if (code.length !== 6) {
+      toast.error('Please enter the 6-digit code');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await verifyEmail(code);
+
+      if (response.success) {
+        updateUser(response.data);
+        toast.success('Email verified');
+        navigation.goBack();
+      } else {
+        showError(response.error || { message: 'Could not verify email' });
+      }
+    } catch (error) {
+      showError(error, 'Verification Failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleResend = async () => {
+    setResending(true);
+    try {
+      const response = await resendVerificationEmail();
+      if (response.success) {
+        toast.success(response.message || 'Verification code sent');
+      }
+    } catch (error) {
+      showError(error);
+    } finally {
+      setResending(false);
+    }
+  };
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+    >
+      <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+        <View style={styles.header}>
+          <View style={styles.iconContainer}>
+            <Ionicons name="mail-unread-outline" size={44} color={Colors.primary} />
+          </View>
+          <Text style={styles.subtitle}>
+            Enter the 6-digit code we sent to{'\n'}
+            <Text style={styles.email}>{user?.email}</Text>
+          </Text>
+        </View>
+
+        <TextInput
+          style={styles.codeInput}
+          placeholder="000000"
+          placeholderTextColor={Colors.gray}
+          value={code}
+          onChangeText={(value) => setCode(value.replace(/[^0-9]/g, ''))}
+          keyboardType="number-pad"
+          maxLength={6}
+          autoFocus
+        />
+
+        <TouchableOpacity
+          style={[styles.button, loading && styles.buttonDisabled]}
+          onPress={handleVerify}
+          disabled={loading}
+          activeOpacity={0.8}
+        >
+          {loading ? (
+            <ActivityIndicator color="#fff" />
+          ) : (
+            <Text style={styles.buttonText}>Verify Email</Text>
+          )}
+        </TouchableOpacity>
+
+        <TouchableOpacity style={styles.linkContainer} onPress={handleResend} disabled={resending}>
+          <Text style={styles.link}>{resending ? 'Sending...' : 'Send a new code'}</Text>
+        </TouchableOpacity>
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: Colors.lightGray,
+  },
+  content: {
+    padding: 20,
+  },
+  header: {
+    alignItems: 'center',
+    marginTop: 20,
+    marginBottom: 32,
+  },
+  iconContainer: {
+    width: 88,
+    height: 88,
+    borderRadius: 44,
+    backgroundColor: '#fff5f5',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginBottom: 24,
+  },
+  subtitle: {
+    fontSize: 16,
+    color: Colors.textGray,
+    textAlign: 'center',
+    fontWeight: '500',
+    lineHeight: 24,
+  },
+  email: {
+    color: Colors.dark,
+    fontWeight: '700',
+  },
+  codeInput: {
+    backgroundColor: Colors.white,
+    borderRadius: 18,
+    borderWidth: 2,
+    borderColor: '#f3f4f6',
+    paddingVertical: 18,
+    fontSize: 30,
+    fontWeight: '800',
+    letterSpacing: 10,
+    textAlign: 'center',
+    color: Colors.dark,
+    marginBottom: 20,
+  },
+  button: {
+    backgroundColor: Colors.primary,
+    borderRadius: 18,
+    paddingVertical: 20,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  buttonDisabled: {
+    opacity: 0.6,
+  },
+  buttonText: {
+    color: Colors.white,
+    fontSize: 18,
+    fontWeight: '800',
+    letterSpacing: 0.5,
+  },
+  linkContainer: {
+    alignItems: 'center',
+    marginTop: 28,
+  },
+  link: {
+    color: Colors.primary,
+    fontSize: 16,
+    fontWeight: '700',
+  },
+});
+
+export default VerifyEmailScreen;
@@ -34,18 +34,80 @@ apiClient.interceptors.request.use(
   }
 );
 
+// Auth endpoints whose 401s mean bad credentials, not an expired session
+const AUTH_ENDPOINTS = ['/auth/login', '/auth/register', '/auth/refresh', '/auth/logout'];
+
+let sessionExpiredHandler = null;
+
+/**
+ * Register a callback for when the session cannot be refreshed any more
+ * (AuthContext uses it to send the user back to the login screen)
+ */
+export const setSessionExpiredHandler = (handler) => {
+  sessionExpiredHandler = handler;
+};
+
+// Shared by every request that fails while a refresh is in flight, so the
+// single-use refresh token is only sent once
+let refreshPromise = null;
+
+/**
+ * Exchange the stored refresh token for a new access token.
+ * Uses plain axios so a failing refresh does not re-enter the interceptor.
+ * @returns {Promise<string|null>} the new access token, or null when the session is over
+ */
+export const refreshSession = () => {
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      const refreshToken = await AsyncStorage.getItem('refreshToken');
+      if (!refreshToken) {
+        return null;
+      }
+
+      try {
+        const response = await axios.post(`${API_BASE_URL}/auth/refresh`, { refreshToken }, { timeout: 10000 });
+        const { token, refreshToken: nextRefreshToken, user } = response.data.data;
+        await AsyncStorage.multiSet([
+          ['authToken', token],
+          ['refreshToken', nextRefreshToken],
+          ['user', JSON.stringify(user)],
+        ]);
+        return token;
+      } catch (error) {
+        return null;
+      }
+    })().finally(() => {
+      refreshPromise = null;
+    });
+  }
+
+  return refreshPromise;
+};
+
 // Response interceptor - Handle errors
 apiClient.interceptors.response.use(
   (response) => {
     return response.data;
   },
   async (error) => {
-    // Handle 401 Unauthorized - Token expired
-    if (error.response?.status === 401) {
-      // Clear token and redirect to login
-      await AsyncStorage.removeItem('authToken');
-      await AsyncStorage.removeItem('user');
-      // You can emit an event here to trigger navigation to login
+    // Handle 401 Unauthorized - refresh the session once and retry the request
+    const originalRequest = error.config;
+    const isAuthEndpoint = AUTH_ENDPOINTS.some((path) => originalRequest?.url?.startsWith(path));
+    if (error.response?.status === 401 && !isAuthEndpoint) {
+      if (!originalRequest._retried) {
+        const token = await refreshSession();
+        if (token) {
+          originalRequest._retried = true;
+          originalRequest.headers.Authorization = `Bearer ${token}`;
+          return apiClient(originalRequest);
+        }
+      }
+
+      // Refresh failed: the session is over
+      await AsyncStorage.multiRemove(['authToken', 'refreshToken', 'user', 'notificationPreferences']);
+      if (sessionExpiredHandler) {
+        sessionExpiredHandler();
+      }
     }
 
     // Return error response
@@ -0,0 +1,51 @@
+import apiClient from './api';
+
+/**
+ * Appointments API Service
+ * Handles appointment booking and check-in API calls
+ */
+
+/**
+ * Get bookable slots of a service for a date (YYYY-MM-DD)
+ */
+export const getAvailableSlots = async (serviceId, date) => {
+  const response = await apiClient.get(`/appointments/services/${serviceId}/slots?date=${date}`);
+  return response;
+};
+
+/**
+ * Book an appointment slot
+ */
+export const bookAppointment = async (serviceId, slotId, date, notes = null) => {
+  const response = await apiClient.post('/appointments', {
+    serviceId,
+    slotId,
+    date,
+    ...(notes && { notes }),
+  });
+  return response;
+};
+
+/**
+ * Get the current user's upcoming appointments
+ */
+export const getMyAppointments = async () => {
+  const response = await apiClient.get('/appointments/my');
+  return response;
+};
+
+/**
+ * Cancel an appointment
+ */
+export const cancelAppointment = async (appointmentId) => {
+  const response = await apiClient.delete(`/appointments/${appointmentId}/cancel`);
+  return response;
+};
+
+/**
+ * Check in an appointment (creates the queue entry)
+ */
+export const checkInAppointment = async (appointmentId) => {
+  const response = await apiClient.post(`/appointments/${appointmentId}/check-in`);
+  return response;
+};
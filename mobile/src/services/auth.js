@@ -1,5 +1,7 @@
 import apiClient from './api';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { disconnectSocket } from './socket';
+import { unregisterPushNotifications, cacheNotificationPreferences } from './notifications';
 
 /**
  * Authentication API Service
@@ -15,6 +17,7 @@ export const register = async (userData) => {
   if (response.success && response.data.token) {
     // Store token and user data
     await AsyncStorage.setItem('authToken', response.data.token);
+    await AsyncStorage.setItem('refreshToken', response.data.refreshToken);
     await AsyncStorage.setItem('user', JSON.stringify(response.data.user));
   }
   
@@ -33,6 +36,7 @@ export const login = async (email, password) => {
   if (response.success && response.data.token) {
     // Store token and user data
     await AsyncStorage.setItem('authToken', response.data.token);
+    await AsyncStorage.setItem('refreshToken', response.data.refreshToken);
     await AsyncStorage.setItem('user', JSON.stringify(response.data.user));
   }
   
@@ -41,10 +45,86 @@ export const login = async (email, password) => {
 
 /**
  * Logout user
+ * Clears the local session, then revokes the refresh token on the server
  */
 export const logout = async () => {
-  await AsyncStorage.removeItem('authToken');
-  await AsyncStorage.removeItem('user');
+  // Needs the session, so it goes before the tokens are cleared
+  await unregisterPushNotifications();
+  // The socket was authenticated as this user
+  disconnectSocket();
+  const refreshToken = await AsyncStorage.getItem('refreshToken');
+  await AsyncStorage.multiRemove(['authToken', 'refreshToken', 'user', 'notificationPreferences']);
+
+  if (refreshToken) {
+    try {
+      await apiClient.post('/auth/logout', { refreshToken });
+    } catch (error) {
+      // The session is already gone locally
+    }
+  }
+};
+
+/**
+ * Logout from every device, including this one
+ */
+export const logoutAllDevices = async () => {
+  const response = await apiClient.post('/auth/logout-all');
+  disconnectSocket();
+  // The server removed every device of the account
+  await AsyncStorage.multiRemove(['authToken', 'refreshToken', 'user', 'pushToken', 'notificationPreferences']);
+  return response;
+};
+
+/**
+ * Request a password reset code by email
+ */
+export const forgotPassword = async (email) => {
+  return await apiClient.post('/auth/forgot-password', { email });
+};
+
+/**
+ * Set a new password with the emailed reset code
+ */
+export const resetPassword = async (email, code, newPassword) => {
+  return await apiClient.post('/auth/reset-password', { email, code, newPassword });
+};
+
+/**
+ * Change the password of the signed-in user.
+ * Other devices are signed out; this one receives new tokens.
+ */
+export const changePassword = async (currentPassword, newPassword) => {
+  const response = await apiClient.post('/auth/change-password', {
+    currentPassword,
+    newPassword,
+  });
+
+  if (response.success && response.data?.token) {
+    await AsyncStorage.setItem('authToken', response.data.token);
+    await AsyncStorage.setItem('refreshToken', response.data.refreshToken);
+  }
+
+  return response;
+};
+
+/**
+ * Verify the email address with the emailed code
+ */
+export const verifyEmail = async (code) => {
+  const response = await apiClient.post('/auth/verify-email', { code });
+
+  if (response.success && response.data) {
+    await AsyncStorage.setItem('user', JSON.stringify(response.data));
+  }
+
+  return response;
+};
+
+/**
+ * Send a new email verification code
+ */
+export const resendVerificationEmail = async () => {
+  return await apiClient.post('/auth/verify-email/resend');
 };
 
 /**
@@ -55,6 +135,36 @@ export const getCurrentUser = async () => {
   return response;
 };
 
+/**
+ * Get the current user's login history
+ */
+export const getLoginHistory = async (page = 1, limit = 20) => {
+  const response = await apiClient.get(`/auth/me/login-history?page=${page}&limit=${limit}`);
+  return response;
+};
+
+/**
+ * Get the current user's notification preferences and the choices available
+ */
+export const getNotificationPreferences = async () => {
+  const response = await apiClient.get('/auth/me/preferences');
+  if (response.success) {
+    await cacheNotificationPreferences(response.data.preferences);
+  }
+  return response;
+};
+
+/**
+ * Change some notification switches, e.g. { events: { queue_completed: { push: false } } }
+ */
+export const updateNotificationPreferences = async (changes) => {
+  const response = await apiClient.put('/auth/me/preferences', changes);
+  if (response.success) {
+    await cacheNotificationPreferences(response.data.preferences);
+  }
+  return response;
+};
+
 /**
  * Get stored token
  */
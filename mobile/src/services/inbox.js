@@ -0,0 +1,39 @@
+import apiClient from './api';
+
+/**
+ * Notification Inbox API Service
+ * Stored queue notifications, so events missed while offline can be read later
+ * (local push notifications are in ./notifications)
+ */
+
+/**
+ * Get the current user's notifications, newest first
+ */
+export const getNotifications = async (page = 1, limit = 20, unreadOnly = false) => {
+  const response = await apiClient.get(`/notifications?page=${page}&limit=${limit}&unreadOnly=${unreadOnly}`);
+  return response;
+};
+
+/**
+ * Get the number of unread notifications
+ */
+export const getUnreadCount = async () => {
+  const response = await apiClient.get('/notifications/unread-count');
+  return response;
+};
+
+/**
+ * Mark one notification read
+ */
+export const markNotificationRead = async (notificationId) => {
+  const response = await apiClient.post(`/notifications/${notificationId}/read`);
+  return response;
+};
+
+/**
+ * Mark every notification read
+ */
+export const markAllNotificationsRead = async () => {
+  const response = await apiClient.post('/notifications/read-all');
+  return response;
+};
@@ -1,18 +1,27 @@
 import * as Notifications from 'expo-notifications';
 import { Platform } from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import apiClient from './api';
+import { getSocket } from './socket';
 
 /**
  * Notification Service
  * Handles push and local notifications
  */
 
-// Configure how notifications are handled when app is in foreground
+// Configure how notifications are handled when app is in foreground.
+// Server pushes repeat socket events, which the open app already shows,
+// so they are only shown while the socket is down.
 Notifications.setNotificationHandler({
-  handleNotification: async () => ({
-    shouldShowAlert: true,
-    shouldPlaySound: true,
-    shouldSetBadge: true,
-  }),
+  handleNotification: async (notification) => {
+    const isServerPush = notification.request.trigger?.type === 'push';
+    const show = !isServerPush || !getSocket()?.connected;
+    return {
+      shouldShowAlert: show,
+      shouldPlaySound: show,
+      shouldSetBadge: true,
+    };
+  },
 });
 
 /**
@@ -51,14 +60,12 @@ export const requestPermissions = async () => {
 };
 
 /**
- * Get Expo Push Token (for push notifications - requires Expo account)
- * This is optional, for now we'll use local notifications
+ * Get Expo Push Token
+ * Uses the EAS project ID from app.json
  */
 export const getPushToken = async () => {
   try {
-    const { data: token } = await Notifications.getExpoPushTokenAsync({
-      projectId: 'your-expo-project-id', // You'll need to set this
-    });
+    const { data: token } = await Notifications.getExpoPushTokenAsync();
     return token;
   } catch (error) {
     console.error('Error getting push token:', error);
@@ -66,6 +73,68 @@ export const getPushToken = async () => {
   }
 };
 
+/**
+ * Register this device with the backend so queue alerts are pushed
+ * even when the app is closed
+ */
+export const registerForPushNotifications = async () => {
+  const granted = await requestPermissions();
+  if (!granted) return null;
+
+  const token = await getPushToken();
+  if (!token) return null;
+
+  try {
+    await apiClient.post('/notifications/devices', {
+      token,
+      platform: Platform.OS,
+    });
+    await AsyncStorage.setItem('pushToken', token);
+    return token;
+  } catch (error) {
+    console.error('Error registering for push notifications:', error);
+    return null;
+  }
+};
+
+/**
+ * Stop pushes to this device (call while still signed in)
+ */
+export const unregisterPushNotifications = async () => {
+  const token = await AsyncStorage.getItem('pushToken');
+  if (!token) return;
+
+  await AsyncStorage.removeItem('pushToken');
+  try {
+    await apiClient.post('/notifications/devices/unregister', { token });
+  } catch (error) {
+    // Already removed, e.g. after signing out everywhere
+  }
+};
+
+const PREFERENCES_KEY = 'notificationPreferences';
+
+/**
+ * Remember the user's notification preferences for the app's own alerts
+ */
+export const cacheNotificationPreferences = async (preferences) => {
+  await AsyncStorage.setItem(PREFERENCES_KEY, JSON.stringify(preferences));
+};
+
+/**
+ * Whether the user wants phone alerts for a queue event
+ * (the push switches of their preferences; on until they are loaded)
+ */
+const isAlertEnabled = async (event) => {
+  try {
+    const preferences = JSON.parse(await AsyncStorage.getItem(PREFERENCES_KEY));
+    if (!preferences) return true;
+    return preferences.channels?.push !== false && preferences.events?.[event]?.push !== false;
+  } catch (error) {
+    return true;
+  }
+};
+
 /**
  * Schedule a local notification
  * This works even when app is in background
@@ -88,24 +157,44 @@ export const scheduleLocalNotification = async (title, body, data = {}) => {
 };
 
 /**
- * Show notification for queue called
+ * Show notification for queue called (or called again)
  */
-export const notifyQueueCalled = async (queueNumber, counterNumber, counterName) => {
+export const notifyQueueCalled = async (queueNumber, counterNumber, counterName, event = 'queue_called') => {
+  if (!(await isAlertEnabled(event))) return;
+
   await scheduleLocalNotification(
     'Queue Called! 🎉',
     `Your queue ${queueNumber} has been called to Counter ${counterNumber}! Please proceed to ${counterName || 'the counter'}.`,
     {
-      type: 'queue_called',
+      type: event,
       queueNumber: queueNumber,
       counterNumber: counterNumber,
     }
   );
 };
 
+/**
+ * Show notification for a turn that is coming up
+ */
+export const notifyQueueApproaching = async (queueNumber, message) => {
+  if (!(await isAlertEnabled('queue_approaching'))) return;
+
+  await scheduleLocalNotification(
+    'Almost Your Turn! ⏳',
+    message || `Your queue ${queueNumber} will be called soon. Please head to the service area.`,
+    {
+      type: 'queue_approaching',
+      queueNumber: queueNumber,
+    }
+  );
+};
+
 /**
  * Show notification for queue completed
  */
 export const notifyQueueCompleted = async (queueNumber) => {
+  if (!(await isAlertEnabled('queue_completed'))) return;
+
   await scheduleLocalNotification(
     'Thank You! ✅',
     `Thank you for waiting! Your service for queue ${queueNumber} has been completed.`,
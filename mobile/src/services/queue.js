@@ -6,11 +6,12 @@ import apiClient from './api';
  */
 
 /**
- * Request a queue number
+ * Request a queue number (optionally in a priority lane)
  */
-export const requestQueue = async (serviceId) => {
+export const requestQueue = async (serviceId, priorityCategory = null) => {
   const response = await apiClient.post('/queue/request', {
     serviceId,
+    ...(priorityCategory && { priorityCategory }),
   });
   return response;
 };
@@ -39,6 +40,22 @@ export const cancelQueue = async (queueId) => {
   return response;
 };
 
+/**
+ * Rejoin the queue after being skipped
+ */
+export const rejoinQueue = async (queueId) => {
+  const response = await apiClient.post(`/queue/${queueId}/rejoin`);
+  return response;
+};
+
+/**
+ * Check in on site with the code scanned from the display board
+ */
+export const checkInQueue = async (queueId, token) => {
+  const response = await apiClient.post(`/queue/${queueId}/check-in`, { token });
+  return response;
+};
+
 /**
  * Get user's queue history
  */
@@ -1,5 +1,7 @@
 import io from 'socket.io-client';
+import AsyncStorage from '@react-native-async-storage/async-storage';
 import { WS_URL } from '../constants/config';
+import { refreshSession } from './api';
 
 /**
  * WebSocket Client Service
@@ -10,10 +12,17 @@ let socket = null;
 
 /**
  * Initialize and connect to WebSocket server
+ * The server requires the login token in the handshake; it is read again on
+ * every reconnect so a fresh login is picked up.
  */
 export const connectSocket = () => {
   if (!socket) {
     socket = io(WS_URL, {
+      auth: (callback) => {
+        AsyncStorage.getItem('authToken')
+          .then((token) => callback({ token }))
+          .catch(() => callback({}));
+      },
       transports: ['websocket', 'polling'],
       autoConnect: true,
       reconnection: true,
@@ -21,7 +30,12 @@ export const connectSocket = () => {
       reconnectionDelay: 1000,
     });
 
+    // An expired login token is refused during the handshake, and the client
+    // does not retry after that on its own: refresh once and reconnect
+    let retriedAfterRefresh = false;
+
     socket.on('connect', () => {
+      retriedAfterRefresh = false;
       console.log('[WebSocket] Connected:', socket.id);
     });
 
@@ -29,8 +43,20 @@ export const connectSocket = () => {
       console.log('[WebSocket] Disconnected');
     });
 
-    socket.on('connect_error', (error) => {
-      console.error('WebSocket connection error:', error);
+    socket.on('connect_error', async (error) => {
+      console.error('WebSocket connection error:', error.message, error.data?.code || '');
+
+      if (error.data?.code === 'AUTH_INVALID' && !retriedAfterRefresh) {
+        retriedAfterRefresh = true;
+        const token = await refreshSession();
+        if (token && socket) {
+          socket.connect();
+        }
+      }
+    });
+
+    socket.on('room_error', (data) => {
+      console.warn(`[WebSocket] Could not join ${data.room}: ${data.message}`);
     });
   }
 
@@ -0,0 +1,53 @@
+import { Colors } from '../constants/colors';
+
+/**
+ * Queue Availability Utility
+ * Turns the availability info returned with services into a join state for the UI
+ */
+
+/**
+ * Get whether the student can join a service's queue, with a label and color
+ * @param {Object} service - Service with `availability` ({ status, message }) from the API
+ * @param {Object|null} userQueueLimit - `{ activeCount, max, reached }` from the API
+ */
+export const getJoinState = (service, userQueueLimit = null) => {
+  const availability = service?.availability || { status: 'open' };
+
+  if (availability.status === 'closed') {
+    return {
+      status: 'closed',
+      label: 'Closed',
+      message: availability.message || 'This service is currently closed.',
+      color: Colors.gray,
+      canJoin: false,
+    };
+  }
+
+  if (availability.status === 'full') {
+    return {
+      status: 'full',
+      label: 'Queue Full',
+      message: availability.message || 'The queue for this service is full.',
+      color: Colors.warning,
+      canJoin: false,
+    };
+  }
+
+  if (userQueueLimit?.reached) {
+    return {
+      status: 'user_limit',
+      label: 'Limit Reached',
+      message: `You already have ${userQueueLimit.activeCount} active queue${userQueueLimit.activeCount === 1 ? '' : 's'} (max ${userQueueLimit.max}). Finish or cancel one to join another.`,
+      color: Colors.danger,
+      canJoin: false,
+    };
+  }
+
+  return {
+    status: 'open',
+    label: 'Open',
+    message: null,
+    color: Colors.success,
+    canJoin: true,
+  };
+};
@@ -62,15 +62,9 @@ echo -e "${GREEN}✅ Web dashboard built${NC}"
 echo -e "\n${YELLOW}🗄️  Step 4: Running database migrations...${NC}"
 cd "$BACKEND_DIR"
 
-# Check for new migrations
-MIGRATION_DIR="../database/migrations"
-if [ -d "$MIGRATION_DIR" ]; then
-    echo "Checking for new migrations..."
-    # Add migration logic here
-    echo -e "${GREEN}✅ Migrations checked${NC}"
-else
-    echo -e "${YELLOW}⚠️  No migrations directory found${NC}"
-fi
+# Apply pending migrations
+npm run migrate
+echo -e "${GREEN}✅ Migrations applied${NC}"
 
 # Step 5: Restart application
 echo -e "\n${YELLOW}🔄 Step 5: Restarting application...${NC}"
@@ -0,0 +1,162 @@
+// Generate API Reference Script
+// Writes docs/api-reference.md from the route files: each route's @desc and
+// @access comment plus the fields of its validation schema
+// (backend/schemas/*.schemas.js), so the reference cannot drift from what
+// the API actually accepts.
+//
+// Usage:
+//   node scripts/generate-api-docs.js [--check]
+//
+// Options:
+//   --check   Exit with an error if docs/api-reference.md is out of date
+
+const fs = require('fs');
+const path = require('path');
+
+const { describeSchema, FIELD_ERROR_CODES } = require('../backend/utils/validation');
+
+const ROUTES_DIR = path.join(__dirname, '..', 'backend', 'routes');
+const OUTPUT_FILE = path.join(__dirname, '..', 'docs', 'api-reference.md');
+
+// Mount points from backend/server.js
+const ROUTE_GROUPS = [
+  { title: 'Authentication', file: 'auth.routes.js', prefix: '/api/auth' },
+  { title: 'Services', file: 'service.routes.js', prefix: '/api/services' },
+  { title: 'Queue', file: 'queue.routes.js', prefix: '/api/queue' },
+  { title: 'Counters', file: 'counter.routes.js', prefix: '/api/counters' },
+  { title: 'Appointments', file: 'appointment.routes.js', prefix: '/api/appointments' },
+  { title: 'Kiosk', file: 'kiosk.routes.js', prefix: '/api/kiosk' },
+  { title: 'Notifications', file: 'notification.routes.js', prefix: '/api/notifications' },
+  { title: 'Admin', file: 'admin.routes.js', prefix: '/api/admin' },
+];
+
+const LOCATION_LABELS = {
+  params: 'Path parameters',
+  query: 'Query parameters',
+  body: 'Body',
+};
+
+/**
+ * Read the @route/@desc/@access comments of a route file,
+ * keyed by "METHOD /full/path"
+ */
+const readRouteComments = (source) => {
+  const comments = {};
+  const blockPattern = /\/\*\*([\s\S]*?)\*\//g;
+  let match;
+
+  while ((match = blockPattern.exec(source)) !== null) {
+    const tag = (name) => {
+      const line = match[1].match(new RegExp(`@${name}\\s+(.+)`));
+      return line ? line[1].trim() : '';
+    };
+    const route = tag('route');
+    if (route) {
+      comments[route.replace(/\s+/, ' ')] = { desc: tag('desc'), access: tag('access') };
+    }
+  }
+
+  return comments;
+};
+
+const escapeCell = (text) => String(text).replace(/\|/g, '\\|');
+
+const renderSchema = (schema) => {
+  const rows = describeSchema(schema);
+  const lines = [];
+
+  for (const location of Object.keys(LOCATION_LABELS)) {
+    const fields = rows.filter((row) => row.location === location);
+    if (fields.length === 0) continue;
+
+    lines.push(`${LOCATION_LABELS[location]}${location === 'body' && schema.strict ? ' (unknown fields are rejected)' : ''}:`, '');
+    lines.push('| Field | Type | Required | Rules | Description |');
+    lines.push('|-------|------|----------|-------|-------------|');
+    fields.forEach((row) => {
+      lines.push(`| \`${row.field}\` | ${row.type} | ${row.required ? 'yes' : 'no'} | ${escapeCell(row.constraints.join(', '))} | ${escapeCell(row.description)} |`);
+    });
+    lines.push('');
+  }
+
+  return lines;
+};
+
+const renderGroup = ({ title, file, prefix }) => {
+  const router = require(path.join(ROUTES_DIR, file));
+  const comments = readRouteComments(fs.readFileSync(path.join(ROUTES_DIR, file), 'utf8'));
+  const lines = [`## ${title}`, ''];
+
+  router.stack
+    .filter((layer) => layer.route)
+    .forEach((layer) => {
+      const fullPath = `${prefix}${layer.route.path === '/' ? '' : layer.route.path}`;
+      const schema = layer.route.stack.map((handler) => handler.handle.schema).find(Boolean);
+
+      Object.keys(layer.route.methods).forEach((method) => {
+        const signature = `${method.toUpperCase()} ${fullPath}`;
+        const comment = comments[signature] || {};
+
+        lines.push(`### \`${signature}\``, '');
+        if (comment.desc) lines.push(comment.desc, '');
+        if (comment.access) lines.push(`Access: ${comment.access}`, '');
+        lines.push(...(schema ? renderSchema(schema) : ['No parameters.', '']));
+      });
+    });
+
+  return lines;
+};
+
+const generate = () => {
+  const lines = [
+    '# API Reference',
+    '',
+    '<!-- Generated by scripts/generate-api-docs.js from the route files and backend/schemas. Do not edit by hand. -->',
+    '',
+    'Every request is checked against its route schema before it reaches the handler.',
+    'Path and query values are converted to the listed type, and empty query values count as missing.',
+    'A request that does not match gets a `400` listing every problem:',
+    '',
+    '```json',
+    JSON.stringify({
+      success: false,
+      error: {
+        message: 'serviceId is required',
+        code: 'VALIDATION_ERROR',
+        details: [
+          { field: 'serviceId', location: 'body', code: 'REQUIRED', message: 'serviceId is required' },
+        ],
+      },
+    }, null, 2),
+    '```',
+    '',
+    `Field error codes: ${Object.values(FIELD_ERROR_CODES).map((code) => `\`${code}\``).join(', ')}.`,
+    'See [api-documentation.md](./api-documentation.md) for response formats and examples.',
+    '',
+  ];
+
+  ROUTE_GROUPS.forEach((group) => lines.push(...renderGroup(group)));
+
+  return `${lines.join('\n').trimEnd()}\n`;
+};
+
+const main = () => {
+  const check = process.argv.includes('--check');
+  const output = generate();
+
+  if (check) {
+    const current = fs.existsSync(OUTPUT_FILE) ? fs.readFileSync(OUTPUT_FILE, 'utf8') : '';
+    if (current !== output) {
+      console.error('❌ docs/api-reference.md is out of date. Run: npm run docs:api');
+      process.exit(1);
+    }
+    console.log('✅ docs/api-reference.md is up to date');
+  } else {
+    fs.writeFileSync(OUTPUT_FILE, output);
+    console.log(`✅ Wrote ${path.relative(process.cwd(), OUTPUT_FILE)}`);
+  }
+
+  // Loading the routes opens the database pool; nothing here needs it
+  process.exit(0);
+};
+
+main();
@@ -1,10 +1,25 @@
 // Run Database Migrations Script
-// This script runs all database migrations in order
+// Applies pending migrations, reverts applied ones or shows their status.
+// Uses the same runner as POST /api/admin/migrate (backend/utils/migrator.js).
+//
+// Usage:
+//   node scripts/run-migrations.js [up|down|status] [options]
+//
+// Options:
+//   --dry-run         Show what would run without changing the database
+//   --steps N         Only apply/revert N migrations (down defaults to 1)
+//   --to VERSION      Apply up to and including VERSION, or revert down to it
+//   --allow-changed   Run even though applied migration files were edited
 
-require('dotenv').config({ path: './backend/.env' });
-const { query } = require('../backend/config/database');
-const fs = require('fs');
 const path = require('path');
+const { createRequire } = require('module');
+
+// Dependencies are installed in backend/, not at the repository root
+const backendRequire = createRequire(path.join(__dirname, '..', 'backend', 'package.json'));
+backendRequire('dotenv').config({ path: path.join(__dirname, '..', 'backend', '.env') });
+
+const { pool } = require('../backend/config/database');
+const migrator = require('../backend/utils/migrator');
 
 const colors = {
   green: '\x1b[32m',
@@ -13,80 +28,109 @@ const colors = {
   reset: '\x1b[0m',
 };
 
-async function runMigrations() {
-  try {
-    console.log(`${colors.green}🚀 Starting Database Migrations${colors.reset}\n`);
-
-    // Test connection first
-    console.log(`${colors.yellow}📊 Testing database connection...${colors.reset}`);
-    await query('SELECT NOW()');
-    console.log(`${colors.green}✅ Database connected${colors.reset}\n`);
-
-    // Migration files in order
-    const migrations = [
-      '001_create_tables.sql',
-      '002_create_system_settings.sql',
-      '003_add_queue_prefix_to_services.sql',
-      '004_add_performance_indexes.sql',
-    ];
-
-    const migrationsDir = path.join(__dirname, '..', 'database', 'migrations');
-
-    for (const migrationFile of migrations) {
-      const filePath = path.join(migrationsDir, migrationFile);
-      
-      if (!fs.existsSync(filePath)) {
-        console.log(`${colors.yellow}⚠️  Migration file not found: ${migrationFile}${colors.reset}`);
-        continue;
-      }
-
-      console.log(`${colors.yellow}📝 Running migration: ${migrationFile}${colors.reset}`);
-      
-      const sql = fs.readFileSync(filePath, 'utf8');
-      
-      try {
-        // Execute the entire SQL file as one query
-        // PostgreSQL can handle multiple statements separated by semicolons
-        await query(sql);
-
-        console.log(`${colors.green}✅ ${migrationFile} completed${colors.reset}\n`);
-      } catch (error) {
-        // Some errors are expected (like "already exists")
-        if (error.message.includes('already exists') || 
-            error.message.includes('duplicate') ||
-            error.message.includes('does not exist')) {
-          console.log(`${colors.yellow}⚠️  ${migrationFile} - ${error.message} (may have already been run)${colors.reset}\n`);
-        } else {
-          throw error;
-        }
-      }
+const COMMANDS = ['up', 'down', 'status'];
+
+const usage = () => {
+  console.log('Usage: node scripts/run-migrations.js [up|down|status] [--dry-run] [--steps N] [--to VERSION] [--allow-changed]');
+};
+
+const parseArgs = (argv) => {
+  const args = { command: 'up', dryRun: false, allowChanged: false, steps: null, to: null };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (COMMANDS.includes(arg)) {
+      args.command = arg;
+    } else if (arg === '--dry-run') {
+      args.dryRun = true;
+    } else if (arg === '--allow-changed') {
+      args.allowChanged = true;
+    } else if (arg === '--steps' || arg === '--to') {
+      args[arg.slice(2)] = argv[++i];
+    } else if (arg === '--help' || arg === '-h') {
+      args.command = 'help';
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
     }
+  }
 
-    console.log(`${colors.green}✅ All migrations completed successfully!${colors.reset}\n`);
+  return args;
+};
 
-    // Verify tables were created
-    console.log(`${colors.yellow}📊 Verifying tables...${colors.reset}`);
-    const tablesResult = await query(`
-      SELECT table_name 
-      FROM information_schema.tables 
-      WHERE table_schema = 'public' 
-      ORDER BY table_name;
-    `);
+const formatVersion = ({ version, name }) => `${String(version).padStart(3, '0')}_${name}`;
+
+async function showStatus() {
+  const { migrations, pending } = await migrator.getMigrationStatus({ pool });
+  const labels = {
+    applied: `${colors.green}applied${colors.reset}`,
+    pending: `${colors.yellow}pending${colors.reset}`,
+    changed: `${colors.red}changed${colors.reset}`,
+    missing: `${colors.red}missing${colors.reset}`,
+  };
+
+  migrations.forEach((migration) => {
+    const reversible = migration.reversible ? '' : ' (no down migration)';
+    console.log(`  ${labels[migration.status]}  ${formatVersion(migration)}${reversible}`);
+  });
+  console.log(`\n${pending} pending migration(s)`);
+}
 
-    console.log(`${colors.green}✅ Tables created:${colors.reset}`);
-    tablesResult.rows.forEach(row => {
-      console.log(`   - ${row.table_name}`);
-    });
+async function run(args) {
+  const verb = args.command === 'up' ? 'Applying' : 'Reverting';
+  console.log(`${colors.green}🚀 ${verb} database migrations${args.dryRun ? ' (dry run)' : ''}${colors.reset}\n`);
+
+  const summary = await migrator.runMigrations({
+    pool,
+    direction: args.command,
+    steps: args.steps,
+    to: args.to,
+    dryRun: args.dryRun,
+    allowChanged: args.allowChanged,
+    onProgress: (result) => {
+      console.log(`${colors.green}✅ ${formatVersion(result)} ${result.status} (${result.durationMs} ms)${colors.reset}`);
+    },
+  });
+
+  summary.missing.forEach((migration) => {
+    console.log(`${colors.yellow}⚠️  ${formatVersion(migration)} is applied but its file is missing${colors.reset}`);
+  });
+
+  if (summary.plan.length === 0) {
+    console.log(`${colors.green}✅ ${args.command === 'up' ? 'Database is up to date' : 'Nothing to revert'}${colors.reset}`);
+  } else if (summary.dryRun) {
+    console.log(`Would ${args.command === 'up' ? 'apply' : 'revert'}:`);
+    summary.plan.forEach((migration) => console.log(`   - ${formatVersion(migration)}`));
+  } else {
+    console.log(`\n${colors.green}🎉 ${summary.results.length} migration(s) ${args.command === 'up' ? 'applied' : 'reverted'}${colors.reset}`);
+  }
+}
 
-    console.log(`\n${colors.green}🎉 Database setup complete!${colors.reset}`);
-    process.exit(0);
+async function main() {
+  let exitCode = 0;
 
+  try {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.command === 'help') {
+      usage();
+    } else if (args.command === 'status') {
+      await showStatus();
+    } else {
+      await run(args);
+    }
   } catch (error) {
     console.error(`\n${colors.red}❌ Migration failed:${colors.reset}`, error.message);
-    console.error(error);
-    process.exit(1);
+    if (error.code === migrator.MIGRATION_CODES.CHECKSUM_MISMATCH) {
+      console.error('Add a new migration instead of editing an applied one, or pass --allow-changed.');
+    }
+    if (error.results && error.results.length > 0) {
+      console.error(`Completed before the failure: ${error.results.map(formatVersion).join(', ')}`);
+    }
+    exitCode = 1;
+  } finally {
+    await pool.end();
   }
-}
 
-runMigrations();
+  process.exit(exitCode);
+}
 
+main();
@@ -1,15 +1,22 @@
 // Demo Setup Script for Q-Tech (Node.js version for cross-platform)
 // This script sets up the system with demo data for portfolio showcase
 
-require('dotenv').config({ path: './backend/.env' });
-const { query } = require('./backend/config/database');
 const fs = require('fs');
 const path = require('path');
-const bcrypt = require('bcrypt');
+const { createRequire } = require('module');
+
+// Dependencies are installed in backend/, not at the repository root
+const backendRequire = createRequire(path.join(__dirname, '..', 'backend', 'package.json'));
+backendRequire('dotenv').config({ path: path.join(__dirname, '..', 'backend', '.env') });
+const bcrypt = backendRequire('bcrypt');
+
+const { query } = require('../backend/config/database');
+const { runMigrations } = require('../backend/utils/migrator');
 
 const colors = {
   green: '\x1b[32m',
   yellow: '\x1b[33m',
+  red: '\x1b[31m',
   reset: '\x1b[0m',
 };
 
@@ -27,37 +34,18 @@ async function setupDemo() {
     const demoPasswordHash = await bcrypt.hash('demo123', 10);
     console.log(`${colors.green}✅ Password hash generated${colors.reset}\n`);
 
-    // Read and execute migrations
+    // Apply pending migrations
     console.log(`${colors.yellow}🗄️  Running database migrations...${colors.reset}`);
-    const migrationsDir = path.join(__dirname, 'database', 'migrations');
-    const migrationFiles = [
-      '001_initial_schema.sql',
-      '002_create_system_settings.sql',
-      '003_add_queue_prefix_to_services.sql',
-      '004_add_performance_indexes.sql',
-    ];
-
-    for (const file of migrationFiles) {
-      const filePath = path.join(migrationsDir, file);
-      if (fs.existsSync(filePath)) {
-        console.log(`  Running ${file}...`);
-        const sql = fs.readFileSync(filePath, 'utf8');
-        try {
-          await query(sql);
-          console.log(`  ✅ ${file} completed`);
-        } catch (error) {
-          if (error.message.includes('already exists') || error.message.includes('duplicate')) {
-            console.log(`  ⚠️  ${file} - may have already been run`);
-          } else {
-            throw error;
-          }
-        }
-      }
+    const { results } = await runMigrations({
+      onProgress: (result) => console.log(`  ✅ ${result.version} ${result.name} applied`),
+    });
+    if (results.length === 0) {
+      console.log('  Database is up to date');
     }
 
     // Seed demo data
     console.log(`\n${colors.yellow}🌱 Seeding demo data...${colors.reset}`);
-    const seedFile = path.join(__dirname, 'database', 'seeds', 'demo-data.sql');
+    const seedFile = path.join(__dirname, '..', 'database', 'seeds', 'demo-data.sql');
     
     if (!fs.existsSync(seedFile)) {
       throw new Error('Demo data file not found');
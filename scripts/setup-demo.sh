@@ -45,12 +45,7 @@ fi
 
 # Run migrations
 echo -e "\n${YELLOW}🗄️  Running database migrations...${NC}"
-for migration in ../database/migrations/*.sql; do
-    if [ -f "$migration" ]; then
-        echo "Running $(basename $migration)..."
-        psql -U "${DB_USER:-postgres}" -d "${DB_NAME:-clsu_nexus}" -f "$migration" 2>/dev/null || echo "Migration may have already been run"
-    fi
-done
+node ../scripts/run-migrations.js up
 
 # Seed demo data
 echo -e "\n${YELLOW}🌱 Seeding demo data...${NC}"
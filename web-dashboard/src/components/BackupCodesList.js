@@ -0,0 +1,77 @@
+import { useState } from 'react';
+import { FiCopy, FiCheck } from 'react-icons/fi';
+
+/**
+ * Backup Codes List
+ * Shows newly created 2FA backup codes. They are only ever shown once.
+ */
+export default function BackupCodesList({ codes }) {
+  const [copied, setCopied] = useState(false);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(codes.join('\n'));
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      // Clipboard blocked; the codes are still on screen
+    }
+  };
+
+  return (
+    <div>
+      <p style={styles.hint}>
+        Save these backup codes somewhere safe. Each one signs you in once if you lose your
+        authenticator app. They will not be shown again.
+      </p>
+      <div style={styles.grid}>
+        {codes.map((code) => (
+          <code key={code} style={styles.code}>{code}</code>
+        ))}
+      </div>
+      <button type="button" onClick={handleCopy} style={styles.copyButton}>
+        {copied ? <FiCheck size={16} /> : <FiCopy size={16} />}
+        <span>{copied ? 'Copied' : 'Copy codes'}</span>
+      </button>
+    </div>
+  );
+}
+
+const styles = {
+  hint: {
+    fontSize: '14px',
+    color: '#475569',
+    lineHeight: '1.5',
+    marginBottom: '16px',
+  },
+  grid: {
+    display: 'grid',
+    gridTemplateColumns: 'repeat(2, 1fr)',
+    gap: '8px',
+    padding: '16px',
+    backgroundColor: '#f8fafc',
+    border: '1px solid #e2e8f0',
+    borderRadius: '10px',
+    marginBottom: '12px',
+  },
+  code: {
+    fontFamily: 'monospace',
+    fontSize: '15px',
+    fontWeight: '600',
+    color: '#1e293b',
+    textAlign: 'center',
+  },
+  copyButton: {
+    display: 'inline-flex',
+    alignItems: 'center',
+    gap: '8px',
+    padding: '8px 14px',
+    backgroundColor: 'white',
+    color: '#334155',
+    border: '1px solid #cbd5e1',
+    borderRadius: '8px',
+    fontSize: '14px',
+    fontWeight: '600',
+    cursor: 'pointer',
+  },
+};
@@ -0,0 +1,154 @@
+import { useEffect, useState } from 'react';
+import { FiCheckCircle, FiXCircle, FiLoader } from 'react-icons/fi';
+import apiClient from '../lib/api';
+
+const FAILURE_LABELS = {
+  invalid_credentials: 'Wrong password',
+  account_inactive: 'Account deactivated',
+  account_locked: 'Account locked',
+  throttled: 'Too many attempts',
+  invalid_two_factor_code: 'Wrong authentication code',
+};
+
+// Short browser/app name from a user agent string
+const describeDevice = (userAgent) => {
+  if (!userAgent) return 'Unknown device';
+  if (/okhttp|Expo|CFNetwork/i.test(userAgent)) return 'Mobile app';
+  if (/Edg\//.test(userAgent)) return 'Edge';
+  if (/Chrome\//.test(userAgent)) return 'Chrome';
+  if (/Firefox\//.test(userAgent)) return 'Firefox';
+  if (/Safari\//.test(userAgent)) return 'Safari';
+  return userAgent.slice(0, 40);
+};
+
+/**
+ * Login History Table
+ * Lists login attempts from `endpoint` (the user's own history or an admin
+ * view of another user's)
+ */
+export default function LoginHistoryTable({ endpoint, limit = 20 }) {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadHistory = async () => {
+      setLoading(true);
+      setError('');
+      try {
+        const response = await apiClient.get(`${endpoint}?limit=${limit}`);
+        if (!cancelled && response.success) {
+          setEntries(response.data.entries || []);
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setError(err.error?.message || 'Failed to load login history');
+        }
+      } finally {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      }
+    };
+
+    loadHistory();
+    return () => {
+      cancelled = true;
+    };
+  }, [endpoint, limit]);
+
+  if (loading) {
+    return (
+      <div style={styles.message}>
+        <FiLoader size={18} className="spin" />
+        <span>Loading login history...</span>
+      </div>
+    );
+  }
+
+  if (error) {
+    return <div style={styles.message}>{error}</div>;
+  }
+
+  if (entries.length === 0) {
+    return <div style={styles.message}>No login attempts recorded yet.</div>;
+  }
+
+  return (
+    <div style={styles.wrapper}>
+      <table style={styles.table}>
+        <thead>
+          <tr>
+            <th style={styles.headerCell}>When</th>
+            <th style={styles.headerCell}>Result</th>
+            <th style={styles.headerCell}>IP Address</th>
+            <th style={styles.headerCell}>Device</th>
+          </tr>
+        </thead>
+        <tbody>
+          {entries.map((entry) => (
+            <tr key={entry.id}>
+              <td style={styles.cell}>{new Date(entry.created_at).toLocaleString()}</td>
+              <td style={styles.cell}>
+                {entry.success ? (
+                  <span style={{ ...styles.result, color: '#065f46' }}>
+                    <FiCheckCircle size={14} /> Signed in
+                  </span>
+                ) : (
+                  <span style={{ ...styles.result, color: '#991b1b' }}>
+                    <FiXCircle size={14} /> {FAILURE_LABELS[entry.failure_reason] || 'Failed'}
+                  </span>
+                )}
+              </td>
+              <td style={styles.cell}>{entry.ip_address || '-'}</td>
+              <td style={styles.cell} title={entry.user_agent || ''}>{describeDevice(entry.user_agent)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+const styles = {
+  wrapper: {
+    overflowX: 'auto',
+  },
+  table: {
+    width: '100%',
+    borderCollapse: 'collapse',
+  },
+  headerCell: {
+    padding: '10px 12px',
+    textAlign: 'left',
+    fontSize: '12px',
+    fontWeight: '700',
+    color: '#64748b',
+    textTransform: 'uppercase',
+    letterSpacing: '0.5px',
+    borderBottom: '2px solid #e2e8f0',
+  },
+  cell: {
+    padding: '10px 12px',
+    fontSize: '14px',
+    color: '#1e293b',
+    borderBottom: '1px solid #f1f5f9',
+    whiteSpace: 'nowrap',
+  },
+  result: {
+    display: 'inline-flex',
+    alignItems: 'center',
+    gap: '6px',
+    fontWeight: '600',
+  },
+  message: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    padding: '16px 0',
+    color: '#64748b',
+    fontSize: '14px',
+  },
+};
@@ -0,0 +1,212 @@
+import { useEffect, useState } from 'react';
+import { QRCodeSVG } from 'qrcode.react';
+import { FiLoader } from 'react-icons/fi';
+import { setupTwoFactor, enableTwoFactor } from '../lib/auth';
+import BackupCodesList from './BackupCodesList';
+
+/**
+ * Two-Factor Setup
+ * Scan the QR code, confirm a code, then save the backup codes.
+ * With `challengeToken` this finishes a login that requires enrollment and
+ * `onComplete` receives the new session.
+ */
+export default function TwoFactorSetup({ challengeToken, onComplete, onCancel }) {
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const startSetup = async () => {
+      try {
+        const response = await setupTwoFactor(challengeToken);
+        if (response.success) {
+          setSetup(response.data);
+        } else {
+          setError(response.error?.message || 'Could not start two-factor setup');
+        }
+      } catch (err) {
+        setError(err.error?.message || 'Could not start two-factor setup');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    startSetup();
+  }, [challengeToken]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSubmitting(true);
+
+    try {
+      const response = await enableTwoFactor(code.trim(), challengeToken);
+      if (response.success) {
+        setResult(response.data);
+      } else {
+        setError(response.error?.message || 'Invalid authentication code');
+      }
+    } catch (err) {
+      setError(err.error?.message || 'Invalid authentication code');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div style={styles.message}>
+        <FiLoader size={18} className="spin" />
+        <span>Preparing two-factor setup...</span>
+      </div>
+    );
+  }
+
+  if (result) {
+    return (
+      <div>
+        <BackupCodesList codes={result.backupCodes} />
+        <button type="button" onClick={() => onComplete?.(result)} style={styles.button}>
+          I have saved my backup codes
+        </button>
+      </div>
+    );
+  }
+
+  if (!setup) {
+    return <div style={styles.error}>{error}</div>;
+  }
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <p style={styles.step}>
+        1. Scan this QR code with an authenticator app such as Google Authenticator or Authy.
+      </p>
+      <div style={styles.qrWrapper}>
+        <QRCodeSVG value={setup.otpauthUrl} size={180} />
+      </div>
+      <p style={styles.secretLabel}>Can't scan it? Enter this key instead:</p>
+      <code style={styles.secret}>{setup.secret.match(/.{1,4}/g).join(' ')}</code>
+
+      <p style={styles.step}>2. Enter the 6-digit code the app shows.</p>
+      {error && <div style={styles.error}>{error}</div>}
+      <input
+        type="text"
+        inputMode="numeric"
+        autoComplete="one-time-code"
+        maxLength={6}
+        value={code}
+        onChange={(e) => setCode(e.target.value.replace(/\D/g, ''))}
+        style={styles.input}
+        placeholder="123456"
+        required
+      />
+
+      <div style={styles.actions}>
+        {onCancel && (
+          <button type="button" onClick={onCancel} style={styles.secondaryButton}>
+            Cancel
+          </button>
+        )}
+        <button type="submit" disabled={submitting || code.length !== 6} style={styles.button}>
+          {submitting ? 'Verifying...' : 'Turn On Two-Factor'}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+const styles = {
+  message: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    padding: '16px 0',
+    color: '#64748b',
+    fontSize: '14px',
+  },
+  step: {
+    fontSize: '14px',
+    fontWeight: '600',
+    color: '#334155',
+    margin: '0 0 12px',
+  },
+  qrWrapper: {
+    display: 'flex',
+    justifyContent: 'center',
+    padding: '16px',
+    backgroundColor: 'white',
+    border: '1px solid #e2e8f0',
+    borderRadius: '12px',
+    marginBottom: '12px',
+  },
+  secretLabel: {
+    fontSize: '13px',
+    color: '#64748b',
+    margin: '0 0 6px',
+  },
+  secret: {
+    display: 'block',
+    fontFamily: 'monospace',
+    fontSize: '14px',
+    color: '#1e293b',
+    backgroundColor: '#f8fafc',
+    padding: '10px',
+    borderRadius: '8px',
+    marginBottom: '20px',
+    wordBreak: 'break-all',
+  },
+  input: {
+    width: '100%',
+    padding: '14px 16px',
+    border: '2px solid #e5e7eb',
+    borderRadius: '12px',
+    fontSize: '20px',
+    letterSpacing: '6px',
+    textAlign: 'center',
+    boxSizing: 'border-box',
+  },
+  actions: {
+    display: 'flex',
+    gap: '12px',
+    marginTop: '16px',
+  },
+  button: {
+    flex: 1,
+    width: '100%',
+    padding: '14px',
+    backgroundColor: '#dc2626',
+    color: 'white',
+    border: 'none',
+    borderRadius: '12px',
+    fontSize: '15px',
+    fontWeight: '700',
+    cursor: 'pointer',
+    marginTop: '8px',
+  },
+  secondaryButton: {
+    flex: 1,
+    padding: '14px',
+    backgroundColor: 'white',
+    color: '#334155',
+    border: '1px solid #cbd5e1',
+    borderRadius: '12px',
+    fontSize: '15px',
+    fontWeight: '600',
+    cursor: 'pointer',
+    marginTop: '8px',
+  },
+  error: {
+    backgroundColor: '#fee2e2',
+    color: '#991b1b',
+    padding: '12px',
+    borderRadius: '10px',
+    marginBottom: '12px',
+    fontSize: '14px',
+    fontWeight: '500',
+    border: '1px solid #fecaca',
+  },
+};
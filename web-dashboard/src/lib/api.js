@@ -26,6 +26,50 @@ apiClient.interceptors.request.use(
   }
 );
 
+// Auth endpoints whose 401s mean bad credentials, not an expired session
+const AUTH_ENDPOINTS = ['/auth/login', '/auth/register', '/auth/refresh', '/auth/logout'];
+
+const clearSession = () => {
+  localStorage.removeItem('authToken');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('user');
+};
+
+// Shared by every request that fails while a refresh is in flight, so the
+// single-use refresh token is only sent once
+let refreshPromise = null;
+
+/**
+ * Exchange the stored refresh token for a new access token.
+ * Uses plain axios so a failing refresh does not re-enter the interceptor.
+ * @returns {Promise<string|null>} the new access token, or null when the session is over
+ */
+export const refreshSession = () => {
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      const refreshToken = localStorage.getItem('refreshToken');
+      if (!refreshToken) {
+        return null;
+      }
+
+      try {
+        const response = await axios.post(`${API_BASE_URL}/auth/refresh`, { refreshToken });
+        const { token, refreshToken: nextRefreshToken, user } = response.data.data;
+        localStorage.setItem('authToken', token);
+        localStorage.setItem('refreshToken', nextRefreshToken);
+        localStorage.setItem('user', JSON.stringify(user));
+        return token;
+      } catch (refreshError) {
+        return null;
+      }
+    })().finally(() => {
+      refreshPromise = null;
+    });
+  }
+
+  return refreshPromise;
+};
+
 // Response interceptor - Handle errors
 apiClient.interceptors.response.use(
   (response) => response.data,
@@ -41,13 +85,22 @@ apiClient.interceptors.response.use(
       return Promise.reject(networkError);
     }
 
-    // Handle 401 Unauthorized - redirect to login
-    if (error.response?.status === 401) {
-      if (typeof window !== 'undefined') {
-        localStorage.removeItem('authToken');
-        localStorage.removeItem('user');
-        window.location.href = '/login';
+    // Handle 401 Unauthorized - refresh the session once and retry, and only
+    // go back to login when the refresh fails
+    const originalRequest = error.config;
+    const isAuthEndpoint = AUTH_ENDPOINTS.some((path) => originalRequest?.url?.startsWith(path));
+    if (error.response?.status === 401 && typeof window !== 'undefined' && !isAuthEndpoint) {
+      if (!originalRequest._retried) {
+        const token = await refreshSession();
+        if (token) {
+          originalRequest._retried = true;
+          originalRequest.headers.Authorization = `Bearer ${token}`;
+          return apiClient(originalRequest);
+        }
       }
+
+      clearSession();
+      window.location.href = '/login';
     }
 
     // Handle 403 Forbidden
@@ -1,23 +1,108 @@
 import apiClient from './api';
 
-export const login = async (email, password) => {
-  const response = await apiClient.post('/auth/login', { email, password });
-  
+const storeSession = (response) => {
   if (response.success && response.data.token) {
     if (typeof window !== 'undefined') {
       localStorage.setItem('authToken', response.data.token);
+      localStorage.setItem('refreshToken', response.data.refreshToken);
       localStorage.setItem('user', JSON.stringify(response.data.user));
     }
   }
-  
+};
+
+export const login = async (email, password) => {
+  const response = await apiClient.post('/auth/login', { email, password });
+  storeSession(response);
+  return response;
+};
+
+/**
+ * Second login step: a code from the authenticator app or a backup code
+ */
+export const verifyTwoFactorLogin = async (challengeToken, code) => {
+  const response = await apiClient.post('/auth/login/two-factor', { challengeToken, code });
+  storeSession(response);
   return response;
 };
 
-export const logout = () => {
+export const getTwoFactorStatus = async () => {
+  return apiClient.get('/auth/me/two-factor');
+};
+
+/**
+ * Start 2FA enrollment. `challengeToken` is set when enrollment is required
+ * to finish logging in; otherwise the signed-in user enrolls.
+ */
+export const setupTwoFactor = async (challengeToken) => {
+  return apiClient.post('/auth/two-factor/setup', challengeToken ? { challengeToken } : {});
+};
+
+export const enableTwoFactor = async (code, challengeToken) => {
+  const response = await apiClient.post(
+    '/auth/two-factor/enable',
+    challengeToken ? { code, challengeToken } : { code }
+  );
+  storeSession(response);
+  return response;
+};
+
+export const disableTwoFactor = async (password, code) => {
+  return apiClient.post('/auth/two-factor/disable', { password, code });
+};
+
+export const regenerateBackupCodes = async (code) => {
+  return apiClient.post('/auth/two-factor/backup-codes', { code });
+};
+
+export const getInvitation = async (token) => {
+  return apiClient.get(`/auth/invitations/${encodeURIComponent(token)}`);
+};
+
+/**
+ * Choose a password for an invited account and sign in with it
+ */
+export const acceptInvitation = async (token, password) => {
+  const response = await apiClient.post(`/auth/invitations/${encodeURIComponent(token)}/accept`, { password });
+  storeSession(response);
+  return response;
+};
+
+const clearStoredSession = () => {
+  localStorage.removeItem('authToken');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('user');
+};
+
+/**
+ * Sign out this browser. The local session is cleared straight away; the
+ * refresh token is then revoked on the server.
+ */
+export const logout = async () => {
+  if (typeof window === 'undefined') {
+    return;
+  }
+
+  const refreshToken = localStorage.getItem('refreshToken');
+  clearStoredSession();
+
+  if (refreshToken) {
+    try {
+      await apiClient.post('/auth/logout', { refreshToken });
+    } catch (error) {
+      // The session is already gone locally
+    }
+  }
+};
+
+/**
+ * Sign out every device, including this one
+ */
+export const logoutAllDevices = async () => {
+  const response = await apiClient.post('/auth/logout-all');
   if (typeof window !== 'undefined') {
-    localStorage.removeItem('authToken');
-    localStorage.removeItem('user');
+    clearStoredSession();
   }
+  return response;
 };
 
 export const getStoredUser = () => {
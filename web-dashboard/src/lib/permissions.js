@@ -0,0 +1,70 @@
+/**
+ * Role permissions on the dashboard. The server sends the signed-in user's
+ * permissions with the user object; these helpers only decide what to show,
+ * the API enforces them.
+ */
+
+export const PERMISSIONS = {
+  USERS_MANAGE: 'users.manage',
+  ROLES_MANAGE: 'roles.manage',
+  SETTINGS_MANAGE: 'settings.manage',
+  AUDIT_VIEW: 'audit.view',
+  SERVICES_MANAGE: 'services.manage',
+  QUEUES_OVERRIDE: 'queues.override',
+  ANALYTICS_VIEW: 'analytics.view',
+  COUNTERS_OPERATE: 'counters.operate',
+  KIOSK_ISSUE: 'kiosk.issue',
+};
+
+// Permissions that open a page of the admin dashboard
+export const ADMIN_PERMISSIONS = [
+  PERMISSIONS.ANALYTICS_VIEW,
+  PERMISSIONS.SERVICES_MANAGE,
+  PERMISSIONS.QUEUES_OVERRIDE,
+  PERMISSIONS.USERS_MANAGE,
+  PERMISSIONS.ROLES_MANAGE,
+  PERMISSIONS.SETTINGS_MANAGE,
+  PERMISSIONS.AUDIT_VIEW,
+];
+
+// Defaults of the built-in roles, for sessions stored before permissions
+// were sent with the user
+const LEGACY_PERMISSIONS = {
+  counter_staff: { [PERMISSIONS.COUNTERS_OPERATE]: null },
+  kiosk: { [PERMISSIONS.KIOSK_ISSUE]: null },
+};
+
+const getPermissionMap = (user) => user?.permissions || LEGACY_PERMISSIONS[user?.role] || {};
+
+/**
+ * Whether the user has any one of the permissions
+ */
+export const hasPermission = (user, ...permissions) => {
+  if (!user) return false;
+  if (user.role === 'admin') return true;
+
+  const granted = getPermissionMap(user);
+  return permissions.some((permission) => permission in granted);
+};
+
+/**
+ * Where a user lands after signing in, or null if the dashboard has nothing
+ * for them
+ */
+export const getHomePath = (user) => {
+  if (hasPermission(user, ...ADMIN_PERMISSIONS)) return '/admin/dashboard';
+  if (hasPermission(user, PERMISSIONS.COUNTERS_OPERATE)) return '/counter/dashboard';
+  if (hasPermission(user, PERMISSIONS.KIOSK_ISSUE)) return '/kiosk';
+  return null;
+};
+
+/**
+ * Readable name of a role, e.g. department_head -> Department Head
+ */
+export const formatRoleName = (role) => {
+  if (role === 'admin') return 'Administrator';
+  return (role || '')
+    .split('_')
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+};
@@ -0,0 +1,13 @@
+/**
+ * Priority lane categories (must match backend/utils/priority.js)
+ */
+export const PRIORITY_LABELS = {
+  pwd: 'PWD',
+  senior: 'Senior Citizen',
+  pregnant: 'Pregnant',
+};
+
+export const PRIORITY_OPTIONS = Object.entries(PRIORITY_LABELS).map(([value, label]) => ({
+  value,
+  label,
+}));
@@ -0,0 +1,79 @@
+import { io } from 'socket.io-client';
+import { refreshSession } from './api';
+
+const API_BASE_URL = process.env.NEXT_PUBLIC_API_URL || 'https://q-tech-production.up.railway.app/api';
+
+// Socket.IO is served from the API host, without the /api prefix
+const SOCKET_URL = process.env.NEXT_PUBLIC_WS_URL || API_BASE_URL.replace(/\/api\/?$/, '');
+
+let socket = null;
+
+const getStoredToken = () => localStorage.getItem('authToken');
+
+/**
+ * Connect to the WebSocket server.
+ * The server rejects connections without a credential. `getToken` may return
+ * a promise and is called again on every reconnect; it defaults to the login
+ * token (display boards pass their read-only token instead).
+ */
+export const connectSocket = (getToken = getStoredToken) => {
+  if (typeof window === 'undefined') return null;
+
+  if (!socket) {
+    socket = io(SOCKET_URL, {
+      auth: (callback) => {
+        Promise.resolve()
+          .then(getToken)
+          .then((token) => callback({ token }))
+          .catch(() => callback({}));
+      },
+      transports: ['websocket', 'polling'],
+      reconnection: true,
+      reconnectionDelay: 1000,
+    });
+
+    // An expired login token is refused during the handshake, and the client
+    // does not retry after that on its own: refresh once and reconnect
+    let retriedAfterRefresh = false;
+    socket.on('connect', () => {
+      retriedAfterRefresh = false;
+    });
+
+    socket.on('connect_error', async (error) => {
+      console.error('WebSocket connection error:', error.message, error.data?.code || '');
+
+      if (error.data?.code === 'AUTH_INVALID' && getToken === getStoredToken && !retriedAfterRefresh) {
+        retriedAfterRefresh = true;
+        const token = await refreshSession();
+        if (token && socket) {
+          socket.connect();
+        }
+      }
+    });
+
+    socket.on('room_error', (data) => {
+      console.warn(`Could not join ${data.room}: ${data.message}`);
+    });
+  }
+
+  return socket;
+};
+
+export const disconnectSocket = () => {
+  if (socket) {
+    socket.disconnect();
+    socket = null;
+  }
+};
+
+export const joinServiceRoom = (serviceId) => {
+  if (socket) {
+    socket.emit('join_service', { serviceId });
+  }
+};
+
+export const joinCounterRoom = (counterId) => {
+  if (socket) {
+    socket.emit('join_counter', { counterId });
+  }
+};
@@ -0,0 +1,300 @@
+import { useEffect, useState } from 'react';
+import { useRouter } from 'next/router';
+import { getInvitation, acceptInvitation } from '../lib/auth';
+import { getHomePath, formatRoleName } from '../lib/permissions';
+import TwoFactorSetup from '../components/TwoFactorSetup';
+
+const MIN_PASSWORD_LENGTH = 6;
+
+/**
+ * Accept Invitation Page
+ * Opened from the invitation email; the invitee chooses a password and is
+ * signed straight in.
+ */
+export default function AcceptInvitePage() {
+  const router = useRouter();
+  const { token } = router.query;
+  const [invitation, setInvitation] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+  const [setupChallenge, setSetupChallenge] = useState('');
+
+  useEffect(() => {
+    if (!router.isReady) return;
+
+    if (!token) {
+      setError('This invitation link is incomplete. Please open the link from your email again.');
+      setLoading(false);
+      return;
+    }
+
+    const loadInvitation = async () => {
+      try {
+        const response = await getInvitation(token);
+        if (response.success) {
+          setInvitation(response.data);
+        } else {
+          setError(response.error?.message || 'Invitation not found');
+        }
+      } catch (err) {
+        setError(err.error?.message || 'Invitation not found');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadInvitation();
+  }, [router.isReady, token]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      setError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+      return;
+    }
+
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setSubmitting(true);
+
+    try {
+      const response = await acceptInvitation(token, password);
+      if (response.success && response.data.twoFactorSetupRequired) {
+        setSetupChallenge(response.data.challengeToken);
+      } else if (response.success) {
+        router.replace(getHomePath(response.data.user) || '/login');
+      } else {
+        setError(response.error?.message || 'Could not accept the invitation');
+      }
+    } catch (err) {
+      setError(err.error?.message || err.message || 'Could not accept the invitation');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.card}>
+        <div style={styles.logoContainer}>
+          <img
+            src="/logo.png"
+            alt="QTech Logo"
+            style={styles.logoImage}
+          />
+        </div>
+        <h1 style={styles.title}>QTech</h1>
+        <p style={styles.subtitle}>Set Up Your Account</p>
+
+        {loading ? (
+          <p style={styles.info}>Checking your invitation...</p>
+        ) : setupChallenge ? (
+          <>
+            <p style={styles.setupNotice}>
+              Your password is set. Your role requires two-factor authentication, so set it up to finish.
+            </p>
+            <TwoFactorSetup
+              challengeToken={setupChallenge}
+              onComplete={(result) => router.replace(getHomePath(result.user) || '/login')}
+            />
+          </>
+        ) : !invitation ? (
+          <>
+            <div style={styles.error}>{error}</div>
+            <button type="button" onClick={() => router.push('/login')} style={styles.button}>
+              Go to Login
+            </button>
+          </>
+        ) : (
+          <form onSubmit={handleSubmit} style={styles.form}>
+            <div style={styles.inviteSummary}>
+              <div style={styles.inviteName}>
+                {invitation.firstName} {invitation.lastName}
+              </div>
+              <div style={styles.inviteEmail}>{invitation.email}</div>
+              <div style={styles.inviteRole}>{invitation.role === 'kiosk' ? 'Kiosk Device' : formatRoleName(invitation.role)}</div>
+            </div>
+
+            {error && (
+              <div style={styles.error}>{error}</div>
+            )}
+
+            <div style={styles.inputGroup}>
+              <label style={styles.label}>Choose a Password</label>
+              <input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                style={styles.input}
+                autoComplete="new-password"
+                required
+              />
+            </div>
+
+            <div style={styles.inputGroup}>
+              <label style={styles.label}>Confirm Password</label>
+              <input
+                type="password"
+                value={confirmPassword}
+                onChange={(e) => setConfirmPassword(e.target.value)}
+                style={styles.input}
+                autoComplete="new-password"
+                required
+              />
+            </div>
+
+            <button
+              type="submit"
+              disabled={submitting}
+              style={styles.button}
+            >
+              {submitting ? 'Setting up...' : 'Accept Invitation'}
+            </button>
+          </form>
+        )}
+
+        <p style={styles.info}>
+          This link works once. Expired links can be renewed by an administrator.
+        </p>
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  container: {
+    minHeight: '100vh',
+    display: 'flex',
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#f8fafc',
+    padding: '20px',
+  },
+  card: {
+    backgroundColor: 'white',
+    borderRadius: '16px',
+    padding: '40px',
+    width: '100%',
+    maxWidth: '400px',
+    boxShadow: '0 4px 12px rgba(0,0,0,0.1)',
+  },
+  logoContainer: {
+    display: 'flex',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginBottom: '24px',
+  },
+  logoImage: {
+    width: '80px',
+    height: '80px',
+    objectFit: 'contain',
+  },
+  title: {
+    fontSize: '36px',
+    fontWeight: '800',
+    color: '#dc2626',
+    textAlign: 'center',
+    marginBottom: '8px',
+    letterSpacing: '-0.5px',
+  },
+  subtitle: {
+    fontSize: '16px',
+    color: '#666',
+    textAlign: 'center',
+    marginBottom: '30px',
+  },
+  form: {
+    width: '100%',
+  },
+  inviteSummary: {
+    backgroundColor: '#f8fafc',
+    border: '1px solid #e2e8f0',
+    borderRadius: '12px',
+    padding: '16px',
+    marginBottom: '24px',
+    textAlign: 'center',
+  },
+  inviteName: {
+    fontSize: '18px',
+    fontWeight: '700',
+    color: '#1e293b',
+  },
+  inviteEmail: {
+    fontSize: '14px',
+    color: '#64748b',
+    marginTop: '4px',
+  },
+  inviteRole: {
+    display: 'inline-block',
+    marginTop: '10px',
+    padding: '4px 12px',
+    borderRadius: '12px',
+    backgroundColor: '#fee2e2',
+    color: '#991b1b',
+    fontSize: '12px',
+    fontWeight: '600',
+  },
+  inputGroup: {
+    marginBottom: '20px',
+  },
+  label: {
+    display: 'block',
+    marginBottom: '8px',
+    fontSize: '14px',
+    fontWeight: '500',
+    color: '#333',
+  },
+  input: {
+    width: '100%',
+    padding: '14px 16px',
+    border: '2px solid #e5e7eb',
+    borderRadius: '12px',
+    fontSize: '16px',
+    boxSizing: 'border-box',
+    transition: 'all 0.2s',
+  },
+  button: {
+    width: '100%',
+    padding: '16px',
+    backgroundColor: '#dc2626',
+    color: 'white',
+    border: 'none',
+    borderRadius: '12px',
+    fontSize: '16px',
+    fontWeight: '700',
+    cursor: 'pointer',
+    marginTop: '10px',
+    transition: 'all 0.2s',
+    boxShadow: '0 4px 6px rgba(220, 38, 38, 0.2)',
+  },
+  error: {
+    backgroundColor: '#fee2e2',
+    color: '#991b1b',
+    padding: '14px',
+    borderRadius: '10px',
+    marginBottom: '20px',
+    fontSize: '14px',
+    fontWeight: '500',
+    border: '1px solid #fecaca',
+  },
+  setupNotice: {
+    fontSize: '14px',
+    color: '#475569',
+    lineHeight: '1.5',
+    marginBottom: '20px',
+  },
+  info: {
+    marginTop: '20px',
+    fontSize: '12px',
+    color: '#999',
+    textAlign: 'center',
+  },
+};
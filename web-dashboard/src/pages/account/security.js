@@ -0,0 +1,382 @@
+import { useEffect, useState } from 'react';
+import { useRouter } from 'next/router';
+import { FiShield, FiActivity, FiLoader, FiCheckCircle, FiKey } from 'react-icons/fi';
+import {
+  isAuthenticated,
+  getStoredUser,
+  getTwoFactorStatus,
+  disableTwoFactor,
+  regenerateBackupCodes,
+} from '../../lib/auth';
+import { toast } from '../../components/Toast';
+import TwoFactorSetup from '../../components/TwoFactorSetup';
+import BackupCodesList from '../../components/BackupCodesList';
+import LoginHistoryTable from '../../components/LoginHistoryTable';
+import { getHomePath } from '../../lib/permissions';
+
+/**
+ * Account Security Page
+ * Two-factor authentication and recent sign-ins for the signed-in user
+ */
+export default function AccountSecurity() {
+  const router = useRouter();
+  const [user, setUser] = useState(null);
+  const [status, setStatus] = useState(null);
+  const [loading, setLoading] = useState(true);
+  // null, 'setup', 'disable' or 'backup-codes'
+  const [mode, setMode] = useState(null);
+  const [password, setPassword] = useState('');
+  const [code, setCode] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [newBackupCodes, setNewBackupCodes] = useState(null);
+
+  useEffect(() => {
+    if (typeof window === 'undefined') return;
+
+    if (!isAuthenticated()) {
+      router.push('/login');
+      return;
+    }
+
+    setUser(getStoredUser());
+    loadStatus();
+  }, [router]);
+
+  const loadStatus = async () => {
+    try {
+      const response = await getTwoFactorStatus();
+      if (response.success) {
+        setStatus(response.data);
+      }
+    } catch (error) {
+      toast.error(error.error?.message || 'Failed to load two-factor status');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const resetForm = () => {
+    setMode(null);
+    setPassword('');
+    setCode('');
+  };
+
+  const handleSetupComplete = () => {
+    resetForm();
+    toast.success('Two-factor authentication is on');
+    loadStatus();
+  };
+
+  const handleDisable = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    try {
+      const response = await disableTwoFactor(password, code.trim());
+      if (response.success) {
+        toast.success('Two-factor authentication turned off');
+        resetForm();
+        loadStatus();
+      }
+    } catch (error) {
+      toast.error(error.error?.message || 'Failed to turn off two-factor authentication');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleRegenerate = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    try {
+      const response = await regenerateBackupCodes(code.trim());
+      if (response.success) {
+        setNewBackupCodes(response.data.backupCodes);
+        resetForm();
+        loadStatus();
+      }
+    } catch (error) {
+      toast.error(error.error?.message || 'Failed to create backup codes');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (typeof window === 'undefined' || loading) {
+    return (
+      <div style={styles.container}>
+        <div style={styles.loadingContainer}>
+          <FiLoader size={32} className="spin" />
+          <p>Loading account security...</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div style={styles.container}>
+      <header style={styles.header}>
+        <div>
+          <h1 style={styles.headerTitle}>Account Security</h1>
+          <p style={styles.headerSubtitle}>{user?.email}</p>
+        </div>
+        <button onClick={() => router.push(getHomePath(user) || '/login')} style={styles.secondaryButton}>
+          Back to Dashboard
+        </button>
+      </header>
+
+      <main style={styles.main}>
+        {/* Two-Factor Authentication */}
+        <div style={styles.section}>
+          <div style={styles.sectionHeader}>
+            <FiShield size={24} style={{ marginRight: '12px', color: '#dc2626' }} />
+            <h2 style={styles.sectionTitle}>Two-Factor Authentication</h2>
+          </div>
+
+          {!status?.available ? (
+            <p style={styles.text}>Two-factor authentication is available for staff accounts.</p>
+          ) : status.enabled ? (
+            <>
+              <p style={styles.statusOn}>
+                <FiCheckCircle size={18} />
+                <span>On since {new Date(status.enabledAt).toLocaleDateString()}</span>
+              </p>
+              <p style={styles.text}>
+                {status.backupCodesRemaining} unused backup code{status.backupCodesRemaining === 1 ? '' : 's'} left.
+                {status.required && ' Your role requires two-factor authentication, so it cannot be turned off.'}
+              </p>
+
+              {newBackupCodes && (
+                <div style={styles.panel}>
+                  <BackupCodesList codes={newBackupCodes} />
+                  <button onClick={() => setNewBackupCodes(null)} style={styles.primaryButton}>
+                    Done
+                  </button>
+                </div>
+              )}
+
+              {mode === 'backup-codes' && (
+                <form onSubmit={handleRegenerate} style={styles.panel}>
+                  <p style={styles.text}>Enter a code from your authenticator app. Your old backup codes will stop working.</p>
+                  <input
+                    type="text"
+                    inputMode="numeric"
+                    autoComplete="one-time-code"
+                    value={code}
+                    onChange={(e) => setCode(e.target.value)}
+                    placeholder="6-digit code"
+                    style={styles.input}
+                    required
+                  />
+                  <div style={styles.actions}>
+                    <button type="button" onClick={resetForm} style={styles.secondaryButton}>Cancel</button>
+                    <button type="submit" disabled={submitting} style={styles.primaryButton}>
+                      {submitting ? 'Creating...' : 'Create New Codes'}
+                    </button>
+                  </div>
+                </form>
+              )}
+
+              {mode === 'disable' && (
+                <form onSubmit={handleDisable} style={styles.panel}>
+                  <p style={styles.text}>Confirm with your password and an authenticator or backup code.</p>
+                  <input
+                    type="password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    placeholder="Password"
+                    style={styles.input}
+                    required
+                  />
+                  <input
+                    type="text"
+                    autoComplete="one-time-code"
+                    value={code}
+                    onChange={(e) => setCode(e.target.value)}
+                    placeholder="Authentication code"
+                    style={styles.input}
+                    required
+                  />
+                  <div style={styles.actions}>
+                    <button type="button" onClick={resetForm} style={styles.secondaryButton}>Cancel</button>
+                    <button type="submit" disabled={submitting} style={styles.dangerButton}>
+                      {submitting ? 'Turning off...' : 'Turn Off'}
+                    </button>
+                  </div>
+                </form>
+              )}
+
+              {!mode && !newBackupCodes && (
+                <div style={styles.actions}>
+                  <button onClick={() => setMode('backup-codes')} style={styles.secondaryButton}>
+                    <FiKey size={16} />
+                    <span>New Backup Codes</span>
+                  </button>
+                  {!status.required && (
+                    <button onClick={() => setMode('disable')} style={styles.dangerButton}>
+                      Turn Off
+                    </button>
+                  )}
+                </div>
+              )}
+            </>
+          ) : mode === 'setup' ? (
+            <div style={styles.panel}>
+              <TwoFactorSetup onComplete={handleSetupComplete} onCancel={resetForm} />
+            </div>
+          ) : (
+            <>
+              <p style={styles.text}>
+                Protect your account with a code from an authenticator app as well as your password.
+                {status.required && ' Your role requires it; you will be asked to set it up at your next login.'}
+              </p>
+              <button onClick={() => setMode('setup')} style={styles.primaryButton}>
+                Set Up Two-Factor Authentication
+              </button>
+            </>
+          )}
+        </div>
+
+        {/* Login History */}
+        <div style={styles.section}>
+          <div style={styles.sectionHeader}>
+            <FiActivity size={24} style={{ marginRight: '12px', color: '#dc2626' }} />
+            <h2 style={styles.sectionTitle}>Your Recent Sign-ins</h2>
+          </div>
+          <LoginHistoryTable endpoint="/auth/me/login-history" limit={10} />
+        </div>
+      </main>
+    </div>
+  );
+}
+
+const styles = {
+  container: {
+    minHeight: '100vh',
+    backgroundColor: '#f8fafc',
+  },
+  loadingContainer: {
+    display: 'flex',
+    flexDirection: 'column',
+    alignItems: 'center',
+    justifyContent: 'center',
+    minHeight: '100vh',
+    gap: '12px',
+    color: '#64748b',
+  },
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: '20px 32px',
+    backgroundColor: 'white',
+    borderBottom: '1px solid #e2e8f0',
+  },
+  headerTitle: {
+    fontSize: '24px',
+    fontWeight: '700',
+    color: '#1e293b',
+    margin: 0,
+  },
+  headerSubtitle: {
+    fontSize: '14px',
+    color: '#64748b',
+    margin: '4px 0 0',
+  },
+  main: {
+    maxWidth: '800px',
+    margin: '0 auto',
+    padding: '32px 20px',
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '24px',
+  },
+  section: {
+    backgroundColor: 'white',
+    borderRadius: '16px',
+    padding: '28px',
+    boxShadow: '0 1px 3px rgba(0,0,0,0.1)',
+    border: '1px solid #e2e8f0',
+  },
+  sectionHeader: {
+    display: 'flex',
+    alignItems: 'center',
+    marginBottom: '24px',
+    paddingBottom: '16px',
+    borderBottom: '2px solid #f1f5f9',
+  },
+  sectionTitle: {
+    fontSize: '20px',
+    fontWeight: '700',
+    color: '#1e293b',
+    margin: 0,
+  },
+  text: {
+    fontSize: '14px',
+    color: '#475569',
+    lineHeight: '1.5',
+    margin: '0 0 16px',
+  },
+  statusOn: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    fontSize: '15px',
+    fontWeight: '600',
+    color: '#065f46',
+    margin: '0 0 8px',
+  },
+  panel: {
+    maxWidth: '420px',
+    padding: '20px',
+    border: '1px solid #e2e8f0',
+    borderRadius: '12px',
+    marginBottom: '16px',
+  },
+  input: {
+    display: 'block',
+    width: '100%',
+    padding: '12px 16px',
+    border: '1px solid #e2e8f0',
+    borderRadius: '8px',
+    fontSize: '14px',
+    marginBottom: '12px',
+    boxSizing: 'border-box',
+  },
+  actions: {
+    display: 'flex',
+    gap: '12px',
+  },
+  primaryButton: {
+    padding: '10px 20px',
+    backgroundColor: '#dc2626',
+    color: 'white',
+    border: 'none',
+    borderRadius: '8px',
+    fontSize: '14px',
+    fontWeight: '600',
+    cursor: 'pointer',
+  },
+  secondaryButton: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    padding: '10px 20px',
+    backgroundColor: '#f1f5f9',
+    color: '#475569',
+    border: '1px solid #e2e8f0',
+    borderRadius: '8px',
+    fontSize: '14px',
+    fontWeight: '600',
+    cursor: 'pointer',
+  },
+  dangerButton: {
+    padding: '10px 20px',
+    backgroundColor: 'white',
+    color: '#dc2626',
+    border: '1px solid #fecaca',
+    borderRadius: '8px',
+    fontSize: '14px',
+    fontWeight: '600',
+    cursor: 'pointer',
+  },
+};
@@ -3,12 +3,14 @@ import { useRouter } from 'next/router';
 import { 
   FiBarChart2, FiTrendingUp, FiClock, FiCheckCircle, 
   FiUser, FiLogOut, FiLoader, FiCalendar, FiFilter,
-  FiDownload, FiRefreshCw
+  FiDownload, FiRefreshCw, FiStar
 } from 'react-icons/fi';
 import { MdQueue, MdAccessTime, MdBusiness } from 'react-icons/md';
 import apiClient from '../../lib/api';
 import { isAuthenticated, getStoredUser, logout } from '../../lib/auth';
+import { hasPermission, PERMISSIONS, formatRoleName } from '../../lib/permissions';
 import { toast } from '../../components/Toast';
+import { PRIORITY_LABELS } from '../../lib/priority';
 
 export default function Analytics() {
   const router = useRouter();
@@ -32,7 +34,7 @@ export default function Analytics() {
     }
 
     const currentUser = getStoredUser();
-    if (currentUser?.role !== 'admin') {
+    if (!hasPermission(currentUser, PERMISSIONS.ANALYTICS_VIEW)) {
       router.push('/login');
       return;
     }
@@ -159,8 +161,20 @@ export default function Analytics() {
     csv += `Cancelled Queues,${analytics.cancelledQueues}\n`;
     csv += `Average Wait Time (minutes),${analytics.averageWaitTime || 'N/A'}\n`;
     csv += `Average Service Time (minutes),${analytics.averageServiceTime || 'N/A'}\n`;
+    csv += `Priority Queues,${analytics.priorityQueues || 0}\n`;
+    csv += `Average Priority Wait Time (minutes),${analytics.averagePriorityWaitTime || 'N/A'}\n`;
     csv += '\n';
 
+    // Priority Lanes
+    if (analytics.priorityBreakdown && analytics.priorityBreakdown.length > 0) {
+      csv += 'Priority Lanes\n';
+      csv += 'Category,Queues,Completed\n';
+      analytics.priorityBreakdown.forEach(item => {
+        csv += `${PRIORITY_LABELS[item.category] || item.category},${item.queueCount},${item.completedCount}\n`;
+      });
+      csv += '\n';
+    }
+
     // Peak Hours
     if (analytics.peakHours && analytics.peakHours.length > 0) {
       csv += 'Peak Hours\n';
@@ -178,9 +192,9 @@ export default function Analytics() {
     // Service Statistics
     if (analytics.serviceStatistics && analytics.serviceStatistics.length > 0) {
       csv += 'Service Performance\n';
-      csv += 'Service,Total Queues,Completed,Average Wait Time (min),Average Queues Per Day\n';
+      csv += 'Service,Total Queues,Completed,Priority,Average Wait Time (min),Average Queues Per Day\n';
       analytics.serviceStatistics.forEach(service => {
-        csv += `${service.serviceName},${service.totalQueues},${service.completedQueues},${service.averageWaitTime || 'N/A'},${service.averageQueuesPerDay.toFixed(1)}\n`;
+        csv += `${service.serviceName},${service.totalQueues},${service.completedQueues},${service.priorityQueues || 0},${service.averageWaitTime || 'N/A'},${service.averageQueuesPerDay.toFixed(1)}\n`;
       });
     }
 
@@ -247,7 +261,7 @@ export default function Analytics() {
             </div>
             <div style={styles.userDetails}>
               <span style={styles.userName}>{user?.first_name} {user?.last_name}</span>
-              <span style={styles.userRole}>Administrator</span>
+              <span style={styles.userRole}>{formatRoleName(user?.role)}</span>
             </div>
           </div>
           <button onClick={handleLogout} style={styles.logoutButton}>
@@ -441,6 +455,18 @@ export default function Analytics() {
                     <span style={styles.statLabel}>Completion Rate</span>
                   </div>
                 </div>
+                <div style={{...styles.statCard, ...styles.statInfo}}>
+                  <div style={styles.statIconWrapper}>
+                    <FiStar size={40} color="#3b82f6" />
+                  </div>
+                  <div style={styles.statContent}>
+                    <span style={styles.statValue}>{analytics.priorityQueues || 0}</span>
+                    <span style={styles.statLabel}>
+                      Priority Queues
+                      {analytics.averagePriorityWaitTime ? ` (avg wait ${analytics.averagePriorityWaitTime} min)` : ''}
+                    </span>
+                  </div>
+                </div>
               </div>
             </div>
 
@@ -483,6 +509,36 @@ export default function Analytics() {
               </div>
             )}
 
+            {/* Priority Lanes */}
+            {analytics.priorityBreakdown && analytics.priorityBreakdown.length > 0 && (
+              <div style={styles.tableSection}>
+                <div style={styles.sectionHeader}>
+                  <FiStar size={24} style={{ marginRight: '12px' }} />
+                  <h2 style={styles.sectionTitle}>Priority Lanes</h2>
+                </div>
+                <div style={styles.tableCard}>
+                  <table style={styles.table}>
+                    <thead>
+                      <tr>
+                        <th style={styles.tableHeader}>Category</th>
+                        <th style={styles.tableHeader}>Queues</th>
+                        <th style={styles.tableHeader}>Completed</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {analytics.priorityBreakdown.map((item, index) => (
+                        <tr key={item.category} style={index % 2 === 0 ? styles.tableRow : styles.tableRowAlt}>
+                          <td style={styles.tableCell}>{PRIORITY_LABELS[item.category] || item.category}</td>
+                          <td style={styles.tableCell}>{item.queueCount}</td>
+                          <td style={styles.tableCell}>{item.completedCount}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            )}
+
             {/* Service Statistics */}
             {analytics.serviceStatistics && analytics.serviceStatistics.length > 0 && (
               <div style={styles.tableSection}>
@@ -497,6 +553,7 @@ export default function Analytics() {
                         <th style={styles.tableHeader}>Service</th>
                         <th style={styles.tableHeader}>Total Queues</th>
                         <th style={styles.tableHeader}>Completed</th>
+                        <th style={styles.tableHeader}>Priority</th>
                         <th style={styles.tableHeader}>Avg Wait Time</th>
                         <th style={styles.tableHeader}>Avg/Day</th>
                       </tr>
@@ -507,6 +564,7 @@ export default function Analytics() {
                           <td style={styles.tableCell}>{service.serviceName}</td>
                           <td style={styles.tableCell}>{service.totalQueues}</td>
                           <td style={styles.tableCell}>{service.completedQueues}</td>
+                          <td style={styles.tableCell}>{service.priorityQueues || 0}</td>
                           <td style={styles.tableCell}>
                             {service.averageWaitTime ? `${service.averageWaitTime} min` : 'N/A'}
                           </td>
@@ -0,0 +1,996 @@
+import { useEffect, useState, useCallback } from 'react';
+import { useRouter } from 'next/router';
+import {
+  FiUser, FiLogOut, FiLoader, FiFilter, FiRefreshCw, FiCalendar,
+  FiClock, FiCheckCircle, FiXCircle, FiAlertCircle, FiLogIn, FiPlus, FiTrash2
+} from 'react-icons/fi';
+import apiClient from '../../lib/api';
+import { isAuthenticated, getStoredUser, logout } from '../../lib/auth';
+import { hasPermission, PERMISSIONS, formatRoleName } from '../../lib/permissions';
+import { toast } from '../../components/Toast';
+import ConfirmModal from '../../components/ConfirmModal';
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const EMPTY_SLOT = {
+  day_of_week: '1',
+  start_time: '08:00',
+  end_time: '08:30',
+  capacity: '1',
+};
+
+// Local YYYY-MM-DD for the date input
+const todayKey = () => {
+  const now = new Date();
+  return [
+    now.getFullYear(),
+    String(now.getMonth() + 1).padStart(2, '0'),
+    String(now.getDate()).padStart(2, '0'),
+  ].join('-');
+};
+
+const STATUS_LABELS = {
+  booked: 'Booked',
+  checked_in: 'Checked In',
+  missed: 'Missed',
+  cancelled: 'Cancelled',
+};
+
+const formatTime = (time) => (time ? time.slice(0, 5) : '-');
+
+export default function AppointmentManagement() {
+  const router = useRouter();
+  const [user, setUser] = useState(null);
+  const [services, setServices] = useState([]);
+  const [filters, setFilters] = useState({
+    date: todayKey(),
+    service_id: '',
+  });
+  const [appointments, setAppointments] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [actionAppointmentId, setActionAppointmentId] = useState(null);
+  const [cancellingAppointment, setCancellingAppointment] = useState(null);
+  const [slots, setSlots] = useState([]);
+  const [slotForm, setSlotForm] = useState(EMPTY_SLOT);
+  const [savingSlot, setSavingSlot] = useState(false);
+  const [deletingSlotId, setDeletingSlotId] = useState(null);
+
+  useEffect(() => {
+    if (typeof window === 'undefined') return;
+
+    if (!isAuthenticated()) {
+      router.push('/login');
+      return;
+    }
+
+    const currentUser = getStoredUser();
+    if (!hasPermission(currentUser, PERMISSIONS.SERVICES_MANAGE, PERMISSIONS.QUEUES_OVERRIDE)) {
+      router.push('/login');
+      return;
+    }
+
+    setUser(currentUser);
+    loadServices();
+  }, [router]);
+
+  useEffect(() => {
+    loadAppointments();
+  }, [filters]);
+
+  useEffect(() => {
+    if (filters.service_id) {
+      loadSlots(filters.service_id);
+    } else {
+      setSlots([]);
+    }
+  }, [filters.service_id]);
+
+  const loadServices = async () => {
+    try {
+      const response = await apiClient.get('/admin/services');
+      if (response.success) {
+        setServices(response.data.filter(s => s.is_active));
+      }
+    } catch (error) {
+      console.error('Error loading services:', error);
+    }
+  };
+
+  const loadAppointments = useCallback(async () => {
+    try {
+      setLoading(true);
+      const params = new URLSearchParams();
+      params.append('date', filters.date || todayKey());
+      if (filters.service_id) params.append('serviceId', filters.service_id);
+
+      const response = await apiClient.get(`/admin/appointments?${params.toString()}`);
+      if (response.success) {
+        setAppointments(response.data.appointments || []);
+        setSummary(response.data.summary);
+      }
+    } catch (error) {
+      console.error('Error loading appointments:', error);
+      toast.error(error.error?.message || 'Failed to load appointments');
+    } finally {
+      setLoading(false);
+    }
+  }, [filters]);
+
+  const loadSlots = async (serviceId) => {
+    try {
+      const response = await apiClient.get(`/admin/services/${serviceId}/appointment-slots`);
+      if (response.success) {
+        setSlots(response.data || []);
+      }
+    } catch (error) {
+      console.error('Error loading appointment slots:', error);
+      toast.error(error.error?.message || 'Failed to load appointment slots');
+    }
+  };
+
+  const handleFilterChange = (key, value) => {
+    setFilters(prev => ({ ...prev, [key]: value }));
+  };
+
+  const handleLogout = () => {
+    logout();
+    router.push('/login');
+  };
+
+  const handleCheckIn = async (appointment) => {
+    try {
+      setActionAppointmentId(appointment.id);
+      const response = await apiClient.post(`/appointments/${appointment.id}/check-in`);
+      if (response.success) {
+        toast.success(`${appointment.first_name} checked in as ${response.data.queue.queueNumber}`);
+        loadAppointments();
+      }
+    } catch (error) {
+      toast.error(error.error?.message || 'Failed to check in appointment');
+    } finally {
+      setActionAppointmentId(null);
+    }
+  };
+
+  const handleCancelConfirm = async () => {
+    if (!cancellingAppointment) return;
+
+    try {
+      setActionAppointmentId(cancellingAppointment.id);
+      const response = await apiClient.delete(`/appointments/${cancellingAppointment.id}/cancel`);
+      if (response.success) {
+        toast.success('Appointment cancelled');
+        loadAppointments();
+      }
+    } catch (error) {
+      toast.error(error.error?.message || 'Failed to cancel appointment');
+    } finally {
+      setActionAppointmentId(null);
+      setCancellingAppointment(null);
+    }
+  };
+
+  const handleAddSlot = async (e) => {
+    e.preventDefault();
+
+    if (slotForm.start_time >= slotForm.end_time) {
+      toast.error('End time must be after start time');
+      return;
+    }
+    if (!(parseInt(slotForm.capacity) >= 1)) {
+      toast.error('Capacity must be at least 1');
+      return;
+    }
+
+    setSavingSlot(true);
+    try {
+      const response = await apiClient.post(`/admin/services/${filters.service_id}/appointment-slots`, {
+        day_of_week: parseInt(slotForm.day_of_week),
+        start_time: slotForm.start_time,
+        end_time: slotForm.end_time,
+        capacity: parseInt(slotForm.capacity),
+      });
+      if (response.success) {
+        toast.success('Appointment slot added');
+        loadSlots(filters.service_id);
+      }
+    } catch (error) {
+      toast.error(error.error?.message || 'Failed to add appointment slot');
+    } finally {
+      setSavingSlot(false);
+    }
+  };
+
+  const handleToggleSlot = async (slot) => {
+    try {
+      const response = await apiClient.put(`/admin/services/${filters.service_id}/appointment-slots/${slot.id}`, {
+        is_active: !slot.is_active,
+      });
+      if (response.success) {
+        toast.success(slot.is_active ? 'Slot disabled' : 'Slot enabled');
+        loadSlots(filters.service_id);
+      }
+    } catch (error) {
+      toast.error(error.error?.message || 'Failed to update appointment slot');
+    }
+  };
+
+  const handleDeleteSlotConfirm = async () => {
+    if (!deletingSlotId) return;
+
+    try {
+      const response = await apiClient.delete(`/admin/services/${filters.service_id}/appointment-slots/${deletingSlotId}`);
+      if (response.success) {
+        toast.success('Appointment slot deleted');
+        loadSlots(filters.service_id);
+      }
+    } catch (error) {
+      toast.error(error.error?.message || 'Failed to delete appointment slot');
+    } finally {
+      setDeletingSlotId(null);
+    }
+  };
+
+  // Booked appointments whose check-in window has passed are shown as missed
+  const getDisplayStatus = (appointment) => {
+    if (appointment.status === 'booked' && appointment.checkIn?.code === 'CHECKIN_WINDOW_MISSED') {
+      return 'missed';
+    }
+    return appointment.status;
+  };
+
+  const getStatusColor = (status) => {
+    const colors = {
+      booked: { bg: '#fef3c7', text: '#92400e', border: '#f59e0b' },
+      checked_in: { bg: '#d1fae5', text: '#065f46', border: '#10b981' },
+      missed: { bg: '#f1f5f9', text: '#475569', border: '#94a3b8' },
+      cancelled: { bg: '#fee2e2', text: '#991b1b', border: '#ef4444' },
+    };
+    return colors[status] || colors.booked;
+  };
+
+  const getStatusIcon = (status) => {
+    switch (status) {
+      case 'checked_in':
+        return <FiCheckCircle size={16} />;
+      case 'missed':
+        return <FiAlertCircle size={16} />;
+      case 'cancelled':
+        return <FiXCircle size={16} />;
+      default:
+        return <FiClock size={16} />;
+    }
+  };
+
+  if (typeof window === 'undefined' || loading && appointments.length === 0 && !summary) {
+    return (
+      <div style={styles.container}>
+        <div style={styles.loadingContainer}>
+          <FiLoader style={styles.spinner} className="spin" />
+          <p style={styles.loadingText}>Loading appointments...</p>
+        </div>
+      </div>
+    );
+  }
+
+  const selectedService = services.find(s => String(s.id) === String(filters.service_id));
+
+  return (
+    <div style={styles.container}>
+      {/* Header */}
+      <header style={styles.header}>
+        <div style={styles.headerLeft}>
+          <div style={styles.logoSection}>
+            <div style={styles.logo}>
+              <img
+                src="/logo.png"
+                alt="QTech Logo"
+                style={styles.logoImage}
+              />
+            </div>
+            <div>
+              <h1 style={styles.headerTitle}>Appointments</h1>
+              <p style={styles.headerSubtitle}>QTech Management System</p>
+            </div>
+          </div>
+        </div>
+        <div style={styles.headerRight}>
+          <div style={styles.userInfo}>
+            <div style={styles.userIcon}>
+              <FiUser size={20} />
+            </div>
+            <div style={styles.userDetails}>
+              <span style={styles.userName}>{user?.first_name} {user?.last_name}</span>
+              <span style={styles.userRole}>{formatRoleName(user?.role)}</span>
+            </div>
+          </div>
+          <button onClick={handleLogout} style={styles.logoutButton}>
+            <FiLogOut size={18} />
+            <span>Logout</span>
+          </button>
+        </div>
+      </header>
+
+      <main style={styles.main}>
+        {/* Filters */}
+        <div style={styles.filtersCard}>
+          <div style={styles.filtersHeader}>
+            <FiFilter size={20} />
+            <h2 style={styles.filtersTitle}>Filters</h2>
+            <button
+              onClick={loadAppointments}
+              style={styles.refreshButton}
+              title="Refresh"
+            >
+              <FiRefreshCw size={18} />
+            </button>
+          </div>
+
+          <div style={styles.filtersGrid}>
+            <div style={styles.filterGroup}>
+              <label style={styles.filterLabel}>Date</label>
+              <input
+                type="date"
+                value={filters.date}
+                onChange={(e) => handleFilterChange('date', e.target.value)}
+                style={styles.filterInput}
+              />
+            </div>
+
+            <div style={styles.filterGroup}>
+              <label style={styles.filterLabel}>Service</label>
+              <select
+                value={filters.service_id}
+                onChange={(e) => handleFilterChange('service_id', e.target.value)}
+                style={styles.filterSelect}
+              >
+                <option value="">All Services</option>
+                {services.map(service => (
+                  <option key={service.id} value={service.id}>
+                    {service.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          {summary && (
+            <div style={styles.summaryRow}>
+              <span style={styles.summaryItem}><strong>{summary.total}</strong> booked</span>
+              <span style={styles.summaryItem}><strong>{summary.checkedIn}</strong> checked in</span>
+              <span style={styles.summaryItem}><strong>{summary.booked - summary.missed}</strong> expected</span>
+              <span style={styles.summaryItem}><strong>{summary.missed}</strong> missed</span>
+              <span style={styles.summaryItem}><strong>{summary.cancelled}</strong> cancelled</span>
+            </div>
+          )}
+        </div>
+
+        {/* Day View */}
+        <div style={styles.tableCard}>
+          <div style={styles.tableHeader}>
+            <h2 style={styles.tableTitle}>
+              Appointments ({appointments.length})
+            </h2>
+          </div>
+
+          {appointments.length === 0 ? (
+            <div style={styles.emptyState}>
+              <FiCalendar size={64} color="#cbd5e0" />
+              <h3 style={styles.emptyTitle}>No appointments</h3>
+              <p style={styles.emptyMessage}>Nothing is booked for this day.</p>
+            </div>
+          ) : (
+            <div style={styles.tableContainer}>
+              <table style={styles.table}>
+                <thead>
+                  <tr>
+                    <th style={styles.th}>Time</th>
+                    <th style={styles.th}>Student</th>
+                    <th style={styles.th}>Service</th>
+                    <th style={styles.th}>Status</th>
+                    <th style={styles.th}>Queue Number</th>
+                    <th style={styles.th}>Notes</th>
+                    <th style={styles.th}>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {appointments.map((appointment) => {
+                    const displayStatus = getDisplayStatus(appointment);
+                    const statusStyle = getStatusColor(displayStatus);
+                    const busy = actionAppointmentId === appointment.id;
+                    return (
+                      <tr key={appointment.id} style={styles.tr}>
+                        <td style={styles.td}>
+                          <span style={styles.timeText}>
+                            {formatTime(appointment.start_time)} - {formatTime(appointment.end_time)}
+                          </span>
+                        </td>
+                        <td style={styles.td}>
+                          <div style={styles.userCell}>
+                            <div style={styles.userNameCell}>
+                              {appointment.first_name} {appointment.last_name}
+                            </div>
+                            <div style={styles.userEmailCell}>
+                              {appointment.student_id || appointment.email}
+                            </div>
+                          </div>
+                        </td>
+                        <td style={styles.td}>
+                          <span style={styles.serviceName}>{appointment.service_name}</span>
+                        </td>
+                        <td style={styles.td}>
+                          <span
+                            style={{
+                              ...styles.statusBadge,
+                              backgroundColor: statusStyle.bg,
+                              color: statusStyle.text,
+                              borderColor: statusStyle.border,
+                            }}
+                          >
+                            {getStatusIcon(displayStatus)}
+                            {STATUS_LABELS[displayStatus]}
+                          </span>
+                        </td>
+                        <td style={styles.td}>
+                          {appointment.queue_number ? (
+                            <div>
+                              <span style={styles.queueNumber}>{appointment.queue_number}</span>
+                              <div style={styles.userEmailCell}>{appointment.queue_status}</div>
+                            </div>
+                          ) : (
+                            <span style={styles.noValue}>-</span>
+                          )}
+                        </td>
+                        <td style={styles.td}>
+                          <span style={styles.notesText}>{appointment.notes || '-'}</span>
+                        </td>
+                        <td style={styles.td}>
+                          {appointment.status === 'booked' && (
+                            <div style={styles.actionsCell}>
+                              <button
+                                onClick={() => handleCheckIn(appointment)}
+                                disabled={busy || !appointment.checkIn?.canCheckIn}
+                                style={{
+                                  ...styles.actionButton,
+                                  opacity: busy || !appointment.checkIn?.canCheckIn ? 0.5 : 1,
+                                }}
+                                title={appointment.checkIn?.canCheckIn ? 'Check In' : appointment.checkIn?.message}
+                              >
+                                {busy ? <FiLoader className="spin" size={16} /> : <FiLogIn size={16} />}
+                              </button>
+                              <button
+                                onClick={() => setCancellingAppointment(appointment)}
+                                disabled={busy}
+                                style={styles.actionButton}
+                                title="Cancel Appointment"
+                              >
+                                <FiXCircle size={16} />
+                              </button>
+                            </div>
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
+        {/* Slot Definitions */}
+        <div style={{ ...styles.tableCard, ...styles.slotsCard }}>
+          <div style={styles.tableHeader}>
+            <h2 style={styles.tableTitle}>
+              Appointment Slots{selectedService ? ` · ${selectedService.name}` : ''}
+            </h2>
+          </div>
+
+          {!selectedService ? (
+            <p style={styles.emptyMessage}>Select a service above to manage its weekly appointment slots.</p>
+          ) : (
+            <>
+              {slots.length === 0 ? (
+                <p style={styles.emptyMessage}>
+                  No slots yet. Students can only join the walk-in queue for this service.
+                </p>
+              ) : (
+                <div style={styles.tableContainer}>
+                  <table style={styles.table}>
+                    <thead>
+                      <tr>
+                        <th style={styles.th}>Day</th>
+                        <th style={styles.th}>Time</th>
+                        <th style={styles.th}>Capacity</th>
+                        <th style={styles.th}>Status</th>
+                        <th style={styles.th}>Actions</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {slots.map((slot) => (
+                        <tr key={slot.id} style={styles.tr}>
+                          <td style={styles.td}>{DAY_NAMES[slot.day_of_week]}</td>
+                          <td style={styles.td}>
+                            <span style={styles.timeText}>
+                              {formatTime(slot.start_time)} - {formatTime(slot.end_time)}
+                            </span>
+                          </td>
+                          <td style={styles.td}>{slot.capacity}</td>
+                          <td style={styles.td}>
+                            <button onClick={() => handleToggleSlot(slot)} style={styles.toggleButton}>
+                              {slot.is_active ? 'Active' : 'Disabled'}
+                            </button>
+                          </td>
+                          <td style={styles.td}>
+                            <button
+                              onClick={() => setDeletingSlotId(slot.id)}
+                              style={styles.actionButton}
+                              title="Delete Slot"
+                            >
+                              <FiTrash2 size={16} />
+                            </button>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+
+              <form onSubmit={handleAddSlot} style={styles.slotForm}>
+                <div style={styles.filterGroup}>
+                  <label style={styles.filterLabel}>Day</label>
+                  <select
+                    value={slotForm.day_of_week}
+                    onChange={(e) => setSlotForm({ ...slotForm, day_of_week: e.target.value })}
+                    style={styles.filterSelect}
+                  >
+                    {DAY_NAMES.map((name, day) => (
+                      <option key={day} value={day}>{name}</option>
+                    ))}
+                  </select>
+                </div>
+                <div style={styles.filterGroup}>
+                  <label style={styles.filterLabel}>Start</label>
+                  <input
+                    type="time"
+                    value={slotForm.start_time}
+                    onChange={(e) => setSlotForm({ ...slotForm, start_time: e.target.value })}
+                    style={styles.filterInput}
+                    required
+                  />
+                </div>
+                <div style={styles.filterGroup}>
+                  <label style={styles.filterLabel}>End</label>
+                  <input
+                    type="time"
+                    value={slotForm.end_time}
+                    onChange={(e) => setSlotForm({ ...slotForm, end_time: e.target.value })}
+                    style={styles.filterInput}
+                    required
+                  />
+                </div>
+                <div style={styles.filterGroup}>
+                  <label style={styles.filterLabel}>Capacity</label>
+                  <input
+                    type="number"
+                    min="1"
+                    value={slotForm.capacity}
+                    onChange={(e) => setSlotForm({ ...slotForm, capacity: e.target.value })}
+                    style={styles.filterInput}
+                    required
+                  />
+                </div>
+                <button type="submit" style={styles.addSlotButton} disabled={savingSlot}>
+                  {savingSlot ? <FiLoader size={18} className="spin" /> : <FiPlus size={18} />}
+                  <span>Add Slot</span>
+                </button>
+              </form>
+              <p style={styles.helpText}>
+                Slots outside the service&apos;s opening hours on a given date (including holidays) are not offered.
+                Check-in opens {selectedService.appointment_checkin_window_minutes || 15} minutes before the slot starts.
+              </p>
+            </>
+          )}
+        </div>
+      </main>
+
+      {/* Cancel Appointment Modal */}
+      <ConfirmModal
+        isOpen={!!cancellingAppointment}
+        onClose={() => setCancellingAppointment(null)}
+        onConfirm={handleCancelConfirm}
+        title="Cancel Appointment"
+        message={cancellingAppointment
+          ? `Cancel ${cancellingAppointment.first_name} ${cancellingAppointment.last_name}'s ${formatTime(cancellingAppointment.start_time)} appointment?`
+          : ''}
+        confirmText="Cancel Appointment"
+        cancelText="Keep"
+        type="danger"
+      />
+
+      {/* Delete Slot Modal */}
+      <ConfirmModal
+        isOpen={!!deletingSlotId}
+        onClose={() => setDeletingSlotId(null)}
+        onConfirm={handleDeleteSlotConfirm}
+        title="Delete Slot"
+        message="Delete this appointment slot? Existing bookings are kept, but no new bookings can be made."
+        confirmText="Delete"
+        cancelText="Cancel"
+        type="danger"
+      />
+    </div>
+  );
+}
+
+const styles = {
+  container: {
+    minHeight: '100vh',
+    backgroundColor: '#f8fafc',
+  },
+  loadingContainer: {
+    display: 'flex',
+    flexDirection: 'column',
+    justifyContent: 'center',
+    alignItems: 'center',
+    minHeight: '100vh',
+  },
+  spinner: {
+    color: '#dc2626',
+    marginBottom: '24px',
+  },
+  loadingText: {
+    color: '#64748b',
+    fontSize: '16px',
+    fontWeight: '500',
+  },
+  header: {
+    backgroundColor: '#ffffff',
+    borderBottom: '1px solid #e2e8f0',
+    padding: '20px 40px',
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    boxShadow: '0 1px 3px rgba(0,0,0,0.05)',
+  },
+  headerLeft: {
+    display: 'flex',
+    alignItems: 'center',
+  },
+  logoSection: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '16px',
+  },
+  logo: {
+    width: '48px',
+    height: '48px',
+    borderRadius: '12px',
+    backgroundColor: 'transparent',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  logoImage: {
+    width: '48px',
+    height: '48px',
+    objectFit: 'contain',
+  },
+  headerTitle: {
+    fontSize: '28px',
+    fontWeight: '800',
+    color: '#1e293b',
+    margin: 0,
+    letterSpacing: '-0.5px',
+  },
+  headerSubtitle: {
+    fontSize: '14px',
+    color: '#64748b',
+    margin: 0,
+  },
+  headerRight: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '20px',
+  },
+  userInfo: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '12px',
+  },
+  userIcon: {
+    width: '40px',
+    height: '40px',
+    borderRadius: '50%',
+    backgroundColor: '#f1f5f9',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    color: '#475569',
+  },
+  userDetails: {
+    display: 'flex',
+    flexDirection: 'column',
+  },
+  userName: {
+    fontSize: '14px',
+    fontWeight: '600',
+    color: '#1e293b',
+    lineHeight: '1.4',
+  },
+  userRole: {
+    fontSize: '12px',
+    color: '#64748b',
+    lineHeight: '1.4',
+  },
+  logoutButton: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    padding: '10px 20px',
+    backgroundColor: '#f1f5f9',
+    color: '#475569',
+    border: '1px solid #e2e8f0',
+    borderRadius: '8px',
+    fontSize: '14px',
+    fontWeight: '600',
+    cursor: 'pointer',
+    transition: 'all 0.2s',
+  },
+  main: {
+    padding: '32px',
+    maxWidth: '1600px',
+    margin: '0 auto',
+  },
+  filtersCard: {
+    backgroundColor: 'white',
+    borderRadius: '16px',
+    padding: '24px',
+    marginBottom: '24px',
+    boxShadow: '0 1px 3px rgba(0,0,0,0.1)',
+    border: '1px solid #e2e8f0',
+  },
+  filtersHeader: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '12px',
+    marginBottom: '20px',
+  },
+  filtersTitle: {
+    fontSize: '20px',
+    fontWeight: '700',
+    color: '#1e293b',
+    margin: 0,
+    flex: 1,
+  },
+  refreshButton: {
+    padding: '8px',
+    backgroundColor: '#f1f5f9',
+    border: '1px solid #e2e8f0',
+    borderRadius: '8px',
+    cursor: 'pointer',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    transition: 'all 0.2s',
+  },
+  filtersGrid: {
+    display: 'grid',
+    gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))',
+    gap: '16px',
+  },
+  filterGroup: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '8px',
+  },
+  filterLabel: {
+    fontSize: '14px',
+    fontWeight: '600',
+    color: '#1e293b',
+  },
+  filterSelect: {
+    padding: '10px 12px',
+    border: '2px solid #e2e8f0',
+    borderRadius: '8px',
+    fontSize: '14px',
+    backgroundColor: 'white',
+    cursor: 'pointer',
+  },
+  filterInput: {
+    padding: '10px 12px',
+    border: '2px solid #e2e8f0',
+    borderRadius: '8px',
+    fontSize: '14px',
+  },
+  summaryRow: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: '24px',
+    marginTop: '20px',
+    paddingTop: '20px',
+    borderTop: '1px solid #e2e8f0',
+  },
+  summaryItem: {
+    fontSize: '14px',
+    color: '#64748b',
+  },
+  tableCard: {
+    backgroundColor: 'white',
+    borderRadius: '16px',
+    padding: '24px',
+    boxShadow: '0 1px 3px rgba(0,0,0,0.1)',
+    border: '1px solid #e2e8f0',
+  },
+  slotsCard: {
+    marginTop: '24px',
+  },
+  tableHeader: {
+    marginBottom: '20px',
+  },
+  tableTitle: {
+    fontSize: '20px',
+    fontWeight: '700',
+    color: '#1e293b',
+    margin: 0,
+  },
+  tableContainer: {
+    overflowX: 'auto',
+  },
+  table: {
+    width: '100%',
+    borderCollapse: 'collapse',
+  },
+  th: {
+    padding: '12px 16px',
+    textAlign: 'left',
+    fontSize: '12px',
+    fontWeight: '700',
+    color: '#64748b',
+    textTransform: 'uppercase',
+    letterSpacing: '0.5px',
+    borderBottom: '2px solid #e2e8f0',
+  },
+  tr: {
+    borderBottom: '1px solid #f1f5f9',
+    transition: 'background-color 0.2s',
+  },
+  td: {
+    padding: '16px',
+    fontSize: '14px',
+    color: '#1e293b',
+  },
+  timeText: {
+    fontSize: '15px',
+    fontWeight: '700',
+    color: '#1e293b',
+  },
+  queueNumber: {
+    fontSize: '16px',
+    fontWeight: '700',
+    color: '#dc2626',
+  },
+  userCell: {
+    display: 'flex',
+    flexDirection: 'column',
+  },
+  userNameCell: {
+    fontWeight: '600',
+    color: '#1e293b',
+  },
+  userEmailCell: {
+    fontSize: '12px',
+    color: '#64748b',
+    marginTop: '4px',
+  },
+  serviceName: {
+    fontWeight: '600',
+    color: '#1e293b',
+  },
+  statusBadge: {
+    display: 'inline-flex',
+    alignItems: 'center',
+    gap: '6px',
+    padding: '6px 12px',
+    borderRadius: '8px',
+    fontSize: '12px',
+    fontWeight: '600',
+    border: '2px solid',
+  },
+  noValue: {
+    color: '#94a3b8',
+    fontStyle: 'italic',
+  },
+  notesText: {
+    fontSize: '13px',
+    color: '#64748b',
+  },
+  emptyState: {
+    textAlign: 'center',
+    padding: '80px 40px',
+  },
+  emptyTitle: {
+    fontSize: '24px',
+    fontWeight: '700',
+    color: '#1e293b',
+    margin: '24px 0 12px',
+  },
+  emptyMessage: {
+    fontSize: '16px',
+    color: '#64748b',
+  },
+  actionsCell: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+  },
+  actionButton: {
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: '8px',
+    backgroundColor: '#f1f5f9',
+    border: '1px solid #e2e8f0',
+    borderRadius: '6px',
+    cursor: 'pointer',
+    transition: 'all 0.2s',
+    color: '#475569',
+  },
+  toggleButton: {
+    padding: '6px 12px',
+    backgroundColor: '#f1f5f9',
+    border: '1px solid #e2e8f0',
+    borderRadius: '6px',
+    fontSize: '12px',
+    fontWeight: '600',
+    color: '#475569',
+    cursor: 'pointer',
+  },
+  slotForm: {
+    display: 'grid',
+    gridTemplateColumns: 'repeat(4, 1fr) auto',
+    alignItems: 'end',
+    gap: '16px',
+    marginTop: '24px',
+    paddingTop: '24px',
+    borderTop: '1px solid #e2e8f0',
+  },
+  addSlotButton: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    padding: '11px 20px',
+    backgroundColor: '#dc2626',
+    color: 'white',
+    border: 'none',
+    borderRadius: '8px',
+    fontSize: '14px',
+    fontWeight: '600',
+    cursor: 'pointer',
+  },
+  helpText: {
+    fontSize: '13px',
+    color: '#64748b',
+    marginTop: '16px',
+  },
+};
+
+// Add CSS animation for spinner
+if (typeof document !== 'undefined') {
+  const style = document.createElement('style');
+  style.textContent = `
+    @keyframes spin {
+      0% { transform: rotate(0deg); }
+      100% { transform: rotate(360deg); }
+    }
+    .spin {
+      animation: spin 1s linear infinite;
+    }
+  `;
+  if (!document.head.querySelector('style[data-appointments-spin]')) {
+    style.setAttribute('data-appointments-spin', 'true');
+    document.head.appendChild(style);
+  }
+}
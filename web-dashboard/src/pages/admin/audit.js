@@ -0,0 +1,758 @@
+import { Fragment, useEffect, useState } from 'react';
+import { useRouter } from 'next/router';
+import {
+  FiUser, FiLogOut, FiLoader, FiX, FiFileText, FiChevronDown, FiChevronUp
+} from 'react-icons/fi';
+import apiClient from '../../lib/api';
+import { isAuthenticated, getStoredUser, logout } from '../../lib/auth';
+import { hasPermission, PERMISSIONS, formatRoleName } from '../../lib/permissions';
+import { toast } from '../../components/Toast';
+
+const emptyFilters = {
+  entityType: '',
+  action: '',
+  from: '',
+  to: '',
+  actorId: '',
+  entityId: '',
+};
+
+// service.hours_update -> Service hours update
+const formatAction = (action) => {
+  const text = action.replace(/[._]/g, ' ');
+  return text.charAt(0).toUpperCase() + text.slice(1);
+};
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+export default function AuditLog() {
+  const router = useRouter();
+  const [user, setUser] = useState(null);
+  const [entries, setEntries] = useState([]);
+  const [actions, setActions] = useState([]);
+  const [entityTypes, setEntityTypes] = useState([]);
+  const [filters, setFilters] = useState(emptyFilters);
+  const [actorLabel, setActorLabel] = useState('');
+  const [expandedId, setExpandedId] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [currentPage, setCurrentPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [total, setTotal] = useState(0);
+  const entriesPerPage = 50;
+
+  useEffect(() => {
+    if (typeof window === 'undefined') return;
+
+    if (!isAuthenticated()) {
+      router.push('/login');
+      return;
+    }
+
+    const currentUser = getStoredUser();
+    if (!hasPermission(currentUser, PERMISSIONS.AUDIT_VIEW)) {
+      router.push('/login');
+      return;
+    }
+
+    setUser(currentUser);
+    loadEntries();
+  }, [router, currentPage, filters]);
+
+  const loadEntries = async () => {
+    try {
+      setLoading(true);
+      const params = new URLSearchParams();
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value) params.append(key, value);
+      });
+      params.append('page', currentPage);
+      params.append('limit', entriesPerPage);
+
+      const response = await apiClient.get(`/admin/audit?${params.toString()}`);
+      if (response.success) {
+        setEntries(response.data.entries || []);
+        setActions(response.data.filters?.actions || []);
+        setEntityTypes(response.data.filters?.entityTypes || []);
+        setTotal(response.data.pagination?.total || 0);
+        setTotalPages(response.data.pagination?.totalPages || 1);
+      }
+    } catch (error) {
+      console.error('Error loading audit log:', error);
+      toast.error(error.error?.message || 'Failed to load audit log');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const updateFilters = (changes) => {
+    setFilters({ ...filters, ...changes });
+    setCurrentPage(1);
+    setExpandedId(null);
+  };
+
+  const filterByActor = (entry) => {
+    if (!entry.actor_id) return;
+    setActorLabel(getActorName(entry));
+    updateFilters({ actorId: String(entry.actor_id) });
+  };
+
+  const filterByEntity = (entry) => {
+    if (!entry.entity_id) return;
+    updateFilters({ entityType: entry.entity_type, action: '', entityId: entry.entity_id });
+  };
+
+  const clearFilters = () => {
+    setActorLabel('');
+    updateFilters(emptyFilters);
+  };
+
+  const getActorName = (entry) => {
+    if (entry.actor_first_name || entry.actor_last_name) {
+      return `${entry.actor_first_name || ''} ${entry.actor_last_name || ''}`.trim();
+    }
+    return entry.actor_email || (entry.actor_id ? `User #${entry.actor_id}` : 'System');
+  };
+
+  const handleLogout = () => {
+    logout();
+    router.push('/login');
+  };
+
+  if (typeof window === 'undefined' || (loading && !user)) {
+    return (
+      <div style={styles.container}>
+        <div style={styles.loadingContainer}>
+          <FiLoader style={styles.spinner} className="spin" />
+          <p style={styles.loadingText}>Loading audit log...</p>
+        </div>
+      </div>
+    );
+  }
+
+  const visibleActions = filters.entityType
+    ? actions.filter(action => action.startsWith(`${filters.entityType}.`))
+    : actions;
+  const hasFilters = Object.values(filters).some(Boolean);
+
+  return (
+    <div style={styles.container}>
+      {/* Header */}
+      <header style={styles.header}>
+        <div style={styles.headerLeft}>
+          <div style={styles.logoSection}>
+            <div style={styles.logo}>
+              <img src="/logo.png" alt="QTech Logo" style={styles.logoImage} />
+            </div>
+            <div>
+              <h1 style={styles.headerTitle}>Audit Log</h1>
+              <p style={styles.headerSubtitle}>QTech Management System</p>
+            </div>
+          </div>
+        </div>
+        <div style={styles.headerRight}>
+          <button onClick={() => router.push('/admin/dashboard')} style={styles.backButton}>
+            Dashboard
+          </button>
+          <div style={styles.userInfo}>
+            <div style={styles.userIcon}>
+              <FiUser size={20} />
+            </div>
+            <div style={styles.userDetails}>
+              <span style={styles.userName}>{user?.first_name} {user?.last_name}</span>
+              <span style={styles.userRole}>{formatRoleName(user?.role)}</span>
+            </div>
+          </div>
+          <button onClick={handleLogout} style={styles.logoutButton}>
+            <FiLogOut size={18} />
+            <span>Logout</span>
+          </button>
+        </div>
+      </header>
+
+      <main style={styles.main}>
+        {/* Filters */}
+        <div style={styles.filtersSection}>
+          <div style={styles.filterRow}>
+            <label style={styles.filterLabel}>
+              Entity
+              <select
+                value={filters.entityType}
+                onChange={(e) => updateFilters({ entityType: e.target.value, action: '', entityId: '' })}
+                style={styles.filterSelect}
+              >
+                <option value="">All entities</option>
+                {entityTypes.map((entityType) => (
+                  <option key={entityType} value={entityType}>{formatAction(entityType)}</option>
+                ))}
+              </select>
+            </label>
+            <label style={styles.filterLabel}>
+              Action
+              <select
+                value={filters.action}
+                onChange={(e) => updateFilters({ action: e.target.value })}
+                style={styles.filterSelect}
+              >
+                <option value="">All actions</option>
+                {visibleActions.map((action) => (
+                  <option key={action} value={action}>{formatAction(action)}</option>
+                ))}
+              </select>
+            </label>
+            <label style={styles.filterLabel}>
+              From
+              <input
+                type="date"
+                value={filters.from}
+                onChange={(e) => updateFilters({ from: e.target.value })}
+                style={styles.filterSelect}
+              />
+            </label>
+            <label style={styles.filterLabel}>
+              To
+              <input
+                type="date"
+                value={filters.to}
+                onChange={(e) => updateFilters({ to: e.target.value })}
+                style={styles.filterSelect}
+              />
+            </label>
+            {hasFilters && (
+              <button onClick={clearFilters} style={styles.clearButton}>
+                Clear filters
+              </button>
+            )}
+          </div>
+
+          {(filters.actorId || filters.entityId) && (
+            <div style={styles.activeFilters}>
+              {filters.actorId && (
+                <button
+                  onClick={() => {
+                    setActorLabel('');
+                    updateFilters({ actorId: '' });
+                  }}
+                  style={styles.filterChip}
+                >
+                  <span>By {actorLabel || `user #${filters.actorId}`}</span>
+                  <FiX size={14} />
+                </button>
+              )}
+              {filters.entityId && (
+                <button onClick={() => updateFilters({ entityId: '' })} style={styles.filterChip}>
+                  <span>{formatAction(filters.entityType || 'entity')} #{filters.entityId}</span>
+                  <FiX size={14} />
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+
+        {/* Entries Table */}
+        <div style={styles.tableCard}>
+          <div style={styles.tableHeader}>
+            <h2 style={styles.tableTitle}>
+              Changes ({total})
+            </h2>
+            {loading && <FiLoader size={20} color="#64748b" className="spin" />}
+          </div>
+          {entries.length === 0 ? (
+            <div style={styles.emptyState}>
+              <FiFileText size={64} color="#cbd5e0" />
+              <h3 style={styles.emptyTitle}>No Changes Found</h3>
+              <p style={styles.emptyMessage}>
+                {hasFilters ? 'No changes match the current filters.' : 'Changes made in the admin pages will appear here.'}
+              </p>
+            </div>
+          ) : (
+            <>
+              <div style={styles.tableWrapper}>
+                <table style={styles.table}>
+                  <thead>
+                    <tr>
+                      <th style={styles.tableHeaderCell}>When</th>
+                      <th style={styles.tableHeaderCell}>Who</th>
+                      <th style={styles.tableHeaderCell}>Action</th>
+                      <th style={styles.tableHeaderCell}>Entity</th>
+                      <th style={styles.tableHeaderCell}>IP Address</th>
+                      <th style={styles.tableHeaderCell}>Changes</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {entries.map((entry, index) => {
+                      const changes = Object.entries(entry.changes || {});
+                      const expanded = expandedId === entry.id;
+                      const rowStyle = index % 2 === 0 ? styles.tableRow : styles.tableRowAlt;
+                      return (
+                        <Fragment key={entry.id}>
+                          <tr style={rowStyle}>
+                            <td style={styles.tableCell}>
+                              {new Date(entry.created_at).toLocaleString()}
+                            </td>
+                            <td style={styles.tableCell}>
+                              <button
+                                onClick={() => filterByActor(entry)}
+                                style={styles.linkButton}
+                                title="Show changes by this user"
+                              >
+                                {getActorName(entry)}
+                              </button>
+                              {entry.actor_role && (
+                                <span style={styles.subText}>{formatRoleName(entry.actor_role)}</span>
+                              )}
+                            </td>
+                            <td style={styles.tableCell}>
+                              <span style={styles.actionBadge}>{formatAction(entry.action)}</span>
+                            </td>
+                            <td style={styles.tableCell}>
+                              {entry.entity_id ? (
+                                <button
+                                  onClick={() => filterByEntity(entry)}
+                                  style={styles.linkButton}
+                                  title="Show the history of this record"
+                                >
+                                  {formatAction(entry.entity_type)} #{entry.entity_id}
+                                </button>
+                              ) : (
+                                formatAction(entry.entity_type)
+                              )}
+                            </td>
+                            <td style={styles.tableCell}>
+                              {entry.ip_address || '-'}
+                            </td>
+                            <td style={styles.tableCell}>
+                              {changes.length === 0 ? (
+                                <span style={styles.subText}>No field changes</span>
+                              ) : (
+                                <button
+                                  onClick={() => setExpandedId(expanded ? null : entry.id)}
+                                  style={styles.toggleButton}
+                                >
+                                  <span>{changes.length} {changes.length === 1 ? 'field' : 'fields'}</span>
+                                  {expanded ? <FiChevronUp size={14} /> : <FiChevronDown size={14} />}
+                                </button>
+                              )}
+                            </td>
+                          </tr>
+                          {expanded && (
+                            <tr style={rowStyle}>
+                              <td colSpan={6} style={styles.detailCell}>
+                                <table style={styles.changesTable}>
+                                  <thead>
+                                    <tr>
+                                      <th style={styles.tableHeaderCell}>Field</th>
+                                      <th style={styles.tableHeaderCell}>Before</th>
+                                      <th style={styles.tableHeaderCell}>After</th>
+                                    </tr>
+                                  </thead>
+                                  <tbody>
+                                    {changes.map(([field, change]) => (
+                                      <tr key={field}>
+                                        <td style={styles.changeCell}>{field}</td>
+                                        <td style={styles.changeCell}>{formatValue(change.from)}</td>
+                                        <td style={styles.changeCell}>{formatValue(change.to)}</td>
+                                      </tr>
+                                    ))}
+                                  </tbody>
+                                </table>
+                                {entry.user_agent && (
+                                  <span style={styles.subText}>{entry.user_agent}</span>
+                                )}
+                              </td>
+                            </tr>
+                          )}
+                        </Fragment>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+
+              {/* Pagination */}
+              {totalPages > 1 && (
+                <div style={styles.pagination}>
+                  <button
+                    onClick={() => setCurrentPage(prev => Math.max(1, prev - 1))}
+                    disabled={currentPage === 1}
+                    style={{
+                      ...styles.paginationButton,
+                      ...(currentPage === 1 ? styles.paginationButtonDisabled : {})
+                    }}
+                  >
+                    Previous
+                  </button>
+                  <span style={styles.paginationInfo}>
+                    Page {currentPage} of {totalPages}
+                  </span>
+                  <button
+                    onClick={() => setCurrentPage(prev => Math.min(totalPages, prev + 1))}
+                    disabled={currentPage === totalPages}
+                    style={{
+                      ...styles.paginationButton,
+                      ...(currentPage === totalPages ? styles.paginationButtonDisabled : {})
+                    }}
+                  >
+                    Next
+                  </button>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </main>
+    </div>
+  );
+}
+
+// Styles - matching admin dashboard theme
+const styles = {
+  container: {
+    minHeight: '100vh',
+    backgroundColor: '#f8fafc',
+  },
+  loadingContainer: {
+    display: 'flex',
+    flexDirection: 'column',
+    justifyContent: 'center',
+    alignItems: 'center',
+    minHeight: '100vh',
+  },
+  spinner: {
+    color: '#dc2626',
+    marginBottom: '24px',
+  },
+  loadingText: {
+    color: '#64748b',
+    fontSize: '16px',
+    fontWeight: '500',
+  },
+  header: {
+    backgroundColor: '#ffffff',
+    borderBottom: '1px solid #e2e8f0',
+    padding: '20px 40px',
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    boxShadow: '0 1px 3px rgba(0,0,0,0.05)',
+  },
+  headerLeft: {
+    display: 'flex',
+    alignItems: 'center',
+  },
+  logoSection: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '16px',
+  },
+  logo: {
+    width: '48px',
+    height: '48px',
+    borderRadius: '12px',
+    backgroundColor: 'transparent',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    overflow: 'hidden',
+  },
+  logoImage: {
+    width: '100%',
+    height: '100%',
+    objectFit: 'contain',
+    display: 'block',
+  },
+  headerTitle: {
+    margin: 0,
+    fontSize: '24px',
+    fontWeight: '700',
+    color: '#1e293b',
+    letterSpacing: '-0.5px',
+  },
+  headerSubtitle: {
+    margin: '4px 0 0 0',
+    fontSize: '14px',
+    color: '#64748b',
+    fontWeight: '400',
+  },
+  headerRight: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '16px',
+  },
+  backButton: {
+    padding: '10px 20px',
+    backgroundColor: '#f1f5f9',
+    color: '#475569',
+    border: '1px solid #e2e8f0',
+    borderRadius: '8px',
+    fontSize: '14px',
+    fontWeight: '600',
+    cursor: 'pointer',
+    transition: 'all 0.2s',
+  },
+  userInfo: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '12px',
+  },
+  userIcon: {
+    width: '40px',
+    height: '40px',
+    borderRadius: '50%',
+    backgroundColor: '#f1f5f9',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    color: '#475569',
+  },
+  userDetails: {
+    display: 'flex',
+    flexDirection: 'column',
+  },
+  userName: {
+    fontSize: '14px',
+    fontWeight: '600',
+    color: '#1e293b',
+    lineHeight: '1.4',
+  },
+  userRole: {
+    fontSize: '12px',
+    color: '#64748b',
+    lineHeight: '1.4',
+  },
+  logoutButton: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    padding: '10px 20px',
+    backgroundColor: '#f1f5f9',
+    color: '#475569',
+    border: '1px solid #e2e8f0',
+    borderRadius: '8px',
+    fontSize: '14px',
+    fontWeight: '600',
+    cursor: 'pointer',
+    transition: 'all 0.2s',
+  },
+  main: {
+    padding: '32px',
+    maxWidth: '1400px',
+    margin: '0 auto',
+  },
+  filtersSection: {
+    backgroundColor: 'white',
+    borderRadius: '16px',
+    padding: '24px',
+    marginBottom: '24px',
+    boxShadow: '0 1px 3px rgba(0,0,0,0.1)',
+    border: '1px solid #e2e8f0',
+  },
+  filterRow: {
+    display: 'flex',
+    gap: '16px',
+    flexWrap: 'wrap',
+    alignItems: 'flex-end',
+  },
+  filterSelect: {
+    padding: '10px 16px',
+    border: '2px solid #e2e8f0',
+    borderRadius: '10px',
+    fontSize: '14px',
+    fontWeight: '600',
+    color: '#475569',
+    backgroundColor: 'white',
+    cursor: 'pointer',
+  },
+  tableCard: {
+    backgroundColor: 'white',
+    borderRadius: '16px',
+    padding: '24px',
+    boxShadow: '0 1px 3px rgba(0,0,0,0.1)',
+    border: '1px solid #e2e8f0',
+  },
+  tableHeader: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: '20px',
+  },
+  tableTitle: {
+    fontSize: '20px',
+    fontWeight: '700',
+    color: '#1e293b',
+    margin: 0,
+  },
+  tableWrapper: {
+    overflowX: 'auto',
+  },
+  table: {
+    width: '100%',
+    borderCollapse: 'collapse',
+  },
+  tableHeaderCell: {
+    padding: '12px 16px',
+    textAlign: 'left',
+    fontSize: '13px',
+    fontWeight: '600',
+    color: '#64748b',
+    textTransform: 'uppercase',
+    letterSpacing: '0.5px',
+    borderBottom: '2px solid #e2e8f0',
+  },
+  tableRow: {
+    backgroundColor: 'white',
+  },
+  tableRowAlt: {
+    backgroundColor: '#f8fafc',
+  },
+  tableCell: {
+    padding: '16px',
+    fontSize: '14px',
+    color: '#475569',
+    borderBottom: '1px solid #f1f5f9',
+  },
+  pagination: {
+    display: 'flex',
+    justifyContent: 'center',
+    alignItems: 'center',
+    gap: '16px',
+    marginTop: '24px',
+    paddingTop: '24px',
+    borderTop: '1px solid #e2e8f0',
+  },
+  paginationButton: {
+    padding: '8px 16px',
+    backgroundColor: '#f1f5f9',
+    color: '#475569',
+    border: '1px solid #e2e8f0',
+    borderRadius: '8px',
+    fontSize: '14px',
+    fontWeight: '600',
+    cursor: 'pointer',
+  },
+  paginationButtonDisabled: {
+    opacity: 0.5,
+    cursor: 'not-allowed',
+  },
+  paginationInfo: {
+    fontSize: '14px',
+    color: '#64748b',
+    fontWeight: '500',
+  },
+  emptyState: {
+    padding: '80px 40px',
+    textAlign: 'center',
+  },
+  emptyTitle: {
+    fontSize: '20px',
+    fontWeight: '700',
+    color: '#1e293b',
+    margin: '24px 0 12px 0',
+  },
+  emptyMessage: {
+    fontSize: '16px',
+    color: '#64748b',
+    margin: 0,
+  },
+  filterLabel: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '6px',
+    fontSize: '13px',
+    fontWeight: '600',
+    color: '#64748b',
+  },
+  activeFilters: {
+    display: 'flex',
+    gap: '10px',
+    flexWrap: 'wrap',
+    marginTop: '16px',
+  },
+  filterChip: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '6px',
+    padding: '6px 12px',
+    backgroundColor: '#fef2f2',
+    color: '#991b1b',
+    border: '1px solid #fecaca',
+    borderRadius: '8px',
+    fontSize: '13px',
+    fontWeight: '600',
+    cursor: 'pointer',
+  },
+  clearButton: {
+    alignSelf: 'flex-end',
+    padding: '10px 16px',
+    backgroundColor: '#f1f5f9',
+    color: '#475569',
+    border: '1px solid #e2e8f0',
+    borderRadius: '10px',
+    fontSize: '14px',
+    fontWeight: '600',
+    cursor: 'pointer',
+  },
+  linkButton: {
+    padding: 0,
+    backgroundColor: 'transparent',
+    border: 'none',
+    color: '#1e293b',
+    fontSize: '14px',
+    fontWeight: '600',
+    textAlign: 'left',
+    cursor: 'pointer',
+  },
+  subText: {
+    display: 'block',
+    fontSize: '12px',
+    color: '#94a3b8',
+    marginTop: '2px',
+  },
+  actionBadge: {
+    display: 'inline-block',
+    padding: '4px 10px',
+    borderRadius: '8px',
+    fontSize: '12px',
+    fontWeight: '600',
+    backgroundColor: '#f1f5f9',
+    color: '#334155',
+    whiteSpace: 'nowrap',
+  },
+  toggleButton: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '6px',
+    padding: '6px 12px',
+    backgroundColor: 'white',
+    color: '#475569',
+    border: '1px solid #e2e8f0',
+    borderRadius: '8px',
+    fontSize: '13px',
+    fontWeight: '600',
+    cursor: 'pointer',
+    whiteSpace: 'nowrap',
+  },
+  detailCell: {
+    padding: '0 16px 16px 16px',
+    borderBottom: '1px solid #f1f5f9',
+  },
+  changesTable: {
+    width: '100%',
+    borderCollapse: 'collapse',
+    backgroundColor: 'white',
+    border: '1px solid #e2e8f0',
+    borderRadius: '8px',
+  },
+  changeCell: {
+    padding: '8px 12px',
+    fontSize: '13px',
+    color: '#475569',
+    borderBottom: '1px solid #f1f5f9',
+    verticalAlign: 'top',
+    fontFamily: 'monospace',
+    wordBreak: 'break-word',
+  },
+};
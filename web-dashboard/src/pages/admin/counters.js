@@ -7,6 +7,7 @@ import {
 import { MdBusiness, MdLocationOn } from 'react-icons/md';
 import apiClient from '../../lib/api';
 import { isAuthenticated, getStoredUser, logout } from '../../lib/auth';
+import { hasPermission, PERMISSIONS, formatRoleName } from '../../lib/permissions';
 import { toast } from '../../components/Toast';
 import ConfirmModal from '../../components/ConfirmModal';
 
@@ -42,7 +43,7 @@ export default function CounterManagement() {
     }
 
     const currentUser = getStoredUser();
-    if (currentUser?.role !== 'admin') {
+    if (!hasPermission(currentUser, PERMISSIONS.SERVICES_MANAGE)) {
       router.push('/login');
       return;
     }
@@ -56,7 +57,7 @@ export default function CounterManagement() {
       const [countersResponse, servicesResponse, usersResponse] = await Promise.all([
         apiClient.get('/admin/counters'),
         apiClient.get('/admin/services'),
-        apiClient.get('/admin/users?role=counter_staff'),
+        apiClient.get('/admin/counters/staff-options'),
       ]);
       
       if (countersResponse.success) {
@@ -68,7 +69,7 @@ export default function CounterManagement() {
         setServices(servicesResponse.data.filter(s => s.is_active));
       }
       if (usersResponse.success) {
-        setStaffUsers(usersResponse.data.users || []);
+        setStaffUsers(usersResponse.data || []);
       }
     } catch (error) {
       console.error('Error loading data:', error);
@@ -270,7 +271,7 @@ export default function CounterManagement() {
             </div>
             <div style={styles.userDetails}>
               <span style={styles.userName}>{user?.first_name} {user?.last_name}</span>
-              <span style={styles.userRole}>Administrator</span>
+              <span style={styles.userRole}>{formatRoleName(user?.role)}</span>
             </div>
           </div>
           <button onClick={handleLogout} style={styles.logoutButton}>
@@ -3,11 +3,12 @@ import { useRouter } from 'next/router';
 import { 
   FiBarChart2, FiClipboard, FiClock, FiCheckCircle, 
   FiTrendingUp, FiUser, FiLogOut, FiLoader, FiDatabase,
-  FiSettings, FiList
+  FiSettings, FiList, FiCalendar, FiShield, FiFileText
 } from 'react-icons/fi';
 import { MdQueue, MdAccessTime, MdBusiness } from 'react-icons/md';
 import apiClient from '../../lib/api';
 import { isAuthenticated, getStoredUser, logout } from '../../lib/auth';
+import { hasPermission, PERMISSIONS, ADMIN_PERMISSIONS, formatRoleName } from '../../lib/permissions';
 
 export default function AdminDashboard() {
   const router = useRouter();
@@ -22,12 +23,19 @@ export default function AdminDashboard() {
     }
 
     const currentUser = getStoredUser();
-    if (currentUser?.role !== 'admin') {
+    if (!hasPermission(currentUser, ...ADMIN_PERMISSIONS)) {
       router.push('/login');
       return;
     }
 
     setUser(currentUser);
+
+    // Roles without analytics only get the shortcuts to their pages
+    if (!hasPermission(currentUser, PERMISSIONS.ANALYTICS_VIEW)) {
+      setLoading(false);
+      return;
+    }
+
     loadDashboard();
 
     // Auto-refresh every 30 seconds
@@ -93,7 +101,7 @@ export default function AdminDashboard() {
             </div>
             <div style={styles.userDetails}>
               <span style={styles.userName}>{user?.first_name} {user?.last_name}</span>
-              <span style={styles.userRole}>Administrator</span>
+              <span style={styles.userRole}>{formatRoleName(user?.role)}</span>
             </div>
           </div>
           <button onClick={handleLogout} style={styles.logoutButton}>
@@ -106,76 +114,126 @@ export default function AdminDashboard() {
       <main style={styles.main}>
         {/* Quick Actions */}
         <div style={styles.quickActions}>
-          <button 
-            onClick={() => router.push('/admin/services')} 
-            style={styles.actionButton}
-          >
-            <FiSettings size={24} />
-            <div style={styles.actionContent}>
-              <span style={styles.actionTitle}>Manage Services</span>
-              <span style={styles.actionSubtitle}>Add, edit, or remove services</span>
-            </div>
-          </button>
-          <button 
-            onClick={() => router.push('/admin/counters')} 
-            style={styles.actionButton}
-          >
-            <FiList size={24} />
-            <div style={styles.actionContent}>
-              <span style={styles.actionTitle}>Manage Counters</span>
-              <span style={styles.actionSubtitle}>Add, edit, or remove counters</span>
-            </div>
-          </button>
-          <button 
-            onClick={() => router.push('/admin/analytics')} 
-            style={styles.actionButton}
-          >
-            <FiBarChart2 size={24} />
-            <div style={styles.actionContent}>
-              <span style={styles.actionTitle}>Analytics & Reports</span>
-              <span style={styles.actionSubtitle}>View statistics and reports</span>
-            </div>
-          </button>
-          <button 
-            onClick={() => router.push('/admin/users')} 
-            style={styles.actionButton}
-          >
-            <FiUser size={24} />
-            <div style={styles.actionContent}>
-              <span style={styles.actionTitle}>Manage Users</span>
-              <span style={styles.actionSubtitle}>View and manage all users</span>
-            </div>
-          </button>
-          <button 
-            onClick={() => router.push('/admin/queues')} 
-            style={styles.actionButton}
-          >
-            <MdQueue size={24} />
-            <div style={styles.actionContent}>
-              <span style={styles.actionTitle}>Queue Management</span>
-              <span style={styles.actionSubtitle}>View and manage all queues</span>
-            </div>
-          </button>
-          <button 
-            onClick={() => router.push('/admin/display-board')} 
-            style={styles.actionButton}
-          >
-            <FiDatabase size={24} />
-            <div style={styles.actionContent}>
-              <span style={styles.actionTitle}>Display Board</span>
-              <span style={styles.actionSubtitle}>TV projection for queue numbers</span>
-            </div>
-          </button>
-          <button 
-            onClick={() => router.push('/admin/settings')} 
-            style={styles.actionButton}
-          >
-            <FiSettings size={24} />
-            <div style={styles.actionContent}>
-              <span style={styles.actionTitle}>System Settings</span>
-              <span style={styles.actionSubtitle}>Configure system preferences</span>
-            </div>
-          </button>
+          {hasPermission(user, PERMISSIONS.SERVICES_MANAGE) && (
+            <button 
+              onClick={() => router.push('/admin/services')} 
+              style={styles.actionButton}
+            >
+              <FiSettings size={24} />
+              <div style={styles.actionContent}>
+                <span style={styles.actionTitle}>Manage Services</span>
+                <span style={styles.actionSubtitle}>Add, edit, or remove services</span>
+              </div>
+            </button>
+          )}
+          {hasPermission(user, PERMISSIONS.SERVICES_MANAGE) && (
+            <button 
+              onClick={() => router.push('/admin/counters')} 
+              style={styles.actionButton}
+            >
+              <FiList size={24} />
+              <div style={styles.actionContent}>
+                <span style={styles.actionTitle}>Manage Counters</span>
+                <span style={styles.actionSubtitle}>Add, edit, or remove counters</span>
+              </div>
+            </button>
+          )}
+          {hasPermission(user, PERMISSIONS.ANALYTICS_VIEW) && (
+            <button 
+              onClick={() => router.push('/admin/analytics')} 
+              style={styles.actionButton}
+            >
+              <FiBarChart2 size={24} />
+              <div style={styles.actionContent}>
+                <span style={styles.actionTitle}>Analytics & Reports</span>
+                <span style={styles.actionSubtitle}>View statistics and reports</span>
+              </div>
+            </button>
+          )}
+          {hasPermission(user, PERMISSIONS.USERS_MANAGE) && (
+            <button 
+              onClick={() => router.push('/admin/users')} 
+              style={styles.actionButton}
+            >
+              <FiUser size={24} />
+              <div style={styles.actionContent}>
+                <span style={styles.actionTitle}>Manage Users</span>
+                <span style={styles.actionSubtitle}>View and manage all users</span>
+              </div>
+            </button>
+          )}
+          {hasPermission(user, PERMISSIONS.ROLES_MANAGE) && (
+            <button 
+              onClick={() => router.push('/admin/roles')} 
+              style={styles.actionButton}
+            >
+              <FiShield size={24} />
+              <div style={styles.actionContent}>
+                <span style={styles.actionTitle}>Roles & Permissions</span>
+                <span style={styles.actionSubtitle}>Decide who can do what</span>
+              </div>
+            </button>
+          )}
+          {hasPermission(user, PERMISSIONS.QUEUES_OVERRIDE) && (
+            <button 
+              onClick={() => router.push('/admin/queues')} 
+              style={styles.actionButton}
+            >
+              <MdQueue size={24} />
+              <div style={styles.actionContent}>
+                <span style={styles.actionTitle}>Queue Management</span>
+                <span style={styles.actionSubtitle}>View and manage all queues</span>
+              </div>
+            </button>
+          )}
+          {hasPermission(user, PERMISSIONS.SERVICES_MANAGE, PERMISSIONS.QUEUES_OVERRIDE) && (
+            <button 
+              onClick={() => router.push('/admin/appointments')} 
+              style={styles.actionButton}
+            >
+              <FiCalendar size={24} />
+              <div style={styles.actionContent}>
+                <span style={styles.actionTitle}>Appointments</span>
+                <span style={styles.actionSubtitle}>Today's bookings and appointment slots</span>
+              </div>
+            </button>
+          )}
+          {hasPermission(user, PERMISSIONS.COUNTERS_OPERATE, PERMISSIONS.QUEUES_OVERRIDE) && (
+            <button 
+              onClick={() => router.push('/admin/display-board')} 
+              style={styles.actionButton}
+            >
+              <FiDatabase size={24} />
+              <div style={styles.actionContent}>
+                <span style={styles.actionTitle}>Display Board</span>
+                <span style={styles.actionSubtitle}>TV projection for queue numbers</span>
+              </div>
+            </button>
+          )}
+          {hasPermission(user, PERMISSIONS.SETTINGS_MANAGE) && (
+            <button 
+              onClick={() => router.push('/admin/settings')} 
+              style={styles.actionButton}
+            >
+              <FiSettings size={24} />
+              <div style={styles.actionContent}>
+                <span style={styles.actionTitle}>System Settings</span>
+                <span style={styles.actionSubtitle}>Configure system preferences</span>
+              </div>
+            </button>
+          )}
+          {hasPermission(user, PERMISSIONS.AUDIT_VIEW) && (
+            <button 
+              onClick={() => router.push('/admin/audit')} 
+              style={styles.actionButton}
+            >
+              <FiFileText size={24} />
+              <div style={styles.actionContent}>
+                <span style={styles.actionTitle}>Audit Log</span>
+                <span style={styles.actionSubtitle}>See who changed what and when</span>
+              </div>
+            </button>
+          )}
         </div>
 
         {stats && (
@@ -1,10 +1,12 @@
 import { useEffect, useState } from 'react';
 import { useRouter } from 'next/router';
 import { FiRefreshCw, FiMonitor } from 'react-icons/fi';
-import { MdQueue, MdAccessTime, MdCheckCircle } from 'react-icons/md';
+import { MdQueue, MdAccessTime, MdCheckCircle, MdQrCode2 } from 'react-icons/md';
 import { HiOutlineClock } from 'react-icons/hi';
+import { QRCodeSVG } from 'qrcode.react';
 import apiClient from '../../lib/api';
 import { isAuthenticated, getStoredUser } from '../../lib/auth';
+import { connectSocket, disconnectSocket, joinServiceRoom } from '../../lib/socket';
 
 export default function DisplayBoard() {
   const router = useRouter();
@@ -15,6 +17,7 @@ export default function DisplayBoard() {
   const [services, setServices] = useState([]);
   const [isFullscreen, setIsFullscreen] = useState(false);
   const [currentTime, setCurrentTime] = useState(new Date());
+  const [checkInCode, setCheckInCode] = useState(null);
 
   useEffect(() => {
     if (typeof window === 'undefined') return;
@@ -32,10 +35,10 @@ export default function DisplayBoard() {
       setCurrentTime(new Date());
     }, 1000);
 
-    // Auto-refresh data every 5 seconds
+    // Fallback refresh; live updates arrive over the WebSocket
     const dataInterval = setInterval(() => {
       loadDisplayData();
-    }, 5000);
+    }, 15000);
 
     return () => {
       clearInterval(timeInterval);
@@ -43,6 +46,71 @@ export default function DisplayBoard() {
     };
   }, [selectedService]);
 
+  // Live updates with a read-only display board token
+  useEffect(() => {
+    if (typeof window === 'undefined') return;
+
+    const serviceIds = selectedService ? [selectedService] : services.map(s => s.id);
+    if (serviceIds.length === 0) return;
+
+    const fetchSocketToken = async () => {
+      const params = new URLSearchParams();
+      if (selectedService) params.append('serviceId', selectedService);
+
+      const response = await apiClient.get(`/admin/display-board/socket-token?${params.toString()}`);
+      return response.data.token;
+    };
+
+    const socket = connectSocket(fetchSocketToken);
+
+    // Rooms are lost on reconnect, so join them on every connect
+    const joinRooms = () => serviceIds.forEach(joinServiceRoom);
+    const refresh = () => loadDisplayData();
+
+    socket.on('connect', joinRooms);
+    socket.on('queue_update', refresh);
+    socket.on('counter_update', refresh);
+    if (socket.connected) joinRooms();
+
+    return () => {
+      disconnectSocket();
+    };
+  }, [selectedService, services]);
+
+  // Rotate the on-site check-in QR code before the current one expires
+  useEffect(() => {
+    if (typeof window === 'undefined') return;
+
+    let timer = null;
+    let cancelled = false;
+
+    const loadCheckInCode = async () => {
+      let refreshInSeconds = 30;
+      try {
+        const params = new URLSearchParams();
+        if (selectedService) params.append('serviceId', selectedService);
+
+        const response = await apiClient.get(`/admin/display-board/checkin-token?${params.toString()}`);
+        if (response.success && !cancelled) {
+          setCheckInCode(response.data.required ? response.data : null);
+          refreshInSeconds = response.data.refreshInSeconds || refreshInSeconds;
+        }
+      } catch (error) {
+        console.error('Error loading check-in code:', error);
+      }
+      if (!cancelled) {
+        timer = setTimeout(loadCheckInCode, refreshInSeconds * 1000);
+      }
+    };
+
+    loadCheckInCode();
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [selectedService]);
+
   const loadServices = async () => {
     try {
       const response = await apiClient.get('/admin/services');
@@ -58,7 +126,7 @@ export default function DisplayBoard() {
     try {
       setLoading(true);
       const params = new URLSearchParams();
-      if (selectedService) params.append('service_id', selectedService);
+      if (selectedService) params.append('serviceId', selectedService);
 
       const response = await apiClient.get(`/admin/display-board?${params.toString()}`);
       if (response.success) {
@@ -244,7 +312,12 @@ export default function DisplayBoard() {
                       >
                         <div style={styles.queueNumberMedium}>{queue.queue_number}</div>
                         <div style={styles.queueInfoSmall}>
-                          <div style={styles.serviceNameMedium}>{queue.service_name}</div>
+                          <div style={styles.serviceNameMedium}>
+                            {queue.service_name}
+                            {queue.priority_category && (
+                              <span style={styles.priorityTag}>Priority</span>
+                            )}
+                          </div>
                           {queue.counter_name && (
                             <div style={styles.counterInfoSmall}>
                               Counter {queue.counter_number}
@@ -262,6 +335,26 @@ export default function DisplayBoard() {
               </div>
             </div>
 
+            {/* On-site Check-in */}
+            {checkInCode && (
+              <div style={styles.checkInSection}>
+                <div style={styles.sectionHeaderSmall}>
+                  <div style={styles.sectionIconSmall}>
+                    <MdQrCode2 size={20} />
+                  </div>
+                  <h3 style={styles.sectionTitleSmall}>Check In Here</h3>
+                </div>
+                <div style={styles.checkInContent}>
+                  <div style={styles.qrWrapper}>
+                    <QRCodeSVG value={checkInCode.qrValue} size={150} />
+                  </div>
+                  <p style={styles.checkInText}>
+                    Scan with the QTech app to confirm you are here. You will not be called until you check in.
+                  </p>
+                </div>
+              </div>
+            )}
+
             {/* Waiting Counts */}
             <div style={styles.waitingSection}>
               <div style={styles.sectionHeaderSmall}>
@@ -278,6 +371,11 @@ export default function DisplayBoard() {
                         <div style={styles.waitingServiceName}>{service.service_name}</div>
                         <div style={styles.waitingCount}>{service.waiting_count}</div>
                         <div style={styles.waitingLabel}>in queue</div>
+                        {parseInt(service.priority_waiting_count) > 0 && (
+                          <div style={styles.waitingPriority}>
+                            {service.priority_waiting_count} priority
+                          </div>
+                        )}
                       </div>
                     ))}
                   </div>
@@ -694,6 +792,32 @@ const styles = {
     fontSize: '11px',
     color: '#94a3b8',
   },
+  checkInSection: {
+    backgroundColor: '#1a1f2e',
+    borderRadius: '10px',
+    padding: '18px',
+    border: '1px solid #2a3441',
+    boxShadow: '0 2px 6px rgba(0, 0, 0, 0.1)',
+    display: 'flex',
+    flexDirection: 'column',
+  },
+  checkInContent: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '16px',
+  },
+  qrWrapper: {
+    backgroundColor: '#ffffff',
+    padding: '10px',
+    borderRadius: '8px',
+    lineHeight: 0,
+  },
+  checkInText: {
+    color: '#94a3b8',
+    fontSize: '15px',
+    lineHeight: '1.5',
+    margin: 0,
+  },
   waitingSection: {
     backgroundColor: '#1a1f2e',
     borderRadius: '10px',
@@ -739,6 +863,22 @@ const styles = {
     color: '#64748b',
     marginTop: '2px',
   },
+  waitingPriority: {
+    fontSize: '10px',
+    fontWeight: '700',
+    color: '#60a5fa',
+    marginTop: '6px',
+  },
+  priorityTag: {
+    marginLeft: '6px',
+    padding: '1px 6px',
+    borderRadius: '4px',
+    fontSize: '9px',
+    fontWeight: '700',
+    textTransform: 'uppercase',
+    backgroundColor: '#1e3a8a',
+    color: '#bfdbfe',
+  },
   emptyState: {
     display: 'flex',
     flexDirection: 'column',
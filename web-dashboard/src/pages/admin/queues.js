@@ -3,13 +3,15 @@ import { useRouter } from 'next/router';
 import { 
   FiUser, FiLogOut, FiLoader, FiSearch, FiFilter,
   FiClock, FiCheckCircle, FiXCircle, FiAlertCircle,
-  FiRefreshCw, FiChevronLeft, FiChevronRight, FiEdit3, FiMoreVertical
+  FiRefreshCw, FiChevronLeft, FiChevronRight, FiEdit3, FiMoreVertical, FiPrinter
 } from 'react-icons/fi';
 import { MdQueue, MdAccessTime } from 'react-icons/md';
 import apiClient from '../../lib/api';
 import { isAuthenticated, getStoredUser, logout } from '../../lib/auth';
+import { hasPermission, PERMISSIONS, formatRoleName } from '../../lib/permissions';
 import { toast } from '../../components/Toast';
 import ConfirmModal from '../../components/ConfirmModal';
+import { PRIORITY_LABELS, PRIORITY_OPTIONS } from '../../lib/priority';
 
 export default function QueueManagement() {
   const router = useRouter();
@@ -33,6 +35,7 @@ export default function QueueManagement() {
   const [updatingQueueId, setUpdatingQueueId] = useState(null);
   const [showStatusModal, setShowStatusModal] = useState(false);
   const [selectedQueue, setSelectedQueue] = useState(null);
+  const [printingQueueId, setPrintingQueueId] = useState(null);
 
   useEffect(() => {
     if (typeof window === 'undefined') return;
@@ -43,7 +46,7 @@ export default function QueueManagement() {
     }
 
     const currentUser = getStoredUser();
-    if (currentUser?.role !== 'admin') {
+    if (!hasPermission(currentUser, PERMISSIONS.QUEUES_OVERRIDE)) {
       router.push('/login');
       return;
     }
@@ -115,6 +118,21 @@ export default function QueueManagement() {
     setShowStatusModal(true);
   };
 
+  const handleReprint = async (queue) => {
+    try {
+      setPrintingQueueId(queue.id);
+      const response = await apiClient.post(`/admin/queues/${queue.id}/print`);
+
+      if (response.success) {
+        toast.success(`Ticket ${queue.queue_number} sent to the printer`);
+      }
+    } catch (error) {
+      toast.error(error.error?.message || 'Failed to print ticket');
+    } finally {
+      setPrintingQueueId(null);
+    }
+  };
+
   const confirmStatusChange = async (newStatus) => {
     if (!selectedQueue) return;
 
@@ -137,6 +155,29 @@ export default function QueueManagement() {
     }
   };
 
+  const confirmPriorityChange = async (priorityCategory) => {
+    if (!selectedQueue) return;
+
+    try {
+      setUpdatingQueueId(selectedQueue.id);
+      const response = await apiClient.put(`/queue/${selectedQueue.id}/priority`, {
+        priorityCategory,
+      });
+
+      if (response.success) {
+        const label = priorityCategory ? PRIORITY_LABELS[priorityCategory] : 'Regular';
+        toast.success(`Queue ${response.data.queueNumber} moved to ${label} lane`);
+        setShowStatusModal(false);
+        setSelectedQueue(null);
+        loadQueues(); // Refresh the list
+      }
+    } catch (error) {
+      toast.error(error.error?.message || 'Failed to update queue priority');
+    } finally {
+      setUpdatingQueueId(null);
+    }
+  };
+
   const getStatusColor = (status) => {
     const colors = {
       waiting: { bg: '#fef3c7', text: '#92400e', border: '#f59e0b' },
@@ -214,7 +255,7 @@ export default function QueueManagement() {
             </div>
             <div style={styles.userDetails}>
               <span style={styles.userName}>{user?.first_name} {user?.last_name}</span>
-              <span style={styles.userRole}>Administrator</span>
+              <span style={styles.userRole}>{formatRoleName(user?.role)}</span>
             </div>
           </div>
           <button onClick={handleLogout} style={styles.logoutButton}>
@@ -350,13 +391,44 @@ export default function QueueManagement() {
                         <tr key={queue.id} style={styles.tr}>
                           <td style={styles.td}>
                             <span style={styles.queueNumber}>{queue.queue_number}</span>
+                            {queue.priority_category && (
+                              <div style={styles.priorityBadge}>
+                                {PRIORITY_LABELS[queue.priority_category] || queue.priority_category}
+                              </div>
+                            )}
+                            {queue.appointment_id && (
+                              <div style={{ ...styles.priorityBadge, ...styles.appointmentBadge }}>
+                                Appointment
+                              </div>
+                            )}
+                            {queue.requires_checkin && !queue.checked_in_at && queue.status === 'waiting' && (
+                              <div style={{ ...styles.priorityBadge, ...styles.remoteBadge }}>
+                                Not Checked In
+                              </div>
+                            )}
+                            {queue.source === 'kiosk' && (
+                              <div style={{ ...styles.priorityBadge, ...styles.kioskBadge }}>
+                                Kiosk
+                              </div>
+                            )}
                           </td>
                           <td style={styles.td}>
                             <div style={styles.userCell}>
-                              <div style={styles.userNameCell}>
-                                {queue.first_name} {queue.last_name}
-                              </div>
-                              <div style={styles.userEmailCell}>{queue.email}</div>
+                              {queue.user_id ? (
+                                <>
+                                  <div style={styles.userNameCell}>
+                                    {queue.first_name} {queue.last_name}
+                                  </div>
+                                  <div style={styles.userEmailCell}>{queue.email}</div>
+                                </>
+                              ) : (
+                                <>
+                                  <div style={styles.userNameCell}>Walk-in</div>
+                                  <div style={styles.userEmailCell}>
+                                    {[queue.walk_in_student_id, queue.contact_phone].filter(Boolean).join(' · ') || 'Anonymous'}
+                                  </div>
+                                </>
+                              )}
                             </div>
                           </td>
                           <td style={styles.td}>
@@ -421,6 +493,21 @@ export default function QueueManagement() {
                                   <FiEdit3 size={16} />
                                 )}
                               </button>
+                              <button
+                                onClick={() => handleReprint(queue)}
+                                disabled={printingQueueId === queue.id}
+                                style={{
+                                  ...styles.actionButton,
+                                  opacity: printingQueueId === queue.id ? 0.6 : 1,
+                                }}
+                                title="Reprint Ticket"
+                              >
+                                {printingQueueId === queue.id ? (
+                                  <FiLoader className="spin" size={16} />
+                                ) : (
+                                  <FiPrinter size={16} />
+                                )}
+                              </button>
                             </div>
                           </td>
                         </tr>
@@ -494,6 +581,32 @@ export default function QueueManagement() {
                   </button>
                 ))}
               </div>
+              {selectedQueue.status === 'waiting' && (
+                <>
+                  <p style={{...styles.statusModalSubtext, marginTop: '24px', marginBottom: 0}}>
+                    Priority lane: <strong>{PRIORITY_LABELS[selectedQueue.priority_category] || 'Regular'}</strong>
+                  </p>
+                  <div style={styles.statusOptions}>
+                    {[{ value: null, label: 'Regular' }, ...PRIORITY_OPTIONS].map((option) => {
+                      const isCurrent = (selectedQueue.priority_category || null) === option.value;
+                      return (
+                        <button
+                          key={option.label}
+                          onClick={() => confirmPriorityChange(option.value)}
+                          disabled={updatingQueueId === selectedQueue.id || isCurrent}
+                          style={{
+                            ...styles.statusOptionButton,
+                            ...(isCurrent && styles.statusOptionButtonActive),
+                            ...(updatingQueueId === selectedQueue.id && styles.statusOptionButtonDisabled),
+                          }}
+                        >
+                          {option.label}
+                        </button>
+                      );
+                    })}
+                  </div>
+                </>
+              )}
             </div>
           ) : null
         }
@@ -750,6 +863,28 @@ const styles = {
     fontWeight: '700',
     color: '#dc2626',
   },
+  priorityBadge: {
+    display: 'inline-block',
+    marginTop: '4px',
+    padding: '2px 8px',
+    borderRadius: '6px',
+    fontSize: '11px',
+    fontWeight: '700',
+    backgroundColor: '#dbeafe',
+    color: '#1e40af',
+  },
+  appointmentBadge: {
+    backgroundColor: '#ede9fe',
+    color: '#5b21b6',
+  },
+  remoteBadge: {
+    backgroundColor: '#fef3c7',
+    color: '#92400e',
+  },
+  kioskBadge: {
+    backgroundColor: '#f1f5f9',
+    color: '#334155',
+  },
   userCell: {
     display: 'flex',
     flexDirection: 'column',
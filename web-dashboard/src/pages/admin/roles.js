@@ -0,0 +1,967 @@
+import { useEffect, useState } from 'react';
+import { useRouter } from 'next/router';
+import {
+  FiUser, FiLogOut, FiLoader, FiPlus, FiEdit2, FiTrash2,
+  FiX, FiCheck, FiShield, FiUsers
+} from 'react-icons/fi';
+import apiClient from '../../lib/api';
+import { isAuthenticated, getStoredUser, logout } from '../../lib/auth';
+import { hasPermission, PERMISSIONS, formatRoleName } from '../../lib/permissions';
+import { toast } from '../../components/Toast';
+import ConfirmModal from '../../components/ConfirmModal';
+
+const emptyForm = {
+  name: '',
+  description: '',
+  grants: {},
+};
+
+// [{ permission, serviceIds }] -> { [permission]: { serviceIds } }, null meaning all services
+const toFormGrants = (permissions = []) => {
+  return permissions.reduce((grants, grant) => {
+    grants[grant.permission] = { serviceIds: grant.serviceIds || null };
+    return grants;
+  }, {});
+};
+
+export default function RoleManagement() {
+  const router = useRouter();
+  const [user, setUser] = useState(null);
+  const [roles, setRoles] = useState([]);
+  const [permissionDefinitions, setPermissionDefinitions] = useState([]);
+  const [services, setServices] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showModal, setShowModal] = useState(false);
+  const [editingRole, setEditingRole] = useState(null);
+  const [formData, setFormData] = useState(emptyForm);
+  const [submitting, setSubmitting] = useState(false);
+  const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
+  const [deletingRole, setDeletingRole] = useState(null);
+
+  useEffect(() => {
+    if (typeof window === 'undefined') return;
+
+    if (!isAuthenticated()) {
+      router.push('/login');
+      return;
+    }
+
+    const currentUser = getStoredUser();
+    if (!hasPermission(currentUser, PERMISSIONS.ROLES_MANAGE)) {
+      router.push('/login');
+      return;
+    }
+
+    setUser(currentUser);
+    loadData();
+  }, [router]);
+
+  const loadData = async () => {
+    try {
+      const [rolesResponse, permissionsResponse, servicesResponse] = await Promise.all([
+        apiClient.get('/admin/roles'),
+        apiClient.get('/admin/permissions'),
+        // Service scopes are optional; the editor still works without the list
+        apiClient.get('/admin/services').catch(() => ({ success: false })),
+      ]);
+
+      if (rolesResponse.success) {
+        setRoles(rolesResponse.data || []);
+      }
+      if (permissionsResponse.success) {
+        setPermissionDefinitions(permissionsResponse.data || []);
+      }
+      if (servicesResponse.success) {
+        setServices((servicesResponse.data || []).filter(s => s.is_active));
+      }
+    } catch (error) {
+      console.error('Error loading roles:', error);
+      toast.error(error.error?.message || 'Failed to load roles');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const getPermissionLabel = (key) => {
+    const definition = permissionDefinitions.find(p => p.key === key);
+    return definition ? definition.label : key;
+  };
+
+  const getServiceNames = (serviceIds) => {
+    return serviceIds
+      .map(id => services.find(s => s.id === id)?.name || `Service #${id}`)
+      .join(', ');
+  };
+
+  const handleCreate = () => {
+    setEditingRole(null);
+    setFormData(emptyForm);
+    setShowModal(true);
+  };
+
+  const handleEdit = (role) => {
+    setEditingRole(role);
+    setFormData({
+      name: role.name,
+      description: role.description || '',
+      grants: toFormGrants(role.permissions),
+    });
+    setShowModal(true);
+  };
+
+  const handleDelete = (role) => {
+    setDeletingRole(role);
+    setShowDeleteConfirm(true);
+  };
+
+  const handleDeleteConfirm = async () => {
+    if (!deletingRole) return;
+
+    setShowDeleteConfirm(false);
+    try {
+      const response = await apiClient.delete(`/admin/roles/${deletingRole.id}`);
+      if (response.success) {
+        await loadData();
+        toast.success('Role deleted successfully');
+      } else {
+        toast.error(response.error?.message || 'Failed to delete role');
+      }
+    } catch (error) {
+      console.error('Error deleting role:', error);
+      toast.error(error.error?.message || 'Failed to delete role');
+    } finally {
+      setDeletingRole(null);
+    }
+  };
+
+  const togglePermission = (key, checked) => {
+    const grants = { ...formData.grants };
+    if (checked) {
+      grants[key] = { serviceIds: null };
+    } else {
+      delete grants[key];
+    }
+    setFormData({ ...formData, grants });
+  };
+
+  const setPermissionScope = (key, serviceIds) => {
+    setFormData({
+      ...formData,
+      grants: { ...formData.grants, [key]: { serviceIds } },
+    });
+  };
+
+  const toggleScopeService = (key, serviceId, checked) => {
+    const current = formData.grants[key]?.serviceIds || [];
+    const serviceIds = checked
+      ? [...current, serviceId]
+      : current.filter(id => id !== serviceId);
+    setPermissionScope(key, serviceIds);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const name = formData.name.trim();
+    if (!name) {
+      toast.error('Role name is required');
+      return;
+    }
+
+    const unscoped = Object.entries(formData.grants)
+      .find(([, grant]) => grant.serviceIds && grant.serviceIds.length === 0);
+    if (unscoped) {
+      toast.error(`Select at least one service for ${getPermissionLabel(unscoped[0])}`);
+      return;
+    }
+
+    setSubmitting(true);
+
+    try {
+      const data = {
+        name,
+        description: formData.description.trim(),
+      };
+
+      // The admin role's permissions are fixed
+      if (!editingRole || editingRole.name !== 'admin') {
+        data.permissions = Object.entries(formData.grants).map(([permission, grant]) => ({
+          permission,
+          serviceIds: grant.serviceIds,
+        }));
+      }
+
+      if (editingRole) {
+        if (editingRole.is_system) {
+          delete data.name;
+        }
+        const response = await apiClient.put(`/admin/roles/${editingRole.id}`, data);
+        if (response.success) {
+          await loadData();
+          setShowModal(false);
+          toast.success('Role updated successfully');
+        } else {
+          toast.error(response.error?.message || 'Failed to update role');
+        }
+      } else {
+        const response = await apiClient.post('/admin/roles', data);
+        if (response.success) {
+          await loadData();
+          setShowModal(false);
+          toast.success('Role created successfully');
+        } else {
+          toast.error(response.error?.message || 'Failed to create role');
+        }
+      }
+    } catch (error) {
+      console.error('Error saving role:', error);
+      toast.error(error.error?.message || 'Failed to save role');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleLogout = () => {
+    logout();
+    router.push('/login');
+  };
+
+  if (typeof window === 'undefined' || loading) {
+    return (
+      <div style={styles.container}>
+        <div style={styles.loadingContainer}>
+          <FiLoader style={styles.spinner} className="spin" />
+          <p style={styles.loadingText}>Loading roles...</p>
+        </div>
+      </div>
+    );
+  }
+
+  const isAdminRole = editingRole?.name === 'admin';
+
+  return (
+    <div style={styles.container}>
+      {/* Header */}
+      <header style={styles.header}>
+        <div style={styles.headerLeft}>
+          <div style={styles.logoSection}>
+            <div style={styles.logo}>
+              <img src="/logo.png" alt="QTech Logo" style={styles.logoImage} />
+            </div>
+            <div>
+              <h1 style={styles.headerTitle}>Roles &amp; Permissions</h1>
+              <p style={styles.headerSubtitle}>QTech Management System</p>
+            </div>
+          </div>
+        </div>
+        <div style={styles.headerRight}>
+          <button onClick={() => router.push('/admin/dashboard')} style={styles.backButton}>
+            Dashboard
+          </button>
+          <div style={styles.userInfo}>
+            <div style={styles.userIcon}>
+              <FiUser size={20} />
+            </div>
+            <div style={styles.userDetails}>
+              <span style={styles.userName}>{user?.first_name} {user?.last_name}</span>
+              <span style={styles.userRole}>{formatRoleName(user?.role)}</span>
+            </div>
+          </div>
+          <button onClick={handleLogout} style={styles.logoutButton}>
+            <FiLogOut size={18} />
+            <span>Logout</span>
+          </button>
+        </div>
+      </header>
+
+      <main style={styles.main}>
+        <div style={styles.sectionHeader}>
+          <div>
+            <h2 style={styles.sectionTitle}>Roles</h2>
+            <p style={styles.sectionSubtitle}>Decide what each role can do and which services it covers</p>
+          </div>
+          <button onClick={handleCreate} style={styles.addButton}>
+            <FiPlus size={20} />
+            <span>Add Role</span>
+          </button>
+        </div>
+
+        {roles.length === 0 ? (
+          <div style={styles.emptyState}>
+            <FiShield size={64} color="#cbd5e0" />
+            <h3 style={styles.emptyTitle}>No Roles Found</h3>
+            <p style={styles.emptyMessage}>Run the database migrations to create the built-in roles.</p>
+          </div>
+        ) : (
+          <div style={styles.rolesGrid}>
+            {roles.map((role) => (
+              <div key={role.id} style={styles.roleCard}>
+                <div style={styles.roleCardHeader}>
+                  <div>
+                    <h3 style={styles.roleName}>{formatRoleName(role.name)}</h3>
+                    <div style={styles.roleMeta}>
+                      <FiUsers size={16} color="#64748b" />
+                      <span>{role.user_count} {role.user_count === 1 ? 'user' : 'users'}</span>
+                    </div>
+                  </div>
+                  <div style={styles.roleBadges}>
+                    {role.is_system && (
+                      <span style={{
+                        ...styles.statusBadge,
+                        backgroundColor: '#eff6ff',
+                        color: '#1d4ed8',
+                      }}>
+                        Built-in
+                      </span>
+                    )}
+                  </div>
+                </div>
+
+                {role.description && (
+                  <p style={styles.roleDescription}>{role.description}</p>
+                )}
+
+                <div style={styles.roleDetails}>
+                  {role.permissions.length === 0 ? (
+                    <span style={styles.helpText}>No permissions</span>
+                  ) : (
+                    role.permissions.map((grant) => (
+                      <div key={grant.permission} style={styles.detailRow}>
+                        <span style={styles.permissionChip}>{getPermissionLabel(grant.permission)}</span>
+                        {grant.serviceIds && (
+                          <span style={styles.helpText}>{getServiceNames(grant.serviceIds)}</span>
+                        )}
+                      </div>
+                    ))
+                  )}
+                </div>
+
+                <div style={styles.roleActions}>
+                  <button onClick={() => handleEdit(role)} style={styles.editButton}>
+                    <FiEdit2 size={18} />
+                    <span>Edit</span>
+                  </button>
+                  {!role.is_system && (
+                    <button onClick={() => handleDelete(role)} style={styles.deleteButton}>
+                      <FiTrash2 size={18} />
+                      <span>Delete</span>
+                    </button>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </main>
+
+      {/* Modal */}
+      {showModal && (
+        <div style={styles.modalOverlay} onClick={() => setShowModal(false)}>
+          <div style={styles.modalContent} onClick={(e) => e.stopPropagation()}>
+            <div style={styles.modalHeader}>
+              <h2 style={styles.modalTitle}>
+                {editingRole ? `Edit ${formatRoleName(editingRole.name)}` : 'Create New Role'}
+              </h2>
+              <button onClick={() => setShowModal(false)} style={styles.closeButton}>
+                <FiX size={24} />
+              </button>
+            </div>
+
+            <form onSubmit={handleSubmit} style={styles.form}>
+              <div style={styles.formGroup}>
+                <label style={styles.label}>Role Name *</label>
+                <input
+                  type="text"
+                  value={formData.name}
+                  onChange={(e) => setFormData({...formData, name: e.target.value.toLowerCase()})}
+                  style={styles.input}
+                  placeholder="e.g., department_head"
+                  maxLength={20}
+                  required
+                  disabled={editingRole?.is_system}
+                />
+                <p style={styles.helpText}>
+                  Lowercase letters, digits and underscores.
+                  {editingRole?.is_system && ' Built-in roles cannot be renamed.'}
+                </p>
+              </div>
+
+              <div style={styles.formGroup}>
+                <label style={styles.label}>Description</label>
+                <textarea
+                  value={formData.description}
+                  onChange={(e) => setFormData({...formData, description: e.target.value})}
+                  style={{ ...styles.input, minHeight: '80px', resize: 'vertical' }}
+                  placeholder="Optional: who this role is for"
+                />
+              </div>
+
+              <div style={styles.formGroup}>
+                <label style={styles.label}>Permissions</label>
+                {isAdminRole ? (
+                  <p style={styles.helpText}>Administrators always have every permission.</p>
+                ) : (
+                  <div style={styles.checkboxList}>
+                    {permissionDefinitions.map((definition) => {
+                      const grant = formData.grants[definition.key];
+                      const scoped = Boolean(grant?.serviceIds);
+                      return (
+                        <div key={definition.key} style={styles.permissionItem}>
+                          <label style={styles.checkboxLabel}>
+                            <input
+                              type="checkbox"
+                              checked={Boolean(grant)}
+                              onChange={(e) => togglePermission(definition.key, e.target.checked)}
+                              style={styles.checkbox}
+                            />
+                            <span>{definition.label}</span>
+                          </label>
+                          <span style={styles.permissionHelp}>{definition.description}</span>
+
+                          {grant && definition.scopable && (
+                            <div style={styles.scopeBox}>
+                              <label style={styles.checkboxLabel}>
+                                <input
+                                  type="radio"
+                                  name={`scope-${definition.key}`}
+                                  checked={!scoped}
+                                  onChange={() => setPermissionScope(definition.key, null)}
+                                  style={styles.checkbox}
+                                />
+                                <span>All services</span>
+                              </label>
+                              <label style={styles.checkboxLabel}>
+                                <input
+                                  type="radio"
+                                  name={`scope-${definition.key}`}
+                                  checked={scoped}
+                                  onChange={() => setPermissionScope(definition.key, [])}
+                                  style={styles.checkbox}
+                                  disabled={services.length === 0}
+                                />
+                                <span>Only these services</span>
+                              </label>
+                              {scoped && (
+                                <div style={styles.serviceList}>
+                                  {services.map((service) => (
+                                    <label key={service.id} style={styles.checkboxLabel}>
+                                      <input
+                                        type="checkbox"
+                                        checked={grant.serviceIds.includes(service.id)}
+                                        onChange={(e) => toggleScopeService(definition.key, service.id, e.target.checked)}
+                                        style={styles.checkbox}
+                                      />
+                                      <span>{service.name}</span>
+                                    </label>
+                                  ))}
+                                </div>
+                              )}
+                            </div>
+                          )}
+                        </div>
+                      );
+                    })}
+                  </div>
+                )}
+              </div>
+
+              <div style={styles.modalActions}>
+                <button
+                  type="button"
+                  onClick={() => setShowModal(false)}
+                  style={styles.cancelButton}
+                  disabled={submitting}
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  style={styles.submitButton}
+                  disabled={submitting}
+                >
+                  {submitting ? (
+                    <>
+                      <FiLoader size={18} className="spin" />
+                      <span>Saving...</span>
+                    </>
+                  ) : (
+                    <>
+                      <FiCheck size={18} />
+                      <span>{editingRole ? 'Update' : 'Create'} Role</span>
+                    </>
+                  )}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* Delete Confirmation Modal */}
+      <ConfirmModal
+        isOpen={showDeleteConfirm}
+        onClose={() => {
+          setShowDeleteConfirm(false);
+          setDeletingRole(null);
+        }}
+        onConfirm={handleDeleteConfirm}
+        title="Delete Role"
+        message={`Are you sure you want to delete the ${formatRoleName(deletingRole?.name)} role? Roles that users still have cannot be deleted.`}
+        confirmText="Delete"
+        cancelText="Cancel"
+        type="danger"
+      />
+    </div>
+  );
+}
+
+// Styles - matching admin dashboard theme
+const styles = {
+  container: {
+    minHeight: '100vh',
+    backgroundColor: '#f8fafc',
+  },
+  loadingContainer: {
+    display: 'flex',
+    flexDirection: 'column',
+    justifyContent: 'center',
+    alignItems: 'center',
+    minHeight: '100vh',
+  },
+  spinner: {
+    color: '#dc2626',
+    marginBottom: '24px',
+  },
+  loadingText: {
+    color: '#64748b',
+    fontSize: '16px',
+    fontWeight: '500',
+  },
+  header: {
+    backgroundColor: '#ffffff',
+    borderBottom: '1px solid #e2e8f0',
+    padding: '20px 40px',
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    boxShadow: '0 1px 3px rgba(0,0,0,0.05)',
+  },
+  headerLeft: {
+    display: 'flex',
+    alignItems: 'center',
+  },
+  logoSection: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '16px',
+  },
+  logo: {
+    width: '48px',
+    height: '48px',
+    borderRadius: '12px',
+    backgroundColor: 'transparent',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    overflow: 'hidden',
+  },
+  logoImage: {
+    width: '100%',
+    height: '100%',
+    objectFit: 'contain',
+    display: 'block',
+  },
+  headerTitle: {
+    margin: 0,
+    fontSize: '24px',
+    fontWeight: '700',
+    color: '#1e293b',
+    letterSpacing: '-0.5px',
+  },
+  headerSubtitle: {
+    margin: '4px 0 0 0',
+    fontSize: '14px',
+    color: '#64748b',
+    fontWeight: '400',
+  },
+  headerRight: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '16px',
+  },
+  backButton: {
+    padding: '10px 20px',
+    backgroundColor: '#f1f5f9',
+    color: '#475569',
+    border: '1px solid #e2e8f0',
+    borderRadius: '8px',
+    fontSize: '14px',
+    fontWeight: '600',
+    cursor: 'pointer',
+    transition: 'all 0.2s',
+  },
+  userInfo: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '12px',
+  },
+  userIcon: {
+    width: '40px',
+    height: '40px',
+    borderRadius: '50%',
+    backgroundColor: '#f1f5f9',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    color: '#475569',
+  },
+  userDetails: {
+    display: 'flex',
+    flexDirection: 'column',
+  },
+  userName: {
+    fontSize: '14px',
+    fontWeight: '600',
+    color: '#1e293b',
+    lineHeight: '1.4',
+  },
+  userRole: {
+    fontSize: '12px',
+    color: '#64748b',
+    lineHeight: '1.4',
+  },
+  logoutButton: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    padding: '10px 20px',
+    backgroundColor: '#f1f5f9',
+    color: '#475569',
+    border: '1px solid #e2e8f0',
+    borderRadius: '8px',
+    fontSize: '14px',
+    fontWeight: '600',
+    cursor: 'pointer',
+    transition: 'all 0.2s',
+  },
+  main: {
+    padding: '32px',
+    maxWidth: '1400px',
+    margin: '0 auto',
+  },
+  sectionHeader: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'flex-start',
+    marginBottom: '32px',
+  },
+  sectionTitle: {
+    fontSize: '28px',
+    fontWeight: '700',
+    color: '#1e293b',
+    margin: '0 0 8px 0',
+    letterSpacing: '-0.5px',
+  },
+  sectionSubtitle: {
+    fontSize: '16px',
+    color: '#64748b',
+    margin: 0,
+  },
+  addButton: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    padding: '12px 24px',
+    backgroundColor: '#dc2626',
+    color: 'white',
+    border: 'none',
+    borderRadius: '10px',
+    fontSize: '15px',
+    fontWeight: '600',
+    cursor: 'pointer',
+    transition: 'all 0.2s',
+    boxShadow: '0 2px 4px rgba(220, 38, 38, 0.2)',
+  },
+  rolesGrid: {
+    display: 'grid',
+    gridTemplateColumns: 'repeat(auto-fill, minmax(350px, 1fr))',
+    gap: '24px',
+  },
+  roleCard: {
+    backgroundColor: 'white',
+    borderRadius: '16px',
+    padding: '24px',
+    boxShadow: '0 1px 3px rgba(0,0,0,0.1)',
+    border: '1px solid #e2e8f0',
+    transition: 'all 0.2s',
+  },
+  roleCardHeader: {
+    marginBottom: '16px',
+  },
+  roleName: {
+    fontSize: '20px',
+    fontWeight: '700',
+    color: '#1e293b',
+    margin: '0 0 8px 0',
+    letterSpacing: '-0.3px',
+  },
+  roleMeta: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    fontSize: '14px',
+    color: '#64748b',
+  },
+  roleBadges: {
+    display: 'flex',
+    gap: '8px',
+    flexWrap: 'wrap',
+  },
+  statusBadge: {
+    padding: '6px 12px',
+    borderRadius: '12px',
+    fontSize: '12px',
+    fontWeight: '600',
+  },
+  roleDetails: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '10px',
+    marginBottom: '20px',
+    paddingTop: '16px',
+    borderTop: '1px solid #f1f5f9',
+  },
+  detailRow: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '10px',
+    fontSize: '14px',
+    color: '#475569',
+  },
+  roleActions: {
+    display: 'flex',
+    gap: '10px',
+  },
+  editButton: {
+    flex: 1,
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: '8px',
+    padding: '10px 16px',
+    backgroundColor: '#f1f5f9',
+    color: '#475569',
+    border: '1px solid #e2e8f0',
+    borderRadius: '8px',
+    fontSize: '14px',
+    fontWeight: '600',
+    cursor: 'pointer',
+    transition: 'all 0.2s',
+  },
+  deleteButton: {
+    flex: 1,
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: '8px',
+    padding: '10px 16px',
+    backgroundColor: '#fee2e2',
+    color: '#991b1b',
+    border: '1px solid #fecaca',
+    borderRadius: '8px',
+    fontSize: '14px',
+    fontWeight: '600',
+    cursor: 'pointer',
+    transition: 'all 0.2s',
+  },
+  emptyState: {
+    backgroundColor: 'white',
+    borderRadius: '16px',
+    padding: '80px 40px',
+    textAlign: 'center',
+    boxShadow: '0 1px 3px rgba(0,0,0,0.1)',
+    border: '1px solid #e2e8f0',
+  },
+  emptyTitle: {
+    fontSize: '22px',
+    fontWeight: '700',
+    color: '#1e293b',
+    margin: '24px 0 12px 0',
+  },
+  emptyMessage: {
+    fontSize: '16px',
+    color: '#64748b',
+    margin: '0 0 32px 0',
+  },
+  modalOverlay: {
+    position: 'fixed',
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    zIndex: 1000,
+    padding: '20px',
+  },
+  modalContent: {
+    backgroundColor: 'white',
+    borderRadius: '16px',
+    width: '100%',
+    maxWidth: '640px',
+    maxHeight: '90vh',
+    overflow: 'auto',
+    boxShadow: '0 20px 25px rgba(0, 0, 0, 0.1)',
+  },
+  modalHeader: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: '24px',
+    borderBottom: '1px solid #e2e8f0',
+  },
+  modalTitle: {
+    fontSize: '24px',
+    fontWeight: '700',
+    color: '#1e293b',
+    margin: 0,
+  },
+  closeButton: {
+    backgroundColor: 'transparent',
+    border: 'none',
+    cursor: 'pointer',
+    color: '#64748b',
+    padding: '4px',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  form: {
+    padding: '24px',
+  },
+  formGroup: {
+    marginBottom: '20px',
+  },
+  label: {
+    display: 'block',
+    fontSize: '14px',
+    fontWeight: '600',
+    color: '#1e293b',
+    marginBottom: '8px',
+  },
+  input: {
+    width: '100%',
+    padding: '12px 16px',
+    border: '2px solid #e5e7eb',
+    borderRadius: '10px',
+    fontSize: '15px',
+    boxSizing: 'border-box',
+    transition: 'all 0.2s',
+  },
+  checkboxLabel: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '10px',
+    fontSize: '15px',
+    color: '#1e293b',
+    cursor: 'pointer',
+  },
+  checkbox: {
+    width: '18px',
+    height: '18px',
+    cursor: 'pointer',
+  },
+  checkboxList: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '12px',
+    maxHeight: '300px',
+    overflowY: 'auto',
+    padding: '12px',
+    border: '1px solid #e2e8f0',
+    borderRadius: '8px',
+    backgroundColor: '#f8fafc',
+  },
+  modalActions: {
+    display: 'flex',
+    gap: '12px',
+    marginTop: '32px',
+    paddingTop: '24px',
+    borderTop: '1px solid #e2e8f0',
+  },
+  cancelButton: {
+    flex: 1,
+    padding: '12px 24px',
+    backgroundColor: '#f1f5f9',
+    color: '#475569',
+    border: '1px solid #e2e8f0',
+    borderRadius: '10px',
+    fontSize: '15px',
+    fontWeight: '600',
+    cursor: 'pointer',
+    transition: 'all 0.2s',
+  },
+  submitButton: {
+    flex: 1,
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: '8px',
+    padding: '12px 24px',
+    backgroundColor: '#dc2626',
+    color: 'white',
+    border: 'none',
+    borderRadius: '10px',
+    fontSize: '15px',
+    fontWeight: '600',
+    cursor: 'pointer',
+    transition: 'all 0.2s',
+    boxShadow: '0 2px 4px rgba(220, 38, 38, 0.2)',
+  },
+  roleDescription: {
+    fontSize: '14px',
+    color: '#64748b',
+    margin: '0 0 12px 0',
+    lineHeight: '1.5',
+  },
+  permissionChip: {
+    display: 'inline-block',
+    padding: '4px 10px',
+    borderRadius: '8px',
+    fontSize: '12px',
+    fontWeight: '600',
+    backgroundColor: '#f1f5f9',
+    color: '#334155',
+  },
+  permissionItem: {
+    padding: '12px',
+    border: '1px solid #e2e8f0',
+    borderRadius: '10px',
+    backgroundColor: 'white',
+  },
+  permissionHelp: {
+    display: 'block',
+    fontSize: '13px',
+    color: '#64748b',
+    margin: '4px 0 0 28px',
+  },
+  scopeBox: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '8px',
+    margin: '12px 0 0 28px',
+  },
+  serviceList: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: '8px 16px',
+    paddingLeft: '28px',
+  },
+  helpText: {
+    fontSize: '13px',
+    color: '#64748b',
+    margin: '4px 0 0 0',
+  },
+};
@@ -2,14 +2,45 @@ import { useEffect, useState } from 'react';
 import { useRouter } from 'next/router';
 import { 
   FiUser, FiLogOut, FiLoader, FiPlus, FiEdit2, FiTrash2, 
-  FiX, FiCheck, FiClock, FiMapPin, FiSettings
+  FiX, FiCheck, FiClock, FiMapPin, FiSettings, FiStar, FiCalendar, FiSmartphone
 } from 'react-icons/fi';
 import { MdBusiness } from 'react-icons/md';
 import apiClient from '../../lib/api';
 import { isAuthenticated, getStoredUser, logout } from '../../lib/auth';
+import { hasPermission, PERMISSIONS, formatRoleName } from '../../lib/permissions';
 import { toast } from '../../components/Toast';
 import ConfirmModal from '../../components/ConfirmModal';
 
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const EMPTY_EXCEPTION = {
+  start_date: '',
+  end_date: '',
+  is_closed: true,
+  open_time: '',
+  close_time: '',
+  reason: '',
+};
+
+// One editable row per weekday, prefilled from saved hours or the service's operating hours
+const buildWeeklyForm = (rows, service) => DAY_NAMES.map((_, day) => {
+  const row = rows.find(r => r.day_of_week === day);
+  if (row) {
+    return {
+      day_of_week: day,
+      is_closed: row.is_closed,
+      open_time: (row.open_time || '08:00').slice(0, 5),
+      close_time: (row.close_time || '17:00').slice(0, 5),
+    };
+  }
+  return {
+    day_of_week: day,
+    is_closed: day === 0,
+    open_time: (service.operating_hours_start || '08:00').slice(0, 5),
+    close_time: (service.operating_hours_end || '17:00').slice(0, 5),
+  };
+});
+
 export default function ServiceManagement() {
   const router = useRouter();
   const [user, setUser] = useState(null);
@@ -27,10 +58,25 @@ export default function ServiceManagement() {
     operating_hours_end: '',
     queue_prefix: '',
     is_active: true,
+    enable_priority_queue: false,
+    priority_interleave_ratio: 3,
+    max_queue_before_closing: 50,
+    appointment_checkin_window_minutes: 15,
+    require_onsite_checkin: false,
   });
   const [submitting, setSubmitting] = useState(false);
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
   const [deletingServiceId, setDeletingServiceId] = useState(null);
+  const [scheduleService, setScheduleService] = useState(null);
+  const [scheduleLoading, setScheduleLoading] = useState(false);
+  const [useWeeklySchedule, setUseWeeklySchedule] = useState(false);
+  const [weeklyHours, setWeeklyHours] = useState([]);
+  const [savingWeeklyHours, setSavingWeeklyHours] = useState(false);
+  const [exceptions, setExceptions] = useState([]);
+  const [exceptionForm, setExceptionForm] = useState(EMPTY_EXCEPTION);
+  const [editingExceptionId, setEditingExceptionId] = useState(null);
+  const [savingException, setSavingException] = useState(false);
+  const [deletingExceptionId, setDeletingExceptionId] = useState(null);
 
   useEffect(() => {
     if (typeof window === 'undefined') return;
@@ -41,7 +87,7 @@ export default function ServiceManagement() {
     }
 
     const currentUser = getStoredUser();
-    if (currentUser?.role !== 'admin') {
+    if (!hasPermission(currentUser, PERMISSIONS.SERVICES_MANAGE)) {
       router.push('/login');
       return;
     }
@@ -78,6 +124,11 @@ export default function ServiceManagement() {
       operating_hours_end: '',
       queue_prefix: '',
       is_active: true,
+      enable_priority_queue: false,
+      priority_interleave_ratio: 3,
+      max_queue_before_closing: 50,
+      appointment_checkin_window_minutes: 15,
+      require_onsite_checkin: false,
     });
     setShowModal(true);
   };
@@ -93,6 +144,11 @@ export default function ServiceManagement() {
       operating_hours_start: service.operating_hours_start || '',
       operating_hours_end: service.operating_hours_end || '',
       is_active: service.is_active !== undefined ? service.is_active : true,
+      enable_priority_queue: service.enable_priority_queue || false,
+      priority_interleave_ratio: service.priority_interleave_ratio || 3,
+      max_queue_before_closing: service.max_queue_before_closing || 50,
+      appointment_checkin_window_minutes: service.appointment_checkin_window_minutes || 15,
+      require_onsite_checkin: service.require_onsite_checkin || false,
     });
     setShowModal(true);
   };
@@ -123,6 +179,146 @@ export default function ServiceManagement() {
     }
   };
 
+  const loadSchedule = async (service) => {
+    setScheduleLoading(true);
+    try {
+      const response = await apiClient.get(`/admin/services/${service.id}/schedule`);
+      if (response.success) {
+        setUseWeeklySchedule(response.data.weekly_hours.length > 0);
+        setWeeklyHours(buildWeeklyForm(response.data.weekly_hours, service));
+        setExceptions(response.data.exceptions);
+      }
+    } catch (error) {
+      console.error('Error loading schedule:', error);
+      toast.error(error.error?.message || 'Failed to load schedule');
+    } finally {
+      setScheduleLoading(false);
+    }
+  };
+
+  const handleOpenSchedule = (service) => {
+    setScheduleService(service);
+    setExceptionForm(EMPTY_EXCEPTION);
+    setEditingExceptionId(null);
+    loadSchedule(service);
+  };
+
+  const handleCloseSchedule = () => {
+    setScheduleService(null);
+    setWeeklyHours([]);
+    setExceptions([]);
+  };
+
+  const updateWeeklyDay = (day, changes) => {
+    setWeeklyHours(weeklyHours.map(row => (row.day_of_week === day ? { ...row, ...changes } : row)));
+  };
+
+  const handleSaveWeeklyHours = async () => {
+    if (useWeeklySchedule) {
+      const invalidDay = weeklyHours.find(row => !row.is_closed && (!row.open_time || !row.close_time || row.open_time >= row.close_time));
+      if (invalidDay) {
+        toast.error(`${DAY_NAMES[invalidDay.day_of_week]}: close time must be after open time`);
+        return;
+      }
+    }
+
+    setSavingWeeklyHours(true);
+    try {
+      const response = await apiClient.put(`/admin/services/${scheduleService.id}/schedule/weekly`, {
+        weekly_hours: useWeeklySchedule ? weeklyHours : [],
+      });
+      if (response.success) {
+        toast.success(useWeeklySchedule ? 'Weekly hours saved' : 'Weekly schedule removed, using operating hours');
+      }
+    } catch (error) {
+      console.error('Error saving weekly hours:', error);
+      toast.error(error.error?.message || 'Failed to save weekly hours');
+    } finally {
+      setSavingWeeklyHours(false);
+    }
+  };
+
+  const handleEditException = (exception) => {
+    setEditingExceptionId(exception.id);
+    setExceptionForm({
+      start_date: exception.start_date,
+      end_date: exception.end_date,
+      is_closed: exception.is_closed,
+      open_time: (exception.open_time || '').slice(0, 5),
+      close_time: (exception.close_time || '').slice(0, 5),
+      reason: exception.reason || '',
+    });
+  };
+
+  const handleCancelExceptionEdit = () => {
+    setEditingExceptionId(null);
+    setExceptionForm(EMPTY_EXCEPTION);
+  };
+
+  const handleSaveException = async (e) => {
+    e.preventDefault();
+
+    if (!exceptionForm.start_date) {
+      toast.error('Start date is required');
+      return;
+    }
+    if (exceptionForm.end_date && exceptionForm.end_date < exceptionForm.start_date) {
+      toast.error('End date must be on or after start date');
+      return;
+    }
+    if (!exceptionForm.is_closed && (!exceptionForm.open_time || !exceptionForm.close_time || exceptionForm.open_time >= exceptionForm.close_time)) {
+      toast.error('Close time must be after open time');
+      return;
+    }
+
+    setSavingException(true);
+    try {
+      const data = {
+        ...exceptionForm,
+        end_date: exceptionForm.end_date || exceptionForm.start_date,
+        open_time: exceptionForm.is_closed ? null : exceptionForm.open_time,
+        close_time: exceptionForm.is_closed ? null : exceptionForm.close_time,
+        reason: exceptionForm.reason.trim() || null,
+      };
+
+      const basePath = `/admin/services/${scheduleService.id}/schedule/exceptions`;
+      const response = editingExceptionId
+        ? await apiClient.put(`${basePath}/${editingExceptionId}`, data)
+        : await apiClient.post(basePath, data);
+
+      if (response.success) {
+        toast.success(editingExceptionId ? 'Exception updated' : 'Exception added');
+        handleCancelExceptionEdit();
+        await loadSchedule(scheduleService);
+      }
+    } catch (error) {
+      console.error('Error saving exception:', error);
+      toast.error(error.error?.message || 'Failed to save exception');
+    } finally {
+      setSavingException(false);
+    }
+  };
+
+  const handleDeleteExceptionConfirm = async () => {
+    if (!deletingExceptionId) return;
+
+    try {
+      const response = await apiClient.delete(`/admin/services/${scheduleService.id}/schedule/exceptions/${deletingExceptionId}`);
+      if (response.success) {
+        toast.success('Exception deleted');
+        if (editingExceptionId === deletingExceptionId) {
+          handleCancelExceptionEdit();
+        }
+        await loadSchedule(scheduleService);
+      }
+    } catch (error) {
+      console.error('Error deleting exception:', error);
+      toast.error(error.error?.message || 'Failed to delete exception');
+    } finally {
+      setDeletingExceptionId(null);
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     
@@ -143,6 +339,18 @@ export default function ServiceManagement() {
       toast.error('Max queue size must be greater than 0');
       return;
     }
+    if (!formData.max_queue_before_closing || parseInt(formData.max_queue_before_closing) <= 0) {
+      toast.error('Daily queue limit must be greater than 0');
+      return;
+    }
+    if (!formData.appointment_checkin_window_minutes || parseInt(formData.appointment_checkin_window_minutes) <= 0) {
+      toast.error('Appointment check-in window must be greater than 0');
+      return;
+    }
+    if (formData.enable_priority_queue && (!formData.priority_interleave_ratio || parseInt(formData.priority_interleave_ratio) < 1)) {
+      toast.error('Priority ratio must be at least 1');
+      return;
+    }
     if (formData.operating_hours_start && formData.operating_hours_end) {
       if (formData.operating_hours_start >= formData.operating_hours_end) {
         toast.error('Operating hours end time must be after start time');
@@ -157,6 +365,9 @@ export default function ServiceManagement() {
         ...formData,
         estimated_service_time: parseInt(formData.estimated_service_time),
         max_queue_size: parseInt(formData.max_queue_size),
+        priority_interleave_ratio: parseInt(formData.priority_interleave_ratio) || 3,
+        max_queue_before_closing: parseInt(formData.max_queue_before_closing),
+        appointment_checkin_window_minutes: parseInt(formData.appointment_checkin_window_minutes),
         operating_hours_start: formData.operating_hours_start || null,
         operating_hours_end: formData.operating_hours_end || null,
       };
@@ -229,7 +440,7 @@ export default function ServiceManagement() {
             </div>
             <div style={styles.userDetails}>
               <span style={styles.userName}>{user?.first_name} {user?.last_name}</span>
-              <span style={styles.userRole}>Administrator</span>
+              <span style={styles.userRole}>{formatRoleName(user?.role)}</span>
             </div>
           </div>
           <button onClick={handleLogout} style={styles.logoutButton}>
@@ -300,8 +511,20 @@ export default function ServiceManagement() {
                   </div>
                   <div style={styles.detailRow}>
                     <FiSettings size={16} color="#64748b" />
-                    <span>Max queue: {service.max_queue_size}</span>
+                    <span>Max queue: {service.max_queue_size} · {service.max_queue_before_closing} per day</span>
                   </div>
+                  {service.enable_priority_queue && (
+                    <div style={styles.detailRow}>
+                      <FiStar size={16} color="#64748b" />
+                      <span>Priority lane: 1 for every {service.priority_interleave_ratio} regular</span>
+                    </div>
+                  )}
+                  {service.require_onsite_checkin && (
+                    <div style={styles.detailRow}>
+                      <FiSmartphone size={16} color="#64748b" />
+                      <span>On-site check-in required</span>
+                    </div>
+                  )}
                 </div>
 
                 <div style={styles.serviceActions}>
@@ -309,6 +532,10 @@ export default function ServiceManagement() {
                     <FiEdit2 size={18} />
                     <span>Edit</span>
                   </button>
+                  <button onClick={() => handleOpenSchedule(service)} style={styles.editButton}>
+                    <FiCalendar size={18} />
+                    <span>Schedule</span>
+                  </button>
                   <button onClick={() => handleDelete(service.id)} style={styles.deleteButton}>
                     <FiTrash2 size={18} />
                     <span>Delete</span>
@@ -430,6 +657,40 @@ export default function ServiceManagement() {
                 </div>
               </div>
 
+              <div style={styles.formGroup}>
+                <label style={styles.label}>
+                  Daily Queue Limit
+                  <span style={styles.helpText}>
+                    (Stop accepting new queues once this many have been issued today)
+                  </span>
+                </label>
+                <input
+                  type="number"
+                  value={formData.max_queue_before_closing}
+                  onChange={(e) => setFormData({...formData, max_queue_before_closing: e.target.value})}
+                  style={styles.input}
+                  min="1"
+                  required
+                />
+              </div>
+
+              <div style={styles.formGroup}>
+                <label style={styles.label}>
+                  Appointment Check-in Window (minutes)
+                  <span style={styles.helpText}>
+                    (Booked students can check in this long before or after their slot starts and are called ahead of walk-ins)
+                  </span>
+                </label>
+                <input
+                  type="number"
+                  value={formData.appointment_checkin_window_minutes}
+                  onChange={(e) => setFormData({...formData, appointment_checkin_window_minutes: e.target.value})}
+                  style={styles.input}
+                  min="1"
+                  required
+                />
+              </div>
+
               <div style={styles.formGroup}>
                 <label style={styles.checkboxLabel}>
                   <input
@@ -442,6 +703,48 @@ export default function ServiceManagement() {
                 </label>
               </div>
 
+              <div style={styles.formGroup}>
+                <label style={styles.checkboxLabel}>
+                  <input
+                    type="checkbox"
+                    checked={formData.enable_priority_queue}
+                    onChange={(e) => setFormData({...formData, enable_priority_queue: e.target.checked})}
+                    style={styles.checkbox}
+                  />
+                  <span>Enable Priority Lane (PWD, Senior Citizens, Pregnant)</span>
+                </label>
+              </div>
+
+              <div style={styles.formGroup}>
+                <label style={styles.checkboxLabel}>
+                  <input
+                    type="checkbox"
+                    checked={formData.require_onsite_checkin}
+                    onChange={(e) => setFormData({...formData, require_onsite_checkin: e.target.checked})}
+                    style={styles.checkbox}
+                  />
+                  <span>Require On-site Check-in (students scan the display board QR code before they can be called)</span>
+                </label>
+              </div>
+
+              {formData.enable_priority_queue && (
+                <div style={styles.formGroup}>
+                  <label style={styles.label}>
+                    Regular Queues per Priority Queue
+                    <span style={styles.helpText}>
+                      (One priority queue is called after every N regular queues)
+                    </span>
+                  </label>
+                  <input
+                    type="number"
+                    value={formData.priority_interleave_ratio}
+                    onChange={(e) => setFormData({...formData, priority_interleave_ratio: e.target.value})}
+                    style={styles.input}
+                    min="1"
+                  />
+                </div>
+              )}
+
               <div style={styles.modalActions}>
                 <button
                   type="button"
@@ -474,6 +777,226 @@ export default function ServiceManagement() {
         </div>
       )}
 
+      {/* Schedule Modal */}
+      {scheduleService && (
+        <div style={styles.modalOverlay} onClick={handleCloseSchedule}>
+          <div style={{ ...styles.modalContent, ...styles.scheduleModalContent }} onClick={(e) => e.stopPropagation()}>
+            <div style={styles.modalHeader}>
+              <h2 style={styles.modalTitle}>{scheduleService.name} Schedule</h2>
+              <button onClick={handleCloseSchedule} style={styles.closeButton}>
+                <FiX size={24} />
+              </button>
+            </div>
+
+            {scheduleLoading ? (
+              <div style={styles.scheduleLoading}>
+                <FiLoader size={24} className="spin" />
+              </div>
+            ) : (
+              <div style={styles.form}>
+                {/* Weekly hours */}
+                <h3 style={styles.scheduleSectionTitle}>Weekly Hours</h3>
+                <div style={styles.formGroup}>
+                  <label style={styles.checkboxLabel}>
+                    <input
+                      type="checkbox"
+                      checked={useWeeklySchedule}
+                      onChange={(e) => setUseWeeklySchedule(e.target.checked)}
+                      style={styles.checkbox}
+                    />
+                    <span>Use a weekly schedule</span>
+                  </label>
+                  {!useWeeklySchedule && (
+                    <span style={styles.helpText}>
+                      Without a weekly schedule the service follows its operating hours every day
+                      {scheduleService.operating_hours_start && scheduleService.operating_hours_end
+                        ? ` (${scheduleService.operating_hours_start.slice(0, 5)} - ${scheduleService.operating_hours_end.slice(0, 5)})`
+                        : ' (open all day)'}.
+                    </span>
+                  )}
+                </div>
+
+                {useWeeklySchedule && weeklyHours.map((row) => (
+                  <div key={row.day_of_week} style={styles.dayRow}>
+                    <span style={styles.dayName}>{DAY_NAMES[row.day_of_week]}</span>
+                    <label style={styles.checkboxLabel}>
+                      <input
+                        type="checkbox"
+                        checked={row.is_closed}
+                        onChange={(e) => updateWeeklyDay(row.day_of_week, { is_closed: e.target.checked })}
+                        style={styles.checkbox}
+                      />
+                      <span>Closed</span>
+                    </label>
+                    <input
+                      type="time"
+                      value={row.open_time}
+                      onChange={(e) => updateWeeklyDay(row.day_of_week, { open_time: e.target.value })}
+                      style={styles.input}
+                      disabled={row.is_closed}
+                    />
+                    <input
+                      type="time"
+                      value={row.close_time}
+                      onChange={(e) => updateWeeklyDay(row.day_of_week, { close_time: e.target.value })}
+                      style={styles.input}
+                      disabled={row.is_closed}
+                    />
+                  </div>
+                ))}
+
+                <button
+                  type="button"
+                  onClick={handleSaveWeeklyHours}
+                  style={{ ...styles.submitButton, ...styles.scheduleSaveButton }}
+                  disabled={savingWeeklyHours}
+                >
+                  {savingWeeklyHours ? <FiLoader size={18} className="spin" /> : <FiCheck size={18} />}
+                  <span>Save Weekly Hours</span>
+                </button>
+
+                {/* Exceptions */}
+                <h3 style={styles.scheduleSectionTitle}>Holidays &amp; Special Hours</h3>
+                {exceptions.length === 0 ? (
+                  <p style={styles.helpText}>No upcoming exceptions.</p>
+                ) : (
+                  exceptions.map((exception) => (
+                    <div key={exception.id} style={styles.exceptionItem}>
+                      <div>
+                        <div style={styles.exceptionDates}>
+                          {exception.start_date === exception.end_date
+                            ? exception.start_date
+                            : `${exception.start_date} to ${exception.end_date}`}
+                        </div>
+                        <div style={styles.helpText}>
+                          {exception.is_closed
+                            ? 'Closed'
+                            : `${exception.open_time.slice(0, 5)} - ${exception.close_time.slice(0, 5)}`}
+                          {exception.reason ? ` · ${exception.reason}` : ''}
+                        </div>
+                      </div>
+                      <div style={styles.exceptionActions}>
+                        <button type="button" onClick={() => handleEditException(exception)} style={styles.iconButton}>
+                          <FiEdit2 size={16} />
+                        </button>
+                        <button type="button" onClick={() => setDeletingExceptionId(exception.id)} style={styles.iconButton}>
+                          <FiTrash2 size={16} />
+                        </button>
+                      </div>
+                    </div>
+                  ))
+                )}
+
+                <form onSubmit={handleSaveException} style={styles.exceptionForm}>
+                  <div style={styles.formRow}>
+                    <div style={styles.formGroup}>
+                      <label style={styles.label}>Start Date *</label>
+                      <input
+                        type="date"
+                        value={exceptionForm.start_date}
+                        onChange={(e) => setExceptionForm({...exceptionForm, start_date: e.target.value})}
+                        style={styles.input}
+                        required
+                      />
+                    </div>
+                    <div style={styles.formGroup}>
+                      <label style={styles.label}>
+                        End Date
+                        <span style={styles.helpText}>(Leave empty for a single day)</span>
+                      </label>
+                      <input
+                        type="date"
+                        value={exceptionForm.end_date}
+                        onChange={(e) => setExceptionForm({...exceptionForm, end_date: e.target.value})}
+                        style={styles.input}
+                      />
+                    </div>
+                  </div>
+
+                  <div style={styles.formGroup}>
+                    <label style={styles.checkboxLabel}>
+                      <input
+                        type="checkbox"
+                        checked={exceptionForm.is_closed}
+                        onChange={(e) => setExceptionForm({...exceptionForm, is_closed: e.target.checked})}
+                        style={styles.checkbox}
+                      />
+                      <span>Closed all day</span>
+                    </label>
+                  </div>
+
+                  {!exceptionForm.is_closed && (
+                    <div style={styles.formRow}>
+                      <div style={styles.formGroup}>
+                        <label style={styles.label}>Opens</label>
+                        <input
+                          type="time"
+                          value={exceptionForm.open_time}
+                          onChange={(e) => setExceptionForm({...exceptionForm, open_time: e.target.value})}
+                          style={styles.input}
+                          required
+                        />
+                      </div>
+                      <div style={styles.formGroup}>
+                        <label style={styles.label}>Closes</label>
+                        <input
+                          type="time"
+                          value={exceptionForm.close_time}
+                          onChange={(e) => setExceptionForm({...exceptionForm, close_time: e.target.value})}
+                          style={styles.input}
+                          required
+                        />
+                      </div>
+                    </div>
+                  )}
+
+                  <div style={styles.formGroup}>
+                    <label style={styles.label}>Reason</label>
+                    <input
+                      type="text"
+                      value={exceptionForm.reason}
+                      onChange={(e) => setExceptionForm({...exceptionForm, reason: e.target.value})}
+                      style={styles.input}
+                      placeholder="e.g. Holiday, Enrollment week"
+                      maxLength={255}
+                    />
+                  </div>
+
+                  <div style={styles.modalActions}>
+                    {editingExceptionId && (
+                      <button
+                        type="button"
+                        onClick={handleCancelExceptionEdit}
+                        style={styles.cancelButton}
+                        disabled={savingException}
+                      >
+                        Cancel Edit
+                      </button>
+                    )}
+                    <button type="submit" style={styles.submitButton} disabled={savingException}>
+                      {savingException ? <FiLoader size={18} className="spin" /> : <FiPlus size={18} />}
+                      <span>{editingExceptionId ? 'Update Exception' : 'Add Exception'}</span>
+                    </button>
+                  </div>
+                </form>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Delete Exception Confirmation Modal */}
+      <ConfirmModal
+        isOpen={!!deletingExceptionId}
+        onClose={() => setDeletingExceptionId(null)}
+        onConfirm={handleDeleteExceptionConfirm}
+        title="Delete Exception"
+        message="Remove this schedule exception? The regular hours will apply again for those dates."
+        confirmText="Delete"
+        cancelText="Cancel"
+        type="danger"
+      />
+
       {/* Delete Confirmation Modal */}
       <ConfirmModal
         isOpen={showDeleteConfirm}
@@ -908,6 +1431,72 @@ const styles = {
     paddingTop: '24px',
     borderTop: '1px solid #e2e8f0',
   },
+  scheduleModalContent: {
+    maxWidth: '760px',
+  },
+  scheduleLoading: {
+    display: 'flex',
+    justifyContent: 'center',
+    padding: '48px',
+    color: '#dc2626',
+  },
+  scheduleSectionTitle: {
+    fontSize: '18px',
+    fontWeight: '700',
+    color: '#1e293b',
+    margin: '0 0 16px 0',
+  },
+  dayRow: {
+    display: 'grid',
+    gridTemplateColumns: '120px 110px 1fr 1fr',
+    alignItems: 'center',
+    gap: '12px',
+    marginBottom: '10px',
+  },
+  dayName: {
+    fontSize: '15px',
+    fontWeight: '600',
+    color: '#1e293b',
+  },
+  scheduleSaveButton: {
+    width: '100%',
+    marginTop: '12px',
+    marginBottom: '32px',
+  },
+  exceptionItem: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: '12px 16px',
+    border: '1px solid #e2e8f0',
+    borderRadius: '10px',
+    marginBottom: '10px',
+  },
+  exceptionDates: {
+    fontSize: '15px',
+    fontWeight: '600',
+    color: '#1e293b',
+  },
+  exceptionActions: {
+    display: 'flex',
+    gap: '8px',
+  },
+  iconButton: {
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: '8px',
+    backgroundColor: '#f1f5f9',
+    color: '#475569',
+    border: '1px solid #e2e8f0',
+    borderRadius: '8px',
+    cursor: 'pointer',
+  },
+  exceptionForm: {
+    marginTop: '20px',
+    paddingTop: '20px',
+    borderTop: '1px solid #e2e8f0',
+  },
   cancelButton: {
     flex: 1,
     padding: '12px 24px',
@@ -3,10 +3,11 @@ import { useRouter } from 'next/router';
 import { 
   FiUser, FiLogOut, FiLoader, FiSave, 
   FiSettings, FiBell, FiRefreshCw, FiMonitor,
-  FiShield, FiMail, FiPhone
+  FiShield, FiMail, FiPhone, FiLock
 } from 'react-icons/fi';
 import apiClient from '../../lib/api';
-import { isAuthenticated, getStoredUser, logout } from '../../lib/auth';
+import { isAuthenticated, getStoredUser, logout, logoutAllDevices } from '../../lib/auth';
+import { hasPermission, PERMISSIONS, formatRoleName } from '../../lib/permissions';
 import { toast } from '../../components/Toast';
 
 export default function SystemSettings() {
@@ -14,16 +15,21 @@ export default function SystemSettings() {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
+  const [staffRoles, setStaffRoles] = useState(['admin', 'counter_staff']);
   const [settings, setSettings] = useState({
     queue_number_prefix: '',
     notification_before_minutes: 5,
+    notification_at_position: 3,
     auto_refresh_interval: 5,
     display_board_refresh_interval: 5,
     max_queue_per_user: 3,
+    skip_grace_period_minutes: 5,
+    max_recall_count: 3,
     enable_sms_notifications: false,
     enable_email_notifications: false,
     system_maintenance_mode: false,
     maintenance_message: '',
+    require_two_factor_roles: [],
   });
 
   useEffect(() => {
@@ -35,21 +41,36 @@ export default function SystemSettings() {
     }
 
     const currentUser = getStoredUser();
-    if (currentUser?.role !== 'admin') {
+    if (!hasPermission(currentUser, PERMISSIONS.SETTINGS_MANAGE)) {
       router.push('/login');
       return;
     }
 
     setUser(currentUser);
     loadSettings();
+    loadStaffRoles();
   }, [router]);
 
+  // Every role except students and kiosks can be required to use 2FA
+  const loadStaffRoles = async () => {
+    try {
+      const response = await apiClient.get('/admin/roles');
+      if (response.success) {
+        setStaffRoles(response.data
+          .map(role => role.name)
+          .filter(name => name !== 'student' && name !== 'kiosk'));
+      }
+    } catch (error) {
+      console.error('Error loading roles:', error);
+    }
+  };
+
   const loadSettings = async () => {
     try {
       setLoading(true);
       const response = await apiClient.get('/admin/settings');
       if (response.success) {
-        setSettings(response.data);
+        setSettings(prev => ({ ...prev, ...response.data }));
       }
     } catch (error) {
       console.error('Error loading settings:', error);
@@ -66,6 +87,16 @@ export default function SystemSettings() {
     }));
   };
 
+  const toggleTwoFactorRole = (role, required) => {
+    setSettings(prev => {
+      const roles = (prev.require_two_factor_roles || []).filter(r => r !== role);
+      return {
+        ...prev,
+        require_two_factor_roles: required ? [...roles, role] : roles,
+      };
+    });
+  };
+
   const handleSave = async () => {
     try {
       setSaving(true);
@@ -75,7 +106,7 @@ export default function SystemSettings() {
       }
     } catch (error) {
       console.error('Error saving settings:', error);
-      toast.error('Failed to save system settings');
+      toast.error(error.error?.message || 'Failed to save system settings');
     } finally {
       setSaving(false);
     }
@@ -86,6 +117,15 @@ export default function SystemSettings() {
     router.push('/login');
   };
 
+  const handleLogoutAllDevices = async () => {
+    try {
+      await logoutAllDevices();
+      router.push('/login');
+    } catch (error) {
+      toast.error(error.error?.message || 'Failed to sign out other devices');
+    }
+  };
+
   if (typeof window === 'undefined' || loading) {
     return (
       <div style={styles.container}>
@@ -123,12 +163,16 @@ export default function SystemSettings() {
             </div>
             <div style={styles.userDetails}>
               <span style={styles.userName}>{user?.first_name} {user?.last_name}</span>
-              <span style={styles.userRole}>Administrator</span>
+              <span style={styles.userRole}>{formatRoleName(user?.role)}</span>
             </div>
           </div>
           <button onClick={() => router.push('/admin/dashboard')} style={styles.backButton}>
             <span>Back to Dashboard</span>
           </button>
+          <button onClick={handleLogoutAllDevices} style={styles.logoutButton} title="Sign out on every device">
+            <FiShield size={18} />
+            <span>Logout All Devices</span>
+          </button>
           <button onClick={handleLogout} style={styles.logoutButton}>
             <FiLogOut size={18} />
             <span>Logout</span>
@@ -178,6 +222,40 @@ export default function SystemSettings() {
                   Maximum number of active queues a user can have at once
                 </span>
               </div>
+
+              <div style={styles.formGroup}>
+                <label style={styles.label}>
+                  No-Show Grace Period (minutes)
+                </label>
+                <input
+                  type="number"
+                  value={settings.skip_grace_period_minutes}
+                  onChange={(e) => handleInputChange('skip_grace_period_minutes', parseInt(e.target.value) || 1)}
+                  min="1"
+                  max="120"
+                  style={styles.input}
+                />
+                <span style={styles.helpText}>
+                  How long a skipped queue can still be recalled by staff or rejoined by the student
+                </span>
+              </div>
+
+              <div style={styles.formGroup}>
+                <label style={styles.label}>
+                  Maximum Recalls Per Queue
+                </label>
+                <input
+                  type="number"
+                  value={settings.max_recall_count}
+                  onChange={(e) => handleInputChange('max_recall_count', Math.max(parseInt(e.target.value) || 0, 0))}
+                  min="0"
+                  max="10"
+                  style={styles.input}
+                />
+                <span style={styles.helpText}>
+                  How many times counter staff can recall the same queue number
+                </span>
+              </div>
             </div>
           </div>
 
@@ -201,7 +279,23 @@ export default function SystemSettings() {
                   style={styles.input}
                 />
                 <span style={styles.helpText}>
-                  Send notification X minutes before user's turn
+                  Alert students X minutes before their turn (0 turns it off)
+                </span>
+              </div>
+
+              <div style={styles.formGroup}>
+                <label style={styles.label}>
+                  Notify At Position
+                </label>
+                <input
+                  type="number"
+                  value={settings.notification_at_position}
+                  onChange={(e) => handleInputChange('notification_at_position', Math.max(parseInt(e.target.value) || 0, 0))}
+                  min="0"
+                  style={styles.input}
+                />
+                <span style={styles.helpText}>
+                  Also alert students once they are this many places from the front (0 turns it off)
                 </span>
               </div>
 
@@ -214,7 +308,7 @@ export default function SystemSettings() {
                     style={styles.checkbox}
                   />
                   <span>Enable SMS Notifications</span>
-                  <span style={styles.helpText}>(Requires SMS service configuration)</span>
+                  <span style={styles.helpText}>(Texts calls and approaching alerts; needs SMS_TRANSPORT=http on the server)</span>
                 </label>
               </div>
 
@@ -227,7 +321,7 @@ export default function SystemSettings() {
                     style={styles.checkbox}
                   />
                   <span>Enable Email Notifications</span>
-                  <span style={styles.helpText}>(Requires email service configuration)</span>
+                  <span style={styles.helpText}>(Emails calls and approaching alerts; needs MAIL_TRANSPORT=smtp on the server)</span>
                 </label>
               </div>
             </div>
@@ -318,6 +412,43 @@ export default function SystemSettings() {
             </div>
           </div>
 
+          {/* Security Policy */}
+          <div style={styles.section}>
+            <div style={styles.sectionHeader}>
+              <FiLock size={24} style={{ marginRight: '12px', color: '#dc2626' }} />
+              <h2 style={styles.sectionTitle}>Security Policy</h2>
+            </div>
+            <div style={styles.sectionContent}>
+              <span style={styles.helpText}>
+                Require two-factor authentication for these roles. Accounts without it are asked to set it up at their next login.
+              </span>
+              {staffRoles.map((role) => (
+                <div key={role} style={styles.checkboxGroup}>
+                  <label style={styles.checkboxLabel}>
+                    <input
+                      type="checkbox"
+                      checked={(settings.require_two_factor_roles || []).includes(role)}
+                      onChange={(e) => toggleTwoFactorRole(role, e.target.checked)}
+                      style={styles.checkbox}
+                    />
+                    <span>Require two-factor authentication for {formatRoleName(role)}</span>
+                  </label>
+                </div>
+              ))}
+              {(settings.require_two_factor_roles || []).includes('admin') && !user?.two_factor_enabled_at && (
+                <span style={styles.helpText}>
+                  Turn on two-factor authentication for your own account first, or you will be asked to set it up when you next log in.
+                </span>
+              )}
+              <div>
+                <button onClick={() => router.push('/account/security')} style={styles.backButton}>
+                  <FiShield size={16} />
+                  <span>Your Two-Factor &amp; Sign-in Activity</span>
+                </button>
+              </div>
+            </div>
+          </div>
+
           {/* Save Button */}
           <div style={styles.actions}>
             <button 
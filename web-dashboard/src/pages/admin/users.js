@@ -2,12 +2,16 @@ import { useEffect, useState } from 'react';
 import { useRouter } from 'next/router';
 import { 
   FiUser, FiLogOut, FiLoader, FiEdit2, FiSearch,
-  FiX, FiCheck, FiUsers, FiShield, FiMail, FiPhone
+  FiX, FiCheck, FiUsers, FiShield, FiMail, FiPhone, FiMonitor,
+  FiUserPlus, FiSend, FiCopy, FiClock, FiLock, FiUnlock, FiActivity
 } from 'react-icons/fi';
 import { MdPerson, MdBusinessCenter, MdSchool } from 'react-icons/md';
 import apiClient from '../../lib/api';
 import { isAuthenticated, getStoredUser, logout } from '../../lib/auth';
+import { hasPermission, PERMISSIONS, formatRoleName } from '../../lib/permissions';
 import { toast } from '../../components/Toast';
+import LoginHistoryTable from '../../components/LoginHistoryTable';
+import ConfirmModal from '../../components/ConfirmModal';
 
 export default function UserManagement() {
   const router = useRouter();
@@ -19,11 +23,26 @@ export default function UserManagement() {
   const [editingUser, setEditingUser] = useState(null);
   const [searchTerm, setSearchTerm] = useState('');
   const [roleFilter, setRoleFilter] = useState('');
+  const [inviteFilter, setInviteFilter] = useState('');
   const [formData, setFormData] = useState({
     role: 'student',
     is_active: true,
   });
   const [submitting, setSubmitting] = useState(false);
+  const [showInviteModal, setShowInviteModal] = useState(false);
+  const [inviteData, setInviteData] = useState({
+    email: '',
+    firstName: '',
+    lastName: '',
+    phoneNumber: '',
+    role: 'counter_staff',
+  });
+  const [inviteResult, setInviteResult] = useState(null);
+  const [resendingId, setResendingId] = useState(null);
+  const [unlockingId, setUnlockingId] = useState(null);
+  const [historyUser, setHistoryUser] = useState(null);
+  const [twoFactorResetUser, setTwoFactorResetUser] = useState(null);
+  const [roleNames, setRoleNames] = useState(['student', 'counter_staff', 'admin', 'kiosk']);
   const [currentPage, setCurrentPage] = useState(1);
   const [totalPages, setTotalPages] = useState(1);
   const usersPerPage = 20;
@@ -37,14 +56,30 @@ export default function UserManagement() {
     }
 
     const currentUser = getStoredUser();
-    if (currentUser?.role !== 'admin') {
+    if (!hasPermission(currentUser, PERMISSIONS.USERS_MANAGE)) {
       router.push('/login');
       return;
     }
 
     setUser(currentUser);
     loadUsers();
-  }, [router, currentPage, roleFilter]);
+  }, [router, currentPage, roleFilter, inviteFilter]);
+
+  useEffect(() => {
+    if (typeof window === 'undefined' || !isAuthenticated()) return;
+    loadRoles();
+  }, []);
+
+  const loadRoles = async () => {
+    try {
+      const response = await apiClient.get('/admin/roles');
+      if (response.success) {
+        setRoleNames(response.data.map(role => role.name));
+      }
+    } catch (error) {
+      console.error('Error loading roles:', error);
+    }
+  };
 
   useEffect(() => {
     // Filter users based on search term
@@ -68,6 +103,7 @@ export default function UserManagement() {
       setLoading(true);
       const params = new URLSearchParams();
       if (roleFilter) params.append('role', roleFilter);
+      if (inviteFilter) params.append('inviteStatus', inviteFilter);
       params.append('page', currentPage);
       params.append('limit', usersPerPage);
 
@@ -122,6 +158,129 @@ export default function UserManagement() {
     }
   };
 
+  const openInviteModal = () => {
+    setInviteData({
+      email: '',
+      firstName: '',
+      lastName: '',
+      phoneNumber: '',
+      role: 'counter_staff',
+    });
+    setInviteResult(null);
+    setShowInviteModal(true);
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+
+    if (!inviteData.email.trim() || !inviteData.firstName.trim() || !inviteData.lastName.trim()) {
+      toast.error('Email, first name and last name are required');
+      return;
+    }
+
+    setSubmitting(true);
+
+    try {
+      const response = await apiClient.post('/admin/users', {
+        email: inviteData.email.trim(),
+        firstName: inviteData.firstName.trim(),
+        lastName: inviteData.lastName.trim(),
+        phoneNumber: inviteData.phoneNumber.trim() || undefined,
+        role: inviteData.role,
+      });
+      if (response.success) {
+        setInviteResult({ email: response.data.user.email, ...response.data.invitation });
+        toast.success(response.message || 'Invitation sent');
+        await loadUsers();
+      } else {
+        toast.error(response.error?.message || 'Failed to invite user');
+      }
+    } catch (error) {
+      console.error('Error inviting user:', error);
+      toast.error(error.error?.message || 'Failed to invite user');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleResendInvite = async (userToInvite) => {
+    setResendingId(userToInvite.id);
+
+    try {
+      const response = await apiClient.post(`/admin/users/${userToInvite.id}/invite`);
+      if (response.success) {
+        setInviteResult({ email: userToInvite.email, ...response.data.invitation });
+        setShowInviteModal(true);
+        toast.success(response.message || 'Invitation sent');
+        await loadUsers();
+      } else {
+        toast.error(response.error?.message || 'Failed to resend invitation');
+      }
+    } catch (error) {
+      console.error('Error resending invitation:', error);
+      toast.error(error.error?.message || 'Failed to resend invitation');
+    } finally {
+      setResendingId(null);
+    }
+  };
+
+  const handleUnlock = async (userToUnlock) => {
+    setUnlockingId(userToUnlock.id);
+
+    try {
+      const response = await apiClient.post(`/admin/users/${userToUnlock.id}/unlock`);
+      if (response.success) {
+        toast.success(`${userToUnlock.first_name} ${userToUnlock.last_name} can log in again`);
+        await loadUsers();
+      } else {
+        toast.error(response.error?.message || 'Failed to unlock user');
+      }
+    } catch (error) {
+      console.error('Error unlocking user:', error);
+      toast.error(error.error?.message || 'Failed to unlock user');
+    } finally {
+      setUnlockingId(null);
+    }
+  };
+
+  const handleTwoFactorReset = async () => {
+    const userToReset = twoFactorResetUser;
+    setTwoFactorResetUser(null);
+
+    try {
+      const response = await apiClient.post(`/admin/users/${userToReset.id}/two-factor/reset`);
+      if (response.success) {
+        toast.success(`Two-factor authentication reset for ${userToReset.first_name} ${userToReset.last_name}`);
+        await loadUsers();
+      } else {
+        toast.error(response.error?.message || 'Failed to reset two-factor authentication');
+      }
+    } catch (error) {
+      console.error('Error resetting two-factor:', error);
+      toast.error(error.error?.message || 'Failed to reset two-factor authentication');
+    }
+  };
+
+  const copyInviteLink = async () => {
+    try {
+      await navigator.clipboard.writeText(inviteResult.inviteUrl);
+      toast.success('Invitation link copied');
+    } catch (error) {
+      toast.error('Could not copy the link');
+    }
+  };
+
+  const getInviteBadge = (inviteStatus) => {
+    switch (inviteStatus) {
+      case 'pending':
+        return { label: 'Invite pending', bg: '#fef3c7', text: '#92400e' };
+      case 'expired':
+        return { label: 'Invite expired', bg: '#fee2e2', text: '#991b1b' };
+      default:
+        return null;
+    }
+  };
+
   const handleLogout = () => {
     logout();
     router.push('/login');
@@ -133,8 +292,12 @@ export default function UserManagement() {
         return <FiShield size={20} color="#dc2626" />;
       case 'counter_staff':
         return <MdBusinessCenter size={20} color="#3b82f6" />;
-      default:
+      case 'kiosk':
+        return <FiMonitor size={20} color="#7c3aed" />;
+      case 'student':
         return <MdSchool size={20} color="#10b981" />;
+      default:
+        return <FiUsers size={20} color="#475569" />;
     }
   };
 
@@ -144,8 +307,12 @@ export default function UserManagement() {
         return { bg: '#fee2e2', text: '#991b1b', border: '#fecaca' };
       case 'counter_staff':
         return { bg: '#dbeafe', text: '#1e40af', border: '#bfdbfe' };
-      default:
+      case 'kiosk':
+        return { bg: '#ede9fe', text: '#5b21b6', border: '#ddd6fe' };
+      case 'student':
         return { bg: '#d1fae5', text: '#065f46', border: '#a7f3d0' };
+      default:
+        return { bg: '#f1f5f9', text: '#334155', border: '#e2e8f0' };
     }
   };
 
@@ -185,7 +352,7 @@ export default function UserManagement() {
             </div>
             <div style={styles.userDetails}>
               <span style={styles.userName}>{user?.first_name} {user?.last_name}</span>
-              <span style={styles.userRole}>Administrator</span>
+              <span style={styles.userRole}>{formatRoleName(user?.role)}</span>
             </div>
           </div>
           <button onClick={handleLogout} style={styles.logoutButton}>
@@ -245,6 +412,28 @@ export default function UserManagement() {
             >
               Administrators
             </button>
+            <button
+              onClick={() => setRoleFilter('kiosk')}
+              style={{
+                ...styles.filterButton,
+                ...(roleFilter === 'kiosk' ? styles.filterButtonActive : {})
+              }}
+            >
+              Kiosks
+            </button>
+            <select
+              value={inviteFilter}
+              onChange={(e) => {
+                setInviteFilter(e.target.value);
+                setCurrentPage(1);
+              }}
+              style={styles.inviteFilterSelect}
+            >
+              <option value="">All invite states</option>
+              <option value="pending">Invite pending</option>
+              <option value="expired">Invite expired</option>
+              <option value="accepted">Invite accepted</option>
+            </select>
           </div>
         </div>
 
@@ -254,6 +443,10 @@ export default function UserManagement() {
             <h2 style={styles.tableTitle}>
               Users ({filteredUsers.length})
             </h2>
+            <button onClick={openInviteModal} style={styles.inviteButton}>
+              <FiUserPlus size={18} />
+              <span>Invite User</span>
+            </button>
           </div>
           {filteredUsers.length === 0 ? (
             <div style={styles.emptyState}>
@@ -281,6 +474,7 @@ export default function UserManagement() {
                   <tbody>
                     {filteredUsers.map((userItem, index) => {
                       const roleColors = getRoleBadgeColor(userItem.role);
+                      const inviteBadge = getInviteBadge(userItem.invite_status);
                       return (
                         <tr key={userItem.id} style={index % 2 === 0 ? styles.tableRow : styles.tableRowAlt}>
                           <td style={styles.tableCell}>
@@ -314,8 +508,7 @@ export default function UserManagement() {
                               color: roleColors.text,
                               borderColor: roleColors.border,
                             }}>
-                              {userItem.role === 'counter_staff' ? 'Counter Staff' : 
-                               userItem.role === 'admin' ? 'Admin' : 'Student'}
+                              {userItem.role === 'admin' ? 'Admin' : formatRoleName(userItem.role)}
                             </span>
                           </td>
                           <td style={styles.tableCell}>
@@ -326,6 +519,45 @@ export default function UserManagement() {
                             }}>
                               {userItem.is_active ? 'Active' : 'Inactive'}
                             </span>
+                            {userItem.locked_until && (
+                              <div
+                                style={{
+                                  ...styles.inviteBadge,
+                                  backgroundColor: '#fee2e2',
+                                  color: '#991b1b',
+                                }}
+                                title={`Too many failed logins. Locked until ${new Date(userItem.locked_until).toLocaleString()}`}
+                              >
+                                <FiLock size={12} />
+                                Locked
+                              </div>
+                            )}
+                            {userItem.two_factor_enabled_at && (
+                              <div
+                                style={{
+                                  ...styles.inviteBadge,
+                                  backgroundColor: '#dbeafe',
+                                  color: '#1e40af',
+                                }}
+                                title={`Two-factor authentication on since ${new Date(userItem.two_factor_enabled_at).toLocaleDateString()}`}
+                              >
+                                <FiShield size={12} />
+                                2FA
+                              </div>
+                            )}
+                            {inviteBadge && (
+                              <div
+                                style={{
+                                  ...styles.inviteBadge,
+                                  backgroundColor: inviteBadge.bg,
+                                  color: inviteBadge.text,
+                                }}
+                                title={`Link expires ${new Date(userItem.invite_expires_at).toLocaleString()}`}
+                              >
+                                <FiClock size={12} />
+                                {inviteBadge.label}
+                              </div>
+                            )}
                           </td>
                           <td style={styles.tableCell}>
                             {userItem.created_at 
@@ -333,13 +565,55 @@ export default function UserManagement() {
                               : '-'}
                           </td>
                           <td style={styles.tableCell}>
-                            <button
-                              onClick={() => handleEdit(userItem)}
-                              style={styles.editButton}
-                              title="Edit user"
-                            >
-                              <FiEdit2 size={16} />
-                            </button>
+                            <div style={styles.actionButtons}>
+                              <button
+                                onClick={() => handleEdit(userItem)}
+                                style={styles.editButton}
+                                title="Edit user"
+                              >
+                                <FiEdit2 size={16} />
+                              </button>
+                              <button
+                                onClick={() => setHistoryUser(userItem)}
+                                style={styles.editButton}
+                                title="Login history"
+                              >
+                                <FiActivity size={16} />
+                              </button>
+                              {userItem.locked_until && (
+                                <button
+                                  onClick={() => handleUnlock(userItem)}
+                                  style={styles.editButton}
+                                  title="Unlock account"
+                                  disabled={unlockingId === userItem.id}
+                                >
+                                  {unlockingId === userItem.id
+                                    ? <FiLoader size={16} className="spin" />
+                                    : <FiUnlock size={16} />}
+                                </button>
+                              )}
+                              {userItem.two_factor_enabled_at && (
+                                <button
+                                  onClick={() => setTwoFactorResetUser(userItem)}
+                                  style={styles.editButton}
+                                  title="Reset two-factor authentication"
+                                >
+                                  <FiShield size={16} />
+                                </button>
+                              )}
+                              {inviteBadge && (
+                                <button
+                                  onClick={() => handleResendInvite(userItem)}
+                                  style={styles.editButton}
+                                  title="Send a new invitation"
+                                  disabled={resendingId === userItem.id}
+                                >
+                                  {resendingId === userItem.id
+                                    ? <FiLoader size={16} className="spin" />
+                                    : <FiSend size={16} />}
+                                </button>
+                              )}
+                            </div>
                           </td>
                         </tr>
                       );
@@ -422,9 +696,9 @@ export default function UserManagement() {
                   style={styles.select}
                   required
                 >
-                  <option value="student">Student</option>
-                  <option value="counter_staff">Counter Staff</option>
-                  <option value="admin">Administrator</option>
+                  {roleNames.map((role) => (
+                    <option key={role} value={role}>{formatRoleName(role)}</option>
+                  ))}
                 </select>
               </div>
 
@@ -474,6 +748,178 @@ export default function UserManagement() {
           </div>
         </div>
       )}
+
+      {/* Login History Modal */}
+      <ConfirmModal
+        isOpen={!!twoFactorResetUser}
+        onClose={() => setTwoFactorResetUser(null)}
+        onConfirm={handleTwoFactorReset}
+        title="Reset Two-Factor Authentication"
+        message={`Turn off two-factor authentication for ${twoFactorResetUser?.first_name} ${twoFactorResetUser?.last_name} and sign them out everywhere? Only do this after confirming who they are. If their role requires 2FA they will set it up again at their next login.`}
+        confirmText="Reset"
+        cancelText="Cancel"
+        type="danger"
+      />
+
+      {historyUser && (
+        <div style={styles.modalOverlay} onClick={() => setHistoryUser(null)}>
+          <div style={{ ...styles.modalContent, ...styles.historyModalContent }} onClick={(e) => e.stopPropagation()}>
+            <div style={styles.modalHeader}>
+              <h2 style={styles.modalTitle}>
+                Login History: {historyUser.first_name} {historyUser.last_name}
+              </h2>
+              <button onClick={() => setHistoryUser(null)} style={styles.closeButton}>
+                <FiX size={24} />
+              </button>
+            </div>
+            <div style={styles.form}>
+              <LoginHistoryTable endpoint={`/admin/users/${historyUser.id}/login-history`} limit={50} />
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Invite User Modal */}
+      {showInviteModal && (
+        <div style={styles.modalOverlay} onClick={() => setShowInviteModal(false)}>
+          <div style={styles.modalContent} onClick={(e) => e.stopPropagation()}>
+            <div style={styles.modalHeader}>
+              <h2 style={styles.modalTitle}>{inviteResult ? 'Invitation Sent' : 'Invite User'}</h2>
+              <button onClick={() => setShowInviteModal(false)} style={styles.closeButton}>
+                <FiX size={24} />
+              </button>
+            </div>
+
+            {inviteResult ? (
+              <div style={styles.form}>
+                <p style={styles.inviteNote}>
+                  {inviteResult.emailSent
+                    ? `We emailed an invitation to ${inviteResult.email}.`
+                    : `The email to ${inviteResult.email} could not be sent. Share this link with them instead.`}
+                  {' '}The link works once and expires {new Date(inviteResult.expiresAt).toLocaleString()}.
+                </p>
+                {inviteResult.inviteUrl && (
+                  <div style={styles.inviteLinkRow}>
+                    <input
+                      type="text"
+                      value={inviteResult.inviteUrl}
+                      readOnly
+                      style={styles.input}
+                      onFocus={(e) => e.target.select()}
+                    />
+                    <button type="button" onClick={copyInviteLink} style={styles.editButton} title="Copy link">
+                      <FiCopy size={16} />
+                    </button>
+                  </div>
+                )}
+                <div style={styles.modalActions}>
+                  <button
+                    type="button"
+                    onClick={() => setShowInviteModal(false)}
+                    style={styles.submitButton}
+                  >
+                    <FiCheck size={18} />
+                    <span>Done</span>
+                  </button>
+                </div>
+              </div>
+            ) : (
+              <form onSubmit={handleInvite} style={styles.form}>
+                <p style={styles.inviteNote}>
+                  Students register from the app. Staff, admin and kiosk accounts are created here;
+                  the person receives a link to choose their own password.
+                </p>
+
+                <div style={styles.formGroup}>
+                  <label style={styles.label}>Email *</label>
+                  <input
+                    type="email"
+                    value={inviteData.email}
+                    onChange={(e) => setInviteData({...inviteData, email: e.target.value})}
+                    style={styles.input}
+                    required
+                  />
+                </div>
+
+                <div style={styles.formRow}>
+                  <div style={styles.formGroup}>
+                    <label style={styles.label}>First Name *</label>
+                    <input
+                      type="text"
+                      value={inviteData.firstName}
+                      onChange={(e) => setInviteData({...inviteData, firstName: e.target.value})}
+                      style={styles.input}
+                      required
+                    />
+                  </div>
+                  <div style={styles.formGroup}>
+                    <label style={styles.label}>Last Name *</label>
+                    <input
+                      type="text"
+                      value={inviteData.lastName}
+                      onChange={(e) => setInviteData({...inviteData, lastName: e.target.value})}
+                      style={styles.input}
+                      required
+                    />
+                  </div>
+                </div>
+
+                <div style={styles.formGroup}>
+                  <label style={styles.label}>Phone Number</label>
+                  <input
+                    type="tel"
+                    value={inviteData.phoneNumber}
+                    onChange={(e) => setInviteData({...inviteData, phoneNumber: e.target.value})}
+                    style={styles.input}
+                  />
+                </div>
+
+                <div style={styles.formGroup}>
+                  <label style={styles.label}>Role *</label>
+                  <select
+                    value={inviteData.role}
+                    onChange={(e) => setInviteData({...inviteData, role: e.target.value})}
+                    style={styles.select}
+                    required
+                  >
+                    {roleNames.filter(role => role !== 'student').map((role) => (
+                      <option key={role} value={role}>{formatRoleName(role)}</option>
+                    ))}
+                  </select>
+                </div>
+
+                <div style={styles.modalActions}>
+                  <button
+                    type="button"
+                    onClick={() => setShowInviteModal(false)}
+                    style={styles.cancelButton}
+                    disabled={submitting}
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    type="submit"
+                    style={styles.submitButton}
+                    disabled={submitting}
+                  >
+                    {submitting ? (
+                      <>
+                        <FiLoader size={18} className="spin" />
+                        <span>Sending...</span>
+                      </>
+                    ) : (
+                      <>
+                        <FiSend size={18} />
+                        <span>Send Invitation</span>
+                      </>
+                    )}
+                  </button>
+                </div>
+              </form>
+            )}
+          </div>
+        </div>
+      )}
     </div>
   );
 }
@@ -665,8 +1111,35 @@ const styles = {
     border: '1px solid #e2e8f0',
   },
   tableHeader: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
     marginBottom: '20px',
   },
+  inviteButton: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    padding: '10px 20px',
+    backgroundColor: '#dc2626',
+    color: 'white',
+    border: 'none',
+    borderRadius: '10px',
+    fontSize: '14px',
+    fontWeight: '600',
+    cursor: 'pointer',
+    boxShadow: '0 2px 4px rgba(220, 38, 38, 0.2)',
+  },
+  inviteFilterSelect: {
+    padding: '10px 16px',
+    border: '2px solid #e2e8f0',
+    borderRadius: '10px',
+    fontSize: '14px',
+    fontWeight: '600',
+    color: '#475569',
+    backgroundColor: 'white',
+    cursor: 'pointer',
+  },
   tableTitle: {
     fontSize: '20px',
     fontWeight: '700',
@@ -745,6 +1218,24 @@ const styles = {
     fontSize: '12px',
     fontWeight: '600',
   },
+  inviteBadge: {
+    display: 'inline-flex',
+    alignItems: 'center',
+    gap: '4px',
+    marginTop: '6px',
+    padding: '2px 10px',
+    borderRadius: '12px',
+    fontSize: '11px',
+    fontWeight: '600',
+    whiteSpace: 'nowrap',
+  },
+  actionButtons: {
+    display: 'flex',
+    gap: '8px',
+  },
+  historyModalContent: {
+    maxWidth: '760px',
+  },
   editButton: {
     padding: '8px',
     backgroundColor: '#f1f5f9',
@@ -884,6 +1375,31 @@ const styles = {
     color: '#1e293b',
     marginBottom: '8px',
   },
+  formRow: {
+    display: 'grid',
+    gridTemplateColumns: '1fr 1fr',
+    gap: '16px',
+  },
+  input: {
+    width: '100%',
+    padding: '12px 16px',
+    border: '2px solid #e5e7eb',
+    borderRadius: '10px',
+    fontSize: '15px',
+    boxSizing: 'border-box',
+  },
+  inviteNote: {
+    fontSize: '14px',
+    color: '#64748b',
+    lineHeight: '1.5',
+    marginTop: 0,
+    marginBottom: '20px',
+  },
+  inviteLinkRow: {
+    display: 'flex',
+    gap: '8px',
+    alignItems: 'center',
+  },
   select: {
     width: '100%',
     padding: '12px 16px',
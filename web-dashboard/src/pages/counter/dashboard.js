@@ -3,14 +3,17 @@ import { useRouter } from 'next/router';
 import { 
   FiClock, FiTarget, FiPhone, FiAlertCircle, 
   FiInfo, FiMapPin, FiTrendingUp, FiUsers, FiCheckCircle,
-  FiLoader, FiXCircle, FiUser, FiLogOut, FiRefreshCw
+  FiLoader, FiXCircle, FiUser, FiLogOut, FiRefreshCw,
+  FiRepeat, FiSkipForward, FiShuffle, FiX, FiShield
 } from 'react-icons/fi';
 import { MdQueue, MdCheckCircle, MdAccessTime, MdBusiness, MdLocationOn } from 'react-icons/md';
 import { HiOutlineQueueList, HiOutlineUsers } from 'react-icons/hi2';
 import apiClient from '../../lib/api';
 import { isAuthenticated, getStoredUser, logout } from '../../lib/auth';
+import { hasPermission, PERMISSIONS } from '../../lib/permissions';
 import { toast } from '../../components/Toast';
 import ConfirmModal from '../../components/ConfirmModal';
+import { PRIORITY_LABELS } from '../../lib/priority';
 
 export default function CounterDashboard() {
   const router = useRouter();
@@ -23,6 +26,16 @@ export default function CounterDashboard() {
   const [calling, setCalling] = useState(false);
   const [completing, setCompleting] = useState(false);
   const [showCompleteConfirm, setShowCompleteConfirm] = useState(false);
+  const [skippedQueues, setSkippedQueues] = useState([]);
+  const [recallSettings, setRecallSettings] = useState(null);
+  const [skipping, setSkipping] = useState(false);
+  const [recallingId, setRecallingId] = useState(null);
+  const [showSkipConfirm, setShowSkipConfirm] = useState(false);
+  const [showTransferModal, setShowTransferModal] = useState(false);
+  const [transferServices, setTransferServices] = useState([]);
+  const [transferCounters, setTransferCounters] = useState([]);
+  const [transferForm, setTransferForm] = useState({ serviceId: '', counterId: '', reason: '' });
+  const [transferring, setTransferring] = useState(false);
 
   useEffect(() => {
     if (typeof window === 'undefined') return;
@@ -33,7 +46,7 @@ export default function CounterDashboard() {
     }
 
     const currentUser = getStoredUser();
-    if (currentUser?.role !== 'counter_staff') {
+    if (!hasPermission(currentUser, PERMISSIONS.COUNTERS_OPERATE)) {
       router.push('/login');
       return;
     }
@@ -54,13 +67,17 @@ export default function CounterDashboard() {
       if (response.success && response.data) {
         setCurrentQueue(response.data.currentServing || null);
         setQueueStatus(response.data.queueStatus || null);
+        setSkippedQueues(response.data.skippedQueues || []);
+        setRecallSettings(response.data.recallSettings || null);
       } else {
         setCurrentQueue(null);
         setQueueStatus(null);
+        setSkippedQueues([]);
       }
     } catch (error) {
       setCurrentQueue(null);
       setQueueStatus(null);
+      setSkippedQueues([]);
     }
   };
 
@@ -243,6 +260,107 @@ export default function CounterDashboard() {
     }
   };
 
+  const handleSkip = () => {
+    if (!selectedCounter || !currentQueue) return;
+    setShowSkipConfirm(true);
+  };
+
+  const handleSkipConfirm = async () => {
+    if (!selectedCounter || !currentQueue) return;
+
+    setShowSkipConfirm(false);
+    setSkipping(true);
+    try {
+      const response = await apiClient.post(`/counters/${selectedCounter.id}/skip/${currentQueue.id}`);
+      if (response.success) {
+        setCurrentQueue(null);
+        await loadCounterData(selectedCounter.id);
+        toast.info(`Queue ${response.data.queueNumber} marked as no-show`);
+      }
+    } catch (error) {
+      toast.error(error.error?.message || 'Failed to skip queue');
+    } finally {
+      setSkipping(false);
+    }
+  };
+
+  const handleRecall = async (queueId) => {
+    if (!selectedCounter) return;
+
+    setRecallingId(queueId);
+    try {
+      const response = await apiClient.post(`/counters/${selectedCounter.id}/recall/${queueId}`);
+      if (response.success && response.data) {
+        await loadCounterData(selectedCounter.id);
+        toast.success(`${response.data.message} (${response.data.recallsRemaining} recall${response.data.recallsRemaining === 1 ? '' : 's'} left)`);
+      }
+    } catch (error) {
+      toast.error(error.error?.message || 'Failed to recall queue');
+    } finally {
+      setRecallingId(null);
+    }
+  };
+
+  const handleOpenTransfer = async () => {
+    if (!selectedCounter || !currentQueue) return;
+
+    setTransferForm({ serviceId: '', counterId: '', reason: '' });
+    setShowTransferModal(true);
+    try {
+      const [servicesRes, countersRes] = await Promise.all([
+        apiClient.get('/services'),
+        apiClient.get('/counters'),
+      ]);
+      if (servicesRes.success) {
+        setTransferServices(servicesRes.data || []);
+      }
+      if (countersRes.success) {
+        setTransferCounters(countersRes.data || []);
+      }
+    } catch (error) {
+      toast.error(error.error?.message || 'Failed to load transfer options');
+    }
+  };
+
+  const handleTransferSubmit = async (e) => {
+    e.preventDefault();
+    if (!selectedCounter || !currentQueue) return;
+
+    if (!transferForm.serviceId && !transferForm.counterId) {
+      toast.warning('Select a service or counter to transfer to');
+      return;
+    }
+
+    setTransferring(true);
+    try {
+      const payload = {
+        serviceId: transferForm.serviceId ? parseInt(transferForm.serviceId) : undefined,
+        targetCounterId: transferForm.counterId ? parseInt(transferForm.counterId) : undefined,
+        reason: transferForm.reason || undefined,
+      };
+      const response = await apiClient.post(
+        `/counters/${selectedCounter.id}/transfer/${currentQueue.id}`,
+        payload
+      );
+      if (response.success && response.data) {
+        setShowTransferModal(false);
+        setCurrentQueue(null);
+        await loadCounterData(selectedCounter.id);
+        toast.success(response.data.message);
+      }
+    } catch (error) {
+      toast.error(error.error?.message || 'Failed to transfer queue');
+    } finally {
+      setTransferring(false);
+    }
+  };
+
+  // Counters available as transfer targets (excluding this one), narrowed to the chosen service
+  const transferCounterOptions = transferCounters.filter(c =>
+    c.id !== selectedCounter?.id &&
+    (!transferForm.serviceId || c.service_id === parseInt(transferForm.serviceId))
+  );
+
   const handleLogout = () => {
     logout();
     router.push('/login');
@@ -290,6 +408,10 @@ export default function CounterDashboard() {
               <span style={styles.userRole}>Counter Staff</span>
             </div>
           </div>
+          <button onClick={() => router.push('/account/security')} style={styles.logoutButton} title="Two-factor authentication and sign-in activity">
+            <FiShield size={18} />
+            <span>Security</span>
+          </button>
           <button onClick={handleLogout} style={styles.logoutButton}>
             <FiLogOut size={18} />
             <span>Logout</span>
@@ -363,7 +485,10 @@ export default function CounterDashboard() {
                         </div>
                         <div style={styles.statContent}>
                           <span style={styles.statValue}>{queueStatus.waitingCount}</span>
-                          <span style={styles.statLabel}>Waiting</span>
+                          <span style={styles.statLabel}>
+                            Waiting
+                            {queueStatus.priorityWaitingCount > 0 && ` (${queueStatus.priorityWaitingCount} priority)`}
+                          </span>
                         </div>
                       </div>
                       <div style={{...styles.statCard, ...styles.statCalled}}>
@@ -421,6 +546,11 @@ export default function CounterDashboard() {
                         <div style={styles.queueNumberLarge}>
                           {currentQueue.queueNumber}
                         </div>
+                        {currentQueue.priorityCategory && (
+                          <div style={styles.priorityBadge}>
+                            Priority: {PRIORITY_LABELS[currentQueue.priorityCategory] || currentQueue.priorityCategory}
+                          </div>
+                        )}
                         <div style={styles.queueStatusBadge}>
                           {currentQueue.status === 'called' && (
                             <>
@@ -486,6 +616,45 @@ export default function CounterDashboard() {
                           </button>
                         )}
                       </div>
+                      <div style={{...styles.queueActions, marginTop: '12px'}}>
+                        {currentQueue.status === 'called' && (
+                          <>
+                          <button
+                            onClick={() => handleRecall(currentQueue.id)}
+                            disabled={recallingId !== null || skipping}
+                            style={styles.secondaryButton}
+                            title={recallSettings ? `Recalled ${currentQueue.recallCount || 0} of ${recallSettings.maxRecallCount} times` : undefined}
+                          >
+                            {recallingId === currentQueue.id ? (
+                              <FiLoader size={20} className="spin" />
+                            ) : (
+                              <FiRepeat size={20} />
+                            )}
+                            <span>Recall</span>
+                          </button>
+                          <button
+                            onClick={handleSkip}
+                            disabled={skipping || recallingId !== null}
+                            style={styles.warningButton}
+                          >
+                            {skipping ? (
+                              <FiLoader size={20} className="spin" />
+                            ) : (
+                              <FiSkipForward size={20} />
+                            )}
+                            <span>Skip (No-Show)</span>
+                          </button>
+                          </>
+                        )}
+                        <button
+                          onClick={handleOpenTransfer}
+                          disabled={transferring || skipping || recallingId !== null}
+                          style={styles.secondaryButton}
+                        >
+                          <FiShuffle size={20} />
+                          <span>Transfer</span>
+                        </button>
+                      </div>
                     </div>
                   ) : (
                     <div style={styles.noQueueSection}>
@@ -535,6 +704,48 @@ export default function CounterDashboard() {
                       </div>
                     )}
                   </div>
+
+                  {/* Skipped Queues (recall window) */}
+                  {skippedQueues.length > 0 && (
+                    <div style={styles.skippedSection}>
+                      <div style={styles.sectionHeader}>
+                        <FiSkipForward size={20} style={{ marginRight: '10px' }} />
+                        <h3 style={styles.skippedTitle}>Skipped Queues</h3>
+                      </div>
+                      {recallSettings && (
+                        <p style={styles.skippedHint}>
+                          Skipped queues can be recalled for {recallSettings.skipGracePeriodMinutes} minutes, up to {recallSettings.maxRecallCount} times.
+                        </p>
+                      )}
+                      {skippedQueues.map((skipped) => (
+                        <div key={skipped.id} style={styles.skippedItem}>
+                          <div>
+                            <span style={styles.skippedNumber}>{skipped.queueNumber}</span>
+                            <span style={styles.skippedMeta}>
+                              Skipped at {new Date(skipped.skippedAt).toLocaleTimeString()}
+                              {skipped.recallCount > 0 && ` • Recalled ${skipped.recallCount}x`}
+                            </span>
+                          </div>
+                          <button
+                            onClick={() => handleRecall(skipped.id)}
+                            disabled={currentQueue !== null || recallingId !== null}
+                            style={{
+                              ...styles.recallButton,
+                              opacity: (currentQueue !== null || recallingId !== null) ? 0.6 : 1,
+                              cursor: (currentQueue !== null || recallingId !== null) ? 'not-allowed' : 'pointer',
+                            }}
+                          >
+                            {recallingId === skipped.id ? (
+                              <FiLoader size={16} className="spin" />
+                            ) : (
+                              <FiRepeat size={16} />
+                            )}
+                            <span>Recall</span>
+                          </button>
+                        </div>
+                      ))}
+                    </div>
+                  )}
                 </div>
               </>
             )}
@@ -553,6 +764,112 @@ export default function CounterDashboard() {
         cancelText="Cancel"
         type="warning"
       />
+
+      {/* Transfer Modal */}
+      {showTransferModal && currentQueue && (
+        <div style={styles.modalOverlay} onClick={() => setShowTransferModal(false)}>
+          <div style={styles.modalContent} onClick={(e) => e.stopPropagation()}>
+            <div style={styles.modalHeader}>
+              <h2 style={styles.modalTitle}>Transfer Queue {currentQueue.queueNumber}</h2>
+              <button onClick={() => setShowTransferModal(false)} style={styles.closeButton}>
+                <FiX size={24} />
+              </button>
+            </div>
+
+            <form onSubmit={handleTransferSubmit} style={styles.form}>
+              <p style={styles.modalHint}>
+                The student keeps their place in line based on the original request time and gets a new number for the target service.
+              </p>
+
+              <div style={styles.formGroup}>
+                <label style={styles.formLabel}>Target Service</label>
+                <select
+                  value={transferForm.serviceId}
+                  onChange={(e) => setTransferForm({ ...transferForm, serviceId: e.target.value, counterId: '' })}
+                  style={styles.input}
+                >
+                  <option value="">Select a service</option>
+                  {transferServices.map((service) => (
+                    <option key={service.id} value={service.id}>
+                      {service.name}{service.id === selectedCounter?.service_id ? ' (current)' : ''}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              <div style={styles.formGroup}>
+                <label style={styles.formLabel}>
+                  Specific Counter
+                  <span style={styles.helpText}>(Optional: only this counter will call the queue)</span>
+                </label>
+                <select
+                  value={transferForm.counterId}
+                  onChange={(e) => setTransferForm({ ...transferForm, counterId: e.target.value })}
+                  style={styles.input}
+                >
+                  <option value="">Any counter</option>
+                  {transferCounterOptions.map((counter) => (
+                    <option key={counter.id} value={counter.id}>
+                      Counter {counter.counter_number}{counter.name ? ` - ${counter.name}` : ''} ({counter.service_name})
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              <div style={styles.formGroup}>
+                <label style={styles.formLabel}>Reason</label>
+                <input
+                  type="text"
+                  value={transferForm.reason}
+                  onChange={(e) => setTransferForm({ ...transferForm, reason: e.target.value })}
+                  style={styles.input}
+                  placeholder="e.g., Needs to pay at the Cashier first"
+                />
+              </div>
+
+              <div style={styles.modalActions}>
+                <button
+                  type="button"
+                  onClick={() => setShowTransferModal(false)}
+                  style={styles.cancelButton}
+                  disabled={transferring}
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  style={styles.submitButton}
+                  disabled={transferring}
+                >
+                  {transferring ? (
+                    <>
+                      <FiLoader size={18} className="spin" />
+                      <span>Transferring...</span>
+                    </>
+                  ) : (
+                    <>
+                      <FiShuffle size={18} />
+                      <span>Transfer Queue</span>
+                    </>
+                  )}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* Skip Confirmation Modal */}
+      <ConfirmModal
+        isOpen={showSkipConfirm}
+        onClose={() => setShowSkipConfirm(false)}
+        onConfirm={handleSkipConfirm}
+        title="Skip Queue"
+        message={`Mark queue ${currentQueue?.queueNumber} as a no-show? The student can still be recalled or rejoin within the grace period.`}
+        confirmText="Skip"
+        cancelText="Cancel"
+        type="danger"
+      />
     </div>
   );
 }
@@ -917,6 +1234,16 @@ const styles = {
     marginBottom: '16px',
     lineHeight: '1',
   },
+  priorityBadge: {
+    display: 'inline-block',
+    padding: '6px 14px',
+    borderRadius: '8px',
+    fontSize: '14px',
+    fontWeight: '700',
+    backgroundColor: '#dbeafe',
+    color: '#1e40af',
+    marginBottom: '12px',
+  },
   queueStatusBadge: {
     display: 'inline-flex',
     alignItems: 'center',
@@ -1010,6 +1337,87 @@ const styles = {
     cursor: 'pointer',
     transition: 'all 0.2s',
   },
+  secondaryButton: {
+    flex: 1,
+    padding: '14px 24px',
+    backgroundColor: '#f1f5f9',
+    color: '#1e293b',
+    border: '1px solid #cbd5e0',
+    borderRadius: '10px',
+    fontSize: '16px',
+    fontWeight: '600',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: '10px',
+    cursor: 'pointer',
+    transition: 'all 0.2s',
+  },
+  warningButton: {
+    flex: 1,
+    padding: '14px 24px',
+    backgroundColor: '#f59e0b',
+    color: 'white',
+    border: 'none',
+    borderRadius: '10px',
+    fontSize: '16px',
+    fontWeight: '600',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: '10px',
+    cursor: 'pointer',
+    transition: 'all 0.2s',
+  },
+  skippedSection: {
+    marginTop: '32px',
+    paddingTop: '24px',
+    borderTop: '2px solid #f1f5f9',
+  },
+  skippedTitle: {
+    fontSize: '18px',
+    fontWeight: '700',
+    color: '#1e293b',
+    margin: 0,
+  },
+  skippedHint: {
+    fontSize: '14px',
+    color: '#64748b',
+    margin: '-8px 0 16px 0',
+  },
+  skippedItem: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: '14px 16px',
+    backgroundColor: '#fffbeb',
+    border: '1px solid #fde68a',
+    borderRadius: '10px',
+    marginBottom: '10px',
+  },
+  skippedNumber: {
+    display: 'block',
+    fontSize: '20px',
+    fontWeight: '700',
+    color: '#1e293b',
+  },
+  skippedMeta: {
+    fontSize: '13px',
+    color: '#92400e',
+  },
+  recallButton: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '6px',
+    padding: '8px 16px',
+    backgroundColor: '#dc2626',
+    color: 'white',
+    border: 'none',
+    borderRadius: '8px',
+    fontSize: '14px',
+    fontWeight: '600',
+    transition: 'all 0.2s',
+  },
   alertInfo: {
     display: 'flex',
     alignItems: 'center',
@@ -1059,4 +1467,120 @@ const styles = {
     margin: '0 auto',
     lineHeight: '1.6',
   },
+  modalOverlay: {
+    position: 'fixed',
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    zIndex: 1000,
+    padding: '20px',
+  },
+  modalContent: {
+    backgroundColor: 'white',
+    borderRadius: '16px',
+    width: '100%',
+    maxWidth: '520px',
+    maxHeight: '90vh',
+    overflow: 'auto',
+    boxShadow: '0 20px 25px rgba(0, 0, 0, 0.1)',
+  },
+  modalHeader: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: '24px',
+    borderBottom: '1px solid #e2e8f0',
+  },
+  modalTitle: {
+    fontSize: '22px',
+    fontWeight: '700',
+    color: '#1e293b',
+    margin: 0,
+  },
+  modalHint: {
+    fontSize: '14px',
+    color: '#64748b',
+    lineHeight: '1.6',
+    margin: '0 0 20px 0',
+  },
+  closeButton: {
+    backgroundColor: 'transparent',
+    border: 'none',
+    cursor: 'pointer',
+    color: '#64748b',
+    padding: '4px',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  form: {
+    padding: '24px',
+  },
+  formGroup: {
+    marginBottom: '20px',
+  },
+  formLabel: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '4px',
+    fontSize: '14px',
+    fontWeight: '600',
+    color: '#1e293b',
+    marginBottom: '8px',
+  },
+  helpText: {
+    fontSize: '12px',
+    color: '#64748b',
+    fontWeight: '400',
+  },
+  input: {
+    width: '100%',
+    padding: '12px 16px',
+    border: '2px solid #e5e7eb',
+    borderRadius: '10px',
+    fontSize: '15px',
+    boxSizing: 'border-box',
+    transition: 'all 0.2s',
+  },
+  modalActions: {
+    display: 'flex',
+    gap: '12px',
+    marginTop: '32px',
+    paddingTop: '24px',
+    borderTop: '1px solid #e2e8f0',
+  },
+  cancelButton: {
+    flex: 1,
+    padding: '12px 24px',
+    backgroundColor: '#f1f5f9',
+    color: '#475569',
+    border: '1px solid #e2e8f0',
+    borderRadius: '10px',
+    fontSize: '15px',
+    fontWeight: '600',
+    cursor: 'pointer',
+    transition: 'all 0.2s',
+  },
+  submitButton: {
+    flex: 1,
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: '8px',
+    padding: '12px 24px',
+    backgroundColor: '#dc2626',
+    color: 'white',
+    border: 'none',
+    borderRadius: '10px',
+    fontSize: '15px',
+    fontWeight: '600',
+    cursor: 'pointer',
+    transition: 'all 0.2s',
+    boxShadow: '0 2px 4px rgba(220, 38, 38, 0.2)',
+  },
 };
@@ -1,6 +1,7 @@
 import { useEffect } from 'react';
 import { useRouter } from 'next/router';
 import { isAuthenticated, getStoredUser } from '../lib/auth';
+import { getHomePath } from '../lib/permissions';
 
 export default function Home() {
   const router = useRouter();
@@ -16,13 +17,7 @@ export default function Home() {
 
     const user = getStoredUser();
     if (user) {
-      if (user.role === 'admin') {
-        router.push('/admin/dashboard');
-      } else if (user.role === 'counter_staff') {
-        router.push('/counter/dashboard');
-      } else {
-        router.push('/login');
-      }
+      router.push(getHomePath(user) || '/login');
     }
   }, [router]);
 
@@ -0,0 +1,606 @@
+import { useEffect, useState, useRef } from 'react';
+import { useRouter } from 'next/router';
+import { QRCodeSVG } from 'qrcode.react';
+import {
+  FiArrowLeft, FiLoader, FiLogOut, FiPrinter, FiMapPin,
+  FiClock, FiUser, FiPhone, FiMail, FiCheckCircle
+} from 'react-icons/fi';
+import apiClient from '../lib/api';
+import { isAuthenticated, getStoredUser, logout } from '../lib/auth';
+import { hasPermission, PERMISSIONS } from '../lib/permissions';
+import { toast } from '../components/Toast';
+import { PRIORITY_OPTIONS, PRIORITY_LABELS } from '../lib/priority';
+
+// Return to the service picker after a ticket has been shown this long
+const TICKET_RESET_SECONDS = 30;
+
+const EMPTY_FORM = { studentId: '', phoneNumber: '', email: '', priorityCategory: '' };
+
+export default function KioskPage() {
+  const router = useRouter();
+  const [services, setServices] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [selectedService, setSelectedService] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [submitting, setSubmitting] = useState(false);
+  const [printing, setPrinting] = useState(false);
+  const [ticket, setTicket] = useState(null);
+  const [resetIn, setResetIn] = useState(TICKET_RESET_SECONDS);
+  const resetTimerRef = useRef(null);
+
+  useEffect(() => {
+    if (typeof window === 'undefined') return;
+
+    if (!isAuthenticated()) {
+      router.push('/login');
+      return;
+    }
+
+    const currentUser = getStoredUser();
+    if (!hasPermission(currentUser, PERMISSIONS.KIOSK_ISSUE)) {
+      router.push('/login');
+      return;
+    }
+
+    loadServices();
+    const interval = setInterval(loadServices, 30000);
+    return () => clearInterval(interval);
+  }, [router]);
+
+  // Count down on the ticket screen, then go back for the next student
+  useEffect(() => {
+    if (!ticket) return;
+
+    setResetIn(TICKET_RESET_SECONDS);
+    resetTimerRef.current = setInterval(() => {
+      setResetIn((seconds) => Math.max(seconds - 1, 0));
+    }, 1000);
+
+    return () => clearInterval(resetTimerRef.current);
+  }, [ticket]);
+
+  useEffect(() => {
+    if (ticket && resetIn === 0) {
+      startOver();
+    }
+  }, [ticket, resetIn]);
+
+  const loadServices = async () => {
+    try {
+      const response = await apiClient.get('/services');
+      if (response.success) {
+        setServices(response.data || []);
+      }
+    } catch (error) {
+      console.error('Error loading services:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const startOver = () => {
+    clearInterval(resetTimerRef.current);
+    setTicket(null);
+    setSelectedService(null);
+    setForm(EMPTY_FORM);
+    loadServices();
+  };
+
+  const handleIssueTicket = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+
+    try {
+      const response = await apiClient.post('/kiosk/tickets', {
+        serviceId: selectedService.id,
+        ...(form.studentId.trim() && { studentId: form.studentId.trim() }),
+        ...(form.phoneNumber.trim() && { phoneNumber: form.phoneNumber.trim() }),
+        ...(form.email.trim() && { email: form.email.trim() }),
+        ...(form.priorityCategory && { priorityCategory: form.priorityCategory }),
+        print: true,
+      });
+
+      if (response.success) {
+        setTicket(response.data);
+        if (response.data.printed) {
+          toast.success('Please take your ticket from the printer');
+        } else if (response.data.printerEnabled) {
+          toast.error('The ticket printer did not respond. Try printing again.');
+        }
+      } else {
+        toast.error(response.error?.message || 'Failed to issue ticket');
+      }
+    } catch (error) {
+      toast.error(error.error?.message || 'Failed to issue ticket');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  // Use the thermal printer when the server has one, otherwise the browser
+  const handlePrint = async () => {
+    if (!ticket.printerEnabled) {
+      window.print();
+      return;
+    }
+
+    setPrinting(true);
+    try {
+      const response = await apiClient.post(`/kiosk/tickets/${ticket.id}/print`);
+      if (response.success) {
+        toast.success('Please take your ticket from the printer');
+      }
+    } catch (error) {
+      toast.error(error.error?.message || 'Failed to print ticket');
+    } finally {
+      setPrinting(false);
+    }
+  };
+
+  const handleLogout = () => {
+    logout();
+    router.push('/login');
+  };
+
+  if (typeof window === 'undefined' || loading) {
+    return (
+      <div style={styles.container}>
+        <div style={styles.loadingContainer}>
+          <FiLoader size={32} style={styles.spinner} className="spin" />
+          <p style={styles.loadingText}>Loading services...</p>
+        </div>
+      </div>
+    );
+  }
+
+  const renderServicePicker = () => (
+    <>
+      <h2 style={styles.stepTitle}>Choose a service</h2>
+      {services.length === 0 ? (
+        <p style={styles.emptyMessage}>No services are available right now.</p>
+      ) : (
+        <div style={styles.serviceGrid}>
+          {services.map((service) => {
+            const isOpen = !service.availability || service.availability.status === 'open';
+            return (
+              <button
+                key={service.id}
+                onClick={() => setSelectedService(service)}
+                disabled={!isOpen}
+                style={{ ...styles.serviceCard, ...(!isOpen && styles.serviceCardDisabled) }}
+              >
+                <span style={styles.serviceName}>{service.name}</span>
+                {service.location && (
+                  <span style={styles.serviceMeta}>
+                    <FiMapPin size={14} /> {service.location}
+                  </span>
+                )}
+                {!isOpen && (
+                  <span style={styles.serviceClosed}>{service.availability.message}</span>
+                )}
+              </button>
+            );
+          })}
+        </div>
+      )}
+    </>
+  );
+
+  const renderDetailsForm = () => (
+    <form onSubmit={handleIssueTicket} style={styles.formCard}>
+      <button type="button" onClick={() => setSelectedService(null)} style={styles.backButton}>
+        <FiArrowLeft size={18} />
+        <span>Back</span>
+      </button>
+      <h2 style={styles.stepTitle}>{selectedService.name}</h2>
+      <p style={styles.formHint}>
+        Enter your student ID or phone number so we can reach you, or leave both empty for an anonymous ticket. To see the ticket in the app, also enter the phone number or email on your account.
+      </p>
+
+      <label style={styles.label}>
+        <FiUser size={16} /> Student ID (optional)
+      </label>
+      <input
+        type="text"
+        value={form.studentId}
+        onChange={(e) => setForm({ ...form, studentId: e.target.value })}
+        maxLength={50}
+        style={styles.input}
+        placeholder="e.g. 2021-00123"
+        autoFocus
+      />
+
+      <label style={styles.label}>
+        <FiPhone size={16} /> Phone Number (optional)
+      </label>
+      <input
+        type="tel"
+        value={form.phoneNumber}
+        onChange={(e) => setForm({ ...form, phoneNumber: e.target.value })}
+        maxLength={20}
+        style={styles.input}
+        placeholder="e.g. 09171234567"
+      />
+
+      <label style={styles.label}>
+        <FiMail size={16} /> Account Email (optional)
+      </label>
+      <input
+        type="email"
+        value={form.email}
+        onChange={(e) => setForm({ ...form, email: e.target.value })}
+        maxLength={255}
+        style={styles.input}
+        placeholder="e.g. juan.delacruz@school.edu"
+      />
+
+      {selectedService.enable_priority_queue && (
+        <>
+          <label style={styles.label}>Priority Lane (optional)</label>
+          <select
+            value={form.priorityCategory}
+            onChange={(e) => setForm({ ...form, priorityCategory: e.target.value })}
+            style={styles.input}
+          >
+            <option value="">Regular</option>
+            {PRIORITY_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </>
+      )}
+
+      <button type="submit" disabled={submitting} style={styles.primaryButton}>
+        {submitting ? <FiLoader size={20} className="spin" /> : <FiCheckCircle size={20} />}
+        <span>{form.studentId.trim() || form.phoneNumber.trim() ? 'Get Ticket' : 'Get Anonymous Ticket'}</span>
+      </button>
+    </form>
+  );
+
+  const renderTicket = () => (
+    <div style={styles.ticketWrapper}>
+      <div style={styles.ticket} className="kiosk-ticket">
+        <p style={styles.ticketLabel}>QTech Queue Ticket</p>
+        <p style={styles.ticketNumber}>{ticket.queueNumber}</p>
+        <p style={styles.ticketService}>{ticket.serviceName}</p>
+        {ticket.serviceLocation && (
+          <p style={styles.ticketDetail}>
+            <FiMapPin size={14} /> {ticket.serviceLocation}
+          </p>
+        )}
+        <div style={styles.ticketStats}>
+          <div>
+            <p style={styles.ticketStatValue}>#{ticket.queuePosition}</p>
+            <p style={styles.ticketStatLabel}>Position</p>
+          </div>
+          <div>
+            <p style={styles.ticketStatValue}>{ticket.peopleAhead}</p>
+            <p style={styles.ticketStatLabel}>Ahead of you</p>
+          </div>
+          {ticket.estimatedWaitTime != null && (
+            <div>
+              <p style={styles.ticketStatValue}>~{ticket.estimatedWaitTime}m</p>
+              <p style={styles.ticketStatLabel}>Est. wait</p>
+            </div>
+          )}
+        </div>
+        {ticket.priorityCategory && (
+          <p style={styles.ticketDetail}>Priority: {PRIORITY_LABELS[ticket.priorityCategory] || ticket.priorityCategory}</p>
+        )}
+        {ticket.linkedToAccount && (
+          <p style={styles.ticketDetail}>Also in your QTech app</p>
+        )}
+        <p style={styles.ticketDetail}>
+          <FiClock size={14} /> {new Date(ticket.requestedAt).toLocaleString()}
+        </p>
+        {ticket.statusUrl && (
+          <div style={styles.ticketQr}>
+            <QRCodeSVG value={ticket.statusUrl} size={128} />
+            <p style={styles.ticketStatLabel}>Scan to check your status</p>
+          </div>
+        )}
+        <p style={styles.ticketFooter}>Please watch the display board for your number.</p>
+      </div>
+
+      <div style={styles.ticketActions} className="kiosk-no-print">
+        <button onClick={handlePrint} disabled={printing} style={styles.primaryButton}>
+          {printing ? <FiLoader size={20} className="spin" /> : <FiPrinter size={20} />}
+          <span>{ticket.printed ? 'Print Again' : 'Print Ticket'}</span>
+        </button>
+        <button onClick={startOver} style={styles.secondaryButton}>
+          Done ({resetIn}s)
+        </button>
+      </div>
+    </div>
+  );
+
+  return (
+    <div style={styles.container}>
+      <header style={styles.header} className="kiosk-no-print">
+        <div style={styles.logoSection}>
+          <img src="/logo.png" alt="QTech Logo" style={styles.logoImage} />
+          <div>
+            <h1 style={styles.headerTitle}>Get a Queue Ticket</h1>
+            <p style={styles.headerSubtitle}>No app needed</p>
+          </div>
+        </div>
+        <button onClick={handleLogout} style={styles.logoutButton} title="Sign out this kiosk">
+          <FiLogOut size={18} />
+        </button>
+      </header>
+
+      <main style={styles.main}>
+        {ticket
+          ? renderTicket()
+          : selectedService
+            ? renderDetailsForm()
+            : renderServicePicker()}
+      </main>
+    </div>
+  );
+}
+
+const styles = {
+  container: {
+    minHeight: '100vh',
+    backgroundColor: '#f8fafc',
+  },
+  loadingContainer: {
+    display: 'flex',
+    flexDirection: 'column',
+    justifyContent: 'center',
+    alignItems: 'center',
+    minHeight: '100vh',
+  },
+  spinner: {
+    color: '#dc2626',
+  },
+  loadingText: {
+    color: '#64748b',
+    fontSize: '16px',
+    fontWeight: '500',
+  },
+  header: {
+    backgroundColor: '#ffffff',
+    borderBottom: '1px solid #e2e8f0',
+    padding: '20px 40px',
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    boxShadow: '0 1px 3px rgba(0,0,0,0.05)',
+  },
+  logoSection: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '16px',
+  },
+  logoImage: {
+    width: '48px',
+    height: '48px',
+    objectFit: 'contain',
+  },
+  headerTitle: {
+    margin: 0,
+    fontSize: '28px',
+    fontWeight: '700',
+    color: '#1e293b',
+    letterSpacing: '-0.5px',
+  },
+  headerSubtitle: {
+    margin: '4px 0 0 0',
+    fontSize: '15px',
+    color: '#64748b',
+  },
+  logoutButton: {
+    display: 'flex',
+    alignItems: 'center',
+    padding: '10px',
+    backgroundColor: 'transparent',
+    color: '#94a3b8',
+    border: '1px solid #e2e8f0',
+    borderRadius: '8px',
+    cursor: 'pointer',
+  },
+  main: {
+    maxWidth: '960px',
+    margin: '0 auto',
+    padding: '40px',
+  },
+  stepTitle: {
+    margin: '0 0 24px 0',
+    fontSize: '26px',
+    fontWeight: '700',
+    color: '#1e293b',
+  },
+  emptyMessage: {
+    color: '#64748b',
+    fontSize: '18px',
+  },
+  serviceGrid: {
+    display: 'grid',
+    gridTemplateColumns: 'repeat(auto-fill, minmax(260px, 1fr))',
+    gap: '20px',
+  },
+  serviceCard: {
+    display: 'flex',
+    flexDirection: 'column',
+    alignItems: 'flex-start',
+    gap: '10px',
+    padding: '28px',
+    backgroundColor: '#ffffff',
+    border: '1px solid #e2e8f0',
+    borderRadius: '16px',
+    cursor: 'pointer',
+    textAlign: 'left',
+    boxShadow: '0 1px 3px rgba(0,0,0,0.05)',
+  },
+  serviceCardDisabled: {
+    opacity: 0.55,
+    cursor: 'not-allowed',
+  },
+  serviceName: {
+    fontSize: '22px',
+    fontWeight: '700',
+    color: '#1e293b',
+  },
+  serviceMeta: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '6px',
+    fontSize: '15px',
+    color: '#64748b',
+  },
+  serviceClosed: {
+    fontSize: '14px',
+    fontWeight: '600',
+    color: '#dc2626',
+  },
+  formCard: {
+    maxWidth: '560px',
+    margin: '0 auto',
+    padding: '32px',
+    backgroundColor: '#ffffff',
+    border: '1px solid #e2e8f0',
+    borderRadius: '16px',
+    display: 'flex',
+    flexDirection: 'column',
+  },
+  backButton: {
+    alignSelf: 'flex-start',
+    display: 'flex',
+    alignItems: 'center',
+    gap: '6px',
+    marginBottom: '16px',
+    padding: '8px 12px',
+    backgroundColor: 'transparent',
+    color: '#475569',
+    border: '1px solid #e2e8f0',
+    borderRadius: '8px',
+    cursor: 'pointer',
+    fontSize: '15px',
+  },
+  formHint: {
+    margin: '-12px 0 24px 0',
+    color: '#64748b',
+    fontSize: '15px',
+    lineHeight: 1.5,
+  },
+  label: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    marginBottom: '8px',
+    fontSize: '15px',
+    fontWeight: '600',
+    color: '#334155',
+  },
+  input: {
+    padding: '16px',
+    marginBottom: '20px',
+    fontSize: '20px',
+    border: '1px solid #cbd5e0',
+    borderRadius: '10px',
+  },
+  primaryButton: {
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: '10px',
+    padding: '18px 28px',
+    backgroundColor: '#dc2626',
+    color: '#ffffff',
+    border: 'none',
+    borderRadius: '12px',
+    fontSize: '18px',
+    fontWeight: '700',
+    cursor: 'pointer',
+  },
+  secondaryButton: {
+    padding: '18px 28px',
+    backgroundColor: '#ffffff',
+    color: '#334155',
+    border: '1px solid #cbd5e0',
+    borderRadius: '12px',
+    fontSize: '18px',
+    fontWeight: '600',
+    cursor: 'pointer',
+  },
+  ticketWrapper: {
+    display: 'flex',
+    flexDirection: 'column',
+    alignItems: 'center',
+    gap: '28px',
+  },
+  ticket: {
+    width: '360px',
+    padding: '32px 24px',
+    backgroundColor: '#ffffff',
+    border: '2px dashed #cbd5e0',
+    borderRadius: '12px',
+    textAlign: 'center',
+  },
+  ticketLabel: {
+    margin: 0,
+    fontSize: '14px',
+    fontWeight: '600',
+    color: '#64748b',
+    textTransform: 'uppercase',
+    letterSpacing: '1px',
+  },
+  ticketNumber: {
+    margin: '12px 0',
+    fontSize: '72px',
+    fontWeight: '800',
+    color: '#1e293b',
+    letterSpacing: '-2px',
+  },
+  ticketService: {
+    margin: '0 0 8px 0',
+    fontSize: '22px',
+    fontWeight: '700',
+    color: '#1e293b',
+  },
+  ticketDetail: {
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: '6px',
+    margin: '6px 0',
+    fontSize: '14px',
+    color: '#475569',
+  },
+  ticketStats: {
+    display: 'flex',
+    justifyContent: 'space-around',
+    margin: '20px 0',
+    padding: '16px 0',
+    borderTop: '1px solid #e2e8f0',
+    borderBottom: '1px solid #e2e8f0',
+  },
+  ticketStatValue: {
+    margin: 0,
+    fontSize: '24px',
+    fontWeight: '700',
+    color: '#1e293b',
+  },
+  ticketStatLabel: {
+    margin: '4px 0 0 0',
+    fontSize: '12px',
+    color: '#64748b',
+  },
+  ticketQr: {
+    display: 'flex',
+    flexDirection: 'column',
+    alignItems: 'center',
+    marginTop: '16px',
+  },
+  ticketFooter: {
+    margin: '20px 0 0 0',
+    fontSize: '13px',
+    color: '#64748b',
+  },
+  ticketActions: {
+    display: 'flex',
+    gap: '16px',
+  },
+};
@@ -1,6 +1,8 @@
 import { useState } from 'react';
 import { useRouter } from 'next/router';
-import { login } from '../lib/auth';
+import { login, verifyTwoFactorLogin } from '../lib/auth';
+import { getHomePath } from '../lib/permissions';
+import TwoFactorSetup from '../components/TwoFactorSetup';
 
 export default function LoginPage() {
   const router = useRouter();
@@ -8,6 +10,27 @@ export default function LoginPage() {
   const [password, setPassword] = useState('');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  // 'password', then 'code' (2FA on) or 'setup' (2FA required but not set up)
+  const [step, setStep] = useState('password');
+  const [challengeToken, setChallengeToken] = useState('');
+  const [code, setCode] = useState('');
+
+  const goToDashboard = (user) => {
+    // Redirect based on the role's permissions
+    const homePath = getHomePath(user);
+    if (homePath) {
+      router.push(homePath);
+    } else {
+      setError('Access denied. Your role has no access to the dashboard.');
+    }
+  };
+
+  const backToPassword = () => {
+    setStep('password');
+    setChallengeToken('');
+    setCode('');
+    setPassword('');
+  };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -18,14 +41,11 @@ export default function LoginPage() {
       const response = await login(email, password);
       
       if (response.success) {
-        const user = response.data.user;
-        // Redirect based on role
-        if (user.role === 'admin') {
-          router.push('/admin/dashboard');
-        } else if (user.role === 'counter_staff') {
-          router.push('/counter/dashboard');
+        if (response.data.twoFactorRequired || response.data.twoFactorSetupRequired) {
+          setChallengeToken(response.data.challengeToken);
+          setStep(response.data.twoFactorRequired ? 'code' : 'setup');
         } else {
-          setError('Access denied. Admin or Counter Staff only.');
+          goToDashboard(response.data.user);
         }
       } else {
         setError(response.error?.message || 'Login failed');
@@ -37,6 +57,28 @@ export default function LoginPage() {
     }
   };
 
+  const handleCodeSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    try {
+      const response = await verifyTwoFactorLogin(challengeToken, code.trim());
+      if (response.success) {
+        goToDashboard(response.data.user);
+      } else {
+        setError(response.error?.message || 'Invalid authentication code');
+      }
+    } catch (err) {
+      if (err.error?.code === 'INVALID_CHALLENGE') {
+        backToPassword();
+      }
+      setError(err.error?.message || err.message || 'Invalid authentication code');
+    } finally {
+      setLoading(false);
+    }
+  };
+
   return (
     <div style={styles.container}>
       <div style={styles.card}>
@@ -48,43 +90,93 @@ export default function LoginPage() {
           />
         </div>
         <h1 style={styles.title}>QTech</h1>
-        <p style={styles.subtitle}>Dashboard Login</p>
-        
-        <form onSubmit={handleSubmit} style={styles.form}>
-          {error && (
-            <div style={styles.error}>{error}</div>
-          )}
+        <p style={styles.subtitle}>
+          {step === 'password' ? 'Dashboard Login' : step === 'code' ? 'Two-Factor Verification' : 'Set Up Two-Factor Authentication'}
+        </p>
+
+        {step === 'password' && (
+          <form onSubmit={handleSubmit} style={styles.form}>
+            {error && (
+              <div style={styles.error}>{error}</div>
+            )}
           
-          <div style={styles.inputGroup}>
-            <label style={styles.label}>Email</label>
-            <input
-              type="email"
-              value={email}
-              onChange={(e) => setEmail(e.target.value)}
-              style={styles.input}
-              required
-            />
-          </div>
+            <div style={styles.inputGroup}>
+              <label style={styles.label}>Email</label>
+              <input
+                type="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                style={styles.input}
+                required
+              />
+            </div>
+
+            <div style={styles.inputGroup}>
+              <label style={styles.label}>Password</label>
+              <input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                style={styles.input}
+                required
+              />
+            </div>
+
+            <button
+              type="submit"
+              disabled={loading}
+              style={styles.button}
+            >
+              {loading ? 'Logging in...' : 'Login'}
+            </button>
+          </form>
+        )}
+
+        {step === 'code' && (
+          <form onSubmit={handleCodeSubmit} style={styles.form}>
+            {error && (
+              <div style={styles.error}>{error}</div>
+            )}
+
+            <div style={styles.inputGroup}>
+              <label style={styles.label}>Authentication Code</label>
+              <input
+                type="text"
+                autoComplete="one-time-code"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                style={styles.input}
+                placeholder="6-digit code or backup code"
+                autoFocus
+                required
+              />
+            </div>
+
+            <button
+              type="submit"
+              disabled={loading}
+              style={styles.button}
+            >
+              {loading ? 'Verifying...' : 'Verify'}
+            </button>
+            <button type="button" onClick={backToPassword} style={styles.linkButton}>
+              Back to login
+            </button>
+          </form>
+        )}
 
-          <div style={styles.inputGroup}>
-            <label style={styles.label}>Password</label>
-            <input
-              type="password"
-              value={password}
-              onChange={(e) => setPassword(e.target.value)}
-              style={styles.input}
-              required
+        {step === 'setup' && (
+          <div style={styles.form}>
+            <p style={styles.setupNotice}>
+              Your administrator requires two-factor authentication for your account. Set it up to continue.
+            </p>
+            <TwoFactorSetup
+              challengeToken={challengeToken}
+              onComplete={(result) => goToDashboard(result.user)}
+              onCancel={backToPassword}
             />
           </div>
-
-          <button
-            type="submit"
-            disabled={loading}
-            style={styles.button}
-          >
-            {loading ? 'Logging in...' : 'Login'}
-          </button>
-        </form>
+        )}
 
         <p style={styles.info}>
           Use your admin or counter staff account to login
@@ -182,6 +274,22 @@ const styles = {
     fontWeight: '500',
     border: '1px solid #fecaca',
   },
+  linkButton: {
+    width: '100%',
+    marginTop: '12px',
+    padding: '8px',
+    background: 'none',
+    border: 'none',
+    color: '#64748b',
+    fontSize: '14px',
+    cursor: 'pointer',
+  },
+  setupNotice: {
+    fontSize: '14px',
+    color: '#475569',
+    lineHeight: '1.5',
+    marginBottom: '20px',
+  },
   info: {
     marginTop: '20px',
     fontSize: '12px',
@@ -0,0 +1,222 @@
+import { useEffect, useState } from 'react';
+import { useRouter } from 'next/router';
+import { FiLoader, FiMapPin, FiClock, FiAlertCircle } from 'react-icons/fi';
+import apiClient from '../lib/api';
+import { PRIORITY_LABELS } from '../lib/priority';
+
+const STATUS_LABELS = {
+  waiting: 'Waiting',
+  called: 'Called - please proceed to the counter',
+  serving: 'Being served',
+  completed: 'Completed',
+  cancelled: 'Cancelled',
+  skipped: 'Skipped - please see the counter staff',
+};
+
+const STATUS_COLORS = {
+  waiting: '#2563eb',
+  called: '#10b981',
+  serving: '#10b981',
+  completed: '#64748b',
+  cancelled: '#ef4444',
+  skipped: '#f59e0b',
+};
+
+/**
+ * Ticket status page opened from the QR code on a printed walk-in ticket.
+ * Public: the link's code stands in for a login.
+ */
+export default function TicketStatusPage() {
+  const router = useRouter();
+  const { id, code } = router.query;
+  const [ticket, setTicket] = useState(null);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    if (!router.isReady) return;
+
+    if (!id || !code) {
+      setError('This link is missing the ticket details.');
+      setLoading(false);
+      return;
+    }
+
+    loadTicket();
+    const interval = setInterval(loadTicket, 15000);
+    return () => clearInterval(interval);
+  }, [router.isReady, id, code]);
+
+  const loadTicket = async () => {
+    try {
+      const response = await apiClient.get(`/kiosk/tickets/${id}/status`, {
+        params: { code },
+      });
+      if (response.success) {
+        setTicket(response.data);
+        setError('');
+      }
+    } catch (err) {
+      setError(err.error?.message || 'Could not load this ticket');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div style={styles.container}>
+        <FiLoader size={32} style={styles.spinner} className="spin" />
+      </div>
+    );
+  }
+
+  if (error || !ticket) {
+    return (
+      <div style={styles.container}>
+        <div style={styles.card}>
+          <FiAlertCircle size={40} color="#ef4444" />
+          <p style={styles.errorText}>{error || 'Ticket not found'}</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.card}>
+        <p style={styles.label}>Your number</p>
+        <p style={styles.queueNumber}>{ticket.queueNumber}</p>
+        <p style={styles.serviceName}>{ticket.serviceName}</p>
+        {ticket.serviceLocation && (
+          <p style={styles.detail}>
+            <FiMapPin size={14} /> {ticket.serviceLocation}
+          </p>
+        )}
+
+        <div style={{ ...styles.statusBadge, backgroundColor: STATUS_COLORS[ticket.status] || '#64748b' }}>
+          {STATUS_LABELS[ticket.status] || ticket.status}
+        </div>
+
+        {ticket.status === 'waiting' && (
+          <div style={styles.stats}>
+            <div>
+              <p style={styles.statValue}>#{ticket.queuePosition}</p>
+              <p style={styles.statLabel}>Position</p>
+            </div>
+            <div>
+              <p style={styles.statValue}>{ticket.peopleAhead}</p>
+              <p style={styles.statLabel}>Ahead of you</p>
+            </div>
+            {ticket.estimatedWaitTime != null && (
+              <div>
+                <p style={styles.statValue}>~{ticket.estimatedWaitTime}m</p>
+                <p style={styles.statLabel}>Est. wait</p>
+              </div>
+            )}
+          </div>
+        )}
+
+        {ticket.priorityCategory && (
+          <p style={styles.detail}>Priority: {PRIORITY_LABELS[ticket.priorityCategory] || ticket.priorityCategory}</p>
+        )}
+        <p style={styles.detail}>
+          <FiClock size={14} /> Issued {new Date(ticket.requestedAt).toLocaleString()}
+        </p>
+        <p style={styles.footer}>This page refreshes automatically.</p>
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  container: {
+    minHeight: '100vh',
+    display: 'flex',
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: '24px',
+    backgroundColor: '#f8fafc',
+  },
+  spinner: {
+    color: '#dc2626',
+  },
+  card: {
+    width: '100%',
+    maxWidth: '400px',
+    padding: '32px 24px',
+    backgroundColor: '#ffffff',
+    border: '1px solid #e2e8f0',
+    borderRadius: '16px',
+    textAlign: 'center',
+    boxShadow: '0 1px 3px rgba(0,0,0,0.05)',
+  },
+  errorText: {
+    marginTop: '16px',
+    fontSize: '16px',
+    color: '#475569',
+  },
+  label: {
+    margin: 0,
+    fontSize: '14px',
+    fontWeight: '600',
+    color: '#64748b',
+    textTransform: 'uppercase',
+    letterSpacing: '1px',
+  },
+  queueNumber: {
+    margin: '8px 0',
+    fontSize: '56px',
+    fontWeight: '800',
+    color: '#1e293b',
+    letterSpacing: '-2px',
+  },
+  serviceName: {
+    margin: '0 0 8px 0',
+    fontSize: '20px',
+    fontWeight: '700',
+    color: '#1e293b',
+  },
+  detail: {
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: '6px',
+    margin: '6px 0',
+    fontSize: '14px',
+    color: '#475569',
+  },
+  statusBadge: {
+    display: 'inline-block',
+    margin: '16px 0',
+    padding: '8px 16px',
+    borderRadius: '999px',
+    color: '#ffffff',
+    fontSize: '14px',
+    fontWeight: '700',
+  },
+  stats: {
+    display: 'flex',
+    justifyContent: 'space-around',
+    margin: '8px 0 16px 0',
+    padding: '16px 0',
+    borderTop: '1px solid #e2e8f0',
+    borderBottom: '1px solid #e2e8f0',
+  },
+  statValue: {
+    margin: 0,
+    fontSize: '24px',
+    fontWeight: '700',
+    color: '#1e293b',
+  },
+  statLabel: {
+    margin: '4px 0 0 0',
+    fontSize: '12px',
+    color: '#64748b',
+  },
+  footer: {
+    margin: '20px 0 0 0',
+    fontSize: '12px',
+    color: '#94a3b8',
+  },
+};